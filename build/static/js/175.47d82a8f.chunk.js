@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[175],{175:(e,t,o)=>{o.d(t,{findYouTubePoster:()=>a,resolveYouTubeVideoId:()=>u});const n=/(?:youtu\.be|youtube|youtube\.com|youtube-nocookie\.com)(?:\/shorts)?\/(?:embed\/|v\/|watch\?v=|watch\?.+&v=|)((?:\w|-){11})/,c=new Map,s=new Map;function u(e){var t;return null===(t=e.match(n))||void 0===t?void 0:t[1]}async function a(e,t){if(c.has(e))return c.get(e);if(s.has(e))return s.get(e);const o=new Promise(async o=>{const n=["maxresdefault","sddefault","hqdefault"];for(const s of n)for(const n of[!0,!1]){const u=r(e,s,n);if((await fetch(u,{mode:"no-cors",signal:t.signal})).status<400)return c.set(e,u),void o(u)}}).catch(()=>"").finally(()=>s.delete(e));return s.set(e,o),o}function r(e,t,o){const n=o?"webp":"jpg";return"https://i.ytimg.com/".concat(o?"vi_webp":"vi","/").concat(e,"/").concat(t,".").concat(n)}}}]);
-//# sourceMappingURL=175.47d82a8f.chunk.js.map
\ No newline at end of file
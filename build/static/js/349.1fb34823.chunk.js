@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[349],{349:(e,s,t)=>{t.r(s),t.d(s,{SRTParser:()=>n,default:()=>c});var i=t(569);const h=/,/g;class n extends i.V{parse(e,s){if(""===e){var t,h;if(this.c)this.l.push(this.c),null===(t=(h=this.h).onCue)||void 0===t||t.call(h,this.c),this.c=null;this.e=i.a.None}else if(this.e===i.a.Cue)this.c.text+=(this.c.text?"\n":"")+e;else if(e.includes("--\x3e")){const t=this.q(e,s);t&&(this.c=new i.b(t[0],t[1],t[2].join(" ")),this.c.id=this.n,this.e=i.a.Cue)}this.n=e}q(e,s){return super.q(e.replace(h,"."),s)}}function c(){return new n}}}]);
-//# sourceMappingURL=349.1fb34823.chunk.js.map
\ No newline at end of file
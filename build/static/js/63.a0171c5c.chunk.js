@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[63,175],{63:(t,e,i)=>{i.r(e),i.d(e,{YouTubeProvider:()=>P});var s=i(790),o=i(149),a=i(705),n=i(562),r=i(458),h=i(558),l=i(180),c=i(408),u=i(751),d=i(175);i(43);const A=0,p=1,f=2,v=3,y=5;var g=new WeakMap,b=new WeakMap,m=new WeakMap,w=new WeakMap,k=new WeakMap,M=new WeakMap,T=new WeakMap,S=new WeakSet;class P extends u.h{constructor(t,e){super(t),(0,s.A)(this,S),(0,a.A)(this,"$$PROVIDER_TYPE","YOUTUBE"),(0,a.A)(this,"scope",(0,l.Ds)()),(0,o.A)(this,g,void 0),(0,o.A)(this,b,(0,l.O)("")),(0,o.A)(this,m,-1),(0,o.A)(this,w,null),(0,o.A)(this,k,-1),(0,o.A)(this,M,!1),(0,o.A)(this,T,new Map),(0,a.A)(this,"language","en"),(0,a.A)(this,"color","red"),(0,a.A)(this,"cookies",!1),(0,h.A)(g,this,e)}get currentSrc(){return(0,r.A)(w,this)}get type(){return"youtube"}get videoId(){return(0,r.A)(b,this).call(this)}preconnect(){(0,c.TB)(this.getOrigin())}setup(){super.setup(),(0,l.QZ)((0,n.A)(S,this,W).bind(this)),(0,r.A)(g,this).notify("provider-setup",this)}destroy(){(0,n.A)(S,this,I).call(this);for(const t of(0,r.A)(T,this).values())for(const{reject:e}of t)e("provider destroyed");(0,r.A)(T,this).clear()}async play(){return(0,n.A)(S,this,$).call(this,"playVideo")}async pause(){return(0,n.A)(S,this,$).call(this,"pauseVideo")}setMuted(t){t?(0,n.A)(S,this,$).call(this,"mute"):(0,n.A)(S,this,$).call(this,"unMute")}setCurrentTime(t){(0,n.A)(S,this,$).call(this,"seekTo",t),(0,r.A)(g,this).notify("seeking",t)}setVolume(t){(0,n.A)(S,this,$).call(this,"setVolume",100*t)}setPlaybackRate(t){(0,n.A)(S,this,$).call(this,"setPlaybackRate",t)}async loadSource(t){if(!(0,l.Kg)(t.src))return(0,h.A)(w,this,null),void(0,r.A)(b,this).set("");const e=(0,d.resolveYouTubeVideoId)(t.src);(0,r.A)(b,this).set(null!==e&&void 0!==e?e:""),(0,h.A)(w,this,t)}getOrigin(){return this.cookies?"https://www.youtube.com":"https://www.youtube-nocookie.com"}buildParams(){const{keyDisabled:t}=(0,r.A)(g,this).$props,{muted:e,playsInline:i,nativeControls:s}=(0,r.A)(g,this).$state,o=s();return{rel:0,autoplay:0,cc_lang_pref:this.language,cc_load_policy:o?1:void 0,color:this.color,controls:o?1:0,disablekb:!o||t()?1:0,enablejsapi:1,fs:1,hl:this.language,iv_load_policy:o?1:3,mute:e()?1:0,playsinline:i()?1:0}}onLoad(){window.setTimeout(()=>this.postMessage({event:"listening"}),100)}onMessage(t,e){let{info:i}=t;if(!i)return;const{title:s,intrinsicDuration:o,playbackRate:a}=(0,r.A)(g,this).$state;if((0,l.Gv)(i.videoData)&&i.videoData.title!==s()&&(0,r.A)(g,this).notify("title-change",i.videoData.title,e),(0,l.Et)(i.duration)&&i.duration!==o()){if((0,l.Et)(i.videoLoadedFraction)){var h,u;const t=null!==(h=null===(u=i.progressState)||void 0===u?void 0:u.loaded)&&void 0!==h?h:i.videoLoadedFraction*i.duration,s=new c.zJ(0,i.duration);(0,n.A)(S,this,E).call(this,t,s,e)}(0,r.A)(g,this).notify("duration-change",i.duration,e)}if((0,l.Et)(i.playbackRate)&&i.playbackRate!==a()&&(0,r.A)(g,this).notify("rate-change",i.playbackRate,e),i.progressState){const{current:t,seekableStart:s,seekableEnd:a,loaded:h,duration:l}=i.progressState;(0,n.A)(S,this,_).call(this,t,e),(0,n.A)(S,this,E).call(this,h,new c.zJ(s,a),e),l!==o()&&(0,r.A)(g,this).notify("duration-change",l,e)}if((0,l.Et)(i.volume)&&(0,l.Lm)(i.muted)&&!(0,r.A)(M,this)){const t={muted:i.muted,volume:i.volume/100};(0,r.A)(g,this).notify("volume-change",t,e)}(0,l.Et)(i.playerState)&&i.playerState!==(0,r.A)(m,this)&&(0,n.A)(S,this,D).call(this,i.playerState,e)}}function W(){(0,n.A)(S,this,I).call(this);const t=(0,r.A)(b,this).call(this);t?(this.src.set("".concat(this.getOrigin(),"/embed/").concat(t)),(0,r.A)(g,this).notify("load-start")):this.src.set("")}function $(t,e){let i=(0,l.vI)(),s=(0,r.A)(T,this).get(t);return s||(0,r.A)(T,this).set(t,s=[]),s.push(i),this.postMessage({event:"command",func:t,args:e?[e]:void 0}),i.promise}function O(t){(0,r.A)(g,this).notify("loaded-metadata"),(0,r.A)(g,this).notify("loaded-data"),(0,r.A)(g,this).delegate.ready(void 0,t)}function V(t){var e;null===(e=(0,n.A)(S,this,Y).call(this,"pauseVideo"))||void 0===e||e.resolve(),(0,r.A)(g,this).notify("pause",void 0,t)}function _(t,e){const{duration:i,realCurrentTime:s}=(0,r.A)(g,this).$state,o=(0,r.A)(m,this)===A,a=o?i():t;(0,r.A)(g,this).notify("time-change",a,e),!o&&Math.abs(a-s())>1&&(0,r.A)(g,this).notify("seeking",a,e)}function E(t,e,i){const s={buffered:new c.zJ(0,t),seekable:e};(0,r.A)(g,this).notify("progress",s,i);const{seeking:o,realCurrentTime:a}=(0,r.A)(g,this).$state;o()&&t>a()&&(0,n.A)(S,this,R).call(this,i)}function R(t){const{paused:e,realCurrentTime:i}=(0,r.A)(g,this).$state;window.clearTimeout((0,r.A)(k,this)),(0,h.A)(k,this,window.setTimeout(()=>{(0,r.A)(g,this).notify("seeked",i(),t),(0,h.A)(k,this,-1)},e()?100:0))}function C(t){const{seeking:e}=(0,r.A)(g,this).$state;e()&&(0,n.A)(S,this,R).call(this,t),(0,r.A)(g,this).notify("pause",void 0,t),(0,r.A)(g,this).notify("end",void 0,t)}function D(t,e){const{paused:i,seeking:s}=(0,r.A)(g,this).$state,o=t===p,a=t===v,l=(0,n.A)(S,this,J).call(this,"playVideo"),c=i()&&(a||o);if(a&&(0,r.A)(g,this).notify("waiting",void 0,e),s()&&o&&(0,n.A)(S,this,R).call(this,e),(0,r.A)(M,this)&&o)return this.pause(),(0,h.A)(M,this,!1),void this.setMuted((0,r.A)(g,this).$state.muted());if(!l&&c)return(0,h.A)(M,this,!0),void this.setMuted(!0);var u;c&&(null===(u=(0,n.A)(S,this,Y).call(this,"playVideo"))||void 0===u||u.resolve(),(0,r.A)(g,this).notify("play",void 0,e));switch(t){case y:(0,n.A)(S,this,O).call(this,e);break;case p:(0,r.A)(g,this).notify("playing",void 0,e);break;case f:(0,n.A)(S,this,V).call(this,e);break;case A:(0,n.A)(S,this,C).call(this,e)}(0,h.A)(m,this,t)}function I(){(0,h.A)(m,this,-1),(0,h.A)(k,this,-1),(0,h.A)(M,this,!1)}function Y(t){var e;return null===(e=(0,r.A)(T,this).get(t))||void 0===e?void 0:e.shift()}function J(t){var e;return Boolean(null===(e=(0,r.A)(T,this).get(t))||void 0===e?void 0:e.length)}},175:(t,e,i)=>{i.d(e,{findYouTubePoster:()=>r,resolveYouTubeVideoId:()=>n});const s=/(?:youtu\.be|youtube|youtube\.com|youtube-nocookie\.com)(?:\/shorts)?\/(?:embed\/|v\/|watch\?v=|watch\?.+&v=|)((?:\w|-){11})/,o=new Map,a=new Map;function n(t){var e;return null===(e=t.match(s))||void 0===e?void 0:e[1]}async function r(t,e){if(o.has(t))return o.get(t);if(a.has(t))return a.get(t);const i=new Promise(async i=>{const s=["maxresdefault","sddefault","hqdefault"];for(const a of s)for(const s of[!0,!1]){const n=h(t,a,s);if((await fetch(n,{mode:"no-cors",signal:e.signal})).status<400)return o.set(t,n),void i(n)}}).catch(()=>"").finally(()=>a.delete(t));return a.set(t,i),i}function h(t,e,i){const s=i?"webp":"jpg";return"https://i.ytimg.com/".concat(i?"vi_webp":"vi","/").concat(t,"/").concat(e,".").concat(s)}},751:(t,e,i)=>{i.d(e,{h:()=>A});var s=i(790),o=i(705),a=i(149),n=i(562),r=i(558),h=i(458),l=i(408),c=i(180),u=new WeakMap,d=new WeakSet;class A{get iframe(){return(0,h.A)(u,this)}constructor(t){(0,s.A)(this,d),(0,a.A)(this,u,void 0),(0,o.A)(this,"src",(0,c.O)("")),(0,o.A)(this,"referrerPolicy",null),(0,r.A)(u,this,t),t.setAttribute("frameBorder","0"),t.setAttribute("aria-hidden","true"),t.setAttribute("allow","autoplay; fullscreen; encrypted-media; picture-in-picture; accelerometer; gyroscope"),null!==this.referrerPolicy&&t.setAttribute("referrerpolicy",this.referrerPolicy)}setup(){(0,c.k6)(window,"message",(0,n.A)(d,this,f).bind(this)),(0,c.k6)((0,h.A)(u,this),"load",this.onLoad.bind(this)),(0,c.QZ)((0,n.A)(d,this,p).bind(this))}postMessage(t,e){var i;l.X3||null===(i=(0,h.A)(u,this).contentWindow)||void 0===i||i.postMessage(JSON.stringify(t),null!==e&&void 0!==e?e:"*")}}function p(){const t=this.src();if(!t.length)return void(0,h.A)(u,this).setAttribute("src","");const e=(0,c.se)(()=>this.buildParams());(0,h.A)(u,this).setAttribute("src",(0,l.xF)(t,e))}function f(t){var e;const i=this.getOrigin();if((null===t.source||t.source===(null===(e=(0,h.A)(u,this))||void 0===e?void 0:e.contentWindow))&&(!(0,c.Kg)(i)||i===t.origin)){try{const e=JSON.parse(t.data);return void(e&&this.onMessage(e,t))}catch(s){}t.data&&this.onMessage(t.data,t)}}}}]);
-//# sourceMappingURL=63.a0171c5c.chunk.js.map
\ No newline at end of file
@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[655],{655:(o,e,t)=>{t.d(e,{getVimeoVideoInfo:()=>c,resolveVimeoVideoId:()=>d});const n=/(?:https:\/\/)?(?:player\.)?vimeo(?:\.com)?\/(?:video\/)?(\d+)(?:(?:\?hash=|\?h=|\/)(.*))?/,i=new Map,l=new Map;function d(o){const e=o.match(n);return{videoId:null===e||void 0===e?void 0:e[1],hash:null===e||void 0===e?void 0:e[2]}}async function c(o,e,t){if(i.has(o))return i.get(o);if(l.has(o))return l.get(o);let n="https://vimeo.com/api/oembed.json?url=https://player.vimeo.com/video/".concat(o);t&&(n=n.concat("?h=".concat(t)));const d=window.fetch(n,{mode:"cors",signal:e.signal}).then(o=>o.json()).then(e=>{var t,n,l;const d=null===e||void 0===e||null===(t=e.thumbnail_url)||void 0===t||null===(t=t.match(/vimeocdn.com\/video\/(.*)?_/))||void 0===t?void 0:t[1],c=d?"https://i.vimeocdn.com/video/".concat(d,"_1920x1080.webp"):"",s={title:null!==(n=null===e||void 0===e?void 0:e.title)&&void 0!==n?n:"",duration:null!==(l=null===e||void 0===e?void 0:e.duration)&&void 0!==l?l:0,poster:c,pro:"basic"!==e.account_type};return i.set(o,s),s}).finally(()=>l.delete(o));return l.set(o,d),d}}}]);
-//# sourceMappingURL=655.273ff2c9.chunk.js.map
\ No newline at end of file
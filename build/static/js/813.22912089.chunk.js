@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[813],{569:(t,e,i)=>{i.d(e,{C:()=>mt,P:()=>a,T:()=>v,V:()=>H,a:()=>B,b:()=>A,c:()=>l,d:()=>p,e:()=>g,f:()=>d,g:()=>f,h:()=>w,i:()=>K,j:()=>Q,p:()=>R,r:()=>U,t:()=>Y,u:()=>Z});var s=i(986),n=i(379),r=i(705);const o=["encoding"],l={LoadFail:0,BadSignature:1,BadTimestamp:2,BadSettingValue:3,BadFormat:4,UnknownSetting:5};class a extends Error{constructor(t){super(t.reason),(0,r.A)(this,"code",void 0),(0,r.A)(this,"line",void 0),this.code=t.code,this.line=t.line}}const c=/\r?\n|\r/gm;class h{constructor(t){(0,r.A)(this,"writable",void 0),(0,r.A)(this,"readable",void 0);const e=new u(t);this.writable=new WritableStream({write(t){e.transform(t)},close(){e.close()}}),this.readable=new ReadableStream({start(t){e.onLine=e=>t.enqueue(e),e.onClose=()=>t.close()}})}}class u{constructor(t){(0,r.A)(this,"a",""),(0,r.A)(this,"b",void 0),(0,r.A)(this,"onLine",void 0),(0,r.A)(this,"onClose",void 0),this.b=new TextDecoder(t)}transform(t){this.a+=this.b.decode(t,{stream:!0});const e=this.a.split(c);this.a=e.pop()||"";for(let i=0;i<e.length;i++)this.onLine(e[i].trim())}close(){this.a&&this.onLine(this.a.trim()),this.a="",this.onClose()}}async function d(t,e){return f(new ReadableStream({start(e){const i=t.split(c);for(const t of i)e.enqueue(t);e.close()}}),e)}async function f(t,e){var s;const r=null!==(s=null===e||void 0===e?void 0:e.type)&&void 0!==s?s:"vtt";let o,l;if("string"===typeof r)switch(r){case"srt":o=(await i.e(349).then(i.bind(i,349))).default;break;case"ssa":case"ass":o=(await i.e(963).then(i.bind(i,963))).default;break;default:o=(await Promise.resolve().then(function(){return F})).default}else o=r;const a=t.getReader(),c=o(),h=!(null===e||void 0===e||!e.strict)||!(null===e||void 0===e||!e.errors);await c.init((0,n.A)((0,n.A)({strict:!1},e),{},{errors:h,type:r,cancel(){a.cancel(),l=c.done(!0)}}));let u=1;for(;;){const{value:t,done:e}=await a.read();if(e){c.parse("",u),l=c.done(!1);break}c.parse(t,u),u++}return l}async function p(t,e){var i,s;const r=await t;if(!r.ok||!r.body){let t;return{metadata:{},cues:[],regions:[],errors:[t]}}const o=r.headers.get("content-type")||"",l=null===(i=o.match(/text\/(.*?)(?:;|$)/))||void 0===i?void 0:i[1],a=null===(s=o.match(/charset=(.*?)(?:;|$)/))||void 0===s?void 0:s[1];return g(r.body,(0,n.A)({type:l,encoding:a},e))}async function g(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},{encoding:i="utf-8"}=e,n=(0,s.A)(e,o);return f(t.pipeThrough(new h(i)),n)}class v extends EventTarget{constructor(t,e,i){super(),(0,r.A)(this,"id",""),(0,r.A)(this,"startTime",void 0),(0,r.A)(this,"endTime",void 0),(0,r.A)(this,"text",void 0),(0,r.A)(this,"pauseOnExit",!1),this.startTime=t,this.endTime=e,this.text=i}addEventListener(t,e,i){super.addEventListener(t,e,i)}removeEventListener(t,e,i){super.removeEventListener(t,e,i)}}const m="undefined"===typeof document,b=m?v:window.VTTCue;class A extends b{constructor(){super(...arguments),(0,r.A)(this,"region",null),(0,r.A)(this,"vertical",""),(0,r.A)(this,"snapToLines",!0),(0,r.A)(this,"line","auto"),(0,r.A)(this,"lineAlign","start"),(0,r.A)(this,"position","auto"),(0,r.A)(this,"positionAlign","auto"),(0,r.A)(this,"size",100),(0,r.A)(this,"align","center"),(0,r.A)(this,"style",void 0)}}class w{constructor(){(0,r.A)(this,"id",""),(0,r.A)(this,"width",100),(0,r.A)(this,"lines",3),(0,r.A)(this,"regionAnchorX",0),(0,r.A)(this,"regionAnchorY",100),(0,r.A)(this,"viewportAnchorX",0),(0,r.A)(this,"viewportAnchorY",100),(0,r.A)(this,"scroll","")}}function y(t){const e=parseInt(t,10);return Number.isNaN(e)?null:e}function T(t){const e=parseInt(t.replace("%",""),10);return!Number.isNaN(e)&&e>=0&&e<=100?e:null}function k(t){if(!t.includes(","))return null;const[e,i]=t.split(",").map(T);return null!==e&&null!==i?[e,i]:null}function x(t){const e=parseFloat(t);return Number.isNaN(e)?null:e}const C=/[:=]/,E=/^[\s\t]*(region|vertical|line|position|size|align)[:=]/,N=/^REGION:?[\s\t]+/,L=/[\s\t]+/,j=/[\s\t]*-->[\s\t]+/,S=/start|center|end|left|right/,z=/start|center|end/,M=/line-(?:left|right)|center|auto/,V=/^(?:(\d{1,2}):)?(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/;var B=(t=>(t[t.None=0]="None",t[t.Header=1]="Header",t[t.Cue=2]="Cue",t[t.Region=3]="Region",t[t.Note=4]="Note",t))(B||{});class H{constructor(){(0,r.A)(this,"h",void 0),(0,r.A)(this,"e",0),(0,r.A)(this,"i",{}),(0,r.A)(this,"j",{}),(0,r.A)(this,"l",[]),(0,r.A)(this,"c",null),(0,r.A)(this,"d",null),(0,r.A)(this,"m",[]),(0,r.A)(this,"f",void 0),(0,r.A)(this,"n","")}async init(t){this.h=t,t.strict&&(this.e=1),t.errors&&(this.f=(await i.e(99).then(i.bind(i,99))).ParseErrorBuilder)}parse(t,e){if(""===t){var i,s;if(this.c)this.l.push(this.c),null===(i=(s=this.h).onCue)||void 0===i||i.call(s,this.c),this.c=null;else if(this.d){var n,r;this.j[this.d.id]=this.d,null===(n=(r=this.h).onRegion)||void 0===n||n.call(r,this.d),this.d=null}else if(1===this.e){var o,l;this.k(t,e),null===(o=(l=this.h).onHeaderMetadata)||void 0===o||o.call(l,this.i)}this.e=0}else if(this.e)switch(this.e){case 1:this.k(t,e);break;case 2:if(this.c){const i=this.c.text.length>0;!i&&E.test(t)?this.o(t.split(L),e):this.c.text+=(i?"\n":"")+t}break;case 3:this.p(t.split(L),e)}else if(t.startsWith("NOTE"))this.e=4;else if(t.startsWith("REGION"))this.e=3,this.d=new w,this.p(t.replace(N,"").split(L),e);else if(t.includes("--\x3e")){const i=this.q(t,e);i&&(this.c=new A(i[0],i[1],""),this.c.id=this.n,this.o(i[2],e)),this.e=2}else 1===e&&this.k(t,e);this.n=t}done(){return{metadata:this.i,cues:this.l,regions:Object.values(this.j),errors:this.m}}k(t,e){if(e>1){if(C.test(t)){const[e,i]=t.split(C);e&&(this.i[e]=(i||"").replace(L,""))}}else if(t.startsWith("WEBVTT"))this.e=1;else{var i;this.g(null===(i=this.f)||void 0===i?void 0:i.r())}}q(t,e){const[i,s=""]=t.split(j),[n,...r]=s.split(L),o=R(i),l=R(n);if(null!==o&&null!==l&&l>o)return[o,l,r];var a,c,h;null===o&&this.g(null===(a=this.f)||void 0===a?void 0:a.s(i,e)),null===l&&this.g(null===(c=this.f)||void 0===c?void 0:c.t(n,e)),null!=o&&null!==l&&l>o&&this.g(null===(h=this.f)||void 0===h?void 0:h.u(o,l,e))}p(t,e){var i;let s;for(let r=0;r<t.length;r++)if(C.test(t[r])){s=!1;const[o,l]=t[r].split(C);switch(o){case"id":this.d.id=l;break;case"width":const t=T(l);null!==t?this.d.width=t:s=!0;break;case"lines":const n=y(l);null!==n?this.d.lines=n:s=!0;break;case"regionanchor":const r=k(l);null!==r?(this.d.regionAnchorX=r[0],this.d.regionAnchorY=r[1]):s=!0;break;case"viewportanchor":const a=k(l);null!==a?(this.d.viewportAnchorX=a[0],this.d.viewportAnchorY=a[1]):s=!0;break;case"scroll":"up"===l?this.d.scroll="up":s=!0;break;default:this.g(null===(i=this.f)||void 0===i?void 0:i.v(o,l,e))}var n;if(s)this.g(null===(n=this.f)||void 0===n?void 0:n.w(o,l,e))}}o(t,e){var i;let s;for(let r=0;r<t.length;r++)if(s=!1,C.test(t[r])){const[o,l]=t[r].split(C);switch(o){case"region":const t=this.j[l];t&&(this.c.region=t);break;case"vertical":"lr"===l||"rl"===l?(this.c.vertical=l,this.c.region=null):s=!0;break;case"line":const[n,r]=l.split(",");if(n.includes("%")){const t=T(n);null!==t?(this.c.line=t,this.c.snapToLines=!1):s=!0}else{const t=x(n);null!==t?this.c.line=t:s=!0}z.test(r)?this.c.lineAlign=r:r&&(s=!0),"auto"!==this.c.line&&(this.c.region=null);break;case"position":const[a,c]=l.split(","),h=T(a);null!==h?this.c.position=h:s=!0,c&&M.test(c)?this.c.positionAlign=c:c&&(s=!0);break;case"size":const u=T(l);null!==u?(this.c.size=u,u<100&&(this.c.region=null)):s=!0;break;case"align":S.test(l)?this.c.align=l:s=!0;break;default:this.g(null===(i=this.f)||void 0===i?void 0:i.x(o,l,e))}var n;if(s)this.g(null===(n=this.f)||void 0===n?void 0:n.y(o,l,e))}}g(t){if(t){if(this.m.push(t),this.h.strict)throw this.h.cancel(),t;var e,i;null===(e=(i=this.h).onError)||void 0===e||e.call(i,t)}}}function R(t){const e=t.match(V);if(!e)return null;const i=e[1]?parseInt(e[1],10):0,s=parseInt(e[2],10),n=parseInt(e[3],10),r=e[4]?parseInt(e[4].padEnd(3,"0"),10):0;return i<0||s<0||n<0||r<0||s>59||n>59?null:3600*i+60*s+n+r/1e3}var F=Object.freeze({__proto__:null,VTTBlock:B,VTTParser:H,default:function(){return new H},parseVTTTimestamp:R});const I=/[0-9]/,O=/[\s\t]+/,P={c:"span",i:"i",b:"b",u:"u",ruby:"ruby",rt:"rt",v:"span",lang:"span",timestamp:"span"},q={"&amp;":"&","&lt;":"<","&gt;":">","&quot;":'"',"&#39;":"'","&nbsp;":"\xa0","&lrm;":"\u200e","&rlm;":"\u200f"},W=/&(?:amp|lt|gt|quot|#(0+)?39|nbsp|lrm|rlm);/g,_=new Set(["white","lime","cyan","red","yellow","magenta","blue","black"]),X=new Set(Object.keys(P));function Y(t){var e,i;let s,n="",r=1,o=[],l=[];for(let f=0;f<t.text.length;f++){const o=t.text[f];switch(r){case 1:"<"===o?(d(),r=2):n+=o;break;case 2:switch(o){case"\n":case"\t":case" ":h(),r=4;break;case".":h(),r=3;break;case"/":r=5;break;case">":h(),r=1;break;default:!n&&I.test(o)&&(r=6),n+=o}break;case 3:switch(o){case"\t":case" ":case"\n":u(),s&&(null===(e=s.class)||void 0===e||e.trim()),r=4;break;case".":u();break;case">":u(),s&&(null===(i=s.class)||void 0===i||i.trim()),r=1;break;default:n+=o}break;case 4:var a,c;if(">"===o)n=n.replace(O," "),"v"===(null===(a=s)||void 0===a?void 0:a.type)?s.voice=D(n):"lang"===(null===(c=s)||void 0===c?void 0:c.type)&&(s.lang=D(n)),n="",r=1;else n+=o;break;case 5:">"===o&&(n="",s=l.pop(),r=1);break;case 6:if(">"===o){const e=R(n);null!==e&&e>=t.startTime&&e<=t.endTime&&(n="timestamp",h(),s.time=e),n="",r=1}else n+=o}}function h(){if(X.has(n)){const e=s;s={tagName:P[t=n],type:t,children:[]},e?(l[l.length-1]!==e&&l.push(e),e.children.push(s)):o.push(s)}var t;n="",r=1}function u(){if(s&&n){const t=n.replace("bg_","");_.has(t)?s[n.startsWith("bg_")?"bgColor":"color"]=t:s.class=s.class?s.class+" "+n:n}n=""}function d(){if(!n)return;const t={type:"text",data:D(n)};s?s.children.push(t):o.push(t),n=""}return 1===r&&d(),o}function D(t){return t.replace(W,t=>q[t]||"'")}function G(t,e,i){t.style.setProperty("--".concat(e),i+"")}function $(t,e){let i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2];t.setAttribute("data-".concat(e),!0===i?"":i+"")}function J(t,e){t.setAttribute("data-part",e)}function K(t){if(m)throw Error("[media-captions] called `createVTTCueTemplate` on the server - use `renderVTTCueString`");const e=document.createElement("template");return e.innerHTML=U(t),{cue:t,content:e.content}}function U(t){let e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0;return Q(Y(t),e)}function Q(t){let e,i=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,s="";for(const n of t)if("text"===n.type)s+=n.data;else{const t="timestamp"===n.type;e={},e.class=n.class,e.title="v"===n.type&&n.voice,e.lang="lang"===n.type&&n.lang,e["data-part"]="v"===n.type&&"voice",t&&(e["data-part"]="timed",e["data-time"]=n.time,e["data-future"]=n.time>i,e["data-past"]=n.time<i),e.style="".concat(n.color?"color: ".concat(n.color,";"):"").concat(n.bgColor?"background-color: ".concat(n.bgColor,";"):"");const r=Object.entries(e).filter(t=>t[1]).map(t=>"".concat(t[0],'="').concat(!0===t[1]?"":t[1],'"')).join(" ");s+="<".concat(n.tagName).concat(r?" "+r:"",">").concat(Q(n.children),"</").concat(n.tagName,">")}return s}function Z(t,e){if(!m)for(const i of t.querySelectorAll('[data-part="timed"]')){const t=Number(i.getAttribute("data-time"));Number.isNaN(t)||(t>e?$(i,"future"):i.removeAttribute("data-future"),t<e?$(i,"past"):i.removeAttribute("data-past"))}}const tt=Symbol(0);function et(t){return t instanceof HTMLElement?{top:t.offsetTop,width:t.clientWidth,height:t.clientHeight,left:t.offsetLeft,right:t.offsetLeft+t.clientWidth,bottom:t.offsetTop+t.clientHeight}:(0,n.A)({},t)}function it(t,e,i){switch(e){case"+x":t.left+=i,t.right+=i;break;case"-x":t.left-=i,t.right-=i;break;case"+y":t.top+=i,t.bottom+=i;break;case"-y":t.top-=i,t.bottom-=i}}function st(t,e){return t.left<=e.right&&t.right>=e.left&&t.top<=e.bottom&&t.bottom>=e.top}function nt(t,e){for(let i=0;i<e.length;i++)if(st(t,e[i]))return e[i];return null}function rt(t,e){return e.top>=0&&e.bottom<=t.height&&e.left>=0&&e.right<=t.width}function ot(t,e,i){switch(i){case"+x":return e.left<0;case"-x":return e.right>t.width;case"+y":return e.top<0;case"-y":return e.bottom>t.height}}function lt(t,e){return Math.max(0,Math.min(t.width,e.right)-Math.max(0,e.left))*Math.max(0,Math.min(t.height,e.bottom)-Math.max(0,e.top))/(t.height*t.width)}function at(t,e){return{top:e.top/t.height,left:e.left/t.width,right:(t.width-e.right)/t.width,bottom:(t.height-e.bottom)/t.height}}function ct(t,e){return e.top=e.top*t.height,e.left=e.left*t.width,e.right=t.width-e.right*t.width,e.bottom=t.height-e.bottom*t.height,e}const ht=["top","left","right","bottom"];function ut(t,e,i,s){const n=at(e,i);for(const r of ht)G(t,"".concat(s,"-").concat(r),100*n[r]+"%")}function dt(t,e,i,s){let r,o=1,l=(0,n.A)({},e);for(let a=0;a<s.length;a++){for(;ot(t,e,s[a])||rt(t,e)&&nt(e,i);)it(e,s[a],1);if(rt(t,e))return e;const c=lt(t,e);o>c&&(r=(0,n.A)({},e),o=c),e=(0,n.A)({},l)}return r||l}const ft=Symbol(0);function pt(t,e,i,s){let r,o=i.firstElementChild,l=function(t){if("auto"===t.line)return t.snapToLines?-1:100;return t.line}(e),a=[];if(i[tt]||(i[tt]=function(t,e){const i=et(e),s=function(t){const e={};for(const i of ht)e[i]=parseFloat(t.style.getPropertyValue("--cue-".concat(i)));return e}(e);e[ft]=!1,s.top&&(i.top=s.top,i.bottom=s.top+i.height,e[ft]="top");if(s.bottom){const n=t.height-s.bottom;i.top=n-i.height,i.bottom=n,e[ft]="bottom"}s.left&&(i.left=s.left);s.right&&(i.right=t.width-s.right);return at(t,i)}(t,i)),r=ct(t,(0,n.A)({},i[tt])),i[ft])a=["top"===i[ft]?"+y":"-y","+x","-x"];else if(e.snapToLines){let i;switch(e.vertical){case"":a=["+y","-y"],i="height";break;case"rl":a=["+x","-x"],i="width";break;case"lr":a=["-x","+x"],i="width"}let s=parseFloat(getComputedStyle(o).lineHeight)||0,n=s*Math.round(l),c=t[i]+s,h=a[0];Math.abs(n)>c&&(n=n<0?-1:1,n*=Math.ceil(c/s)*s),l<0&&(n+=""===e.vertical?t.height:t.width,a=a.reverse()),it(r,h,n)}else{const i=""===e.vertical,s=i?"+y":"+x",n=i?r.height:r.width;it(r,s,(i?t.height:t.width)*l/100),it(r,s,"center"===e.lineAlign?n/2:"end"===e.lineAlign?n:0),a=i?["-y","+y","-x","+x"]:["-x","+x","-y","+y"]}return r=dt(t,r,s,a),ut(i,t,r,"cue"),r}const gt=["-y","+y","-x","+x"];function vt(t,e,i,s){let r=Array.from(i.querySelectorAll('[data-part="cue-display"]')),o=0,l=Math.max(0,r.length-e.lines);for(let n=r.length-1;n>=l;n--)o+=r[n].offsetHeight;G(i,"region-height",o+"px"),i[tt]||(i[tt]=at(t,et(i)));let a=(0,n.A)({},i[tt]);return a=ct(t,a),a.width=i.clientWidth,a.height=o,a.right=a.left+a.width,a.bottom=a.top+o,a=dt(t,a,s,gt),ut(i,t,a,"region"),a}class mt{get dir(){return this.C}set dir(t){this.C=t,$(this.overlay,"dir",t)}get currentTime(){return this.A}set currentTime(t){this.A=t,this.update()}constructor(t,e){var i;(0,r.A)(this,"overlay",void 0),(0,r.A)(this,"z",void 0),(0,r.A)(this,"A",0),(0,r.A)(this,"C","ltr"),(0,r.A)(this,"B",[]),(0,r.A)(this,"D",!1),(0,r.A)(this,"E",void 0),(0,r.A)(this,"j",new Map),(0,r.A)(this,"l",new Map),(0,r.A)(this,"K",function(t,e){let i,s=null;function n(){r(),t(...i),i=void 0}function r(){clearTimeout(s),s=null}return function(){i=[].slice.call(arguments),r(),s=setTimeout(n,e)}}(()=>{this.D=!1,this.G();for(const t of this.j.values())t[tt]=null;for(const t of this.l.values())t&&(t[tt]=null);this.H(!0)},50)),this.overlay=t,this.dir=null!==(i=null===e||void 0===e?void 0:e.dir)&&void 0!==i?i:"ltr",t.setAttribute("translate","yes"),t.setAttribute("aria-live","off"),t.setAttribute("aria-atomic","true"),J(t,"captions"),this.G(),this.E=new ResizeObserver(this.I.bind(this)),this.E.observe(t)}changeTrack(t){let{regions:e,cues:i}=t;this.reset(),this.J(e);for(const s of i)this.l.set(s,null);this.update()}addCue(t){this.l.set(t,null),this.update()}removeCue(t){this.l.delete(t),this.update()}update(){let t=arguments.length>0&&void 0!==arguments[0]&&arguments[0];this.H(t)}reset(){this.l.clear(),this.j.clear(),this.B=[],this.overlay.textContent=""}destroy(){this.reset(),this.E.disconnect()}I(){this.D=!0,this.K()}G(){this.z=et(this.overlay),G(this.overlay,"overlay-width",this.z.width+"px"),G(this.overlay,"overlay-height",this.z.height+"px")}H(){let t=arguments.length>0&&void 0!==arguments[0]&&arguments[0];if(!this.l.size||this.D)return;let e,i=[...this.l.keys()].filter(t=>this.A>=t.startTime&&this.A<=t.endTime).sort((t,e)=>t.startTime!==e.startTime?t.startTime-e.startTime:t.endTime-e.endTime),s=i.map(t=>t.region);for(let n=0;n<this.B.length;n++){if(e=this.B[n],i[n]===e)continue;if(e.region&&!s.includes(e.region)){const i=this.j.get(e.region.id);i&&(i.removeAttribute("data-active"),t=!0)}const r=this.l.get(e);r&&(r.remove(),t=!0)}for(let n=0;n<i.length;n++){e=i[n];let s=this.l.get(e);s||this.l.set(e,s=this.L(e));const r=this.F(e)&&this.j.get(e.region.id);r&&!r.hasAttribute("data-active")&&(requestAnimationFrame(()=>$(r,"active")),t=!0),s.isConnected||((r||this.overlay).append(s),t=!0)}if(t){const t=[],s=new Set;for(let n=i.length-1;n>=0;n--){if(e=i[n],s.has(e.region||e))continue;const r=this.F(e),o=r?this.j.get(e.region.id):this.l.get(e);r?t.push(vt(this.z,e.region,o,t)):t.push(pt(this.z,e,o,t)),s.add(r?e.region:e)}}Z(this.overlay,this.A),this.B=i}J(t){if(t)for(const e of t){const t=this.M(e);this.j.set(e.id,t),this.overlay.append(t)}}M(t){const e=document.createElement("div");return J(e,"region"),$(e,"id",t.id),$(e,"scroll",t.scroll),G(e,"region-width",t.width+"%"),G(e,"region-anchor-x",t.regionAnchorX),G(e,"region-anchor-y",t.regionAnchorY),G(e,"region-viewport-anchor-x",t.viewportAnchorX),G(e,"region-viewport-anchor-y",t.viewportAnchorY),G(e,"region-lines",t.lines),e}L(t){const e=document.createElement("div"),i=function(t){if("auto"===t.position)switch(t.align){case"start":case"left":return 0;case"right":case"end":return 100;default:return 50}return t.position}(t),s=function(t,e){if("auto"===t.positionAlign)switch(t.align){case"start":return"ltr"===e?"line-left":"line-right";case"end":return"ltr"===e?"line-right":"line-left";case"center":return"center";default:return"line-".concat(t.align)}return t.positionAlign}(t,this.C);if(J(e,"cue-display"),""!==t.vertical&&$(e,"vertical"),G(e,"cue-text-align",t.align),t.style)for(const o of Object.keys(t.style))e.style.setProperty(o,t.style[o]);var n;if(this.F(t))G(e,"cue-offset","".concat(i-("line-right"===s?100:"center"===s?50:0),"%"));else if(G(e,"cue-writing-mode",""===t.vertical?"horizontal-tb":"lr"===t.vertical?"vertical-lr":"vertical-rl"),null===(n=t.style)||void 0===n||!n["--cue-width"]){let n=i;"line-left"===s?n=100-i:"center"===s&&i<=50?n=2*i:"center"===s&&i>50&&(n=2*(100-i));const r=t.size<n?t.size:n;""===t.vertical?G(e,"cue-width",r+"%"):G(e,"cue-height",r+"%")}const r=document.createElement("div");return J(r,"cue"),t.id&&$(r,"id",t.id),r.innerHTML=U(t),e.append(r),e}F(t){return t.region&&100===t.size&&""===t.vertical&&"auto"===t.line}}},813:(t,e,i)=>{i.r(e),i.d(e,{CaptionsRenderer:()=>s.C,ParseError:()=>s.P,ParseErrorCode:()=>s.c,TextCue:()=>s.T,VTTCue:()=>s.b,VTTRegion:()=>s.h,createVTTCueTemplate:()=>s.i,parseByteStream:()=>s.e,parseResponse:()=>s.d,parseText:()=>s.f,parseTextStream:()=>s.g,parseVTTTimestamp:()=>s.p,renderVTTCueString:()=>s.r,renderVTTTokensString:()=>s.j,tokenizeVTTCue:()=>s.t,updateTimedVTTCueNodes:()=>s.u});var s=i(569)}}]);
-//# sourceMappingURL=813.22912089.chunk.js.map
\ No newline at end of file
@@ -1,2 +0,0 @@
-"use strict";(self.webpackChunkreels_app=self.webpackChunkreels_app||[]).push([[99],{99:(n,e,c)=>{c.r(e),c.d(e,{ParseErrorBuilder:()=>o});var a=c(569);const o={r:()=>new a.P({code:a.c.BadSignature,reason:"missing WEBVTT file header",line:1}),s:(n,e)=>new a.P({code:a.c.BadTimestamp,reason:"cue start timestamp `".concat(n,"` is invalid on line ").concat(e),line:e}),t:(n,e)=>new a.P({code:a.c.BadTimestamp,reason:"cue end timestamp `".concat(n,"` is invalid on line ").concat(e),line:e}),u:(n,e,c)=>new a.P({code:a.c.BadTimestamp,reason:"cue end timestamp `".concat(e,"` is greater than start `").concat(n,"` on line ").concat(c),line:c}),y:(n,e,c)=>new a.P({code:a.c.BadSettingValue,reason:"invalid value for cue setting `".concat(n,"` on line ").concat(c," (value: ").concat(e,")"),line:c}),x:(n,e,c)=>new a.P({code:a.c.UnknownSetting,reason:"unknown cue setting `".concat(n,"` on line ").concat(c," (value: ").concat(e,")"),line:c}),w:(n,e,c)=>new a.P({code:a.c.BadSettingValue,reason:"invalid value for region setting `".concat(n,"` on line ").concat(c," (value: ").concat(e,")"),line:c}),v:(n,e,c)=>new a.P({code:a.c.UnknownSetting,reason:"unknown region setting `".concat(n,"` on line ").concat(c," (value: ").concat(e,")"),line:c}),T:(n,e)=>new a.P({code:a.c.BadFormat,reason:"format missing for `".concat(n,"` block on line ").concat(e),line:e})}}}]);
-//# sourceMappingURL=99.95765ab2.chunk.js.map
\ No newline at end of file
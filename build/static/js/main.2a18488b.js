@@ -1,3 +0,0 @@
-/*! For license information please see main.2a18488b.js.LICENSE.txt */
-(()=>{"use strict";var e={4:(e,t,n)=>{var i=n(853),s=n(43),r=n(950);function a(e){var t="https://react.dev/errors/"+e;if(1<arguments.length){t+="?args[]="+encodeURIComponent(arguments[1]);for(var n=2;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n])}return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function o(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function l(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do{0!==(4098&(t=e).flags)&&(n=t.return),e=t.return}while(e)}return 3===t.tag?n:null}function u(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&(null!==(e=e.alternate)&&(t=e.memoizedState)),null!==t)return t.dehydrated}return null}function c(e){if(31===e.tag){var t=e.memoizedState;if(null===t&&(null!==(e=e.alternate)&&(t=e.memoizedState)),null!==t)return t.dehydrated}return null}function d(e){if(l(e)!==e)throw Error(a(188))}function h(e){var t=e.tag;if(5===t||26===t||27===t||6===t)return e;for(e=e.child;null!==e;){if(null!==(t=h(e)))return t;e=e.sibling}return null}var f=Object.assign,p=Symbol.for("react.element"),m=Symbol.for("react.transitional.element"),v=Symbol.for("react.portal"),g=Symbol.for("react.fragment"),y=Symbol.for("react.strict_mode"),A=Symbol.for("react.profiler"),b=Symbol.for("react.consumer"),w=Symbol.for("react.context"),k=Symbol.for("react.forward_ref"),S=Symbol.for("react.suspense"),E=Symbol.for("react.suspense_list"),C=Symbol.for("react.memo"),x=Symbol.for("react.lazy");Symbol.for("react.scope");var T=Symbol.for("react.activity");Symbol.for("react.legacy_hidden"),Symbol.for("react.tracing_marker");var P=Symbol.for("react.memo_cache_sentinel");Symbol.for("react.view_transition");var M=Symbol.iterator;function $(e){return null===e||"object"!==typeof e?null:"function"===typeof(e=M&&e[M]||e["@@iterator"])?e:null}var L=Symbol.for("react.client.reference");function N(e){if(null==e)return null;if("function"===typeof e)return e.$$typeof===L?null:e.displayName||e.name||null;if("string"===typeof e)return e;switch(e){case g:return"Fragment";case A:return"Profiler";case y:return"StrictMode";case S:return"Suspense";case E:return"SuspenseList";case T:return"Activity"}if("object"===typeof e)switch(e.$$typeof){case v:return"Portal";case w:return e.displayName||"Context";case b:return(e._context.displayName||"Context")+".Consumer";case k:var t=e.render;return(e=e.displayName)||(e=""!==(e=t.displayName||t.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case C:return null!==(t=e.displayName||null)?t:N(e.type)||"Memo";case x:t=e._payload,e=e._init;try{return N(e(t))}catch(n){}}return null}var D=Array.isArray,F=s.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,V=r.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,R={pending:!1,data:null,method:null,action:null},O=[],W=-1;function I(e){return{current:e}}function z(e){0>W||(e.current=O[W],O[W]=null,W--)}function B(e,t){W++,O[W]=e.current,e.current=t}var _,q,j=I(null),U=I(null),H=I(null),Z=I(null);function Q(e,t){switch(B(H,t),B(U,e),B(j,null),t.nodeType){case 9:case 11:e=(e=t.documentElement)&&(e=e.namespaceURI)?gd(e):0;break;default:if(e=t.tagName,t=t.namespaceURI)e=yd(t=gd(t),e);else switch(e){case"svg":e=1;break;case"math":e=2;break;default:e=0}}z(j),B(j,e)}function G(){z(j),z(U),z(H)}function K(e){null!==e.memoizedState&&B(Z,e);var t=j.current,n=yd(t,e.type);t!==n&&(B(U,e),B(j,n))}function X(e){U.current===e&&(z(j),z(U)),Z.current===e&&(z(Z),ch._currentValue=R)}function Y(e){if(void 0===_)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);_=t&&t[1]||"",q=-1<n.stack.indexOf("\n    at")?" (<anonymous>)":-1<n.stack.indexOf("@")?"@unknown:0:0":""}return"\n"+_+e+q}var J=!1;function ee(e,t){if(!e||J)return"";J=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{var i={DetermineComponentFrameRoot:function(){try{if(t){var n=function(){throw Error()};if(Object.defineProperty(n.prototype,"props",{set:function(){throw Error()}}),"object"===typeof Reflect&&Reflect.construct){try{Reflect.construct(n,[])}catch(s){var i=s}Reflect.construct(e,[],n)}else{try{n.call()}catch(r){i=r}e.call(n.prototype)}}else{try{throw Error()}catch(a){i=a}(n=e())&&"function"===typeof n.catch&&n.catch(function(){})}}catch(o){if(o&&i&&"string"===typeof o.stack)return[o.stack,i.stack]}return[null,null]}};i.DetermineComponentFrameRoot.displayName="DetermineComponentFrameRoot";var s=Object.getOwnPropertyDescriptor(i.DetermineComponentFrameRoot,"name");s&&s.configurable&&Object.defineProperty(i.DetermineComponentFrameRoot,"name",{value:"DetermineComponentFrameRoot"});var r=i.DetermineComponentFrameRoot(),a=r[0],o=r[1];if(a&&o){var l=a.split("\n"),u=o.split("\n");for(s=i=0;i<l.length&&!l[i].includes("DetermineComponentFrameRoot");)i++;for(;s<u.length&&!u[s].includes("DetermineComponentFrameRoot");)s++;if(i===l.length||s===u.length)for(i=l.length-1,s=u.length-1;1<=i&&0<=s&&l[i]!==u[s];)s--;for(;1<=i&&0<=s;i--,s--)if(l[i]!==u[s]){if(1!==i||1!==s)do{if(i--,0>--s||l[i]!==u[s]){var c="\n"+l[i].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}}while(1<=i&&0<=s);break}}}finally{J=!1,Error.prepareStackTrace=n}return(n=e?e.displayName||e.name:"")?Y(n):""}function te(e,t){switch(e.tag){case 26:case 27:case 5:return Y(e.type);case 16:return Y("Lazy");case 13:return e.child!==t&&null!==t?Y("Suspense Fallback"):Y("Suspense");case 19:return Y("SuspenseList");case 0:case 15:return ee(e.type,!1);case 11:return ee(e.type.render,!1);case 1:return ee(e.type,!0);case 31:return Y("Activity");default:return""}}function ne(e){try{var t="",n=null;do{t+=te(e,n),n=e,e=e.return}while(e);return t}catch(i){return"\nError generating stack: "+i.message+"\n"+i.stack}}var ie=Object.prototype.hasOwnProperty,se=i.unstable_scheduleCallback,re=i.unstable_cancelCallback,ae=i.unstable_shouldYield,oe=i.unstable_requestPaint,le=i.unstable_now,ue=i.unstable_getCurrentPriorityLevel,ce=i.unstable_ImmediatePriority,de=i.unstable_UserBlockingPriority,he=i.unstable_NormalPriority,fe=i.unstable_LowPriority,pe=i.unstable_IdlePriority,me=i.log,ve=i.unstable_setDisableYieldValue,ge=null,ye=null;function Ae(e){if("function"===typeof me&&ve(e),ye&&"function"===typeof ye.setStrictMode)try{ye.setStrictMode(ge,e)}catch(t){}}var be=Math.clz32?Math.clz32:function(e){return 0===(e>>>=0)?32:31-(we(e)/ke|0)|0},we=Math.log,ke=Math.LN2;var Se=256,Ee=262144,Ce=4194304;function xe(e){var t=42&e;if(0!==t)return t;switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:return 128;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:return 261888&e;case 262144:case 524288:case 1048576:case 2097152:return 3932160&e;case 4194304:case 8388608:case 16777216:case 33554432:return 62914560&e;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return e}}function Te(e,t,n){var i=e.pendingLanes;if(0===i)return 0;var s=0,r=e.suspendedLanes,a=e.pingedLanes;e=e.warmLanes;var o=134217727&i;return 0!==o?0!==(i=o&~r)?s=xe(i):0!==(a&=o)?s=xe(a):n||0!==(n=o&~e)&&(s=xe(n)):0!==(o=i&~r)?s=xe(o):0!==a?s=xe(a):n||0!==(n=i&~e)&&(s=xe(n)),0===s?0:0!==t&&t!==s&&0===(t&r)&&((r=s&-s)>=(n=t&-t)||32===r&&0!==(4194048&n))?t:s}function Pe(e,t){return 0===(e.pendingLanes&~(e.suspendedLanes&~e.pingedLanes)&t)}function Me(e,t){switch(e){case 1:case 2:case 4:case 8:case 64:return t+250;case 16:case 32:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return-1}}function $e(){var e=Ce;return 0===(62914560&(Ce<<=1))&&(Ce=4194304),e}function Le(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function Ne(e,t){e.pendingLanes|=t,268435456!==t&&(e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0)}function De(e,t,n){e.pendingLanes|=t,e.suspendedLanes&=~t;var i=31-be(t);e.entangledLanes|=t,e.entanglements[i]=1073741824|e.entanglements[i]|261930&n}function Fe(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var i=31-be(n),s=1<<i;s&t|e[i]&t&&(e[i]|=t),n&=~s}}function Ve(e,t){var n=t&-t;return 0!==((n=0!==(42&n)?1:Re(n))&(e.suspendedLanes|t))?0:n}function Re(e){switch(e){case 2:e=1;break;case 8:e=4;break;case 32:e=16;break;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:e=128;break;case 268435456:e=134217728;break;default:e=0}return e}function Oe(e){return 2<(e&=-e)?8<e?0!==(134217727&e)?32:268435456:8:2}function We(){var e=V.p;return 0!==e?e:void 0===(e=window.event)?32:xh(e.type)}function Ie(e,t){var n=V.p;try{return V.p=e,t()}finally{V.p=n}}var ze=Math.random().toString(36).slice(2),Be="__reactFiber$"+ze,_e="__reactProps$"+ze,qe="__reactContainer$"+ze,je="__reactEvents$"+ze,Ue="__reactListeners$"+ze,He="__reactHandles$"+ze,Ze="__reactResources$"+ze,Qe="__reactMarker$"+ze;function Ge(e){delete e[Be],delete e[_e],delete e[je],delete e[Ue],delete e[He]}function Ke(e){var t=e[Be];if(t)return t;for(var n=e.parentNode;n;){if(t=n[qe]||n[Be]){if(n=t.alternate,null!==t.child||null!==n&&null!==n.child)for(e=Rd(e);null!==e;){if(n=e[Be])return n;e=Rd(e)}return t}n=(e=n).parentNode}return null}function Xe(e){if(e=e[Be]||e[qe]){var t=e.tag;if(5===t||6===t||13===t||31===t||26===t||27===t||3===t)return e}return null}function Ye(e){var t=e.tag;if(5===t||26===t||27===t||6===t)return e.stateNode;throw Error(a(33))}function Je(e){var t=e[Ze];return t||(t=e[Ze]={hoistableStyles:new Map,hoistableScripts:new Map}),t}function et(e){e[Qe]=!0}var tt=new Set,nt={};function it(e,t){st(e,t),st(e+"Capture",t)}function st(e,t){for(nt[e]=t,e=0;e<t.length;e++)tt.add(t[e])}var rt=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),at={},ot={};function lt(e,t,n){if(s=t,ie.call(ot,s)||!ie.call(at,s)&&(rt.test(s)?ot[s]=!0:(at[s]=!0,0)))if(null===n)e.removeAttribute(t);else{switch(typeof n){case"undefined":case"function":case"symbol":return void e.removeAttribute(t);case"boolean":var i=t.toLowerCase().slice(0,5);if("data-"!==i&&"aria-"!==i)return void e.removeAttribute(t)}e.setAttribute(t,""+n)}var s}function ut(e,t,n){if(null===n)e.removeAttribute(t);else{switch(typeof n){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(t)}e.setAttribute(t,""+n)}}function ct(e,t,n,i){if(null===i)e.removeAttribute(n);else{switch(typeof i){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(n)}e.setAttributeNS(t,n,""+i)}}function dt(e){switch(typeof e){case"bigint":case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function ht(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function ft(e){if(!e._valueTracker){var t=ht(e)?"checked":"value";e._valueTracker=function(e,t,n){var i=Object.getOwnPropertyDescriptor(e.constructor.prototype,t);if(!e.hasOwnProperty(t)&&"undefined"!==typeof i&&"function"===typeof i.get&&"function"===typeof i.set){var s=i.get,r=i.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return s.call(this)},set:function(e){n=""+e,r.call(this,e)}}),Object.defineProperty(e,t,{enumerable:i.enumerable}),{getValue:function(){return n},setValue:function(e){n=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e,t,""+e[t])}}function pt(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),i="";return e&&(i=ht(e)?e.checked?"true":"false":e.value),(e=i)!==n&&(t.setValue(e),!0)}function mt(e){if("undefined"===typeof(e=e||("undefined"!==typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}var vt=/[\n"\\]/g;function gt(e){return e.replace(vt,function(e){return"\\"+e.charCodeAt(0).toString(16)+" "})}function yt(e,t,n,i,s,r,a,o){e.name="",null!=a&&"function"!==typeof a&&"symbol"!==typeof a&&"boolean"!==typeof a?e.type=a:e.removeAttribute("type"),null!=t?"number"===a?(0===t&&""===e.value||e.value!=t)&&(e.value=""+dt(t)):e.value!==""+dt(t)&&(e.value=""+dt(t)):"submit"!==a&&"reset"!==a||e.removeAttribute("value"),null!=t?bt(e,a,dt(t)):null!=n?bt(e,a,dt(n)):null!=i&&e.removeAttribute("value"),null==s&&null!=r&&(e.defaultChecked=!!r),null!=s&&(e.checked=s&&"function"!==typeof s&&"symbol"!==typeof s),null!=o&&"function"!==typeof o&&"symbol"!==typeof o&&"boolean"!==typeof o?e.name=""+dt(o):e.removeAttribute("name")}function At(e,t,n,i,s,r,a,o){if(null!=r&&"function"!==typeof r&&"symbol"!==typeof r&&"boolean"!==typeof r&&(e.type=r),null!=t||null!=n){if(!("submit"!==r&&"reset"!==r||void 0!==t&&null!==t))return void ft(e);n=null!=n?""+dt(n):"",t=null!=t?""+dt(t):n,o||t===e.value||(e.value=t),e.defaultValue=t}i="function"!==typeof(i=null!=i?i:s)&&"symbol"!==typeof i&&!!i,e.checked=o?e.checked:!!i,e.defaultChecked=!!i,null!=a&&"function"!==typeof a&&"symbol"!==typeof a&&"boolean"!==typeof a&&(e.name=a),ft(e)}function bt(e,t,n){"number"===t&&mt(e.ownerDocument)===e||e.defaultValue===""+n||(e.defaultValue=""+n)}function wt(e,t,n,i){if(e=e.options,t){t={};for(var s=0;s<n.length;s++)t["$"+n[s]]=!0;for(n=0;n<e.length;n++)s=t.hasOwnProperty("$"+e[n].value),e[n].selected!==s&&(e[n].selected=s),s&&i&&(e[n].defaultSelected=!0)}else{for(n=""+dt(n),t=null,s=0;s<e.length;s++){if(e[s].value===n)return e[s].selected=!0,void(i&&(e[s].defaultSelected=!0));null!==t||e[s].disabled||(t=e[s])}null!==t&&(t.selected=!0)}}function kt(e,t,n){null==t||((t=""+dt(t))!==e.value&&(e.value=t),null!=n)?e.defaultValue=null!=n?""+dt(n):"":e.defaultValue!==t&&(e.defaultValue=t)}function St(e,t,n,i){if(null==t){if(null!=i){if(null!=n)throw Error(a(92));if(D(i)){if(1<i.length)throw Error(a(93));i=i[0]}n=i}null==n&&(n=""),t=n}n=dt(t),e.defaultValue=n,(i=e.textContent)===n&&""!==i&&null!==i&&(e.value=i),ft(e)}function Et(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&3===n.nodeType)return void(n.nodeValue=t)}e.textContent=t}var Ct=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function xt(e,t,n){var i=0===t.indexOf("--");null==n||"boolean"===typeof n||""===n?i?e.setProperty(t,""):"float"===t?e.cssFloat="":e[t]="":i?e.setProperty(t,n):"number"!==typeof n||0===n||Ct.has(t)?"float"===t?e.cssFloat=n:e[t]=(""+n).trim():e[t]=n+"px"}function Tt(e,t,n){if(null!=t&&"object"!==typeof t)throw Error(a(62));if(e=e.style,null!=n){for(var i in n)!n.hasOwnProperty(i)||null!=t&&t.hasOwnProperty(i)||(0===i.indexOf("--")?e.setProperty(i,""):"float"===i?e.cssFloat="":e[i]="");for(var s in t)i=t[s],t.hasOwnProperty(s)&&n[s]!==i&&xt(e,s,i)}else for(var r in t)t.hasOwnProperty(r)&&xt(e,r,t[r])}function Pt(e){if(-1===e.indexOf("-"))return!1;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Mt=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),$t=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function Lt(e){return $t.test(""+e)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":e}function Nt(){}var Dt=null;function Ft(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var Vt=null,Rt=null;function Ot(e){var t=Xe(e);if(t&&(e=t.stateNode)){var n=e[_e]||null;e:switch(e=t.stateNode,t.type){case"input":if(yt(e,n.value,n.defaultValue,n.defaultValue,n.checked,n.defaultChecked,n.type,n.name),t=n.name,"radio"===n.type&&null!=t){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll('input[name="'+gt(""+t)+'"][type="radio"]'),t=0;t<n.length;t++){var i=n[t];if(i!==e&&i.form===e.form){var s=i[_e]||null;if(!s)throw Error(a(90));yt(i,s.value,s.defaultValue,s.defaultValue,s.checked,s.defaultChecked,s.type,s.name)}}for(t=0;t<n.length;t++)(i=n[t]).form===e.form&&pt(i)}break e;case"textarea":kt(e,n.value,n.defaultValue);break e;case"select":null!=(t=n.value)&&wt(e,!!n.multiple,t,!1)}}}var Wt=!1;function It(e,t,n){if(Wt)return e(t,n);Wt=!0;try{return e(t)}finally{if(Wt=!1,(null!==Vt||null!==Rt)&&(Ju(),Vt&&(t=Vt,e=Rt,Rt=Vt=null,Ot(t),e)))for(t=0;t<e.length;t++)Ot(e[t])}}function zt(e,t){var n=e.stateNode;if(null===n)return null;var i=n[_e]||null;if(null===i)return null;n=i[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(i=!i.disabled)||(i=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!i;break e;default:e=!1}if(e)return null;if(n&&"function"!==typeof n)throw Error(a(231,t,typeof n));return n}var Bt=!("undefined"===typeof window||"undefined"===typeof window.document||"undefined"===typeof window.document.createElement),_t=!1;if(Bt)try{var qt={};Object.defineProperty(qt,"passive",{get:function(){_t=!0}}),window.addEventListener("test",qt,qt),window.removeEventListener("test",qt,qt)}catch(Xh){_t=!1}var jt=null,Ut=null,Ht=null;function Zt(){if(Ht)return Ht;var e,t,n=Ut,i=n.length,s="value"in jt?jt.value:jt.textContent,r=s.length;for(e=0;e<i&&n[e]===s[e];e++);var a=i-e;for(t=1;t<=a&&n[i-t]===s[r-t];t++);return Ht=s.slice(e,1<t?1-t:void 0)}function Qt(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function Gt(){return!0}function Kt(){return!1}function Xt(e){function t(t,n,i,s,r){for(var a in this._reactName=t,this._targetInst=i,this.type=n,this.nativeEvent=s,this.target=r,this.currentTarget=null,e)e.hasOwnProperty(a)&&(t=e[a],this[a]=t?t(s):s[a]);return this.isDefaultPrevented=(null!=s.defaultPrevented?s.defaultPrevented:!1===s.returnValue)?Gt:Kt,this.isPropagationStopped=Kt,this}return f(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!==typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=Gt)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!==typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=Gt)},persist:function(){},isPersistent:Gt}),t}var Yt,Jt,en,tn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},nn=Xt(tn),sn=f({},tn,{view:0,detail:0}),rn=Xt(sn),an=f({},sn,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:gn,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==en&&(en&&"mousemove"===e.type?(Yt=e.screenX-en.screenX,Jt=e.screenY-en.screenY):Jt=Yt=0,en=e),Yt)},movementY:function(e){return"movementY"in e?e.movementY:Jt}}),on=Xt(an),ln=Xt(f({},an,{dataTransfer:0})),un=Xt(f({},sn,{relatedTarget:0})),cn=Xt(f({},tn,{animationName:0,elapsedTime:0,pseudoElement:0})),dn=Xt(f({},tn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),hn=Xt(f({},tn,{data:0})),fn={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},pn={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},mn={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function vn(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=mn[e])&&!!t[e]}function gn(){return vn}var yn=Xt(f({},sn,{key:function(e){if(e.key){var t=fn[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=Qt(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?pn[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:gn,charCode:function(e){return"keypress"===e.type?Qt(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?Qt(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),An=Xt(f({},an,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),bn=Xt(f({},sn,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:gn})),wn=Xt(f({},tn,{propertyName:0,elapsedTime:0,pseudoElement:0})),kn=Xt(f({},an,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),Sn=Xt(f({},tn,{newState:0,oldState:0})),En=[9,13,27,32],Cn=Bt&&"CompositionEvent"in window,xn=null;Bt&&"documentMode"in document&&(xn=document.documentMode);var Tn=Bt&&"TextEvent"in window&&!xn,Pn=Bt&&(!Cn||xn&&8<xn&&11>=xn),Mn=String.fromCharCode(32),$n=!1;function Ln(e,t){switch(e){case"keyup":return-1!==En.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Nn(e){return"object"===typeof(e=e.detail)&&"data"in e?e.data:null}var Dn=!1;var Fn={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Vn(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!Fn[e.type]:"textarea"===t}function Rn(e,t,n,i){Vt?Rt?Rt.push(i):Rt=[i]:Vt=i,0<(t=id(t,"onChange")).length&&(n=new nn("onChange","change",null,n,i),e.push({event:n,listeners:t}))}var On=null,Wn=null;function In(e){Gc(e,0)}function zn(e){if(pt(Ye(e)))return e}function Bn(e,t){if("change"===e)return t}var _n=!1;if(Bt){var qn;if(Bt){var jn="oninput"in document;if(!jn){var Un=document.createElement("div");Un.setAttribute("oninput","return;"),jn="function"===typeof Un.oninput}qn=jn}else qn=!1;_n=qn&&(!document.documentMode||9<document.documentMode)}function Hn(){On&&(On.detachEvent("onpropertychange",Zn),Wn=On=null)}function Zn(e){if("value"===e.propertyName&&zn(Wn)){var t=[];Rn(t,Wn,e,Ft(e)),It(In,t)}}function Qn(e,t,n){"focusin"===e?(Hn(),Wn=n,(On=t).attachEvent("onpropertychange",Zn)):"focusout"===e&&Hn()}function Gn(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return zn(Wn)}function Kn(e,t){if("click"===e)return zn(t)}function Xn(e,t){if("input"===e||"change"===e)return zn(t)}var Yn="function"===typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e===1/t)||e!==e&&t!==t};function Jn(e,t){if(Yn(e,t))return!0;if("object"!==typeof e||null===e||"object"!==typeof t||null===t)return!1;var n=Object.keys(e),i=Object.keys(t);if(n.length!==i.length)return!1;for(i=0;i<n.length;i++){var s=n[i];if(!ie.call(t,s)||!Yn(e[s],t[s]))return!1}return!0}function ei(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function ti(e,t){var n,i=ei(e);for(e=0;i;){if(3===i.nodeType){if(n=e+i.textContent.length,e<=t&&n>=t)return{node:i,offset:t-e};e=n}e:{for(;i;){if(i.nextSibling){i=i.nextSibling;break e}i=i.parentNode}i=void 0}i=ei(i)}}function ni(e,t){return!(!e||!t)&&(e===t||(!e||3!==e.nodeType)&&(t&&3===t.nodeType?ni(e,t.parentNode):"contains"in e?e.contains(t):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(t))))}function ii(e){for(var t=mt((e=null!=e&&null!=e.ownerDocument&&null!=e.ownerDocument.defaultView?e.ownerDocument.defaultView:window).document);t instanceof e.HTMLIFrameElement;){try{var n="string"===typeof t.contentWindow.location.href}catch(i){n=!1}if(!n)break;t=mt((e=t.contentWindow).document)}return t}function si(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}var ri=Bt&&"documentMode"in document&&11>=document.documentMode,ai=null,oi=null,li=null,ui=!1;function ci(e,t,n){var i=n.window===n?n.document:9===n.nodeType?n:n.ownerDocument;ui||null==ai||ai!==mt(i)||("selectionStart"in(i=ai)&&si(i)?i={start:i.selectionStart,end:i.selectionEnd}:i={anchorNode:(i=(i.ownerDocument&&i.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:i.anchorOffset,focusNode:i.focusNode,focusOffset:i.focusOffset},li&&Jn(li,i)||(li=i,0<(i=id(oi,"onSelect")).length&&(t=new nn("onSelect","select",null,t,n),e.push({event:t,listeners:i}),t.target=ai)))}function di(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var hi={animationend:di("Animation","AnimationEnd"),animationiteration:di("Animation","AnimationIteration"),animationstart:di("Animation","AnimationStart"),transitionrun:di("Transition","TransitionRun"),transitionstart:di("Transition","TransitionStart"),transitioncancel:di("Transition","TransitionCancel"),transitionend:di("Transition","TransitionEnd")},fi={},pi={};function mi(e){if(fi[e])return fi[e];if(!hi[e])return e;var t,n=hi[e];for(t in n)if(n.hasOwnProperty(t)&&t in pi)return fi[e]=n[t];return e}Bt&&(pi=document.createElement("div").style,"AnimationEvent"in window||(delete hi.animationend.animation,delete hi.animationiteration.animation,delete hi.animationstart.animation),"TransitionEvent"in window||delete hi.transitionend.transition);var vi=mi("animationend"),gi=mi("animationiteration"),yi=mi("animationstart"),Ai=mi("transitionrun"),bi=mi("transitionstart"),wi=mi("transitioncancel"),ki=mi("transitionend"),Si=new Map,Ei="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Ci(e,t){Si.set(e,t),it(t,[e])}Ei.push("scrollEnd");var xi="function"===typeof reportError?reportError:function(e){if("object"===typeof window&&"function"===typeof window.ErrorEvent){var t=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"===typeof e&&null!==e&&"string"===typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(t))return}else if("object"===typeof process&&"function"===typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)},Ti=[],Pi=0,Mi=0;function $i(){for(var e=Pi,t=Mi=Pi=0;t<e;){var n=Ti[t];Ti[t++]=null;var i=Ti[t];Ti[t++]=null;var s=Ti[t];Ti[t++]=null;var r=Ti[t];if(Ti[t++]=null,null!==i&&null!==s){var a=i.pending;null===a?s.next=s:(s.next=a.next,a.next=s),i.pending=s}0!==r&&Fi(n,s,r)}}function Li(e,t,n,i){Ti[Pi++]=e,Ti[Pi++]=t,Ti[Pi++]=n,Ti[Pi++]=i,Mi|=i,e.lanes|=i,null!==(e=e.alternate)&&(e.lanes|=i)}function Ni(e,t,n,i){return Li(e,t,n,i),Vi(e)}function Di(e,t){return Li(e,null,null,t),Vi(e)}function Fi(e,t,n){e.lanes|=n;var i=e.alternate;null!==i&&(i.lanes|=n);for(var s=!1,r=e.return;null!==r;)r.childLanes|=n,null!==(i=r.alternate)&&(i.childLanes|=n),22===r.tag&&(null===(e=r.stateNode)||1&e._visibility||(s=!0)),e=r,r=r.return;return 3===e.tag?(r=e.stateNode,s&&null!==t&&(s=31-be(n),null===(i=(e=r.hiddenUpdates)[s])?e[s]=[t]:i.push(t),t.lane=536870912|n),r):null}function Vi(e){if(50<ju)throw ju=0,Uu=null,Error(a(185));for(var t=e.return;null!==t;)t=(e=t).return;return 3===e.tag?e.stateNode:null}var Ri={};function Oi(e,t,n,i){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=i,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Wi(e,t,n,i){return new Oi(e,t,n,i)}function Ii(e){return!(!(e=e.prototype)||!e.isReactComponent)}function zi(e,t){var n=e.alternate;return null===n?((n=Wi(e.tag,t,e.key,e.mode)).elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=65011712&e.flags,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n.refCleanup=e.refCleanup,n}function Bi(e,t){e.flags&=65011714;var n=e.alternate;return null===n?(e.childLanes=0,e.lanes=t,e.child=null,e.subtreeFlags=0,e.memoizedProps=null,e.memoizedState=null,e.updateQueue=null,e.dependencies=null,e.stateNode=null):(e.childLanes=n.childLanes,e.lanes=n.lanes,e.child=n.child,e.subtreeFlags=0,e.deletions=null,e.memoizedProps=n.memoizedProps,e.memoizedState=n.memoizedState,e.updateQueue=n.updateQueue,e.type=n.type,t=n.dependencies,e.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext}),e}function _i(e,t,n,i,s,r){var o=0;if(i=e,"function"===typeof e)Ii(e)&&(o=1);else if("string"===typeof e)o=function(e,t,n){if(1===n||null!=t.itemProp)return!1;switch(e){case"meta":case"title":return!0;case"style":if("string"!==typeof t.precedence||"string"!==typeof t.href||""===t.href)break;return!0;case"link":if("string"!==typeof t.rel||"string"!==typeof t.href||""===t.href||t.onLoad||t.onError)break;return"stylesheet"!==t.rel||(e=t.disabled,"string"===typeof t.precedence&&null==e);case"script":if(t.async&&"function"!==typeof t.async&&"symbol"!==typeof t.async&&!t.onLoad&&!t.onError&&t.src&&"string"===typeof t.src)return!0}return!1}(e,n,j.current)?26:"html"===e||"head"===e||"body"===e?27:5;else e:switch(e){case T:return(e=Wi(31,n,t,s)).elementType=T,e.lanes=r,e;case g:return qi(n.children,s,r,t);case y:o=8,s|=24;break;case A:return(e=Wi(12,n,t,2|s)).elementType=A,e.lanes=r,e;case S:return(e=Wi(13,n,t,s)).elementType=S,e.lanes=r,e;case E:return(e=Wi(19,n,t,s)).elementType=E,e.lanes=r,e;default:if("object"===typeof e&&null!==e)switch(e.$$typeof){case w:o=10;break e;case b:o=9;break e;case k:o=11;break e;case C:o=14;break e;case x:o=16,i=null;break e}o=29,n=Error(a(130,null===e?"null":typeof e,"")),i=null}return(t=Wi(o,n,t,s)).elementType=e,t.type=i,t.lanes=r,t}function qi(e,t,n,i){return(e=Wi(7,e,i,t)).lanes=n,e}function ji(e,t,n){return(e=Wi(6,e,null,t)).lanes=n,e}function Ui(e){var t=Wi(18,null,null,0);return t.stateNode=e,t}function Hi(e,t,n){return(t=Wi(4,null!==e.children?e.children:[],e.key,t)).lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}var Zi=new WeakMap;function Qi(e,t){if("object"===typeof e&&null!==e){var n=Zi.get(e);return void 0!==n?n:(t={value:e,source:t,stack:ne(t)},Zi.set(e,t),t)}return{value:e,source:t,stack:ne(t)}}var Gi=[],Ki=0,Xi=null,Yi=0,Ji=[],es=0,ts=null,ns=1,is="";function ss(e,t){Gi[Ki++]=Yi,Gi[Ki++]=Xi,Xi=e,Yi=t}function rs(e,t,n){Ji[es++]=ns,Ji[es++]=is,Ji[es++]=ts,ts=e;var i=ns;e=is;var s=32-be(i)-1;i&=~(1<<s),n+=1;var r=32-be(t)+s;if(30<r){var a=s-s%5;r=(i&(1<<a)-1).toString(32),i>>=a,s-=a,ns=1<<32-be(t)+s|n<<s|i,is=r+e}else ns=1<<r|n<<s|i,is=e}function as(e){null!==e.return&&(ss(e,1),rs(e,1,0))}function os(e){for(;e===Xi;)Xi=Gi[--Ki],Gi[Ki]=null,Yi=Gi[--Ki],Gi[Ki]=null;for(;e===ts;)ts=Ji[--es],Ji[es]=null,is=Ji[--es],Ji[es]=null,ns=Ji[--es],Ji[es]=null}function ls(e,t){Ji[es++]=ns,Ji[es++]=is,Ji[es++]=ts,ns=t.id,is=t.overflow,ts=e}var us=null,cs=null,ds=!1,hs=null,fs=!1,ps=Error(a(519));function ms(e){throw ws(Qi(Error(a(418,1<arguments.length&&void 0!==arguments[1]&&arguments[1]?"text":"HTML","")),e)),ps}function vs(e){var t=e.stateNode,n=e.type,i=e.memoizedProps;switch(t[Be]=e,t[_e]=i,n){case"dialog":Kc("cancel",t),Kc("close",t);break;case"iframe":case"object":case"embed":Kc("load",t);break;case"video":case"audio":for(n=0;n<Zc.length;n++)Kc(Zc[n],t);break;case"source":Kc("error",t);break;case"img":case"image":case"link":Kc("error",t),Kc("load",t);break;case"details":Kc("toggle",t);break;case"input":Kc("invalid",t),At(t,i.value,i.defaultValue,i.checked,i.defaultChecked,i.type,i.name,!0);break;case"select":Kc("invalid",t);break;case"textarea":Kc("invalid",t),St(t,i.value,i.defaultValue,i.children)}"string"!==typeof(n=i.children)&&"number"!==typeof n&&"bigint"!==typeof n||t.textContent===""+n||!0===i.suppressHydrationWarning||ud(t.textContent,n)?(null!=i.popover&&(Kc("beforetoggle",t),Kc("toggle",t)),null!=i.onScroll&&Kc("scroll",t),null!=i.onScrollEnd&&Kc("scrollend",t),null!=i.onClick&&(t.onclick=Nt),t=!0):t=!1,t||ms(e,!0)}function gs(e){for(us=e.return;us;)switch(us.tag){case 5:case 31:case 13:return void(fs=!1);case 27:case 3:return void(fs=!0);default:us=us.return}}function ys(e){if(e!==us)return!1;if(!ds)return gs(e),ds=!0,!1;var t,n=e.tag;if((t=3!==n&&27!==n)&&((t=5===n)&&(t=!("form"!==(t=e.type)&&"button"!==t)||Ad(e.type,e.memoizedProps)),t=!t),t&&cs&&ms(e),gs(e),13===n){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(a(317));cs=Vd(e)}else if(31===n){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(a(317));cs=Vd(e)}else 27===n?(n=cs,xd(e.type)?(e=Fd,Fd=null,cs=e):cs=n):cs=us?Dd(e.stateNode.nextSibling):null;return!0}function As(){cs=us=null,ds=!1}function bs(){var e=hs;return null!==e&&(null===$u?$u=e:$u.push.apply($u,e),hs=null),e}function ws(e){null===hs?hs=[e]:hs.push(e)}var ks=I(null),Ss=null,Es=null;function Cs(e,t,n){B(ks,t._currentValue),t._currentValue=n}function xs(e){e._currentValue=ks.current,z(ks)}function Ts(e,t,n){for(;null!==e;){var i=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==i&&(i.childLanes|=t)):null!==i&&(i.childLanes&t)!==t&&(i.childLanes|=t),e===n)break;e=e.return}}function Ps(e,t,n,i){var s=e.child;for(null!==s&&(s.return=e);null!==s;){var r=s.dependencies;if(null!==r){var o=s.child;r=r.firstContext;e:for(;null!==r;){var l=r;r=s;for(var u=0;u<t.length;u++)if(l.context===t[u]){r.lanes|=n,null!==(l=r.alternate)&&(l.lanes|=n),Ts(r.return,n,e),i||(o=null);break e}r=l.next}}else if(18===s.tag){if(null===(o=s.return))throw Error(a(341));o.lanes|=n,null!==(r=o.alternate)&&(r.lanes|=n),Ts(o,n,e),o=null}else o=s.child;if(null!==o)o.return=s;else for(o=s;null!==o;){if(o===e){o=null;break}if(null!==(s=o.sibling)){s.return=o.return,o=s;break}o=o.return}s=o}}function Ms(e,t,n,i){e=null;for(var s=t,r=!1;null!==s;){if(!r)if(0!==(524288&s.flags))r=!0;else if(0!==(262144&s.flags))break;if(10===s.tag){var o=s.alternate;if(null===o)throw Error(a(387));if(null!==(o=o.memoizedProps)){var l=s.type;Yn(s.pendingProps.value,o.value)||(null!==e?e.push(l):e=[l])}}else if(s===Z.current){if(null===(o=s.alternate))throw Error(a(387));o.memoizedState.memoizedState!==s.memoizedState.memoizedState&&(null!==e?e.push(ch):e=[ch])}s=s.return}null!==e&&Ps(t,e,n,i),t.flags|=262144}function $s(e){for(e=e.firstContext;null!==e;){if(!Yn(e.context._currentValue,e.memoizedValue))return!0;e=e.next}return!1}function Ls(e){Ss=e,Es=null,null!==(e=e.dependencies)&&(e.firstContext=null)}function Ns(e){return Fs(Ss,e)}function Ds(e,t){return null===Ss&&Ls(e),Fs(e,t)}function Fs(e,t){var n=t._currentValue;if(t={context:t,memoizedValue:n,next:null},null===Es){if(null===e)throw Error(a(308));Es=t,e.dependencies={lanes:0,firstContext:t},e.flags|=524288}else Es=Es.next=t;return n}var Vs="undefined"!==typeof AbortController?AbortController:function(){var e=[],t=this.signal={aborted:!1,addEventListener:function(t,n){e.push(n)}};this.abort=function(){t.aborted=!0,e.forEach(function(e){return e()})}},Rs=i.unstable_scheduleCallback,Os=i.unstable_NormalPriority,Ws={$$typeof:w,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function Is(){return{controller:new Vs,data:new Map,refCount:0}}function zs(e){e.refCount--,0===e.refCount&&Rs(Os,function(){e.controller.abort()})}var Bs=null,_s=0,qs=0,js=null;function Us(){if(0===--_s&&null!==Bs){null!==js&&(js.status="fulfilled");var e=Bs;Bs=null,qs=0,js=null;for(var t=0;t<e.length;t++)(0,e[t])()}}var Hs=F.S;F.S=function(e,t){Du=le(),"object"===typeof t&&null!==t&&"function"===typeof t.then&&function(e,t){if(null===Bs){var n=Bs=[];_s=0,qs=_c(),js={status:"pending",value:void 0,then:function(e){n.push(e)}}}_s++,t.then(Us,Us)}(0,t),null!==Hs&&Hs(e,t)};var Zs=I(null);function Qs(){var e=Zs.current;return null!==e?e:pu.pooledCache}function Gs(e,t){B(Zs,null===t?Zs.current:t.pool)}function Ks(){var e=Qs();return null===e?null:{parent:Ws._currentValue,pool:e}}var Xs=Error(a(460)),Ys=Error(a(474)),Js=Error(a(542)),er={then:function(){}};function tr(e){return"fulfilled"===(e=e.status)||"rejected"===e}function nr(e,t,n){switch(void 0===(n=e[n])?e.push(t):n!==t&&(t.then(Nt,Nt),t=n),t.status){case"fulfilled":return t.value;case"rejected":throw ar(e=t.reason),e;default:if("string"===typeof t.status)t.then(Nt,Nt);else{if(null!==(e=pu)&&100<e.shellSuspendCounter)throw Error(a(482));(e=t).status="pending",e.then(function(e){if("pending"===t.status){var n=t;n.status="fulfilled",n.value=e}},function(e){if("pending"===t.status){var n=t;n.status="rejected",n.reason=e}})}switch(t.status){case"fulfilled":return t.value;case"rejected":throw ar(e=t.reason),e}throw sr=t,Xs}}function ir(e){try{return(0,e._init)(e._payload)}catch(t){if(null!==t&&"object"===typeof t&&"function"===typeof t.then)throw sr=t,Xs;throw t}}var sr=null;function rr(){if(null===sr)throw Error(a(459));var e=sr;return sr=null,e}function ar(e){if(e===Xs||e===Js)throw Error(a(483))}var or=null,lr=0;function ur(e){var t=lr;return lr+=1,null===or&&(or=[]),nr(or,e,t)}function cr(e,t){t=t.props.ref,e.ref=void 0!==t?t:null}function dr(e,t){if(t.$$typeof===p)throw Error(a(525));throw e=Object.prototype.toString.call(t),Error(a(31,"[object Object]"===e?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function hr(e){function t(t,n){if(e){var i=t.deletions;null===i?(t.deletions=[n],t.flags|=16):i.push(n)}}function n(n,i){if(!e)return null;for(;null!==i;)t(n,i),i=i.sibling;return null}function i(e){for(var t=new Map;null!==e;)null!==e.key?t.set(e.key,e):t.set(e.index,e),e=e.sibling;return t}function s(e,t){return(e=zi(e,t)).index=0,e.sibling=null,e}function r(t,n,i){return t.index=i,e?null!==(i=t.alternate)?(i=i.index)<n?(t.flags|=67108866,n):i:(t.flags|=67108866,n):(t.flags|=1048576,n)}function o(t){return e&&null===t.alternate&&(t.flags|=67108866),t}function l(e,t,n,i){return null===t||6!==t.tag?((t=ji(n,e.mode,i)).return=e,t):((t=s(t,n)).return=e,t)}function u(e,t,n,i){var r=n.type;return r===g?d(e,t,n.props.children,i,n.key):null!==t&&(t.elementType===r||"object"===typeof r&&null!==r&&r.$$typeof===x&&ir(r)===t.type)?(cr(t=s(t,n.props),n),t.return=e,t):(cr(t=_i(n.type,n.key,n.props,null,e.mode,i),n),t.return=e,t)}function c(e,t,n,i){return null===t||4!==t.tag||t.stateNode.containerInfo!==n.containerInfo||t.stateNode.implementation!==n.implementation?((t=Hi(n,e.mode,i)).return=e,t):((t=s(t,n.children||[])).return=e,t)}function d(e,t,n,i,r){return null===t||7!==t.tag?((t=qi(n,e.mode,i,r)).return=e,t):((t=s(t,n)).return=e,t)}function h(e,t,n){if("string"===typeof t&&""!==t||"number"===typeof t||"bigint"===typeof t)return(t=ji(""+t,e.mode,n)).return=e,t;if("object"===typeof t&&null!==t){switch(t.$$typeof){case m:return cr(n=_i(t.type,t.key,t.props,null,e.mode,n),t),n.return=e,n;case v:return(t=Hi(t,e.mode,n)).return=e,t;case x:return h(e,t=ir(t),n)}if(D(t)||$(t))return(t=qi(t,e.mode,n,null)).return=e,t;if("function"===typeof t.then)return h(e,ur(t),n);if(t.$$typeof===w)return h(e,Ds(e,t),n);dr(e,t)}return null}function f(e,t,n,i){var s=null!==t?t.key:null;if("string"===typeof n&&""!==n||"number"===typeof n||"bigint"===typeof n)return null!==s?null:l(e,t,""+n,i);if("object"===typeof n&&null!==n){switch(n.$$typeof){case m:return n.key===s?u(e,t,n,i):null;case v:return n.key===s?c(e,t,n,i):null;case x:return f(e,t,n=ir(n),i)}if(D(n)||$(n))return null!==s?null:d(e,t,n,i,null);if("function"===typeof n.then)return f(e,t,ur(n),i);if(n.$$typeof===w)return f(e,t,Ds(e,n),i);dr(e,n)}return null}function p(e,t,n,i,s){if("string"===typeof i&&""!==i||"number"===typeof i||"bigint"===typeof i)return l(t,e=e.get(n)||null,""+i,s);if("object"===typeof i&&null!==i){switch(i.$$typeof){case m:return u(t,e=e.get(null===i.key?n:i.key)||null,i,s);case v:return c(t,e=e.get(null===i.key?n:i.key)||null,i,s);case x:return p(e,t,n,i=ir(i),s)}if(D(i)||$(i))return d(t,e=e.get(n)||null,i,s,null);if("function"===typeof i.then)return p(e,t,n,ur(i),s);if(i.$$typeof===w)return p(e,t,n,Ds(t,i),s);dr(t,i)}return null}function y(l,u,c,d){if("object"===typeof c&&null!==c&&c.type===g&&null===c.key&&(c=c.props.children),"object"===typeof c&&null!==c){switch(c.$$typeof){case m:e:{for(var A=c.key;null!==u;){if(u.key===A){if((A=c.type)===g){if(7===u.tag){n(l,u.sibling),(d=s(u,c.props.children)).return=l,l=d;break e}}else if(u.elementType===A||"object"===typeof A&&null!==A&&A.$$typeof===x&&ir(A)===u.type){n(l,u.sibling),cr(d=s(u,c.props),c),d.return=l,l=d;break e}n(l,u);break}t(l,u),u=u.sibling}c.type===g?((d=qi(c.props.children,l.mode,d,c.key)).return=l,l=d):(cr(d=_i(c.type,c.key,c.props,null,l.mode,d),c),d.return=l,l=d)}return o(l);case v:e:{for(A=c.key;null!==u;){if(u.key===A){if(4===u.tag&&u.stateNode.containerInfo===c.containerInfo&&u.stateNode.implementation===c.implementation){n(l,u.sibling),(d=s(u,c.children||[])).return=l,l=d;break e}n(l,u);break}t(l,u),u=u.sibling}(d=Hi(c,l.mode,d)).return=l,l=d}return o(l);case x:return y(l,u,c=ir(c),d)}if(D(c))return function(s,a,o,l){for(var u=null,c=null,d=a,m=a=0,v=null;null!==d&&m<o.length;m++){d.index>m?(v=d,d=null):v=d.sibling;var g=f(s,d,o[m],l);if(null===g){null===d&&(d=v);break}e&&d&&null===g.alternate&&t(s,d),a=r(g,a,m),null===c?u=g:c.sibling=g,c=g,d=v}if(m===o.length)return n(s,d),ds&&ss(s,m),u;if(null===d){for(;m<o.length;m++)null!==(d=h(s,o[m],l))&&(a=r(d,a,m),null===c?u=d:c.sibling=d,c=d);return ds&&ss(s,m),u}for(d=i(d);m<o.length;m++)null!==(v=p(d,s,m,o[m],l))&&(e&&null!==v.alternate&&d.delete(null===v.key?m:v.key),a=r(v,a,m),null===c?u=v:c.sibling=v,c=v);return e&&d.forEach(function(e){return t(s,e)}),ds&&ss(s,m),u}(l,u,c,d);if($(c)){if("function"!==typeof(A=$(c)))throw Error(a(150));return function(s,o,l,u){if(null==l)throw Error(a(151));for(var c=null,d=null,m=o,v=o=0,g=null,y=l.next();null!==m&&!y.done;v++,y=l.next()){m.index>v?(g=m,m=null):g=m.sibling;var A=f(s,m,y.value,u);if(null===A){null===m&&(m=g);break}e&&m&&null===A.alternate&&t(s,m),o=r(A,o,v),null===d?c=A:d.sibling=A,d=A,m=g}if(y.done)return n(s,m),ds&&ss(s,v),c;if(null===m){for(;!y.done;v++,y=l.next())null!==(y=h(s,y.value,u))&&(o=r(y,o,v),null===d?c=y:d.sibling=y,d=y);return ds&&ss(s,v),c}for(m=i(m);!y.done;v++,y=l.next())null!==(y=p(m,s,v,y.value,u))&&(e&&null!==y.alternate&&m.delete(null===y.key?v:y.key),o=r(y,o,v),null===d?c=y:d.sibling=y,d=y);return e&&m.forEach(function(e){return t(s,e)}),ds&&ss(s,v),c}(l,u,c=A.call(c),d)}if("function"===typeof c.then)return y(l,u,ur(c),d);if(c.$$typeof===w)return y(l,u,Ds(l,c),d);dr(l,c)}return"string"===typeof c&&""!==c||"number"===typeof c||"bigint"===typeof c?(c=""+c,null!==u&&6===u.tag?(n(l,u.sibling),(d=s(u,c)).return=l,l=d):(n(l,u),(d=ji(c,l.mode,d)).return=l,l=d),o(l)):n(l,u)}return function(e,t,n,i){try{lr=0;var s=y(e,t,n,i);return or=null,s}catch(a){if(a===Xs||a===Js)throw a;var r=Wi(29,a,null,e.mode);return r.lanes=i,r.return=e,r}}}var fr=hr(!0),pr=hr(!1),mr=!1;function vr(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function gr(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,callbacks:null})}function yr(e){return{lane:e,tag:0,payload:null,callback:null,next:null}}function Ar(e,t,n){var i=e.updateQueue;if(null===i)return null;if(i=i.shared,0!==(2&fu)){var s=i.pending;return null===s?t.next=t:(t.next=s.next,s.next=t),i.pending=t,t=Vi(e),Fi(e,null,n),t}return Li(e,i,t,n),Vi(e)}function br(e,t,n){if(null!==(t=t.updateQueue)&&(t=t.shared,0!==(4194048&n))){var i=t.lanes;n|=i&=e.pendingLanes,t.lanes=n,Fe(e,n)}}function wr(e,t){var n=e.updateQueue,i=e.alternate;if(null!==i&&n===(i=i.updateQueue)){var s=null,r=null;if(null!==(n=n.firstBaseUpdate)){do{var a={lane:n.lane,tag:n.tag,payload:n.payload,callback:null,next:null};null===r?s=r=a:r=r.next=a,n=n.next}while(null!==n);null===r?s=r=t:r=r.next=t}else s=r=t;return n={baseState:i.baseState,firstBaseUpdate:s,lastBaseUpdate:r,shared:i.shared,callbacks:i.callbacks},void(e.updateQueue=n)}null===(e=n.lastBaseUpdate)?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}var kr=!1;function Sr(){if(kr){if(null!==js)throw js}}function Er(e,t,n,i){kr=!1;var s=e.updateQueue;mr=!1;var r=s.firstBaseUpdate,a=s.lastBaseUpdate,o=s.shared.pending;if(null!==o){s.shared.pending=null;var l=o,u=l.next;l.next=null,null===a?r=u:a.next=u,a=l;var c=e.alternate;null!==c&&((o=(c=c.updateQueue).lastBaseUpdate)!==a&&(null===o?c.firstBaseUpdate=u:o.next=u,c.lastBaseUpdate=l))}if(null!==r){var d=s.baseState;for(a=0,c=u=l=null,o=r;;){var h=-536870913&o.lane,p=h!==o.lane;if(p?(vu&h)===h:(i&h)===h){0!==h&&h===qs&&(kr=!0),null!==c&&(c=c.next={lane:0,tag:o.tag,payload:o.payload,callback:null,next:null});e:{var m=e,v=o;h=t;var g=n;switch(v.tag){case 1:if("function"===typeof(m=v.payload)){d=m.call(g,d,h);break e}d=m;break e;case 3:m.flags=-65537&m.flags|128;case 0:if(null===(h="function"===typeof(m=v.payload)?m.call(g,d,h):m)||void 0===h)break e;d=f({},d,h);break e;case 2:mr=!0}}null!==(h=o.callback)&&(e.flags|=64,p&&(e.flags|=8192),null===(p=s.callbacks)?s.callbacks=[h]:p.push(h))}else p={lane:h,tag:o.tag,payload:o.payload,callback:o.callback,next:null},null===c?(u=c=p,l=d):c=c.next=p,a|=h;if(null===(o=o.next)){if(null===(o=s.shared.pending))break;o=(p=o).next,p.next=null,s.lastBaseUpdate=p,s.shared.pending=null}}null===c&&(l=d),s.baseState=l,s.firstBaseUpdate=u,s.lastBaseUpdate=c,null===r&&(s.shared.lanes=0),Eu|=a,e.lanes=a,e.memoizedState=d}}function Cr(e,t){if("function"!==typeof e)throw Error(a(191,e));e.call(t)}function xr(e,t){var n=e.callbacks;if(null!==n)for(e.callbacks=null,e=0;e<n.length;e++)Cr(n[e],t)}var Tr=I(null),Pr=I(0);function Mr(e,t){B(Pr,e=ku),B(Tr,t),ku=e|t.baseLanes}function $r(){B(Pr,ku),B(Tr,Tr.current)}function Lr(){ku=Pr.current,z(Tr),z(Pr)}var Nr=I(null),Dr=null;function Fr(e){var t=e.alternate;B(Ir,1&Ir.current),B(Nr,e),null===Dr&&(null===t||null!==Tr.current||null!==t.memoizedState)&&(Dr=e)}function Vr(e){B(Ir,Ir.current),B(Nr,e),null===Dr&&(Dr=e)}function Rr(e){22===e.tag?(B(Ir,Ir.current),B(Nr,e),null===Dr&&(Dr=e)):Or()}function Or(){B(Ir,Ir.current),B(Nr,Nr.current)}function Wr(e){z(Nr),Dr===e&&(Dr=null),z(Ir)}var Ir=I(0);function zr(e){for(var t=e;null!==t;){if(13===t.tag){var n=t.memoizedState;if(null!==n&&(null===(n=n.dehydrated)||Ld(n)||Nd(n)))return t}else if(19!==t.tag||"forwards"!==t.memoizedProps.revealOrder&&"backwards"!==t.memoizedProps.revealOrder&&"unstable_legacy-backwards"!==t.memoizedProps.revealOrder&&"together"!==t.memoizedProps.revealOrder){if(null!==t.child){t.child.return=t,t=t.child;continue}}else if(0!==(128&t.flags))return t;if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var Br=0,_r=null,qr=null,jr=null,Ur=!1,Hr=!1,Zr=!1,Qr=0,Gr=0,Kr=null,Xr=0;function Yr(){throw Error(a(321))}function Jr(e,t){if(null===t)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Yn(e[n],t[n]))return!1;return!0}function ea(e,t,n,i,s,r){return Br=r,_r=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,F.H=null===e||null===e.memoizedState?vo:go,Zr=!1,r=n(i,s),Zr=!1,Hr&&(r=na(t,n,i,s)),ta(e),r}function ta(e){F.H=mo;var t=null!==qr&&null!==qr.next;if(Br=0,jr=qr=_r=null,Ur=!1,Gr=0,Kr=null,t)throw Error(a(300));null===e||Do||null!==(e=e.dependencies)&&$s(e)&&(Do=!0)}function na(e,t,n,i){_r=e;var s=0;do{if(Hr&&(Kr=null),Gr=0,Hr=!1,25<=s)throw Error(a(301));if(s+=1,jr=qr=null,null!=e.updateQueue){var r=e.updateQueue;r.lastEffect=null,r.events=null,r.stores=null,null!=r.memoCache&&(r.memoCache.index=0)}F.H=yo,r=t(n,i)}while(Hr);return r}function ia(){var e=F.H,t=e.useState()[0];return t="function"===typeof t.then?ua(t):t,e=e.useState()[0],(null!==qr?qr.memoizedState:null)!==e&&(_r.flags|=1024),t}function sa(){var e=0!==Qr;return Qr=0,e}function ra(e,t,n){t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~n}function aa(e){if(Ur){for(e=e.memoizedState;null!==e;){var t=e.queue;null!==t&&(t.pending=null),e=e.next}Ur=!1}Br=0,jr=qr=_r=null,Hr=!1,Gr=Qr=0,Kr=null}function oa(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===jr?_r.memoizedState=jr=e:jr=jr.next=e,jr}function la(){if(null===qr){var e=_r.alternate;e=null!==e?e.memoizedState:null}else e=qr.next;var t=null===jr?_r.memoizedState:jr.next;if(null!==t)jr=t,qr=e;else{if(null===e){if(null===_r.alternate)throw Error(a(467));throw Error(a(310))}e={memoizedState:(qr=e).memoizedState,baseState:qr.baseState,baseQueue:qr.baseQueue,queue:qr.queue,next:null},null===jr?_r.memoizedState=jr=e:jr=jr.next=e}return jr}function ua(e){var t=Gr;return Gr+=1,null===Kr&&(Kr=[]),e=nr(Kr,e,t),t=_r,null===(null===jr?t.memoizedState:jr.next)&&(t=t.alternate,F.H=null===t||null===t.memoizedState?vo:go),e}function ca(e){if(null!==e&&"object"===typeof e){if("function"===typeof e.then)return ua(e);if(e.$$typeof===w)return Ns(e)}throw Error(a(438,String(e)))}function da(e){var t=null,n=_r.updateQueue;if(null!==n&&(t=n.memoCache),null==t){var i=_r.alternate;null!==i&&(null!==(i=i.updateQueue)&&(null!=(i=i.memoCache)&&(t={data:i.data.map(function(e){return e.slice()}),index:0})))}if(null==t&&(t={data:[],index:0}),null===n&&(n={lastEffect:null,events:null,stores:null,memoCache:null},_r.updateQueue=n),n.memoCache=t,void 0===(n=t.data[t.index]))for(n=t.data[t.index]=Array(e),i=0;i<e;i++)n[i]=P;return t.index++,n}function ha(e,t){return"function"===typeof t?t(e):t}function fa(e){return pa(la(),qr,e)}function pa(e,t,n){var i=e.queue;if(null===i)throw Error(a(311));i.lastRenderedReducer=n;var s=e.baseQueue,r=i.pending;if(null!==r){if(null!==s){var o=s.next;s.next=r.next,r.next=o}t.baseQueue=s=r,i.pending=null}if(r=e.baseState,null===s)e.memoizedState=r;else{var l=o=null,u=null,c=t=s.next,d=!1;do{var h=-536870913&c.lane;if(h!==c.lane?(vu&h)===h:(Br&h)===h){var f=c.revertLane;if(0===f)null!==u&&(u=u.next={lane:0,revertLane:0,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),h===qs&&(d=!0);else{if((Br&f)===f){c=c.next,f===qs&&(d=!0);continue}h={lane:0,revertLane:c.revertLane,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===u?(l=u=h,o=r):u=u.next=h,_r.lanes|=f,Eu|=f}h=c.action,Zr&&n(r,h),r=c.hasEagerState?c.eagerState:n(r,h)}else f={lane:h,revertLane:c.revertLane,gesture:c.gesture,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===u?(l=u=f,o=r):u=u.next=f,_r.lanes|=h,Eu|=h;c=c.next}while(null!==c&&c!==t);if(null===u?o=r:u.next=l,!Yn(r,e.memoizedState)&&(Do=!0,d&&null!==(n=js)))throw n;e.memoizedState=r,e.baseState=o,e.baseQueue=u,i.lastRenderedState=r}return null===s&&(i.lanes=0),[e.memoizedState,i.dispatch]}function ma(e){var t=la(),n=t.queue;if(null===n)throw Error(a(311));n.lastRenderedReducer=e;var i=n.dispatch,s=n.pending,r=t.memoizedState;if(null!==s){n.pending=null;var o=s=s.next;do{r=e(r,o.action),o=o.next}while(o!==s);Yn(r,t.memoizedState)||(Do=!0),t.memoizedState=r,null===t.baseQueue&&(t.baseState=r),n.lastRenderedState=r}return[r,i]}function va(e,t,n){var i=_r,s=la(),r=ds;if(r){if(void 0===n)throw Error(a(407));n=n()}else n=t();var o=!Yn((qr||s).memoizedState,n);if(o&&(s.memoizedState=n,Do=!0),s=s.queue,Ba(Aa.bind(null,i,s,e),[e]),s.getSnapshot!==t||o||null!==jr&&1&jr.memoizedState.tag){if(i.flags|=2048,Ra(9,{destroy:void 0},ya.bind(null,i,s,n,t),null),null===pu)throw Error(a(349));r||0!==(127&Br)||ga(i,t,n)}return n}function ga(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},null===(t=_r.updateQueue)?(t={lastEffect:null,events:null,stores:null,memoCache:null},_r.updateQueue=t,t.stores=[e]):null===(n=t.stores)?t.stores=[e]:n.push(e)}function ya(e,t,n,i){t.value=n,t.getSnapshot=i,ba(t)&&wa(e)}function Aa(e,t,n){return n(function(){ba(t)&&wa(e)})}function ba(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Yn(e,n)}catch(i){return!0}}function wa(e){var t=Di(e,2);null!==t&&Qu(t,e,2)}function ka(e){var t=oa();if("function"===typeof e){var n=e;if(e=n(),Zr){Ae(!0);try{n()}finally{Ae(!1)}}}return t.memoizedState=t.baseState=e,t.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:ha,lastRenderedState:e},t}function Sa(e,t,n,i){return e.baseState=n,pa(e,qr,"function"===typeof i?i:ha)}function Ea(e,t,n,i,s){if(ho(e))throw Error(a(485));if(null!==(e=t.action)){var r={payload:s,action:e,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(e){r.listeners.push(e)}};null!==F.T?n(!0):r.isTransition=!1,i(r),null===(n=t.pending)?(r.next=t.pending=r,Ca(t,r)):(r.next=n.next,t.pending=n.next=r)}}function Ca(e,t){var n=t.action,i=t.payload,s=e.state;if(t.isTransition){var r=F.T,a={};F.T=a;try{var o=n(s,i),l=F.S;null!==l&&l(a,o),xa(e,t,o)}catch(u){Pa(e,t,u)}finally{null!==r&&null!==a.types&&(r.types=a.types),F.T=r}}else try{xa(e,t,r=n(s,i))}catch(c){Pa(e,t,c)}}function xa(e,t,n){null!==n&&"object"===typeof n&&"function"===typeof n.then?n.then(function(n){Ta(e,t,n)},function(n){return Pa(e,t,n)}):Ta(e,t,n)}function Ta(e,t,n){t.status="fulfilled",t.value=n,Ma(t),e.state=n,null!==(t=e.pending)&&((n=t.next)===t?e.pending=null:(n=n.next,t.next=n,Ca(e,n)))}function Pa(e,t,n){var i=e.pending;if(e.pending=null,null!==i){i=i.next;do{t.status="rejected",t.reason=n,Ma(t),t=t.next}while(t!==i)}e.action=null}function Ma(e){e=e.listeners;for(var t=0;t<e.length;t++)(0,e[t])()}function $a(e,t){return t}function La(e,t){if(ds){var n=pu.formState;if(null!==n){e:{var i=_r;if(ds){if(cs){t:{for(var s=cs,r=fs;8!==s.nodeType;){if(!r){s=null;break t}if(null===(s=Dd(s.nextSibling))){s=null;break t}}s="F!"===(r=s.data)||"F"===r?s:null}if(s){cs=Dd(s.nextSibling),i="F!"===s.data;break e}}ms(i)}i=!1}i&&(t=n[0])}}return(n=oa()).memoizedState=n.baseState=t,i={pending:null,lanes:0,dispatch:null,lastRenderedReducer:$a,lastRenderedState:t},n.queue=i,n=lo.bind(null,_r,i),i.dispatch=n,i=ka(!1),r=co.bind(null,_r,!1,i.queue),s={state:t,dispatch:null,action:e,pending:null},(i=oa()).queue=s,n=Ea.bind(null,_r,s,r,n),s.dispatch=n,i.memoizedState=e,[t,n,!1]}function Na(e){return Da(la(),qr,e)}function Da(e,t,n){if(t=pa(e,t,$a)[0],e=fa(ha)[0],"object"===typeof t&&null!==t&&"function"===typeof t.then)try{var i=ua(t)}catch(a){if(a===Xs)throw Js;throw a}else i=t;var s=(t=la()).queue,r=s.dispatch;return n!==t.memoizedState&&(_r.flags|=2048,Ra(9,{destroy:void 0},Fa.bind(null,s,n),null)),[i,r,e]}function Fa(e,t){e.action=t}function Va(e){var t=la(),n=qr;if(null!==n)return Da(t,n,e);la(),t=t.memoizedState;var i=(n=la()).queue.dispatch;return n.memoizedState=e,[t,i,!1]}function Ra(e,t,n,i){return e={tag:e,create:n,deps:i,inst:t,next:null},null===(t=_r.updateQueue)&&(t={lastEffect:null,events:null,stores:null,memoCache:null},_r.updateQueue=t),null===(n=t.lastEffect)?t.lastEffect=e.next=e:(i=n.next,n.next=e,e.next=i,t.lastEffect=e),e}function Oa(){return la().memoizedState}function Wa(e,t,n,i){var s=oa();_r.flags|=e,s.memoizedState=Ra(1|t,{destroy:void 0},n,void 0===i?null:i)}function Ia(e,t,n,i){var s=la();i=void 0===i?null:i;var r=s.memoizedState.inst;null!==qr&&null!==i&&Jr(i,qr.memoizedState.deps)?s.memoizedState=Ra(t,r,n,i):(_r.flags|=e,s.memoizedState=Ra(1|t,r,n,i))}function za(e,t){Wa(8390656,8,e,t)}function Ba(e,t){Ia(2048,8,e,t)}function _a(e){var t=la().memoizedState;return function(e){_r.flags|=4;var t=_r.updateQueue;if(null===t)t={lastEffect:null,events:null,stores:null,memoCache:null},_r.updateQueue=t,t.events=[e];else{var n=t.events;null===n?t.events=[e]:n.push(e)}}({ref:t,nextImpl:e}),function(){if(0!==(2&fu))throw Error(a(440));return t.impl.apply(void 0,arguments)}}function qa(e,t){return Ia(4,2,e,t)}function ja(e,t){return Ia(4,4,e,t)}function Ua(e,t){if("function"===typeof t){e=e();var n=t(e);return function(){"function"===typeof n?n():t(null)}}if(null!==t&&void 0!==t)return e=e(),t.current=e,function(){t.current=null}}function Ha(e,t,n){n=null!==n&&void 0!==n?n.concat([e]):null,Ia(4,4,Ua.bind(null,t,e),n)}function Za(){}function Qa(e,t){var n=la();t=void 0===t?null:t;var i=n.memoizedState;return null!==t&&Jr(t,i[1])?i[0]:(n.memoizedState=[e,t],e)}function Ga(e,t){var n=la();t=void 0===t?null:t;var i=n.memoizedState;if(null!==t&&Jr(t,i[1]))return i[0];if(i=e(),Zr){Ae(!0);try{e()}finally{Ae(!1)}}return n.memoizedState=[i,t],i}function Ka(e,t,n){return void 0===n||0!==(1073741824&Br)&&0===(261930&vu)?e.memoizedState=t:(e.memoizedState=n,e=Zu(),_r.lanes|=e,Eu|=e,n)}function Xa(e,t,n,i){return Yn(n,t)?n:null!==Tr.current?(e=Ka(e,n,i),Yn(e,t)||(Do=!0),e):0===(42&Br)||0!==(1073741824&Br)&&0===(261930&vu)?(Do=!0,e.memoizedState=n):(e=Zu(),_r.lanes|=e,Eu|=e,t)}function Ya(e,t,n,i,s){var r=V.p;V.p=0!==r&&8>r?r:8;var a=F.T,o={};F.T=o,co(e,!1,t,n);try{var l=s(),u=F.S;if(null!==u&&u(o,l),null!==l&&"object"===typeof l&&"function"===typeof l.then)uo(e,t,function(e,t){var n=[],i={status:"pending",value:null,reason:null,then:function(e){n.push(e)}};return e.then(function(){i.status="fulfilled",i.value=t;for(var e=0;e<n.length;e++)(0,n[e])(t)},function(e){for(i.status="rejected",i.reason=e,e=0;e<n.length;e++)(0,n[e])(void 0)}),i}(l,i),Hu());else uo(e,t,i,Hu())}catch(c){uo(e,t,{then:function(){},status:"rejected",reason:c},Hu())}finally{V.p=r,null!==a&&null!==o.types&&(a.types=o.types),F.T=a}}function Ja(){}function eo(e,t,n,i){if(5!==e.tag)throw Error(a(476));var s=to(e).queue;Ya(e,s,t,R,null===n?Ja:function(){return no(e),n(i)})}function to(e){var t=e.memoizedState;if(null!==t)return t;var n={};return(t={memoizedState:R,baseState:R,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:ha,lastRenderedState:R},next:null}).next={memoizedState:n,baseState:n,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:ha,lastRenderedState:n},next:null},e.memoizedState=t,null!==(e=e.alternate)&&(e.memoizedState=t),t}function no(e){var t=to(e);null===t.next&&(t=e.alternate.memoizedState),uo(e,t.next.queue,{},Hu())}function io(){return Ns(ch)}function so(){return la().memoizedState}function ro(){return la().memoizedState}function ao(e){for(var t=e.return;null!==t;){switch(t.tag){case 24:case 3:var n=Hu(),i=Ar(t,e=yr(n),n);return null!==i&&(Qu(i,t,n),br(i,t,n)),t={cache:Is()},void(e.payload=t)}t=t.return}}function oo(e,t,n){var i=Hu();n={lane:i,revertLane:0,gesture:null,action:n,hasEagerState:!1,eagerState:null,next:null},ho(e)?fo(t,n):null!==(n=Ni(e,t,n,i))&&(Qu(n,e,i),po(n,t,i))}function lo(e,t,n){uo(e,t,n,Hu())}function uo(e,t,n,i){var s={lane:i,revertLane:0,gesture:null,action:n,hasEagerState:!1,eagerState:null,next:null};if(ho(e))fo(t,s);else{var r=e.alternate;if(0===e.lanes&&(null===r||0===r.lanes)&&null!==(r=t.lastRenderedReducer))try{var a=t.lastRenderedState,o=r(a,n);if(s.hasEagerState=!0,s.eagerState=o,Yn(o,a))return Li(e,t,s,0),null===pu&&$i(),!1}catch(l){}if(null!==(n=Ni(e,t,s,i)))return Qu(n,e,i),po(n,t,i),!0}return!1}function co(e,t,n,i){if(i={lane:2,revertLane:_c(),gesture:null,action:i,hasEagerState:!1,eagerState:null,next:null},ho(e)){if(t)throw Error(a(479))}else null!==(t=Ni(e,n,i,2))&&Qu(t,e,2)}function ho(e){var t=e.alternate;return e===_r||null!==t&&t===_r}function fo(e,t){Hr=Ur=!0;var n=e.pending;null===n?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function po(e,t,n){if(0!==(4194048&n)){var i=t.lanes;n|=i&=e.pendingLanes,t.lanes=n,Fe(e,n)}}var mo={readContext:Ns,use:ca,useCallback:Yr,useContext:Yr,useEffect:Yr,useImperativeHandle:Yr,useLayoutEffect:Yr,useInsertionEffect:Yr,useMemo:Yr,useReducer:Yr,useRef:Yr,useState:Yr,useDebugValue:Yr,useDeferredValue:Yr,useTransition:Yr,useSyncExternalStore:Yr,useId:Yr,useHostTransitionStatus:Yr,useFormState:Yr,useActionState:Yr,useOptimistic:Yr,useMemoCache:Yr,useCacheRefresh:Yr};mo.useEffectEvent=Yr;var vo={readContext:Ns,use:ca,useCallback:function(e,t){return oa().memoizedState=[e,void 0===t?null:t],e},useContext:Ns,useEffect:za,useImperativeHandle:function(e,t,n){n=null!==n&&void 0!==n?n.concat([e]):null,Wa(4194308,4,Ua.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Wa(4194308,4,e,t)},useInsertionEffect:function(e,t){Wa(4,2,e,t)},useMemo:function(e,t){var n=oa();t=void 0===t?null:t;var i=e();if(Zr){Ae(!0);try{e()}finally{Ae(!1)}}return n.memoizedState=[i,t],i},useReducer:function(e,t,n){var i=oa();if(void 0!==n){var s=n(t);if(Zr){Ae(!0);try{n(t)}finally{Ae(!1)}}}else s=t;return i.memoizedState=i.baseState=s,e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:s},i.queue=e,e=e.dispatch=oo.bind(null,_r,e),[i.memoizedState,e]},useRef:function(e){return e={current:e},oa().memoizedState=e},useState:function(e){var t=(e=ka(e)).queue,n=lo.bind(null,_r,t);return t.dispatch=n,[e.memoizedState,n]},useDebugValue:Za,useDeferredValue:function(e,t){return Ka(oa(),e,t)},useTransition:function(){var e=ka(!1);return e=Ya.bind(null,_r,e.queue,!0,!1),oa().memoizedState=e,[!1,e]},useSyncExternalStore:function(e,t,n){var i=_r,s=oa();if(ds){if(void 0===n)throw Error(a(407));n=n()}else{if(n=t(),null===pu)throw Error(a(349));0!==(127&vu)||ga(i,t,n)}s.memoizedState=n;var r={value:n,getSnapshot:t};return s.queue=r,za(Aa.bind(null,i,r,e),[e]),i.flags|=2048,Ra(9,{destroy:void 0},ya.bind(null,i,r,n,t),null),n},useId:function(){var e=oa(),t=pu.identifierPrefix;if(ds){var n=is;t="_"+t+"R_"+(n=(ns&~(1<<32-be(ns)-1)).toString(32)+n),0<(n=Qr++)&&(t+="H"+n.toString(32)),t+="_"}else t="_"+t+"r_"+(n=Xr++).toString(32)+"_";return e.memoizedState=t},useHostTransitionStatus:io,useFormState:La,useActionState:La,useOptimistic:function(e){var t=oa();t.memoizedState=t.baseState=e;var n={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return t.queue=n,t=co.bind(null,_r,!0,n),n.dispatch=t,[e,t]},useMemoCache:da,useCacheRefresh:function(){return oa().memoizedState=ao.bind(null,_r)},useEffectEvent:function(e){var t=oa(),n={impl:e};return t.memoizedState=n,function(){if(0!==(2&fu))throw Error(a(440));return n.impl.apply(void 0,arguments)}}},go={readContext:Ns,use:ca,useCallback:Qa,useContext:Ns,useEffect:Ba,useImperativeHandle:Ha,useInsertionEffect:qa,useLayoutEffect:ja,useMemo:Ga,useReducer:fa,useRef:Oa,useState:function(){return fa(ha)},useDebugValue:Za,useDeferredValue:function(e,t){return Xa(la(),qr.memoizedState,e,t)},useTransition:function(){var e=fa(ha)[0],t=la().memoizedState;return["boolean"===typeof e?e:ua(e),t]},useSyncExternalStore:va,useId:so,useHostTransitionStatus:io,useFormState:Na,useActionState:Na,useOptimistic:function(e,t){return Sa(la(),0,e,t)},useMemoCache:da,useCacheRefresh:ro};go.useEffectEvent=_a;var yo={readContext:Ns,use:ca,useCallback:Qa,useContext:Ns,useEffect:Ba,useImperativeHandle:Ha,useInsertionEffect:qa,useLayoutEffect:ja,useMemo:Ga,useReducer:ma,useRef:Oa,useState:function(){return ma(ha)},useDebugValue:Za,useDeferredValue:function(e,t){var n=la();return null===qr?Ka(n,e,t):Xa(n,qr.memoizedState,e,t)},useTransition:function(){var e=ma(ha)[0],t=la().memoizedState;return["boolean"===typeof e?e:ua(e),t]},useSyncExternalStore:va,useId:so,useHostTransitionStatus:io,useFormState:Va,useActionState:Va,useOptimistic:function(e,t){var n=la();return null!==qr?Sa(n,0,e,t):(n.baseState=e,[e,n.queue.dispatch])},useMemoCache:da,useCacheRefresh:ro};function Ao(e,t,n,i){n=null===(n=n(i,t=e.memoizedState))||void 0===n?t:f({},t,n),e.memoizedState=n,0===e.lanes&&(e.updateQueue.baseState=n)}yo.useEffectEvent=_a;var bo={enqueueSetState:function(e,t,n){e=e._reactInternals;var i=Hu(),s=yr(i);s.payload=t,void 0!==n&&null!==n&&(s.callback=n),null!==(t=Ar(e,s,i))&&(Qu(t,e,i),br(t,e,i))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var i=Hu(),s=yr(i);s.tag=1,s.payload=t,void 0!==n&&null!==n&&(s.callback=n),null!==(t=Ar(e,s,i))&&(Qu(t,e,i),br(t,e,i))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=Hu(),i=yr(n);i.tag=2,void 0!==t&&null!==t&&(i.callback=t),null!==(t=Ar(e,i,n))&&(Qu(t,e,n),br(t,e,n))}};function wo(e,t,n,i,s,r,a){return"function"===typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(i,r,a):!t.prototype||!t.prototype.isPureReactComponent||(!Jn(n,i)||!Jn(s,r))}function ko(e,t,n,i){e=t.state,"function"===typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(n,i),"function"===typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(n,i),t.state!==e&&bo.enqueueReplaceState(t,t.state,null)}function So(e,t){var n=t;if("ref"in t)for(var i in n={},t)"ref"!==i&&(n[i]=t[i]);if(e=e.defaultProps)for(var s in n===t&&(n=f({},n)),e)void 0===n[s]&&(n[s]=e[s]);return n}function Eo(e){xi(e)}function Co(e){console.error(e)}function xo(e){xi(e)}function To(e,t){try{(0,e.onUncaughtError)(t.value,{componentStack:t.stack})}catch(n){setTimeout(function(){throw n})}}function Po(e,t,n){try{(0,e.onCaughtError)(n.value,{componentStack:n.stack,errorBoundary:1===t.tag?t.stateNode:null})}catch(i){setTimeout(function(){throw i})}}function Mo(e,t,n){return(n=yr(n)).tag=3,n.payload={element:null},n.callback=function(){To(e,t)},n}function $o(e){return(e=yr(e)).tag=3,e}function Lo(e,t,n,i){var s=n.type.getDerivedStateFromError;if("function"===typeof s){var r=i.value;e.payload=function(){return s(r)},e.callback=function(){Po(t,n,i)}}var a=n.stateNode;null!==a&&"function"===typeof a.componentDidCatch&&(e.callback=function(){Po(t,n,i),"function"!==typeof s&&(null===Ru?Ru=new Set([this]):Ru.add(this));var e=i.stack;this.componentDidCatch(i.value,{componentStack:null!==e?e:""})})}var No=Error(a(461)),Do=!1;function Fo(e,t,n,i){t.child=null===e?pr(t,null,n,i):fr(t,e.child,n,i)}function Vo(e,t,n,i,s){n=n.render;var r=t.ref;if("ref"in i){var a={};for(var o in i)"ref"!==o&&(a[o]=i[o])}else a=i;return Ls(t),i=ea(e,t,n,a,r,s),o=sa(),null===e||Do?(ds&&o&&as(t),t.flags|=1,Fo(e,t,i,s),t.child):(ra(e,t,s),sl(e,t,s))}function Ro(e,t,n,i,s){if(null===e){var r=n.type;return"function"!==typeof r||Ii(r)||void 0!==r.defaultProps||null!==n.compare?((e=_i(n.type,null,i,t,t.mode,s)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=r,Oo(e,t,r,i,s))}if(r=e.child,!rl(e,s)){var a=r.memoizedProps;if((n=null!==(n=n.compare)?n:Jn)(a,i)&&e.ref===t.ref)return sl(e,t,s)}return t.flags|=1,(e=zi(r,i)).ref=t.ref,e.return=t,t.child=e}function Oo(e,t,n,i,s){if(null!==e){var r=e.memoizedProps;if(Jn(r,i)&&e.ref===t.ref){if(Do=!1,t.pendingProps=i=r,!rl(e,s))return t.lanes=e.lanes,sl(e,t,s);0!==(131072&e.flags)&&(Do=!0)}}return jo(e,t,n,i,s)}function Wo(e,t,n,i){var s=i.children,r=null!==e?e.memoizedState:null;if(null===e&&null===t.stateNode&&(t.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),"hidden"===i.mode){if(0!==(128&t.flags)){if(r=null!==r?r.baseLanes|n:n,null!==e){for(i=t.child=e.child,s=0;null!==i;)s=s|i.lanes|i.childLanes,i=i.sibling;i=s&~r}else i=0,t.child=null;return zo(e,t,r,n,i)}if(0===(536870912&n))return i=t.lanes=536870912,zo(e,t,null!==r?r.baseLanes|n:n,n,i);t.memoizedState={baseLanes:0,cachePool:null},null!==e&&Gs(0,null!==r?r.cachePool:null),null!==r?Mr(t,r):$r(),Rr(t)}else null!==r?(Gs(0,r.cachePool),Mr(t,r),Or(),t.memoizedState=null):(null!==e&&Gs(0,null),$r(),Or());return Fo(e,t,s,n),t.child}function Io(e,t){return null!==e&&22===e.tag||null!==t.stateNode||(t.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),t.sibling}function zo(e,t,n,i,s){var r=Qs();return r=null===r?null:{parent:Ws._currentValue,pool:r},t.memoizedState={baseLanes:n,cachePool:r},null!==e&&Gs(0,null),$r(),Rr(t),null!==e&&Ms(e,t,i,!0),t.childLanes=s,null}function Bo(e,t){return(t=Jo({mode:t.mode,children:t.children},e.mode)).ref=e.ref,e.child=t,t.return=e,t}function _o(e,t,n){return fr(t,e.child,null,n),(e=Bo(t,t.pendingProps)).flags|=2,Wr(t),t.memoizedState=null,e}function qo(e,t){var n=t.ref;if(null===n)null!==e&&null!==e.ref&&(t.flags|=4194816);else{if("function"!==typeof n&&"object"!==typeof n)throw Error(a(284));null!==e&&e.ref===n||(t.flags|=4194816)}}function jo(e,t,n,i,s){return Ls(t),n=ea(e,t,n,i,void 0,s),i=sa(),null===e||Do?(ds&&i&&as(t),t.flags|=1,Fo(e,t,n,s),t.child):(ra(e,t,s),sl(e,t,s))}function Uo(e,t,n,i,s,r){return Ls(t),t.updateQueue=null,n=na(t,i,n,s),ta(e),i=sa(),null===e||Do?(ds&&i&&as(t),t.flags|=1,Fo(e,t,n,r),t.child):(ra(e,t,r),sl(e,t,r))}function Ho(e,t,n,i,s){if(Ls(t),null===t.stateNode){var r=Ri,a=n.contextType;"object"===typeof a&&null!==a&&(r=Ns(a)),r=new n(i,r),t.memoizedState=null!==r.state&&void 0!==r.state?r.state:null,r.updater=bo,t.stateNode=r,r._reactInternals=t,(r=t.stateNode).props=i,r.state=t.memoizedState,r.refs={},vr(t),a=n.contextType,r.context="object"===typeof a&&null!==a?Ns(a):Ri,r.state=t.memoizedState,"function"===typeof(a=n.getDerivedStateFromProps)&&(Ao(t,n,a,i),r.state=t.memoizedState),"function"===typeof n.getDerivedStateFromProps||"function"===typeof r.getSnapshotBeforeUpdate||"function"!==typeof r.UNSAFE_componentWillMount&&"function"!==typeof r.componentWillMount||(a=r.state,"function"===typeof r.componentWillMount&&r.componentWillMount(),"function"===typeof r.UNSAFE_componentWillMount&&r.UNSAFE_componentWillMount(),a!==r.state&&bo.enqueueReplaceState(r,r.state,null),Er(t,i,r,s),Sr(),r.state=t.memoizedState),"function"===typeof r.componentDidMount&&(t.flags|=4194308),i=!0}else if(null===e){r=t.stateNode;var o=t.memoizedProps,l=So(n,o);r.props=l;var u=r.context,c=n.contextType;a=Ri,"object"===typeof c&&null!==c&&(a=Ns(c));var d=n.getDerivedStateFromProps;c="function"===typeof d||"function"===typeof r.getSnapshotBeforeUpdate,o=t.pendingProps!==o,c||"function"!==typeof r.UNSAFE_componentWillReceiveProps&&"function"!==typeof r.componentWillReceiveProps||(o||u!==a)&&ko(t,r,i,a),mr=!1;var h=t.memoizedState;r.state=h,Er(t,i,r,s),Sr(),u=t.memoizedState,o||h!==u||mr?("function"===typeof d&&(Ao(t,n,d,i),u=t.memoizedState),(l=mr||wo(t,n,l,i,h,u,a))?(c||"function"!==typeof r.UNSAFE_componentWillMount&&"function"!==typeof r.componentWillMount||("function"===typeof r.componentWillMount&&r.componentWillMount(),"function"===typeof r.UNSAFE_componentWillMount&&r.UNSAFE_componentWillMount()),"function"===typeof r.componentDidMount&&(t.flags|=4194308)):("function"===typeof r.componentDidMount&&(t.flags|=4194308),t.memoizedProps=i,t.memoizedState=u),r.props=i,r.state=u,r.context=a,i=l):("function"===typeof r.componentDidMount&&(t.flags|=4194308),i=!1)}else{r=t.stateNode,gr(e,t),c=So(n,a=t.memoizedProps),r.props=c,d=t.pendingProps,h=r.context,u=n.contextType,l=Ri,"object"===typeof u&&null!==u&&(l=Ns(u)),(u="function"===typeof(o=n.getDerivedStateFromProps)||"function"===typeof r.getSnapshotBeforeUpdate)||"function"!==typeof r.UNSAFE_componentWillReceiveProps&&"function"!==typeof r.componentWillReceiveProps||(a!==d||h!==l)&&ko(t,r,i,l),mr=!1,h=t.memoizedState,r.state=h,Er(t,i,r,s),Sr();var f=t.memoizedState;a!==d||h!==f||mr||null!==e&&null!==e.dependencies&&$s(e.dependencies)?("function"===typeof o&&(Ao(t,n,o,i),f=t.memoizedState),(c=mr||wo(t,n,c,i,h,f,l)||null!==e&&null!==e.dependencies&&$s(e.dependencies))?(u||"function"!==typeof r.UNSAFE_componentWillUpdate&&"function"!==typeof r.componentWillUpdate||("function"===typeof r.componentWillUpdate&&r.componentWillUpdate(i,f,l),"function"===typeof r.UNSAFE_componentWillUpdate&&r.UNSAFE_componentWillUpdate(i,f,l)),"function"===typeof r.componentDidUpdate&&(t.flags|=4),"function"===typeof r.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!==typeof r.componentDidUpdate||a===e.memoizedProps&&h===e.memoizedState||(t.flags|=4),"function"!==typeof r.getSnapshotBeforeUpdate||a===e.memoizedProps&&h===e.memoizedState||(t.flags|=1024),t.memoizedProps=i,t.memoizedState=f),r.props=i,r.state=f,r.context=l,i=c):("function"!==typeof r.componentDidUpdate||a===e.memoizedProps&&h===e.memoizedState||(t.flags|=4),"function"!==typeof r.getSnapshotBeforeUpdate||a===e.memoizedProps&&h===e.memoizedState||(t.flags|=1024),i=!1)}return r=i,qo(e,t),i=0!==(128&t.flags),r||i?(r=t.stateNode,n=i&&"function"!==typeof n.getDerivedStateFromError?null:r.render(),t.flags|=1,null!==e&&i?(t.child=fr(t,e.child,null,s),t.child=fr(t,null,n,s)):Fo(e,t,n,s),t.memoizedState=r.state,e=t.child):e=sl(e,t,s),e}function Zo(e,t,n,i){return As(),t.flags|=256,Fo(e,t,n,i),t.child}var Qo={dehydrated:null,treeContext:null,retryLane:0,hydrationErrors:null};function Go(e){return{baseLanes:e,cachePool:Ks()}}function Ko(e,t,n){return e=null!==e?e.childLanes&~n:0,t&&(e|=Tu),e}function Xo(e,t,n){var i,s=t.pendingProps,r=!1,o=0!==(128&t.flags);if((i=o)||(i=(null===e||null!==e.memoizedState)&&0!==(2&Ir.current)),i&&(r=!0,t.flags&=-129),i=0!==(32&t.flags),t.flags&=-33,null===e){if(ds){if(r?Fr(t):Or(),(e=cs)?null!==(e=null!==(e=$d(e,fs))&&"&"!==e.data?e:null)&&(t.memoizedState={dehydrated:e,treeContext:null!==ts?{id:ns,overflow:is}:null,retryLane:536870912,hydrationErrors:null},(n=Ui(e)).return=t,t.child=n,us=t,cs=null):e=null,null===e)throw ms(t);return Nd(e)?t.lanes=32:t.lanes=536870912,null}var l=s.children;return s=s.fallback,r?(Or(),l=Jo({mode:"hidden",children:l},r=t.mode),s=qi(s,r,n,null),l.return=t,s.return=t,l.sibling=s,t.child=l,(s=t.child).memoizedState=Go(n),s.childLanes=Ko(e,i,n),t.memoizedState=Qo,Io(null,s)):(Fr(t),Yo(t,l))}var u=e.memoizedState;if(null!==u&&null!==(l=u.dehydrated)){if(o)256&t.flags?(Fr(t),t.flags&=-257,t=el(e,t,n)):null!==t.memoizedState?(Or(),t.child=e.child,t.flags|=128,t=null):(Or(),l=s.fallback,r=t.mode,s=Jo({mode:"visible",children:s.children},r),(l=qi(l,r,n,null)).flags|=2,s.return=t,l.return=t,s.sibling=l,t.child=s,fr(t,e.child,null,n),(s=t.child).memoizedState=Go(n),s.childLanes=Ko(e,i,n),t.memoizedState=Qo,t=Io(null,s));else if(Fr(t),Nd(l)){if(i=l.nextSibling&&l.nextSibling.dataset)var c=i.dgst;i=c,(s=Error(a(419))).stack="",s.digest=i,ws({value:s,source:null,stack:null}),t=el(e,t,n)}else if(Do||Ms(e,t,n,!1),i=0!==(n&e.childLanes),Do||i){if(null!==(i=pu)&&(0!==(s=Ve(i,n))&&s!==u.retryLane))throw u.retryLane=s,Di(e,s),Qu(i,e,s),No;Ld(l)||ac(),t=el(e,t,n)}else Ld(l)?(t.flags|=192,t.child=e.child,t=null):(e=u.treeContext,cs=Dd(l.nextSibling),us=t,ds=!0,hs=null,fs=!1,null!==e&&ls(t,e),(t=Yo(t,s.children)).flags|=4096);return t}return r?(Or(),l=s.fallback,r=t.mode,c=(u=e.child).sibling,(s=zi(u,{mode:"hidden",children:s.children})).subtreeFlags=65011712&u.subtreeFlags,null!==c?l=zi(c,l):(l=qi(l,r,n,null)).flags|=2,l.return=t,s.return=t,s.sibling=l,t.child=s,Io(null,s),s=t.child,null===(l=e.child.memoizedState)?l=Go(n):(null!==(r=l.cachePool)?(u=Ws._currentValue,r=r.parent!==u?{parent:u,pool:u}:r):r=Ks(),l={baseLanes:l.baseLanes|n,cachePool:r}),s.memoizedState=l,s.childLanes=Ko(e,i,n),t.memoizedState=Qo,Io(e.child,s)):(Fr(t),e=(n=e.child).sibling,(n=zi(n,{mode:"visible",children:s.children})).return=t,n.sibling=null,null!==e&&(null===(i=t.deletions)?(t.deletions=[e],t.flags|=16):i.push(e)),t.child=n,t.memoizedState=null,n)}function Yo(e,t){return(t=Jo({mode:"visible",children:t},e.mode)).return=e,e.child=t}function Jo(e,t){return(e=Wi(22,e,null,t)).lanes=0,e}function el(e,t,n){return fr(t,e.child,null,n),(e=Yo(t,t.pendingProps.children)).flags|=2,t.memoizedState=null,e}function tl(e,t,n){e.lanes|=t;var i=e.alternate;null!==i&&(i.lanes|=t),Ts(e.return,t,n)}function nl(e,t,n,i,s,r){var a=e.memoizedState;null===a?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:i,tail:n,tailMode:s,treeForkCount:r}:(a.isBackwards=t,a.rendering=null,a.renderingStartTime=0,a.last=i,a.tail=n,a.tailMode=s,a.treeForkCount=r)}function il(e,t,n){var i=t.pendingProps,s=i.revealOrder,r=i.tail;i=i.children;var a=Ir.current,o=0!==(2&a);if(o?(a=1&a|2,t.flags|=128):a&=1,B(Ir,a),Fo(e,t,i,n),i=ds?Yi:0,!o&&null!==e&&0!==(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&tl(e,n,t);else if(19===e.tag)tl(e,n,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}switch(s){case"forwards":for(n=t.child,s=null;null!==n;)null!==(e=n.alternate)&&null===zr(e)&&(s=n),n=n.sibling;null===(n=s)?(s=t.child,t.child=null):(s=n.sibling,n.sibling=null),nl(t,!1,s,n,r,i);break;case"backwards":case"unstable_legacy-backwards":for(n=null,s=t.child,t.child=null;null!==s;){if(null!==(e=s.alternate)&&null===zr(e)){t.child=s;break}e=s.sibling,s.sibling=n,n=s,s=e}nl(t,!0,n,null,r,i);break;case"together":nl(t,!1,null,null,void 0,i);break;default:t.memoizedState=null}return t.child}function sl(e,t,n){if(null!==e&&(t.dependencies=e.dependencies),Eu|=t.lanes,0===(n&t.childLanes)){if(null===e)return null;if(Ms(e,t,n,!1),0===(n&t.childLanes))return null}if(null!==e&&t.child!==e.child)throw Error(a(153));if(null!==t.child){for(n=zi(e=t.child,e.pendingProps),t.child=n,n.return=t;null!==e.sibling;)e=e.sibling,(n=n.sibling=zi(e,e.pendingProps)).return=t;n.sibling=null}return t.child}function rl(e,t){return 0!==(e.lanes&t)||!(null===(e=e.dependencies)||!$s(e))}function al(e,t,n){if(null!==e)if(e.memoizedProps!==t.pendingProps)Do=!0;else{if(!rl(e,n)&&0===(128&t.flags))return Do=!1,function(e,t,n){switch(t.tag){case 3:Q(t,t.stateNode.containerInfo),Cs(0,Ws,e.memoizedState.cache),As();break;case 27:case 5:K(t);break;case 4:Q(t,t.stateNode.containerInfo);break;case 10:Cs(0,t.type,t.memoizedProps.value);break;case 31:if(null!==t.memoizedState)return t.flags|=128,Vr(t),null;break;case 13:var i=t.memoizedState;if(null!==i)return null!==i.dehydrated?(Fr(t),t.flags|=128,null):0!==(n&t.child.childLanes)?Xo(e,t,n):(Fr(t),null!==(e=sl(e,t,n))?e.sibling:null);Fr(t);break;case 19:var s=0!==(128&e.flags);if((i=0!==(n&t.childLanes))||(Ms(e,t,n,!1),i=0!==(n&t.childLanes)),s){if(i)return il(e,t,n);t.flags|=128}if(null!==(s=t.memoizedState)&&(s.rendering=null,s.tail=null,s.lastEffect=null),B(Ir,Ir.current),i)break;return null;case 22:return t.lanes=0,Wo(e,t,n,t.pendingProps);case 24:Cs(0,Ws,e.memoizedState.cache)}return sl(e,t,n)}(e,t,n);Do=0!==(131072&e.flags)}else Do=!1,ds&&0!==(1048576&t.flags)&&rs(t,Yi,t.index);switch(t.lanes=0,t.tag){case 16:e:{var i=t.pendingProps;if(e=ir(t.elementType),t.type=e,"function"!==typeof e){if(void 0!==e&&null!==e){var s=e.$$typeof;if(s===k){t.tag=11,t=Vo(null,t,e,i,n);break e}if(s===C){t.tag=14,t=Ro(null,t,e,i,n);break e}}throw t=N(e)||e,Error(a(306,t,""))}Ii(e)?(i=So(e,i),t.tag=1,t=Ho(null,t,e,i,n)):(t.tag=0,t=jo(null,t,e,i,n))}return t;case 0:return jo(e,t,t.type,t.pendingProps,n);case 1:return Ho(e,t,i=t.type,s=So(i,t.pendingProps),n);case 3:e:{if(Q(t,t.stateNode.containerInfo),null===e)throw Error(a(387));i=t.pendingProps;var r=t.memoizedState;s=r.element,gr(e,t),Er(t,i,null,n);var o=t.memoizedState;if(i=o.cache,Cs(0,Ws,i),i!==r.cache&&Ps(t,[Ws],n,!0),Sr(),i=o.element,r.isDehydrated){if(r={element:i,isDehydrated:!1,cache:o.cache},t.updateQueue.baseState=r,t.memoizedState=r,256&t.flags){t=Zo(e,t,i,n);break e}if(i!==s){ws(s=Qi(Error(a(424)),t)),t=Zo(e,t,i,n);break e}if(9===(e=t.stateNode.containerInfo).nodeType)e=e.body;else e="HTML"===e.nodeName?e.ownerDocument.body:e;for(cs=Dd(e.firstChild),us=t,ds=!0,hs=null,fs=!0,n=pr(t,null,i,n),t.child=n;n;)n.flags=-3&n.flags|4096,n=n.sibling}else{if(As(),i===s){t=sl(e,t,n);break e}Fo(e,t,i,n)}t=t.child}return t;case 26:return qo(e,t),null===e?(n=Ud(t.type,null,t.pendingProps,null))?t.memoizedState=n:ds||(n=t.type,e=t.pendingProps,(i=vd(H.current).createElement(n))[Be]=t,i[_e]=e,hd(i,n,e),et(i),t.stateNode=i):t.memoizedState=Ud(t.type,e.memoizedProps,t.pendingProps,e.memoizedState),null;case 27:return K(t),null===e&&ds&&(i=t.stateNode=Od(t.type,t.pendingProps,H.current),us=t,fs=!0,s=cs,xd(t.type)?(Fd=s,cs=Dd(i.firstChild)):cs=s),Fo(e,t,t.pendingProps.children,n),qo(e,t),null===e&&(t.flags|=4194304),t.child;case 5:return null===e&&ds&&((s=i=cs)&&(null!==(i=function(e,t,n,i){for(;1===e.nodeType;){var s=n;if(e.nodeName.toLowerCase()!==t.toLowerCase()){if(!i&&("INPUT"!==e.nodeName||"hidden"!==e.type))break}else if(i){if(!e[Qe])switch(t){case"meta":if(!e.hasAttribute("itemprop"))break;return e;case"link":if("stylesheet"===(r=e.getAttribute("rel"))&&e.hasAttribute("data-precedence"))break;if(r!==s.rel||e.getAttribute("href")!==(null==s.href||""===s.href?null:s.href)||e.getAttribute("crossorigin")!==(null==s.crossOrigin?null:s.crossOrigin)||e.getAttribute("title")!==(null==s.title?null:s.title))break;return e;case"style":if(e.hasAttribute("data-precedence"))break;return e;case"script":if(((r=e.getAttribute("src"))!==(null==s.src?null:s.src)||e.getAttribute("type")!==(null==s.type?null:s.type)||e.getAttribute("crossorigin")!==(null==s.crossOrigin?null:s.crossOrigin))&&r&&e.hasAttribute("async")&&!e.hasAttribute("itemprop"))break;return e;default:return e}}else{if("input"!==t||"hidden"!==e.type)return e;var r=null==s.name?null:""+s.name;if("hidden"===s.type&&e.getAttribute("name")===r)return e}if(null===(e=Dd(e.nextSibling)))break}return null}(i,t.type,t.pendingProps,fs))?(t.stateNode=i,us=t,cs=Dd(i.firstChild),fs=!1,s=!0):s=!1),s||ms(t)),K(t),s=t.type,r=t.pendingProps,o=null!==e?e.memoizedProps:null,i=r.children,Ad(s,r)?i=null:null!==o&&Ad(s,o)&&(t.flags|=32),null!==t.memoizedState&&(s=ea(e,t,ia,null,null,n),ch._currentValue=s),qo(e,t),Fo(e,t,i,n),t.child;case 6:return null===e&&ds&&((e=n=cs)&&(null!==(n=function(e,t,n){if(""===t)return null;for(;3!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!n)return null;if(null===(e=Dd(e.nextSibling)))return null}return e}(n,t.pendingProps,fs))?(t.stateNode=n,us=t,cs=null,e=!0):e=!1),e||ms(t)),null;case 13:return Xo(e,t,n);case 4:return Q(t,t.stateNode.containerInfo),i=t.pendingProps,null===e?t.child=fr(t,null,i,n):Fo(e,t,i,n),t.child;case 11:return Vo(e,t,t.type,t.pendingProps,n);case 7:return Fo(e,t,t.pendingProps,n),t.child;case 8:case 12:return Fo(e,t,t.pendingProps.children,n),t.child;case 10:return i=t.pendingProps,Cs(0,t.type,i.value),Fo(e,t,i.children,n),t.child;case 9:return s=t.type._context,i=t.pendingProps.children,Ls(t),i=i(s=Ns(s)),t.flags|=1,Fo(e,t,i,n),t.child;case 14:return Ro(e,t,t.type,t.pendingProps,n);case 15:return Oo(e,t,t.type,t.pendingProps,n);case 19:return il(e,t,n);case 31:return function(e,t,n){var i=t.pendingProps,s=0!==(128&t.flags);if(t.flags&=-129,null===e){if(ds){if("hidden"===i.mode)return e=Bo(t,i),t.lanes=536870912,Io(null,e);if(Vr(t),(e=cs)?null!==(e=null!==(e=$d(e,fs))&&"&"===e.data?e:null)&&(t.memoizedState={dehydrated:e,treeContext:null!==ts?{id:ns,overflow:is}:null,retryLane:536870912,hydrationErrors:null},(n=Ui(e)).return=t,t.child=n,us=t,cs=null):e=null,null===e)throw ms(t);return t.lanes=536870912,null}return Bo(t,i)}var r=e.memoizedState;if(null!==r){var o=r.dehydrated;if(Vr(t),s)if(256&t.flags)t.flags&=-257,t=_o(e,t,n);else{if(null===t.memoizedState)throw Error(a(558));t.child=e.child,t.flags|=128,t=null}else if(Do||Ms(e,t,n,!1),s=0!==(n&e.childLanes),Do||s){if(null!==(i=pu)&&0!==(o=Ve(i,n))&&o!==r.retryLane)throw r.retryLane=o,Di(e,o),Qu(i,e,o),No;ac(),t=_o(e,t,n)}else e=r.treeContext,cs=Dd(o.nextSibling),us=t,ds=!0,hs=null,fs=!1,null!==e&&ls(t,e),(t=Bo(t,i)).flags|=4096;return t}return(e=zi(e.child,{mode:i.mode,children:i.children})).ref=t.ref,t.child=e,e.return=t,e}(e,t,n);case 22:return Wo(e,t,n,t.pendingProps);case 24:return Ls(t),i=Ns(Ws),null===e?(null===(s=Qs())&&(s=pu,r=Is(),s.pooledCache=r,r.refCount++,null!==r&&(s.pooledCacheLanes|=n),s=r),t.memoizedState={parent:i,cache:s},vr(t),Cs(0,Ws,s)):(0!==(e.lanes&n)&&(gr(e,t),Er(t,null,null,n),Sr()),s=e.memoizedState,r=t.memoizedState,s.parent!==i?(s={parent:i,cache:i},t.memoizedState=s,0===t.lanes&&(t.memoizedState=t.updateQueue.baseState=s),Cs(0,Ws,i)):(i=r.cache,Cs(0,Ws,i),i!==s.cache&&Ps(t,[Ws],n,!0))),Fo(e,t,t.pendingProps.children,n),t.child;case 29:throw t.pendingProps}throw Error(a(156,t.tag))}function ol(e){e.flags|=4}function ll(e,t,n,i,s){if((t=0!==(32&e.mode))&&(t=!1),t){if(e.flags|=16777216,(335544128&s)===s)if(e.stateNode.complete)e.flags|=8192;else{if(!ic())throw sr=er,Ys;e.flags|=8192}}else e.flags&=-16777217}function ul(e,t){if("stylesheet"!==t.type||0!==(4&t.state.loading))e.flags&=-16777217;else if(e.flags|=16777216,!sh(t)){if(!ic())throw sr=er,Ys;e.flags|=8192}}function cl(e,t){null!==t&&(e.flags|=4),16384&e.flags&&(t=22!==e.tag?$e():536870912,e.lanes|=t,Pu|=t)}function dl(e,t){if(!ds)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;null!==t;)null!==t.alternate&&(n=t),t=t.sibling;null===n?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var i=null;null!==n;)null!==n.alternate&&(i=n),n=n.sibling;null===i?t||null===e.tail?e.tail=null:e.tail.sibling=null:i.sibling=null}}function hl(e){var t=null!==e.alternate&&e.alternate.child===e.child,n=0,i=0;if(t)for(var s=e.child;null!==s;)n|=s.lanes|s.childLanes,i|=65011712&s.subtreeFlags,i|=65011712&s.flags,s.return=e,s=s.sibling;else for(s=e.child;null!==s;)n|=s.lanes|s.childLanes,i|=s.subtreeFlags,i|=s.flags,s.return=e,s=s.sibling;return e.subtreeFlags|=i,e.childLanes=n,t}function fl(e,t,n){var i=t.pendingProps;switch(os(t),t.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:case 1:return hl(t),null;case 3:return n=t.stateNode,i=null,null!==e&&(i=e.memoizedState.cache),t.memoizedState.cache!==i&&(t.flags|=2048),xs(Ws),G(),n.pendingContext&&(n.context=n.pendingContext,n.pendingContext=null),null!==e&&null!==e.child||(ys(t)?ol(t):null===e||e.memoizedState.isDehydrated&&0===(256&t.flags)||(t.flags|=1024,bs())),hl(t),null;case 26:var s=t.type,r=t.memoizedState;return null===e?(ol(t),null!==r?(hl(t),ul(t,r)):(hl(t),ll(t,s,0,0,n))):r?r!==e.memoizedState?(ol(t),hl(t),ul(t,r)):(hl(t),t.flags&=-16777217):((e=e.memoizedProps)!==i&&ol(t),hl(t),ll(t,s,0,0,n)),null;case 27:if(X(t),n=H.current,s=t.type,null!==e&&null!=t.stateNode)e.memoizedProps!==i&&ol(t);else{if(!i){if(null===t.stateNode)throw Error(a(166));return hl(t),null}e=j.current,ys(t)?vs(t):(e=Od(s,i,n),t.stateNode=e,ol(t))}return hl(t),null;case 5:if(X(t),s=t.type,null!==e&&null!=t.stateNode)e.memoizedProps!==i&&ol(t);else{if(!i){if(null===t.stateNode)throw Error(a(166));return hl(t),null}if(r=j.current,ys(t))vs(t);else{var o=vd(H.current);switch(r){case 1:r=o.createElementNS("http://www.w3.org/2000/svg",s);break;case 2:r=o.createElementNS("http://www.w3.org/1998/Math/MathML",s);break;default:switch(s){case"svg":r=o.createElementNS("http://www.w3.org/2000/svg",s);break;case"math":r=o.createElementNS("http://www.w3.org/1998/Math/MathML",s);break;case"script":(r=o.createElement("div")).innerHTML="<script><\/script>",r=r.removeChild(r.firstChild);break;case"select":r="string"===typeof i.is?o.createElement("select",{is:i.is}):o.createElement("select"),i.multiple?r.multiple=!0:i.size&&(r.size=i.size);break;default:r="string"===typeof i.is?o.createElement(s,{is:i.is}):o.createElement(s)}}r[Be]=t,r[_e]=i;e:for(o=t.child;null!==o;){if(5===o.tag||6===o.tag)r.appendChild(o.stateNode);else if(4!==o.tag&&27!==o.tag&&null!==o.child){o.child.return=o,o=o.child;continue}if(o===t)break e;for(;null===o.sibling;){if(null===o.return||o.return===t)break e;o=o.return}o.sibling.return=o.return,o=o.sibling}t.stateNode=r;e:switch(hd(r,s,i),s){case"button":case"input":case"select":case"textarea":i=!!i.autoFocus;break e;case"img":i=!0;break e;default:i=!1}i&&ol(t)}}return hl(t),ll(t,t.type,null===e||e.memoizedProps,t.pendingProps,n),null;case 6:if(e&&null!=t.stateNode)e.memoizedProps!==i&&ol(t);else{if("string"!==typeof i&&null===t.stateNode)throw Error(a(166));if(e=H.current,ys(t)){if(e=t.stateNode,n=t.memoizedProps,i=null,null!==(s=us))switch(s.tag){case 27:case 5:i=s.memoizedProps}e[Be]=t,(e=!!(e.nodeValue===n||null!==i&&!0===i.suppressHydrationWarning||ud(e.nodeValue,n)))||ms(t,!0)}else(e=vd(e).createTextNode(i))[Be]=t,t.stateNode=e}return hl(t),null;case 31:if(n=t.memoizedState,null===e||null!==e.memoizedState){if(i=ys(t),null!==n){if(null===e){if(!i)throw Error(a(318));if(!(e=null!==(e=t.memoizedState)?e.dehydrated:null))throw Error(a(557));e[Be]=t}else As(),0===(128&t.flags)&&(t.memoizedState=null),t.flags|=4;hl(t),e=!1}else n=bs(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=n),e=!0;if(!e)return 256&t.flags?(Wr(t),t):(Wr(t),null);if(0!==(128&t.flags))throw Error(a(558))}return hl(t),null;case 13:if(i=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(s=ys(t),null!==i&&null!==i.dehydrated){if(null===e){if(!s)throw Error(a(318));if(!(s=null!==(s=t.memoizedState)?s.dehydrated:null))throw Error(a(317));s[Be]=t}else As(),0===(128&t.flags)&&(t.memoizedState=null),t.flags|=4;hl(t),s=!1}else s=bs(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=s),s=!0;if(!s)return 256&t.flags?(Wr(t),t):(Wr(t),null)}return Wr(t),0!==(128&t.flags)?(t.lanes=n,t):(n=null!==i,e=null!==e&&null!==e.memoizedState,n&&(s=null,null!==(i=t.child).alternate&&null!==i.alternate.memoizedState&&null!==i.alternate.memoizedState.cachePool&&(s=i.alternate.memoizedState.cachePool.pool),r=null,null!==i.memoizedState&&null!==i.memoizedState.cachePool&&(r=i.memoizedState.cachePool.pool),r!==s&&(i.flags|=2048)),n!==e&&n&&(t.child.flags|=8192),cl(t,t.updateQueue),hl(t),null);case 4:return G(),null===e&&Jc(t.stateNode.containerInfo),hl(t),null;case 10:return xs(t.type),hl(t),null;case 19:if(z(Ir),null===(i=t.memoizedState))return hl(t),null;if(s=0!==(128&t.flags),null===(r=i.rendering))if(s)dl(i,!1);else{if(0!==Su||null!==e&&0!==(128&e.flags))for(e=t.child;null!==e;){if(null!==(r=zr(e))){for(t.flags|=128,dl(i,!1),e=r.updateQueue,t.updateQueue=e,cl(t,e),t.subtreeFlags=0,e=n,n=t.child;null!==n;)Bi(n,e),n=n.sibling;return B(Ir,1&Ir.current|2),ds&&ss(t,i.treeForkCount),t.child}e=e.sibling}null!==i.tail&&le()>Fu&&(t.flags|=128,s=!0,dl(i,!1),t.lanes=4194304)}else{if(!s)if(null!==(e=zr(r))){if(t.flags|=128,s=!0,e=e.updateQueue,t.updateQueue=e,cl(t,e),dl(i,!0),null===i.tail&&"hidden"===i.tailMode&&!r.alternate&&!ds)return hl(t),null}else 2*le()-i.renderingStartTime>Fu&&536870912!==n&&(t.flags|=128,s=!0,dl(i,!1),t.lanes=4194304);i.isBackwards?(r.sibling=t.child,t.child=r):(null!==(e=i.last)?e.sibling=r:t.child=r,i.last=r)}return null!==i.tail?(e=i.tail,i.rendering=e,i.tail=e.sibling,i.renderingStartTime=le(),e.sibling=null,n=Ir.current,B(Ir,s?1&n|2:1&n),ds&&ss(t,i.treeForkCount),e):(hl(t),null);case 22:case 23:return Wr(t),Lr(),i=null!==t.memoizedState,null!==e?null!==e.memoizedState!==i&&(t.flags|=8192):i&&(t.flags|=8192),i?0!==(536870912&n)&&0===(128&t.flags)&&(hl(t),6&t.subtreeFlags&&(t.flags|=8192)):hl(t),null!==(n=t.updateQueue)&&cl(t,n.retryQueue),n=null,null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(n=e.memoizedState.cachePool.pool),i=null,null!==t.memoizedState&&null!==t.memoizedState.cachePool&&(i=t.memoizedState.cachePool.pool),i!==n&&(t.flags|=2048),null!==e&&z(Zs),null;case 24:return n=null,null!==e&&(n=e.memoizedState.cache),t.memoizedState.cache!==n&&(t.flags|=2048),xs(Ws),hl(t),null;case 25:case 30:return null}throw Error(a(156,t.tag))}function pl(e,t){switch(os(t),t.tag){case 1:return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return xs(Ws),G(),0!==(65536&(e=t.flags))&&0===(128&e)?(t.flags=-65537&e|128,t):null;case 26:case 27:case 5:return X(t),null;case 31:if(null!==t.memoizedState){if(Wr(t),null===t.alternate)throw Error(a(340));As()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 13:if(Wr(t),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(a(340));As()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return z(Ir),null;case 4:return G(),null;case 10:return xs(t.type),null;case 22:case 23:return Wr(t),Lr(),null!==e&&z(Zs),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 24:return xs(Ws),null;default:return null}}function ml(e,t){switch(os(t),t.tag){case 3:xs(Ws),G();break;case 26:case 27:case 5:X(t);break;case 4:G();break;case 31:null!==t.memoizedState&&Wr(t);break;case 13:Wr(t);break;case 19:z(Ir);break;case 10:xs(t.type);break;case 22:case 23:Wr(t),Lr(),null!==e&&z(Zs);break;case 24:xs(Ws)}}function vl(e,t){try{var n=t.updateQueue,i=null!==n?n.lastEffect:null;if(null!==i){var s=i.next;n=s;do{if((n.tag&e)===e){i=void 0;var r=n.create,a=n.inst;i=r(),a.destroy=i}n=n.next}while(n!==s)}}catch(o){Sc(t,t.return,o)}}function gl(e,t,n){try{var i=t.updateQueue,s=null!==i?i.lastEffect:null;if(null!==s){var r=s.next;i=r;do{if((i.tag&e)===e){var a=i.inst,o=a.destroy;if(void 0!==o){a.destroy=void 0,s=t;var l=n,u=o;try{u()}catch(c){Sc(s,l,c)}}}i=i.next}while(i!==r)}}catch(c){Sc(t,t.return,c)}}function yl(e){var t=e.updateQueue;if(null!==t){var n=e.stateNode;try{xr(t,n)}catch(i){Sc(e,e.return,i)}}}function Al(e,t,n){n.props=So(e.type,e.memoizedProps),n.state=e.memoizedState;try{n.componentWillUnmount()}catch(i){Sc(e,t,i)}}function bl(e,t){try{var n=e.ref;if(null!==n){switch(e.tag){case 26:case 27:case 5:var i=e.stateNode;break;default:i=e.stateNode}"function"===typeof n?e.refCleanup=n(i):n.current=i}}catch(s){Sc(e,t,s)}}function wl(e,t){var n=e.ref,i=e.refCleanup;if(null!==n)if("function"===typeof i)try{i()}catch(s){Sc(e,t,s)}finally{e.refCleanup=null,null!=(e=e.alternate)&&(e.refCleanup=null)}else if("function"===typeof n)try{n(null)}catch(r){Sc(e,t,r)}else n.current=null}function kl(e){var t=e.type,n=e.memoizedProps,i=e.stateNode;try{e:switch(t){case"button":case"input":case"select":case"textarea":n.autoFocus&&i.focus();break e;case"img":n.src?i.src=n.src:n.srcSet&&(i.srcset=n.srcSet)}}catch(s){Sc(e,e.return,s)}}function Sl(e,t,n){try{var i=e.stateNode;!function(e,t,n,i){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var s=null,r=null,o=null,l=null,u=null,c=null,d=null;for(p in n){var h=n[p];if(n.hasOwnProperty(p)&&null!=h)switch(p){case"checked":case"value":break;case"defaultValue":u=h;default:i.hasOwnProperty(p)||cd(e,t,p,null,i,h)}}for(var f in i){var p=i[f];if(h=n[f],i.hasOwnProperty(f)&&(null!=p||null!=h))switch(f){case"type":r=p;break;case"name":s=p;break;case"checked":c=p;break;case"defaultChecked":d=p;break;case"value":o=p;break;case"defaultValue":l=p;break;case"children":case"dangerouslySetInnerHTML":if(null!=p)throw Error(a(137,t));break;default:p!==h&&cd(e,t,f,p,i,h)}}return void yt(e,o,l,u,c,d,r,s);case"select":for(r in p=o=l=f=null,n)if(u=n[r],n.hasOwnProperty(r)&&null!=u)switch(r){case"value":break;case"multiple":p=u;default:i.hasOwnProperty(r)||cd(e,t,r,null,i,u)}for(s in i)if(r=i[s],u=n[s],i.hasOwnProperty(s)&&(null!=r||null!=u))switch(s){case"value":f=r;break;case"defaultValue":l=r;break;case"multiple":o=r;default:r!==u&&cd(e,t,s,r,i,u)}return t=l,n=o,i=p,void(null!=f?wt(e,!!n,f,!1):!!i!==!!n&&(null!=t?wt(e,!!n,t,!0):wt(e,!!n,n?[]:"",!1)));case"textarea":for(l in p=f=null,n)if(s=n[l],n.hasOwnProperty(l)&&null!=s&&!i.hasOwnProperty(l))switch(l){case"value":case"children":break;default:cd(e,t,l,null,i,s)}for(o in i)if(s=i[o],r=n[o],i.hasOwnProperty(o)&&(null!=s||null!=r))switch(o){case"value":f=s;break;case"defaultValue":p=s;break;case"children":break;case"dangerouslySetInnerHTML":if(null!=s)throw Error(a(91));break;default:s!==r&&cd(e,t,o,s,i,r)}return void kt(e,f,p);case"option":for(var m in n)if(f=n[m],n.hasOwnProperty(m)&&null!=f&&!i.hasOwnProperty(m))if("selected"===m)e.selected=!1;else cd(e,t,m,null,i,f);for(u in i)if(f=i[u],p=n[u],i.hasOwnProperty(u)&&f!==p&&(null!=f||null!=p))if("selected"===u)e.selected=f&&"function"!==typeof f&&"symbol"!==typeof f;else cd(e,t,u,f,i,p);return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var v in n)f=n[v],n.hasOwnProperty(v)&&null!=f&&!i.hasOwnProperty(v)&&cd(e,t,v,null,i,f);for(c in i)if(f=i[c],p=n[c],i.hasOwnProperty(c)&&f!==p&&(null!=f||null!=p))switch(c){case"children":case"dangerouslySetInnerHTML":if(null!=f)throw Error(a(137,t));break;default:cd(e,t,c,f,i,p)}return;default:if(Pt(t)){for(var g in n)f=n[g],n.hasOwnProperty(g)&&void 0!==f&&!i.hasOwnProperty(g)&&dd(e,t,g,void 0,i,f);for(d in i)f=i[d],p=n[d],!i.hasOwnProperty(d)||f===p||void 0===f&&void 0===p||dd(e,t,d,f,i,p);return}}for(var y in n)f=n[y],n.hasOwnProperty(y)&&null!=f&&!i.hasOwnProperty(y)&&cd(e,t,y,null,i,f);for(h in i)f=i[h],p=n[h],!i.hasOwnProperty(h)||f===p||null==f&&null==p||cd(e,t,h,f,i,p)}(i,e.type,n,t),i[_e]=t}catch(s){Sc(e,e.return,s)}}function El(e){return 5===e.tag||3===e.tag||26===e.tag||27===e.tag&&xd(e.type)||4===e.tag}function Cl(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||El(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(27===e.tag&&xd(e.type))continue e;if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function xl(e,t,n){var i=e.tag;if(5===i||6===i)e=e.stateNode,t?(9===n.nodeType?n.body:"HTML"===n.nodeName?n.ownerDocument.body:n).insertBefore(e,t):((t=9===n.nodeType?n.body:"HTML"===n.nodeName?n.ownerDocument.body:n).appendChild(e),null!==(n=n._reactRootContainer)&&void 0!==n||null!==t.onclick||(t.onclick=Nt));else if(4!==i&&(27===i&&xd(e.type)&&(n=e.stateNode,t=null),null!==(e=e.child)))for(xl(e,t,n),e=e.sibling;null!==e;)xl(e,t,n),e=e.sibling}function Tl(e,t,n){var i=e.tag;if(5===i||6===i)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(4!==i&&(27===i&&xd(e.type)&&(n=e.stateNode),null!==(e=e.child)))for(Tl(e,t,n),e=e.sibling;null!==e;)Tl(e,t,n),e=e.sibling}function Pl(e){var t=e.stateNode,n=e.memoizedProps;try{for(var i=e.type,s=t.attributes;s.length;)t.removeAttributeNode(s[0]);hd(t,i,n),t[Be]=e,t[_e]=n}catch(r){Sc(e,e.return,r)}}var Ml=!1,$l=!1,Ll=!1,Nl="function"===typeof WeakSet?WeakSet:Set,Dl=null;function Fl(e,t,n){var i=n.flags;switch(n.tag){case 0:case 11:case 15:Ql(e,n),4&i&&vl(5,n);break;case 1:if(Ql(e,n),4&i)if(e=n.stateNode,null===t)try{e.componentDidMount()}catch(a){Sc(n,n.return,a)}else{var s=So(n.type,t.memoizedProps);t=t.memoizedState;try{e.componentDidUpdate(s,t,e.__reactInternalSnapshotBeforeUpdate)}catch(o){Sc(n,n.return,o)}}64&i&&yl(n),512&i&&bl(n,n.return);break;case 3:if(Ql(e,n),64&i&&null!==(e=n.updateQueue)){if(t=null,null!==n.child)switch(n.child.tag){case 27:case 5:case 1:t=n.child.stateNode}try{xr(e,t)}catch(a){Sc(n,n.return,a)}}break;case 27:null===t&&4&i&&Pl(n);case 26:case 5:Ql(e,n),null===t&&4&i&&kl(n),512&i&&bl(n,n.return);break;case 12:Ql(e,n);break;case 31:Ql(e,n),4&i&&zl(e,n);break;case 13:Ql(e,n),4&i&&Bl(e,n),64&i&&(null!==(e=n.memoizedState)&&(null!==(e=e.dehydrated)&&function(e,t){var n=e.ownerDocument;if("$~"===e.data)e._reactRetry=t;else if("$?"!==e.data||"loading"!==n.readyState)t();else{var i=function(){t(),n.removeEventListener("DOMContentLoaded",i)};n.addEventListener("DOMContentLoaded",i),e._reactRetry=i}}(e,n=Tc.bind(null,n))));break;case 22:if(!(i=null!==n.memoizedState||Ml)){t=null!==t&&null!==t.memoizedState||$l,s=Ml;var r=$l;Ml=i,($l=t)&&!r?Kl(e,n,0!==(8772&n.subtreeFlags)):Ql(e,n),Ml=s,$l=r}break;case 30:break;default:Ql(e,n)}}function Vl(e){var t=e.alternate;null!==t&&(e.alternate=null,Vl(t)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(t=e.stateNode)&&Ge(t)),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}var Rl=null,Ol=!1;function Wl(e,t,n){for(n=n.child;null!==n;)Il(e,t,n),n=n.sibling}function Il(e,t,n){if(ye&&"function"===typeof ye.onCommitFiberUnmount)try{ye.onCommitFiberUnmount(ge,n)}catch(r){}switch(n.tag){case 26:$l||wl(n,t),Wl(e,t,n),n.memoizedState?n.memoizedState.count--:n.stateNode&&(n=n.stateNode).parentNode.removeChild(n);break;case 27:$l||wl(n,t);var i=Rl,s=Ol;xd(n.type)&&(Rl=n.stateNode,Ol=!1),Wl(e,t,n),Wd(n.stateNode),Rl=i,Ol=s;break;case 5:$l||wl(n,t);case 6:if(i=Rl,s=Ol,Rl=null,Wl(e,t,n),Ol=s,null!==(Rl=i))if(Ol)try{(9===Rl.nodeType?Rl.body:"HTML"===Rl.nodeName?Rl.ownerDocument.body:Rl).removeChild(n.stateNode)}catch(a){Sc(n,t,a)}else try{Rl.removeChild(n.stateNode)}catch(a){Sc(n,t,a)}break;case 18:null!==Rl&&(Ol?(Td(9===(e=Rl).nodeType?e.body:"HTML"===e.nodeName?e.ownerDocument.body:e,n.stateNode),jh(e)):Td(Rl,n.stateNode));break;case 4:i=Rl,s=Ol,Rl=n.stateNode.containerInfo,Ol=!0,Wl(e,t,n),Rl=i,Ol=s;break;case 0:case 11:case 14:case 15:gl(2,n,t),$l||gl(4,n,t),Wl(e,t,n);break;case 1:$l||(wl(n,t),"function"===typeof(i=n.stateNode).componentWillUnmount&&Al(n,t,i)),Wl(e,t,n);break;case 21:Wl(e,t,n);break;case 22:$l=(i=$l)||null!==n.memoizedState,Wl(e,t,n),$l=i;break;default:Wl(e,t,n)}}function zl(e,t){if(null===t.memoizedState&&(null!==(e=t.alternate)&&null!==(e=e.memoizedState))){e=e.dehydrated;try{jh(e)}catch(n){Sc(t,t.return,n)}}}function Bl(e,t){if(null===t.memoizedState&&(null!==(e=t.alternate)&&(null!==(e=e.memoizedState)&&null!==(e=e.dehydrated))))try{jh(e)}catch(n){Sc(t,t.return,n)}}function _l(e,t){var n=function(e){switch(e.tag){case 31:case 13:case 19:var t=e.stateNode;return null===t&&(t=e.stateNode=new Nl),t;case 22:return null===(t=(e=e.stateNode)._retryCache)&&(t=e._retryCache=new Nl),t;default:throw Error(a(435,e.tag))}}(e);t.forEach(function(t){if(!n.has(t)){n.add(t);var i=Pc.bind(null,e,t);t.then(i,i)}})}function ql(e,t){var n=t.deletions;if(null!==n)for(var i=0;i<n.length;i++){var s=n[i],r=e,o=t,l=o;e:for(;null!==l;){switch(l.tag){case 27:if(xd(l.type)){Rl=l.stateNode,Ol=!1;break e}break;case 5:Rl=l.stateNode,Ol=!1;break e;case 3:case 4:Rl=l.stateNode.containerInfo,Ol=!0;break e}l=l.return}if(null===Rl)throw Error(a(160));Il(r,o,s),Rl=null,Ol=!1,null!==(r=s.alternate)&&(r.return=null),s.return=null}if(13886&t.subtreeFlags)for(t=t.child;null!==t;)Ul(t,e),t=t.sibling}var jl=null;function Ul(e,t){var n=e.alternate,i=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:ql(t,e),Hl(e),4&i&&(gl(3,e,e.return),vl(3,e),gl(5,e,e.return));break;case 1:ql(t,e),Hl(e),512&i&&($l||null===n||wl(n,n.return)),64&i&&Ml&&(null!==(e=e.updateQueue)&&(null!==(i=e.callbacks)&&(n=e.shared.hiddenCallbacks,e.shared.hiddenCallbacks=null===n?i:n.concat(i))));break;case 26:var s=jl;if(ql(t,e),Hl(e),512&i&&($l||null===n||wl(n,n.return)),4&i){var r=null!==n?n.memoizedState:null;if(i=e.memoizedState,null===n)if(null===i)if(null===e.stateNode){e:{i=e.type,n=e.memoizedProps,s=s.ownerDocument||s;t:switch(i){case"title":(!(r=s.getElementsByTagName("title")[0])||r[Qe]||r[Be]||"http://www.w3.org/2000/svg"===r.namespaceURI||r.hasAttribute("itemprop"))&&(r=s.createElement(i),s.head.insertBefore(r,s.querySelector("head > title"))),hd(r,i,n),r[Be]=e,et(r),i=r;break e;case"link":var o=nh("link","href",s).get(i+(n.href||""));if(o)for(var l=0;l<o.length;l++)if((r=o[l]).getAttribute("href")===(null==n.href||""===n.href?null:n.href)&&r.getAttribute("rel")===(null==n.rel?null:n.rel)&&r.getAttribute("title")===(null==n.title?null:n.title)&&r.getAttribute("crossorigin")===(null==n.crossOrigin?null:n.crossOrigin)){o.splice(l,1);break t}hd(r=s.createElement(i),i,n),s.head.appendChild(r);break;case"meta":if(o=nh("meta","content",s).get(i+(n.content||"")))for(l=0;l<o.length;l++)if((r=o[l]).getAttribute("content")===(null==n.content?null:""+n.content)&&r.getAttribute("name")===(null==n.name?null:n.name)&&r.getAttribute("property")===(null==n.property?null:n.property)&&r.getAttribute("http-equiv")===(null==n.httpEquiv?null:n.httpEquiv)&&r.getAttribute("charset")===(null==n.charSet?null:n.charSet)){o.splice(l,1);break t}hd(r=s.createElement(i),i,n),s.head.appendChild(r);break;default:throw Error(a(468,i))}r[Be]=e,et(r),i=r}e.stateNode=i}else ih(s,e.type,e.stateNode);else e.stateNode=Xd(s,i,e.memoizedProps);else r!==i?(null===r?null!==n.stateNode&&(n=n.stateNode).parentNode.removeChild(n):r.count--,null===i?ih(s,e.type,e.stateNode):Xd(s,i,e.memoizedProps)):null===i&&null!==e.stateNode&&Sl(e,e.memoizedProps,n.memoizedProps)}break;case 27:ql(t,e),Hl(e),512&i&&($l||null===n||wl(n,n.return)),null!==n&&4&i&&Sl(e,e.memoizedProps,n.memoizedProps);break;case 5:if(ql(t,e),Hl(e),512&i&&($l||null===n||wl(n,n.return)),32&e.flags){s=e.stateNode;try{Et(s,"")}catch(m){Sc(e,e.return,m)}}4&i&&null!=e.stateNode&&Sl(e,s=e.memoizedProps,null!==n?n.memoizedProps:s),1024&i&&(Ll=!0);break;case 6:if(ql(t,e),Hl(e),4&i){if(null===e.stateNode)throw Error(a(162));i=e.memoizedProps,n=e.stateNode;try{n.nodeValue=i}catch(m){Sc(e,e.return,m)}}break;case 3:if(th=null,s=jl,jl=Bd(t.containerInfo),ql(t,e),jl=s,Hl(e),4&i&&null!==n&&n.memoizedState.isDehydrated)try{jh(t.containerInfo)}catch(m){Sc(e,e.return,m)}Ll&&(Ll=!1,Zl(e));break;case 4:i=jl,jl=Bd(e.stateNode.containerInfo),ql(t,e),Hl(e),jl=i;break;case 12:default:ql(t,e),Hl(e);break;case 31:case 19:ql(t,e),Hl(e),4&i&&(null!==(i=e.updateQueue)&&(e.updateQueue=null,_l(e,i)));break;case 13:ql(t,e),Hl(e),8192&e.child.flags&&null!==e.memoizedState!==(null!==n&&null!==n.memoizedState)&&(Nu=le()),4&i&&(null!==(i=e.updateQueue)&&(e.updateQueue=null,_l(e,i)));break;case 22:s=null!==e.memoizedState;var u=null!==n&&null!==n.memoizedState,c=Ml,d=$l;if(Ml=c||s,$l=d||u,ql(t,e),$l=d,Ml=c,Hl(e),8192&i)e:for(t=e.stateNode,t._visibility=s?-2&t._visibility:1|t._visibility,s&&(null===n||u||Ml||$l||Gl(e)),n=null,t=e;;){if(5===t.tag||26===t.tag){if(null===n){u=n=t;try{if(r=u.stateNode,s)"function"===typeof(o=r.style).setProperty?o.setProperty("display","none","important"):o.display="none";else{l=u.stateNode;var h=u.memoizedProps.style,f=void 0!==h&&null!==h&&h.hasOwnProperty("display")?h.display:null;l.style.display=null==f||"boolean"===typeof f?"":(""+f).trim()}}catch(m){Sc(u,u.return,m)}}}else if(6===t.tag){if(null===n){u=t;try{u.stateNode.nodeValue=s?"":u.memoizedProps}catch(m){Sc(u,u.return,m)}}}else if(18===t.tag){if(null===n){u=t;try{var p=u.stateNode;s?Pd(p,!0):Pd(u.stateNode,!1)}catch(m){Sc(u,u.return,m)}}}else if((22!==t.tag&&23!==t.tag||null===t.memoizedState||t===e)&&null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break e;for(;null===t.sibling;){if(null===t.return||t.return===e)break e;n===t&&(n=null),t=t.return}n===t&&(n=null),t.sibling.return=t.return,t=t.sibling}4&i&&(null!==(i=e.updateQueue)&&(null!==(n=i.retryQueue)&&(i.retryQueue=null,_l(e,n))));case 30:case 21:}}function Hl(e){var t=e.flags;if(2&t){try{for(var n,i=e.return;null!==i;){if(El(i)){n=i;break}i=i.return}if(null==n)throw Error(a(160));switch(n.tag){case 27:var s=n.stateNode;Tl(e,Cl(e),s);break;case 5:var r=n.stateNode;32&n.flags&&(Et(r,""),n.flags&=-33),Tl(e,Cl(e),r);break;case 3:case 4:var o=n.stateNode.containerInfo;xl(e,Cl(e),o);break;default:throw Error(a(161))}}catch(l){Sc(e,e.return,l)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function Zl(e){if(1024&e.subtreeFlags)for(e=e.child;null!==e;){var t=e;Zl(t),5===t.tag&&1024&t.flags&&t.stateNode.reset(),e=e.sibling}}function Ql(e,t){if(8772&t.subtreeFlags)for(t=t.child;null!==t;)Fl(e,t.alternate,t),t=t.sibling}function Gl(e){for(e=e.child;null!==e;){var t=e;switch(t.tag){case 0:case 11:case 14:case 15:gl(4,t,t.return),Gl(t);break;case 1:wl(t,t.return);var n=t.stateNode;"function"===typeof n.componentWillUnmount&&Al(t,t.return,n),Gl(t);break;case 27:Wd(t.stateNode);case 26:case 5:wl(t,t.return),Gl(t);break;case 22:null===t.memoizedState&&Gl(t);break;default:Gl(t)}e=e.sibling}}function Kl(e,t,n){for(n=n&&0!==(8772&t.subtreeFlags),t=t.child;null!==t;){var i=t.alternate,s=e,r=t,a=r.flags;switch(r.tag){case 0:case 11:case 15:Kl(s,r,n),vl(4,r);break;case 1:if(Kl(s,r,n),"function"===typeof(s=(i=r).stateNode).componentDidMount)try{s.componentDidMount()}catch(u){Sc(i,i.return,u)}if(null!==(s=(i=r).updateQueue)){var o=i.stateNode;try{var l=s.shared.hiddenCallbacks;if(null!==l)for(s.shared.hiddenCallbacks=null,s=0;s<l.length;s++)Cr(l[s],o)}catch(u){Sc(i,i.return,u)}}n&&64&a&&yl(r),bl(r,r.return);break;case 27:Pl(r);case 26:case 5:Kl(s,r,n),n&&null===i&&4&a&&kl(r),bl(r,r.return);break;case 12:Kl(s,r,n);break;case 31:Kl(s,r,n),n&&4&a&&zl(s,r);break;case 13:Kl(s,r,n),n&&4&a&&Bl(s,r);break;case 22:null===r.memoizedState&&Kl(s,r,n),bl(r,r.return);break;case 30:break;default:Kl(s,r,n)}t=t.sibling}}function Xl(e,t){var n=null;null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(n=e.memoizedState.cachePool.pool),e=null,null!==t.memoizedState&&null!==t.memoizedState.cachePool&&(e=t.memoizedState.cachePool.pool),e!==n&&(null!=e&&e.refCount++,null!=n&&zs(n))}function Yl(e,t){e=null,null!==t.alternate&&(e=t.alternate.memoizedState.cache),(t=t.memoizedState.cache)!==e&&(t.refCount++,null!=e&&zs(e))}function Jl(e,t,n,i){if(10256&t.subtreeFlags)for(t=t.child;null!==t;)eu(e,t,n,i),t=t.sibling}function eu(e,t,n,i){var s=t.flags;switch(t.tag){case 0:case 11:case 15:Jl(e,t,n,i),2048&s&&vl(9,t);break;case 1:case 31:case 13:default:Jl(e,t,n,i);break;case 3:Jl(e,t,n,i),2048&s&&(e=null,null!==t.alternate&&(e=t.alternate.memoizedState.cache),(t=t.memoizedState.cache)!==e&&(t.refCount++,null!=e&&zs(e)));break;case 12:if(2048&s){Jl(e,t,n,i),e=t.stateNode;try{var r=t.memoizedProps,a=r.id,o=r.onPostCommit;"function"===typeof o&&o(a,null===t.alternate?"mount":"update",e.passiveEffectDuration,-0)}catch(l){Sc(t,t.return,l)}}else Jl(e,t,n,i);break;case 23:break;case 22:r=t.stateNode,a=t.alternate,null!==t.memoizedState?2&r._visibility?Jl(e,t,n,i):nu(e,t):2&r._visibility?Jl(e,t,n,i):(r._visibility|=2,tu(e,t,n,i,0!==(10256&t.subtreeFlags)||!1)),2048&s&&Xl(a,t);break;case 24:Jl(e,t,n,i),2048&s&&Yl(t.alternate,t)}}function tu(e,t,n,i,s){for(s=s&&(0!==(10256&t.subtreeFlags)||!1),t=t.child;null!==t;){var r=e,a=t,o=n,l=i,u=a.flags;switch(a.tag){case 0:case 11:case 15:tu(r,a,o,l,s),vl(8,a);break;case 23:break;case 22:var c=a.stateNode;null!==a.memoizedState?2&c._visibility?tu(r,a,o,l,s):nu(r,a):(c._visibility|=2,tu(r,a,o,l,s)),s&&2048&u&&Xl(a.alternate,a);break;case 24:tu(r,a,o,l,s),s&&2048&u&&Yl(a.alternate,a);break;default:tu(r,a,o,l,s)}t=t.sibling}}function nu(e,t){if(10256&t.subtreeFlags)for(t=t.child;null!==t;){var n=e,i=t,s=i.flags;switch(i.tag){case 22:nu(n,i),2048&s&&Xl(i.alternate,i);break;case 24:nu(n,i),2048&s&&Yl(i.alternate,i);break;default:nu(n,i)}t=t.sibling}}var iu=8192;function su(e,t,n){if(e.subtreeFlags&iu)for(e=e.child;null!==e;)ru(e,t,n),e=e.sibling}function ru(e,t,n){switch(e.tag){case 26:su(e,t,n),e.flags&iu&&null!==e.memoizedState&&function(e,t,n,i){if("stylesheet"===n.type&&("string"!==typeof i.media||!1!==matchMedia(i.media).matches)&&0===(4&n.state.loading)){if(null===n.instance){var s=Hd(i.href),r=t.querySelector(Zd(s));if(r)return null!==(t=r._p)&&"object"===typeof t&&"function"===typeof t.then&&(e.count++,e=ah.bind(e),t.then(e,e)),n.state.loading|=4,n.instance=r,void et(r);r=t.ownerDocument||t,i=Qd(i),(s=Id.get(s))&&Jd(i,s),et(r=r.createElement("link"));var a=r;a._p=new Promise(function(e,t){a.onload=e,a.onerror=t}),hd(r,"link",i),n.instance=r}null===e.stylesheets&&(e.stylesheets=new Map),e.stylesheets.set(n,t),(t=n.state.preload)&&0===(3&n.state.loading)&&(e.count++,n=ah.bind(e),t.addEventListener("load",n),t.addEventListener("error",n))}}(n,jl,e.memoizedState,e.memoizedProps);break;case 5:default:su(e,t,n);break;case 3:case 4:var i=jl;jl=Bd(e.stateNode.containerInfo),su(e,t,n),jl=i;break;case 22:null===e.memoizedState&&(null!==(i=e.alternate)&&null!==i.memoizedState?(i=iu,iu=16777216,su(e,t,n),iu=i):su(e,t,n))}}function au(e){var t=e.alternate;if(null!==t&&null!==(e=t.child)){t.child=null;do{t=e.sibling,e.sibling=null,e=t}while(null!==e)}}function ou(e){var t=e.deletions;if(0!==(16&e.flags)){if(null!==t)for(var n=0;n<t.length;n++){var i=t[n];Dl=i,cu(i,e)}au(e)}if(10256&e.subtreeFlags)for(e=e.child;null!==e;)lu(e),e=e.sibling}function lu(e){switch(e.tag){case 0:case 11:case 15:ou(e),2048&e.flags&&gl(9,e,e.return);break;case 3:case 12:default:ou(e);break;case 22:var t=e.stateNode;null!==e.memoizedState&&2&t._visibility&&(null===e.return||13!==e.return.tag)?(t._visibility&=-3,uu(e)):ou(e)}}function uu(e){var t=e.deletions;if(0!==(16&e.flags)){if(null!==t)for(var n=0;n<t.length;n++){var i=t[n];Dl=i,cu(i,e)}au(e)}for(e=e.child;null!==e;){switch((t=e).tag){case 0:case 11:case 15:gl(8,t,t.return),uu(t);break;case 22:2&(n=t.stateNode)._visibility&&(n._visibility&=-3,uu(t));break;default:uu(t)}e=e.sibling}}function cu(e,t){for(;null!==Dl;){var n=Dl;switch(n.tag){case 0:case 11:case 15:gl(8,n,t);break;case 23:case 22:if(null!==n.memoizedState&&null!==n.memoizedState.cachePool){var i=n.memoizedState.cachePool.pool;null!=i&&i.refCount++}break;case 24:zs(n.memoizedState.cache)}if(null!==(i=n.child))i.return=n,Dl=i;else e:for(n=e;null!==Dl;){var s=(i=Dl).sibling,r=i.return;if(Vl(i),i===n){Dl=null;break e}if(null!==s){s.return=r,Dl=s;break e}Dl=r}}}var du={getCacheForType:function(e){var t=Ns(Ws),n=t.data.get(e);return void 0===n&&(n=e(),t.data.set(e,n)),n},cacheSignal:function(){return Ns(Ws).controller.signal}},hu="function"===typeof WeakMap?WeakMap:Map,fu=0,pu=null,mu=null,vu=0,gu=0,yu=null,Au=!1,bu=!1,wu=!1,ku=0,Su=0,Eu=0,Cu=0,xu=0,Tu=0,Pu=0,Mu=null,$u=null,Lu=!1,Nu=0,Du=0,Fu=1/0,Vu=null,Ru=null,Ou=0,Wu=null,Iu=null,zu=0,Bu=0,_u=null,qu=null,ju=0,Uu=null;function Hu(){return 0!==(2&fu)&&0!==vu?vu&-vu:null!==F.T?_c():We()}function Zu(){if(0===Tu)if(0===(536870912&vu)||ds){var e=Ee;0===(3932160&(Ee<<=1))&&(Ee=262144),Tu=e}else Tu=536870912;return null!==(e=Nr.current)&&(e.flags|=32),Tu}function Qu(e,t,n){(e!==pu||2!==gu&&9!==gu)&&null===e.cancelPendingCommit||(tc(e,0),Yu(e,vu,Tu,!1)),Ne(e,n),0!==(2&fu)&&e===pu||(e===pu&&(0===(2&fu)&&(Cu|=n),4===Su&&Yu(e,vu,Tu,!1)),Vc(e))}function Gu(e,t,n){if(0!==(6&fu))throw Error(a(327));for(var i=!n&&0===(127&t)&&0===(t&e.expiredLanes)||Pe(e,t),s=i?function(e,t){var n=fu;fu|=2;var i=sc(),s=rc();pu!==e||vu!==t?(Vu=null,Fu=le()+500,tc(e,t)):bu=Pe(e,t);e:for(;;)try{if(0!==gu&&null!==mu){t=mu;var r=yu;t:switch(gu){case 1:gu=0,yu=null,hc(e,t,r,1);break;case 2:case 9:if(tr(r)){gu=0,yu=null,dc(t);break}t=function(){2!==gu&&9!==gu||pu!==e||(gu=7),Vc(e)},r.then(t,t);break e;case 3:gu=7;break e;case 4:gu=5;break e;case 7:tr(r)?(gu=0,yu=null,dc(t)):(gu=0,yu=null,hc(e,t,r,7));break;case 5:var o=null;switch(mu.tag){case 26:o=mu.memoizedState;case 5:case 27:var l=mu;if(o?sh(o):l.stateNode.complete){gu=0,yu=null;var u=l.sibling;if(null!==u)mu=u;else{var c=l.return;null!==c?(mu=c,fc(c)):mu=null}break t}}gu=0,yu=null,hc(e,t,r,5);break;case 6:gu=0,yu=null,hc(e,t,r,6);break;case 8:ec(),Su=6;break e;default:throw Error(a(462))}}uc();break}catch(d){nc(e,d)}return Es=Ss=null,F.H=i,F.A=s,fu=n,null!==mu?0:(pu=null,vu=0,$i(),Su)}(e,t):oc(e,t,!0),r=i;;){if(0===s){bu&&!i&&Yu(e,t,0,!1);break}if(n=e.current.alternate,!r||Xu(n)){if(2===s){if(r=t,e.errorRecoveryDisabledLanes&r)var o=0;else o=0!==(o=-536870913&e.pendingLanes)?o:536870912&o?536870912:0;if(0!==o){t=o;e:{var l=e;s=Mu;var u=l.current.memoizedState.isDehydrated;if(u&&(tc(l,o).flags|=256),2!==(o=oc(l,o,!1))){if(wu&&!u){l.errorRecoveryDisabledLanes|=r,Cu|=r,s=4;break e}r=$u,$u=s,null!==r&&(null===$u?$u=r:$u.push.apply($u,r))}s=o}if(r=!1,2!==s)continue}}if(1===s){tc(e,0),Yu(e,t,0,!0);break}e:{switch(i=e,r=s){case 0:case 1:throw Error(a(345));case 4:if((4194048&t)!==t)break;case 6:Yu(i,t,Tu,!Au);break e;case 2:$u=null;break;case 3:case 5:break;default:throw Error(a(329))}if((62914560&t)===t&&10<(s=Nu+300-le())){if(Yu(i,t,Tu,!Au),0!==Te(i,0,!0))break e;zu=t,i.timeoutHandle=wd(Ku.bind(null,i,n,$u,Vu,Lu,t,Tu,Cu,Pu,Au,r,"Throttled",-0,0),s)}else Ku(i,n,$u,Vu,Lu,t,Tu,Cu,Pu,Au,r,null,-0,0)}break}s=oc(e,t,!1),r=!1}Vc(e)}function Ku(e,t,n,i,s,r,a,o,l,u,c,d,h,f){if(e.timeoutHandle=-1,8192&(d=t.subtreeFlags)||16785408===(16785408&d)){ru(t,r,d={stylesheets:null,count:0,imgCount:0,imgBytes:0,suspenseyImages:[],waitingForImages:!0,waitingForViewTransition:!1,unsuspend:Nt});var p=(62914560&r)===r?Nu-le():(4194048&r)===r?Du-le():0;if(null!==(p=function(e,t){return e.stylesheets&&0===e.count&&lh(e,e.stylesheets),0<e.count||0<e.imgCount?function(n){var i=setTimeout(function(){if(e.stylesheets&&lh(e,e.stylesheets),e.unsuspend){var t=e.unsuspend;e.unsuspend=null,t()}},6e4+t);0<e.imgBytes&&0===rh&&(rh=62500*function(){if("function"===typeof performance.getEntriesByType){for(var e=0,t=0,n=performance.getEntriesByType("resource"),i=0;i<n.length;i++){var s=n[i],r=s.transferSize,a=s.initiatorType,o=s.duration;if(r&&o&&fd(a)){for(a=0,o=s.responseEnd,i+=1;i<n.length;i++){var l=n[i],u=l.startTime;if(u>o)break;var c=l.transferSize,d=l.initiatorType;c&&fd(d)&&(a+=c*((l=l.responseEnd)<o?1:(o-u)/(l-u)))}if(--i,t+=8*(r+a)/(s.duration/1e3),10<++e)break}}if(0<e)return t/e/1e6}return navigator.connection&&"number"===typeof(e=navigator.connection.downlink)?e:5}());var s=setTimeout(function(){if(e.waitingForImages=!1,0===e.count&&(e.stylesheets&&lh(e,e.stylesheets),e.unsuspend)){var t=e.unsuspend;e.unsuspend=null,t()}},(e.imgBytes>rh?50:800)+t);return e.unsuspend=n,function(){e.unsuspend=null,clearTimeout(i),clearTimeout(s)}}:null}(d,p)))return zu=r,e.cancelPendingCommit=p(mc.bind(null,e,t,r,n,i,s,a,o,l,c,d,null,h,f)),void Yu(e,r,a,!u)}mc(e,t,r,n,i,s,a,o,l)}function Xu(e){for(var t=e;;){var n=t.tag;if((0===n||11===n||15===n)&&16384&t.flags&&(null!==(n=t.updateQueue)&&null!==(n=n.stores)))for(var i=0;i<n.length;i++){var s=n[i],r=s.getSnapshot;s=s.value;try{if(!Yn(r(),s))return!1}catch(a){return!1}}if(n=t.child,16384&t.subtreeFlags&&null!==n)n.return=t,t=n;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function Yu(e,t,n,i){t&=~xu,t&=~Cu,e.suspendedLanes|=t,e.pingedLanes&=~t,i&&(e.warmLanes|=t),i=e.expirationTimes;for(var s=t;0<s;){var r=31-be(s),a=1<<r;i[r]=-1,s&=~a}0!==n&&De(e,n,t)}function Ju(){return 0!==(6&fu)||(Rc(0,!1),!1)}function ec(){if(null!==mu){if(0===gu)var e=mu.return;else Es=Ss=null,aa(e=mu),or=null,lr=0,e=mu;for(;null!==e;)ml(e.alternate,e),e=e.return;mu=null}}function tc(e,t){var n=e.timeoutHandle;-1!==n&&(e.timeoutHandle=-1,kd(n)),null!==(n=e.cancelPendingCommit)&&(e.cancelPendingCommit=null,n()),zu=0,ec(),pu=e,mu=n=zi(e.current,null),vu=t,gu=0,yu=null,Au=!1,bu=Pe(e,t),wu=!1,Pu=Tu=xu=Cu=Eu=Su=0,$u=Mu=null,Lu=!1,0!==(8&t)&&(t|=32&t);var i=e.entangledLanes;if(0!==i)for(e=e.entanglements,i&=t;0<i;){var s=31-be(i),r=1<<s;t|=e[s],i&=~r}return ku=t,$i(),n}function nc(e,t){_r=null,F.H=mo,t===Xs||t===Js?(t=rr(),gu=3):t===Ys?(t=rr(),gu=4):gu=t===No?8:null!==t&&"object"===typeof t&&"function"===typeof t.then?6:1,yu=t,null===mu&&(Su=1,To(e,Qi(t,e.current)))}function ic(){var e=Nr.current;return null===e||((4194048&vu)===vu?null===Dr:((62914560&vu)===vu||0!==(536870912&vu))&&e===Dr)}function sc(){var e=F.H;return F.H=mo,null===e?mo:e}function rc(){var e=F.A;return F.A=du,e}function ac(){Su=4,Au||(4194048&vu)!==vu&&null!==Nr.current||(bu=!0),0===(134217727&Eu)&&0===(134217727&Cu)||null===pu||Yu(pu,vu,Tu,!1)}function oc(e,t,n){var i=fu;fu|=2;var s=sc(),r=rc();pu===e&&vu===t||(Vu=null,tc(e,t)),t=!1;var a=Su;e:for(;;)try{if(0!==gu&&null!==mu){var o=mu,l=yu;switch(gu){case 8:ec(),a=6;break e;case 3:case 2:case 9:case 6:null===Nr.current&&(t=!0);var u=gu;if(gu=0,yu=null,hc(e,o,l,u),n&&bu){a=0;break e}break;default:u=gu,gu=0,yu=null,hc(e,o,l,u)}}lc(),a=Su;break}catch(c){nc(e,c)}return t&&e.shellSuspendCounter++,Es=Ss=null,fu=i,F.H=s,F.A=r,null===mu&&(pu=null,vu=0,$i()),a}function lc(){for(;null!==mu;)cc(mu)}function uc(){for(;null!==mu&&!ae();)cc(mu)}function cc(e){var t=al(e.alternate,e,ku);e.memoizedProps=e.pendingProps,null===t?fc(e):mu=t}function dc(e){var t=e,n=t.alternate;switch(t.tag){case 15:case 0:t=Uo(n,t,t.pendingProps,t.type,void 0,vu);break;case 11:t=Uo(n,t,t.pendingProps,t.type.render,t.ref,vu);break;case 5:aa(t);default:ml(n,t),t=al(n,t=mu=Bi(t,ku),ku)}e.memoizedProps=e.pendingProps,null===t?fc(e):mu=t}function hc(e,t,n,i){Es=Ss=null,aa(t),or=null,lr=0;var s=t.return;try{if(function(e,t,n,i,s){if(n.flags|=32768,null!==i&&"object"===typeof i&&"function"===typeof i.then){if(null!==(t=n.alternate)&&Ms(t,n,s,!0),null!==(n=Nr.current)){switch(n.tag){case 31:case 13:return null===Dr?ac():null===n.alternate&&0===Su&&(Su=3),n.flags&=-257,n.flags|=65536,n.lanes=s,i===er?n.flags|=16384:(null===(t=n.updateQueue)?n.updateQueue=new Set([i]):t.add(i),Ec(e,i,s)),!1;case 22:return n.flags|=65536,i===er?n.flags|=16384:(null===(t=n.updateQueue)?(t={transitions:null,markerInstances:null,retryQueue:new Set([i])},n.updateQueue=t):null===(n=t.retryQueue)?t.retryQueue=new Set([i]):n.add(i),Ec(e,i,s)),!1}throw Error(a(435,n.tag))}return Ec(e,i,s),ac(),!1}if(ds)return null!==(t=Nr.current)?(0===(65536&t.flags)&&(t.flags|=256),t.flags|=65536,t.lanes=s,i!==ps&&ws(Qi(e=Error(a(422),{cause:i}),n))):(i!==ps&&ws(Qi(t=Error(a(423),{cause:i}),n)),(e=e.current.alternate).flags|=65536,s&=-s,e.lanes|=s,i=Qi(i,n),wr(e,s=Mo(e.stateNode,i,s)),4!==Su&&(Su=2)),!1;var r=Error(a(520),{cause:i});if(r=Qi(r,n),null===Mu?Mu=[r]:Mu.push(r),4!==Su&&(Su=2),null===t)return!0;i=Qi(i,n),n=t;do{switch(n.tag){case 3:return n.flags|=65536,e=s&-s,n.lanes|=e,wr(n,e=Mo(n.stateNode,i,e)),!1;case 1:if(t=n.type,r=n.stateNode,0===(128&n.flags)&&("function"===typeof t.getDerivedStateFromError||null!==r&&"function"===typeof r.componentDidCatch&&(null===Ru||!Ru.has(r))))return n.flags|=65536,s&=-s,n.lanes|=s,Lo(s=$o(s),e,n,i),wr(n,s),!1}n=n.return}while(null!==n);return!1}(e,s,t,n,vu))return Su=1,To(e,Qi(n,e.current)),void(mu=null)}catch(r){if(null!==s)throw mu=s,r;return Su=1,To(e,Qi(n,e.current)),void(mu=null)}32768&t.flags?(ds||1===i?e=!0:bu||0!==(536870912&vu)?e=!1:(Au=e=!0,(2===i||9===i||3===i||6===i)&&(null!==(i=Nr.current)&&13===i.tag&&(i.flags|=16384))),pc(t,e)):fc(t)}function fc(e){var t=e;do{if(0!==(32768&t.flags))return void pc(t,Au);e=t.return;var n=fl(t.alternate,t,ku);if(null!==n)return void(mu=n);if(null!==(t=t.sibling))return void(mu=t);mu=t=e}while(null!==t);0===Su&&(Su=5)}function pc(e,t){do{var n=pl(e.alternate,e);if(null!==n)return n.flags&=32767,void(mu=n);if(null!==(n=e.return)&&(n.flags|=32768,n.subtreeFlags=0,n.deletions=null),!t&&null!==(e=e.sibling))return void(mu=e);mu=e=n}while(null!==e);Su=6,mu=null}function mc(e,t,n,i,s,r,o,l,u){e.cancelPendingCommit=null;do{bc()}while(0!==Ou);if(0!==(6&fu))throw Error(a(327));if(null!==t){if(t===e.current)throw Error(a(177));if(r=t.lanes|t.childLanes,function(e,t,n,i,s,r){var a=e.pendingLanes;e.pendingLanes=n,e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0,e.expiredLanes&=n,e.entangledLanes&=n,e.errorRecoveryDisabledLanes&=n,e.shellSuspendCounter=0;var o=e.entanglements,l=e.expirationTimes,u=e.hiddenUpdates;for(n=a&~n;0<n;){var c=31-be(n),d=1<<c;o[c]=0,l[c]=-1;var h=u[c];if(null!==h)for(u[c]=null,c=0;c<h.length;c++){var f=h[c];null!==f&&(f.lane&=-536870913)}n&=~d}0!==i&&De(e,i,0),0!==r&&0===s&&0!==e.tag&&(e.suspendedLanes|=r&~(a&~t))}(e,n,r|=Mi,o,l,u),e===pu&&(mu=pu=null,vu=0),Iu=t,Wu=e,zu=n,Bu=r,_u=s,qu=i,0!==(10256&t.subtreeFlags)||0!==(10256&t.flags)?(e.callbackNode=null,e.callbackPriority=0,se(he,function(){return wc(),null})):(e.callbackNode=null,e.callbackPriority=0),i=0!==(13878&t.flags),0!==(13878&t.subtreeFlags)||i){i=F.T,F.T=null,s=V.p,V.p=2,o=fu,fu|=4;try{!function(e,t){if(e=e.containerInfo,pd=Ah,si(e=ii(e))){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{var i=(n=(n=e.ownerDocument)&&n.defaultView||window).getSelection&&n.getSelection();if(i&&0!==i.rangeCount){n=i.anchorNode;var s=i.anchorOffset,r=i.focusNode;i=i.focusOffset;try{n.nodeType,r.nodeType}catch(v){n=null;break e}var o=0,l=-1,u=-1,c=0,d=0,h=e,f=null;t:for(;;){for(var p;h!==n||0!==s&&3!==h.nodeType||(l=o+s),h!==r||0!==i&&3!==h.nodeType||(u=o+i),3===h.nodeType&&(o+=h.nodeValue.length),null!==(p=h.firstChild);)f=h,h=p;for(;;){if(h===e)break t;if(f===n&&++c===s&&(l=o),f===r&&++d===i&&(u=o),null!==(p=h.nextSibling))break;f=(h=f).parentNode}h=p}n=-1===l||-1===u?null:{start:l,end:u}}else n=null}n=n||{start:0,end:0}}else n=null;for(md={focusedElem:e,selectionRange:n},Ah=!1,Dl=t;null!==Dl;)if(e=(t=Dl).child,0!==(1028&t.subtreeFlags)&&null!==e)e.return=t,Dl=e;else for(;null!==Dl;){switch(r=(t=Dl).alternate,e=t.flags,t.tag){case 0:if(0!==(4&e)&&null!==(e=null!==(e=t.updateQueue)?e.events:null))for(n=0;n<e.length;n++)(s=e[n]).ref.impl=s.nextImpl;break;case 11:case 15:case 5:case 26:case 27:case 6:case 4:case 17:break;case 1:if(0!==(1024&e)&&null!==r){e=void 0,n=t,s=r.memoizedProps,r=r.memoizedState,i=n.stateNode;try{var m=So(n.type,s);e=i.getSnapshotBeforeUpdate(m,r),i.__reactInternalSnapshotBeforeUpdate=e}catch(g){Sc(n,n.return,g)}}break;case 3:if(0!==(1024&e))if(9===(n=(e=t.stateNode.containerInfo).nodeType))Md(e);else if(1===n)switch(e.nodeName){case"HEAD":case"HTML":case"BODY":Md(e);break;default:e.textContent=""}break;default:if(0!==(1024&e))throw Error(a(163))}if(null!==(e=t.sibling)){e.return=t.return,Dl=e;break}Dl=t.return}}(e,t)}finally{fu=o,V.p=s,F.T=i}}Ou=1,vc(),gc(),yc()}}function vc(){if(1===Ou){Ou=0;var e=Wu,t=Iu,n=0!==(13878&t.flags);if(0!==(13878&t.subtreeFlags)||n){n=F.T,F.T=null;var i=V.p;V.p=2;var s=fu;fu|=4;try{Ul(t,e);var r=md,a=ii(e.containerInfo),o=r.focusedElem,l=r.selectionRange;if(a!==o&&o&&o.ownerDocument&&ni(o.ownerDocument.documentElement,o)){if(null!==l&&si(o)){var u=l.start,c=l.end;if(void 0===c&&(c=u),"selectionStart"in o)o.selectionStart=u,o.selectionEnd=Math.min(c,o.value.length);else{var d=o.ownerDocument||document,h=d&&d.defaultView||window;if(h.getSelection){var f=h.getSelection(),p=o.textContent.length,m=Math.min(l.start,p),v=void 0===l.end?m:Math.min(l.end,p);!f.extend&&m>v&&(a=v,v=m,m=a);var g=ti(o,m),y=ti(o,v);if(g&&y&&(1!==f.rangeCount||f.anchorNode!==g.node||f.anchorOffset!==g.offset||f.focusNode!==y.node||f.focusOffset!==y.offset)){var A=d.createRange();A.setStart(g.node,g.offset),f.removeAllRanges(),m>v?(f.addRange(A),f.extend(y.node,y.offset)):(A.setEnd(y.node,y.offset),f.addRange(A))}}}}for(d=[],f=o;f=f.parentNode;)1===f.nodeType&&d.push({element:f,left:f.scrollLeft,top:f.scrollTop});for("function"===typeof o.focus&&o.focus(),o=0;o<d.length;o++){var b=d[o];b.element.scrollLeft=b.left,b.element.scrollTop=b.top}}Ah=!!pd,md=pd=null}finally{fu=s,V.p=i,F.T=n}}e.current=t,Ou=2}}function gc(){if(2===Ou){Ou=0;var e=Wu,t=Iu,n=0!==(8772&t.flags);if(0!==(8772&t.subtreeFlags)||n){n=F.T,F.T=null;var i=V.p;V.p=2;var s=fu;fu|=4;try{Fl(e,t.alternate,t)}finally{fu=s,V.p=i,F.T=n}}Ou=3}}function yc(){if(4===Ou||3===Ou){Ou=0,oe();var e=Wu,t=Iu,n=zu,i=qu;0!==(10256&t.subtreeFlags)||0!==(10256&t.flags)?Ou=5:(Ou=0,Iu=Wu=null,Ac(e,e.pendingLanes));var s=e.pendingLanes;if(0===s&&(Ru=null),Oe(n),t=t.stateNode,ye&&"function"===typeof ye.onCommitFiberRoot)try{ye.onCommitFiberRoot(ge,t,void 0,128===(128&t.current.flags))}catch(l){}if(null!==i){t=F.T,s=V.p,V.p=2,F.T=null;try{for(var r=e.onRecoverableError,a=0;a<i.length;a++){var o=i[a];r(o.value,{componentStack:o.stack})}}finally{F.T=t,V.p=s}}0!==(3&zu)&&bc(),Vc(e),s=e.pendingLanes,0!==(261930&n)&&0!==(42&s)?e===Uu?ju++:(ju=0,Uu=e):ju=0,Rc(0,!1)}}function Ac(e,t){0===(e.pooledCacheLanes&=t)&&(null!=(t=e.pooledCache)&&(e.pooledCache=null,zs(t)))}function bc(){return vc(),gc(),yc(),wc()}function wc(){if(5!==Ou)return!1;var e=Wu,t=Bu;Bu=0;var n=Oe(zu),i=F.T,s=V.p;try{V.p=32>n?32:n,F.T=null,n=_u,_u=null;var r=Wu,o=zu;if(Ou=0,Iu=Wu=null,zu=0,0!==(6&fu))throw Error(a(331));var l=fu;if(fu|=4,lu(r.current),eu(r,r.current,o,n),fu=l,Rc(0,!1),ye&&"function"===typeof ye.onPostCommitFiberRoot)try{ye.onPostCommitFiberRoot(ge,r)}catch(u){}return!0}finally{V.p=s,F.T=i,Ac(e,t)}}function kc(e,t,n){t=Qi(n,t),null!==(e=Ar(e,t=Mo(e.stateNode,t,2),2))&&(Ne(e,2),Vc(e))}function Sc(e,t,n){if(3===e.tag)kc(e,e,n);else for(;null!==t;){if(3===t.tag){kc(t,e,n);break}if(1===t.tag){var i=t.stateNode;if("function"===typeof t.type.getDerivedStateFromError||"function"===typeof i.componentDidCatch&&(null===Ru||!Ru.has(i))){e=Qi(n,e),null!==(i=Ar(t,n=$o(2),2))&&(Lo(n,i,t,e),Ne(i,2),Vc(i));break}}t=t.return}}function Ec(e,t,n){var i=e.pingCache;if(null===i){i=e.pingCache=new hu;var s=new Set;i.set(t,s)}else void 0===(s=i.get(t))&&(s=new Set,i.set(t,s));s.has(n)||(wu=!0,s.add(n),e=Cc.bind(null,e,t,n),t.then(e,e))}function Cc(e,t,n){var i=e.pingCache;null!==i&&i.delete(t),e.pingedLanes|=e.suspendedLanes&n,e.warmLanes&=~n,pu===e&&(vu&n)===n&&(4===Su||3===Su&&(62914560&vu)===vu&&300>le()-Nu?0===(2&fu)&&tc(e,0):xu|=n,Pu===vu&&(Pu=0)),Vc(e)}function xc(e,t){0===t&&(t=$e()),null!==(e=Di(e,t))&&(Ne(e,t),Vc(e))}function Tc(e){var t=e.memoizedState,n=0;null!==t&&(n=t.retryLane),xc(e,n)}function Pc(e,t){var n=0;switch(e.tag){case 31:case 13:var i=e.stateNode,s=e.memoizedState;null!==s&&(n=s.retryLane);break;case 19:i=e.stateNode;break;case 22:i=e.stateNode._retryCache;break;default:throw Error(a(314))}null!==i&&i.delete(t),xc(e,n)}var Mc=null,$c=null,Lc=!1,Nc=!1,Dc=!1,Fc=0;function Vc(e){e!==$c&&null===e.next&&(null===$c?Mc=$c=e:$c=$c.next=e),Nc=!0,Lc||(Lc=!0,Ed(function(){0!==(6&fu)?se(ce,Oc):Wc()}))}function Rc(e,t){if(!Dc&&Nc){Dc=!0;do{for(var n=!1,i=Mc;null!==i;){if(!t)if(0!==e){var s=i.pendingLanes;if(0===s)var r=0;else{var a=i.suspendedLanes,o=i.pingedLanes;r=(1<<31-be(42|e)+1)-1,r=201326741&(r&=s&~(a&~o))?201326741&r|1:r?2|r:0}0!==r&&(n=!0,Bc(i,r))}else r=vu,0===(3&(r=Te(i,i===pu?r:0,null!==i.cancelPendingCommit||-1!==i.timeoutHandle)))||Pe(i,r)||(n=!0,Bc(i,r));i=i.next}}while(n);Dc=!1}}function Oc(){Wc()}function Wc(){Nc=Lc=!1;var e=0;0!==Fc&&function(){var e=window.event;if(e&&"popstate"===e.type)return e!==bd&&(bd=e,!0);return bd=null,!1}()&&(e=Fc);for(var t=le(),n=null,i=Mc;null!==i;){var s=i.next,r=Ic(i,t);0===r?(i.next=null,null===n?Mc=s:n.next=s,null===s&&($c=n)):(n=i,(0!==e||0!==(3&r))&&(Nc=!0)),i=s}0!==Ou&&5!==Ou||Rc(e,!1),0!==Fc&&(Fc=0)}function Ic(e,t){for(var n=e.suspendedLanes,i=e.pingedLanes,s=e.expirationTimes,r=-62914561&e.pendingLanes;0<r;){var a=31-be(r),o=1<<a,l=s[a];-1===l?0!==(o&n)&&0===(o&i)||(s[a]=Me(o,t)):l<=t&&(e.expiredLanes|=o),r&=~o}if(n=vu,n=Te(e,e===(t=pu)?n:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle),i=e.callbackNode,0===n||e===t&&(2===gu||9===gu)||null!==e.cancelPendingCommit)return null!==i&&null!==i&&re(i),e.callbackNode=null,e.callbackPriority=0;if(0===(3&n)||Pe(e,n)){if((t=n&-n)===e.callbackPriority)return t;switch(null!==i&&re(i),Oe(n)){case 2:case 8:n=de;break;case 32:default:n=he;break;case 268435456:n=pe}return i=zc.bind(null,e),n=se(n,i),e.callbackPriority=t,e.callbackNode=n,t}return null!==i&&null!==i&&re(i),e.callbackPriority=2,e.callbackNode=null,2}function zc(e,t){if(0!==Ou&&5!==Ou)return e.callbackNode=null,e.callbackPriority=0,null;var n=e.callbackNode;if(bc()&&e.callbackNode!==n)return null;var i=vu;return 0===(i=Te(e,e===pu?i:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle))?null:(Gu(e,i,t),Ic(e,le()),null!=e.callbackNode&&e.callbackNode===n?zc.bind(null,e):null)}function Bc(e,t){if(bc())return null;Gu(e,t,!0)}function _c(){if(0===Fc){var e=qs;0===e&&(e=Se,0===(261888&(Se<<=1))&&(Se=256)),Fc=e}return Fc}function qc(e){return null==e||"symbol"===typeof e||"boolean"===typeof e?null:"function"===typeof e?e:Lt(""+e)}function jc(e,t){var n=t.ownerDocument.createElement("input");return n.name=t.name,n.value=t.value,e.id&&n.setAttribute("form",e.id),t.parentNode.insertBefore(n,t),e=new FormData(e),n.parentNode.removeChild(n),e}for(var Uc=0;Uc<Ei.length;Uc++){var Hc=Ei[Uc];Ci(Hc.toLowerCase(),"on"+(Hc[0].toUpperCase()+Hc.slice(1)))}Ci(vi,"onAnimationEnd"),Ci(gi,"onAnimationIteration"),Ci(yi,"onAnimationStart"),Ci("dblclick","onDoubleClick"),Ci("focusin","onFocus"),Ci("focusout","onBlur"),Ci(Ai,"onTransitionRun"),Ci(bi,"onTransitionStart"),Ci(wi,"onTransitionCancel"),Ci(ki,"onTransitionEnd"),st("onMouseEnter",["mouseout","mouseover"]),st("onMouseLeave",["mouseout","mouseover"]),st("onPointerEnter",["pointerout","pointerover"]),st("onPointerLeave",["pointerout","pointerover"]),it("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),it("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),it("onBeforeInput",["compositionend","keypress","textInput","paste"]),it("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),it("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),it("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Zc="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Qc=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(Zc));function Gc(e,t){t=0!==(4&t);for(var n=0;n<e.length;n++){var i=e[n],s=i.event;i=i.listeners;e:{var r=void 0;if(t)for(var a=i.length-1;0<=a;a--){var o=i[a],l=o.instance,u=o.currentTarget;if(o=o.listener,l!==r&&s.isPropagationStopped())break e;r=o,s.currentTarget=u;try{r(s)}catch(c){xi(c)}s.currentTarget=null,r=l}else for(a=0;a<i.length;a++){if(l=(o=i[a]).instance,u=o.currentTarget,o=o.listener,l!==r&&s.isPropagationStopped())break e;r=o,s.currentTarget=u;try{r(s)}catch(c){xi(c)}s.currentTarget=null,r=l}}}}function Kc(e,t){var n=t[je];void 0===n&&(n=t[je]=new Set);var i=e+"__bubble";n.has(i)||(ed(t,e,2,!1),n.add(i))}function Xc(e,t,n){var i=0;t&&(i|=4),ed(n,e,i,t)}var Yc="_reactListening"+Math.random().toString(36).slice(2);function Jc(e){if(!e[Yc]){e[Yc]=!0,tt.forEach(function(t){"selectionchange"!==t&&(Qc.has(t)||Xc(t,!1,e),Xc(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[Yc]||(t[Yc]=!0,Xc("selectionchange",!1,t))}}function ed(e,t,n,i){switch(xh(t)){case 2:var s=bh;break;case 8:s=wh;break;default:s=kh}n=s.bind(null,t,n,e),s=void 0,!_t||"touchstart"!==t&&"touchmove"!==t&&"wheel"!==t||(s=!0),i?void 0!==s?e.addEventListener(t,n,{capture:!0,passive:s}):e.addEventListener(t,n,!0):void 0!==s?e.addEventListener(t,n,{passive:s}):e.addEventListener(t,n,!1)}function td(e,t,n,i,s){var r=i;if(0===(1&t)&&0===(2&t)&&null!==i)e:for(;;){if(null===i)return;var a=i.tag;if(3===a||4===a){var o=i.stateNode.containerInfo;if(o===s)break;if(4===a)for(a=i.return;null!==a;){var u=a.tag;if((3===u||4===u)&&a.stateNode.containerInfo===s)return;a=a.return}for(;null!==o;){if(null===(a=Ke(o)))return;if(5===(u=a.tag)||6===u||26===u||27===u){i=r=a;continue e}o=o.parentNode}}i=i.return}It(function(){var i=r,s=Ft(n),a=[];e:{var o=Si.get(e);if(void 0!==o){var u=nn,c=e;switch(e){case"keypress":if(0===Qt(n))break e;case"keydown":case"keyup":u=yn;break;case"focusin":c="focus",u=un;break;case"focusout":c="blur",u=un;break;case"beforeblur":case"afterblur":u=un;break;case"click":if(2===n.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=on;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=ln;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=bn;break;case vi:case gi:case yi:u=cn;break;case ki:u=wn;break;case"scroll":case"scrollend":u=rn;break;case"wheel":u=kn;break;case"copy":case"cut":case"paste":u=dn;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=An;break;case"toggle":case"beforetoggle":u=Sn}var d=0!==(4&t),h=!d&&("scroll"===e||"scrollend"===e),f=d?null!==o?o+"Capture":null:o;d=[];for(var p,m=i;null!==m;){var v=m;if(p=v.stateNode,5!==(v=v.tag)&&26!==v&&27!==v||null===p||null===f||null!=(v=zt(m,f))&&d.push(nd(m,v,p)),h)break;m=m.return}0<d.length&&(o=new u(o,c,null,n,s),a.push({event:o,listeners:d}))}}if(0===(7&t)){if(u="mouseout"===e||"pointerout"===e,(!(o="mouseover"===e||"pointerover"===e)||n===Dt||!(c=n.relatedTarget||n.fromElement)||!Ke(c)&&!c[qe])&&(u||o)&&(o=s.window===s?s:(o=s.ownerDocument)?o.defaultView||o.parentWindow:window,u?(u=i,null!==(c=(c=n.relatedTarget||n.toElement)?Ke(c):null)&&(h=l(c),d=c.tag,c!==h||5!==d&&27!==d&&6!==d)&&(c=null)):(u=null,c=i),u!==c)){if(d=on,v="onMouseLeave",f="onMouseEnter",m="mouse","pointerout"!==e&&"pointerover"!==e||(d=An,v="onPointerLeave",f="onPointerEnter",m="pointer"),h=null==u?o:Ye(u),p=null==c?o:Ye(c),(o=new d(v,m+"leave",u,n,s)).target=h,o.relatedTarget=p,v=null,Ke(s)===i&&((d=new d(f,m+"enter",c,n,s)).target=p,d.relatedTarget=h,v=d),h=v,u&&c)e:{for(d=sd,m=c,p=0,v=f=u;v;v=d(v))p++;v=0;for(var g=m;g;g=d(g))v++;for(;0<p-v;)f=d(f),p--;for(;0<v-p;)m=d(m),v--;for(;p--;){if(f===m||null!==m&&f===m.alternate){d=f;break e}f=d(f),m=d(m)}d=null}else d=null;null!==u&&rd(a,o,u,d,!1),null!==c&&null!==h&&rd(a,h,c,d,!0)}if("select"===(u=(o=i?Ye(i):window).nodeName&&o.nodeName.toLowerCase())||"input"===u&&"file"===o.type)var y=Bn;else if(Vn(o))if(_n)y=Xn;else{y=Gn;var A=Qn}else!(u=o.nodeName)||"input"!==u.toLowerCase()||"checkbox"!==o.type&&"radio"!==o.type?i&&Pt(i.elementType)&&(y=Bn):y=Kn;switch(y&&(y=y(e,i))?Rn(a,y,n,s):(A&&A(e,o,i),"focusout"===e&&i&&"number"===o.type&&null!=i.memoizedProps.value&&bt(o,"number",o.value)),A=i?Ye(i):window,e){case"focusin":(Vn(A)||"true"===A.contentEditable)&&(ai=A,oi=i,li=null);break;case"focusout":li=oi=ai=null;break;case"mousedown":ui=!0;break;case"contextmenu":case"mouseup":case"dragend":ui=!1,ci(a,n,s);break;case"selectionchange":if(ri)break;case"keydown":case"keyup":ci(a,n,s)}var b;if(Cn)e:{switch(e){case"compositionstart":var w="onCompositionStart";break e;case"compositionend":w="onCompositionEnd";break e;case"compositionupdate":w="onCompositionUpdate";break e}w=void 0}else Dn?Ln(e,n)&&(w="onCompositionEnd"):"keydown"===e&&229===n.keyCode&&(w="onCompositionStart");w&&(Pn&&"ko"!==n.locale&&(Dn||"onCompositionStart"!==w?"onCompositionEnd"===w&&Dn&&(b=Zt()):(Ut="value"in(jt=s)?jt.value:jt.textContent,Dn=!0)),0<(A=id(i,w)).length&&(w=new hn(w,e,null,n,s),a.push({event:w,listeners:A}),b?w.data=b:null!==(b=Nn(n))&&(w.data=b))),(b=Tn?function(e,t){switch(e){case"compositionend":return Nn(t);case"keypress":return 32!==t.which?null:($n=!0,Mn);case"textInput":return(e=t.data)===Mn&&$n?null:e;default:return null}}(e,n):function(e,t){if(Dn)return"compositionend"===e||!Cn&&Ln(e,t)?(e=Zt(),Ht=Ut=jt=null,Dn=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Pn&&"ko"!==t.locale?null:t.data}}(e,n))&&(0<(w=id(i,"onBeforeInput")).length&&(A=new hn("onBeforeInput","beforeinput",null,n,s),a.push({event:A,listeners:w}),A.data=b)),function(e,t,n,i,s){if("submit"===t&&n&&n.stateNode===s){var r=qc((s[_e]||null).action),a=i.submitter;a&&null!==(t=(t=a[_e]||null)?qc(t.formAction):a.getAttribute("formAction"))&&(r=t,a=null);var o=new nn("action","action",null,i,s);e.push({event:o,listeners:[{instance:null,listener:function(){if(i.defaultPrevented){if(0!==Fc){var e=a?jc(s,a):new FormData(s);eo(n,{pending:!0,data:e,method:s.method,action:r},null,e)}}else"function"===typeof r&&(o.preventDefault(),e=a?jc(s,a):new FormData(s),eo(n,{pending:!0,data:e,method:s.method,action:r},r,e))},currentTarget:s}]})}}(a,e,i,n,s)}Gc(a,t)})}function nd(e,t,n){return{instance:e,listener:t,currentTarget:n}}function id(e,t){for(var n=t+"Capture",i=[];null!==e;){var s=e,r=s.stateNode;if(5!==(s=s.tag)&&26!==s&&27!==s||null===r||(null!=(s=zt(e,n))&&i.unshift(nd(e,s,r)),null!=(s=zt(e,t))&&i.push(nd(e,s,r))),3===e.tag)return i;e=e.return}return[]}function sd(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag&&27!==e.tag);return e||null}function rd(e,t,n,i,s){for(var r=t._reactName,a=[];null!==n&&n!==i;){var o=n,l=o.alternate,u=o.stateNode;if(o=o.tag,null!==l&&l===i)break;5!==o&&26!==o&&27!==o||null===u||(l=u,s?null!=(u=zt(n,r))&&a.unshift(nd(n,u,l)):s||null!=(u=zt(n,r))&&a.push(nd(n,u,l))),n=n.return}0!==a.length&&e.push({event:t,listeners:a})}var ad=/\r\n?/g,od=/\u0000|\uFFFD/g;function ld(e){return("string"===typeof e?e:""+e).replace(ad,"\n").replace(od,"")}function ud(e,t){return t=ld(t),ld(e)===t}function cd(e,t,n,i,s,r){switch(n){case"children":"string"===typeof i?"body"===t||"textarea"===t&&""===i||Et(e,i):("number"===typeof i||"bigint"===typeof i)&&"body"!==t&&Et(e,""+i);break;case"className":ut(e,"class",i);break;case"tabIndex":ut(e,"tabindex",i);break;case"dir":case"role":case"viewBox":case"width":case"height":ut(e,n,i);break;case"style":Tt(e,i,r);break;case"data":if("object"!==t){ut(e,"data",i);break}case"src":case"href":if(""===i&&("a"!==t||"href"!==n)){e.removeAttribute(n);break}if(null==i||"function"===typeof i||"symbol"===typeof i||"boolean"===typeof i){e.removeAttribute(n);break}i=Lt(""+i),e.setAttribute(n,i);break;case"action":case"formAction":if("function"===typeof i){e.setAttribute(n,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}if("function"===typeof r&&("formAction"===n?("input"!==t&&cd(e,t,"name",s.name,s,null),cd(e,t,"formEncType",s.formEncType,s,null),cd(e,t,"formMethod",s.formMethod,s,null),cd(e,t,"formTarget",s.formTarget,s,null)):(cd(e,t,"encType",s.encType,s,null),cd(e,t,"method",s.method,s,null),cd(e,t,"target",s.target,s,null))),null==i||"symbol"===typeof i||"boolean"===typeof i){e.removeAttribute(n);break}i=Lt(""+i),e.setAttribute(n,i);break;case"onClick":null!=i&&(e.onclick=Nt);break;case"onScroll":null!=i&&Kc("scroll",e);break;case"onScrollEnd":null!=i&&Kc("scrollend",e);break;case"dangerouslySetInnerHTML":if(null!=i){if("object"!==typeof i||!("__html"in i))throw Error(a(61));if(null!=(n=i.__html)){if(null!=s.children)throw Error(a(60));e.innerHTML=n}}break;case"multiple":e.multiple=i&&"function"!==typeof i&&"symbol"!==typeof i;break;case"muted":e.muted=i&&"function"!==typeof i&&"symbol"!==typeof i;break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":case"autoFocus":break;case"xlinkHref":if(null==i||"function"===typeof i||"boolean"===typeof i||"symbol"===typeof i){e.removeAttribute("xlink:href");break}n=Lt(""+i),e.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",n);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":null!=i&&"function"!==typeof i&&"symbol"!==typeof i?e.setAttribute(n,""+i):e.removeAttribute(n);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":i&&"function"!==typeof i&&"symbol"!==typeof i?e.setAttribute(n,""):e.removeAttribute(n);break;case"capture":case"download":!0===i?e.setAttribute(n,""):!1!==i&&null!=i&&"function"!==typeof i&&"symbol"!==typeof i?e.setAttribute(n,i):e.removeAttribute(n);break;case"cols":case"rows":case"size":case"span":null!=i&&"function"!==typeof i&&"symbol"!==typeof i&&!isNaN(i)&&1<=i?e.setAttribute(n,i):e.removeAttribute(n);break;case"rowSpan":case"start":null==i||"function"===typeof i||"symbol"===typeof i||isNaN(i)?e.removeAttribute(n):e.setAttribute(n,i);break;case"popover":Kc("beforetoggle",e),Kc("toggle",e),lt(e,"popover",i);break;case"xlinkActuate":ct(e,"http://www.w3.org/1999/xlink","xlink:actuate",i);break;case"xlinkArcrole":ct(e,"http://www.w3.org/1999/xlink","xlink:arcrole",i);break;case"xlinkRole":ct(e,"http://www.w3.org/1999/xlink","xlink:role",i);break;case"xlinkShow":ct(e,"http://www.w3.org/1999/xlink","xlink:show",i);break;case"xlinkTitle":ct(e,"http://www.w3.org/1999/xlink","xlink:title",i);break;case"xlinkType":ct(e,"http://www.w3.org/1999/xlink","xlink:type",i);break;case"xmlBase":ct(e,"http://www.w3.org/XML/1998/namespace","xml:base",i);break;case"xmlLang":ct(e,"http://www.w3.org/XML/1998/namespace","xml:lang",i);break;case"xmlSpace":ct(e,"http://www.w3.org/XML/1998/namespace","xml:space",i);break;case"is":lt(e,"is",i);break;case"innerText":case"textContent":break;default:(!(2<n.length)||"o"!==n[0]&&"O"!==n[0]||"n"!==n[1]&&"N"!==n[1])&&lt(e,n=Mt.get(n)||n,i)}}function dd(e,t,n,i,s,r){switch(n){case"style":Tt(e,i,r);break;case"dangerouslySetInnerHTML":if(null!=i){if("object"!==typeof i||!("__html"in i))throw Error(a(61));if(null!=(n=i.__html)){if(null!=s.children)throw Error(a(60));e.innerHTML=n}}break;case"children":"string"===typeof i?Et(e,i):("number"===typeof i||"bigint"===typeof i)&&Et(e,""+i);break;case"onScroll":null!=i&&Kc("scroll",e);break;case"onScrollEnd":null!=i&&Kc("scrollend",e);break;case"onClick":null!=i&&(e.onclick=Nt);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":case"innerText":case"textContent":break;default:nt.hasOwnProperty(n)||("o"!==n[0]||"n"!==n[1]||(s=n.endsWith("Capture"),t=n.slice(2,s?n.length-7:void 0),"function"===typeof(r=null!=(r=e[_e]||null)?r[n]:null)&&e.removeEventListener(t,r,s),"function"!==typeof i)?n in e?e[n]=i:!0===i?e.setAttribute(n,""):lt(e,n,i):("function"!==typeof r&&null!==r&&(n in e?e[n]=null:e.hasAttribute(n)&&e.removeAttribute(n)),e.addEventListener(t,i,s)))}}function hd(e,t,n){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":Kc("error",e),Kc("load",e);var i,s=!1,r=!1;for(i in n)if(n.hasOwnProperty(i)){var o=n[i];if(null!=o)switch(i){case"src":s=!0;break;case"srcSet":r=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(a(137,t));default:cd(e,t,i,o,n,null)}}return r&&cd(e,t,"srcSet",n.srcSet,n,null),void(s&&cd(e,t,"src",n.src,n,null));case"input":Kc("invalid",e);var l=i=o=r=null,u=null,c=null;for(s in n)if(n.hasOwnProperty(s)){var d=n[s];if(null!=d)switch(s){case"name":r=d;break;case"type":o=d;break;case"checked":u=d;break;case"defaultChecked":c=d;break;case"value":i=d;break;case"defaultValue":l=d;break;case"children":case"dangerouslySetInnerHTML":if(null!=d)throw Error(a(137,t));break;default:cd(e,t,s,d,n,null)}}return void At(e,i,l,u,c,o,r,!1);case"select":for(r in Kc("invalid",e),s=o=i=null,n)if(n.hasOwnProperty(r)&&null!=(l=n[r]))switch(r){case"value":i=l;break;case"defaultValue":o=l;break;case"multiple":s=l;default:cd(e,t,r,l,n,null)}return t=i,n=o,e.multiple=!!s,void(null!=t?wt(e,!!s,t,!1):null!=n&&wt(e,!!s,n,!0));case"textarea":for(o in Kc("invalid",e),i=r=s=null,n)if(n.hasOwnProperty(o)&&null!=(l=n[o]))switch(o){case"value":s=l;break;case"defaultValue":r=l;break;case"children":i=l;break;case"dangerouslySetInnerHTML":if(null!=l)throw Error(a(91));break;default:cd(e,t,o,l,n,null)}return void St(e,s,r,i);case"option":for(u in n)if(n.hasOwnProperty(u)&&null!=(s=n[u]))if("selected"===u)e.selected=s&&"function"!==typeof s&&"symbol"!==typeof s;else cd(e,t,u,s,n,null);return;case"dialog":Kc("beforetoggle",e),Kc("toggle",e),Kc("cancel",e),Kc("close",e);break;case"iframe":case"object":Kc("load",e);break;case"video":case"audio":for(s=0;s<Zc.length;s++)Kc(Zc[s],e);break;case"image":Kc("error",e),Kc("load",e);break;case"details":Kc("toggle",e);break;case"embed":case"source":case"link":Kc("error",e),Kc("load",e);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(c in n)if(n.hasOwnProperty(c)&&null!=(s=n[c]))switch(c){case"children":case"dangerouslySetInnerHTML":throw Error(a(137,t));default:cd(e,t,c,s,n,null)}return;default:if(Pt(t)){for(d in n)n.hasOwnProperty(d)&&(void 0!==(s=n[d])&&dd(e,t,d,s,n,void 0));return}}for(l in n)n.hasOwnProperty(l)&&(null!=(s=n[l])&&cd(e,t,l,s,n,null))}function fd(e){switch(e){case"css":case"script":case"font":case"img":case"image":case"input":case"link":return!0;default:return!1}}var pd=null,md=null;function vd(e){return 9===e.nodeType?e:e.ownerDocument}function gd(e){switch(e){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function yd(e,t){if(0===e)switch(t){case"svg":return 1;case"math":return 2;default:return 0}return 1===e&&"foreignObject"===t?0:e}function Ad(e,t){return"textarea"===e||"noscript"===e||"string"===typeof t.children||"number"===typeof t.children||"bigint"===typeof t.children||"object"===typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var bd=null;var wd="function"===typeof setTimeout?setTimeout:void 0,kd="function"===typeof clearTimeout?clearTimeout:void 0,Sd="function"===typeof Promise?Promise:void 0,Ed="function"===typeof queueMicrotask?queueMicrotask:"undefined"!==typeof Sd?function(e){return Sd.resolve(null).then(e).catch(Cd)}:wd;function Cd(e){setTimeout(function(){throw e})}function xd(e){return"head"===e}function Td(e,t){var n=t,i=0;do{var s=n.nextSibling;if(e.removeChild(n),s&&8===s.nodeType)if("/$"===(n=s.data)||"/&"===n){if(0===i)return e.removeChild(s),void jh(t);i--}else if("$"===n||"$?"===n||"$~"===n||"$!"===n||"&"===n)i++;else if("html"===n)Wd(e.ownerDocument.documentElement);else if("head"===n){Wd(n=e.ownerDocument.head);for(var r=n.firstChild;r;){var a=r.nextSibling,o=r.nodeName;r[Qe]||"SCRIPT"===o||"STYLE"===o||"LINK"===o&&"stylesheet"===r.rel.toLowerCase()||n.removeChild(r),r=a}}else"body"===n&&Wd(e.ownerDocument.body);n=s}while(n);jh(t)}function Pd(e,t){var n=e;e=0;do{var i=n.nextSibling;if(1===n.nodeType?t?(n._stashedDisplay=n.style.display,n.style.display="none"):(n.style.display=n._stashedDisplay||"",""===n.getAttribute("style")&&n.removeAttribute("style")):3===n.nodeType&&(t?(n._stashedText=n.nodeValue,n.nodeValue=""):n.nodeValue=n._stashedText||""),i&&8===i.nodeType)if("/$"===(n=i.data)){if(0===e)break;e--}else"$"!==n&&"$?"!==n&&"$~"!==n&&"$!"!==n||e++;n=i}while(n)}function Md(e){var t=e.firstChild;for(t&&10===t.nodeType&&(t=t.nextSibling);t;){var n=t;switch(t=t.nextSibling,n.nodeName){case"HTML":case"HEAD":case"BODY":Md(n),Ge(n);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if("stylesheet"===n.rel.toLowerCase())continue}e.removeChild(n)}}function $d(e,t){for(;8!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!t)return null;if(null===(e=Dd(e.nextSibling)))return null}return e}function Ld(e){return"$?"===e.data||"$~"===e.data}function Nd(e){return"$!"===e.data||"$?"===e.data&&"loading"!==e.ownerDocument.readyState}function Dd(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t||"$~"===t||"&"===t||"F!"===t||"F"===t)break;if("/$"===t||"/&"===t)return null}}return e}var Fd=null;function Vd(e){e=e.nextSibling;for(var t=0;e;){if(8===e.nodeType){var n=e.data;if("/$"===n||"/&"===n){if(0===t)return Dd(e.nextSibling);t--}else"$"!==n&&"$!"!==n&&"$?"!==n&&"$~"!==n&&"&"!==n||t++}e=e.nextSibling}return null}function Rd(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var n=e.data;if("$"===n||"$!"===n||"$?"===n||"$~"===n||"&"===n){if(0===t)return e;t--}else"/$"!==n&&"/&"!==n||t++}e=e.previousSibling}return null}function Od(e,t,n){switch(t=vd(n),e){case"html":if(!(e=t.documentElement))throw Error(a(452));return e;case"head":if(!(e=t.head))throw Error(a(453));return e;case"body":if(!(e=t.body))throw Error(a(454));return e;default:throw Error(a(451))}}function Wd(e){for(var t=e.attributes;t.length;)e.removeAttributeNode(t[0]);Ge(e)}var Id=new Map,zd=new Set;function Bd(e){return"function"===typeof e.getRootNode?e.getRootNode():9===e.nodeType?e:e.ownerDocument}var _d=V.d;V.d={f:function(){var e=_d.f(),t=Ju();return e||t},r:function(e){var t=Xe(e);null!==t&&5===t.tag&&"form"===t.type?no(t):_d.r(e)},D:function(e){_d.D(e),jd("dns-prefetch",e,null)},C:function(e,t){_d.C(e,t),jd("preconnect",e,t)},L:function(e,t,n){_d.L(e,t,n);var i=qd;if(i&&e&&t){var s='link[rel="preload"][as="'+gt(t)+'"]';"image"===t&&n&&n.imageSrcSet?(s+='[imagesrcset="'+gt(n.imageSrcSet)+'"]',"string"===typeof n.imageSizes&&(s+='[imagesizes="'+gt(n.imageSizes)+'"]')):s+='[href="'+gt(e)+'"]';var r=s;switch(t){case"style":r=Hd(e);break;case"script":r=Gd(e)}Id.has(r)||(e=f({rel:"preload",href:"image"===t&&n&&n.imageSrcSet?void 0:e,as:t},n),Id.set(r,e),null!==i.querySelector(s)||"style"===t&&i.querySelector(Zd(r))||"script"===t&&i.querySelector(Kd(r))||(hd(t=i.createElement("link"),"link",e),et(t),i.head.appendChild(t)))}},m:function(e,t){_d.m(e,t);var n=qd;if(n&&e){var i=t&&"string"===typeof t.as?t.as:"script",s='link[rel="modulepreload"][as="'+gt(i)+'"][href="'+gt(e)+'"]',r=s;switch(i){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":r=Gd(e)}if(!Id.has(r)&&(e=f({rel:"modulepreload",href:e},t),Id.set(r,e),null===n.querySelector(s))){switch(i){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(n.querySelector(Kd(r)))return}hd(i=n.createElement("link"),"link",e),et(i),n.head.appendChild(i)}}},X:function(e,t){_d.X(e,t);var n=qd;if(n&&e){var i=Je(n).hoistableScripts,s=Gd(e),r=i.get(s);r||((r=n.querySelector(Kd(s)))||(e=f({src:e,async:!0},t),(t=Id.get(s))&&eh(e,t),et(r=n.createElement("script")),hd(r,"link",e),n.head.appendChild(r)),r={type:"script",instance:r,count:1,state:null},i.set(s,r))}},S:function(e,t,n){_d.S(e,t,n);var i=qd;if(i&&e){var s=Je(i).hoistableStyles,r=Hd(e);t=t||"default";var a=s.get(r);if(!a){var o={loading:0,preload:null};if(a=i.querySelector(Zd(r)))o.loading=5;else{e=f({rel:"stylesheet",href:e,"data-precedence":t},n),(n=Id.get(r))&&Jd(e,n);var l=a=i.createElement("link");et(l),hd(l,"link",e),l._p=new Promise(function(e,t){l.onload=e,l.onerror=t}),l.addEventListener("load",function(){o.loading|=1}),l.addEventListener("error",function(){o.loading|=2}),o.loading|=4,Yd(a,t,i)}a={type:"stylesheet",instance:a,count:1,state:o},s.set(r,a)}}},M:function(e,t){_d.M(e,t);var n=qd;if(n&&e){var i=Je(n).hoistableScripts,s=Gd(e),r=i.get(s);r||((r=n.querySelector(Kd(s)))||(e=f({src:e,async:!0,type:"module"},t),(t=Id.get(s))&&eh(e,t),et(r=n.createElement("script")),hd(r,"link",e),n.head.appendChild(r)),r={type:"script",instance:r,count:1,state:null},i.set(s,r))}}};var qd="undefined"===typeof document?null:document;function jd(e,t,n){var i=qd;if(i&&"string"===typeof t&&t){var s=gt(t);s='link[rel="'+e+'"][href="'+s+'"]',"string"===typeof n&&(s+='[crossorigin="'+n+'"]'),zd.has(s)||(zd.add(s),e={rel:e,crossOrigin:n,href:t},null===i.querySelector(s)&&(hd(t=i.createElement("link"),"link",e),et(t),i.head.appendChild(t)))}}function Ud(e,t,n,i){var s,r,o,l,u=(u=H.current)?Bd(u):null;if(!u)throw Error(a(446));switch(e){case"meta":case"title":return null;case"style":return"string"===typeof n.precedence&&"string"===typeof n.href?(t=Hd(n.href),(i=(n=Je(u).hoistableStyles).get(t))||(i={type:"style",instance:null,count:0,state:null},n.set(t,i)),i):{type:"void",instance:null,count:0,state:null};case"link":if("stylesheet"===n.rel&&"string"===typeof n.href&&"string"===typeof n.precedence){e=Hd(n.href);var c=Je(u).hoistableStyles,d=c.get(e);if(d||(u=u.ownerDocument||u,d={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},c.set(e,d),(c=u.querySelector(Zd(e)))&&!c._p&&(d.instance=c,d.state.loading=5),Id.has(e)||(n={rel:"preload",as:"style",href:n.href,crossOrigin:n.crossOrigin,integrity:n.integrity,media:n.media,hrefLang:n.hrefLang,referrerPolicy:n.referrerPolicy},Id.set(e,n),c||(s=u,r=e,o=n,l=d.state,s.querySelector('link[rel="preload"][as="style"]['+r+"]")?l.loading=1:(r=s.createElement("link"),l.preload=r,r.addEventListener("load",function(){return l.loading|=1}),r.addEventListener("error",function(){return l.loading|=2}),hd(r,"link",o),et(r),s.head.appendChild(r))))),t&&null===i)throw Error(a(528,""));return d}if(t&&null!==i)throw Error(a(529,""));return null;case"script":return t=n.async,"string"===typeof(n=n.src)&&t&&"function"!==typeof t&&"symbol"!==typeof t?(t=Gd(n),(i=(n=Je(u).hoistableScripts).get(t))||(i={type:"script",instance:null,count:0,state:null},n.set(t,i)),i):{type:"void",instance:null,count:0,state:null};default:throw Error(a(444,e))}}function Hd(e){return'href="'+gt(e)+'"'}function Zd(e){return'link[rel="stylesheet"]['+e+"]"}function Qd(e){return f({},e,{"data-precedence":e.precedence,precedence:null})}function Gd(e){return'[src="'+gt(e)+'"]'}function Kd(e){return"script[async]"+e}function Xd(e,t,n){if(t.count++,null===t.instance)switch(t.type){case"style":var i=e.querySelector('style[data-href~="'+gt(n.href)+'"]');if(i)return t.instance=i,et(i),i;var s=f({},n,{"data-href":n.href,"data-precedence":n.precedence,href:null,precedence:null});return et(i=(e.ownerDocument||e).createElement("style")),hd(i,"style",s),Yd(i,n.precedence,e),t.instance=i;case"stylesheet":s=Hd(n.href);var r=e.querySelector(Zd(s));if(r)return t.state.loading|=4,t.instance=r,et(r),r;i=Qd(n),(s=Id.get(s))&&Jd(i,s),et(r=(e.ownerDocument||e).createElement("link"));var o=r;return o._p=new Promise(function(e,t){o.onload=e,o.onerror=t}),hd(r,"link",i),t.state.loading|=4,Yd(r,n.precedence,e),t.instance=r;case"script":return r=Gd(n.src),(s=e.querySelector(Kd(r)))?(t.instance=s,et(s),s):(i=n,(s=Id.get(r))&&eh(i=f({},n),s),et(s=(e=e.ownerDocument||e).createElement("script")),hd(s,"link",i),e.head.appendChild(s),t.instance=s);case"void":return null;default:throw Error(a(443,t.type))}else"stylesheet"===t.type&&0===(4&t.state.loading)&&(i=t.instance,t.state.loading|=4,Yd(i,n.precedence,e));return t.instance}function Yd(e,t,n){for(var i=n.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),s=i.length?i[i.length-1]:null,r=s,a=0;a<i.length;a++){var o=i[a];if(o.dataset.precedence===t)r=o;else if(r!==s)break}r?r.parentNode.insertBefore(e,r.nextSibling):(t=9===n.nodeType?n.head:n).insertBefore(e,t.firstChild)}function Jd(e,t){null==e.crossOrigin&&(e.crossOrigin=t.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=t.referrerPolicy),null==e.title&&(e.title=t.title)}function eh(e,t){null==e.crossOrigin&&(e.crossOrigin=t.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=t.referrerPolicy),null==e.integrity&&(e.integrity=t.integrity)}var th=null;function nh(e,t,n){if(null===th){var i=new Map,s=th=new Map;s.set(n,i)}else(i=(s=th).get(n))||(i=new Map,s.set(n,i));if(i.has(e))return i;for(i.set(e,null),n=n.getElementsByTagName(e),s=0;s<n.length;s++){var r=n[s];if(!(r[Qe]||r[Be]||"link"===e&&"stylesheet"===r.getAttribute("rel"))&&"http://www.w3.org/2000/svg"!==r.namespaceURI){var a=r.getAttribute(t)||"";a=e+a;var o=i.get(a);o?o.push(r):i.set(a,[r])}}return i}function ih(e,t,n){(e=e.ownerDocument||e).head.insertBefore(n,"title"===t?e.querySelector("head > title"):null)}function sh(e){return"stylesheet"!==e.type||0!==(3&e.state.loading)}var rh=0;function ah(){if(this.count--,0===this.count&&(0===this.imgCount||!this.waitingForImages))if(this.stylesheets)lh(this,this.stylesheets);else if(this.unsuspend){var e=this.unsuspend;this.unsuspend=null,e()}}var oh=null;function lh(e,t){e.stylesheets=null,null!==e.unsuspend&&(e.count++,oh=new Map,t.forEach(uh,e),oh=null,ah.call(e))}function uh(e,t){if(!(4&t.state.loading)){var n=oh.get(e);if(n)var i=n.get(null);else{n=new Map,oh.set(e,n);for(var s=e.querySelectorAll("link[data-precedence],style[data-precedence]"),r=0;r<s.length;r++){var a=s[r];"LINK"!==a.nodeName&&"not all"===a.getAttribute("media")||(n.set(a.dataset.precedence,a),i=a)}i&&n.set(null,i)}a=(s=t.instance).getAttribute("data-precedence"),(r=n.get(a)||i)===i&&n.set(null,s),n.set(a,s),this.count++,i=ah.bind(this),s.addEventListener("load",i),s.addEventListener("error",i),r?r.parentNode.insertBefore(s,r.nextSibling):(e=9===e.nodeType?e.head:e).insertBefore(s,e.firstChild),t.state.loading|=4}}var ch={$$typeof:w,Provider:null,Consumer:null,_currentValue:R,_currentValue2:R,_threadCount:0};function dh(e,t,n,i,s,r,a,o,l){this.tag=1,this.containerInfo=e,this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=Le(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Le(0),this.hiddenUpdates=Le(null),this.identifierPrefix=i,this.onUncaughtError=s,this.onCaughtError=r,this.onRecoverableError=a,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=l,this.incompleteTransitions=new Map}function hh(e,t,n,i,s,r,a,o,l,u,c,d){return e=new dh(e,t,n,a,l,u,c,d,o),t=1,!0===r&&(t|=24),r=Wi(3,null,null,t),e.current=r,r.stateNode=e,(t=Is()).refCount++,e.pooledCache=t,t.refCount++,r.memoizedState={element:i,isDehydrated:n,cache:t},vr(r),e}function fh(e){return e?e=Ri:Ri}function ph(e,t,n,i,s,r){s=fh(s),null===i.context?i.context=s:i.pendingContext=s,(i=yr(t)).payload={element:n},null!==(r=void 0===r?null:r)&&(i.callback=r),null!==(n=Ar(e,i,t))&&(Qu(n,0,t),br(n,e,t))}function mh(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var n=e.retryLane;e.retryLane=0!==n&&n<t?n:t}}function vh(e,t){mh(e,t),(e=e.alternate)&&mh(e,t)}function gh(e){if(13===e.tag||31===e.tag){var t=Di(e,67108864);null!==t&&Qu(t,0,67108864),vh(e,67108864)}}function yh(e){if(13===e.tag||31===e.tag){var t=Hu(),n=Di(e,t=Re(t));null!==n&&Qu(n,0,t),vh(e,t)}}var Ah=!0;function bh(e,t,n,i){var s=F.T;F.T=null;var r=V.p;try{V.p=2,kh(e,t,n,i)}finally{V.p=r,F.T=s}}function wh(e,t,n,i){var s=F.T;F.T=null;var r=V.p;try{V.p=8,kh(e,t,n,i)}finally{V.p=r,F.T=s}}function kh(e,t,n,i){if(Ah){var s=Sh(i);if(null===s)td(e,t,i,Eh,n),Vh(e,i);else if(function(e,t,n,i,s){switch(t){case"focusin":return Ph=Rh(Ph,e,t,n,i,s),!0;case"dragenter":return Mh=Rh(Mh,e,t,n,i,s),!0;case"mouseover":return $h=Rh($h,e,t,n,i,s),!0;case"pointerover":var r=s.pointerId;return Lh.set(r,Rh(Lh.get(r)||null,e,t,n,i,s)),!0;case"gotpointercapture":return r=s.pointerId,Nh.set(r,Rh(Nh.get(r)||null,e,t,n,i,s)),!0}return!1}(s,e,t,n,i))i.stopPropagation();else if(Vh(e,i),4&t&&-1<Fh.indexOf(e)){for(;null!==s;){var r=Xe(s);if(null!==r)switch(r.tag){case 3:if((r=r.stateNode).current.memoizedState.isDehydrated){var a=xe(r.pendingLanes);if(0!==a){var o=r;for(o.pendingLanes|=2,o.entangledLanes|=2;a;){var l=1<<31-be(a);o.entanglements[1]|=l,a&=~l}Vc(r),0===(6&fu)&&(Fu=le()+500,Rc(0,!1))}}break;case 31:case 13:null!==(o=Di(r,2))&&Qu(o,0,2),Ju(),vh(r,2)}if(null===(r=Sh(i))&&td(e,t,i,Eh,n),r===s)break;s=r}null!==s&&i.stopPropagation()}else td(e,t,i,null,n)}}function Sh(e){return Ch(e=Ft(e))}var Eh=null;function Ch(e){if(Eh=null,null!==(e=Ke(e))){var t=l(e);if(null===t)e=null;else{var n=t.tag;if(13===n){if(null!==(e=u(t)))return e;e=null}else if(31===n){if(null!==(e=c(t)))return e;e=null}else if(3===n){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}}return Eh=e,null}function xh(e){switch(e){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(ue()){case ce:return 2;case de:return 8;case he:case fe:return 32;case pe:return 268435456;default:return 32}default:return 32}}var Th=!1,Ph=null,Mh=null,$h=null,Lh=new Map,Nh=new Map,Dh=[],Fh="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function Vh(e,t){switch(e){case"focusin":case"focusout":Ph=null;break;case"dragenter":case"dragleave":Mh=null;break;case"mouseover":case"mouseout":$h=null;break;case"pointerover":case"pointerout":Lh.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":Nh.delete(t.pointerId)}}function Rh(e,t,n,i,s,r){return null===e||e.nativeEvent!==r?(e={blockedOn:t,domEventName:n,eventSystemFlags:i,nativeEvent:r,targetContainers:[s]},null!==t&&(null!==(t=Xe(t))&&gh(t)),e):(e.eventSystemFlags|=i,t=e.targetContainers,null!==s&&-1===t.indexOf(s)&&t.push(s),e)}function Oh(e){var t=Ke(e.target);if(null!==t){var n=l(t);if(null!==n)if(13===(t=n.tag)){if(null!==(t=u(n)))return e.blockedOn=t,void Ie(e.priority,function(){yh(n)})}else if(31===t){if(null!==(t=c(n)))return e.blockedOn=t,void Ie(e.priority,function(){yh(n)})}else if(3===t&&n.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===n.tag?n.stateNode.containerInfo:null)}e.blockedOn=null}function Wh(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var n=Sh(e.nativeEvent);if(null!==n)return null!==(t=Xe(n))&&gh(t),e.blockedOn=n,!1;var i=new(n=e.nativeEvent).constructor(n.type,n);Dt=i,n.target.dispatchEvent(i),Dt=null,t.shift()}return!0}function Ih(e,t,n){Wh(e)&&n.delete(t)}function zh(){Th=!1,null!==Ph&&Wh(Ph)&&(Ph=null),null!==Mh&&Wh(Mh)&&(Mh=null),null!==$h&&Wh($h)&&($h=null),Lh.forEach(Ih),Nh.forEach(Ih)}function Bh(e,t){e.blockedOn===t&&(e.blockedOn=null,Th||(Th=!0,i.unstable_scheduleCallback(i.unstable_NormalPriority,zh)))}var _h=null;function qh(e){_h!==e&&(_h=e,i.unstable_scheduleCallback(i.unstable_NormalPriority,function(){_h===e&&(_h=null);for(var t=0;t<e.length;t+=3){var n=e[t],i=e[t+1],s=e[t+2];if("function"!==typeof i){if(null===Ch(i||n))continue;break}var r=Xe(n);null!==r&&(e.splice(t,3),t-=3,eo(r,{pending:!0,data:s,method:n.method,action:i},i,s))}}))}function jh(e){function t(t){return Bh(t,e)}null!==Ph&&Bh(Ph,e),null!==Mh&&Bh(Mh,e),null!==$h&&Bh($h,e),Lh.forEach(t),Nh.forEach(t);for(var n=0;n<Dh.length;n++){var i=Dh[n];i.blockedOn===e&&(i.blockedOn=null)}for(;0<Dh.length&&null===(n=Dh[0]).blockedOn;)Oh(n),null===n.blockedOn&&Dh.shift();if(null!=(n=(e.ownerDocument||e).$$reactFormReplay))for(i=0;i<n.length;i+=3){var s=n[i],r=n[i+1],a=s[_e]||null;if("function"===typeof r)a||qh(n);else if(a){var o=null;if(r&&r.hasAttribute("formAction")){if(s=r,a=r[_e]||null)o=a.formAction;else if(null!==Ch(s))continue}else o=a.action;"function"===typeof o?n[i+1]=o:(n.splice(i,3),i-=3),qh(n)}}}function Uh(){function e(e){e.canIntercept&&"react-transition"===e.info&&e.intercept({handler:function(){return new Promise(function(e){return s=e})},focusReset:"manual",scroll:"manual"})}function t(){null!==s&&(s(),s=null),i||setTimeout(n,20)}function n(){if(!i&&!navigation.transition){var e=navigation.currentEntry;e&&null!=e.url&&navigation.navigate(e.url,{state:e.getState(),info:"react-transition",history:"replace"})}}if("object"===typeof navigation){var i=!1,s=null;return navigation.addEventListener("navigate",e),navigation.addEventListener("navigatesuccess",t),navigation.addEventListener("navigateerror",t),setTimeout(n,100),function(){i=!0,navigation.removeEventListener("navigate",e),navigation.removeEventListener("navigatesuccess",t),navigation.removeEventListener("navigateerror",t),null!==s&&(s(),s=null)}}}function Hh(e){this._internalRoot=e}function Zh(e){this._internalRoot=e}Zh.prototype.render=Hh.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(a(409));ph(t.current,Hu(),e,t,null,null)},Zh.prototype.unmount=Hh.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;ph(e.current,2,null,e,null,null),Ju(),t[qe]=null}},Zh.prototype.unstable_scheduleHydration=function(e){if(e){var t=We();e={blockedOn:null,target:e,priority:t};for(var n=0;n<Dh.length&&0!==t&&t<Dh[n].priority;n++);Dh.splice(n,0,e),0===n&&Oh(e)}};var Qh=s.version;if("19.2.0"!==Qh)throw Error(a(527,Qh,"19.2.0"));V.findDOMNode=function(e){var t=e._reactInternals;if(void 0===t){if("function"===typeof e.render)throw Error(a(188));throw e=Object.keys(e).join(","),Error(a(268,e))}return e=function(e){var t=e.alternate;if(!t){if(null===(t=l(e)))throw Error(a(188));return t!==e?null:e}for(var n=e,i=t;;){var s=n.return;if(null===s)break;var r=s.alternate;if(null===r){if(null!==(i=s.return)){n=i;continue}break}if(s.child===r.child){for(r=s.child;r;){if(r===n)return d(s),e;if(r===i)return d(s),t;r=r.sibling}throw Error(a(188))}if(n.return!==i.return)n=s,i=r;else{for(var o=!1,u=s.child;u;){if(u===n){o=!0,n=s,i=r;break}if(u===i){o=!0,i=s,n=r;break}u=u.sibling}if(!o){for(u=r.child;u;){if(u===n){o=!0,n=r,i=s;break}if(u===i){o=!0,i=r,n=s;break}u=u.sibling}if(!o)throw Error(a(189))}}if(n.alternate!==i)throw Error(a(190))}if(3!==n.tag)throw Error(a(188));return n.stateNode.current===n?e:t}(t),e=null===(e=null!==e?h(e):null)?null:e.stateNode};var Gh={bundleType:0,version:"19.2.0",rendererPackageName:"react-dom",currentDispatcherRef:F,reconcilerVersion:"19.2.0"};if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var Kh=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Kh.isDisabled&&Kh.supportsFiber)try{ge=Kh.inject(Gh),ye=Kh}catch(Yh){}}t.createRoot=function(e,t){if(!o(e))throw Error(a(299));var n=!1,i="",s=Eo,r=Co,l=xo;return null!==t&&void 0!==t&&(!0===t.unstable_strictMode&&(n=!0),void 0!==t.identifierPrefix&&(i=t.identifierPrefix),void 0!==t.onUncaughtError&&(s=t.onUncaughtError),void 0!==t.onCaughtError&&(r=t.onCaughtError),void 0!==t.onRecoverableError&&(l=t.onRecoverableError)),t=hh(e,1,!1,null,0,n,i,null,s,r,l,Uh),e[qe]=t.current,Jc(e),new Hh(t)},t.hydrateRoot=function(e,t,n){if(!o(e))throw Error(a(299));var i=!1,s="",r=Eo,l=Co,u=xo,c=null;return null!==n&&void 0!==n&&(!0===n.unstable_strictMode&&(i=!0),void 0!==n.identifierPrefix&&(s=n.identifierPrefix),void 0!==n.onUncaughtError&&(r=n.onUncaughtError),void 0!==n.onCaughtError&&(l=n.onCaughtError),void 0!==n.onRecoverableError&&(u=n.onRecoverableError),void 0!==n.formState&&(c=n.formState)),(t=hh(e,1,!0,t,0,i,s,c,r,l,u,Uh)).context=fh(null),n=t.current,(s=yr(i=Re(i=Hu()))).callback=null,Ar(n,s,i),n=i,t.current.lanes=n,Ne(t,n),Vc(t),e[qe]=t.current,Jc(e),new Zh(t)},t.version="19.2.0"},43:(e,t,n)=>{e.exports=n(288)},149:(e,t,n)=>{n.d(t,{A:()=>s});var i=n(195);function s(e,t,n){(0,i.A)(e,t),t.set(e,n)}},180:(e,t,n)=>{n.d(t,{A6:()=>At,As:()=>Kt,BW:()=>ht,Bj:()=>Pn,Bq:()=>Ve,Ds:()=>H,EE:()=>Pe,EJ:()=>lt,EW:()=>ie,En:()=>xe,Er:()=>$e,Et:()=>de,Fb:()=>mt,Ft:()=>mn,Gv:()=>ce,I3:()=>xn,ID:()=>Un,II:()=>Tn,IO:()=>on,IR:()=>$n,IX:()=>Mn,J0:()=>dt,Kg:()=>he,LZ:()=>Dn,Lm:()=>fe,Mb:()=>pn,Mn:()=>qn,NT:()=>Be,O:()=>ne,P1:()=>V,PW:()=>jn,Pp:()=>ze,QZ:()=>ve,S5:()=>Vn,SK:()=>De,SQ:()=>Nn,TQ:()=>_e,TS:()=>_n,Tn:()=>pe,Ul:()=>qt,Uw:()=>ct,VS:()=>On,WO:()=>rt,Xf:()=>F,YD:()=>Ut,Zd:()=>Fn,_w:()=>ot,a1:()=>bn,a_:()=>yn,av:()=>Rn,b0:()=>le,chromecast:()=>Sn,cy:()=>me,eC:()=>Re,gD:()=>ue,h7:()=>An,h9:()=>In,hN:()=>Ne,hZ:()=>Xt,iO:()=>Ln,io:()=>D,j4:()=>Zt,jv:()=>rn,k6:()=>Se,kH:()=>Me,kU:()=>kn,kZ:()=>oe,kx:()=>Le,lQ:()=>ae,oL:()=>Wn,ou:()=>gn,ox:()=>jt,p1:()=>Oe,q6:()=>Ie,r:()=>fn,rc:()=>zn,rw:()=>Cn,s_:()=>Qt,se:()=>L,tE:()=>wt,uA:()=>at,vA:()=>Fe,vI:()=>Ht,vP:()=>Ae,vT:()=>yt,vz:()=>N,w$:()=>_t,wd:()=>re,y4:()=>wn,y6:()=>vn,y_:()=>En,yf:()=>Bn,z3:()=>an,zS:()=>ft,zp:()=>O,zv:()=>ke});var i=n(986),s=n(790),r=n(562),a=n(149),o=n(558),l=n(458),u=n(705),c=n(379),d=n(43);const h=["children"],f=["style","children","forwardRef"],p="undefined"===typeof document,m=Symbol(0);let v=!1,g=!1,y=null,A=null,b=null,w=0,k=[],S={};const E=()=>{},C=0,x=1,T=2,P=3;function M(){if(k.length){g=!0;for(let e=0;e<k.length;e++)k[e].$st!==C&&$(k[e]);k=[],v=!1,g=!1}else v=!1}function $(e){let t=[e];for(;e=e[m];)e.$e&&e.$st!==C&&t.push(e);for(let n=t.length-1;n>=0;n--)X(t[n])}function L(e){return z(y,e,null)}function N(e){return z(null,e,null)}function D(){g||M()}function F(){return y}function V(e,t){try{return z(t,e,null)}catch(n){return void B(t,n)}}function R(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:y;return null===t||void 0===t?void 0:t.$cx[e]}function O(e){if(!e||!y)return e||E;const t=y;return t.$d?Array.isArray(t.$d)?t.$d.push(e):t.$d=[t.$d,e]:t.$d=e,function(){t.$st!==P&&(e.call(null),K(t.$d)?t.$d=null:Array.isArray(t.$d)&&t.$d.splice(t.$d.indexOf(e),1))}}function W(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];if(this.$st!==P){if(this.$h)if(Array.isArray(this.$h))for(let e=this.$h.length-1;e>=0;e--)W.call(this.$h[e]);else W.call(this.$h);if(e){const e=this[m];e&&(Array.isArray(e.$h)?e.$h.splice(e.$h.indexOf(this),1):e.$h=null),function(e){e.$st=P,e.$d&&I(e);e.$s&&te(e,0);e[m]=null,e.$s=null,e.$o=null,e.$h=null,e.$cx=S,e.$eh=null}(this)}}}function I(e){try{if(Array.isArray(e.$d))for(let t=e.$d.length-1;t>=0;t--){const n=e.$d[t];n.call(n)}else e.$d.call(e.$d);e.$d=null}catch(t){B(e,t)}}function z(e,t,n){const i=y,s=A;y=e,A=n;try{return t.call(e)}finally{y=i,A=s}}function B(e,t){if(!e||!e.$eh)throw t;let n=0,i=e.$eh.length,s=t;for(n=0;n<i;n++)try{e.$eh[n](s);break}catch(r){s=r}if(n===i)throw s}function _(){return this.$st===P||(A&&!this.$e&&(!b&&A.$s&&A.$s[w]==this?w++:b?b.push(this):b=[this]),this.$c&&X(this)),this.$v}function q(e){const t=K(e)?e(this.$v):e;if(this.$ch(this.$v,t)&&(this.$v=t,this.$o))for(let n=0;n<this.$o.length;n++)ee(this.$o[n],T);return this.$v}const j=function(){this[m]=null,this.$h=null,y&&y.append(this)},U=j.prototype;function H(){return new j}U.$cx=S,U.$eh=null,U.$c=null,U.$d=null,U.append=function(e){e[m]=this,this.$h?Array.isArray(this.$h)?this.$h.push(e):this.$h=[this.$h,e]:this.$h=e,e.$cx=e.$cx===S?this.$cx:(0,c.A)((0,c.A)({},this.$cx),e.$cx),this.$eh&&(e.$eh=e.$eh?[...e.$eh,...this.$eh]:this.$eh)},U.dispose=function(){W.call(this)};const Z=function(e,t,n){j.call(this),this.$st=t?T:C,this.$i=!1,this.$e=!1,this.$s=null,this.$o=null,this.$v=e,t&&(this.$c=t),n&&n.dirty&&(this.$ch=n.dirty)},Q=Z.prototype;function G(e,t,n){return new Z(e,t,n)}function K(e){return"function"===typeof e}function X(e){if(e.$st===x)for(let t=0;t<e.$s.length&&(X(e.$s[t]),e.$st!==T);t++);e.$st===T?Y(e):e.$st=C}function Y(e){let t=b,n=w;b=null,w=0;try{!function(e){e.$h&&W.call(e,!1),e.$d&&I(e),e.$eh=e[m]?e[m].$eh:null}(e);const t=z(e,e.$c,e);J(e),!e.$e&&e.$i?q.call(e,t):(e.$v=t,e.$i=!0)}catch(i){J(e),B(e,i)}finally{b=t,w=n,e.$st=C}}function J(e){if(b){if(e.$s&&te(e,w),e.$s&&w>0){e.$s.length=w+b.length;for(let t=0;t<b.length;t++)e.$s[w+t]=b[t]}else e.$s=b;let t;for(let n=w;n<e.$s.length;n++)t=e.$s[n],t.$o?t.$o.push(e):t.$o=[e]}else e.$s&&w<e.$s.length&&(te(e,w),e.$s.length=w)}function ee(e,t){if(!(e.$st>=t)&&(e.$e&&e.$st===C&&(k.push(e),v||(v=!0,queueMicrotask(M))),e.$st=t,e.$o))for(let n=0;n<e.$o.length;n++)ee(e.$o[n],x)}function te(e,t){let n,i;for(let s=t;s<e.$s.length;s++)n=e.$s[s],n.$o&&(i=n.$o.indexOf(e),n.$o[i]=n.$o[n.$o.length-1],n.$o.pop())}function ne(e,t){const n=G(e,null,t),i=_.bind(n);return i[m]=!0,i.set=q.bind(n),i}function ie(e,t){const n=G(null===t||void 0===t?void 0:t.initial,e,t),i=_.bind(n);return i[m]=!0,i}function se(e,t){const n=G(null,function(){let t=e();return K(t)&&O(t),null},void 0);return n.$e=!0,Y(n),W.bind(n,!0)}function re(e){return function(e){return K(e)&&m in e}(e)&&"set"in e}function ae(){}function oe(e){return null===e}function le(e){return"undefined"===typeof e}function ue(e){return oe(e)||le(e)}function ce(e){return(null===e||void 0===e?void 0:e.constructor)===Object}function de(e){return"number"===typeof e&&!Number.isNaN(e)}function he(e){return"string"===typeof e}function fe(e){return"boolean"===typeof e}function pe(e){return"function"===typeof e}function me(e){return Array.isArray(e)}Object.setPrototypeOf(Q,U),Q.$ch=function(e,t){return e!==t},Q.call=_;const ve=p?function(e,t){var n;if("undefined"!==typeof process&&"test"===(null===(n={NODE_ENV:"production",PUBLIC_URL:"",WDS_SOCKET_HOST:void 0,WDS_SOCKET_PATH:void 0,WDS_SOCKET_PORT:void 0,FAST_REFRESH:!0})||void 0===n?void 0:n.NODE_ENV))return se(e);return ae}:se;const ge=p?class{}:Event,ye=Symbol("DOM_EVENT");class Ae extends ge{get trigger(){return this.triggers.source}get originEvent(){return this.triggers.origin}get isOriginTrusted(){var e,t;return null!==(e=null===(t=this.triggers.origin)||void 0===t?void 0:t.isTrusted)&&void 0!==e&&e}constructor(e){var t,n;super(e,arguments.length<=1?void 0:arguments[1]),(0,u.A)(this,ye,!0),(0,u.A)(this,"detail",void 0),(0,u.A)(this,"triggers",new be),this.detail=null===(t=arguments.length<=1?void 0:arguments[1])||void 0===t?void 0:t.detail;const i=null===(n=arguments.length<=1?void 0:arguments[1])||void 0===n?void 0:n.trigger;i&&this.triggers.add(i)}}class be{constructor(){(0,u.A)(this,"chain",[])}get source(){return this.chain[0]}get origin(){return this.chain[this.chain.length-1]}add(e){this.chain.push(e),we(e)&&this.chain.push(...e.triggers)}remove(e){return this.chain.splice(this.chain.indexOf(e),1)[0]}has(e){return this.chain.some(t=>t===e)}hasType(e){return!!this.findType(e)}findType(e){return this.chain.find(t=>t.type===e)}walk(e){for(const t of this.chain){const n=e(t);if(n)return[t,n]}}[Symbol.iterator](){return this.chain.values()}}function we(e){return!(null===e||void 0===e||!e[ye])}class ke extends EventTarget{constructor(){super(...arguments),(0,u.A)(this,"$ts__events",void 0)}addEventListener(e,t,n){return super.addEventListener(e,t,n)}removeEventListener(e,t,n){return super.removeEventListener(e,t,n)}}function Se(e,t,n,i){return p?ae:(e.addEventListener(t,n,i),O(()=>e.removeEventListener(t,n,i)))}var Ee=new WeakMap,Ce=new WeakMap;class xe{get signal(){return(0,l.A)(Ce,this).signal}constructor(e){(0,a.A)(this,Ee,void 0),(0,a.A)(this,Ce,void 0),(0,o.A)(Ee,this,e),(0,o.A)(Ce,this,new AbortController),O(this.abort.bind(this))}add(e,t,n){if(this.signal.aborted)throw Error("aborted");return(0,l.A)(Ee,this).addEventListener(e,t,(0,c.A)((0,c.A)({},n),{},{signal:null!==n&&void 0!==n&&n.signal?Te(this.signal,n.signal):this.signal})),this}remove(e,t){return(0,l.A)(Ee,this).removeEventListener(e,t),this}abort(e){(0,l.A)(Ce,this).abort(e)}}function Te(){const e=new AbortController,t={signal:e.signal};function n(t){e.abort(t.target.reason)}for(var i=arguments.length,s=new Array(i),r=0;r<i;r++)s[r]=arguments[r];for(const a of s){if(a.aborted){e.abort(a.reason);break}a.addEventListener("abort",n,t)}return e.signal}function Pe(e){return!(null===e||void 0===e||!e.type.startsWith("pointer"))}function Me(e){return!(null===e||void 0===e||!e.type.startsWith("touch"))}function $e(e){var t;return/^(click|mouse)/.test(null!==(t=null===e||void 0===e?void 0:e.type)&&void 0!==t?t:"")}function Le(e){return!(null===e||void 0===e||!e.type.startsWith("key"))}function Ne(e){return Le(e)&&"Enter"===e.key}function De(e){return Le(e)&&("Enter"===e.key||" "===e.key)}function Fe(e){return e instanceof Node}function Ve(e,t,n){if(e)if(n||""===n||0===n){const i=!0===n?"":n+"";e.getAttribute(t)!==i&&e.setAttribute(t,i)}else e.removeAttribute(t)}function Re(e,t,n){e&&(n||0===n?e.style.setProperty(t,n+""):e.style.removeProperty(t))}function Oe(e,t,n){e.classList[n?"add":"remove"](t)}function We(e){let t=e;for(;"function"===typeof t;)t=t.call(this);return t}function Ie(e){return{id:Symbol(),provide:e}}function ze(e,t){var n;let i=arguments.length>2&&void 0!==arguments[2]?arguments[2]:F();const s=!le(t);!function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:y;n&&(n.$cx=(0,c.A)((0,c.A)({},n.$cx),{},{[e]:t}))}(e.id,s?t:null===(n=e.provide)||void 0===n?void 0:n.call(e),i)}function Be(e){return R(e.id)}function _e(e){return!le(R(e.id))}const qe=Symbol(0),je=Symbol(0),Ue=Symbol(0),He={};var Ze=new WeakMap,Qe=new WeakMap,Ge=new WeakMap,Ke=new WeakMap,Xe=new WeakSet;class Ye{constructor(e,t,n){(0,s.A)(this,Xe),(0,u.A)(this,"$ts__events",void 0),(0,u.A)(this,"$ts__vars",void 0),(0,u.A)(this,Ue,null),(0,u.A)(this,"$el",ne(null)),(0,u.A)(this,"el",null),(0,u.A)(this,"scope",null),(0,u.A)(this,"attachScope",null),(0,u.A)(this,"connectScope",null),(0,u.A)(this,"component",null),(0,u.A)(this,"destroyed",!1),(0,u.A)(this,"props",He),(0,u.A)(this,"attrs",null),(0,u.A)(this,"styles",null),(0,u.A)(this,"state",void 0),(0,u.A)(this,"$state",void 0),(0,a.A)(this,Ze,[]),(0,a.A)(this,Qe,[]),(0,a.A)(this,Ge,[]),(0,a.A)(this,Ke,[]),this.scope=t,null!==n&&void 0!==n&&n.scope&&n.scope.append(t);let i=e.state,r=e.props;if(i&&(this.$state=i.create(),this.state=new Proxy(this.$state,{get:(e,t)=>this.$state[t]()}),ze(i,this.$state)),r&&(this.props=function(e){const t={};for(const n of Object.keys(e)){const i=e[n];t[n]=ne(i,i)}return t}(r),null!==n&&void 0!==n&&n.props))for(const s of Object.keys(n.props)){var o;null===(o=this.props[s])||void 0===o||o.set(n.props[s])}O(this.destroy.bind(this))}setup(){V(()=>{for(const e of(0,l.A)(Ze,this))e()},this.scope)}attach(e){this.el||(this.el=e,this.$el.set(e),V(()=>{this.attachScope=H(),V(()=>{for(const e of(0,l.A)(Qe,this))e(this.el);(0,r.A)(Xe,this,Je).call(this),(0,r.A)(Xe,this,et).call(this)},this.attachScope)},this.scope),e.dispatchEvent(new Event("attached")))}detach(){var e;null===(e=this.attachScope)||void 0===e||e.dispose(),this.attachScope=null,this.connectScope=null,this.el=null,this.$el.set(null)}connect(){this.el&&this.attachScope&&(0,l.A)(Ge,this).length&&V(()=>{this.connectScope=H(),V(()=>{for(const e of(0,l.A)(Ge,this))e(this.el)},this.connectScope)},this.attachScope)}disconnect(){var e;null===(e=this.connectScope)||void 0===e||e.dispose(),this.connectScope=null}destroy(){if(this.destroyed)return;this.destroyed=!0,V(()=>{for(const e of(0,l.A)(Ke,this))e(this.el)},this.scope);const e=this.el;this.detach(),this.scope.dispose(),(0,l.A)(Ze,this).length=0,(0,l.A)(Qe,this).length=0,(0,l.A)(Ge,this).length=0,(0,l.A)(Ke,this).length=0,this.component=null,this.attrs=null,this.styles=null,this.props=He,this.scope=null,this.state=He,this.$state=null,e&&delete e.$}addHooks(e){e.onSetup&&(0,l.A)(Ze,this).push(e.onSetup.bind(e)),e.onAttach&&(0,l.A)(Qe,this).push(e.onAttach.bind(e)),e.onConnect&&(0,l.A)(Ge,this).push(e.onConnect.bind(e)),e.onDestroy&&(0,l.A)(Ke,this).push(e.onDestroy.bind(e))}}function Je(){if(this.attrs)for(const e of Object.keys(this.attrs))p?Ve(this.el,e,We.call(this.component,this.attrs[e])):pe(this.attrs[e])?ve((0,r.A)(Xe,this,tt).bind(this,e)):Ve(this.el,e,this.attrs[e])}function et(){if(this.styles)for(const e of Object.keys(this.styles))p?Re(this.el,e,We.call(this.component,this.styles[e])):pe(this.styles[e])?ve((0,r.A)(Xe,this,nt).bind(this,e)):Re(this.el,e,this.styles[e])}function tt(e){Ve(this.el,e,this.attrs[e].call(this.component))}function nt(e){Re(this.el,e,this.styles[e].call(this.component))}let it={$$:null};function st(e,t){return function(e){const t=H();return z(t,e.length?e.bind(null,W.bind(t)):e,null)}(()=>{it.$$=new Ye(e,F(),t);const n=new e;return it.$$.component=n,it.$$=null,n})}class rt extends EventTarget{get el(){return this.$$.el}get $el(){return this.$$.$el()}get scope(){return this.$$.scope}get attachScope(){return this.$$.attachScope}get connectScope(){return this.$$.connectScope}get $props(){return this.$$.props}get $state(){return this.$$.$state}get state(){return this.$$.state}constructor(){super(),(0,u.A)(this,"$$",void 0),it.$$&&this.attach(it)}attach(e){let{$$:t}=e;return this.$$=t,t.addHooks(this),this}addEventListener(e,t,n){this.listen(e,t,n)}removeEventListener(e,t,n){var i;null===(i=this.el)||void 0===i||i.removeEventListener(e,t,n)}setAttributes(e){this.$$.attrs||(this.$$.attrs={}),Object.assign(this.$$.attrs,e)}setStyles(e){this.$$.styles||(this.$$.styles={}),Object.assign(this.$$.styles,e)}setCSSVars(e){this.setStyles(e)}createEvent(e){return new Ae(e,arguments.length<=1?void 0:arguments[1])}dispatch(e){if(p||!this.el)return!1;const t=e instanceof Event?e:new Ae(e,arguments.length<=1?void 0:arguments[1]);return Object.defineProperty(t,"target",{get:()=>this.$$.component}),N(()=>{var e,n;return null===(e=(n=this.$$)[Ue])||void 0===e||e.call(n,t),this.el.dispatchEvent(t)})}dispatchEvent(e){return this.dispatch(e)}listen(e,t,n){return p||!this.el?ae:Se(this.el,e,t,n)}}class at extends rt{subscribe(e){return V(()=>ve(()=>e(this.state)),this.$$.scope)}destroy(){this.$$.destroy()}}function ot(e,t,n){e[qe]||(e[qe]=new Set),e[qe].add(t)}function lt(e,t,n){e[je]||(e[je]=new Set),e[je].add(t)}var ut=new WeakMap;class ct{constructor(e){(0,u.A)(this,"id",Symbol(0)),(0,u.A)(this,"record",void 0),(0,a.A)(this,ut,void 0),this.record=e,(0,o.A)(ut,this,Object.getOwnPropertyDescriptors(e))}create(){const e={},t=new Proxy(e,{get:(t,n)=>e[n]()});for(const n of Object.keys(this.record)){const i=(0,l.A)(ut,this)[n].get;e[n]=i?ie(i.bind(t)):ne(this.record[n])}return e}reset(e,t){for(const n of Object.keys(e))(0,l.A)(ut,this)[n].get||t&&!t(n)||e[n].set(this.record[n])}}function dt(e){return Be(e)}function ht(e){return e.replace(/([a-z])([A-Z])/g,"$1-$2").toLowerCase()}function ft(e){return e.replace(/-./g,e=>e[1].toUpperCase())}function pt(e){return function(e){return mt(e.replace(/-./g,e=>" "+e[1].toUpperCase()))}(e).replace(/\s/g,"")}function mt(e){return e.charAt(0).toUpperCase()+e.slice(1)}const vt=d.createContext({current:null});function gt(e){for(var t=arguments.length,n=new Array(t>1?t-1:0),i=1;i<t;i++)n[i-1]=arguments[i];return d.createElement(vt.Provider,{value:e},...n)}function yt(){return d.useContext(vt).current}function At(e){const t=yt();return d.useMemo(()=>R(e.id,t),[t])}function bt(e,t){"function"===typeof e?e(t):e&&(e.current=t)}function wt(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];return e=>t.forEach(t=>bt(t,e))}function kt(e,t){const n=d.forwardRef((n,s)=>{let r=d.useContext(vt),a=d.useRef(null),o=d.useRef();if(!o.current){const t=function(){const e={el:null,prevProps:[],callbacks:{},domCallbacks:{},refChangeId:-1,connectId:-1,destroyId:-1,attached:!1,forwardRef:!1,listening:null,onDOMEvent(t){var n,i;const s=le(t.detail)?[t]:[t.detail,t];null===(n=(i=e.domCallbacks)[t.type])||void 0===n||n.call(i,...s)}};return e}(),i=Pt(e,t,n,r.current);t.component=i,o.current=t,a.current=i.scope}d.useEffect(()=>{const e=o.current;return window.cancelAnimationFrame(e.destroyId),e.destroyId=-1,function(){pe(n.children)&&(window.cancelAnimationFrame(e.refChangeId),e.refChangeId=-1,window.cancelAnimationFrame(e.connectId),e.connectId=-1,window.cancelAnimationFrame(e.destroyId),e.destroyId=window.requestAnimationFrame(()=>{e.destroyId=-1,xt(e),e.component.$$.destroy(),e.component.$$[Ue]=null,e.callbacks={},e.domCallbacks={},a.current=null}))}},[]),d.useEffect(D);let l=o.current,{children:u}=n,f=(0,i.A)(n,h),p={},m=l.prevProps,v=Object.keys(f);l.callbacks={};for(const i of[...m,...v]){var g,y,A,b,w;if(t.props.has(i))l.component.$props[i].set(le(f[i])?null===(w=e.props)||void 0===w?void 0:w[i]:f[i]);else if(null!==(g=t.events)&&void 0!==g&&g.has(i)||null!==(y=t.eventsRE)&&void 0!==y&&y.test(i))l.callbacks[i]=f[i];else if(null!==(A=t.domEvents)&&void 0!==A&&A.has(i)||null!==(b=t.domEventsRE)&&void 0!==b&&b.test(i)){var k;let e=ht(i.slice(2));var S,E;if(l.domCallbacks[e]=f[i],v.includes(i))!l.el||null!==(k=l.listening)&&void 0!==k&&k.has(e)||(l.listening||(l.listening=new Set),l.listening.add(e),l.el.addEventListener(e,l.onDOMEvent));else null===(S=l.el)||void 0===S||S.removeEventListener(e,l.onDOMEvent),null===(E=l.listening)||void 0===E||E.delete(e)}else p[i]=f[i]}return l.prevProps=v,gt(a,d.createElement(St,{effect:function(){let t=o.current,i=r.current;if(window.cancelAnimationFrame(t.destroyId),t.destroyId=-1,t.component.$$.destroyed){const s=Pt(e,t,n,i);t.component=s,t.attached=!1,t.forwardRef=!1,a.current=s.scope}return t.el&&Ct(t,t.el),t.forwardRef||(bt(s,t.component),t.forwardRef=!0),()=>xt(t)}}),pe(u)?null===u||void 0===u?void 0:u((0,c.A)((0,c.A)({},p),{},{suppressHydrationWarning:!0,ref:function(e){const t=o.current;t.forwardRef?(window.cancelAnimationFrame(t.refChangeId),t.refChangeId=window.requestAnimationFrame(()=>{const t=o.current;t.refChangeId=-1,t.el!==e&&(xt(t),e&&Ct(t,e),t.el=e)})):t.el=e}}),l.component):u)});return n.displayName=e.name+"Bridge",n}function St(e){let{effect:t}=e;return d.useEffect(t,[]),null}vt.displayName="Scope";const Et=new Map;function Ct(e,t){if(e.el!==t||!e.attached){if(e.attached&&xt(e),e.domCallbacks){e.listening||(e.listening=new Set);for(const n of Object.keys(e.domCallbacks))e.listening.has(n)||(t.addEventListener(n,e.onDOMEvent),e.listening.add(n))}e.component.$$.attach(t),e.connectId=window.requestAnimationFrame(()=>{e.component.$$.connect(),e.connectId=-1}),e.attached=!0}}function xt(e){if(e.attached&&(window.cancelAnimationFrame(e.connectId),e.connectId=-1,e.component.$$.detach(),e.attached=!1,e.el&&e.listening)){for(const t of e.listening)e.el.removeEventListener(t,e.onDOMEvent);e.listening.clear()}}function Tt(e){var t,n;let i=Et.get(e.type),s=le(e.detail)?[e]:[e.detail,e];i||Et.set(e.type,i="on".concat(pt(e.type))),null===(t=(n=this.callbacks)[i])||void 0===t||t.call(n,...s)}function Pt(e,t,n,i){const s=st(e,{props:n,scope:i});return s.$$[Ue]=Tt.bind(t),s.$$.setup(),s}function Mt(e){let t=arguments.length>1&&void 0!==arguments[1]&&arguments[1];const n=typeof e;if("string"!==n)return t||"function"!==n?t&&"boolean"===n?e+"":e:Mt(e());const i=t?'"':"<",s=t?"&quot;":"&lt;";let r=e.indexOf(i),a=e.indexOf("&");if(r<0&&a<0)return e;let o=0,l="";for(;r>=0&&a>=0;)r<a?(o<r&&(l+=e.substring(o,r)),l+=s,o=r+1,r=e.indexOf(i,o)):(o<a&&(l+=e.substring(o,a)),l+="&amp;",o=a+1,a=e.indexOf("&",o));if(r>=0)do{o<r&&(l+=e.substring(o,r)),l+=s,o=r+1,r=e.indexOf(i,o)}while(r>=0);else for(;a>=0;)o<a&&(l+=e.substring(o,a)),l+="&amp;",o=a+1,a=e.indexOf("&",o);return o<e.length?l+e.substring(o):l}const $t=Symbol(0),Lt=/\s+/;const Nt=/\s*:\s*/,Dt=/\s*;\s*/;class Ft{get $props(){return this.$.$$.props}get $state(){return this.$.$$.$state}get state(){return this.$.state}constructor(e){(0,u.A)(this,"keepAlive",!1),(0,u.A)(this,"forwardKeepAlive",!0),(0,u.A)(this,"$",void 0),(0,u.A)(this,"attributes",new Rt),(0,u.A)(this,"style",new Wt),(0,u.A)(this,"classList",new zt),this.$=e}setup(){const e=this.$.$$;V(()=>{this.hasAttribute("class")&&function(e,t){const n=t.trim().split(Lt);for(const i of n)e.add(i)}(this.classList.tokens,this.getAttribute("class")),this.hasAttribute("style")&&function(e,t){const n=t.trim().split(Dt);for(let i=0;i<n.length;i++){if(""===n[i])continue;const[t,s]=n[i].split(Nt);e.set(t,s)}}(this.style.tokens,this.getAttribute("style")),e.setup(),e.attach(this),this.classList.length>0&&this.setAttribute("class",this.classList.toString()),this.style.length>0&&this.setAttribute("style",this.style.toString()),this.keepAlive&&this.setAttribute("keep-alive","")},e.scope)}getAttribute(e){return this.attributes.getAttribute(e)}setAttribute(e,t){this.attributes.setAttribute(e,t)}hasAttribute(e){return this.attributes.hasAttribute(e)}removeAttribute(e){return this.attributes.removeAttribute(e)}[$t](){}addEventListener(){}removeEventListener(){}dispatchEvent(){return!1}subscribe(){return ae}destroy(){this.$.destroy()}}var Vt=new WeakMap;class Rt{constructor(){(0,a.A)(this,Vt,new Map)}get length(){return(0,l.A)(Vt,this).size}get tokens(){return(0,l.A)(Vt,this)}getAttribute(e){var t;return null!==(t=(0,l.A)(Vt,this).get(e))&&void 0!==t?t:null}hasAttribute(e){return(0,l.A)(Vt,this).has(e)}setAttribute(e,t){(0,l.A)(Vt,this).set(e,t+"")}removeAttribute(e){(0,l.A)(Vt,this).delete(e)}toString(){if(0===(0,l.A)(Vt,this).size)return"";let e="";for(const[t,n]of(0,l.A)(Vt,this))e+=" ".concat(t,'="').concat(Mt(n,!0),'"');return e}}var Ot=new WeakMap;class Wt{constructor(){(0,a.A)(this,Ot,new Map)}get length(){return(0,l.A)(Ot,this).size}get tokens(){return(0,l.A)(Ot,this)}getPropertyValue(e){var t;return null!==(t=(0,l.A)(Ot,this).get(e))&&void 0!==t?t:""}setProperty(e,t){(0,l.A)(Ot,this).set(e,null!==t&&void 0!==t?t:"")}removeProperty(e){const t=(0,l.A)(Ot,this).get(e);return(0,l.A)(Ot,this).delete(e),null!==t&&void 0!==t?t:""}toString(){if(0===(0,l.A)(Ot,this).size)return"";let e="";for(const[t,n]of(0,l.A)(Ot,this))e+="".concat(t,": ").concat(n,";");return e}}var It=new WeakMap;class zt{constructor(){(0,a.A)(this,It,new Set)}get length(){return(0,l.A)(It,this).size}get tokens(){return(0,l.A)(It,this)}add(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];for(const i of t)(0,l.A)(It,this).add(i)}contains(e){return(0,l.A)(It,this).has(e)}remove(e){(0,l.A)(It,this).delete(e)}replace(e,t){return!!(0,l.A)(It,this).has(e)&&((0,l.A)(It,this).delete(e),(0,l.A)(It,this).add(t),!0)}toggle(e,t){return!0===t||!(0,l.A)(It,this).has(e)&&!1!==t?((0,l.A)(It,this).add(e),!0):((0,l.A)(It,this).delete(e),!1)}toString(){return Array.from((0,l.A)(It,this)).join(" ")}}const Bt={acceptcharset:"acceptCharset","accept-charset":"acceptCharset",accesskey:"accessKey",allowfullscreen:"allowFullScreen",autocapitalize:"autoCapitalize",autocomplete:"autoComplete",autocorrect:"autoCorrect",autofocus:"autoFocus",autoplay:"autoPlay",autosave:"autoSave",cellpadding:"cellPadding",cellspacing:"cellSpacing",charset:"charSet",class:"className",classid:"classID",classname:"className",colspan:"colSpan",contenteditable:"contentEditable",contextmenu:"contextMenu",controlslist:"controlsList",crossorigin:"crossOrigin",dangerouslysetinnerhtml:"dangerouslySetInnerHTML",datetime:"dateTime",defaultchecked:"defaultChecked",defaultvalue:"defaultValue",disablepictureinpicture:"disablePictureInPicture",disableremoteplayback:"disableRemotePlayback",enctype:"encType",enterkeyhint:"enterKeyHint",fetchpriority:"fetchPriority",for:"htmlFor",formmethod:"formMethod",formaction:"formAction",formenctype:"formEncType",formnovalidate:"formNoValidate",formtarget:"formTarget",frameborder:"frameBorder",hreflang:"hrefLang",htmlfor:"htmlFor",httpequiv:"httpEquiv","http-equiv":"httpEquiv",imagesizes:"imageSizes",imagesrcset:"imageSrcSet",innerhtml:"innerHTML",inputmode:"inputMode",itemid:"itemID",itemprop:"itemProp",itemref:"itemRef",itemscope:"itemScope",itemtype:"itemType",keyparams:"keyParams",keytype:"keyType",marginwidth:"marginWidth",marginheight:"marginHeight",maxlength:"maxLength",mediagroup:"mediaGroup",minlength:"minLength",nomodule:"noModule",novalidate:"noValidate",playsinline:"playsInline",radiogroup:"radioGroup",readonly:"readOnly",referrerpolicy:"referrerPolicy",rowspan:"rowSpan",spellcheck:"spellCheck",srcdoc:"srcDoc",srclang:"srcLang",srcset:"srcSet",tabindex:"tabIndex",usemap:"useMap"};function _t(e){return At(e)}function qt(e,t){const[,n]=d.useState();return d.useEffect(()=>se(()=>{e(),n({})}),[null!==t&&void 0!==t?t:e]),e()}function jt(e){return e?"true":"false"}function Ut(e){return Object.keys(e)}function Ht(){let e,t;return{promise:new Promise((n,i)=>{e=n,t=i}),resolve:e,reject:t}}function Zt(e){return new Promise(t=>setTimeout(t,e))}function Qt(e){if(p)return ae;let t,n=-1;return function(){for(var i=arguments.length,s=new Array(i),r=0;r<i;r++)s[r]=arguments[r];t=s,n>=0||(n=window.requestAnimationFrame(()=>{e.apply(this,t),n=-1,t=void 0}))}}const Gt=p?ae:"undefined"!==typeof window?"requestIdleCallback"in window?window.requestIdleCallback:e=>window.setTimeout(e,1):ae;function Kt(e,t){return p?Promise.resolve():new Promise(n=>{Gt(t=>{null===e||void 0===e||e(t),n()},t)})}function Xt(e,t){return p?function(e,t){function n(n){let s=d.useContext(vt),r=st(e,{props:n,scope:s.current}),a=new Ft(r),o={},{style:l={},children:u,forwardRef:h}=n,p=(0,i.A)(n,f);if(t.props.size)for(const e of Object.keys(p))t.props.has(e)||(o[e]=p[e]);else o=p;if(a.setup(),a.hasAttribute("style")){for(const[e,t]of a.style.tokens)l[e.startsWith("--")?e:ft(e)]=t;a.removeAttribute("style")}for(const[e,t]of a.attributes.tokens){const n=Bt[e];n&&(n in o||(o[n]=t),a.removeAttribute(e))}return gt({current:r.$$.scope},pe(u)?null===u||void 0===u?void 0:u((0,c.A)((0,c.A)((0,c.A)({},Object.fromEntries(a.attributes.tokens)),o),{},{style:l}),r):u,d.createElement(()=>(a.destroy(),null)))}return n.displayName=e.name+"Bridge",n}(e,{props:new Set(Object.keys(e.props||{}))}):kt(e,{props:new Set(Object.keys(e.props||{})),events:new Set(null===t||void 0===t?void 0:t.events),eventsRE:null===t||void 0===t?void 0:t.eventsRegex,domEvents:null===t||void 0===t?void 0:t.domEvents,domEventsRE:null===t||void 0===t?void 0:t.domEventsRegex})}var Yt={fullscreenEnabled:0,fullscreenElement:1,requestFullscreen:2,exitFullscreen:3,fullscreenchange:4,fullscreenerror:5,fullscreen:6},Jt=["webkitFullscreenEnabled","webkitFullscreenElement","webkitRequestFullscreen","webkitExitFullscreen","webkitfullscreenchange","webkitfullscreenerror","-webkit-full-screen"],en=["mozFullScreenEnabled","mozFullScreenElement","mozRequestFullScreen","mozCancelFullScreen","mozfullscreenchange","mozfullscreenerror","-moz-full-screen"],tn=["msFullscreenEnabled","msFullscreenElement","msRequestFullscreen","msExitFullscreen","MSFullscreenChange","MSFullscreenError","-ms-fullscreen"],nn="undefined"!==typeof window&&"undefined"!==typeof window.document?window.document:{},sn="fullscreenEnabled"in nn&&Object.keys(Yt)||Jt[0]in nn&&Jt||en[0]in nn&&en||tn[0]in nn&&tn||[],rn={requestFullscreen:function(e){return e[sn[Yt.requestFullscreen]]()},requestFullscreenFunction:function(e){return e[sn[Yt.requestFullscreen]]},get exitFullscreen(){return nn[sn[Yt.exitFullscreen]].bind(nn)},get fullscreenPseudoClass(){return":"+sn[Yt.fullscreen]},addEventListener:function(e,t,n){return nn.addEventListener(sn[Yt[e]],t,n)},removeEventListener:function(e,t,n){return nn.removeEventListener(sn[Yt[e]],t,n)},get fullscreenEnabled(){return Boolean(nn[sn[Yt.fullscreenEnabled]])},set fullscreenEnabled(e){},get fullscreenElement(){return nn[sn[Yt.fullscreenElement]]},set fullscreenElement(e){},get onfullscreenchange(){return nn[("on"+sn[Yt.fullscreenchange]).toLowerCase()]},set onfullscreenchange(e){return nn[("on"+sn[Yt.fullscreenchange]).toLowerCase()]=e},get onfullscreenerror(){return nn[("on"+sn[Yt.fullscreenerror]).toLowerCase()]},set onfullscreenerror(e){return nn[("on"+sn[Yt.fullscreenerror]).toLowerCase()]=e}},an=function(e,t,n){var i=null,s=null,r=n&&n.leading,a=n&&n.trailing;null==r&&(r=!0);null==a&&(a=!r);1==r&&(a=!1);var o=function(){i&&(clearTimeout(i),i=null)},l=function(){var n=r&&!i,o=this,l=arguments;if(s=function(){return e.apply(o,l)},i||(i=setTimeout(function(){if(i=null,a)return s()},t)),n)return n=!1,s()};return l.cancel=o,l.flush=function(){var e=s;o(),e&&e()},l};var on=function(e,t,n){var i=null,s=null,r=function(){i&&(clearTimeout(i),s=null,i=null)},a=function(){if(!t)return e.apply(this,arguments);var a=this,o=arguments,l=n&&!i;return r(),s=function(){e.apply(a,o)},i=setTimeout(function(){if(i=null,!l){var e=s;return s=null,e()}},t),l?s():void 0};return a.cancel=r,a.flush=function(){var e=s;r(),e&&e()},a};const ln=e=>"object"==typeof e&&null!=e&&1===e.nodeType,un=(e,t)=>(!t||"hidden"!==e)&&"visible"!==e&&"clip"!==e,cn=(e,t)=>{if(e.clientHeight<e.scrollHeight||e.clientWidth<e.scrollWidth){const n=getComputedStyle(e,null);return un(n.overflowY,t)||un(n.overflowX,t)||(e=>{const t=(e=>{if(!e.ownerDocument||!e.ownerDocument.defaultView)return null;try{return e.ownerDocument.defaultView.frameElement}catch(t){return null}})(e);return!!t&&(t.clientHeight<e.scrollHeight||t.clientWidth<e.scrollWidth)})(e)}return!1},dn=(e,t,n,i,s,r,a,o)=>r<e&&a>t||r>e&&a<t?0:r<=e&&o<=n||a>=t&&o>=n?r-e-i:a>t&&o<n||r<e&&o>n?a-t+s:0,hn=e=>{const t=e.parentElement;return null==t?e.getRootNode().host||null:t},fn=(e,t)=>{var n,i,s,r;if("undefined"==typeof document)return[];const{scrollMode:a,block:o,inline:l,boundary:u,skipOverflowHiddenElements:c}=t,d="function"==typeof u?u:e=>e!==u;if(!ln(e))throw new TypeError("Invalid target");const h=document.scrollingElement||document.documentElement,f=[];let p=e;for(;ln(p)&&d(p);){if(p=hn(p),p===h){f.push(p);break}null!=p&&p===document.body&&cn(p)&&!cn(document.documentElement)||null!=p&&cn(p,c)&&f.push(p)}const m=null!=(i=null==(n=window.visualViewport)?void 0:n.width)?i:innerWidth,v=null!=(r=null==(s=window.visualViewport)?void 0:s.height)?r:innerHeight,{scrollX:g,scrollY:y}=window,{height:A,width:b,top:w,right:k,bottom:S,left:E}=e.getBoundingClientRect(),{top:C,right:x,bottom:T,left:P}=(e=>{const t=window.getComputedStyle(e);return{top:parseFloat(t.scrollMarginTop)||0,right:parseFloat(t.scrollMarginRight)||0,bottom:parseFloat(t.scrollMarginBottom)||0,left:parseFloat(t.scrollMarginLeft)||0}})(e);let M="start"===o||"nearest"===o?w-C:"end"===o?S+T:w+A/2-C+T,$="center"===l?E+b/2-P+x:"end"===l?k+x:E-P;const L=[];for(let N=0;N<f.length;N++){const e=f[N],{height:t,width:n,top:i,right:s,bottom:r,left:u}=e.getBoundingClientRect();if("if-needed"===a&&w>=0&&E>=0&&S<=v&&k<=m&&(e===h&&!cn(e)||w>=i&&S<=r&&E>=u&&k<=s))return L;const c=getComputedStyle(e),d=parseInt(c.borderLeftWidth,10),p=parseInt(c.borderTopWidth,10),C=parseInt(c.borderRightWidth,10),x=parseInt(c.borderBottomWidth,10);let T=0,P=0;const D="offsetWidth"in e?e.offsetWidth-e.clientWidth-d-C:0,F="offsetHeight"in e?e.offsetHeight-e.clientHeight-p-x:0,V="offsetWidth"in e?0===e.offsetWidth?0:n/e.offsetWidth:0,R="offsetHeight"in e?0===e.offsetHeight?0:t/e.offsetHeight:0;if(h===e)T="start"===o?M:"end"===o?M-v:"nearest"===o?dn(y,y+v,v,p,x,y+M,y+M+A,A):M-v/2,P="start"===l?$:"center"===l?$-m/2:"end"===l?$-m:dn(g,g+m,m,d,C,g+$,g+$+b,b),T=Math.max(0,T+y),P=Math.max(0,P+g);else{T="start"===o?M-i-p:"end"===o?M-r+x+F:"nearest"===o?dn(i,r,t,p,x+F,M,M+A,A):M-(i+t/2)+F/2,P="start"===l?$-u-d:"center"===l?$-(u+n/2)+D/2:"end"===l?$-s+C+D:dn(u,s,n,d,C+D,$,$+b,b);const{scrollLeft:a,scrollTop:c}=e;T=0===R?0:Math.max(0,Math.min(c+T/R,e.scrollHeight-t/R+F)),P=0===V?0:Math.max(0,Math.min(a+P/V,e.scrollWidth-n/V+D)),M+=c-T,$+=a-P}L.push({el:e,top:T,left:P})}return L};var pn='<path fill-rule="evenodd" clip-rule="evenodd" d="M15.0007 28.7923C15.0007 29.0152 14.9774 29.096 14.9339 29.1775C14.8903 29.259 14.8263 29.323 14.7449 29.3665C14.6634 29.4101 14.5826 29.4333 14.3597 29.4333H12.575C12.3521 29.4333 12.2713 29.4101 12.1898 29.3665C12.1083 29.323 12.0443 29.259 12.0008 29.1775C11.9572 29.096 11.934 29.0152 11.934 28.7923V12.2993L5.97496 12.3C5.75208 12.3 5.67125 12.2768 5.58977 12.2332C5.50829 12.1896 5.44434 12.1257 5.40077 12.0442C5.35719 11.9627 5.33398 11.8819 5.33398 11.659V9.87429C5.33398 9.65141 5.35719 9.57059 5.40077 9.48911C5.44434 9.40762 5.50829 9.34368 5.58977 9.3001C5.67125 9.25652 5.75208 9.23332 5.97496 9.23332H26.0263C26.2492 9.23332 26.33 9.25652 26.4115 9.3001C26.493 9.34368 26.557 9.40762 26.6005 9.48911C26.6441 9.57059 26.6673 9.65141 26.6673 9.87429V11.659C26.6673 11.8819 26.6441 11.9627 26.6005 12.0442C26.557 12.1257 26.493 12.1896 26.4115 12.2332C26.33 12.2768 26.2492 12.3 26.0263 12.3L20.067 12.2993L20.0673 28.7923C20.0673 29.0152 20.0441 29.096 20.0005 29.1775C19.957 29.259 19.893 29.323 19.8115 29.3665C19.73 29.4101 19.6492 29.4333 19.4263 29.4333H17.6416C17.4187 29.4333 17.3379 29.4101 17.2564 29.3665C17.175 29.323 17.111 29.259 17.0674 29.1775C17.0239 29.096 17.0007 29.0152 17.0007 28.7923L17 22.7663H15L15.0007 28.7923Z" fill="currentColor"/> <path d="M16.0007 7.89998C17.4734 7.89998 18.6673 6.70608 18.6673 5.23332C18.6673 3.76056 17.4734 2.56665 16.0007 2.56665C14.5279 2.56665 13.334 3.76056 13.334 5.23332C13.334 6.70608 14.5279 7.89998 16.0007 7.89998Z" fill="currentColor"/>',mn='<path d="M5.33334 6.00001C5.33334 5.63182 5.63181 5.33334 6 5.33334H26C26.3682 5.33334 26.6667 5.63182 26.6667 6.00001V20.6667C26.6667 21.0349 26.3682 21.3333 26 21.3333H23.7072C23.4956 21.3333 23.2966 21.233 23.171 21.0628L22.1859 19.7295C21.8607 19.2894 22.1749 18.6667 22.7221 18.6667H23.3333C23.7015 18.6667 24 18.3682 24 18V8.66668C24 8.29849 23.7015 8.00001 23.3333 8.00001H8.66667C8.29848 8.00001 8 8.29849 8 8.66668V18C8 18.3682 8.29848 18.6667 8.66667 18.6667H9.29357C9.84072 18.6667 10.1549 19.2894 9.82976 19.7295L8.84467 21.0628C8.71898 21.233 8.52 21.3333 8.30848 21.3333H6C5.63181 21.3333 5.33334 21.0349 5.33334 20.6667V6.00001Z" fill="currentColor"/> <path d="M8.78528 25.6038C8.46013 26.0439 8.77431 26.6667 9.32147 26.6667L22.6785 26.6667C23.2256 26.6667 23.5398 26.0439 23.2146 25.6038L16.5358 16.5653C16.2693 16.2046 15.73 16.2047 15.4635 16.5653L8.78528 25.6038Z" fill="currentColor"/>',vn='<path d="M17.4853 18.9093C17.4853 19.0281 17.6289 19.0875 17.7129 19.0035L22.4185 14.2979C22.6788 14.0376 23.1009 14.0376 23.3613 14.2979L24.7755 15.7122C25.0359 15.9725 25.0359 16.3946 24.7755 16.655L16.2902 25.1403C16.0299 25.4006 15.6078 25.4006 15.3474 25.1403L13.9332 23.726L13.9319 23.7247L6.86189 16.6547C6.60154 16.3944 6.60154 15.9723 6.86189 15.7119L8.2761 14.2977C8.53645 14.0373 8.95856 14.0373 9.21891 14.2977L13.9243 19.0031C14.0083 19.0871 14.1519 19.0276 14.1519 18.9088L14.1519 6.00004C14.1519 5.63185 14.4504 5.33337 14.8186 5.33337L16.8186 5.33337C17.1868 5.33337 17.4853 5.63185 17.4853 6.00004L17.4853 18.9093Z" fill="currentColor"/>',gn='<path d="M13.0908 14.3334C12.972 14.3334 12.9125 14.1898 12.9965 14.1058L17.7021 9.40022C17.9625 9.13987 17.9625 8.71776 17.7021 8.45741L16.2879 7.04319C16.0275 6.78284 15.6054 6.78284 15.3451 7.04319L6.8598 15.5285C6.59945 15.7888 6.59945 16.2109 6.8598 16.4713L8.27401 17.8855L8.27536 17.8868L15.3453 24.9568C15.6057 25.2172 16.0278 25.2172 16.2881 24.9568L17.7024 23.5426C17.9627 23.2822 17.9627 22.8601 17.7024 22.5998L12.9969 17.8944C12.9129 17.8104 12.9724 17.6668 13.0912 17.6668L26 17.6668C26.3682 17.6668 26.6667 17.3683 26.6667 17.0001V15.0001C26.6667 14.6319 26.3682 14.3334 26 14.3334L13.0908 14.3334Z" fill="currentColor"/>',yn='<path d="M14.1521 13.0929C14.1521 12.9741 14.0085 12.9147 13.9245 12.9987L9.21891 17.7043C8.95856 17.9646 8.53645 17.9646 8.2761 17.7043L6.86189 16.29C6.60154 16.0297 6.60154 15.6076 6.86189 15.3472L15.3472 6.86195C15.6075 6.6016 16.0296 6.6016 16.29 6.86195L17.7042 8.27616L17.7055 8.27751L24.7755 15.3475C25.0359 15.6078 25.0359 16.0299 24.7755 16.2903L23.3613 17.7045C23.1009 17.9649 22.6788 17.9649 22.4185 17.7045L17.7131 12.9991C17.6291 12.9151 17.4855 12.9746 17.4855 13.0934V26.0022C17.4855 26.3704 17.187 26.6688 16.8188 26.6688H14.8188C14.4506 26.6688 14.1521 26.3704 14.1521 26.0022L14.1521 13.0929Z" fill="currentColor"/>',An='<path d="M16.6927 25.3346C16.3245 25.3346 16.026 25.0361 16.026 24.6679L16.026 7.3346C16.026 6.96641 16.3245 6.66794 16.6927 6.66794L18.6927 6.66794C19.0609 6.66794 19.3594 6.96642 19.3594 7.3346L19.3594 24.6679C19.3594 25.0361 19.0609 25.3346 18.6927 25.3346H16.6927Z" fill="currentColor"/> <path d="M24.026 25.3346C23.6578 25.3346 23.3594 25.0361 23.3594 24.6679L23.3594 7.3346C23.3594 6.96641 23.6578 6.66794 24.026 6.66794L26.026 6.66794C26.3942 6.66794 26.6927 6.96642 26.6927 7.3346V24.6679C26.6927 25.0361 26.3942 25.3346 26.026 25.3346H24.026Z" fill="currentColor"/> <path d="M5.48113 23.9407C5.38584 24.2963 5.59689 24.6619 5.95254 24.7572L7.88439 25.2748C8.24003 25.3701 8.60559 25.159 8.70089 24.8034L13.1871 8.06067C13.2824 7.70503 13.0713 7.33947 12.7157 7.24417L10.7838 6.72654C10.4282 6.63124 10.0626 6.8423 9.96733 7.19794L5.48113 23.9407Z" fill="currentColor"/>',bn='<path fill-rule="evenodd" clip-rule="evenodd" d="M24.9266 7.57992C25.015 7.60672 25.0886 7.64746 25.2462 7.80506L26.956 9.51488C27.1136 9.67248 27.1543 9.74604 27.1811 9.83447C27.2079 9.9229 27.2079 10.0133 27.1811 10.1018C27.1543 10.1902 27.1136 10.2638 26.956 10.4214L13.1822 24.1951C13.0246 24.3527 12.951 24.3935 12.8626 24.4203C12.797 24.4402 12.7304 24.4453 12.6642 24.4357L12.7319 24.4203C12.6435 24.4471 12.553 24.4471 12.4646 24.4203C12.3762 24.3935 12.3026 24.3527 12.145 24.1951L5.04407 17.0942C4.88647 16.9366 4.84573 16.863 4.81893 16.7746C4.79213 16.6862 4.79213 16.5957 4.81893 16.5073C4.84573 16.4189 4.88647 16.3453 5.04407 16.1877L6.7539 14.4779C6.9115 14.3203 6.98506 14.2796 7.07349 14.2528C7.16191 14.226 7.25235 14.226 7.34078 14.2528C7.42921 14.2796 7.50277 14.3203 7.66037 14.4779L12.6628 19.4808L24.3397 7.80506C24.4973 7.64746 24.5709 7.60672 24.6593 7.57992C24.7477 7.55311 24.8382 7.55311 24.9266 7.57992Z" fill="currentColor"/>',wn='<path d="M17.947 16.095C17.999 16.043 17.999 15.9585 17.947 15.9065L11.6295 9.58899C11.3691 9.32864 11.3691 8.90653 11.6295 8.64618L13.2323 7.04341C13.4926 6.78306 13.9147 6.78306 14.1751 7.04341L21.0289 13.8973C21.0392 13.9064 21.0493 13.9158 21.0591 13.9257L22.6619 15.5285C22.9223 15.7888 22.9223 16.2109 22.6619 16.4713L14.1766 24.9565C13.9163 25.2169 13.4942 25.2169 13.2338 24.9565L11.631 23.3538C11.3707 23.0934 11.3707 22.6713 11.631 22.411L17.947 16.095Z" fill="currentColor"/>',kn='<path fill-rule="evenodd" clip-rule="evenodd" d="M6 7C5.63181 7 5.33333 7.29848 5.33333 7.66667V14.8667C5.33333 14.9403 5.39361 14.9999 5.46724 15.0009C10.8844 15.0719 15.2614 19.449 15.3325 24.8661C15.3334 24.9397 15.393 25 15.4667 25H26C26.3682 25 26.6667 24.7015 26.6667 24.3333V7.66667C26.6667 7.29848 26.3682 7 26 7H6ZM17.0119 22.2294C17.0263 22.29 17.0802 22.3333 17.1425 22.3333H23.3333C23.7015 22.3333 24 22.0349 24 21.6667V10.3333C24 9.96514 23.7015 9.66667 23.3333 9.66667H8.66667C8.29848 9.66667 8 9.96514 8 10.3333V13.1909C8 13.2531 8.04332 13.3071 8.10392 13.3214C12.5063 14.3618 15.9715 17.827 17.0119 22.2294Z" fill="currentColor"/> <path d="M13.2 25C13.2736 25 13.3334 24.9398 13.3322 24.8661C13.2615 20.5544 9.77889 17.0718 5.46718 17.0011C5.39356 16.9999 5.33333 17.0597 5.33333 17.1333V18.8667C5.33333 18.9403 5.39348 18.9999 5.4671 19.0015C8.67465 19.0716 11.2617 21.6587 11.3319 24.8662C11.3335 24.9399 11.393 25 11.4667 25H13.2Z" fill="currentColor"/> <path d="M5.33333 21.1333C5.33333 21.0597 5.39332 20.9998 5.46692 21.0022C7.57033 21.0712 9.26217 22.763 9.33114 24.8664C9.33356 24.94 9.27364 25 9.2 25H6C5.63181 25 5.33333 24.7015 5.33333 24.3333V21.1333Z" fill="currentColor"/>',Sn=Object.freeze({__proto__:null,default:kn}),En='<path d="M8 28.0003C8 27.6321 8.29848 27.3336 8.66667 27.3336H23.3333C23.7015 27.3336 24 27.6321 24 28.0003V29.3336C24 29.7018 23.7015 30.0003 23.3333 30.0003H8.66667C8.29848 30.0003 8 29.7018 8 29.3336V28.0003Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M4.66602 6.66699C4.29783 6.66699 3.99935 6.96547 3.99935 7.33366V24.667C3.99935 25.0352 4.29783 25.3337 4.66602 25.3337H27.3327C27.7009 25.3337 27.9994 25.0352 27.9994 24.667V7.33366C27.9994 6.96547 27.7009 6.66699 27.3327 6.66699H4.66602ZM8.66659 21.3333C8.2984 21.3333 7.99992 21.0349 7.99992 20.6667V11.3333C7.99992 10.9651 8.2984 10.6667 8.66659 10.6667H13.9999C14.3681 10.6667 14.6666 10.9651 14.6666 11.3333V12.6667C14.6666 13.0349 14.3681 13.3333 13.9999 13.3333H10.7999C10.7263 13.3333 10.6666 13.393 10.6666 13.4667V18.5333C10.6666 18.607 10.7263 18.6667 10.7999 18.6667H13.9999C14.3681 18.6667 14.6666 18.9651 14.6666 19.3333V20.6667C14.6666 21.0349 14.3681 21.3333 13.9999 21.3333H8.66659ZM17.9999 21.3333C17.6317 21.3333 17.3333 21.0349 17.3333 20.6667V11.3333C17.3333 10.9651 17.6317 10.6667 17.9999 10.6667H23.3333C23.7014 10.6667 23.9999 10.9651 23.9999 11.3333V12.6667C23.9999 13.0349 23.7014 13.3333 23.3333 13.3333H20.1333C20.0596 13.3333 19.9999 13.393 19.9999 13.4667V18.5333C19.9999 18.607 20.0596 18.6667 20.1333 18.6667H23.3333C23.7014 18.6667 23.9999 18.9651 23.9999 19.3333V20.6667C23.9999 21.0349 23.7014 21.3333 23.3333 21.3333H17.9999Z" fill="currentColor"/>',Cn='<path fill-rule="evenodd" clip-rule="evenodd" d="M4.6661 6.66699C4.29791 6.66699 3.99943 6.96547 3.99943 7.33366V24.667C3.99943 25.0352 4.29791 25.3337 4.6661 25.3337H27.3328C27.701 25.3337 27.9994 25.0352 27.9994 24.667V7.33366C27.9994 6.96547 27.701 6.66699 27.3328 6.66699H4.6661ZM8.66667 21.3333C8.29848 21.3333 8 21.0349 8 20.6667V11.3333C8 10.9651 8.29848 10.6667 8.66667 10.6667H14C14.3682 10.6667 14.6667 10.9651 14.6667 11.3333V12.6667C14.6667 13.0349 14.3682 13.3333 14 13.3333H10.8C10.7264 13.3333 10.6667 13.393 10.6667 13.4667V18.5333C10.6667 18.607 10.7264 18.6667 10.8 18.6667H14C14.3682 18.6667 14.6667 18.9651 14.6667 19.3333V20.6667C14.6667 21.0349 14.3682 21.3333 14 21.3333H8.66667ZM18 21.3333C17.6318 21.3333 17.3333 21.0349 17.3333 20.6667V11.3333C17.3333 10.9651 17.6318 10.6667 18 10.6667H23.3333C23.7015 10.6667 24 10.9651 24 11.3333V12.6667C24 13.0349 23.7015 13.3333 23.3333 13.3333H20.1333C20.0597 13.3333 20 13.393 20 13.4667V18.5333C20 18.607 20.0597 18.6667 20.1333 18.6667H23.3333C23.7015 18.6667 24 18.9651 24 19.3333V20.6667C24 21.0349 23.7015 21.3333 23.3333 21.3333H18Z" fill="currentColor"/>',xn='<path d="M14.2225 13.7867C14.3065 13.8706 14.4501 13.8112 14.4501 13.6924V5.99955C14.4501 5.63136 14.7486 5.33289 15.1167 5.33289H16.8501C17.2183 5.33289 17.5167 5.63136 17.5167 5.99955V13.6916C17.5167 13.8104 17.6604 13.8699 17.7444 13.7859L19.9433 11.5869C20.2037 11.3266 20.6258 11.3266 20.8861 11.5869L22.1118 12.8126C22.3722 13.0729 22.3722 13.4951 22.1118 13.7554L16.4549 19.4123C16.1946 19.6726 15.772 19.6731 15.5116 19.4128L9.85479 13.7559C9.59444 13.4956 9.59444 13.0734 9.85479 12.8131L11.0804 11.5874C11.3408 11.3271 11.7629 11.3271 12.0233 11.5874L14.2225 13.7867Z" fill="currentColor"/> <path d="M5.99998 20.267C5.63179 20.267 5.33331 20.5654 5.33331 20.9336V25.9997C5.33331 26.3678 5.63179 26.6663 5.99998 26.6663H26C26.3682 26.6663 26.6666 26.3678 26.6666 25.9997V20.9336C26.6666 20.5654 26.3682 20.267 26 20.267H24.2666C23.8985 20.267 23.6 20.5654 23.6 20.9336V22.9333C23.6 23.3014 23.3015 23.5999 22.9333 23.5999H9.06638C8.69819 23.5999 8.39972 23.3014 8.39972 22.9333V20.9336C8.39972 20.5654 8.10124 20.267 7.73305 20.267H5.99998Z" fill="currentColor"/>',Tn='<path d="M16 20C18.2091 20 20 18.2092 20 16C20 13.7909 18.2091 12 16 12C13.7909 12 12 13.7909 12 16C12 18.2092 13.7909 20 16 20Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M28 16.0058C28 18.671 23.5 25.3334 16 25.3334C8.5 25.3334 4 18.6762 4 16.0058C4 13.3354 8.50447 6.66669 16 6.66669C23.4955 6.66669 28 13.3406 28 16.0058ZM25.3318 15.9934C25.3328 16.0017 25.3328 16.0099 25.3318 16.0182C25.3274 16.0571 25.3108 16.1728 25.2485 16.3708C25.1691 16.6229 25.0352 16.9462 24.8327 17.3216C24.4264 18.0749 23.7969 18.9398 22.9567 19.754C21.2791 21.3798 18.9148 22.6667 16 22.6667C13.0845 22.6667 10.7202 21.3805 9.04298 19.7557C8.20295 18.9419 7.57362 18.0773 7.16745 17.3241C6.96499 16.9486 6.83114 16.6252 6.75172 16.3729C6.67942 16.1431 6.66856 16.0243 6.66695 16.0066L6.66695 16.005C6.66859 15.9871 6.67951 15.8682 6.75188 15.6383C6.83145 15.3854 6.96554 15.0614 7.16831 14.6853C7.57507 13.9306 8.20514 13.0644 9.04577 12.249C10.7245 10.6208 13.0886 9.33335 16 9.33335C18.9108 9.33335 21.2748 10.6215 22.9539 12.2507C23.7947 13.0664 24.4249 13.933 24.8318 14.6877C25.0346 15.0639 25.1688 15.3878 25.2483 15.6404C25.3107 15.8386 25.3274 15.9545 25.3318 15.9934Z" fill="currentColor"/>',Pn='<path d="M15.8747 8.11857C16.3148 7.79342 16.9375 8.10759 16.9375 8.65476V14.2575C16.9375 14.3669 17.0621 14.4297 17.1501 14.3647L25.6038 8.11857C26.0439 7.79342 26.6667 8.10759 26.6667 8.65476V23.3451C26.6667 23.8923 26.0439 24.2064 25.6038 23.8813L17.1501 17.6346C17.0621 17.5695 16.9375 17.6324 16.9375 17.7418L16.9375 23.3451C16.9375 23.8923 16.3147 24.2064 15.8747 23.8813L5.93387 16.5358C5.57322 16.2693 5.57323 15.7299 5.93389 15.4634L15.8747 8.11857Z" fill="currentColor"/>',Mn='<path d="M16.1253 8.11866C15.6852 7.7935 15.0625 8.10768 15.0625 8.65484V14.2576C15.0625 14.367 14.9379 14.4298 14.8499 14.3648L6.39615 8.11866C5.95607 7.7935 5.33331 8.10768 5.33331 8.65484V23.3452C5.33331 23.8923 5.9561 24.2065 6.39617 23.8813L14.8499 17.6347C14.9379 17.5696 15.0625 17.6325 15.0625 17.7419L15.0625 23.3452C15.0625 23.8923 15.6853 24.2065 16.1253 23.8813L26.0661 16.5358C26.4268 16.2694 26.4268 15.73 26.0661 15.4635L16.1253 8.11866Z" fill="currentColor"/>',$n='<path d="M19.3334 13.3333C18.9652 13.3333 18.6667 13.0349 18.6667 12.6667L18.6667 7.33333C18.6667 6.96514 18.9652 6.66666 19.3334 6.66666H21.3334C21.7015 6.66666 22 6.96514 22 7.33333V9.86666C22 9.9403 22.0597 10 22.1334 10L24.6667 10C25.0349 10 25.3334 10.2985 25.3334 10.6667V12.6667C25.3334 13.0349 25.0349 13.3333 24.6667 13.3333L19.3334 13.3333Z" fill="currentColor"/> <path d="M13.3334 19.3333C13.3334 18.9651 13.0349 18.6667 12.6667 18.6667H7.33335C6.96516 18.6667 6.66669 18.9651 6.66669 19.3333V21.3333C6.66669 21.7015 6.96516 22 7.33335 22H9.86669C9.94032 22 10 22.0597 10 22.1333L10 24.6667C10 25.0349 10.2985 25.3333 10.6667 25.3333H12.6667C13.0349 25.3333 13.3334 25.0349 13.3334 24.6667L13.3334 19.3333Z" fill="currentColor"/> <path d="M18.6667 24.6667C18.6667 25.0349 18.9652 25.3333 19.3334 25.3333H21.3334C21.7015 25.3333 22 25.0349 22 24.6667V22.1333C22 22.0597 22.0597 22 22.1334 22H24.6667C25.0349 22 25.3334 21.7015 25.3334 21.3333V19.3333C25.3334 18.9651 25.0349 18.6667 24.6667 18.6667L19.3334 18.6667C18.9652 18.6667 18.6667 18.9651 18.6667 19.3333L18.6667 24.6667Z" fill="currentColor"/> <path d="M10.6667 13.3333H12.6667C13.0349 13.3333 13.3334 13.0349 13.3334 12.6667L13.3334 10.6667V7.33333C13.3334 6.96514 13.0349 6.66666 12.6667 6.66666H10.6667C10.2985 6.66666 10 6.96514 10 7.33333L10 9.86666C10 9.9403 9.94033 10 9.86669 10L7.33335 10C6.96516 10 6.66669 10.2985 6.66669 10.6667V12.6667C6.66669 13.0349 6.96516 13.3333 7.33335 13.3333L10.6667 13.3333Z" fill="currentColor"/>',Ln='<path d="M25.3299 7.26517C25.2958 6.929 25.0119 6.66666 24.6667 6.66666H19.3334C18.9652 6.66666 18.6667 6.96514 18.6667 7.33333V9.33333C18.6667 9.70152 18.9652 10 19.3334 10L21.8667 10C21.9403 10 22 10.0597 22 10.1333V12.6667C22 13.0349 22.2985 13.3333 22.6667 13.3333H24.6667C25.0349 13.3333 25.3334 13.0349 25.3334 12.6667V7.33333C25.3334 7.31032 25.3322 7.28758 25.3299 7.26517Z" fill="currentColor"/> <path d="M22 21.8667C22 21.9403 21.9403 22 21.8667 22L19.3334 22C18.9652 22 18.6667 22.2985 18.6667 22.6667V24.6667C18.6667 25.0349 18.9652 25.3333 19.3334 25.3333L24.6667 25.3333C25.0349 25.3333 25.3334 25.0349 25.3334 24.6667V19.3333C25.3334 18.9651 25.0349 18.6667 24.6667 18.6667H22.6667C22.2985 18.6667 22 18.9651 22 19.3333V21.8667Z" fill="currentColor"/> <path d="M12.6667 22H10.1334C10.0597 22 10 21.9403 10 21.8667V19.3333C10 18.9651 9.70154 18.6667 9.33335 18.6667H7.33335C6.96516 18.6667 6.66669 18.9651 6.66669 19.3333V24.6667C6.66669 25.0349 6.96516 25.3333 7.33335 25.3333H12.6667C13.0349 25.3333 13.3334 25.0349 13.3334 24.6667V22.6667C13.3334 22.2985 13.0349 22 12.6667 22Z" fill="currentColor"/> <path d="M10 12.6667V10.1333C10 10.0597 10.0597 10 10.1334 10L12.6667 10C13.0349 10 13.3334 9.70152 13.3334 9.33333V7.33333C13.3334 6.96514 13.0349 6.66666 12.6667 6.66666H7.33335C6.96516 6.66666 6.66669 6.96514 6.66669 7.33333V12.6667C6.66669 13.0349 6.96516 13.3333 7.33335 13.3333H9.33335C9.70154 13.3333 10 13.0349 10 12.6667Z" fill="currentColor"/>',Nn='<path fill-rule="evenodd" clip-rule="evenodd" d="M26.6667 5.99998C26.6667 5.63179 26.3682 5.33331 26 5.33331H11.3333C10.9651 5.33331 10.6667 5.63179 10.6667 5.99998V17.5714C10.6667 17.6694 10.5644 17.7342 10.4741 17.6962C9.91823 17.4625 9.30754 17.3333 8.66667 17.3333C6.08934 17.3333 4 19.4226 4 22C4 24.5773 6.08934 26.6666 8.66667 26.6666C11.244 26.6666 13.3333 24.5773 13.3333 22V8.66665C13.3333 8.29846 13.6318 7.99998 14 7.99998L23.3333 7.99998C23.7015 7.99998 24 8.29846 24 8.66665V14.9048C24 15.0027 23.8978 15.0675 23.8075 15.0296C23.2516 14.7958 22.6409 14.6666 22 14.6666C19.4227 14.6666 17.3333 16.756 17.3333 19.3333C17.3333 21.9106 19.4227 24 22 24C24.5773 24 26.6667 21.9106 26.6667 19.3333V5.99998ZM22 21.3333C23.1046 21.3333 24 20.4379 24 19.3333C24 18.2287 23.1046 17.3333 22 17.3333C20.8954 17.3333 20 18.2287 20 19.3333C20 20.4379 20.8954 21.3333 22 21.3333ZM8.66667 24C9.77124 24 10.6667 23.1045 10.6667 22C10.6667 20.8954 9.77124 20 8.66667 20C7.5621 20 6.66667 20.8954 6.66667 22C6.66667 23.1045 7.5621 24 8.66667 24Z" fill="currentColor"/>',Dn='<path d="M17.5091 24.6594C17.5091 25.2066 16.8864 25.5208 16.4463 25.1956L9.44847 20.0252C9.42553 20.0083 9.39776 19.9991 9.36923 19.9991H4.66667C4.29848 19.9991 4 19.7006 4 19.3325V12.6658C4 12.2976 4.29848 11.9991 4.66667 11.9991H9.37115C9.39967 11.9991 9.42745 11.99 9.45039 11.973L16.4463 6.8036C16.8863 6.47842 17.5091 6.79259 17.5091 7.33977L17.5091 24.6594Z" fill="currentColor"/> <path d="M28.8621 13.6422C29.1225 13.3818 29.1225 12.9597 28.8621 12.6994L27.9193 11.7566C27.659 11.4962 27.2368 11.4962 26.9765 11.7566L24.7134 14.0197C24.6613 14.0717 24.5769 14.0717 24.5248 14.0197L22.262 11.7568C22.0016 11.4964 21.5795 11.4964 21.3191 11.7568L20.3763 12.6996C20.116 12.9599 20.116 13.382 20.3763 13.6424L22.6392 15.9053C22.6913 15.9573 22.6913 16.0418 22.6392 16.0938L20.3768 18.3562C20.1165 18.6166 20.1165 19.0387 20.3768 19.299L21.3196 20.2419C21.58 20.5022 22.0021 20.5022 22.2624 20.2418L24.5248 17.9795C24.5769 17.9274 24.6613 17.9274 24.7134 17.9795L26.976 20.2421C27.2363 20.5024 27.6585 20.5024 27.9188 20.2421L28.8616 19.2992C29.122 19.0389 29.122 18.6168 28.8616 18.3564L26.599 16.0938C26.547 16.0418 26.547 15.9573 26.599 15.9053L28.8621 13.6422Z" fill="currentColor"/>',Fn='<path d="M26.6009 16.0725C26.6009 16.424 26.4302 17.1125 25.9409 18.0213C25.4676 18.8976 24.7542 19.8715 23.8182 20.7783C21.9489 22.5905 19.2662 24.0667 15.9342 24.0667C12.6009 24.0667 9.91958 22.5915 8.04891 20.78C7.11424 19.8736 6.40091 18.9 5.92758 18.0236C5.43824 17.1149 5.26758 16.4257 5.26758 16.0725C5.26758 15.7193 5.43824 15.0293 5.92891 14.1193C6.40224 13.2416 7.11558 12.2665 8.05158 11.3587C9.92224 9.54398 12.6049 8.06665 15.9342 8.06665C19.2636 8.06665 21.9449 9.54505 23.8169 11.3604C24.7529 12.2687 25.4662 13.2441 25.9396 14.1216C26.4302 15.0317 26.6009 15.7209 26.6009 16.0725Z" stroke="currentColor" stroke-width="3"/> <path d="M15.9336 20.0667C18.1427 20.0667 19.9336 18.2758 19.9336 16.0667C19.9336 13.8575 18.1427 12.0667 15.9336 12.0667C13.7245 12.0667 11.9336 13.8575 11.9336 16.0667C11.9336 18.2758 13.7245 20.0667 15.9336 20.0667Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M27.2323 25.0624L6.93878 4.76886C6.78118 4.61126 6.70762 4.57052 6.61919 4.54372C6.53077 4.51692 6.44033 4.51691 6.3519 4.54372C6.26347 4.57052 6.18991 4.61126 6.03231 4.76886L4.77032 6.03085C4.61272 6.18845 4.57198 6.26201 4.54518 6.35044C4.51838 6.43887 4.51838 6.5293 4.54518 6.61773C4.57198 6.70616 4.61272 6.77972 4.77032 6.93732L25.0639 27.2308C25.2215 27.3884 25.295 27.4292 25.3834 27.456C25.4719 27.4828 25.5623 27.4828 25.6507 27.456C25.7392 27.4292 25.8127 27.3885 25.9703 27.2309L27.2323 25.9689C27.3899 25.8113 27.4307 25.7377 27.4575 25.6493C27.4843 25.5608 27.4843 25.4704 27.4575 25.382C27.4307 25.2935 27.3899 25.22 27.2323 25.0624Z" fill="currentColor"/>',Vn='<path d="M8.66667 6.66667C8.29848 6.66667 8 6.96514 8 7.33333V24.6667C8 25.0349 8.29848 25.3333 8.66667 25.3333H12.6667C13.0349 25.3333 13.3333 25.0349 13.3333 24.6667V7.33333C13.3333 6.96514 13.0349 6.66667 12.6667 6.66667H8.66667Z" fill="currentColor"/> <path d="M19.3333 6.66667C18.9651 6.66667 18.6667 6.96514 18.6667 7.33333V24.6667C18.6667 25.0349 18.9651 25.3333 19.3333 25.3333H23.3333C23.7015 25.3333 24 25.0349 24 24.6667V7.33333C24 6.96514 23.7015 6.66667 23.3333 6.66667H19.3333Z" fill="currentColor"/>',Rn='<path d="M5.33334 26V19.4667C5.33334 19.393 5.39304 19.3333 5.46668 19.3333H7.86668C7.94031 19.3333 8.00001 19.393 8.00001 19.4667V23.3333C8.00001 23.7015 8.29849 24 8.66668 24H23.3333C23.7015 24 24 23.7015 24 23.3333V8.66666C24 8.29847 23.7015 7.99999 23.3333 7.99999H19.4667C19.393 7.99999 19.3333 7.9403 19.3333 7.86666V5.46666C19.3333 5.39302 19.393 5.33333 19.4667 5.33333H26C26.3682 5.33333 26.6667 5.63181 26.6667 5.99999V26C26.6667 26.3682 26.3682 26.6667 26 26.6667H6.00001C5.63182 26.6667 5.33334 26.3682 5.33334 26Z" fill="currentColor"/> <path d="M14.0098 8.42359H10.806C10.6872 8.42359 10.6277 8.56721 10.7117 8.6512L16.5491 14.4886C16.8094 14.7489 16.8094 15.171 16.5491 15.4314L15.3234 16.657C15.0631 16.9174 14.641 16.9174 14.3806 16.657L8.63739 10.9138C8.55339 10.8298 8.40978 10.8893 8.40978 11.0081V14.0236C8.40978 14.3918 8.1113 14.6903 7.74311 14.6903H6.00978C5.64159 14.6903 5.34311 14.3918 5.34311 14.0236L5.34311 6.02359C5.34311 5.6554 5.64159 5.35692 6.00978 5.35692L14.0098 5.35692C14.378 5.35692 14.6764 5.6554 14.6764 6.02359V7.75692C14.6764 8.12511 14.378 8.42359 14.0098 8.42359Z" fill="currentColor"/>',On='<path d="M16 15.3333C15.6318 15.3333 15.3333 15.6318 15.3333 16V20C15.3333 20.3682 15.6318 20.6667 16 20.6667H21.3333C21.7015 20.6667 22 20.3682 22 20V16C22 15.6318 21.7015 15.3333 21.3333 15.3333H16Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M5.33333 7.33334C5.33333 6.96515 5.63181 6.66667 5.99999 6.66667H26C26.3682 6.66667 26.6667 6.96515 26.6667 7.33334V24.6667C26.6667 25.0349 26.3682 25.3333 26 25.3333H5.99999C5.63181 25.3333 5.33333 25.0349 5.33333 24.6667V7.33334ZM7.99999 10C7.99999 9.63182 8.29847 9.33334 8.66666 9.33334H23.3333C23.7015 9.33334 24 9.63182 24 10V22C24 22.3682 23.7015 22.6667 23.3333 22.6667H8.66666C8.29847 22.6667 7.99999 22.3682 7.99999 22V10Z" fill="currentColor"/>',Wn='<path d="M10.6667 6.6548C10.6667 6.10764 11.2894 5.79346 11.7295 6.11862L24.377 15.4634C24.7377 15.7298 24.7377 16.2692 24.3771 16.5357L11.7295 25.8813C11.2895 26.2065 10.6667 25.8923 10.6667 25.3451L10.6667 6.6548Z" fill="currentColor"/>',In='<path d="M13.9213 5.53573C14.3146 5.45804 14.6666 5.76987 14.6666 6.17079V7.57215C14.6666 7.89777 14.4305 8.17277 14.114 8.24925C12.5981 8.61559 11.2506 9.41368 10.2091 10.506C9.98474 10.7414 9.62903 10.8079 9.34742 10.6453L8.14112 9.94885C7.79394 9.7484 7.69985 9.28777 7.96359 8.98585C9.48505 7.24409 11.5636 6.00143 13.9213 5.53573Z" fill="currentColor"/> <path d="M5.88974 12.5908C6.01805 12.2101 6.46491 12.0603 6.81279 12.2611L8.01201 12.9535C8.29379 13.1162 8.41396 13.4577 8.32238 13.7699C8.11252 14.4854 7.99998 15.2424 7.99998 16.0257C7.99998 16.809 8.11252 17.566 8.32238 18.2814C8.41396 18.5936 8.29378 18.9352 8.01201 19.0979L6.82742 19.7818C6.48051 19.9821 6.03488 19.8337 5.90521 19.4547C5.5345 18.3712 5.33331 17.2091 5.33331 16C5.33331 14.8078 5.5289 13.6613 5.88974 12.5908Z" fill="currentColor"/> <path d="M8.17106 22.0852C7.82291 22.2862 7.72949 22.7486 7.99532 23.0502C9.51387 24.773 11.5799 26.0017 13.9213 26.4642C14.3146 26.5419 14.6666 26.2301 14.6666 25.8291V24.4792C14.6666 24.1536 14.4305 23.8786 14.114 23.8021C12.5981 23.4358 11.2506 22.6377 10.2091 21.5453C9.98474 21.31 9.62903 21.2435 9.34742 21.4061L8.17106 22.0852Z" fill="currentColor"/> <path d="M17.3333 25.8291C17.3333 26.2301 17.6857 26.5418 18.079 26.4641C22.9748 25.4969 26.6666 21.1796 26.6666 16C26.6666 10.8204 22.9748 6.50302 18.079 5.5358C17.6857 5.4581 17.3333 5.76987 17.3333 6.17079V7.57215C17.3333 7.89777 17.5697 8.17282 17.8862 8.24932C21.3942 9.09721 24 12.2572 24 16.0257C24 19.7942 21.3942 22.9542 17.8862 23.802C17.5697 23.8785 17.3333 24.1536 17.3333 24.4792V25.8291Z" fill="currentColor"/> <path d="M14.3961 10.4163C13.9561 10.0911 13.3333 10.4053 13.3333 10.9525L13.3333 21.0474C13.3333 21.5946 13.9561 21.9087 14.3962 21.5836L21.2273 16.5359C21.5879 16.2694 21.5879 15.73 21.2273 15.4635L14.3961 10.4163Z" fill="currentColor"/>',zn='<path d="M15.6038 12.2147C16.0439 12.5399 16.6667 12.2257 16.6667 11.6786V10.1789C16.6667 10.1001 16.7351 10.0384 16.8134 10.0479C20.1116 10.4494 22.6667 13.2593 22.6667 16.6659C22.6667 20.3481 19.6817 23.3332 15.9995 23.3332C12.542 23.3332 9.69927 20.7014 9.36509 17.332C9.32875 16.9655 9.03371 16.6662 8.66548 16.6662L6.66655 16.6666C6.29841 16.6666 5.99769 16.966 6.02187 17.3334C6.36494 22.5454 10.7012 26.6667 16 26.6667C21.5228 26.6667 26 22.1895 26 16.6667C26 11.4103 21.9444 7.10112 16.7916 6.69757C16.7216 6.69209 16.6667 6.63396 16.6667 6.56372V4.98824C16.6667 4.44106 16.0439 4.12689 15.6038 4.45206L11.0765 7.79738C10.7159 8.06387 10.7159 8.60326 11.0766 8.86973L15.6038 12.2147Z" fill="currentColor"/>',Bn='<path d="M16.6667 10.3452C16.6667 10.8924 16.0439 11.2066 15.6038 10.8814L11.0766 7.5364C10.7159 7.26993 10.7159 6.73054 11.0766 6.46405L15.6038 3.11873C16.0439 2.79356 16.6667 3.10773 16.6667 3.6549V5.22682C16.6667 5.29746 16.7223 5.35579 16.7927 5.36066C22.6821 5.76757 27.3333 10.674 27.3333 16.6667C27.3333 22.9259 22.2592 28 16 28C9.96483 28 5.03145 23.2827 4.68601 17.3341C4.66466 16.9665 4.96518 16.6673 5.33339 16.6673H7.3334C7.70157 16.6673 7.99714 16.9668 8.02743 17.3337C8.36638 21.4399 11.8064 24.6667 16 24.6667C20.4183 24.6667 24 21.085 24 16.6667C24 12.5225 20.8483 9.11428 16.8113 8.70739C16.7337 8.69957 16.6667 8.76096 16.6667 8.83893V10.3452Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M17.0879 19.679C17.4553 19.9195 17.8928 20.0398 18.4004 20.0398C18.9099 20.0398 19.3474 19.9205 19.7129 19.6818C20.0803 19.4413 20.3635 19.0938 20.5623 18.6392C20.7612 18.1847 20.8606 17.6373 20.8606 16.9972C20.8625 16.3608 20.764 15.8192 20.5652 15.3722C20.3663 14.9252 20.0822 14.5853 19.7129 14.3523C19.3455 14.1175 18.908 14 18.4004 14C17.8928 14 17.4553 14.1175 17.0879 14.3523C16.7224 14.5853 16.4402 14.9252 16.2413 15.3722C16.0443 15.8173 15.9449 16.3589 15.943 16.9972C15.9411 17.6354 16.0396 18.1818 16.2385 18.6364C16.4373 19.089 16.7205 19.4366 17.0879 19.679ZM19.1362 18.4262C18.9487 18.7349 18.7034 18.8892 18.4004 18.8892C18.1996 18.8892 18.0226 18.8211 17.8691 18.6847C17.7157 18.5464 17.5964 18.3372 17.5112 18.0568C17.4279 17.7765 17.3871 17.4233 17.389 16.9972C17.3909 16.3684 17.4847 15.9025 17.6703 15.5995C17.8559 15.2945 18.0993 15.1421 18.4004 15.1421C18.603 15.1421 18.7801 15.2093 18.9316 15.3438C19.0832 15.4782 19.2015 15.6828 19.2868 15.9574C19.372 16.2301 19.4146 16.5767 19.4146 16.9972C19.4165 17.6392 19.3237 18.1156 19.1362 18.4262Z" fill="currentColor"/> <path d="M13.7746 19.8978C13.8482 19.8978 13.9079 19.8381 13.9079 19.7644V14.2129C13.9079 14.1393 13.8482 14.0796 13.7746 14.0796H12.642C12.6171 14.0796 12.5927 14.0865 12.5716 14.0997L11.2322 14.9325C11.1931 14.9568 11.1693 14.9996 11.1693 15.0457V15.9497C11.1693 16.0539 11.2833 16.1178 11.3722 16.0635L12.464 15.396C12.4682 15.3934 12.473 15.3921 12.4779 15.3921C12.4926 15.3921 12.5045 15.404 12.5045 15.4187V19.7644C12.5045 19.8381 12.5642 19.8978 12.6378 19.8978H13.7746Z" fill="currentColor"/>',_n='<path d="M15.3333 10.3452C15.3333 10.8924 15.9561 11.2066 16.3962 10.8814L20.9234 7.5364C21.2841 7.26993 21.2841 6.73054 20.9235 6.46405L16.3962 3.11873C15.9561 2.79356 15.3333 3.10773 15.3333 3.6549V5.22682C15.3333 5.29746 15.2778 5.35579 15.2073 5.36066C9.31791 5.76757 4.66667 10.674 4.66667 16.6667C4.66667 22.9259 9.74078 28 16 28C22.0352 28 26.9686 23.2827 27.314 17.3341C27.3354 16.9665 27.0348 16.6673 26.6666 16.6673H24.6666C24.2984 16.6673 24.0029 16.9668 23.9726 17.3337C23.6336 21.4399 20.1937 24.6667 16 24.6667C11.5817 24.6667 8 21.085 8 16.6667C8 12.5225 11.1517 9.11428 15.1887 8.70739C15.2663 8.69957 15.3333 8.76096 15.3333 8.83893V10.3452Z" fill="currentColor"/> <path fill-rule="evenodd" clip-rule="evenodd" d="M17.0879 19.679C17.4553 19.9195 17.8928 20.0398 18.4004 20.0398C18.9099 20.0398 19.3474 19.9205 19.7129 19.6818C20.0803 19.4413 20.3635 19.0938 20.5623 18.6392C20.7612 18.1847 20.8606 17.6373 20.8606 16.9972C20.8625 16.3608 20.764 15.8192 20.5652 15.3722C20.3663 14.9252 20.0822 14.5853 19.7129 14.3523C19.3455 14.1175 18.908 14 18.4004 14C17.8928 14 17.4553 14.1175 17.0879 14.3523C16.7224 14.5853 16.4402 14.9252 16.2413 15.3722C16.0443 15.8173 15.9449 16.3589 15.943 16.9972C15.9411 17.6354 16.0396 18.1818 16.2385 18.6364C16.4373 19.089 16.7205 19.4366 17.0879 19.679ZM19.1362 18.4262C18.9487 18.7349 18.7034 18.8892 18.4004 18.8892C18.1996 18.8892 18.0225 18.8211 17.8691 18.6847C17.7157 18.5464 17.5964 18.3372 17.5112 18.0568C17.4278 17.7765 17.3871 17.4233 17.389 16.9972C17.3909 16.3684 17.4847 15.9025 17.6703 15.5995C17.8559 15.2945 18.0992 15.1421 18.4004 15.1421C18.603 15.1421 18.7801 15.2093 18.9316 15.3438C19.0831 15.4782 19.2015 15.6828 19.2867 15.9574C19.372 16.2301 19.4146 16.5767 19.4146 16.9972C19.4165 17.6392 19.3237 18.1156 19.1362 18.4262Z" fill="currentColor"/> <path d="M13.7746 19.8978C13.8482 19.8978 13.9079 19.8381 13.9079 19.7644V14.2129C13.9079 14.1393 13.8482 14.0796 13.7746 14.0796H12.642C12.6171 14.0796 12.5927 14.0865 12.5716 14.0997L11.2322 14.9325C11.1931 14.9568 11.1693 14.9996 11.1693 15.0457V15.9497C11.1693 16.0539 11.2833 16.1178 11.3722 16.0635L12.464 15.396C12.4682 15.3934 12.473 15.3921 12.4779 15.3921C12.4926 15.3921 12.5045 15.404 12.5045 15.4187V19.7644C12.5045 19.8381 12.5642 19.8978 12.6378 19.8978H13.7746Z" fill="currentColor"/>',qn='<path fill-rule="evenodd" clip-rule="evenodd" d="M13.5722 5.33333C13.2429 5.33333 12.9629 5.57382 12.9132 5.89938L12.4063 9.21916C12.4 9.26058 12.3746 9.29655 12.3378 9.31672C12.2387 9.37118 12.1409 9.42779 12.0444 9.48648C12.0086 9.5083 11.9646 9.51242 11.9255 9.49718L8.79572 8.27692C8.48896 8.15732 8.14083 8.27958 7.9762 8.56472L5.5491 12.7686C5.38444 13.0538 5.45271 13.4165 5.70981 13.6223L8.33308 15.7225C8.3658 15.7487 8.38422 15.7887 8.38331 15.8306C8.38209 15.8867 8.38148 15.9429 8.38148 15.9993C8.38148 16.0558 8.3821 16.1121 8.38332 16.1684C8.38423 16.2102 8.36582 16.2503 8.33313 16.2765L5.7103 18.3778C5.45334 18.5836 5.38515 18.9462 5.54978 19.2314L7.97688 23.4352C8.14155 23.7205 8.48981 23.8427 8.79661 23.723L11.926 22.5016C11.9651 22.4864 12.009 22.4905 12.0449 22.5123C12.1412 22.5709 12.2388 22.6274 12.3378 22.6818C12.3745 22.7019 12.4 22.7379 12.4063 22.7793L12.9132 26.0993C12.9629 26.4249 13.2429 26.6654 13.5722 26.6654H18.4264C18.7556 26.6654 19.0356 26.425 19.0854 26.0995L19.5933 22.7801C19.5997 22.7386 19.6252 22.7027 19.6619 22.6825C19.7614 22.6279 19.8596 22.5711 19.9564 22.5121C19.9923 22.4903 20.0362 22.4862 20.0754 22.5015L23.2035 23.7223C23.5103 23.842 23.8585 23.7198 24.0232 23.4346L26.4503 19.2307C26.6149 18.9456 26.5467 18.583 26.2898 18.3771L23.6679 16.2766C23.6352 16.2504 23.6168 16.2104 23.6177 16.1685C23.619 16.1122 23.6196 16.0558 23.6196 15.9993C23.6196 15.9429 23.619 15.8866 23.6177 15.8305C23.6168 15.7886 23.6353 15.7486 23.668 15.7224L26.2903 13.623C26.5474 13.4172 26.6156 13.0544 26.451 12.7692L24.0239 8.56537C23.8592 8.28023 23.5111 8.15797 23.2043 8.27757L20.0758 9.49734C20.0367 9.51258 19.9927 9.50846 19.9569 9.48664C19.8599 9.42762 19.7616 9.37071 19.6618 9.31596C19.6251 9.2958 19.5997 9.25984 19.5933 9.21843L19.0854 5.89915C19.0356 5.57369 18.7556 5.33333 18.4264 5.33333H13.5722ZM16.0001 20.2854C18.3672 20.2854 20.2862 18.3664 20.2862 15.9993C20.2862 13.6322 18.3672 11.7132 16.0001 11.7132C13.6329 11.7132 11.714 13.6322 11.714 15.9993C11.714 18.3664 13.6329 20.2854 16.0001 20.2854Z" fill="currentColor"/>',jn='<path d="M17.5091 24.6595C17.5091 25.2066 16.8864 25.5208 16.4463 25.1956L9.44847 20.0252C9.42553 20.0083 9.39776 19.9992 9.36923 19.9992H4.66667C4.29848 19.9992 4 19.7007 4 19.3325V12.6658C4 12.2976 4.29848 11.9992 4.66667 11.9992H9.37115C9.39967 11.9992 9.42745 11.99 9.45039 11.9731L16.4463 6.80363C16.8863 6.47845 17.5091 6.79262 17.5091 7.3398L17.5091 24.6595Z" fill="currentColor"/> <path d="M27.5091 9.33336C27.8773 9.33336 28.1758 9.63184 28.1758 10V22C28.1758 22.3682 27.8773 22.6667 27.5091 22.6667H26.1758C25.8076 22.6667 25.5091 22.3682 25.5091 22V10C25.5091 9.63184 25.8076 9.33336 26.1758 9.33336L27.5091 9.33336Z" fill="currentColor"/> <path d="M22.1758 12C22.544 12 22.8424 12.2985 22.8424 12.6667V19.3334C22.8424 19.7016 22.544 20 22.1758 20H20.8424C20.4743 20 20.1758 19.7016 20.1758 19.3334V12.6667C20.1758 12.2985 20.4743 12 20.8424 12H22.1758Z" fill="currentColor"/>',Un='<path d="M17.5091 24.6594C17.5091 25.2066 16.8864 25.5207 16.4463 25.1956L9.44847 20.0252C9.42553 20.0083 9.39776 19.9991 9.36923 19.9991H4.66667C4.29848 19.9991 4 19.7006 4 19.3324V12.6658C4 12.2976 4.29848 11.9991 4.66667 11.9991H9.37115C9.39967 11.9991 9.42745 11.99 9.45039 11.973L16.4463 6.80358C16.8863 6.4784 17.5091 6.79258 17.5091 7.33975L17.5091 24.6594Z" fill="currentColor"/> <path d="M22.8424 12.6667C22.8424 12.2985 22.544 12 22.1758 12H20.8424C20.4743 12 20.1758 12.2985 20.1758 12.6667V19.3333C20.1758 19.7015 20.4743 20 20.8424 20H22.1758C22.544 20 22.8424 19.7015 22.8424 19.3333V12.6667Z" fill="currentColor"/>'},195:(e,t,n)=>{function i(e,t){if(t.has(e))throw new TypeError("Cannot initialize the same private elements twice on an object")}n.d(t,{A:()=>i})},288:(e,t)=>{var n=Symbol.for("react.transitional.element"),i=Symbol.for("react.portal"),s=Symbol.for("react.fragment"),r=Symbol.for("react.strict_mode"),a=Symbol.for("react.profiler"),o=Symbol.for("react.consumer"),l=Symbol.for("react.context"),u=Symbol.for("react.forward_ref"),c=Symbol.for("react.suspense"),d=Symbol.for("react.memo"),h=Symbol.for("react.lazy"),f=Symbol.for("react.activity"),p=Symbol.iterator;var m={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},v=Object.assign,g={};function y(e,t,n){this.props=e,this.context=t,this.refs=g,this.updater=n||m}function A(){}function b(e,t,n){this.props=e,this.context=t,this.refs=g,this.updater=n||m}y.prototype.isReactComponent={},y.prototype.setState=function(e,t){if("object"!==typeof e&&"function"!==typeof e&&null!=e)throw Error("takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},y.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},A.prototype=y.prototype;var w=b.prototype=new A;w.constructor=b,v(w,y.prototype),w.isPureReactComponent=!0;var k=Array.isArray;function S(){}var E={H:null,A:null,T:null,S:null},C=Object.prototype.hasOwnProperty;function x(e,t,i){var s=i.ref;return{$$typeof:n,type:e,key:t,ref:void 0!==s?s:null,props:i}}function T(e){return"object"===typeof e&&null!==e&&e.$$typeof===n}var P=/\/+/g;function M(e,t){return"object"===typeof e&&null!==e&&null!=e.key?function(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(e){return t[e]})}(""+e.key):t.toString(36)}function $(e,t,s,r,a){var o=typeof e;"undefined"!==o&&"boolean"!==o||(e=null);var l,u,c=!1;if(null===e)c=!0;else switch(o){case"bigint":case"string":case"number":c=!0;break;case"object":switch(e.$$typeof){case n:case i:c=!0;break;case h:return $((c=e._init)(e._payload),t,s,r,a)}}if(c)return a=a(e),c=""===r?"."+M(e,0):r,k(a)?(s="",null!=c&&(s=c.replace(P,"$&/")+"/"),$(a,t,s,"",function(e){return e})):null!=a&&(T(a)&&(l=a,u=s+(null==a.key||e&&e.key===a.key?"":(""+a.key).replace(P,"$&/")+"/")+c,a=x(l.type,u,l.props)),t.push(a)),1;c=0;var d,f=""===r?".":r+":";if(k(e))for(var m=0;m<e.length;m++)c+=$(r=e[m],t,s,o=f+M(r,m),a);else if("function"===typeof(m=null===(d=e)||"object"!==typeof d?null:"function"===typeof(d=p&&d[p]||d["@@iterator"])?d:null))for(e=m.call(e),m=0;!(r=e.next()).done;)c+=$(r=r.value,t,s,o=f+M(r,m++),a);else if("object"===o){if("function"===typeof e.then)return $(function(e){switch(e.status){case"fulfilled":return e.value;case"rejected":throw e.reason;default:switch("string"===typeof e.status?e.then(S,S):(e.status="pending",e.then(function(t){"pending"===e.status&&(e.status="fulfilled",e.value=t)},function(t){"pending"===e.status&&(e.status="rejected",e.reason=t)})),e.status){case"fulfilled":return e.value;case"rejected":throw e.reason}}throw e}(e),t,s,r,a);throw t=String(e),Error("Objects are not valid as a React child (found: "+("[object Object]"===t?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.")}return c}function L(e,t,n){if(null==e)return e;var i=[],s=0;return $(e,i,"","",function(e){return t.call(n,e,s++)}),i}function N(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){0!==e._status&&-1!==e._status||(e._status=1,e._result=t)},function(t){0!==e._status&&-1!==e._status||(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var D="function"===typeof reportError?reportError:function(e){if("object"===typeof window&&"function"===typeof window.ErrorEvent){var t=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"===typeof e&&null!==e&&"string"===typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(t))return}else if("object"===typeof process&&"function"===typeof process.emit)return void process.emit("uncaughtException",e);console.error(e)},F={map:L,forEach:function(e,t,n){L(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return L(e,function(){t++}),t},toArray:function(e){return L(e,function(e){return e})||[]},only:function(e){if(!T(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};t.Activity=f,t.Children=F,t.Component=y,t.Fragment=s,t.Profiler=a,t.PureComponent=b,t.StrictMode=r,t.Suspense=c,t.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=E,t.__COMPILER_RUNTIME={__proto__:null,c:function(e){return E.H.useMemoCache(e)}},t.cache=function(e){return function(){return e.apply(null,arguments)}},t.cacheSignal=function(){return null},t.cloneElement=function(e,t,n){if(null===e||void 0===e)throw Error("The argument must be a React element, but you passed "+e+".");var i=v({},e.props),s=e.key;if(null!=t)for(r in void 0!==t.key&&(s=""+t.key),t)!C.call(t,r)||"key"===r||"__self"===r||"__source"===r||"ref"===r&&void 0===t.ref||(i[r]=t[r]);var r=arguments.length-2;if(1===r)i.children=n;else if(1<r){for(var a=Array(r),o=0;o<r;o++)a[o]=arguments[o+2];i.children=a}return x(e.type,s,i)},t.createContext=function(e){return(e={$$typeof:l,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null}).Provider=e,e.Consumer={$$typeof:o,_context:e},e},t.createElement=function(e,t,n){var i,s={},r=null;if(null!=t)for(i in void 0!==t.key&&(r=""+t.key),t)C.call(t,i)&&"key"!==i&&"__self"!==i&&"__source"!==i&&(s[i]=t[i]);var a=arguments.length-2;if(1===a)s.children=n;else if(1<a){for(var o=Array(a),l=0;l<a;l++)o[l]=arguments[l+2];s.children=o}if(e&&e.defaultProps)for(i in a=e.defaultProps)void 0===s[i]&&(s[i]=a[i]);return x(e,r,s)},t.createRef=function(){return{current:null}},t.forwardRef=function(e){return{$$typeof:u,render:e}},t.isValidElement=T,t.lazy=function(e){return{$$typeof:h,_payload:{_status:-1,_result:e},_init:N}},t.memo=function(e,t){return{$$typeof:d,type:e,compare:void 0===t?null:t}},t.startTransition=function(e){var t=E.T,n={};E.T=n;try{var i=e(),s=E.S;null!==s&&s(n,i),"object"===typeof i&&null!==i&&"function"===typeof i.then&&i.then(S,D)}catch(r){D(r)}finally{null!==t&&null!==n.types&&(t.types=n.types),E.T=t}},t.unstable_useCacheRefresh=function(){return E.H.useCacheRefresh()},t.use=function(e){return E.H.use(e)},t.useActionState=function(e,t,n){return E.H.useActionState(e,t,n)},t.useCallback=function(e,t){return E.H.useCallback(e,t)},t.useContext=function(e){return E.H.useContext(e)},t.useDebugValue=function(){},t.useDeferredValue=function(e,t){return E.H.useDeferredValue(e,t)},t.useEffect=function(e,t){return E.H.useEffect(e,t)},t.useEffectEvent=function(e){return E.H.useEffectEvent(e)},t.useId=function(){return E.H.useId()},t.useImperativeHandle=function(e,t,n){return E.H.useImperativeHandle(e,t,n)},t.useInsertionEffect=function(e,t){return E.H.useInsertionEffect(e,t)},t.useLayoutEffect=function(e,t){return E.H.useLayoutEffect(e,t)},t.useMemo=function(e,t){return E.H.useMemo(e,t)},t.useOptimistic=function(e,t){return E.H.useOptimistic(e,t)},t.useReducer=function(e,t,n){return E.H.useReducer(e,t,n)},t.useRef=function(e){return E.H.useRef(e)},t.useState=function(e){return E.H.useState(e)},t.useSyncExternalStore=function(e,t,n){return E.H.useSyncExternalStore(e,t,n)},t.useTransition=function(){return E.H.useTransition()},t.version="19.2.0"},379:(e,t,n)=>{n.d(t,{A:()=>r});var i=n(705);function s(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);t&&(i=i.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,i)}return n}function r(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?s(Object(n),!0).forEach(function(t){(0,i.A)(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):s(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}},391:(e,t,n)=>{!function e(){if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(t){console.error(t)}}(),e.exports=n(4)},408:(e,t,n)=>{n.d(t,{wg:()=>Kw,s7:()=>rk,a3:()=>jw,Ni:()=>Ak,d0:()=>_w,k7:()=>Bw,f:()=>Uw,tN:()=>bk,wc:()=>Xw,zn:()=>Fa,BS:()=>Sa,G_:()=>ft,pz:()=>dt,X3:()=>ut,jH:()=>$n,W_:()=>Hw,Lp:()=>zw,Th:()=>Ww,hW:()=>Iw,Zg:()=>pk,BU:()=>fk,mf:()=>vk,Dz:()=>mk,ri:()=>Zw,V_:()=>Qw,SY:()=>Gw,VP:()=>wk,sG:()=>Pk,sz:()=>ok,kW:()=>Fi,e8:()=>yr,rW:()=>nb,Ip:()=>gk,N5:()=>yk,kk:()=>Yw,PZ:()=>hk,jc:()=>nk,tH:()=>dk,P4:()=>lk,CN:()=>uk,as:()=>ck,YU:()=>ak,to:()=>rn,Hp:()=>Zt,OM:()=>kk,Lu:()=>Sk,zJ:()=>Et,Ty:()=>ik,OR:()=>qw,ks:()=>tk,j0:()=>Jw,x1:()=>ek,Nw:()=>so,NQ:()=>sk,xF:()=>Bt,jx:()=>zt,rv:()=>Wo,lA:()=>ol,fU:()=>al,d_:()=>Ht,m0:()=>wt,Dq:()=>Mk,cf:()=>$k,_k:()=>fn,k0:()=>jt,Q2:()=>An,kZ:()=>pn,HL:()=>fy,TB:()=>_t,FK:()=>Oi,$c:()=>bn,nV:()=>Rk,Sp:()=>Dk,q:()=>Gt});var i=n(562);function s(e,t,n){return n((0,i.A)(e,t))}var r=n(986),a=n(379),o=n(790),l=n(705),u=n(149),c=n(558),d=n(458),h=n(43),f=n(180);const p=Math.min,m=Math.max,v=Math.round,g=Math.floor,y=e=>({x:e,y:e}),A={left:"right",right:"left",bottom:"top",top:"bottom"},b={start:"end",end:"start"};function w(e,t,n){return m(e,p(t,n))}function k(e,t){return"function"===typeof e?e(t):e}function S(e){return e.split("-")[0]}function E(e){return e.split("-")[1]}function C(e){return"x"===e?"y":"x"}function x(e){return"y"===e?"height":"width"}const T=new Set(["top","bottom"]);function P(e){return T.has(S(e))?"y":"x"}function M(e){return C(P(e))}function $(e){return e.replace(/start|end/g,e=>b[e])}const L=["left","right"],N=["right","left"],D=["top","bottom"],F=["bottom","top"];function V(e,t,n,i){const s=E(e);let r=function(e,t,n){switch(e){case"top":case"bottom":return n?t?N:L:t?L:N;case"left":case"right":return t?D:F;default:return[]}}(S(e),"start"===n,i);return s&&(r=r.map(e=>e+"-"+s),t&&(r=r.concat(r.map($)))),r}function R(e){return e.replace(/left|right|bottom|top/g,e=>A[e])}function O(e){return"number"!==typeof e?function(e){return(0,a.A)({top:0,right:0,bottom:0,left:0},e)}(e):{top:e,right:e,bottom:e,left:e}}function W(e){const{x:t,y:n,width:i,height:s}=e;return{width:i,height:s,top:n,left:t,right:t+i,bottom:n+s,x:t,y:n}}const I=["mainAxis","crossAxis","fallbackPlacements","fallbackStrategy","fallbackAxisSideDirection","flipAlignment"],z=["mainAxis","crossAxis","limiter"];function B(e,t,n){let{reference:i,floating:s}=e;const r=P(t),a=M(t),o=x(a),l=S(t),u="y"===r,c=i.x+i.width/2-s.width/2,d=i.y+i.height/2-s.height/2,h=i[o]/2-s[o]/2;let f;switch(l){case"top":f={x:c,y:i.y-s.height};break;case"bottom":f={x:c,y:i.y+i.height};break;case"right":f={x:i.x+i.width,y:d};break;case"left":f={x:i.x-s.width,y:d};break;default:f={x:i.x,y:i.y}}switch(E(t)){case"start":f[a]-=h*(n&&u?-1:1);break;case"end":f[a]+=h*(n&&u?-1:1)}return f}async function _(e,t){var n;void 0===t&&(t={});const{x:i,y:s,platform:r,rects:a,elements:o,strategy:l}=e,{boundary:u="clippingAncestors",rootBoundary:c="viewport",elementContext:d="floating",altBoundary:h=!1,padding:f=0}=k(t,e),p=O(f),m=o[h?"floating"===d?"reference":"floating":d],v=W(await r.getClippingRect({element:null==(n=await(null==r.isElement?void 0:r.isElement(m)))||n?m:m.contextElement||await(null==r.getDocumentElement?void 0:r.getDocumentElement(o.floating)),boundary:u,rootBoundary:c,strategy:l})),g="floating"===d?{x:i,y:s,width:a.floating.width,height:a.floating.height}:a.reference,y=await(null==r.getOffsetParent?void 0:r.getOffsetParent(o.floating)),A=await(null==r.isElement?void 0:r.isElement(y))&&await(null==r.getScale?void 0:r.getScale(y))||{x:1,y:1},b=W(r.convertOffsetParentRelativeRectToViewportRelativeRect?await r.convertOffsetParentRelativeRectToViewportRelativeRect({elements:o,rect:g,offsetParent:y,strategy:l}):g);return{top:(v.top-b.top+p.top)/A.y,bottom:(b.bottom-v.bottom+p.bottom)/A.y,left:(v.left-b.left+p.left)/A.x,right:(b.right-v.right+p.right)/A.x}}function q(){return"undefined"!==typeof window}function j(e){return Z(e)?(e.nodeName||"").toLowerCase():"#document"}function U(e){var t;return(null==e||null==(t=e.ownerDocument)?void 0:t.defaultView)||window}function H(e){var t;return null==(t=(Z(e)?e.ownerDocument:e.document)||window.document)?void 0:t.documentElement}function Z(e){return!!q()&&(e instanceof Node||e instanceof U(e).Node)}function Q(e){return!!q()&&(e instanceof Element||e instanceof U(e).Element)}function G(e){return!!q()&&(e instanceof HTMLElement||e instanceof U(e).HTMLElement)}function K(e){return!(!q()||"undefined"===typeof ShadowRoot)&&(e instanceof ShadowRoot||e instanceof U(e).ShadowRoot)}const X=new Set(["inline","contents"]);function Y(e){const{overflow:t,overflowX:n,overflowY:i,display:s}=ce(e);return/auto|scroll|overlay|hidden|clip/.test(t+i+n)&&!X.has(s)}const J=new Set(["table","td","th"]);function ee(e){return J.has(j(e))}const te=[":popover-open",":modal"];function ne(e){return te.some(t=>{try{return e.matches(t)}catch(n){return!1}})}const ie=["transform","translate","scale","rotate","perspective"],se=["transform","translate","scale","rotate","perspective","filter"],re=["paint","layout","strict","content"];function ae(e){const t=oe(),n=Q(e)?ce(e):e;return ie.some(e=>!!n[e]&&"none"!==n[e])||!!n.containerType&&"normal"!==n.containerType||!t&&!!n.backdropFilter&&"none"!==n.backdropFilter||!t&&!!n.filter&&"none"!==n.filter||se.some(e=>(n.willChange||"").includes(e))||re.some(e=>(n.contain||"").includes(e))}function oe(){return!("undefined"===typeof CSS||!CSS.supports)&&CSS.supports("-webkit-backdrop-filter","none")}const le=new Set(["html","body","#document"]);function ue(e){return le.has(j(e))}function ce(e){return U(e).getComputedStyle(e)}function de(e){return Q(e)?{scrollLeft:e.scrollLeft,scrollTop:e.scrollTop}:{scrollLeft:e.scrollX,scrollTop:e.scrollY}}function he(e){if("html"===j(e))return e;const t=e.assignedSlot||e.parentNode||K(e)&&e.host||H(e);return K(t)?t.host:t}function fe(e){const t=he(e);return ue(t)?e.ownerDocument?e.ownerDocument.body:e.body:G(t)&&Y(t)?t:fe(t)}function pe(e,t,n){var i;void 0===t&&(t=[]),void 0===n&&(n=!0);const s=fe(e),r=s===(null==(i=e.ownerDocument)?void 0:i.body),a=U(s);if(r){const e=me(a);return t.concat(a,a.visualViewport||[],Y(s)?s:[],e&&n?pe(e):[])}return t.concat(s,pe(s,[],n))}function me(e){return e.parent&&Object.getPrototypeOf(e.parent)?e.frameElement:null}function ve(e){const t=ce(e);let n=parseFloat(t.width)||0,i=parseFloat(t.height)||0;const s=G(e),r=s?e.offsetWidth:n,a=s?e.offsetHeight:i,o=v(n)!==r||v(i)!==a;return o&&(n=r,i=a),{width:n,height:i,$:o}}function ge(e){return Q(e)?e:e.contextElement}function ye(e){const t=ge(e);if(!G(t))return y(1);const n=t.getBoundingClientRect(),{width:i,height:s,$:r}=ve(t);let a=(r?v(n.width):n.width)/i,o=(r?v(n.height):n.height)/s;return a&&Number.isFinite(a)||(a=1),o&&Number.isFinite(o)||(o=1),{x:a,y:o}}const Ae=y(0);function be(e){const t=U(e);return oe()&&t.visualViewport?{x:t.visualViewport.offsetLeft,y:t.visualViewport.offsetTop}:Ae}function we(e,t,n,i){void 0===t&&(t=!1),void 0===n&&(n=!1);const s=e.getBoundingClientRect(),r=ge(e);let a=y(1);t&&(i?Q(i)&&(a=ye(i)):a=ye(e));const o=function(e,t,n){return void 0===t&&(t=!1),!(!n||t&&n!==U(e))&&t}(r,n,i)?be(r):y(0);let l=(s.left+o.x)/a.x,u=(s.top+o.y)/a.y,c=s.width/a.x,d=s.height/a.y;if(r){const e=U(r),t=i&&Q(i)?U(i):i;let n=e,s=me(n);for(;s&&i&&t!==n;){const e=ye(s),t=s.getBoundingClientRect(),i=ce(s),r=t.left+(s.clientLeft+parseFloat(i.paddingLeft))*e.x,a=t.top+(s.clientTop+parseFloat(i.paddingTop))*e.y;l*=e.x,u*=e.y,c*=e.x,d*=e.y,l+=r,u+=a,n=U(s),s=me(n)}}return W({width:c,height:d,x:l,y:u})}function ke(e,t){const n=de(e).scrollLeft;return t?t.left+n:we(H(e)).left+n}function Se(e,t){const n=e.getBoundingClientRect();return{x:n.left+t.scrollLeft-ke(e,n),y:n.top+t.scrollTop}}const Ee=new Set(["absolute","fixed"]);function Ce(e,t,n){let i;if("viewport"===t)i=function(e,t){const n=U(e),i=H(e),s=n.visualViewport;let r=i.clientWidth,a=i.clientHeight,o=0,l=0;if(s){r=s.width,a=s.height;const e=oe();(!e||e&&"fixed"===t)&&(o=s.offsetLeft,l=s.offsetTop)}const u=ke(i);if(u<=0){const e=i.ownerDocument,t=e.body,n=getComputedStyle(t),s="CSS1Compat"===e.compatMode&&parseFloat(n.marginLeft)+parseFloat(n.marginRight)||0,a=Math.abs(i.clientWidth-t.clientWidth-s);a<=25&&(r-=a)}else u<=25&&(r+=u);return{width:r,height:a,x:o,y:l}}(e,n);else if("document"===t)i=function(e){const t=H(e),n=de(e),i=e.ownerDocument.body,s=m(t.scrollWidth,t.clientWidth,i.scrollWidth,i.clientWidth),r=m(t.scrollHeight,t.clientHeight,i.scrollHeight,i.clientHeight);let a=-n.scrollLeft+ke(e);const o=-n.scrollTop;return"rtl"===ce(i).direction&&(a+=m(t.clientWidth,i.clientWidth)-s),{width:s,height:r,x:a,y:o}}(H(e));else if(Q(t))i=function(e,t){const n=we(e,!0,"fixed"===t),i=n.top+e.clientTop,s=n.left+e.clientLeft,r=G(e)?ye(e):y(1);return{width:e.clientWidth*r.x,height:e.clientHeight*r.y,x:s*r.x,y:i*r.y}}(t,n);else{const n=be(e);i={x:t.x-n.x,y:t.y-n.y,width:t.width,height:t.height}}return W(i)}function xe(e,t){const n=he(e);return!(n===t||!Q(n)||ue(n))&&("fixed"===ce(n).position||xe(n,t))}function Te(e,t,n){const i=G(t),s=H(t),r="fixed"===n,a=we(e,!0,r,t);let o={scrollLeft:0,scrollTop:0};const l=y(0);function u(){l.x=ke(s)}if(i||!i&&!r)if(("body"!==j(t)||Y(s))&&(o=de(t)),i){const e=we(t,!0,r,t);l.x=e.x+t.clientLeft,l.y=e.y+t.clientTop}else s&&u();r&&!i&&s&&u();const c=!s||i||r?y(0):Se(s,o);return{x:a.left+o.scrollLeft-l.x-c.x,y:a.top+o.scrollTop-l.y-c.y,width:a.width,height:a.height}}function Pe(e){return"static"===ce(e).position}function Me(e,t){if(!G(e)||"fixed"===ce(e).position)return null;if(t)return t(e);let n=e.offsetParent;return H(e)===n&&(n=n.ownerDocument.body),n}function $e(e,t){const n=U(e);if(ne(e))return n;if(!G(e)){let t=he(e);for(;t&&!ue(t);){if(Q(t)&&!Pe(t))return t;t=he(t)}return n}let i=Me(e,t);for(;i&&ee(i)&&Pe(i);)i=Me(i,t);return i&&ue(i)&&Pe(i)&&!ae(i)?n:i||function(e){let t=he(e);for(;G(t)&&!ue(t);){if(ae(t))return t;if(ne(t))return null;t=he(t)}return null}(e)||n}const Le={convertOffsetParentRelativeRectToViewportRelativeRect:function(e){let{elements:t,rect:n,offsetParent:i,strategy:s}=e;const r="fixed"===s,a=H(i),o=!!t&&ne(t.floating);if(i===a||o&&r)return n;let l={scrollLeft:0,scrollTop:0},u=y(1);const c=y(0),d=G(i);if((d||!d&&!r)&&(("body"!==j(i)||Y(a))&&(l=de(i)),G(i))){const e=we(i);u=ye(i),c.x=e.x+i.clientLeft,c.y=e.y+i.clientTop}const h=!a||d||r?y(0):Se(a,l);return{width:n.width*u.x,height:n.height*u.y,x:n.x*u.x-l.scrollLeft*u.x+c.x+h.x,y:n.y*u.y-l.scrollTop*u.y+c.y+h.y}},getDocumentElement:H,getClippingRect:function(e){let{element:t,boundary:n,rootBoundary:i,strategy:s}=e;const r="clippingAncestors"===n?ne(t)?[]:function(e,t){const n=t.get(e);if(n)return n;let i=pe(e,[],!1).filter(e=>Q(e)&&"body"!==j(e)),s=null;const r="fixed"===ce(e).position;let a=r?he(e):e;for(;Q(a)&&!ue(a);){const t=ce(a),n=ae(a);n||"fixed"!==t.position||(s=null),(r?!n&&!s:!n&&"static"===t.position&&s&&Ee.has(s.position)||Y(a)&&!n&&xe(e,a))?i=i.filter(e=>e!==a):s=t,a=he(a)}return t.set(e,i),i}(t,this._c):[].concat(n),a=[...r,i],o=a[0],l=a.reduce((e,n)=>{const i=Ce(t,n,s);return e.top=m(i.top,e.top),e.right=p(i.right,e.right),e.bottom=p(i.bottom,e.bottom),e.left=m(i.left,e.left),e},Ce(t,o,s));return{width:l.right-l.left,height:l.bottom-l.top,x:l.left,y:l.top}},getOffsetParent:$e,getElementRects:async function(e){const t=this.getOffsetParent||$e,n=this.getDimensions,i=await n(e.floating);return{reference:Te(e.reference,await t(e.floating),e.strategy),floating:{x:0,y:0,width:i.width,height:i.height}}},getClientRects:function(e){return Array.from(e.getClientRects())},getDimensions:function(e){const{width:t,height:n}=ve(e);return{width:t,height:n}},getScale:ye,isElement:Q,isRTL:function(e){return"rtl"===ce(e).direction}};function Ne(e,t){return e.x===t.x&&e.y===t.y&&e.width===t.width&&e.height===t.height}function De(e,t,n,i){void 0===i&&(i={});const{ancestorScroll:s=!0,ancestorResize:r=!0,elementResize:o="function"===typeof ResizeObserver,layoutShift:l="function"===typeof IntersectionObserver,animationFrame:u=!1}=i,c=ge(e),d=s||r?[...c?pe(c):[],...pe(t)]:[];d.forEach(e=>{s&&e.addEventListener("scroll",n,{passive:!0}),r&&e.addEventListener("resize",n)});const h=c&&l?function(e,t){let n,i=null;const s=H(e);function r(){var e;clearTimeout(n),null==(e=i)||e.disconnect(),i=null}return function o(l,u){void 0===l&&(l=!1),void 0===u&&(u=1),r();const c=e.getBoundingClientRect(),{left:d,top:h,width:f,height:v}=c;if(l||t(),!f||!v)return;const y={rootMargin:-g(h)+"px "+-g(s.clientWidth-(d+f))+"px "+-g(s.clientHeight-(h+v))+"px "+-g(d)+"px",threshold:m(0,p(1,u))||1};let A=!0;function b(t){const i=t[0].intersectionRatio;if(i!==u){if(!A)return o();i?o(!1,i):n=setTimeout(()=>{o(!1,1e-7)},1e3)}1!==i||Ne(c,e.getBoundingClientRect())||o(),A=!1}try{i=new IntersectionObserver(b,(0,a.A)((0,a.A)({},y),{},{root:s.ownerDocument}))}catch(w){i=new IntersectionObserver(b,y)}i.observe(e)}(!0),r}(c,n):null;let f,v=-1,y=null;o&&(y=new ResizeObserver(e=>{let[i]=e;i&&i.target===c&&y&&(y.unobserve(t),cancelAnimationFrame(v),v=requestAnimationFrame(()=>{var e;null==(e=y)||e.observe(t)})),n()}),c&&!u&&y.observe(c),y.observe(t));let A=u?we(e):null;return u&&function t(){const i=we(e);A&&!Ne(A,i)&&n();A=i,f=requestAnimationFrame(t)}(),n(),()=>{var e;d.forEach(e=>{s&&e.removeEventListener("scroll",n),r&&e.removeEventListener("resize",n)}),null==h||h(),null==(e=y)||e.disconnect(),y=null,u&&cancelAnimationFrame(f)}}const Fe=function(e){return void 0===e&&(e={}),{name:"shift",options:e,async fn(t){const{x:n,y:i,placement:s}=t,o=k(e,t),{mainAxis:l=!0,crossAxis:u=!1,limiter:c={fn:e=>{let{x:t,y:n}=e;return{x:t,y:n}}}}=o,d=(0,r.A)(o,z),h={x:n,y:i},f=await _(t,d),p=P(S(s)),m=C(p);let v=h[m],g=h[p];if(l){const e="y"===m?"bottom":"right";v=w(v+f["y"===m?"top":"left"],v,v-f[e])}if(u){const e="y"===p?"bottom":"right";g=w(g+f["y"===p?"top":"left"],g,g-f[e])}const y=c.fn((0,a.A)((0,a.A)({},t),{},{[m]:v,[p]:g}));return(0,a.A)((0,a.A)({},y),{},{data:{x:y.x-n,y:y.y-i,enabled:{[m]:l,[p]:u}}})}}},Ve=function(e){return void 0===e&&(e={}),{name:"flip",options:e,async fn(t){var n,i;const{placement:s,middlewareData:a,rects:o,initialPlacement:l,platform:u,elements:c}=t,d=k(e,t),{mainAxis:h=!0,crossAxis:f=!0,fallbackPlacements:p,fallbackStrategy:m="bestFit",fallbackAxisSideDirection:v="none",flipAlignment:g=!0}=d,y=(0,r.A)(d,I);if(null!=(n=a.arrow)&&n.alignmentOffset)return{};const A=S(s),b=P(l),w=S(l)===l,C=await(null==u.isRTL?void 0:u.isRTL(c.floating)),T=p||(w||!g?[R(l)]:function(e){const t=R(e);return[$(e),t,$(t)]}(l)),L="none"!==v;!p&&L&&T.push(...V(l,g,v,C));const N=[l,...T],D=await _(t,y),F=[];let O=(null==(i=a.flip)?void 0:i.overflows)||[];if(h&&F.push(D[A]),f){const e=function(e,t,n){void 0===n&&(n=!1);const i=E(e),s=M(e),r=x(s);let a="x"===s?i===(n?"end":"start")?"right":"left":"start"===i?"bottom":"top";return t.reference[r]>t.floating[r]&&(a=R(a)),[a,R(a)]}(s,o,C);F.push(D[e[0]],D[e[1]])}if(O=[...O,{placement:s,overflows:F}],!F.every(e=>e<=0)){var W,z;const e=((null==(W=a.flip)?void 0:W.index)||0)+1,t=N[e];if(t){if(!("alignment"===f&&b!==P(t))||O.every(e=>P(e.placement)!==b||e.overflows[0]>0))return{data:{index:e,overflows:O},reset:{placement:t}}}let n=null==(z=O.filter(e=>e.overflows[0]<=0).sort((e,t)=>e.overflows[1]-t.overflows[1])[0])?void 0:z.placement;if(!n)switch(m){case"bestFit":{var B;const e=null==(B=O.filter(e=>{if(L){const t=P(e.placement);return t===b||"y"===t}return!0}).map(e=>[e.placement,e.overflows.filter(e=>e>0).reduce((e,t)=>e+t,0)]).sort((e,t)=>e[1]-t[1])[0])?void 0:B[0];e&&(n=e);break}case"initialPlacement":n=l}if(s!==n)return{reset:{placement:n}}}return{}}}},Re=(e,t,n)=>{const i=new Map,s=(0,a.A)({platform:Le},n),r=(0,a.A)((0,a.A)({},s.platform),{},{_c:i});return(async(e,t,n)=>{const{placement:i="bottom",strategy:s="absolute",middleware:r=[],platform:o}=n,l=r.filter(Boolean),u=await(null==o.isRTL?void 0:o.isRTL(t));let c=await o.getElementRects({reference:e,floating:t,strategy:s}),{x:d,y:h}=B(c,i,u),f=i,p={},m=0;for(let v=0;v<l.length;v++){const{name:n,fn:r}=l[v],{x:g,y:y,data:A,reset:b}=await r({x:d,y:h,initialPlacement:i,placement:f,strategy:s,middlewareData:p,rects:c,platform:o,elements:{reference:e,floating:t}});d=null!=g?g:d,h=null!=y?y:h,p=(0,a.A)((0,a.A)({},p),{},{[n]:(0,a.A)((0,a.A)({},p[n]),A)}),b&&m<=50&&(m++,"object"===typeof b&&(b.placement&&(f=b.placement),b.rects&&(c=!0===b.rects?await o.getElementRects({reference:e,floating:t,strategy:s}):b.rects),({x:d,y:h}=B(c,f,u))),v=-1)}return{x:d,y:h,placement:f,strategy:s,middlewareData:p}})(e,t,(0,a.A)((0,a.A)({},s),{},{platform:r}))},Oe=["offsetVarName","xOffset","yOffset"],We=["children"],Ie=["children"],ze=["asChild"];let Be,_e,qe,je,Ue,He,Ze,Qe,Ge,Ke,Xe,Ye,Je,et,tt,nt,it;var st,rt,at,ot;function lt(e){return!(0,f.Kg)(e)&&"width"in e&&"height"in e&&(0,f.Et)(e.width)&&(0,f.Et)(e.height)}const ut="undefined"===typeof document,ct=ut?"":(null===(st=navigator)||void 0===st?void 0:st.userAgent.toLowerCase())||"",dt=!ut&&/iphone|ipad|ipod|ios|crios|fxios/i.test(ct),ht=!ut&&/(iphone|ipod)/gi.test((null===(rt=navigator)||void 0===rt?void 0:rt.platform)||""),ft=!ut&&!!window.chrome,pt=!ut&&(!!window.safari||dt);function mt(){return!ut&&!(0,f.b0)(window.screen.orientation)&&!(0,f.b0)(window.screen.orientation.lock)&&(0,f.Tn)(screen.orientation.unlock)}function vt(e,t){return!ut&&(e||(e=document.createElement("audio")),e.canPlayType(t).length>0)}function gt(e,t){return!ut&&(e||(e=document.createElement("video")),e.canPlayType(t).length>0)}function yt(e){return!ut&&(e||(e=document.createElement("video")),e.canPlayType("application/vnd.apple.mpegurl").length>0)}function At(e){return!ut&&(!!document.pictureInPictureEnabled&&!(null!==e&&void 0!==e&&e.disablePictureInPicture))}function bt(e){return!ut&&((0,f.Tn)(null===e||void 0===e?void 0:e.webkitSupportsPresentationMode)&&(0,f.Tn)(null===e||void 0===e?void 0:e.webkitSetPresentationMode))}function wt(){if(ut)return!1;const e=function(){var e,t,n,i,s;return ut?void 0:null!==(e=null!==(t=null===(n=window)||void 0===n?void 0:n.ManagedMediaSource)&&void 0!==t?t:null===(i=window)||void 0===i?void 0:i.MediaSource)&&void 0!==e?e:null===(s=window)||void 0===s?void 0:s.WebKitMediaSource}();if((0,f.b0)(e))return!1;const t=e&&(0,f.Tn)(e.isTypeSupported)&&e.isTypeSupported('video/mp4; codecs="avc1.42E01E,mp4a.40.2"'),n=function(){var e,t,n;return ut?void 0:null!==(e=null===(t=window)||void 0===t?void 0:t.SourceBuffer)&&void 0!==e?e:null===(n=window)||void 0===n?void 0:n.WebKitSourceBuffer}(),i=(0,f.b0)(n)||!(0,f.b0)(n.prototype)&&(0,f.Tn)(n.prototype.appendBuffer)&&(0,f.Tn)(n.prototype.remove);return!!t&&!!i}function kt(){return wt()}var St=new WeakMap;class Et{get length(){return(0,d.A)(St,this).length}constructor(e,t){(0,u.A)(this,St,void 0),(0,f.cy)(e)?(0,c.A)(St,this,e):(0,f.b0)(e)||(0,f.b0)(t)?(0,c.A)(St,this,[]):(0,c.A)(St,this,[[e,t]])}start(e){var t;return null!==(t=(0,d.A)(St,this)[e][0])&&void 0!==t?t:1/0}end(e){var t;return null!==(t=(0,d.A)(St,this)[e][1])&&void 0!==t?t:1/0}}function Ct(e){if(!e.length)return null;let t=e.start(0);for(let n=1;n<e.length;n++){const i=e.start(n);i<t&&(t=i)}return t}function xt(e){if(!e.length)return null;let t=e.end(0);for(let n=1;n<e.length;n++){const i=e.end(n);i>t&&(t=i)}return t}function Tt(e,t,n){let i=t[0],s=t[1];return n<i?[n,-1]:n===i?t:-1===i?(t[0]=n,t):(n>i&&(t[1]=n,-1===s&&e.push(t)),function(e){if(e.length<=1)return e;e.sort((e,t)=>e[0]-t[0]);let t=[],n=e[0];for(let i=1;i<e.length;i++){const s=e[i];n[1]>=s[0]-1?n=[n[0],Math.max(n[1],s[1])]:(t.push(n),n=s)}t.push(n)}(e),t)}const Pt=/\.(m4a|m4b|mp4a|mpga|mp2|mp2a|mp3|m2a|m3a|wav|weba|aac|oga|spx|flac)($|\?)/i,Mt=new Set(["audio/mpeg","audio/ogg","audio/3gp","audio/mp3","audio/webm","audio/flac","audio/m4a","audio/m4b","audio/mp4a","audio/mp4"]),$t=/\.(mp4|og[gv]|webm|mov|m4v)(#t=[,\d+]+)?($|\?)/i,Lt=new Set(["video/mp4","video/webm","video/3gp","video/ogg","video/avi","video/mpeg"]),Nt=/\.(m3u8)($|\?)/i,Dt=/\.(mpd)($|\?)/i,Ft=new Set(["application/vnd.apple.mpegurl","audio/mpegurl","audio/x-mpegurl","application/x-mpegurl","video/x-mpegurl","video/mpegurl","application/mpegurl"]),Vt=new Set(["application/dash+xml"]);function Rt(e){let{src:t,type:n}=e;return(0,f.Kg)(t)?Pt.test(t)||Mt.has(n)||t.startsWith("blob:")&&"audio/object"===n:"audio/object"===n}function Ot(e){return(0,f.Kg)(e.src)?$t.test(e.src)||Lt.has(e.type)||e.src.startsWith("blob:")&&"video/object"===e.type||Wt(e)&&(ut||yt()):"video/object"===e.type}function Wt(e){let{src:t,type:n}=e;return(0,f.Kg)(t)&&Nt.test(t)||Ft.has(n)}function It(e){let{src:t,type:n}=e;return(0,f.Kg)(t)&&Dt.test(t)||Vt.has(n)}function zt(e){return(0,f.Kg)(e.src)&&(Rt(e)||Ot(e)||Wt(e))}function Bt(e,t){const n=new URL(e);for(const i of Object.keys(t))n.searchParams.set(i,t[i]+"");return n.toString()}function _t(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:"preconnect";if(ut)return!1;const n=document.querySelector('link[href="'.concat(e,'"]'));if(!(0,f.kZ)(n))return!0;const i=document.createElement("link");return i.rel=t,i.href=e,i.crossOrigin="true",document.head.append(i),!0}const qt={};function jt(e){if(qt[e])return qt[e].promise;const t=(0,f.vI)(),n=document.querySelector('script[src="'.concat(e,'"]'));if(!(0,f.kZ)(n))return t.resolve(),t.promise;qt[e]=t;const i=document.createElement("script");return i.src=e,i.onload=()=>{t.resolve(),delete qt[e]},i.onerror=()=>{t.reject(),delete qt[e]},setTimeout(()=>document.head.append(i),0),t.promise}function Ut(e){return"use-credentials"===e?"include":(0,f.Kg)(e)?"same-origin":void 0}function Ht(e){let{title:t,src:n,download:i}=e;const s=(0,f.Lm)(i)||""===i?n.src:(0,f.Kg)(i)?i:null===i||void 0===i?void 0:i.url;return function(e){let{url:t,src:n,download:i}=e;return(0,f.Kg)(t)&&(i&&!0!==i||Rt(n)||Ot(n))}({url:s,src:n,download:i})?{url:s,name:!(0,f.Lm)(i)&&!(0,f.Kg)(i)&&(null===i||void 0===i?void 0:i.filename)||t.toLowerCase()||"media"}:null}const Zt={crossOrigin:Symbol(0),readyState:Symbol(0),updateActiveCues:Symbol(0),canLoad:Symbol(0),onModeChange:Symbol(0),native:Symbol(0),nativeHLS:Symbol(0)};function Qt(e,t){return t>=e.startTime&&t<e.endTime}function Gt(e,t,n){let i=null,s=(0,f.Xf)();function r(){const r=(0,f.Kg)(t)?[t]:t,a=e.toArray().find(e=>r.includes(e.kind)&&"showing"===e.mode);if(a!==i){if(!a)return n(null),void(i=null);2==a.readyState?n(a):(n(null),(0,f.P1)(()=>{const e=(0,f.k6)(a,"load",()=>{n(a),e()},{once:!0})},s)),i=a}}return r(),(0,f.k6)(e,"mode-change",r)}var Kt=new WeakMap,Xt=new WeakMap,Yt=new WeakMap,Jt=new WeakMap,en=new WeakMap,tn=new WeakMap,nn=new WeakMap,sn=new WeakSet;Be=Zt.readyState,_e=Zt.crossOrigin,qe=Zt.onModeChange,je=Zt.native,Ue=Zt.updateActiveCues,He=Zt.canLoad;class rn extends f.zv{static createId(e){var t,n;return"vds-".concat(e.type,"-").concat(e.kind,"-").concat(null!==(t=null!==(n=e.src)&&void 0!==n?n:e.label)&&void 0!==t?t:"?")}get metadata(){return(0,d.A)(Jt,this)}get regions(){return(0,d.A)(en,this)}get cues(){return(0,d.A)(tn,this)}get activeCues(){return(0,d.A)(nn,this)}get readyState(){return this[Zt.readyState]}get mode(){return(0,d.A)(Yt,this)}set mode(e){this.setMode(e)}constructor(e){super(),(0,o.A)(this,sn),(0,l.A)(this,"src",void 0),(0,l.A)(this,"content",void 0),(0,l.A)(this,"type",void 0),(0,l.A)(this,"encoding",void 0),(0,l.A)(this,"id",""),(0,l.A)(this,"label",""),(0,l.A)(this,"language",""),(0,l.A)(this,"kind",void 0),(0,l.A)(this,"default",!1),(0,u.A)(this,Kt,!1),(0,u.A)(this,Xt,0),(0,u.A)(this,Yt,"disabled"),(0,u.A)(this,Jt,{}),(0,u.A)(this,en,[]),(0,u.A)(this,tn,[]),(0,u.A)(this,nn,[]),(0,l.A)(this,Be,0),(0,l.A)(this,_e,void 0),(0,l.A)(this,qe,null),(0,l.A)(this,je,null);for(const t of Object.keys(e))this[t]=e[t];this.type||(this.type="vtt"),!ut&&e.content?(0,i.A)(sn,this,an).call(this,e):e.src||(this[Zt.readyState]=2)}addCue(e,t){let n=0,i=(0,d.A)(tn,this).length;for(n=0;n<i&&!(e.endTime<=(0,d.A)(tn,this)[n].startTime);n++);var s;(n===i?(0,d.A)(tn,this).push(e):(0,d.A)(tn,this).splice(n,0,e),e instanceof TextTrackCue)||(null===(s=this[Zt.native])||void 0===s||s.track.addCue(e));this.dispatchEvent(new f.vP("add-cue",{detail:e,trigger:t})),Qt(e,(0,d.A)(Xt,this))&&this[Zt.updateActiveCues]((0,d.A)(Xt,this),t)}removeCue(e,t){const n=(0,d.A)(tn,this).indexOf(e);if(n>=0){var i;const s=(0,d.A)(nn,this).includes(e);(0,d.A)(tn,this).splice(n,1),null===(i=this[Zt.native])||void 0===i||i.track.removeCue(e),this.dispatchEvent(new f.vP("remove-cue",{detail:e,trigger:t})),s&&this[Zt.updateActiveCues]((0,d.A)(Xt,this),t)}}setMode(e,t){var n;(0,d.A)(Yt,this)!==e&&((0,c.A)(Yt,this,e),"disabled"===e?((0,c.A)(nn,this,[]),(0,i.A)(sn,this,dn).call(this)):2===this.readyState?this[Zt.updateActiveCues]((0,d.A)(Xt,this),t):(0,i.A)(sn,this,on).call(this),this.dispatchEvent(new f.vP("mode-change",{detail:this,trigger:t})),null===(n=this[Zt.onModeChange])||void 0===n||n.call(this))}[Ue](e,t){if((0,c.A)(Xt,this,e),"disabled"===this.mode||!(0,d.A)(tn,this).length)return;const n=[];for(let i=0,r=(0,d.A)(tn,this).length;i<r;i++){const t=(0,d.A)(tn,this)[i];Qt(t,e)&&n.push(t)}let s=n.length!==(0,d.A)(nn,this).length;if(!s)for(let i=0;i<n.length;i++)if(!(0,d.A)(nn,this).includes(n[i])){s=!0;break}(0,c.A)(nn,this,n),s&&(0,i.A)(sn,this,dn).call(this,t)}[He](){(0,c.A)(Kt,this,!0),"disabled"!==(0,d.A)(Yt,this)&&(0,i.A)(sn,this,on).call(this)}}function an(e){n.e(813).then(n.bind(n,813)).then(t=>{let{parseText:n,VTTCue:s,VTTRegion:r}=t;(0,f.Kg)(e.content)&&"json"!==e.type?n(e.content,{type:e.type}).then(e=>{let{cues:t,regions:n}=e;(0,c.A)(tn,this,t),(0,c.A)(en,this,n),(0,i.A)(sn,this,ln).call(this)}):((0,i.A)(sn,this,cn).call(this,e.content,s,r),3!==this.readyState&&(0,i.A)(sn,this,ln).call(this))})}async function on(){if((0,d.A)(Kt,this)&&!(this[Zt.readyState]>0))if(this[Zt.readyState]=1,this.dispatchEvent(new f.vP("load-start")),this.src)try{var e;const{parseResponse:s,VTTCue:r,VTTRegion:a}=await n.e(813).then(n.bind(n,813)),o=null===(e=this[Zt.crossOrigin])||void 0===e?void 0:e.call(this),l=fetch(this.src,{headers:"json"===this.type?{"Content-Type":"application/json"}:void 0,credentials:Ut(o)});if("json"===this.type)(0,i.A)(sn,this,cn).call(this,await(await l).text(),r,a);else{var t;const{errors:e,metadata:n,regions:i,cues:r}=await s(l,{type:this.type,encoding:this.encoding});if(0===(null===(t=e[0])||void 0===t?void 0:t.code))throw e[0];(0,c.A)(Jt,this,n),(0,c.A)(en,this,i),(0,c.A)(tn,this,r)}(0,i.A)(sn,this,ln).call(this)}catch(s){(0,i.A)(sn,this,un).call(this,s)}else(0,i.A)(sn,this,ln).call(this)}function ln(){if(this[Zt.readyState]=2,!this.src||"vtt"!==this.type){const e=this[Zt.native];if(e&&!e.managed)for(const t of(0,d.A)(tn,this))e.track.addCue(t)}const e=new f.vP("load");this[Zt.updateActiveCues]((0,d.A)(Xt,this),e),this.dispatchEvent(e)}function un(e){this[Zt.readyState]=3,this.dispatchEvent(new f.vP("error",{detail:e}))}function cn(e,t,n){try{const{regions:i,cues:s}=function(e,t,n){const i=(0,f.Kg)(e)?JSON.parse(e):e;let s=[],r=[];i.regions&&n&&(s=i.regions.map(e=>Object.assign(new n,e)));(i.cues||(0,f.cy)(i))&&(r=((0,f.cy)(i)?i:i.cues).filter(e=>(0,f.Et)(e.startTime)&&(0,f.Et)(e.endTime)).map(e=>Object.assign(new t(0,0,""),e)));return{regions:s,cues:r}}(e,t,n);(0,c.A)(en,this,i),(0,c.A)(tn,this,s)}catch(s){(0,i.A)(sn,this,un).call(this,s)}}function dn(e){this.dispatchEvent(new f.vP("cue-change",{trigger:e}))}const hn=/captions|subtitles/;function fn(e){return hn.test(e.kind)}const pn=new f.Uw({artist:"",artwork:null,audioTrack:null,audioTracks:[],autoPlay:!1,autoPlayError:null,audioGain:null,buffered:new Et,canLoad:!1,canLoadPoster:!1,canFullscreen:!1,canOrientScreen:mt(),canPictureInPicture:!1,canPlay:!1,clipStartTime:0,clipEndTime:0,controls:!1,get iOSControls(){return ht&&"video"===this.mediaType&&(!this.playsInline||!f.jv.fullscreenEnabled&&this.fullscreen)},get nativeControls(){return this.controls||this.iOSControls},controlsVisible:!1,get controlsHidden(){return!this.controlsVisible},crossOrigin:null,ended:!1,error:null,fullscreen:!1,get loop(){return this.providedLoop||this.userPrefersLoop},logLevel:"silent",mediaType:"unknown",muted:!1,paused:!0,played:new Et,playing:!1,playsInline:!1,pictureInPicture:!1,preload:"metadata",playbackRate:1,qualities:[],quality:null,autoQuality:!1,canSetQuality:!0,canSetPlaybackRate:!0,canSetVolume:!1,canSetAudioGain:!1,seekable:new Et,seeking:!1,source:{src:"",type:""},sources:[],started:!1,textTracks:[],textTrack:null,get hasCaptions(){return this.textTracks.filter(fn).length>0},volume:1,waiting:!1,realCurrentTime:0,get currentTime(){return this.ended?this.duration:this.clipStartTime>0?Math.max(0,Math.min(this.realCurrentTime-this.clipStartTime,this.duration)):this.realCurrentTime},providedDuration:-1,intrinsicDuration:0,get duration(){return this.seekableWindow},get title(){return this.providedTitle||this.inferredTitle},get poster(){return this.providedPoster||this.inferredPoster},get viewType(){return"unknown"!==this.providedViewType?this.providedViewType:this.inferredViewType},get streamType(){return"unknown"!==this.providedStreamType?this.providedStreamType:this.inferredStreamType},get currentSrc(){return this.source},get bufferedStart(){var e;const t=null!==(e=Ct(this.buffered))&&void 0!==e?e:0;return Math.max(t,this.clipStartTime)},get bufferedEnd(){var e;const t=null!==(e=xt(this.buffered))&&void 0!==e?e:0;return Math.min(this.seekableEnd,Math.max(0,t-this.clipStartTime))},get bufferedWindow(){return Math.max(0,this.bufferedEnd-this.bufferedStart)},get seekableStart(){var e;if(this.isLiveDVR&&this.liveDVRWindow>0)return Math.max(0,this.seekableEnd-this.liveDVRWindow);const t=null!==(e=Ct(this.seekable))&&void 0!==e?e:0;return Math.max(t,this.clipStartTime)},get seekableEnd(){var e;if(this.providedDuration>0)return this.providedDuration;const t=this.liveSyncPosition>0?this.liveSyncPosition:this.canPlay?null!==(e=xt(this.seekable))&&void 0!==e?e:1/0:0;return this.clipEndTime>0?Math.min(this.clipEndTime,t):t},get seekableWindow(){const e=this.seekableEnd-this.seekableStart;return isNaN(e)?1/0:Math.max(0,e)},canAirPlay:!1,canGoogleCast:!1,remotePlaybackState:"disconnected",remotePlaybackType:"none",remotePlaybackLoader:null,remotePlaybackInfo:null,get isAirPlayConnected(){return"airplay"===this.remotePlaybackType&&"connected"===this.remotePlaybackState},get isGoogleCastConnected(){return"google-cast"===this.remotePlaybackType&&"connected"===this.remotePlaybackState},pointer:"fine",orientation:"landscape",width:0,height:0,mediaWidth:0,mediaHeight:0,lastKeyboardAction:null,userBehindLiveEdge:!1,liveEdgeTolerance:10,minLiveDVRWindow:60,get canSeek(){return/unknown|on-demand|:dvr/.test(this.streamType)&&Number.isFinite(this.duration)&&(!this.isLiveDVR||this.duration>=this.liveDVRWindow)},get live(){return this.streamType.includes("live")||!Number.isFinite(this.duration)},get liveEdgeStart(){return this.live&&Number.isFinite(this.seekableEnd)?Math.max(0,this.seekableEnd-this.liveEdgeTolerance):0},get liveEdge(){return this.live&&(!this.canSeek||!this.userBehindLiveEdge&&this.currentTime>=this.liveEdgeStart)},get liveEdgeWindow(){return this.live&&Number.isFinite(this.seekableEnd)?this.seekableEnd-this.liveEdgeStart:0},get isLiveDVR(){return/:dvr/.test(this.streamType)},get liveDVRWindow(){return Math.max(this.inferredLiveDVRWindow,this.minLiveDVRWindow)},autoPlaying:!1,providedTitle:"",inferredTitle:"",providedLoop:!1,userPrefersLoop:!1,providedPoster:"",inferredPoster:"",inferredViewType:"unknown",providedViewType:"unknown",providedStreamType:"unknown",inferredStreamType:"unknown",liveSyncPosition:null,inferredLiveDVRWindow:0,savedState:null}),mn=new Set(["autoPlayError","autoPlaying","buffered","canPlay","error","paused","played","playing","seekable","seeking","waiting"]),vn=new Set([...mn,"ended","inferredPoster","inferredStreamType","inferredTitle","intrinsicDuration","inferredLiveDVRWindow","liveSyncPosition","realCurrentTime","savedState","started","userBehindLiveEdge"]);function gn(e){const t=arguments.length>1&&void 0!==arguments[1]&&arguments[1]?mn:vn;pn.reset(e,e=>t.has(e)),(0,f.io)()}function yn(e,t){const n=e+t.clipStartTime(),i=Math.floor(e)===Math.floor(t.seekableStart()),s=Math.floor(n)===Math.floor(t.seekableEnd());return i?t.seekableStart():s?t.seekableEnd():t.isLiveDVR()&&t.liveDVRWindow()>0&&n<t.seekableEnd()-t.liveDVRWindow()?t.bufferedStart():Math.min(Math.max(t.seekableStart()+.1,n),t.seekableEnd()-.1)}const An=(0,f.q6)();function bn(){return(0,f.NT)(An)}var wn=new WeakMap,kn=new WeakMap,Sn=new WeakMap,En=new WeakMap,Cn=new WeakSet;class xn{constructor(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:void 0;(0,o.A)(this,Cn),(0,u.A)(this,wn,null),(0,u.A)(this,kn,null),(0,u.A)(this,Sn,-1),(0,u.A)(this,En,void 0),(0,c.A)(En,this,e)}setTarget(e){(0,c.A)(wn,this,e)}getPlayer(e){var t;return(0,d.A)(kn,this)||null===(t=null!==e&&void 0!==e?e:(0,d.A)(wn,this))||void 0===t||t.dispatchEvent(new f.vP("find-media-player",{detail:e=>{(0,c.A)(kn,this,e)},bubbles:!0,composed:!0})),(0,d.A)(kn,this)}setPlayer(e){(0,c.A)(kn,this,e)}startLoading(e){(0,i.A)(Cn,this,Tn).call(this,"media-start-loading",e)}startLoadingPoster(e){(0,i.A)(Cn,this,Tn).call(this,"media-poster-start-loading",e)}requestAirPlay(e){(0,i.A)(Cn,this,Tn).call(this,"media-airplay-request",e)}requestGoogleCast(e){(0,i.A)(Cn,this,Tn).call(this,"media-google-cast-request",e)}play(e){(0,i.A)(Cn,this,Tn).call(this,"media-play-request",e)}pause(e){(0,i.A)(Cn,this,Tn).call(this,"media-pause-request",e)}mute(e){(0,i.A)(Cn,this,Tn).call(this,"media-mute-request",e)}unmute(e){(0,i.A)(Cn,this,Tn).call(this,"media-unmute-request",e)}enterFullscreen(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-enter-fullscreen-request",t,e)}exitFullscreen(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-exit-fullscreen-request",t,e)}lockScreenOrientation(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-orientation-lock-request",t,e)}unlockScreenOrientation(e){(0,i.A)(Cn,this,Tn).call(this,"media-orientation-unlock-request",e)}enterPictureInPicture(e){(0,i.A)(Cn,this,Tn).call(this,"media-enter-pip-request",e)}exitPictureInPicture(e){(0,i.A)(Cn,this,Tn).call(this,"media-exit-pip-request",e)}seeking(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-seeking-request",t,e)}seek(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-seek-request",t,e)}seekToLiveEdge(e){(0,i.A)(Cn,this,Tn).call(this,"media-live-edge-request",e)}changeDuration(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-duration-change-request",t,e)}changeClipStart(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-clip-start-change-request",t,e)}changeClipEnd(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-clip-end-change-request",t,e)}changeVolume(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-volume-change-request",t,Math.max(0,Math.min(1,e)))}changeAudioTrack(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-audio-track-change-request",t,e)}changeQuality(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-quality-change-request",t,e)}requestAutoQuality(e){this.changeQuality(-1,e)}changeTextTrackMode(e,t,n){(0,i.A)(Cn,this,Tn).call(this,"media-text-track-change-request",n,{index:e,mode:t})}changePlaybackRate(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-rate-change-request",t,e)}changeAudioGain(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-audio-gain-change-request",t,e)}resumeControls(e){(0,i.A)(Cn,this,Tn).call(this,"media-resume-controls-request",e)}pauseControls(e){(0,i.A)(Cn,this,Tn).call(this,"media-pause-controls-request",e)}togglePaused(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);t&&(t.state.paused?this.play(e):this.pause(e))}toggleControls(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);t&&(t.controls.showing?t.controls.hide(0,e):t.controls.show(0,e))}toggleMuted(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);t&&(t.state.muted?this.unmute(e):this.mute(e))}toggleFullscreen(e,t){const n=this.getPlayer(null===t||void 0===t?void 0:t.target);n&&(n.state.fullscreen?this.exitFullscreen(e,t):this.enterFullscreen(e,t))}togglePictureInPicture(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);t&&(t.state.pictureInPicture?this.exitPictureInPicture(e):this.enterPictureInPicture(e))}showCaptions(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);if(!t)return;let n=t.state.textTracks,i=(0,d.A)(Sn,this);n[i]&&fn(n[i])||(i=-1),-1===i&&(i=n.findIndex(e=>fn(e)&&e.default)),-1===i&&(i=n.findIndex(e=>fn(e))),i>=0&&this.changeTextTrackMode(i,"showing",e),(0,c.A)(Sn,this,-1)}disableCaptions(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);if(!t)return;const n=t.state.textTracks,i=t.state.textTrack;if(i){const t=n.indexOf(i);this.changeTextTrackMode(t,"disabled",e),(0,c.A)(Sn,this,t)}}toggleCaptions(e){const t=this.getPlayer(null===e||void 0===e?void 0:e.target);t&&(t.state.textTrack?this.disableCaptions():this.showCaptions())}userPrefersLoopChange(e,t){(0,i.A)(Cn,this,Tn).call(this,"media-user-loop-change-request",t,e)}}function Tn(e,t,n){var i,s,r;const a=new f.vP(e,{bubbles:!0,composed:!0,cancelable:!0,detail:n,trigger:t});let o=(null===t||void 0===t?void 0:t.target)||null;o&&o instanceof f.uA&&(o=o.el);const l=!o||o===document||o===window||o===document.body||(null===(i=(0,d.A)(kn,this))||void 0===i?void 0:i.el)&&o instanceof Node&&!(0,d.A)(kn,this).el.contains(o);var u,c;(o=l?null!==(s=(0,d.A)(wn,this))&&void 0!==s?s:null===(r=this.getPlayer())||void 0===r?void 0:r.el:null!==o&&void 0!==o?o:(0,d.A)(wn,this),(0,d.A)(kn,this))?"media-play-request"!==e||(0,d.A)(kn,this).state.canLoad?(0,d.A)(kn,this).canPlayQueue.enqueue(e,()=>{var e;return null===(e=o)||void 0===e?void 0:e.dispatchEvent(a)}):null===(u=o)||void 0===u||u.dispatchEvent(a):null===(c=o)||void 0===c||c.dispatchEvent(a)}var Pn=new WeakMap;class Mn{constructor(){(0,l.A)(this,"playerId","vds-player"),(0,l.A)(this,"mediaId",null),(0,u.A)(this,Pn,{volume:null,muted:null,audioGain:null,time:null,lang:null,captions:null,rate:null,quality:null}),(0,l.A)(this,"saveTimeThrottled",(0,f.z3)(this.saveTime.bind(this),1e3))}async getVolume(){return(0,d.A)(Pn,this).volume}async setVolume(e){(0,d.A)(Pn,this).volume=e,this.save()}async getMuted(){return(0,d.A)(Pn,this).muted}async setMuted(e){(0,d.A)(Pn,this).muted=e,this.save()}async getTime(){return(0,d.A)(Pn,this).time}async setTime(e,t){const n=e<0;(0,d.A)(Pn,this).time=n?null:e,n||t?this.saveTime():this.saveTimeThrottled()}async getLang(){return(0,d.A)(Pn,this).lang}async setLang(e){(0,d.A)(Pn,this).lang=e,this.save()}async getCaptions(){return(0,d.A)(Pn,this).captions}async setCaptions(e){(0,d.A)(Pn,this).captions=e,this.save()}async getPlaybackRate(){return(0,d.A)(Pn,this).rate}async setPlaybackRate(e){(0,d.A)(Pn,this).rate=e,this.save()}async getAudioGain(){return(0,d.A)(Pn,this).audioGain}async setAudioGain(e){(0,d.A)(Pn,this).audioGain=e,this.save()}async getVideoQuality(){return(0,d.A)(Pn,this).quality}async setVideoQuality(e){(0,d.A)(Pn,this).quality=e,this.save()}onChange(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"vds-player";const i=n?localStorage.getItem(n):null,s=t?localStorage.getItem(t):null;this.playerId=n,this.mediaId=t,(0,c.A)(Pn,this,(0,a.A)((0,a.A)({volume:null,muted:null,audioGain:null,lang:null,captions:null,rate:null,quality:null},i?JSON.parse(i):{}),{},{time:s?+s:null}))}save(){if(ut||!this.playerId)return;const e=JSON.stringify((0,a.A)((0,a.A)({},(0,d.A)(Pn,this)),{},{time:void 0}));localStorage.setItem(this.playerId,e)}saveTime(){var e;if(ut||!this.mediaId)return;const t=(null!==(e=(0,d.A)(Pn,this).time)&&void 0!==e?e:0).toString();localStorage.setItem(this.mediaId,t)}}const $n={add:Symbol(0),remove:Symbol(0),reset:Symbol(0),select:Symbol(0),readonly:Symbol(0),setReadonly:Symbol(0),onReset:Symbol(0),onRemove:Symbol(0),onUserSelect:Symbol(0)};Ze=$n.readonly,Qe=$n.add,Ge=$n.remove,Ke=$n.reset,Xe=$n.setReadonly;class Ln extends f.zv{constructor(){super(...arguments),(0,l.A)(this,"items",[]),(0,l.A)(this,Ze,!1)}get length(){return this.items.length}get readonly(){return this[$n.readonly]}indexOf(e){return this.items.indexOf(e)}getById(e){var t;return""===e?null:null!==(t=this.items.find(t=>t.id===e))&&void 0!==t?t:null}toArray(){return[...this.items]}[Symbol.iterator](){return this.items.values()}[Qe](e,t){const n=this.items.length;""+n in this||Object.defineProperty(this,n,{get(){return this.items[n]}}),this.items.includes(e)||(this.items.push(e),this.dispatchEvent(new f.vP("add",{detail:e,trigger:t})))}[Ge](e,t){const n=this.items.indexOf(e);var i;n>=0&&(null===(i=this[$n.onRemove])||void 0===i||i.call(this,e,t),this.items.splice(n,1),this.dispatchEvent(new f.vP("remove",{detail:e,trigger:t})))}[Ke](e){var t;for(const n of[...this.items])this[$n.remove](n,e);this.items=[],this[$n.setReadonly](!1,e),null===(t=this[$n.onReset])||void 0===t||t.call(this)}[Xe](e,t){this[$n.readonly]!==e&&(this[$n.readonly]=e,this.dispatchEvent(new f.vP("readonly-change",{detail:e,trigger:t})))}}const Nn=Symbol(0);class Dn extends Ln{get selected(){var e;return null!==(e=this.items.find(e=>e.selected))&&void 0!==e?e:null}get selectedIndex(){return this.items.findIndex(e=>e.selected)}[$n.onRemove](e,t){this[$n.select](e,!1,t)}[$n.add](e,t){e[Nn]=!1,Object.defineProperty(e,"selected",{get(){return this[Nn]},set:t=>{var n;this.readonly||(null===(n=this[$n.onUserSelect])||void 0===n||n.call(this),this[$n.select](e,t))}}),super[$n.add](e,t)}[$n.select](e,t,n){if(t===(null===e||void 0===e?void 0:e[Nn]))return;const i=this.selected;e&&(e[Nn]=t);(t?i!==e:i===e)&&(i&&(i[Nn]=!1),this.dispatchEvent(new f.vP("change",{detail:{prev:i,current:this.selected},trigger:n})))}}class Fn extends Dn{}function Vn(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:2;return Number(e.toFixed(t))}function Rn(e){var t,n;return null!==(t=null===(n=String(e).split(".")[1])||void 0===n?void 0:n.length)&&void 0!==t?t:0}function On(e,t,n){return Math.max(e,Math.min(n,t))}function Wn(e,t){const n=t.composedPath()[0];return(0,f.vA)(n)&&e.contains(n)}const In=new Set;if(!ut){let e=function(){for(const e of In)try{e()}catch(t){}window.requestAnimationFrame(e)};e()}function zn(e,t,n){e.hasAttribute(t)||e.setAttribute(t,n)}function Bn(e,t){function n(){(0,f.Bq)(e,"aria-label",t())}e.hasAttribute("aria-label")||e.hasAttribute("data-no-label")||((0,f.Tn)(t)?ut?n():(0,f.QZ)(n):(0,f.Bq)(e,"aria-label",t))}function _n(e){const t=getComputedStyle(e);return"none"!==t.display&&parseInt(t.opacity)>0}function qn(e,t){return n=()=>t(function(e){return!!e&&("checkVisibility"in e?e.checkVisibility({checkOpacity:!0,checkVisibilityCSS:!0}):_n(e))}(e)),In.add(n),()=>In.delete(n);var n}function jn(e,t,n){for(;t;){if(t===e)return!0;if(null!==n&&void 0!==n&&n(t))break;t=t.parentElement}return!1}function Un(e,t){return new f.En(e).add("pointerup",e=>{0!==e.button||e.defaultPrevented||t(e)}).add("keydown",e=>{(0,f.SK)(e)&&t(e)})}function Hn(e){return(0,f.kH)(e)&&(e.touches.length>1||e.changedTouches.length>1)}function Zn(e){if(ut)return e();let t=(0,f.Xf)(),n=window.requestAnimationFrame(()=>{(0,f.P1)(e,t),n=-1});return()=>{window.cancelAnimationFrame(n)}}function Qn(e,t,n,i){let{offsetVarName:s,xOffset:o,yOffset:l}=i,u=(0,r.A)(i,Oe);if(!e)return;const c=n.replace(" ","-").replace("-center","");if((0,f.eC)(e,"visibility",t?null:"hidden"),!t)return;let d=n.includes("top");const h=e=>n.includes("left")?"calc(-1 * ".concat(e,")"):e,p=e=>d?"calc(-1 * ".concat(e,")"):e;return De(t,e,()=>{var i;Re(t,e,(0,a.A)({placement:c,middleware:[...null!==(i=u.middleware)&&void 0!==i?i:[],Ve({fallbackAxisSideDirection:"start",crossAxis:!1}),Fe()]},u)).then(t=>{var i;let{x:r,y:a,middlewareData:u}=t;const c=!(null===(i=u.flip)||void 0===i||!i.index);d=n.includes(c?"bottom":"top"),e.setAttribute("data-placement",c?n.startsWith("top")?n.replace("top","bottom"):n.replace("bottom","top"):n),Object.assign(e.style,{top:"calc(".concat(a+"px"," + ").concat(p(l?l+"px":"var(--".concat(s,"-y-offset, 0px)")),")"),left:"calc(".concat(r+"px"," + ").concat(h(o?o+"px":"var(--".concat(s,"-x-offset, 0px)")),")")})})})}function Gn(e){return e instanceof HTMLElement}var Kn=new WeakMap,Xn=new WeakMap,Yn=new WeakMap,Jn=new WeakMap,ei=new WeakSet;class ti{constructor(){(0,o.A)(this,ei),(0,l.A)(this,"priority",0),(0,u.A)(this,Kn,!0),(0,u.A)(this,Xn,null),(0,u.A)(this,Yn,null),(0,u.A)(this,Jn,new Set)}canRender(e,t){return!!t}attach(e){(0,c.A)(Xn,this,e),e&&(e.textTracks.onchange=(0,i.A)(ei,this,ri).bind(this))}addTrack(e){(0,d.A)(Jn,this).add(e),(0,i.A)(ei,this,ni).call(this,e)}removeTrack(e){var t,n;null===(t=e[Zt.native])||void 0===t||null===(n=t.remove)||void 0===n||n.call(t),e[Zt.native]=null,(0,d.A)(Jn,this).delete(e)}changeTrack(e){const t=null===e||void 0===e?void 0:e[Zt.native];t&&"showing"!==t.track.mode&&(t.track.mode="showing"),(0,c.A)(Yn,this,e)}setDisplay(e){(0,c.A)(Kn,this,e),(0,i.A)(ei,this,ri).call(this)}detach(){(0,d.A)(Xn,this)&&((0,d.A)(Xn,this).textTracks.onchange=null);for(const e of(0,d.A)(Jn,this))this.removeTrack(e);(0,d.A)(Jn,this).clear(),(0,c.A)(Xn,this,null),(0,c.A)(Yn,this,null)}}function ni(e){var t,n;if(!(0,d.A)(Xn,this))return;const s=null!==(n=e[t=Zt.native])&&void 0!==n?n:e[t]=(0,i.A)(ei,this,ii).call(this,e);Gn(s)&&((0,d.A)(Xn,this).append(s),s.track.mode=s.default?"showing":"disabled")}function ii(e){const t=document.createElement("track"),n=e.default||"showing"===e.mode,s=e.src&&"vtt"===e.type;return t.id=e.id,t.src=s?e.src:"",t.label=e.label,t.kind=e.kind,t.default=n,e.language&&(t.srclang=e.language),n&&!s&&(0,i.A)(ei,this,si).call(this,e,t.track),t}function si(e,t){var n;if(!(e.src&&"vtt"===e.type||null!==(n=t.cues)&&void 0!==n&&n.length))for(const i of e.cues)t.addCue(i)}function ri(e){for(const t of(0,d.A)(Jn,this)){const n=t[Zt.native];if(!n)continue;if(!(0,d.A)(Kn,this)){n.track.mode=n.managed?"hidden":"disabled";continue}const s="showing"===n.track.mode;s&&(0,i.A)(ei,this,si).call(this,t,n.track),t.setMode(s?"showing":"disabled",e)}}var ai=new WeakMap,oi=new WeakMap,li=new WeakMap,ui=new WeakMap,ci=new WeakMap,di=new WeakMap,hi=new WeakMap,fi=new WeakSet;class pi{constructor(e){(0,o.A)(this,fi),(0,u.A)(this,ai,null),(0,u.A)(this,oi,void 0),(0,u.A)(this,li,[]),(0,u.A)(this,ui,void 0),(0,u.A)(this,ci,!1),(0,u.A)(this,di,null),(0,u.A)(this,hi,null),(0,c.A)(ui,this,e);const t=e.textTracks;(0,c.A)(oi,this,t),(0,f.QZ)((0,i.A)(fi,this,mi).bind(this)),(0,f.zp)((0,i.A)(fi,this,wi).bind(this)),new f.En(t).add("add",(0,i.A)(fi,this,yi).bind(this)).add("remove",(0,i.A)(fi,this,Ai).bind(this)).add("mode-change",(0,i.A)(fi,this,bi).bind(this))}add(e){(0,d.A)(li,this).push(e),(0,f.vz)((0,i.A)(fi,this,bi).bind(this))}remove(e){e.detach(),(0,d.A)(li,this).splice((0,d.A)(li,this).indexOf(e),1),(0,f.vz)((0,i.A)(fi,this,bi).bind(this))}attachVideo(e){requestAnimationFrame(()=>{if((0,c.A)(ai,this,e),e){(0,c.A)(di,this,new ti),(0,d.A)(di,this).attach(e);for(const e of(0,d.A)(oi,this))(0,i.A)(fi,this,vi).call(this,e)}(0,i.A)(fi,this,bi).call(this)})}}function mi(){const{nativeControls:e}=(0,d.A)(ui,this).$state;(0,c.A)(ci,this,e()),(0,i.A)(fi,this,bi).call(this)}function vi(e){var t;fn(e)&&(null===(t=(0,d.A)(di,this))||void 0===t||t.addTrack(e))}function gi(e){var t;fn(e)&&(null===(t=(0,d.A)(di,this))||void 0===t||t.removeTrack(e))}function yi(e){(0,i.A)(fi,this,vi).call(this,e.detail)}function Ai(e){(0,i.A)(fi,this,gi).call(this,e.detail)}function bi(){var e,t;const n=(0,d.A)(oi,this).selected;var i,s,r,a;if((0,d.A)(ai,this)&&((0,d.A)(ci,this)||null!==n&&void 0!==n&&n[Zt.nativeHLS]))return null===(i=(0,d.A)(hi,this))||void 0===i||i.changeTrack(null),null===(s=(0,d.A)(di,this))||void 0===s||s.setDisplay(!0),void(null===(r=(0,d.A)(di,this))||void 0===r||r.changeTrack(n));if(null===(e=(0,d.A)(di,this))||void 0===e||e.setDisplay(!1),null===(t=(0,d.A)(di,this))||void 0===t||t.changeTrack(null),!n)return void(null===(a=(0,d.A)(hi,this))||void 0===a||a.changeTrack(null));const o=(0,d.A)(li,this).sort((e,t)=>e.priority-t.priority).find(e=>e.canRender(n,(0,d.A)(ai,this)));var l;(0,d.A)(hi,this)!==o&&(null===(l=(0,d.A)(hi,this))||void 0===l||l.detach(),null===o||void 0===o||o.attach((0,d.A)(ai,this)),(0,c.A)(hi,this,null!==o&&void 0!==o?o:null));null===o||void 0===o||o.changeTrack(n)}function wi(){var e,t;null===(e=(0,d.A)(di,this))||void 0===e||e.detach(),(0,c.A)(di,this,null),null===(t=(0,d.A)(hi,this))||void 0===t||t.detach(),(0,c.A)(hi,this,null)}var ki=new WeakMap,Si=new WeakMap,Ei=new WeakMap,Ci=new WeakMap,xi=new WeakMap,Ti=new WeakMap,Pi=new WeakMap,Mi=new WeakSet;Ye=Zt.crossOrigin,Je=Zt.canLoad;class $i extends Ln{constructor(){super(),(0,o.A)(this,Mi),(0,u.A)(this,ki,!1),(0,u.A)(this,Si,{}),(0,u.A)(this,Ei,null),(0,u.A)(this,Ci,null),(0,l.A)(this,Ye,void 0),(0,u.A)(this,xi,(0,f.IO)(async()=>{var e;if(!(0,d.A)(ki,this))return;!(0,d.A)(Ci,this)&&(0,d.A)(Ei,this)&&(0,c.A)(Ci,this,await(0,d.A)(Ei,this).getLang());const t=await(null===(e=(0,d.A)(Ei,this))||void 0===e?void 0:e.getCaptions()),n=[["captions","subtitles"],"chapters","descriptions","metadata"];for(const s of n){const e=this.getByKind(s);if(e.find(e=>"showing"===e.mode))continue;const n=(0,d.A)(Ci,this)?e.find(e=>e.language===(0,d.A)(Ci,this)):null,r=(0,f.cy)(s)?(0,d.A)(Si,this)[s.find(e=>(0,d.A)(Si,this)[e])||""]:(0,d.A)(Si,this)[s],a=null!==n&&void 0!==n?n:r,o=a&&fn(a);!a||o&&!1===t||(a.mode="showing",o&&(0,i.A)(Mi,this,Ni).call(this,a))}},300)),(0,u.A)(this,Ti,null),(0,u.A)(this,Pi,(0,i.A)(Mi,this,Li).bind(this))}get selected(){const e=this.items.find(e=>"showing"===e.mode&&fn(e));return null!==e&&void 0!==e?e:null}get selectedIndex(){const e=this.selected;return e?this.indexOf(e):-1}get preferredLang(){return(0,d.A)(Ci,this)}set preferredLang(e){(0,c.A)(Ci,this,e),(0,i.A)(Mi,this,Di).call(this,e)}add(e,t){const n=e instanceof rn?e:new rn(e),i="captions"===e.kind||"subtitles"===e.kind?"captions":e.kind;return(0,d.A)(Si,this)[i]&&e.default&&delete e.default,n.addEventListener("mode-change",(0,d.A)(Pi,this)),this[$n.add](n,t),n[Zt.crossOrigin]=this[Zt.crossOrigin],(0,d.A)(ki,this)&&n[Zt.canLoad](),e.default&&((0,d.A)(Si,this)[i]=n),(0,d.A)(xi,this).call(this),this}remove(e,t){if((0,c.A)(Ti,this,e),this.items.includes(e))return e===(0,d.A)(Si,this)[e.kind]&&delete(0,d.A)(Si,this)[e.kind],e.mode="disabled",e[Zt.onModeChange]=null,e.removeEventListener("mode-change",(0,d.A)(Pi,this)),this[$n.remove](e,t),(0,c.A)(Ti,this,null),this}clear(e){for(const t of[...this.items])this.remove(t,e);return this}getByKind(e){const t=Array.isArray(e)?e:[e];return this.items.filter(e=>t.includes(e.kind))}[Je](){if(!(0,d.A)(ki,this)){for(const e of this.items)e[Zt.canLoad]();(0,c.A)(ki,this,!0),(0,d.A)(xi,this).call(this)}}setStorage(e){(0,c.A)(Ei,this,e)}}function Li(e){const t=e.detail;if((0,d.A)(Ei,this)&&fn(t)&&t!==(0,d.A)(Ti,this)&&(0,i.A)(Mi,this,Ni).call(this,t),"showing"===t.mode){const e=fn(t)?["captions","subtitles"]:[t.kind];for(const n of this.items)"showing"===n.mode&&n!=t&&e.includes(n.kind)&&(n.mode="disabled")}this.dispatchEvent(new f.vP("mode-change",{detail:e.detail,trigger:e}))}function Ni(e){var t,n;"disabled"!==e.mode&&(0,i.A)(Mi,this,Di).call(this,e.language),null===(t=(0,d.A)(Ei,this))||void 0===t||null===(n=t.setCaptions)||void 0===n||n.call(t,"showing"===e.mode)}function Di(e){var t,n;null===(t=(0,d.A)(Ei,this))||void 0===t||null===(n=t.setLang)||void 0===n||n.call(t,(0,c.A)(Ci,this,e))}const Fi={setAuto:Symbol(0),enableAuto:Symbol(0)};var Vi=new WeakMap;et=Fi.enableAuto,tt=$n.onUserSelect,nt=$n.onReset,it=Fi.setAuto;class Ri extends Dn{constructor(){super(...arguments),(0,u.A)(this,Vi,!1),(0,l.A)(this,"switch","current"),(0,l.A)(this,et,void 0)}get auto(){return(0,d.A)(Vi,this)||this.readonly}[tt](){this[Fi.setAuto](!1)}[nt](e){this[Fi.enableAuto]=void 0,this[Fi.setAuto](!1,e)}autoSelect(e){var t;this.readonly||(0,d.A)(Vi,this)||!this[Fi.enableAuto]||(null===(t=this[Fi.enableAuto])||void 0===t||t.call(this,e),this[Fi.setAuto](!0,e))}getBySrc(e){return this.items.find(t=>t.src===e)}[it](e,t){(0,d.A)(Vi,this)!==e&&((0,c.A)(Vi,this,e),this.dispatchEvent(new f.vP("auto-change",{detail:e,trigger:t})))}}function Oi(e,t){return[...e].sort(t?Ii:Wi)}function Wi(e,t){var n,i;return e.height===t.height?(null!==(n=e.bitrate)&&void 0!==n?n:0)-(null!==(i=t.bitrate)&&void 0!==i?i:0):e.height-t.height}function Ii(e,t){var n,i;return t.height===e.height?(null!==(n=t.bitrate)&&void 0!==n?n:0)-(null!==(i=e.bitrate)&&void 0!==i?i:0):t.height-e.height}function zi(e){return function(e){return!ut&&e instanceof HTMLAudioElement}(e)||function(e){return!ut&&e instanceof HTMLVideoElement}(e)}class Bi extends f.WO{}const _i=new Set(["Shift","Alt","Meta","Ctrl"]),qi='input, textarea, select, [contenteditable], [role^="menuitem"], [role="timer"]';var ji=new WeakMap,Ui=new WeakSet,Hi=new WeakMap,Zi=new WeakMap;class Qi extends Bi{constructor(e){super(),(0,o.A)(this,Ui),(0,u.A)(this,ji,void 0),(0,u.A)(this,Hi,void 0),(0,u.A)(this,Zi,null),(0,c.A)(ji,this,e)}onConnect(){(0,f.QZ)((0,i.A)(Ui,this,Gi).bind(this))}}function Gi(){const{keyDisabled:e,keyTarget:t}=this.$props;if(e())return;const n="player"===t()?this.el:document,s=(0,f.O)(!1);n===this.el?new f.En(this.el).add("focusin",()=>s.set(!0)).add("focusout",e=>{this.el.contains(e.target)||s.set(!1)}):((0,f.se)(s)||s.set(document.querySelector("[data-media-player]")===this.el),(0,f.k6)(document,"focusin",e=>{const t=e.composedPath().find(e=>e instanceof Element&&"media-player"===e.localName);void 0!==t&&s.set(this.el===t)})),(0,f.QZ)(()=>{s()&&new f.En(n).add("keyup",(0,i.A)(Ui,this,Ki).bind(this)).add("keydown",(0,i.A)(Ui,this,Xi).bind(this)).add("keydown",(0,i.A)(Ui,this,Yi).bind(this),{capture:!0})})}function Ki(e){const t=document.activeElement;if(!e.key||!this.$state.canSeek()||null!==t&&void 0!==t&&t.matches(qi))return;let{method:n,value:s}=(0,i.A)(Ui,this,Ji).call(this,e);var r,a;if(!(0,f.Kg)(s)&&!(0,f.cy)(s))return null===s||void 0===s||null===(r=s.onKeyUp)||void 0===r||r.call(s,{event:e,player:(0,d.A)(ji,this).player,remote:(0,d.A)(ji,this).remote}),void(null===s||void 0===s||null===(a=s.callback)||void 0===a||a.call(s,e,(0,d.A)(ji,this).remote));if(null!==n&&void 0!==n&&n.startsWith("seek")&&(e.preventDefault(),e.stopPropagation(),(0,d.A)(Zi,this)?((0,i.A)(Ui,this,ts).call(this,e,"seekForward"===n),(0,c.A)(Zi,this,null)):((0,d.A)(ji,this).remote.seek((0,d.A)(Hi,this),e),(0,c.A)(Hi,this,void 0))),null!==n&&void 0!==n&&n.startsWith("volume")){const t=this.el.querySelector("[data-media-volume-slider]");null===t||void 0===t||t.dispatchEvent(new KeyboardEvent("keyup",{key:"volumeUp"===n?"Up":"Down",shiftKey:e.shiftKey,trigger:e}))}}function Xi(e){var t,n;if(!e.key||_i.has(e.key))return;const s=document.activeElement;if(null!==s&&void 0!==s&&s.matches(qi)||(0,f.SK)(e)&&null!==s&&void 0!==s&&s.matches('button, [role="button"]'))return;let{method:r,value:a}=(0,i.A)(Ui,this,Ji).call(this,e),o=!e.metaKey&&/^[0-9]$/.test(e.key);var l,u;if(!(0,f.Kg)(a)&&!(0,f.cy)(a)&&!o)return null===a||void 0===a||null===(l=a.onKeyDown)||void 0===l||l.call(a,{event:e,player:(0,d.A)(ji,this).player,remote:(0,d.A)(ji,this).remote}),void(null===a||void 0===a||null===(u=a.callback)||void 0===u||u.call(a,e,(0,d.A)(ji,this).remote));if(!r&&o&&!function(e){for(const t of _i)if(e[t.toLowerCase()+"Key"])return!0;return!1}(e))return e.preventDefault(),e.stopPropagation(),void(0,d.A)(ji,this).remote.seek(this.$state.duration()/10*Number(e.key),e);if(r){switch(e.preventDefault(),e.stopPropagation(),r){case"seekForward":case"seekBackward":(0,i.A)(Ui,this,ns).call(this,e,r,"seekForward"===r);break;case"volumeUp":case"volumeDown":const s=this.el.querySelector("[data-media-volume-slider]");if(s)s.dispatchEvent(new KeyboardEvent("keydown",{key:"volumeUp"===r?"Up":"Down",shiftKey:e.shiftKey,trigger:e}));else{const t=e.shiftKey?.1:.05;(0,d.A)(ji,this).remote.changeVolume(this.$state.volume()+("volumeUp"===r?+t:-t),e)}break;case"toggleFullscreen":(0,d.A)(ji,this).remote.toggleFullscreen("prefer-media",e);break;case"speedUp":case"slowDown":const a=this.$state.playbackRate();(0,d.A)(ji,this).remote.changePlaybackRate(Math.max(.25,Math.min(2,a+("speedUp"===r?.25:-.25))),e);break;default:null===(t=(n=(0,d.A)(ji,this).remote)[r])||void 0===t||t.call(n,e)}this.$state.lastKeyboardAction.set({action:r,event:e})}}function Yi(e){zi(e.target)&&(0,i.A)(Ui,this,Ji).call(this,e).method&&e.preventDefault()}function Ji(e){const t=(0,a.A)((0,a.A)({},this.$props.keyShortcuts()),(0,d.A)(ji,this).ariaKeys),n=Object.keys(t).find(n=>{var i;const s=t[n],r=(0,f.cy)(s)?s.join(" "):(0,f.Kg)(s)?s:null===s||void 0===s?void 0:s.keys,a=null===(i=(0,f.cy)(r)?r:null===r||void 0===r?void 0:r.split(" "))||void 0===i?void 0:i.map(e=>function(e){return e.replace(/Shift\+(\d)/g,(e,t)=>is[t-1])}(e).replace(/Control/g,"Ctrl").split("+"));return null===a||void 0===a?void 0:a.some(t=>{const n=new Set(t.filter(e=>_i.has(e)));for(const i of _i){const t=i.toLowerCase()+"Key";if(!n.has(i)&&e[t])return!1}return t.every(t=>_i.has(t)?e[t.toLowerCase()+"Key"]:e.key===t.replace("Space"," "))})});return{method:n,value:n?t[n]:null}}function es(e,t){var n;const i=e.shiftKey?10:5;return(0,c.A)(Hi,this,Math.max(0,Math.min((null!==(n=(0,d.A)(Hi,this))&&void 0!==n?n:this.$state.currentTime())+("seekForward"===t?+i:-i),this.$state.duration())))}function ts(e,t){var n;null===(n=(0,d.A)(Zi,this))||void 0===n||n.dispatchEvent(new KeyboardEvent(e.type,{key:t?"Right":"Left",shiftKey:e.shiftKey,trigger:e}))}function ns(e,t,n){this.$state.canSeek()&&((0,d.A)(Zi,this)||(0,c.A)(Zi,this,this.el.querySelector("[data-media-time-slider]")),(0,d.A)(Zi,this)?(0,i.A)(Ui,this,ts).call(this,e,n):(0,d.A)(ji,this).remote.seeking((0,i.A)(Ui,this,es).call(this,e,t),e))}const is=["!","@","#","$","%","^","&","*","(",")"];var ss=new WeakMap;class rs extends f.WO{constructor(e){super(),(0,u.A)(this,ss,void 0),(0,c.A)(ss,this,e)}onAttach(e){const{$props:t,ariaKeys:n}=bn(),i=e.getAttribute("aria-keyshortcuts");if(i)return n[(0,d.A)(ss,this)]=i,void(ut||(0,f.zp)(()=>{delete n[(0,d.A)(ss,this)]}));const s=t.keyShortcuts()[(0,d.A)(ss,this)];if(s){const t=(0,f.cy)(s)?s.join(" "):(0,f.Kg)(s)?s:null===s||void 0===s?void 0:s.keys;e.setAttribute("aria-keyshortcuts",(0,f.cy)(t)?t.join(" "):t)}}}var as=new WeakMap,os=new WeakMap,ls=new WeakMap,us=new WeakMap,cs=new WeakMap,ds=new WeakMap,hs=new WeakSet;class fs extends Bi{constructor(){super(...arguments),(0,o.A)(this,hs),(0,u.A)(this,as,-2),(0,u.A)(this,os,!1),(0,u.A)(this,ls,(0,f.O)(!1)),(0,u.A)(this,us,(0,f.O)(!1)),(0,u.A)(this,cs,null),(0,u.A)(this,ds,(0,f.O)(!0)),(0,l.A)(this,"defaultDelay",2e3)}get canIdle(){return(0,d.A)(ds,this).call(this)}set canIdle(e){(0,d.A)(ds,this).set(e)}get hideOnMouseLeave(){const{hideControlsOnMouseLeave:e}=this.$props;return(0,d.A)(ls,this).call(this)||e()}set hideOnMouseLeave(e){(0,d.A)(ls,this).set(e)}get showing(){return this.$state.controlsVisible()}show(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:0,t=arguments.length>1?arguments[1]:void 0;(0,i.A)(hs,this,ks).call(this),(0,d.A)(os,this)||(0,i.A)(hs,this,Es).call(this,!0,e,t)}hide(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:this.defaultDelay,t=arguments.length>1?arguments[1]:void 0;(0,i.A)(hs,this,ks).call(this),(0,d.A)(os,this)||(0,i.A)(hs,this,Es).call(this,!1,e,t)}pause(e){(0,c.A)(os,this,!0),(0,i.A)(hs,this,ks).call(this),(0,i.A)(hs,this,Es).call(this,!0,0,e)}resume(e){(0,c.A)(os,this,!1),this.$state.paused()||(0,i.A)(hs,this,Es).call(this,!1,this.defaultDelay,e)}onConnect(){(0,f.QZ)((0,i.A)(hs,this,ps).bind(this))}}function ps(){const{viewType:e}=this.$state;if(!this.el||!(0,d.A)(ds,this).call(this))return;if("audio"===e())return void this.show();(0,f.QZ)((0,i.A)(hs,this,ms).bind(this)),(0,f.QZ)((0,i.A)(hs,this,vs).bind(this));const t=(0,i.A)(hs,this,gs).bind(this),n=(0,i.A)(hs,this,ys).bind(this),s=(0,i.A)(hs,this,As).bind(this);new f.En(this.el).add("can-play",e=>this.show(0,e)).add("play",t).add("pause",n).add("end",s).add("auto-play-fail",n)}function ms(){if(!this.el)return;const{started:e,pointer:t,paused:n}=this.$state;if(!e()||"fine"!==t())return;const s=new f.En(this.el),r=this.hideOnMouseLeave;r&&(0,d.A)(us,this).call(this)||(0,f.QZ)(()=>{n()||s.add("pointermove",(0,i.A)(hs,this,Ss).bind(this))}),r&&s.add("mouseenter",(0,i.A)(hs,this,bs).bind(this)).add("mouseleave",(0,i.A)(hs,this,ws).bind(this))}function vs(){const{paused:e,started:t,autoPlayError:n}=this.$state;if(e()||n()&&!t())return;const s=(0,i.A)(hs,this,Ss).bind(this);(0,f.QZ)(()=>{if(!this.el)return;const e="coarse"===this.$state.pointer(),t=new f.En(this.el),n=[e?"touchend":"pointerup","keydown"];for(const i of n)t.add(i,s,{passive:!1})})}function gs(e){e.triggers.hasType("ended")||(this.show(0,e),this.hide(void 0,e))}function ys(e){this.show(0,e)}function As(e){const{loop:t}=this.$state;t()&&this.hide(0,e)}function bs(e){(0,d.A)(us,this).set(!1),this.show(0,e),this.hide(void 0,e)}function ws(e){(0,d.A)(us,this).set(!0),this.hide(0,e)}function ks(){window.clearTimeout((0,d.A)(as,this)),(0,c.A)(as,this,-1)}function Ss(e){if(!(e.MEDIA_GESTURE||(0,d.A)(os,this)||Hn(e))){var t;if((0,f.kx)(e))if("Escape"===e.key)null===(t=this.el)||void 0===t||t.focus(),(0,c.A)(cs,this,null);else(0,d.A)(cs,this)&&(e.preventDefault(),requestAnimationFrame(()=>{var e;null===(e=(0,d.A)(cs,this))||void 0===e||e.focus(),(0,c.A)(cs,this,null)}));this.show(0,e),this.hide(this.defaultDelay,e)}}function Es(e,t,n){0!==t?(0,c.A)(as,this,window.setTimeout(()=>{this.scope&&(0,i.A)(hs,this,Cs).call(this,e&&!(0,d.A)(os,this),n)},t)):(0,i.A)(hs,this,Cs).call(this,e,n)}function Cs(e,t){var n;this.$state.controlsVisible()!==e&&(this.$state.controlsVisible.set(e),!e&&document.activeElement&&null!==(n=this.el)&&void 0!==n&&n.contains(document.activeElement)&&((0,c.A)(cs,this,document.activeElement),requestAnimationFrame(()=>{var e;null===(e=this.el)||void 0===e||e.focus({preventScroll:!0})})),this.dispatch("controls-change",{detail:e,trigger:t}))}const xs=f.jv.fullscreenEnabled;var Ts=new WeakMap,Ps=new WeakMap,Ms=new WeakSet;class $s extends f.WO{constructor(){super(...arguments),(0,o.A)(this,Ms),(0,u.A)(this,Ts,!1),(0,u.A)(this,Ps,!1)}get active(){return(0,d.A)(Ps,this)}get supported(){return xs}onConnect(){new f.En(f.jv).add("fullscreenchange",(0,i.A)(Ms,this,Ns).bind(this)).add("fullscreenerror",(0,i.A)(Ms,this,Ds).bind(this)),(0,f.zp)((0,i.A)(Ms,this,Ls).bind(this))}async enter(){try{if((0,c.A)(Ts,this,!0),!this.el||Fs(this.el))return;return Vs(),f.jv.requestFullscreen(this.el)}catch(e){throw(0,c.A)(Ts,this,!1),e}}async exit(){if(this.el&&Fs(this.el))return Vs(),f.jv.exitFullscreen()}}async function Ls(){xs&&await this.exit()}function Ns(e){const t=Fs(this.el);t!==(0,d.A)(Ps,this)&&(t||(0,c.A)(Ts,this,!1),(0,c.A)(Ps,this,t),this.dispatch("fullscreen-change",{detail:t,trigger:e}))}function Ds(e){(0,d.A)(Ts,this)&&(this.dispatch("fullscreen-error",{detail:null,trigger:e}),(0,c.A)(Ts,this,!1))}function Fs(e){if(f.jv.fullscreenElement===e)return!0;try{return e.matches(f.jv.fullscreenPseudoClass)}catch(t){return!1}}function Vs(){if(!xs)throw Error("[vidstack] no fullscreen API")}var Rs=new WeakMap,Os=new WeakMap,Ws=new WeakMap,Is=new WeakSet;class zs extends f.WO{constructor(){super(...arguments),(0,o.A)(this,Is),(0,u.A)(this,Rs,(0,f.O)((0,i.A)(Is,this,js).call(this))),(0,u.A)(this,Os,(0,f.O)(!1)),(0,u.A)(this,Ws,void 0)}get type(){return(0,d.A)(Rs,this).call(this)}get locked(){return(0,d.A)(Os,this).call(this)}get portrait(){return(0,d.A)(Rs,this).call(this).startsWith("portrait")}get landscape(){return(0,d.A)(Rs,this).call(this).startsWith("landscape")}get supported(){return zs.supported}onConnect(){if(this.supported)(0,f.k6)(screen.orientation,"change",(0,i.A)(Is,this,_s).bind(this));else{const e=window.matchMedia("(orientation: landscape)");e.onchange=(0,i.A)(Is,this,_s).bind(this),(0,f.zp)(()=>e.onchange=null)}(0,f.zp)((0,i.A)(Is,this,Bs).bind(this))}async lock(e){(0,f.se)((0,d.A)(Os,this))||(0,d.A)(Ws,this)===e||((0,i.A)(Is,this,qs).call(this),await screen.orientation.lock(e),(0,d.A)(Os,this).set(!0),(0,c.A)(Ws,this,e))}async unlock(){(0,f.se)((0,d.A)(Os,this))&&((0,i.A)(Is,this,qs).call(this),(0,c.A)(Ws,this,void 0),await screen.orientation.unlock(),(0,d.A)(Os,this).set(!1))}}async function Bs(){this.supported&&(0,d.A)(Os,this).call(this)&&await this.unlock()}function _s(e){(0,d.A)(Rs,this).set((0,i.A)(Is,this,js).call(this)),this.dispatch("orientation-change",{detail:{orientation:(0,f.se)((0,d.A)(Rs,this)),lock:(0,d.A)(Ws,this)},trigger:e})}function qs(){if(!this.supported)throw Error("[vidstack] no orientation API")}function js(){return ut?"portrait-primary":this.supported?window.screen.orientation.type:window.innerWidth>=window.innerHeight?"landscape-primary":"portrait-primary"}(0,l.A)(zs,"supported",mt());class Us{constructor(){(0,l.A)(this,"name","audio"),(0,l.A)(this,"target",void 0)}canPlay(e){return!!Rt(e)&&(ut||!(0,f.Kg)(e.src)||"?"===e.type||vt(this.target,e.type))}mediaType(){return"audio"}async load(e){if(ut)throw Error("[vidstack] can not load audio provider server-side");return new((await n.e(204).then(n.bind(n,204))).AudioProvider)(this.target,e)}}class Hs{constructor(){(0,l.A)(this,"name","video"),(0,l.A)(this,"target",void 0)}canPlay(e){return!!Ot(e)&&(ut||!(0,f.Kg)(e.src)||"?"===e.type||gt(this.target,e.type))}mediaType(){return"video"}async load(e){if(ut)throw Error("[vidstack] can not load video provider server-side");return new((await Promise.resolve().then(function(){return ro})).VideoProvider)(this.target,e)}}class Zs extends Hs{constructor(){super(...arguments),(0,l.A)(this,"name","hls")}canPlay(e){return Zs.supported&&Wt(e)}async load(e){if(ut)throw Error("[vidstack] can not load hls provider server-side");return new((await n.e(768).then(n.bind(n,768))).HLSProvider)(this.target,e)}}(0,l.A)(Zs,"supported",wt());let Qs=null,Gs=[],Ks=[];function Xs(){return null!==Qs&&void 0!==Qs?Qs:Qs=new AudioContext}function Ys(){Qs&&0===Gs.length&&0===Ks.length&&Qs.close().then(()=>{Qs=null})}var Js=new WeakMap,er=new WeakMap,tr=new WeakMap,nr=new WeakMap,ir=new WeakSet;class sr{get currentGain(){var e,t;return null!==(e=null===(t=(0,d.A)(tr,this))||void 0===t||null===(t=t.gain)||void 0===t?void 0:t.value)&&void 0!==e?e:null}get supported(){return!0}constructor(e,t){(0,o.A)(this,ir),(0,u.A)(this,Js,void 0),(0,u.A)(this,er,void 0),(0,u.A)(this,tr,null),(0,u.A)(this,nr,null),(0,c.A)(Js,this,e),(0,c.A)(er,this,t)}setGain(e){const t=this.currentGain;e!==this.currentGain&&(1!==e||1===t?((0,d.A)(tr,this)||((0,c.A)(tr,this,function(){const e=Xs(),t=e.createGain();return t.connect(e.destination),Gs.push(t),t}()),(0,d.A)(nr,this)&&(0,d.A)(nr,this).connect((0,d.A)(tr,this))),(0,d.A)(nr,this)||(0,c.A)(nr,this,function(e,t){const n=Xs().createMediaElementSource(e);return t&&n.connect(t),Ks.push(n),n}((0,d.A)(Js,this),(0,d.A)(tr,this))),(0,d.A)(tr,this).gain.value=e,(0,d.A)(er,this).call(this,e)):this.removeGain())}removeGain(){(0,d.A)(tr,this)&&((0,d.A)(nr,this)&&(0,d.A)(nr,this).connect(Xs().destination),(0,i.A)(ir,this,ar).call(this),(0,d.A)(er,this).call(this,null))}destroy(){(0,i.A)(ir,this,rr).call(this),(0,i.A)(ir,this,ar).call(this)}}function rr(){if((0,d.A)(nr,this))try{!function(e){const t=Ks.indexOf(e);-1!==t&&(Ks.splice(t,1),e.disconnect(),Ys())}((0,d.A)(nr,this))}catch(e){}finally{(0,c.A)(nr,this,null)}}function ar(){if((0,d.A)(tr,this))try{!function(e){const t=Gs.indexOf(e);-1!==t&&(Gs.splice(t,1),e.disconnect(),Ys())}((0,d.A)(tr,this))}catch(e){}finally{(0,c.A)(tr,this,null)}}const or=["focus","blur","visibilitychange","pageshow","pagehide"];var lr=new WeakMap,ur=new WeakMap,cr=new WeakMap,dr=new WeakSet;class hr{constructor(){(0,o.A)(this,dr),(0,u.A)(this,lr,(0,f.O)(pr())),(0,u.A)(this,ur,(0,f.O)(ut?"visible":document.visibilityState)),(0,u.A)(this,cr,void 0)}connect(){const e=new f.En(window),t=(0,i.A)(dr,this,fr).bind(this);for(const n of or)e.add(n,t);pt&&e.add("beforeunload",e=>{(0,c.A)(cr,this,setTimeout(()=>{e.defaultPrevented||e.returnValue.length>0||((0,d.A)(lr,this).set("hidden"),(0,d.A)(ur,this).set("hidden"))},0))})}get pageState(){return(0,d.A)(lr,this).call(this)}get visibility(){return(0,d.A)(ur,this).call(this)}}function fr(e){pt&&window.clearTimeout((0,d.A)(cr,this)),"blur"===e.type&&"active"!==(0,d.A)(lr,this).call(this)||((0,d.A)(lr,this).set(pr(e)),(0,d.A)(ur,this).set("hidden"==document.visibilityState?"hidden":"visible"))}function pr(e){return ut||"blur"===(null===e||void 0===e?void 0:e.type)||"hidden"===document.visibilityState?"hidden":document.hasFocus()?"active":"passive"}var mr=new WeakMap,vr=new WeakMap,gr=new WeakSet;class yr{constructor(e){(0,o.A)(this,gr),(0,u.A)(this,mr,void 0),(0,u.A)(this,vr,void 0),(0,c.A)(vr,this,e)}start(){(0,f.b0)((0,d.A)(mr,this))&&(0,i.A)(gr,this,Ar).call(this)}stop(){(0,f.Et)((0,d.A)(mr,this))&&window.cancelAnimationFrame((0,d.A)(mr,this)),(0,c.A)(mr,this,void 0)}}function Ar(){(0,c.A)(mr,this,window.requestAnimationFrame(()=>{(0,f.b0)((0,d.A)(mr,this))||((0,d.A)(vr,this).call(this),(0,i.A)(gr,this,Ar).call(this))}))}var br=new WeakMap,wr=new WeakMap,kr=new WeakMap,Sr=new WeakMap,Er=new WeakMap,Cr=new WeakMap,xr=new WeakMap,Tr=new WeakMap,Pr=new WeakSet,Mr=new WeakMap,$r=new WeakMap,Lr=new WeakMap,Nr=new WeakMap;class Dr{constructor(e,t){(0,o.A)(this,Pr),(0,u.A)(this,br,void 0),(0,u.A)(this,wr,void 0),(0,u.A)(this,kr,!1),(0,u.A)(this,Sr,!1),(0,u.A)(this,Er,!1),(0,u.A)(this,Cr,new yr((0,i.A)(Pr,this,Rr).bind(this))),(0,u.A)(this,xr,new hr),(0,u.A)(this,Tr,void 0),(0,u.A)(this,Mr,0),(0,u.A)(this,$r,-1),(0,u.A)(this,Lr,void 0),(0,u.A)(this,Nr,void 0),(0,c.A)(br,this,e),(0,c.A)(wr,this,t),(0,c.A)(Tr,this,new f.En(e.media)),(0,i.A)(Pr,this,Or).call(this),(0,d.A)(xr,this).connect(),(0,f.QZ)((0,i.A)(Pr,this,na).bind(this)),(0,f.zp)((0,i.A)(Pr,this,Vr).bind(this))}}function Fr(e){return(0,d.A)(br,e).media}function Vr(){var e;(0,c.A)(Sr,this,!1),(0,c.A)(Er,this,!1),(0,d.A)(Cr,this).stop(),(0,d.A)(Tr,this).abort(),null===(e=(0,d.A)(Lr,this))||void 0===e||e.clear()}function Rr(){const e=s(Pr,this,Fr).currentTime;pt&&e-(0,d.A)($r,this)<.35||(0,d.A)(Mr,this)===e||((0,i.A)(Pr,this,Br).call(this,e),(0,c.A)(Mr,this,e))}function Or(){(0,i.A)(Pr,this,zr).call(this,"loadstart",(0,i.A)(Pr,this,_r)),(0,i.A)(Pr,this,zr).call(this,"abort",(0,i.A)(Pr,this,qr)),(0,i.A)(Pr,this,zr).call(this,"emptied",(0,i.A)(Pr,this,jr)),(0,i.A)(Pr,this,zr).call(this,"error",(0,i.A)(Pr,this,da)),(0,i.A)(Pr,this,zr).call(this,"volumechange",(0,i.A)(Pr,this,ra))}function Wr(){(0,d.A)(Sr,this)||((0,i.A)(Pr,this,zr).call(this,"loadeddata",(0,i.A)(Pr,this,Ur)),(0,i.A)(Pr,this,zr).call(this,"loadedmetadata",(0,i.A)(Pr,this,Hr)),(0,i.A)(Pr,this,zr).call(this,"canplay",(0,i.A)(Pr,this,Kr)),(0,i.A)(Pr,this,zr).call(this,"canplaythrough",(0,i.A)(Pr,this,Xr)),(0,i.A)(Pr,this,zr).call(this,"durationchange",(0,i.A)(Pr,this,sa)),(0,i.A)(Pr,this,zr).call(this,"play",(0,i.A)(Pr,this,Qr)),(0,i.A)(Pr,this,zr).call(this,"progress",(0,i.A)(Pr,this,la)),(0,i.A)(Pr,this,zr).call(this,"stalled",(0,i.A)(Pr,this,Jr)),(0,i.A)(Pr,this,zr).call(this,"suspend",(0,i.A)(Pr,this,ua)),(0,i.A)(Pr,this,zr).call(this,"ratechange",(0,i.A)(Pr,this,ca)),(0,c.A)(Sr,this,!0))}function Ir(){(0,d.A)(Er,this)||((0,i.A)(Pr,this,zr).call(this,"pause",(0,i.A)(Pr,this,Gr)),(0,i.A)(Pr,this,zr).call(this,"playing",(0,i.A)(Pr,this,Yr)),(0,i.A)(Pr,this,zr).call(this,"seeked",(0,i.A)(Pr,this,aa)),(0,i.A)(Pr,this,zr).call(this,"seeking",(0,i.A)(Pr,this,oa)),(0,i.A)(Pr,this,zr).call(this,"ended",(0,i.A)(Pr,this,ta)),(0,i.A)(Pr,this,zr).call(this,"waiting",(0,i.A)(Pr,this,ea)),(0,c.A)(Er,this,!0))}function zr(e,t){(0,d.A)(Tr,this).add(e,t.bind(this))}function Br(e,t){const n=Math.min(e,(0,d.A)(wr,this).$state.seekableEnd());(0,d.A)(wr,this).notify("time-change",n,t)}function _r(e){3!==s(Pr,this,Fr).networkState?((0,i.A)(Pr,this,Wr).call(this),(0,d.A)(wr,this).notify("load-start",void 0,e)):(0,i.A)(Pr,this,qr).call(this,e)}function qr(e){(0,d.A)(wr,this).notify("abort",void 0,e)}function jr(){(0,d.A)(wr,this).notify("emptied",void 0,event)}function Ur(e){(0,d.A)(wr,this).notify("loaded-data",void 0,e)}function Hr(e){(0,c.A)(Mr,this,0),(0,c.A)($r,this,-1),(0,i.A)(Pr,this,Ir).call(this),(0,d.A)(wr,this).notify("loaded-metadata",void 0,e),(dt||pt&&Wt((0,d.A)(wr,this).$state.source()))&&(0,d.A)(wr,this).delegate.ready((0,i.A)(Pr,this,Zr).call(this),e)}function Zr(){return{provider:(0,f.se)((0,d.A)(wr,this).$provider),duration:s(Pr,this,Fr).duration,buffered:s(Pr,this,Fr).buffered,seekable:s(Pr,this,Fr).seekable}}function Qr(e){(0,d.A)(wr,this).$state.canPlay&&(0,d.A)(wr,this).notify("play",void 0,e)}function Gr(e){(1!==s(Pr,this,Fr).readyState||(0,d.A)(kr,this))&&((0,c.A)(kr,this,!1),(0,d.A)(Cr,this).stop(),(0,d.A)(wr,this).notify("pause",void 0,e))}function Kr(e){(0,d.A)(wr,this).delegate.ready((0,i.A)(Pr,this,Zr).call(this),e)}function Xr(e){(0,d.A)(wr,this).$state.started()||(0,d.A)(wr,this).notify("can-play-through",(0,i.A)(Pr,this,Zr).call(this),e)}function Yr(e){s(Pr,this,Fr).paused||((0,c.A)(kr,this,!1),(0,d.A)(wr,this).notify("playing",void 0,e),(0,d.A)(Cr,this).start())}function Jr(e){(0,d.A)(wr,this).notify("stalled",void 0,e),s(Pr,this,Fr).readyState<3&&((0,c.A)(kr,this,!0),(0,d.A)(wr,this).notify("waiting",void 0,e))}function ea(e){s(Pr,this,Fr).readyState<3&&((0,c.A)(kr,this,!0),(0,d.A)(wr,this).notify("waiting",void 0,e))}function ta(e){if((0,d.A)(Cr,this).stop(),(0,i.A)(Pr,this,Br).call(this,s(Pr,this,Fr).duration,e),(0,d.A)(wr,this).notify("end",void 0,e),(0,d.A)(wr,this).$state.loop()){(0,f.gD)(s(Pr,this,Fr).controls)&&(s(Pr,this,Fr).controls=!1)}}function na(){const e=(0,d.A)(wr,this).$state.paused(),t="hidden"===(0,d.A)(xr,this).visibility;(e||t)&&(0,f.k6)(s(Pr,this,Fr),"timeupdate",(0,i.A)(Pr,this,ia).bind(this))}function ia(e){(0,i.A)(Pr,this,Br).call(this,s(Pr,this,Fr).currentTime,e)}function sa(e){(0,d.A)(wr,this).$state.ended()&&(0,i.A)(Pr,this,Br).call(this,s(Pr,this,Fr).duration,e),(0,d.A)(wr,this).notify("duration-change",s(Pr,this,Fr).duration,e)}function ra(e){const t={volume:s(Pr,this,Fr).volume,muted:s(Pr,this,Fr).muted};(0,d.A)(wr,this).notify("volume-change",t,e)}function aa(e){(0,c.A)($r,this,s(Pr,this,Fr).currentTime),(0,i.A)(Pr,this,Br).call(this,s(Pr,this,Fr).currentTime,e),(0,d.A)(wr,this).notify("seeked",s(Pr,this,Fr).currentTime,e),Math.trunc(s(Pr,this,Fr).currentTime)===Math.trunc(s(Pr,this,Fr).duration)&&Rn(s(Pr,this,Fr).duration)>Rn(s(Pr,this,Fr).currentTime)&&((0,i.A)(Pr,this,Br).call(this,s(Pr,this,Fr).duration,e),s(Pr,this,Fr).ended||(0,d.A)(wr,this).player.dispatch(new f.vP("media-play-request",{trigger:e})))}function oa(e){(0,d.A)(wr,this).notify("seeking",s(Pr,this,Fr).currentTime,e)}function la(e){const t={buffered:s(Pr,this,Fr).buffered,seekable:s(Pr,this,Fr).seekable};(0,d.A)(wr,this).notify("progress",t,e)}function ua(e){(0,d.A)(wr,this).notify("suspend",void 0,e)}function ca(e){(0,d.A)(wr,this).notify("rate-change",s(Pr,this,Fr).playbackRate,e)}function da(e){const t=s(Pr,this,Fr).error;if(!t)return;const n={message:t.message,code:t.code,mediaError:t};(0,d.A)(wr,this).notify("error",n,e)}var ha=new WeakMap,fa=new WeakMap,pa=new WeakSet;class ma{constructor(e,t){(0,o.A)(this,pa),(0,u.A)(this,ha,void 0),(0,u.A)(this,fa,void 0),(0,c.A)(ha,this,e),(0,c.A)(fa,this,t),s(pa,this,va).onaddtrack=(0,i.A)(pa,this,ga).bind(this),s(pa,this,va).onremovetrack=(0,i.A)(pa,this,ya).bind(this),s(pa,this,va).onchange=(0,i.A)(pa,this,Aa).bind(this),(0,f.k6)((0,d.A)(fa,this).audioTracks,"change",(0,i.A)(pa,this,wa).bind(this))}}function va(e){return(0,d.A)(ha,e).media.audioTracks}function ga(e){const t=e.track;if(""===t.label)return;const n={id:t.id.toString()||"native-audio-".concat((0,d.A)(fa,this).audioTracks.length),label:t.label,language:t.language,kind:t.kind,selected:!1};(0,d.A)(fa,this).audioTracks[$n.add](n,e),t.enabled&&(n.selected=!0)}function ya(e){const t=(0,d.A)(fa,this).audioTracks.getById(e.track.id);t&&(0,d.A)(fa,this).audioTracks[$n.remove](t,e)}function Aa(e){let t=(0,i.A)(pa,this,ba).call(this);if(!t)return;const n=(0,d.A)(fa,this).audioTracks.getById(t.id);n&&(0,d.A)(fa,this).audioTracks[$n.select](n,!0,e)}function ba(){return Array.from(s(pa,this,va)).find(e=>e.enabled)}function wa(e){const{current:t}=e.detail;if(!t)return;const n=s(pa,this,va).getTrackById(t.id);if(n){const e=(0,i.A)(pa,this,ba).call(this);e&&(e.enabled=!1),n.enabled=!0}}var ka=new WeakSet;class Sa{constructor(e,t){(0,o.A)(this,ka),(0,l.A)(this,"scope",(0,f.Ds)()),(0,l.A)(this,"currentSrc",null),(0,l.A)(this,"audioGain",void 0),this.media=e,this.ctx=t,this.audioGain=new sr(e,e=>{this.ctx.notify("audio-gain-change",e)})}setup(){new Dr(this,this.ctx),"audioTracks"in this.media&&new ma(this,this.ctx),(0,f.zp)(()=>{this.audioGain.destroy(),this.media.srcObject=null,this.media.removeAttribute("src");for(const e of this.media.querySelectorAll("source"))e.remove();this.media.load()})}get type(){return""}setPlaybackRate(e){this.media.playbackRate=e}async play(){return this.media.play()}async pause(){return this.media.pause()}setMuted(e){this.media.muted=e}setVolume(e){this.media.volume=e}setCurrentTime(e){this.media.currentTime=e}setPlaysInline(e){(0,f.Bq)(this.media,"playsinline",e)}async loadSource(e,t){let{src:n,type:s}=e;this.media.preload=t||"",!function(e){return!ut&&"undefined"!==typeof window.MediaStream&&e instanceof window.MediaStream}(n)?(this.media.srcObject=null,(0,f.Kg)(n)?"?"!==s?this.appendSource({src:n,type:s}):(this.removeSource(),this.media.src=(0,i.A)(ka,this,Ea).call(this,n)):(this.removeSource(),this.media.src=window.URL.createObjectURL(n))):(this.removeSource(),this.media.srcObject=n),this.media.load(),this.currentSrc={src:n,type:s}}appendSource(e,t){const n=this.media.querySelector("source[data-vds]"),s=null!==n&&void 0!==n?n:document.createElement("source");(0,f.Bq)(s,"src",(0,i.A)(ka,this,Ea).call(this,e.src)),(0,f.Bq)(s,"type","?"!==e.type?e.type:t),(0,f.Bq)(s,"data-vds",""),n||this.media.append(s)}removeSource(){var e;null===(e=this.media.querySelector("source[data-vds]"))||void 0===e||e.remove()}}function Ea(e){const{clipStartTime:t,clipEndTime:n}=this.ctx.$state,i=t(),s=n();return i>0&&s>0?"".concat(e,"#t=").concat(i,",").concat(s):i>0?"".concat(e,"#t=").concat(i):s>0?"".concat(e,"#t=0,").concat(s):e}var Ca=new WeakMap,xa=new WeakMap,Ta=new WeakMap,Pa=new WeakMap,Ma=new WeakSet;class $a{get supported(){return(0,d.A)(Pa,this).call(this)}constructor(e,t){(0,o.A)(this,Ma),(0,u.A)(this,Ca,void 0),(0,u.A)(this,xa,void 0),(0,u.A)(this,Ta,void 0),(0,u.A)(this,Pa,(0,f.O)(!1)),(0,c.A)(Ca,this,e),(0,c.A)(xa,this,t),(0,i.A)(Ma,this,La).call(this)}async prompt(){if(!this.supported)throw Error("Not supported on this platform.");return"airplay"===this.type&&(0,d.A)(Ca,this).webkitShowPlaybackTargetPicker?(0,d.A)(Ca,this).webkitShowPlaybackTargetPicker():(0,d.A)(Ca,this).remote.prompt()}}function La(){var e;!ut&&null!==(e=(0,d.A)(Ca,this))&&void 0!==e&&e.remote&&this.canPrompt&&((0,d.A)(Ca,this).remote.watchAvailability(e=>{(0,d.A)(Pa,this).set(e)}).catch(()=>{(0,d.A)(Pa,this).set(!1)}),(0,f.QZ)((0,i.A)(Ma,this,Na).bind(this)))}function Na(){if(!(0,d.A)(Pa,this).call(this))return;const e=["connecting","connect","disconnect"],t=(0,i.A)(Ma,this,Da).bind(this);t(),(0,f.k6)((0,d.A)(Ca,this),"playing",t);const n=new f.En((0,d.A)(Ca,this).remote);for(const i of e)n.add(i,t)}function Da(e){const t=(0,d.A)(Ca,this).remote.state;if(t===(0,d.A)(Ta,this))return;const n={type:this.type,state:t};(0,d.A)(xa,this).notify("remote-playback-change",n,e),(0,c.A)(Ta,this,t)}class Fa extends $a{constructor(){super(...arguments),(0,l.A)(this,"type","airplay")}get canPrompt(){return"WebKitPlaybackTargetAvailabilityEvent"in window}}var Va=new WeakMap,Ra=new WeakMap,Oa=new WeakSet;class Wa{constructor(e,t){(0,o.A)(this,Oa),(0,u.A)(this,Va,void 0),(0,u.A)(this,Ra,void 0),(0,c.A)(Va,this,e),(0,c.A)(Ra,this,t),e.textTracks.onaddtrack=(0,i.A)(Oa,this,Ia).bind(this),(0,f.zp)((0,i.A)(Oa,this,za).bind(this))}}function Ia(e){var t;const n=e.track;if(!n||function(e,t){return Array.from(e.children).find(e=>e.track===t)}((0,d.A)(Va,this),n))return;const i=new rn({id:n.id,kind:n.kind,label:null!==(t=n.label)&&void 0!==t?t:"",language:n.language,type:"vtt"});i[Zt.native]={track:n},i[Zt.readyState]=2,i[Zt.nativeHLS]=!0;let s=0;const r=e=>{if(n.cues)for(let t=s;t<n.cues.length;t++)i.addCue(n.cues[t],e),s++};r(e),n.oncuechange=r,(0,d.A)(Ra,this).textTracks.add(i,e),i.setMode(n.mode,e)}function za(){(0,d.A)(Va,this).textTracks.onaddtrack=null;for(const t of(0,d.A)(Ra,this).textTracks){var e;const n=null===(e=t[Zt.native])||void 0===e?void 0:e.track;null!==n&&void 0!==n&&n.oncuechange&&(n.oncuechange=null)}}var Ba=new WeakMap,_a=new WeakMap,qa=new WeakSet,ja=new WeakMap;class Ua{constructor(e,t){(0,o.A)(this,qa),(0,u.A)(this,Ba,void 0),(0,u.A)(this,_a,void 0),(0,u.A)(this,ja,(e,t)=>{(0,d.A)(_a,this).notify("picture-in-picture-change",e,t)}),(0,c.A)(Ba,this,e),(0,c.A)(_a,this,t),new f.En(e).add("enterpictureinpicture",(0,i.A)(qa,this,Ha).bind(this)).add("leavepictureinpicture",(0,i.A)(qa,this,Za).bind(this))}get active(){return document.pictureInPictureElement===(0,d.A)(Ba,this)}get supported(){return At((0,d.A)(Ba,this))}async enter(){return(0,d.A)(Ba,this).requestPictureInPicture()}exit(){return document.exitPictureInPicture()}}function Ha(e){(0,d.A)(ja,this).call(this,!0,e)}function Za(e){(0,d.A)(ja,this).call(this,!1,e)}var Qa=new WeakMap,Ga=new WeakMap,Ka=new WeakMap,Xa=new WeakSet;class Ya{get mode(){return(0,d.A)(Ka,this)}constructor(e,t){(0,o.A)(this,Xa),(0,u.A)(this,Qa,void 0),(0,u.A)(this,Ga,void 0),(0,u.A)(this,Ka,"inline"),(0,c.A)(Qa,this,e),(0,c.A)(Ga,this,t),(0,f.k6)(e,"webkitpresentationmodechanged",(0,i.A)(Xa,this,Ja).bind(this))}get supported(){return bt((0,d.A)(Qa,this))}async setPresentationMode(e){(0,d.A)(Ka,this)!==e&&(0,d.A)(Qa,this).webkitSetPresentationMode(e)}}function Ja(e){var t;const n=(0,d.A)(Ka,this);(0,c.A)(Ka,this,(0,d.A)(Qa,this).webkitPresentationMode),null===(t=(0,d.A)(Ga,this).player)||void 0===t||t.dispatch(new f.vP("video-presentation-change",{detail:(0,d.A)(Ka,this),trigger:e})),["fullscreen","picture-in-picture"].forEach(t=>{(0,d.A)(Ka,this)!==t&&n!==t||(0,d.A)(Ga,this).notify("".concat(t,"-change"),(0,d.A)(Ka,this)===t,e)})}var eo=new WeakMap;class to{get active(){return"fullscreen"===(0,d.A)(eo,this).mode}get supported(){return(0,d.A)(eo,this).supported}constructor(e){(0,u.A)(this,eo,void 0),(0,c.A)(eo,this,e)}async enter(){(0,d.A)(eo,this).setPresentationMode("fullscreen")}async exit(){(0,d.A)(eo,this).setPresentationMode("inline")}}var no=new WeakMap;class io{get active(){return"picture-in-picture"===(0,d.A)(no,this).mode}get supported(){return(0,d.A)(no,this).supported}constructor(e){(0,u.A)(this,no,void 0),(0,c.A)(no,this,e)}async enter(){(0,d.A)(no,this).setPresentationMode("picture-in-picture")}async exit(){(0,d.A)(no,this).setPresentationMode("inline")}}class so extends Sa{get type(){return"video"}constructor(e,t){super(e,t),(0,l.A)(this,"$$PROVIDER_TYPE","VIDEO"),(0,l.A)(this,"airPlay",void 0),(0,l.A)(this,"fullscreen",void 0),(0,l.A)(this,"pictureInPicture",void 0),(0,f.P1)(()=>{if(this.airPlay=new Fa(e,t),bt(e)){const n=new Ya(e,t);this.fullscreen=new to(n),this.pictureInPicture=new io(n)}else At(e)&&(this.pictureInPicture=new Ua(e,t))},this.scope)}setup(){super.setup(),yt(this.video)&&new Wa(this.video,this.ctx),this.ctx.textRenderers.attachVideo(this.video),(0,f.zp)(()=>{this.ctx.textRenderers.attachVideo(null)}),"video"===this.type&&this.ctx.notify("provider-setup",this)}get video(){return this.media}}var ro=Object.freeze({__proto__:null,VideoProvider:so});function ao(e){try{const t=new Intl.DisplayNames(navigator.languages,{type:"language"}).of(e);return null!==t&&void 0!==t?t:null}catch(t){return null}}var oo=new WeakMap,lo=new WeakMap,uo=new WeakMap,co=new WeakMap,ho=new WeakMap,fo=new WeakSet,po=new WeakMap,mo=new WeakMap,vo=new WeakMap;class go{get instance(){return(0,d.A)(uo,this)}constructor(e,t){(0,o.A)(this,fo),(0,u.A)(this,oo,void 0),(0,u.A)(this,lo,void 0),(0,u.A)(this,uo,null),(0,u.A)(this,co,new Set),(0,u.A)(this,ho,null),(0,l.A)(this,"config",{}),(0,u.A)(this,po,null),(0,u.A)(this,mo,{}),(0,u.A)(this,vo,-1),(0,c.A)(oo,this,e),(0,c.A)(lo,this,t)}setup(e){(0,c.A)(uo,this,e().create());const t=(0,i.A)(fo,this,wo).bind(this);for(const n of Object.values(e.events))(0,d.A)(uo,this).on(n,t);(0,d.A)(uo,this).on(e.events.ERROR,(0,i.A)(fo,this,To).bind(this));for(const n of(0,d.A)(co,this))n((0,d.A)(uo,this));(0,d.A)(lo,this).player.dispatch("dash-instance",{detail:(0,d.A)(uo,this)}),(0,d.A)(uo,this).initialize((0,d.A)(oo,this),void 0,!1),(0,d.A)(uo,this).updateSettings((0,a.A)({streaming:{text:{defaultEnabled:!1,dispatchForManualRendering:!0},buffer:{fastSwitchEnabled:!0}}},this.config)),(0,d.A)(uo,this).on(e.events.FRAGMENT_LOADING_STARTED,(0,i.A)(fo,this,Po).bind(this)),(0,d.A)(uo,this).on(e.events.FRAGMENT_LOADING_COMPLETED,(0,i.A)(fo,this,Mo).bind(this)),(0,d.A)(uo,this).on(e.events.MANIFEST_LOADED,(0,i.A)(fo,this,xo).bind(this)),(0,d.A)(uo,this).on(e.events.QUALITY_CHANGE_RENDERED,(0,i.A)(fo,this,Co).bind(this)),(0,d.A)(uo,this).on(e.events.TEXT_TRACKS_ADDED,(0,i.A)(fo,this,So).bind(this)),(0,d.A)(uo,this).on(e.events.TRACK_CHANGE_RENDERED,(0,i.A)(fo,this,Eo).bind(this)),(0,d.A)(lo,this).qualities[Fi.enableAuto]=(0,i.A)(fo,this,Do).bind(this),(0,f.k6)((0,d.A)(lo,this).qualities,"change",(0,i.A)(fo,this,Vo).bind(this)),(0,f.k6)((0,d.A)(lo,this).audioTracks,"change",(0,i.A)(fo,this,Ro).bind(this)),(0,c.A)(ho,this,(0,f.QZ)((0,i.A)(fo,this,Ao).bind(this)))}onInstance(e){return(0,d.A)(co,this).add(e),()=>(0,d.A)(co,this).delete(e)}loadSource(e){var t;(0,i.A)(fo,this,Oo).call(this),(0,f.Kg)(e.src)&&(null===(t=(0,d.A)(uo,this))||void 0===t||t.attachSource(e.src))}destroy(){var e,t;(0,i.A)(fo,this,Oo).call(this),null===(e=(0,d.A)(uo,this))||void 0===e||e.destroy(),(0,c.A)(uo,this,null),null===(t=(0,d.A)(ho,this))||void 0===t||t.call(this),(0,c.A)(ho,this,null)}}function yo(e){return new f.vP((t=e.type,"dash-".concat((0,f.BW)(t))),{detail:e});var t}function Ao(){if(!(0,d.A)(lo,this).$state.live())return;const e=new yr((0,i.A)(fo,this,bo).bind(this));return e.start(),e.stop.bind(e)}function bo(){if(!(0,d.A)(uo,this))return;const e=(0,d.A)(uo,this).duration()-(0,d.A)(uo,this).time();(0,d.A)(lo,this).$state.liveSyncPosition.set(isNaN(e)?1/0:e)}function wo(e){var t;null===(t=(0,d.A)(lo,this).player)||void 0===t||t.dispatch((0,i.A)(fo,this,yo).call(this,e))}function ko(e){var t,n;const s=null===(t=(0,d.A)(po,this))||void 0===t?void 0:t[Zt.native],r=(null===s||void 0===s?void 0:s.track).cues;if(!s||!r)return;const a=(0,d.A)(po,this).id,o=null!==(n=(0,d.A)(mo,this)[a])&&void 0!==n?n:0,l=(0,i.A)(fo,this,yo).call(this,e);for(let i=o;i<r.length;i++){const e=r[i];e.positionAlign||(e.positionAlign="auto"),(0,d.A)(po,this).addCue(e,l)}(0,d.A)(mo,this)[a]=r.length}function So(e){if(!(0,d.A)(uo,this))return;const t=e.tracks,n=[...(0,d.A)(oo,this).textTracks].filter(e=>"manualMode"in e),s=(0,i.A)(fo,this,yo).call(this,e);for(let i=0;i<n.length;i++){var r,a,o,l,u,h;const e=t[i],f=n[i],p="dash-".concat(e.kind,"-").concat(i),m=new rn({id:p,label:null!==(r=null!==(a=null!==(o=null!==(l=null===e||void 0===e?void 0:e.label)&&void 0!==l?l:null===(u=e.labels.find(e=>e.text))||void 0===u?void 0:u.text)&&void 0!==o?o:(null===e||void 0===e?void 0:e.lang)&&ao(e.lang))&&void 0!==a?a:null===e||void 0===e?void 0:e.lang)&&void 0!==r?r:void 0,language:null!==(h=e.lang)&&void 0!==h?h:void 0,kind:e.kind,default:e.defaultTrack});m[Zt.native]={managed:!0,track:f},m[Zt.readyState]=2,m[Zt.onModeChange]=()=>{(0,d.A)(uo,this)&&("showing"===m.mode?((0,d.A)(uo,this).setTextTrack(i),(0,c.A)(po,this,m)):((0,d.A)(uo,this).setTextTrack(-1),(0,c.A)(po,this,null)))},(0,d.A)(lo,this).textTracks.add(m,s)}}function Eo(e){const{mediaType:t,newMediaInfo:n}=e;if("audio"===t){const t=(0,d.A)(lo,this).audioTracks.getById("dash-audio-".concat(n.index));if(t){const n=(0,i.A)(fo,this,yo).call(this,e);(0,d.A)(lo,this).audioTracks[$n.select](t,!0,n)}}}function Co(e){if("video"!==e.mediaType)return;const t=(0,d.A)(lo,this).qualities[e.newQuality];if(t){const n=(0,i.A)(fo,this,yo).call(this,e);(0,d.A)(lo,this).qualities[$n.select](t,!0,n)}}function xo(e){if((0,d.A)(lo,this).$state.canPlay()||!(0,d.A)(uo,this))return;const{type:t,mediaPresentationDuration:n}=e.data,s=(0,i.A)(fo,this,yo).call(this,e);(0,d.A)(lo,this).notify("stream-type-change","static"!==t?"live":"on-demand",s),(0,d.A)(lo,this).notify("duration-change",n,s),(0,d.A)(lo,this).qualities[Fi.setAuto](!0,s);const r=(0,d.A)(uo,this).getVideoElement(),a=(0,d.A)(uo,this).getTracksForTypeFromManifest("video",e.data),o=[...new Set(a.map(e=>e.mimeType))].find(e=>e&&gt(r,e)),l=a.filter(e=>o===e.mimeType)[0];let u=(0,d.A)(uo,this).getTracksForTypeFromManifest("audio",e.data);const c=[...new Set(u.map(e=>e.mimeType))].find(e=>e&&vt(r,e));if(u=u.filter(e=>c===e.mimeType),l.bitrateList.forEach((e,t)=>{var n,i,r,a,o;const u={id:null!==(n=null===(i=e.id)||void 0===i?void 0:i.toString())&&void 0!==n?n:"dash-bitrate-".concat(t),width:null!==(r=e.width)&&void 0!==r?r:0,height:null!==(a=e.height)&&void 0!==a?a:0,bitrate:null!==(o=e.bandwidth)&&void 0!==o?o:0,codec:l.codec,index:t};(0,d.A)(lo,this).qualities[$n.add](u,s)}),(0,f.Et)(l.index)){const e=(0,d.A)(lo,this).qualities[l.index];e&&(0,d.A)(lo,this).qualities[$n.select](e,!0,s)}u.forEach((e,t)=>{var n,i,r,a;const o=e.labels.find(e=>navigator.languages.some(t=>e.lang&&t.toLowerCase().startsWith(e.lang.toLowerCase())))||e.labels[0],l={id:"dash-audio-".concat(null===e||void 0===e?void 0:e.index),label:null!==(n=null!==(i=null!==(r=null===o||void 0===o?void 0:o.text)&&void 0!==r?r:e.lang&&ao(e.lang))&&void 0!==i?i:e.lang)&&void 0!==n?n:"",language:null!==(a=e.lang)&&void 0!==a?a:"",kind:"main",mimeType:e.mimeType,codec:e.codec,index:t};(0,d.A)(lo,this).audioTracks[$n.add](l,s)}),r.dispatchEvent(new f.vP("canplay",{trigger:s}))}function To(e){const{type:t,error:n}=e;if(27===n.code)(0,i.A)(fo,this,$o).call(this,n);else(0,i.A)(fo,this,No).call(this,n)}function Po(){(0,d.A)(vo,this)>=0&&(0,i.A)(fo,this,Lo).call(this)}function Mo(e){"text"===e.mediaType&&requestAnimationFrame((0,i.A)(fo,this,ko).bind(this,e))}function $o(e){var t;(0,i.A)(fo,this,Lo).call(this),null===(t=(0,d.A)(uo,this))||void 0===t||t.play(),(0,c.A)(vo,this,window.setTimeout(()=>{(0,c.A)(vo,this,-1),(0,i.A)(fo,this,No).call(this,e)},5e3))}function Lo(){clearTimeout((0,d.A)(vo,this)),(0,c.A)(vo,this,-1)}function No(e){var t;(0,d.A)(lo,this).notify("error",{message:null!==(t=e.message)&&void 0!==t?t:"",code:1,error:e})}function Do(){var e;(0,i.A)(fo,this,Fo).call(this,"video",!0);const{qualities:t}=(0,d.A)(lo,this);null===(e=(0,d.A)(uo,this))||void 0===e||e.setQualityFor("video",t.selectedIndex,!0)}function Fo(e,t){var n;null===(n=(0,d.A)(uo,this))||void 0===n||n.updateSettings({streaming:{abr:{autoSwitchBitrate:{[e]:t}}}})}function Vo(){const{qualities:e}=(0,d.A)(lo,this);(0,d.A)(uo,this)&&!e.auto&&e.selected&&((0,i.A)(fo,this,Fo).call(this,"video",!1),(0,d.A)(uo,this).setQualityFor("video",e.selectedIndex,"current"===e.switch),ft&&((0,d.A)(oo,this).currentTime=(0,d.A)(oo,this).currentTime))}function Ro(){if(!(0,d.A)(uo,this))return;const{audioTracks:e}=(0,d.A)(lo,this),t=(0,d.A)(uo,this).getTracksFor("audio").find(t=>e.selected&&e.selected.id==="dash-audio-".concat(t.index));t&&(0,d.A)(uo,this).setCurrentTrack(t)}function Oo(){(0,i.A)(fo,this,Lo).call(this),(0,c.A)(po,this,null),(0,c.A)(mo,this,{})}function Wo(e){return e instanceof Error?e:Error("string"===typeof e?e:JSON.stringify(e))}function Io(e,t){if(!e)throw Error("Assertion failed.")}var zo=new WeakMap,Bo=new WeakMap,_o=new WeakMap,qo=new WeakSet;class jo{constructor(e,t,n){(0,o.A)(this,qo),(0,u.A)(this,zo,void 0),(0,u.A)(this,Bo,void 0),(0,u.A)(this,_o,void 0),(0,c.A)(zo,this,e),(0,c.A)(Bo,this,t),(0,c.A)(_o,this,n),(0,i.A)(qo,this,Uo).call(this)}}async function Uo(){const e={onLoadStart:(0,i.A)(qo,this,Ho).bind(this),onLoaded:(0,i.A)(qo,this,Zo).bind(this),onLoadError:(0,i.A)(qo,this,Qo).bind(this)};let t=await async function(e){var t;let n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(!(0,f.Kg)(e))return;null===(t=n.onLoadStart)||void 0===t||t.call(n);try{var i;if(await jt(e),!(0,f.Tn)(window.dashjs.MediaPlayer))throw Error("");const t=window.dashjs.MediaPlayer;return null===(i=n.onLoaded)||void 0===i||i.call(n,t),t}catch(r){var s;null===(s=n.onLoadError)||void 0===s||s.call(n,r)}return}((0,d.A)(zo,this),e);if((0,f.b0)(t)&&!(0,f.Kg)((0,d.A)(zo,this))&&(t=await async function(e){var t;let n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if((0,f.b0)(e))return;if(null===(t=n.onLoadStart)||void 0===t||t.call(n),function(e){return e&&e.prototype&&e.prototype!==Function}(e)){var i;return null===(i=n.onLoaded)||void 0===i||i.call(n,e),e}if(Go(e)){var s;const t=e.MediaPlayer;return null===(s=n.onLoaded)||void 0===s||s.call(n,t),t}try{var r;const t=null===(r=await e())||void 0===r?void 0:r.default;var a,o;if(Go(t))return null===(a=n.onLoaded)||void 0===a||a.call(n,t.MediaPlayer),t.MediaPlayer;if(!t)throw Error("");return null===(o=n.onLoaded)||void 0===o||o.call(n,t),t}catch(u){var l;null===(l=n.onLoadError)||void 0===l||l.call(n,u)}return}((0,d.A)(zo,this),e)),!t)return null;if(!window.dashjs.supportsMediaSource()){const e="[vidstack] `dash.js` is not supported in this environment";return(0,d.A)(Bo,this).player.dispatch(new f.vP("dash-unsupported")),(0,d.A)(Bo,this).notify("error",{message:e,code:4}),null}return t}function Ho(){(0,d.A)(Bo,this).player.dispatch(new f.vP("dash-lib-load-start"))}function Zo(e){(0,d.A)(Bo,this).player.dispatch(new f.vP("dash-lib-loaded",{detail:e})),(0,d.A)(_o,this).call(this,e)}function Qo(e){const t=Wo(e);(0,d.A)(Bo,this).player.dispatch(new f.vP("dash-lib-load-error",{detail:t})),(0,d.A)(Bo,this).notify("error",{message:t.message,code:4,error:t})}function Go(e){return e&&"MediaPlayer"in e}var Ko=new WeakMap,Xo=new WeakMap,Yo=new WeakMap;class Jo extends so{constructor(){super(...arguments),(0,l.A)(this,"$$PROVIDER_TYPE","DASH"),(0,u.A)(this,Ko,null),(0,u.A)(this,Xo,new go(this.video,this.ctx)),(0,u.A)(this,Yo,"".concat("https://cdn.jsdelivr.net","/npm/dashjs@4.7.4/dist/dash",".all.min.js"))}get ctor(){return(0,d.A)(Ko,this)}get instance(){return(0,d.A)(Xo,this).instance}get type(){return"dash"}get canLiveSync(){return!0}get config(){return(0,d.A)(Xo,this).config}set config(e){(0,d.A)(Xo,this).config=e}get library(){return(0,d.A)(Yo,this)}set library(e){(0,c.A)(Yo,this,e)}preconnect(){(0,f.Kg)((0,d.A)(Yo,this))&&_t((0,d.A)(Yo,this))}setup(){super.setup(),new jo((0,d.A)(Yo,this),this.ctx,e=>{(0,c.A)(Ko,this,e),(0,d.A)(Xo,this).setup(e),this.ctx.notify("provider-setup",this);const t=(0,f.se)(this.ctx.$state.source);t&&this.loadSource(t)})}async loadSource(e,t){(0,f.Kg)(e.src)?(this.media.preload=t||"",this.appendSource(e,"application/x-mpegurl"),(0,d.A)(Xo,this).loadSource(e),this.currentSrc=e):this.removeSource()}onInstance(e){const t=(0,d.A)(Xo,this).instance;return t&&e(t),(0,d.A)(Xo,this).onInstance(e)}destroy(){(0,d.A)(Xo,this).destroy()}}(0,l.A)(Jo,"supported",kt());var el=Object.freeze({__proto__:null,DASHProvider:Jo});class tl extends Hs{constructor(){super(...arguments),(0,l.A)(this,"name","dash")}canPlay(e){return tl.supported&&It(e)}async load(e){if(ut)throw Error("[vidstack] can not load dash provider server-side");return new((await Promise.resolve().then(function(){return el})).DASHProvider)(this.target,e)}}(0,l.A)(tl,"supported",kt());class nl{constructor(){(0,l.A)(this,"name","vimeo"),(0,l.A)(this,"target",void 0)}preconnect(){const e=["https://i.vimeocdn.com","https://f.vimeocdn.com","https://fresnel.vimeocdn.com"];for(const t of e)_t(t)}canPlay(e){return(0,f.Kg)(e.src)&&"video/vimeo"===e.type}mediaType(){return"video"}async load(e){if(ut)throw Error("[vidstack] can not load vimeo provider server-side");return new((await n.e(479).then(n.bind(n,479))).VimeoProvider)(this.target,e)}async loadPoster(e,t,i){const{resolveVimeoVideoId:s,getVimeoVideoInfo:r}=await n.e(655).then(n.bind(n,655));if(!(0,f.Kg)(e.src))return null;const{videoId:a,hash:o}=s(e.src);return a?r(a,i,o).then(e=>e?e.poster:null):null}}class il{constructor(){(0,l.A)(this,"name","youtube"),(0,l.A)(this,"target",void 0)}preconnect(){const e=["https://www.google.com","https://i.ytimg.com","https://googleads.g.doubleclick.net","https://static.doubleclick.net"];for(const t of e)_t(t)}canPlay(e){return(0,f.Kg)(e.src)&&"video/youtube"===e.type}mediaType(){return"video"}async load(e){if(ut)throw Error("[vidstack] can not load youtube provider server-side");return new((await n.e(63).then(n.bind(n,63))).YouTubeProvider)(this.target,e)}async loadPoster(e,t,i){const{findYouTubePoster:s,resolveYouTubeVideoId:r}=await n.e(175).then(n.bind(n,175)),a=(0,f.Kg)(e.src)&&r(e.src);return a?s(a,i):null}}function sl(e,t){const n=String(e),i=n.length;if(i<t){const n="0".repeat(t-i);return"".concat(n).concat(e)}return n}function rl(e){return{hours:Math.trunc(e/3600),minutes:Math.trunc(e%3600/60),seconds:Math.trunc(e%60),fraction:Number((e-Math.trunc(e)).toPrecision(3))}}function al(e){let{padHrs:t=null,padMins:n=null,showHrs:i=!1,showMs:s=!1}=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};const{hours:r,minutes:a,seconds:o,fraction:l}=rl(e),u=t?sl(r,2):r,c=n||(0,f.kZ)(n)&&e>=3600?sl(a,2):a,d=sl(o,2),h=s&&l>0?".".concat(String(l).replace(/^0?\./,"")):"",p="".concat(c,":").concat(d).concat(h);return r>0||i?"".concat(u,":").concat(p):p}function ol(e){const t=[],{hours:n,minutes:i,seconds:s}=rl(e);return n>0&&t.push("".concat(n," hour")),i>0&&t.push("".concat(i," min")),(s>0||0===t.length)&&t.push("".concat(s," sec")),t.join(" ")}const ll=Symbol(0),ul=["autoPlay","canAirPlay","canFullscreen","canGoogleCast","canLoad","canLoadPoster","canPictureInPicture","canPlay","canSeek","ended","fullscreen","isAirPlayConnected","isGoogleCastConnected","live","liveEdge","loop","mediaType","muted","paused","pictureInPicture","playing","playsInline","remotePlaybackState","remotePlaybackType","seeking","started","streamType","viewType","waiting"],cl={artist:"",artwork:null,autoplay:!1,autoPlay:!1,clipStartTime:0,clipEndTime:0,controls:!1,currentTime:0,crossorigin:null,crossOrigin:null,duration:-1,fullscreenOrientation:"landscape",googleCast:{},load:"visible",posterLoad:"visible",logLevel:"silent",loop:!1,muted:!1,paused:!0,playsinline:!1,playsInline:!1,playbackRate:1,poster:"",preload:"metadata",preferNativeHLS:!1,src:"",title:"",controlsDelay:2e3,hideControlsOnMouseLeave:!1,viewType:"unknown",streamType:"unknown",volume:1,liveEdgeTolerance:10,minLiveDVRWindow:60,keyDisabled:!1,keyTarget:"player",keyShortcuts:{togglePaused:"k Space",toggleMuted:"m",toggleFullscreen:"f",togglePictureInPicture:"i",toggleCaptions:"c",seekBackward:"j J ArrowLeft",seekForward:"l L ArrowRight",volumeUp:"ArrowUp",volumeDown:"ArrowDown",speedUp:">",slowDown:"<"},storage:null};var dl=new WeakMap,hl=new WeakMap;class fl extends Bi{constructor(e,t){super(),(0,u.A)(this,dl,void 0),(0,u.A)(this,hl,void 0),(0,c.A)(dl,this,e),(0,c.A)(hl,this,t)}async onAttach(e){if(ut)return;const t=this.$props[(0,d.A)(dl,this)]();if("eager"===t)requestAnimationFrame((0,d.A)(hl,this));else if("idle"===t)(0,f.As)((0,d.A)(hl,this));else if("visible"===t){let t,n=new IntersectionObserver(e=>{var n;this.scope&&(e[0].isIntersecting&&(null===(n=t)||void 0===n||n(),t=void 0,(0,d.A)(hl,this).call(this)))});n.observe(e),t=(0,f.zp)(()=>n.disconnect())}}}var pl=new WeakMap,ml=new WeakMap,vl=new WeakSet;class gl{constructor(e,t){(0,o.A)(this,vl),(0,u.A)(this,pl,void 0),(0,u.A)(this,ml,void 0),(0,c.A)(pl,this,e),(0,c.A)(ml,this,t)}notify(e){if(!ut){for(var t=arguments.length,n=new Array(t>1?t-1:0),i=1;i<t;i++)n[i-1]=arguments[i];(0,d.A)(pl,this).call(this,new f.vP(e,{detail:null===n||void 0===n?void 0:n[0],trigger:null===n||void 0===n?void 0:n[1]}))}}async ready(e,t){if(!ut)return(0,f.vz)(async()=>{var n,s,r,a,o,l,u;const{logger:c}=(0,d.A)(ml,this),{autoPlay:h,canPlay:p,started:m,duration:v,seekable:g,buffered:y,remotePlaybackInfo:A,playsInline:b,savedState:w,source:k}=(0,d.A)(ml,this).$state;if(p())return;const S={duration:null!==(n=null===e||void 0===e?void 0:e.duration)&&void 0!==n?n:v(),seekable:null!==(s=null===e||void 0===e?void 0:e.seekable)&&void 0!==s?s:g(),buffered:null!==(r=null===e||void 0===e?void 0:e.buffered)&&void 0!==r?r:y(),provider:(0,d.A)(ml,this).$provider()};this.notify("can-play",S,t),(0,f.io)();let E=(0,d.A)(ml,this).$provider(),{storage:C,qualities:x}=(0,d.A)(ml,this),{muted:T,volume:P,clipStartTime:M,playbackRate:$}=(0,d.A)(ml,this).$props;await(null===C||void 0===C||null===(a=C.onLoad)||void 0===a?void 0:a.call(C,k()));const L=null===(o=w())||void 0===o?void 0:o.currentTime,N=null===(l=w())||void 0===l?void 0:l.paused,D=await(null===C||void 0===C?void 0:C.getTime()),F=null!==(u=null!==L&&void 0!==L?L:D)&&void 0!==u?u:M(),V=!1===N||!0!==N&&!m()&&h();if(E){var R,O,W,I,z,B,_;E.setVolume(null!==(R=await(null===C||void 0===C?void 0:C.getVolume()))&&void 0!==R?R:P()),E.setMuted(T()||!!await(null===C||void 0===C?void 0:C.getMuted()));const e=null!==(O=await(null===C||void 0===C?void 0:C.getAudioGain()))&&void 0!==O?O:1;e>1&&(null===(W=E.audioGain)||void 0===W||null===(I=W.setGain)||void 0===I||I.call(W,e)),null===(z=E.setPlaybackRate)||void 0===z||z.call(E,null!==(B=await(null===C||void 0===C?void 0:C.getPlaybackRate()))&&void 0!==B?B:$()),null===(_=E.setPlaysInline)||void 0===_||_.call(E,b()),F>0&&E.setCurrentTime(F)}const q=await(null===C||void 0===C?void 0:C.getVideoQuality());if(q&&x.length){let e=null,t=1/0;for(const n of x){var j;const i=Math.abs(q.width-n.width)+Math.abs(q.height-n.height)+(q.bitrate?Math.abs(q.bitrate-(null!==(j=n.bitrate)&&void 0!==j?j:0)):0);i<t&&(e=n,t=i)}e&&(e.selected=!0)}p()&&V?await(0,i.A)(vl,this,yl).call(this,t):D&&D>0&&this.notify("started",void 0,t),A.set(null)})}}async function yl(e){const{player:t,$state:{autoPlaying:n,muted:i}}=(0,d.A)(ml,this);n.set(!0);const s=new f.vP("auto-play-attempt",{trigger:e});try{await t.play(s)}catch(r){}}var Al=new WeakMap;class bl{constructor(){(0,u.A)(this,Al,new Map)}enqueue(e,t){(0,d.A)(Al,this).set(e,t)}serve(e){const t=this.peek(e);return(0,d.A)(Al,this).delete(e),t}peek(e){return(0,d.A)(Al,this).get(e)}delete(e){(0,d.A)(Al,this).delete(e)}clear(){(0,d.A)(Al,this).clear()}}var wl=new WeakMap,kl=new WeakMap,Sl=new WeakMap,El=new WeakSet;class Cl{constructor(){(0,o.A)(this,El),(0,u.A)(this,wl,!1),(0,u.A)(this,kl,(0,f.vI)()),(0,u.A)(this,Sl,new Map)}get size(){return(0,d.A)(Sl,this).size}get isServing(){return(0,d.A)(wl,this)}async waitForFlush(){(0,d.A)(wl,this)||await(0,d.A)(kl,this).promise}enqueue(e,t){(0,d.A)(wl,this)?t():((0,d.A)(Sl,this).delete(e),(0,d.A)(Sl,this).set(e,t))}serve(e){var t;null===(t=(0,d.A)(Sl,this).get(e))||void 0===t||t(),(0,d.A)(Sl,this).delete(e)}start(){(0,i.A)(El,this,xl).call(this),(0,c.A)(wl,this,!0),(0,d.A)(Sl,this).size>0&&(0,i.A)(El,this,xl).call(this)}stop(){(0,c.A)(wl,this,!1)}reset(){this.stop(),(0,d.A)(Sl,this).clear(),(0,i.A)(El,this,Tl).call(this)}}function xl(){for(const e of(0,d.A)(Sl,this).keys())this.serve(e);(0,i.A)(El,this,Tl).call(this)}function Tl(){(0,d.A)(kl,this).resolve(),(0,c.A)(kl,this,(0,f.vI)())}function Pl(e){return()=>e()?"true":"false"}var Ml=new WeakMap,$l=new WeakMap,Ll=new WeakMap,Nl=new WeakMap,Dl=new WeakMap,Fl=new WeakMap,Vl=new WeakMap,Rl=new WeakSet,Ol=new WeakMap,Wl=new WeakMap;class Il extends Bi{constructor(e,t,n){super(),(0,o.A)(this,Rl),(0,u.A)(this,Ml,void 0),(0,u.A)(this,$l,void 0),(0,u.A)(this,Ll,void 0),(0,l.A)(this,"controls",void 0),(0,u.A)(this,Nl,void 0),(0,u.A)(this,Dl,void 0),(0,u.A)(this,Fl,void 0),(0,u.A)(this,Vl,new Cl),(0,u.A)(this,Ol,!1),(0,u.A)(this,Wl,void 0),(0,c.A)(Ml,this,e),(0,c.A)($l,this,t),(0,c.A)(Ll,this,n),(0,c.A)(Fl,this,n.$provider),this.controls=new fs,(0,c.A)(Nl,this,new $s),(0,c.A)(Dl,this,new zs)}onAttach(){this.listen("fullscreen-change",(0,i.A)(Rl,this,Yl).bind(this))}onConnect(e){const t=Object.getOwnPropertyNames(Object.getPrototypeOf(this)),n=new f.En(e),s=(0,i.A)(Rl,this,_l).bind(this);for(const i of t)i.startsWith("media-")&&n.add(i,s);(0,i.A)(Rl,this,zl).call(this),(0,f.QZ)((0,i.A)(Rl,this,Bl).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Hl).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Zl).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Ql).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Gl).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Kl).bind(this)),(0,f.QZ)((0,i.A)(Rl,this,Xl).bind(this))}onDestroy(){try{const e=this.createEvent("destroy"),{pictureInPicture:t,fullscreen:n}=this.$state;n()&&this.exitFullscreen("prefer-media",e),t()&&this.exitPictureInPicture(e)}catch(e){}(0,d.A)(Vl,this).reset()}async play(e){if(ut)return;const{canPlay:t,paused:n,autoPlaying:s}=this.$state;if((0,i.A)(Rl,this,ql).call(this,e))return;if(!(0,f.se)(n))return;e&&(0,d.A)($l,this).queue.enqueue("media-play-request",e);const r=(0,f.se)(s);try{const e=(0,f.se)((0,d.A)(Fl,this));return tu(e,(0,f.se)(t)),function(e){if("undefined"===typeof window||!window.matchMedia("(prefers-reduced-motion: reduce)").matches||!e)return;throw Error("[vidstack] autoplay blocked")}(r),await e.play()}catch(a){const t=this.createEvent("play-fail",{detail:Wo(a),trigger:e});throw t.autoPlay=r,(0,d.A)(Ml,this).handle(t),a}}async pause(e){if(ut)return;const{canPlay:t,paused:n}=this.$state;if(!(0,f.se)(n)){e&&(0,d.A)($l,this).queue.enqueue("media-pause-request",e);try{const e=(0,f.se)((0,d.A)(Fl,this));return tu(e,(0,f.se)(t)),await e.pause()}catch(i){throw(0,d.A)($l,this).queue.delete("media-pause-request"),i}}}setAudioGain(e,t){const{audioGain:n,canSetAudioGain:i}=this.$state;if(n()===e)return;const s=(0,d.A)(Fl,this).call(this);if(null===s||void 0===s||!s.audioGain||!i())throw Error("[vidstack] audio gain api not available");t&&(0,d.A)($l,this).queue.enqueue("media-audio-gain-change-request",t),s.audioGain.setGain(e)}seekToLiveEdge(e){var t;if(ut)return;const{canPlay:n,live:i,liveEdge:s,canSeek:r,liveSyncPosition:a,seekableEnd:o,userBehindLiveEdge:l}=this.$state;if(l.set(!1),(0,f.se)(()=>!i()||s()||!r()))return;const u=(0,f.se)((0,d.A)(Fl,this));tu(u,(0,f.se)(n)),e&&(0,d.A)($l,this).queue.enqueue("media-seek-request",e);const c=o()-2;u.setCurrentTime(Math.min(c,null!==(t=a())&&void 0!==t?t:c))}async enterFullscreen(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:"prefer-media",t=arguments.length>1?arguments[1]:void 0;if(ut)return;const n=(0,i.A)(Rl,this,jl).call(this,e);return nu(e,n),n.active?void 0:((0,f.se)(this.$state.pictureInPicture)&&((0,c.A)(Ol,this,!0),await this.exitPictureInPicture(t)),t&&(0,d.A)($l,this).queue.enqueue("media-enter-fullscreen-request",t),n.enter())}async exitFullscreen(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:"prefer-media",t=arguments.length>1?arguments[1]:void 0;if(ut)return;const n=(0,i.A)(Rl,this,jl).call(this,e);if(nu(e,n),n.active){t&&(0,d.A)($l,this).queue.enqueue("media-exit-fullscreen-request",t);try{const e=await n.exit();return(0,d.A)(Ol,this)&&(0,f.se)(this.$state.canPictureInPicture)&&await this.enterPictureInPicture(),e}finally{(0,c.A)(Ol,this,!1)}}}async enterPictureInPicture(e){if(!ut&&((0,i.A)(Rl,this,Ul).call(this),!this.$state.pictureInPicture()))return e&&(0,d.A)($l,this).queue.enqueue("media-enter-pip-request",e),await(0,d.A)(Fl,this).call(this).pictureInPicture.enter()}async exitPictureInPicture(e){if(!ut&&((0,i.A)(Rl,this,Ul).call(this),this.$state.pictureInPicture()))return e&&(0,d.A)($l,this).queue.enqueue("media-exit-pip-request",e),await(0,d.A)(Fl,this).call(this).pictureInPicture.exit()}async"media-airplay-request"(e){try{await this.requestAirPlay(e)}catch(t){}}async requestAirPlay(e){try{var t;const n=null===(t=(0,d.A)(Fl,this).call(this))||void 0===t?void 0:t.airPlay;if(null===n||void 0===n||!n.supported)throw Error("No AirPlay adapter.");return e&&(0,d.A)($l,this).queue.enqueue("media-airplay-request",e),await n.prompt()}catch(n){throw(0,d.A)($l,this).queue.delete("media-airplay-request"),n}}async"media-google-cast-request"(e){try{await this.requestGoogleCast(e)}catch(t){}}async requestGoogleCast(e){try{const{canGoogleCast:t}=this.$state;if(!(0,f.se)(t)){const e=Error("Cast not available.");throw e.code="CAST_NOT_AVAILABLE",e}if(_t("https://www.gstatic.com"),!(0,d.A)(Wl,this)){const e=await n.e(674).then(n.bind(n,674)).then(function(e){return e.loader});(0,c.A)(Wl,this,new e.GoogleCastLoader)}await(0,d.A)(Wl,this).prompt((0,d.A)(Ll,this)),e&&(0,d.A)($l,this).queue.enqueue("media-google-cast-request",e);const i="disconnected"!==(0,f.se)(this.$state.remotePlaybackState);i&&this.$state.savedState.set({paused:(0,f.se)(this.$state.paused),currentTime:(0,f.se)(this.$state.currentTime)}),this.$state.remotePlaybackLoader.set(i?(0,d.A)(Wl,this):null)}catch(t){throw(0,d.A)($l,this).queue.delete("media-google-cast-request"),t}}"media-clip-start-change-request"(e){const{clipStartTime:t}=this.$state;t.set(e.detail)}"media-clip-end-change-request"(e){const{clipEndTime:t}=this.$state;t.set(e.detail),this.dispatch("duration-change",{detail:e.detail,trigger:e})}"media-duration-change-request"(e){const{providedDuration:t,clipEndTime:n}=this.$state;t.set(e.detail),n()<=0&&this.dispatch("duration-change",{detail:e.detail,trigger:e})}"media-audio-track-change-request"(e){const{logger:t,audioTracks:n}=(0,d.A)(Ll,this);if(n.readonly)return;const i=n[e.detail];if(i){const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),i.selected=!0}}async"media-enter-fullscreen-request"(e){try{await this.enterFullscreen(e.detail,e)}catch(t){(0,i.A)(Rl,this,Jl).call(this,t,e)}}async"media-exit-fullscreen-request"(e){try{await this.exitFullscreen(e.detail,e)}catch(t){(0,i.A)(Rl,this,Jl).call(this,t,e)}}async"media-orientation-lock-request"(e){const t=e.type;try{(0,d.A)($l,this).queue.enqueue(t,e),await(0,d.A)(Dl,this).lock(e.detail)}catch(n){(0,d.A)($l,this).queue.delete(t)}}async"media-orientation-unlock-request"(e){const t=e.type;try{(0,d.A)($l,this).queue.enqueue(t,e),await(0,d.A)(Dl,this).unlock()}catch(n){(0,d.A)($l,this).queue.delete(t)}}async"media-enter-pip-request"(e){try{await this.enterPictureInPicture(e)}catch(t){(0,i.A)(Rl,this,eu).call(this,t,e)}}async"media-exit-pip-request"(e){try{await this.exitPictureInPicture(e)}catch(t){(0,i.A)(Rl,this,eu).call(this,t,e)}}"media-live-edge-request"(e){const{live:t,liveEdge:n,canSeek:i}=this.$state;if(t()&&!n()&&i()){(0,d.A)($l,this).queue.enqueue("media-seek-request",e);try{this.seekToLiveEdge()}catch(s){(0,d.A)($l,this).queue.delete("media-seek-request")}}}async"media-loop-request"(e){try{(0,d.A)($l,this).looping=!0,(0,d.A)($l,this).replaying=!0,await this.play(e)}catch(t){(0,d.A)($l,this).looping=!1}}"media-user-loop-change-request"(e){this.$state.userPrefersLoop.set(e.detail)}async"media-pause-request"(e){if(!this.$state.paused())try{await this.pause(e)}catch(t){}}async"media-play-request"(e){if(this.$state.paused())try{await this.play(e)}catch(t){}}"media-rate-change-request"(e){const{playbackRate:t,canSetPlaybackRate:n}=this.$state;if(t()===e.detail||!n())return;const i=(0,d.A)(Fl,this).call(this);null!==i&&void 0!==i&&i.setPlaybackRate&&((0,d.A)($l,this).queue.enqueue("media-rate-change-request",e),i.setPlaybackRate(e.detail))}"media-audio-gain-change-request"(e){try{this.setAudioGain(e.detail,e)}catch(t){}}"media-quality-change-request"(e){const{qualities:t,storage:n,logger:i}=(0,d.A)(Ll,this);if(t.readonly)return;(0,d.A)($l,this).queue.enqueue("media-quality-change-request",e);const s=e.detail;if(s<0){var r;t.autoSelect(e),e.isOriginTrusted&&(null===n||void 0===n||null===(r=n.setVideoQuality)||void 0===r||r.call(n,null))}else{const i=t[s];var a;if(i)if(i.selected=!0,e.isOriginTrusted)null===n||void 0===n||null===(a=n.setVideoQuality)||void 0===a||a.call(n,{id:i.id,width:i.width,height:i.height,bitrate:i.bitrate})}}"media-pause-controls-request"(e){const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),this.controls.pause(e)}"media-resume-controls-request"(e){const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),this.controls.resume(e)}"media-seek-request"(e){const{canSeek:t,ended:n,live:i,seekableEnd:s,userBehindLiveEdge:r}=this.$state,a=e.detail;n()&&((0,d.A)($l,this).replaying=!0);const o=e.type;(0,d.A)($l,this).seeking=!1,(0,d.A)($l,this).queue.delete(o);const l=yn(a,this.$state);Number.isFinite(l)&&t()&&((0,d.A)($l,this).queue.enqueue(o,e),(0,d.A)(Fl,this).call(this).setCurrentTime(l),i()&&e.isOriginTrusted&&Math.abs(s()-l)>=2&&r.set(!0))}"media-seeking-request"(e){const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),this.$state.seeking.set(!0),(0,d.A)($l,this).seeking=!0}"media-start-loading"(e){if(this.$state.canLoad())return;const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),(0,d.A)(Ml,this).handle(this.createEvent("can-load"))}"media-poster-start-loading"(e){if(this.$state.canLoadPoster())return;const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),(0,d.A)(Ml,this).handle(this.createEvent("can-load-poster"))}"media-text-track-change-request"(e){const{index:t,mode:n}=e.detail,i=(0,d.A)(Ll,this).textTracks[t];if(i){const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),i.setMode(n,e)}}"media-mute-request"(e){if(this.$state.muted())return;const t=e.type;(0,d.A)($l,this).queue.enqueue(t,e),(0,d.A)(Fl,this).call(this).setMuted(!0)}"media-unmute-request"(e){const{muted:t,volume:n}=this.$state;if(!t())return;const i=e.type;(0,d.A)($l,this).queue.enqueue(i,e),(0,d.A)(Ll,this).$provider().setMuted(!1),0===n()&&((0,d.A)($l,this).queue.enqueue(i,e),(0,d.A)(Fl,this).call(this).setVolume(.25))}"media-volume-change-request"(e){const{muted:t,volume:n}=this.$state,i=e.detail;if(n()===i)return;const s=e.type;(0,d.A)($l,this).queue.enqueue(s,e),(0,d.A)(Fl,this).call(this).setVolume(i),i>0&&t()&&((0,d.A)($l,this).queue.enqueue(s,e),(0,d.A)(Fl,this).call(this).setMuted(!1))}}function zl(){const{load:e}=this.$props,{canLoad:t}=this.$state;if("play"!==e()||t())return;const n=this.listen("media-play-request",e=>{(0,i.A)(Rl,this,ql).call(this,e),n()})}function Bl(){const e=(0,d.A)(Fl,this).call(this),t=this.$state.canPlay();return e&&t&&(0,d.A)(Vl,this).start(),()=>{(0,d.A)(Vl,this).stop()}}function _l(e){e.stopPropagation(),e.defaultPrevented||this[e.type]&&((0,f.se)((0,d.A)(Fl,this))?this[e.type](e):(0,d.A)(Vl,this).enqueue(e.type,()=>{(0,f.se)((0,d.A)(Fl,this))&&this[e.type](e)}))}function ql(e){const{load:t}=this.$props,{canLoad:n}=this.$state;if("play"===t()&&!n()){const t=this.createEvent("media-start-loading",{trigger:e});return this.dispatchEvent(t),(0,d.A)(Vl,this).enqueue("media-play-request",async()=>{try{await this.play(t)}catch(e){}}),!0}return!1}function jl(e){const t=(0,f.se)((0,d.A)(Fl,this));return"prefer-media"===e&&(0,d.A)(Nl,this).supported||"media"===e?(0,d.A)(Nl,this):null===t||void 0===t?void 0:t.fullscreen}function Ul(){if(!this.$state.canPictureInPicture())throw Error("[vidstack] no pip support")}function Hl(){this.controls.defaultDelay=this.$props.controlsDelay()}function Zl(){var e;const{canSetAudioGain:t}=this.$state,n=!(null===(e=(0,d.A)(Fl,this).call(this))||void 0===e||null===(e=e.audioGain)||void 0===e||!e.supported);t.set(n)}function Ql(){var e;const{canAirPlay:t}=this.$state,n=!(null===(e=(0,d.A)(Fl,this).call(this))||void 0===e||null===(e=e.airPlay)||void 0===e||!e.supported);t.set(n)}function Gl(){const{canGoogleCast:e,source:t}=this.$state,n=ft&&!dt&&zt(t());e.set(n)}function Kl(){var e;const{canFullscreen:t}=this.$state,n=(0,d.A)(Nl,this).supported||!(null===(e=(0,d.A)(Fl,this).call(this))||void 0===e||null===(e=e.fullscreen)||void 0===e||!e.supported);t.set(n)}function Xl(){var e;const{canPictureInPicture:t}=this.$state,n=!(null===(e=(0,d.A)(Fl,this).call(this))||void 0===e||null===(e=e.pictureInPicture)||void 0===e||!e.supported);t.set(n)}async function Yl(e){const t=(0,f.se)(this.$props.fullscreenOrientation),n=e.detail;if(!(0,f.b0)(t)&&"none"!==t&&(0,d.A)(Dl,this).supported)if(n){if((0,d.A)(Dl,this).locked)return;this.dispatch("media-orientation-lock-request",{detail:t,trigger:e})}else(0,d.A)(Dl,this).locked&&this.dispatch("media-orientation-unlock-request",{trigger:e})}function Jl(e,t){(0,d.A)(Ml,this).handle(this.createEvent("fullscreen-error",{detail:Wo(e)}))}function eu(e,t){(0,d.A)(Ml,this).handle(this.createEvent("picture-in-picture-error",{detail:Wo(e)}))}function tu(e,t){if(!e||!t)throw Error("[vidstack] media not ready")}function nu(e,t){if(null===t||void 0===t||!t.supported)throw Error("[vidstack] no fullscreen support")}class iu{constructor(){(0,l.A)(this,"seeking",!1),(0,l.A)(this,"looping",!1),(0,l.A)(this,"replaying",!1),(0,l.A)(this,"queue",new bl)}}const su=new Set(["auto-play","auto-play-fail","can-load","sources-change","source-change","load-start","abort","error","loaded-metadata","loaded-data","can-play","play","play-fail","pause","playing","seeking","seeked","waiting"]);var ru=new WeakMap,au=new WeakMap,ou=new WeakMap,lu=new WeakMap,uu=new WeakMap,cu=new WeakMap,du=new WeakMap,hu=new WeakMap,fu=new WeakMap,pu=new WeakSet,mu=new WeakMap,vu=new WeakMap;class gu extends Bi{constructor(e,t){super(),(0,o.A)(this,pu),(0,u.A)(this,ru,void 0),(0,u.A)(this,au,void 0),(0,u.A)(this,ou,new Map),(0,u.A)(this,lu,!1),(0,u.A)(this,uu,[]),(0,u.A)(this,cu,[-1,-1]),(0,u.A)(this,du,!1),(0,u.A)(this,hu,void 0),(0,u.A)(this,fu,!1),(0,u.A)(this,mu,null),(0,l.A)(this,"seeking",(0,f.z3)(e=>{const{seeking:t,realCurrentTime:n,paused:s}=this.$state;t.set(!0),n.set(e.detail),(0,i.A)(pu,this,wu).call(this,"media-seeking-request",e),s()&&((0,c.A)(hu,this,e),(0,d.A)(vu,this).call(this)),(0,c.A)(cu,this,[-1,-1])},150,{leading:!0})),(0,u.A)(this,vu,(0,f.IO)(()=>{if(!(0,d.A)(hu,this))return;(0,c.A)(du,this,!0);const{waiting:e,playing:t}=this.$state;e.set(!0),t.set(!1);const n=this.createEvent("waiting",{trigger:(0,d.A)(hu,this)});(0,d.A)(ou,this).set("waiting",n),this.dispatch(n),(0,c.A)(hu,this,void 0),(0,c.A)(du,this,!1)},300)),(0,c.A)(ru,this,e),(0,c.A)(au,this,t)}onAttach(e){e.setAttribute("aria-busy","true"),new f.En(this).add("fullscreen-change",this["fullscreen-change"].bind(this)).add("fullscreen-error",this["fullscreen-error"].bind(this)).add("orientation-change",this["orientation-change"].bind(this))}onConnect(e){(0,f.QZ)((0,i.A)(pu,this,Vu).bind(this)),(0,i.A)(pu,this,ku).call(this),(0,i.A)(pu,this,Su).call(this),(0,i.A)(pu,this,Eu).call(this),(0,i.A)(pu,this,yu).call(this),(0,f.zp)((0,i.A)(pu,this,Au).bind(this))}onDestroy(){const{audioTracks:e,qualities:t,textTracks:n}=(0,d.A)(au,this);e[$n.reset](),t[$n.reset](),n[$n.reset](),(0,i.A)(pu,this,Du).call(this)}handle(e){if(!this.scope)return;const t=e.type;(0,f.vz)(()=>{var t;return null===(t=this[e.type])||void 0===t?void 0:t.call(this,e)}),ut||(su.has(t)&&(0,d.A)(ou,this).set(t,e),this.dispatch(e))}"provider-change"(e){var t,n;const s=(0,d.A)(au,this).$provider(),r=e.detail;(null===s||void 0===s?void 0:s.type)!==(null===r||void 0===r?void 0:r.type)&&(null===s||void 0===s||null===(t=s.destroy)||void 0===t||t.call(s),null===s||void 0===s||null===(n=s.scope)||void 0===n||n.dispose(),(0,d.A)(au,this).$provider.set(e.detail),s&&null===e.detail&&(0,i.A)(pu,this,Ou).call(this,e))}"provider-loader-change"(e){}"auto-play"(e){this.$state.autoPlayError.set(null)}"auto-play-fail"(e){this.$state.autoPlayError.set(e.detail),(0,i.A)(pu,this,bu).call(this)}"can-load"(e){this.$state.canLoad.set(!0),(0,d.A)(ou,this).set("can-load",e),(0,d.A)(au,this).textTracks[Zt.canLoad](),(0,i.A)(pu,this,wu).call(this,"media-start-loading",e)}"can-load-poster"(e){this.$state.canLoadPoster.set(!0),(0,d.A)(ou,this).set("can-load-poster",e),(0,i.A)(pu,this,wu).call(this,"media-poster-start-loading",e)}"media-type-change"(e){const t=(0,d.A)(ou,this).get("source-change");t&&e.triggers.add(t);const n=this.$state.viewType();this.$state.mediaType.set(e.detail);const i=this.$state.providedViewType(),s="unknown"===i?e.detail:i;n!==s&&(ut?this.$state.inferredViewType.set(s):setTimeout(()=>{requestAnimationFrame(()=>{this.scope&&(this.$state.inferredViewType.set(e.detail),this.dispatch("view-type-change",{detail:s,trigger:e}))})},0))}"stream-type-change"(e){const t=(0,d.A)(ou,this).get("source-change");t&&e.triggers.add(t);const{streamType:n,inferredStreamType:i}=this.$state;i.set(e.detail),e.detail=n()}"rate-change"(e){const{storage:t}=(0,d.A)(au,this),{canPlay:n}=this.$state;var s;(this.$state.playbackRate.set(e.detail),(0,i.A)(pu,this,wu).call(this,"media-rate-change-request",e),n())&&(null===t||void 0===t||null===(s=t.setPlaybackRate)||void 0===s||s.call(t,e.detail))}"remote-playback-change"(e){const{remotePlaybackState:t,remotePlaybackType:n}=this.$state,{type:s,state:r}=e.detail,a="connected"===r;n.set(s),t.set(r);const o="airplay"===s?"media-airplay-request":"media-google-cast-request";if(a)(0,i.A)(pu,this,wu).call(this,o,e);else{const t=(0,d.A)(ru,this).queue.peek(o);t&&(e.request=t,e.triggers.add(t))}}"sources-change"(e){const t=this.$state.sources(),n=e.detail;this.$state.sources.set(n),(0,i.A)(pu,this,Ru).call(this,t,n,e)}"source-change"(e){var t,n;e.isQualityChange="quality-change"===(null===(t=e.originEvent)||void 0===t?void 0:t.type);const s=e.detail;(0,i.A)(pu,this,Ou).call(this,e,e.isQualityChange),(0,d.A)(ou,this).set(e.type,e),this.$state.source.set(s),null===(n=this.el)||void 0===n||n.setAttribute("aria-busy","true")}abort(e){const t=(0,d.A)(ou,this).get("source-change");t&&e.triggers.add(t);const n=(0,d.A)(ou,this).get("can-load");n&&!e.triggers.hasType("can-load")&&e.triggers.add(n)}"load-start"(e){const t=(0,d.A)(ou,this).get("source-change");t&&e.triggers.add(t)}error(e){this.$state.error.set(e.detail);const t=(0,d.A)(ou,this).get("abort");t&&e.triggers.add(t)}"loaded-metadata"(e){const t=(0,d.A)(ou,this).get("load-start");t&&e.triggers.add(t)}"loaded-data"(e){const t=(0,d.A)(ou,this).get("load-start");t&&e.triggers.add(t)}"can-play"(e){var t;const n=(0,d.A)(ou,this).get("loaded-metadata");n&&e.triggers.add(n),(0,i.A)(pu,this,Wu).call(this,e.detail),null===(t=this.el)||void 0===t||t.setAttribute("aria-busy","false")}"can-play-through"(e){(0,i.A)(pu,this,Wu).call(this,e.detail);const t=(0,d.A)(ou,this).get("can-play");t&&e.triggers.add(t)}"duration-change"(e){const{live:t,intrinsicDuration:n,providedDuration:s,clipEndTime:r,ended:a}=this.$state,o=e.detail;if(!t()){const t=Number.isNaN(o)?0:o;n.set(t),a()&&(0,i.A)(pu,this,Bu).call(this,e)}(s()>0||r()>0)&&e.stopImmediatePropagation()}progress(e){const{buffered:t,seekable:n}=this.$state,{buffered:i,seekable:s}=e.detail,r=xt(i),a=i.length!==t().length,o=r!==xt(t()),l=xt(s),u=s.length!==n().length,c=l!==xt(n());(a||o)&&t.set(i),(u||c)&&n.set(s)}play(e){const{paused:t,autoPlayError:n,ended:s,autoPlaying:r,playsInline:a,pointer:o,muted:l,viewType:u,live:c,userBehindLiveEdge:h}=this.$state;if((0,i.A)(pu,this,Iu).call(this),!t())return void e.stopImmediatePropagation();e.autoPlay=r();const f=(0,d.A)(ou,this).get("waiting");f&&e.triggers.add(f),(0,i.A)(pu,this,wu).call(this,"media-play-request",e),(0,d.A)(ou,this).set("play",e),t.set(!1),n.set(null),e.autoPlay&&(this.handle(this.createEvent("auto-play",{detail:{muted:l()},trigger:e})),r.set(!1)),(s()||(0,d.A)(ru,this).replaying)&&((0,d.A)(ru,this).replaying=!1,s.set(!1),this.handle(this.createEvent("replay",{trigger:e}))),a()||"video"!==u()||"coarse"!==o()||(0,d.A)(au,this).remote.enterFullscreen("prefer-media",e),c()&&!h()&&(0,d.A)(au,this).remote.seekToLiveEdge(e)}"play-fail"(e){const{muted:t,autoPlaying:n}=this.$state,s=(0,d.A)(ou,this).get("play");s&&e.triggers.add(s),(0,i.A)(pu,this,wu).call(this,"media-play-request",e);const{paused:r,playing:a}=this.$state;r.set(!0),a.set(!1),(0,i.A)(pu,this,bu).call(this),(0,d.A)(ou,this).set("play-fail",e),e.autoPlay&&(this.handle(this.createEvent("auto-play-fail",{detail:{muted:t(),error:e.detail},trigger:e})),n.set(!1))}playing(e){const t=(0,d.A)(ou,this).get("play"),n=(0,d.A)(ou,this).get("seeked");t?e.triggers.add(t):n&&e.triggers.add(n),setTimeout(()=>(0,i.A)(pu,this,bu).call(this),0);const{paused:s,playing:r,live:a,liveSyncPosition:o,seekableEnd:l,started:u,currentTime:c,seeking:h,ended:f}=this.$state;if(s.set(!1),r.set(!0),h.set(!1),f.set(!1),(0,d.A)(ru,this).looping)(0,d.A)(ru,this).looping=!1;else{if(a()&&!u()&&0===c()){var p;const e=null!==(p=o())&&void 0!==p?p:l()-2;Number.isFinite(e)&&(0,d.A)(au,this).$provider().setCurrentTime(e)}this.started(e)}}started(e){const{started:t}=this.$state;t()||(t.set(!0),this.handle(this.createEvent("started",{trigger:e})))}pause(e){var t;null!==(t=this.el)&&void 0!==t&&t.isConnected||(0,c.A)(fu,this,!0),(0,i.A)(pu,this,wu).call(this,"media-pause-request",e);const n=(0,d.A)(ou,this).get("seeked");n&&e.triggers.add(n);const{paused:s,playing:r}=this.$state;s.set(!0),r.set(!1),(0,d.A)(lu,this)&&setTimeout(()=>{this.handle(this.createEvent("end",{trigger:e})),(0,c.A)(lu,this,!1)},0),(0,i.A)(pu,this,bu).call(this)}"time-change"(e){if((0,d.A)(ru,this).looping)return void e.stopImmediatePropagation();let{waiting:t,played:n,clipEndTime:s,realCurrentTime:r,currentTime:a}=this.$state,o=e.detail,l=s();r.set(o),(0,i.A)(pu,this,zu).call(this),t.set(!1);for(const i of(0,d.A)(au,this).textTracks)i[Zt.updateActiveCues](o,e);l>0&&o>=l&&((0,c.A)(lu,this,!0),this.dispatch("media-pause-request",{trigger:e})),(0,i.A)(pu,this,_u).call(this),this.dispatch("time-update",{detail:{currentTime:a(),played:n()},trigger:e})}"audio-gain-change"(e){var t;const{storage:n}=(0,d.A)(au,this),{canPlay:s,audioGain:r}=this.$state;r.set(e.detail),(0,i.A)(pu,this,wu).call(this,"media-audio-gain-change-request",e),s()&&(null===n||void 0===n||null===(t=n.setAudioGain)||void 0===t||t.call(n,r()))}"volume-change"(e){const{storage:t}=(0,d.A)(au,this),{volume:n,muted:s,canPlay:r}=this.$state,a=e.detail;var o,l;(n.set(a.volume),s.set(a.muted||0===a.volume),(0,i.A)(pu,this,wu).call(this,"media-volume-change-request",e),(0,i.A)(pu,this,wu).call(this,a.muted?"media-mute-request":"media-unmute-request",e),r())&&(null===t||void 0===t||null===(o=t.setVolume)||void 0===o||o.call(t,n()),null===t||void 0===t||null===(l=t.setMuted)||void 0===l||l.call(t,s()))}seeked(e){const{seeking:t,currentTime:n,realCurrentTime:s,paused:r,seekableEnd:a,ended:o,live:l}=this.$state;if((0,d.A)(ru,this).seeking)t.set(!0),e.stopImmediatePropagation();else if(t()){const n=(0,d.A)(ou,this).get("waiting");n&&e.triggers.add(n);const a=(0,d.A)(ou,this).get("seeking");a&&!e.triggers.has(a)&&e.triggers.add(a),r()&&(0,i.A)(pu,this,ju).call(this),t.set(!1),s.set(e.detail),(0,i.A)(pu,this,wu).call(this,"media-seek-request",e);const o=null===e||void 0===e?void 0:e.originEvent;null===o||void 0===o||!o.isTrusted||o instanceof MessageEvent||/seek/.test(o.type)||this.started(e)}l()||(Math.floor(n())!==Math.floor(a())?o.set(!1):this.end(e))}waiting(e){(0,d.A)(du,this)||(0,d.A)(ru,this).seeking||(e.stopImmediatePropagation(),(0,c.A)(hu,this,e),(0,d.A)(vu,this).call(this))}end(e){const{loop:t,ended:n}=this.$state;!t()&&n()||(t()?setTimeout(()=>{requestAnimationFrame(()=>{(0,i.A)(pu,this,Iu).call(this,e),this.dispatch("media-loop-request",{trigger:e})})},10):setTimeout(()=>(0,i.A)(pu,this,qu).call(this,e),0))}"fullscreen-change"(e){const t=e.detail;this.$state.fullscreen.set(t),(0,i.A)(pu,this,wu).call(this,t?"media-enter-fullscreen-request":"media-exit-fullscreen-request",e)}"fullscreen-error"(e){(0,i.A)(pu,this,wu).call(this,"media-enter-fullscreen-request",e),(0,i.A)(pu,this,wu).call(this,"media-exit-fullscreen-request",e)}"orientation-change"(e){const t=e.detail.lock;(0,i.A)(pu,this,wu).call(this,t?"media-orientation-lock-request":"media-orientation-unlock-request",e)}"picture-in-picture-change"(e){const t=e.detail;this.$state.pictureInPicture.set(t),(0,i.A)(pu,this,wu).call(this,t?"media-enter-pip-request":"media-exit-pip-request",e)}"picture-in-picture-error"(e){(0,i.A)(pu,this,wu).call(this,"media-enter-pip-request",e),(0,i.A)(pu,this,wu).call(this,"media-exit-pip-request",e)}"title-change"(e){e.trigger&&(e.stopImmediatePropagation(),this.$state.inferredTitle.set(e.detail))}"poster-change"(e){e.trigger&&(e.stopImmediatePropagation(),this.$state.inferredPoster.set(e.detail))}}function yu(){(0,d.A)(fu,this)&&(requestAnimationFrame(()=>{this.scope&&(0,d.A)(au,this).remote.play(new f.vP("dom-connect"))}),(0,c.A)(fu,this,!1))}function Au(){var e;(0,d.A)(fu,this)||((0,c.A)(fu,this,!this.$state.paused()),null===(e=(0,d.A)(au,this).$provider())||void 0===e||e.pause())}function bu(){(0,i.A)(pu,this,ju).call(this),(0,c.A)(lu,this,!1),(0,d.A)(ru,this).replaying=!1,(0,d.A)(ru,this).looping=!1,(0,c.A)(du,this,!1),(0,c.A)(hu,this,void 0),(0,d.A)(ou,this).clear()}function wu(e,t){const n=(0,d.A)(ru,this).queue.serve(e);n&&(t.request=n,t.triggers.add(n))}function ku(){(0,i.A)(pu,this,Cu).call(this),(0,i.A)(pu,this,xu).call(this);const e=(0,d.A)(au,this).textTracks;new f.En(e).add("add",(0,i.A)(pu,this,Cu).bind(this)).add("remove",(0,i.A)(pu,this,Cu).bind(this)).add("mode-change",(0,i.A)(pu,this,xu).bind(this))}function Su(){const e=(0,d.A)(au,this).qualities;new f.En(e).add("add",(0,i.A)(pu,this,Mu).bind(this)).add("remove",(0,i.A)(pu,this,Mu).bind(this)).add("change",(0,i.A)(pu,this,$u).bind(this)).add("auto-change",(0,i.A)(pu,this,Lu).bind(this)).add("readonly-change",(0,i.A)(pu,this,Fu).bind(this))}function Eu(){const e=(0,d.A)(au,this).audioTracks;new f.En(e).add("add",(0,i.A)(pu,this,Tu).bind(this)).add("remove",(0,i.A)(pu,this,Tu).bind(this)).add("change",(0,i.A)(pu,this,Pu).bind(this))}function Cu(e){const{textTracks:t}=this.$state;t.set((0,d.A)(au,this).textTracks.toArray()),this.dispatch("text-tracks-change",{detail:t(),trigger:e})}function xu(e){e&&(0,i.A)(pu,this,wu).call(this,"media-text-track-change-request",e);const t=(0,d.A)(au,this).textTracks.selected,{textTrack:n}=this.$state;n()!==t&&(n.set(t),this.dispatch("text-track-change",{detail:t,trigger:e}))}function Tu(e){const{audioTracks:t}=this.$state;t.set((0,d.A)(au,this).audioTracks.toArray()),this.dispatch("audio-tracks-change",{detail:t(),trigger:e})}function Pu(e){const{audioTrack:t}=this.$state;t.set((0,d.A)(au,this).audioTracks.selected),e&&(0,i.A)(pu,this,wu).call(this,"media-audio-track-change-request",e),this.dispatch("audio-track-change",{detail:t(),trigger:e})}function Mu(e){const{qualities:t}=this.$state;t.set((0,d.A)(au,this).qualities.toArray()),this.dispatch("qualities-change",{detail:t(),trigger:e})}function $u(e){const{quality:t}=this.$state;t.set((0,d.A)(au,this).qualities.selected),e&&(0,i.A)(pu,this,wu).call(this,"media-quality-change-request",e),this.dispatch("quality-change",{detail:t(),trigger:e})}function Lu(){const{qualities:e}=(0,d.A)(au,this),t=e.auto;this.$state.autoQuality.set(t),t||(0,i.A)(pu,this,Du).call(this)}function Nu(){(0,i.A)(pu,this,Du).call(this),(0,c.A)(mu,this,(0,f.QZ)(()=>{const{qualities:e}=(0,d.A)(au,this),{mediaWidth:t,mediaHeight:n}=this.$state,i=t(),s=n();if(0===i||0===s)return;let r=null,a=1/0;for(const o of e){const e=Math.abs(o.width-i)+Math.abs(o.height-s);e<a&&(a=e,r=o)}r&&e[$n.select](r,!0,new f.vP("resize",{detail:{width:i,height:s}}))}))}function Du(){var e;null===(e=(0,d.A)(mu,this))||void 0===e||e.call(this),(0,c.A)(mu,this,null)}function Fu(){this.$state.canSetQuality.set(!(0,d.A)(au,this).qualities.readonly)}function Vu(){const{canSetVolume:e,isGoogleCastConnected:t}=this.$state;t()?e.set(!1):async function(){const e=document.createElement("video");return e.volume=.5,await(0,f.j4)(0),.5===e.volume}().then(e.set)}function Ru(e,t,n){let{qualities:s}=(0,d.A)(au,this),r=!1,o=!1;for(const i of e){if(!lt(i))continue;if(!t.some(e=>e.src===i.src)){const e=s.getBySrc(i.src);e&&(s[$n.remove](e,n),o=!0)}}o&&!s.length&&(this.$state.savedState.set(null),s[$n.reset](n));for(const i of t){var l;if(!lt(i)||s.getBySrc(i.src))continue;const e=(0,a.A)((0,a.A)({id:null!==(l=i.id)&&void 0!==l?l:i.height+"p",bitrate:null,codec:null},i),{},{selected:!1});s[$n.add](e,n),r=!0}r&&!s[Fi.enableAuto]&&((0,i.A)(pu,this,Nu).call(this),s[Fi.enableAuto]=(0,i.A)(pu,this,Nu).bind(this),s[Fi.setAuto](!0,n))}function Ou(e){let t=arguments.length>1&&void 0!==arguments[1]&&arguments[1];const{audioTracks:n,qualities:s}=(0,d.A)(au,this);if(!t)return(0,c.A)(uu,this,[]),(0,c.A)(cu,this,[-1,-1]),n[$n.reset](e),s[$n.reset](e),gn(this.$state,t),void(0,i.A)(pu,this,bu).call(this);gn(this.$state,t),(0,i.A)(pu,this,bu).call(this)}function Wu(e){var t;const{seekable:n,buffered:i,intrinsicDuration:s,canPlay:r}=this.$state;r.set(!0),i.set(e.buffered),n.set(e.seekable);const a=null!==(t=xt(e.seekable))&&void 0!==t?t:1/0;s.set(a)}function Iu(e){if(!(0,f.se)((0,d.A)(au,this).$provider))return;const{ended:t,seekableStart:n,clipEndTime:i,currentTime:s,realCurrentTime:r,duration:a}=this.$state,o=t()||r()<n()||i()>0&&r()>=i()||Math.abs(s()-a())<.1;return o&&this.dispatch("media-seek-request",{detail:n(),trigger:e}),o}function zu(){const{currentTime:e,played:t,paused:n}=this.$state;n()||((0,c.A)(cu,this,Tt((0,d.A)(uu,this),(0,d.A)(cu,this),e())),t.set(new Et((0,d.A)(uu,this))))}function Bu(e){const{clipStartTime:t,clipEndTime:n,duration:i}=this.$state;t()>0||n()>0||this.handle(this.createEvent("time-change",{detail:i(),trigger:e}))}function _u(){const{storage:e}=(0,d.A)(au,this),{canPlay:t,realCurrentTime:n}=this.$state;var i;t()&&(null===e||void 0===e||null===(i=e.setTime)||void 0===i||i.call(e,n()))}function qu(e){var t;const{storage:n}=(0,d.A)(au,this),{paused:s,seeking:r,ended:a,duration:o}=this.$state;(0,i.A)(pu,this,Bu).call(this,e),s()||this.dispatch("pause",{trigger:e}),r()&&this.dispatch("seeked",{detail:o(),trigger:e}),a.set(!0),(0,i.A)(pu,this,bu).call(this),null===n||void 0===n||null===(t=n.setTime)||void 0===t||t.call(n,o(),!0),this.dispatch("ended",{trigger:e})}function ju(){(0,d.A)(vu,this).cancel(),this.$state.waiting.set(!1)}var Uu=new WeakSet;class Hu extends Bi{constructor(){super(...arguments),(0,o.A)(this,Uu)}onSetup(){if((0,i.A)(Uu,this,Zu).call(this),ut)return;const e=[(0,i.A)(Uu,this,Gu),(0,i.A)(Uu,this,Xu),(0,i.A)(Uu,this,sc),(0,i.A)(Uu,this,rc),(0,i.A)(Uu,this,Ju),(0,i.A)(Uu,this,tc),(0,i.A)(Uu,this,nc),(0,i.A)(Uu,this,ac),(0,i.A)(Uu,this,lc),(0,i.A)(Uu,this,oc),(0,i.A)(Uu,this,Yu),(0,i.A)(Uu,this,ic),(0,i.A)(Uu,this,ec),(0,i.A)(Uu,this,Qu),(0,i.A)(Uu,this,Ku)];for(const t of e)(0,f.QZ)(t.bind(this))}}function Zu(){const e={duration:"providedDuration",loop:"providedLoop",poster:"providedPoster",streamType:"providedStreamType",title:"providedTitle",viewType:"providedViewType"},t=new Set(["currentTime","paused","playbackRate","volume"]);for(const s of Object.keys(this.$props)){var n,i;t.has(s)||(null===(n=this.$state[null!==(i=e[s])&&void 0!==i?i:s])||void 0===n||n.set(this.$props[s]()))}this.$state.muted.set(this.$props.muted()||0===this.$props.volume())}function Qu(){const{viewType:e,streamType:t,title:n,poster:i,loop:s}=this.$props,r=this.$state;r.providedPoster.set(i()),r.providedStreamType.set(t()),r.providedViewType.set(e()),r.providedTitle.set(n()),r.providedLoop.set(s())}function Gu(){const{artist:e,artwork:t}=this.$props;this.$state.artist.set(e()),this.$state.artwork.set(t())}function Ku(){const{title:e}=this.$state;this.dispatch("title-change",{detail:e()})}function Xu(){const e=this.$props.autoPlay()||this.$props.autoplay();this.$state.autoPlay.set(e),this.dispatch("auto-play-change",{detail:e})}function Yu(){const e=this.$state.loop();this.dispatch("loop-change",{detail:e})}function Ju(){const e=this.$props.controls();this.$state.controls.set(e)}function ec(){const{poster:e}=this.$state;this.dispatch("poster-change",{detail:e()})}function tc(){var e;const t=null!==(e=this.$props.crossOrigin())&&void 0!==e?e:this.$props.crossorigin(),n=!0===t?"":t;this.$state.crossOrigin.set(n)}function nc(){const{duration:e}=this.$props;this.dispatch("media-duration-change-request",{detail:e()})}function ic(){const e=this.$props.playsInline()||this.$props.playsinline();this.$state.playsInline.set(e),this.dispatch("plays-inline-change",{detail:e})}function sc(){const{clipStartTime:e}=this.$props;this.dispatch("media-clip-start-change-request",{detail:e()})}function rc(){const{clipEndTime:e}=this.$props;this.dispatch("media-clip-end-change-request",{detail:e()})}function ac(){this.dispatch("live-change",{detail:this.$state.live()})}function oc(){this.$state.liveEdgeTolerance.set(this.$props.liveEdgeTolerance()),this.$state.minLiveDVRWindow.set(this.$props.minLiveDVRWindow())}function lc(){this.dispatch("live-edge-change",{detail:this.$state.liveEdge()})}const uc=["play","pause","seekforward","seekbackward","seekto"];var cc=new WeakSet;class dc extends Bi{constructor(){super(...arguments),(0,o.A)(this,cc)}onConnect(){(0,f.QZ)((0,i.A)(cc,this,fc).bind(this)),(0,f.QZ)((0,i.A)(cc,this,pc).bind(this));const e=(0,i.A)(cc,this,mc).bind(this);for(const t of uc)navigator.mediaSession.setActionHandler(t,e);(0,f.zp)((0,i.A)(cc,this,hc).bind(this))}}function hc(){for(const e of uc)navigator.mediaSession.setActionHandler(e,null)}function fc(){var e;const{title:t,artist:n,artwork:i,poster:s}=this.$state;navigator.mediaSession.metadata=new MediaMetadata({title:t(),artist:n(),artwork:null!==(e=i())&&void 0!==e?e:[{src:s()}]})}function pc(){const{canPlay:e,paused:t}=this.$state;navigator.mediaSession.playbackState=e()?t()?"paused":"playing":"none"}function mc(e){var t;const n=new f.vP("media-session-action",{detail:e});switch(e.action){case"play":this.dispatch("media-play-request",{trigger:n});break;case"pause":this.dispatch("media-pause-request",{trigger:n});break;case"seekto":case"seekforward":case"seekbackward":this.dispatch("media-seek-request",{detail:(0,f.Et)(e.seekTime)?e.seekTime:this.$state.currentTime()+(null!==(t=e.seekOffset)&&void 0!==t?t:"seekforward"===e.action?10:-10),trigger:n})}}let vc=(0,f.O)(!1);ut||((0,f.k6)(document,"pointerdown",()=>{vc.set(!1)}),(0,f.k6)(document,"keydown",e=>{e.metaKey||e.altKey||e.ctrlKey||vc.set(!0)}));var gc=new WeakMap,yc=new WeakSet;class Ac extends f.WO{constructor(){super(...arguments),(0,o.A)(this,yc),(0,u.A)(this,gc,(0,f.O)(!1))}onConnect(e){(0,f.QZ)(()=>{const t=new f.En(e);if(!vc())return(0,d.A)(gc,this).set(!1),Ec(e,!1),void t.add("pointerenter",(0,i.A)(yc,this,kc).bind(this)).add("pointerleave",(0,i.A)(yc,this,Sc).bind(this));const n=document.activeElement===e;(0,d.A)(gc,this).set(n),Ec(e,n),t.add("focus",(0,i.A)(yc,this,bc).bind(this)).add("blur",(0,i.A)(yc,this,wc).bind(this))})}focused(){return(0,d.A)(gc,this).call(this)}}function bc(){(0,d.A)(gc,this).set(!0),Ec(this.el,!0)}function wc(){(0,d.A)(gc,this).set(!1),Ec(this.el,!1)}function kc(){Cc(this.el,!0)}function Sc(){Cc(this.el,!1)}function Ec(e,t){(0,f.Bq)(e,"data-focus",t),(0,f.Bq)(e,"data-hocus",t)}function Cc(e,t){(0,f.Bq)(e,"data-hocus",t),(0,f.Bq)(e,"data-hover",t)}var xc=new WeakMap,Tc=new WeakMap,Pc=new WeakMap,Mc=new WeakSet,$c=new WeakMap;class Lc extends f.uA{constructor(){super(),(0,o.A)(this,Mc),(0,u.A)(this,xc,void 0),(0,u.A)(this,Tc,void 0),(0,u.A)(this,Pc,void 0),(0,l.A)(this,"canPlayQueue",new Cl),(0,l.A)(this,"remoteControl",void 0),(0,u.A)(this,$c,!1),(0,l.A)(this,"orientation",void 0),new Hu;const e={player:this,qualities:new Ri,audioTracks:new Fn,storage:null,$provider:(0,f.O)(null),$providerSetup:(0,f.O)(!1),$props:this.$props,$state:this.$state};e.remote=this.remoteControl=new xn(void 0),e.remote.setPlayer(this),e.textTracks=new $i,e.textTracks[Zt.crossOrigin]=this.$state.crossOrigin,e.textRenderers=new pi(e),e.ariaKeys={},(0,c.A)(xc,this,e),(0,f.Pp)(An,e),this.orientation=new zs,new Ac,new Qi(e);const t=new iu;(0,c.A)(Tc,this,new gu(t,e)),(0,c.A)(Pc,this,new Il((0,d.A)(Tc,this),t,e)),e.delegate=new gl((0,d.A)(Tc,this).handle.bind((0,d.A)(Tc,this)),e),e.notify=e.delegate.notify.bind(e.delegate),"undefined"!==typeof navigator&&"mediaSession"in navigator&&new dc,new fl("load",this.startLoading.bind(this)),new fl("posterLoad",this.startLoadingPoster.bind(this))}onSetup(){(0,i.A)(Mc,this,Oc).call(this),(0,f.QZ)((0,i.A)(Mc,this,Rc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,qc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,Bc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,Zc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,Uc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,Xc).bind(this)),(0,f.QZ)((0,i.A)(Mc,this,Gc).bind(this))}onAttach(e){e.setAttribute("data-media-player",""),zn(e,"tabindex","0"),zn(e,"role","region"),(0,f.QZ)((0,i.A)(Mc,this,Jc).bind(this)),ut?(0,i.A)(Mc,this,Fc).call(this):(0,f.QZ)((0,i.A)(Mc,this,Fc).bind(this)),ut?(0,i.A)(Mc,this,Vc).call(this):(0,f.QZ)((0,i.A)(Mc,this,Vc).bind(this)),(0,f.k6)(e,"find-media-player",(0,i.A)(Mc,this,Wc).bind(this))}onConnect(e){ht&&(0,f.Bq)(e,"data-iphone","");const t=window.matchMedia("(pointer: coarse)");(0,i.A)(Mc,this,zc).call(this,t),t.onchange=(0,i.A)(Mc,this,zc).bind(this);const n=new ResizeObserver((0,f.s_)((0,i.A)(Mc,this,Ic).bind(this)));n.observe(e),(0,f.QZ)((0,i.A)(Mc,this,Ic).bind(this)),this.dispatch("media-player-connect",{detail:this,bubbles:!0,composed:!0}),(0,f.zp)(()=>{n.disconnect(),t.onchange=null})}onDestroy(){(0,d.A)(xc,this).player=null,this.canPlayQueue.reset()}get provider(){return s(Mc,this,Nc)}get controls(){return(0,d.A)(Pc,this).controls}set controls(e){s(Mc,this,Dc).controls.set(e)}get title(){return(0,f.se)(this.$state.title)}set title(e){(0,d.A)($c,this)?(0,c.A)($c,this,!1):s(Mc,this,Dc).title.set(e)}get qualities(){return(0,d.A)(xc,this).qualities}get audioTracks(){return(0,d.A)(xc,this).audioTracks}get textTracks(){return(0,d.A)(xc,this).textTracks}get textRenderers(){return(0,d.A)(xc,this).textRenderers}get duration(){return this.$state.duration()}set duration(e){s(Mc,this,Dc).duration.set(e)}get paused(){return(0,f.se)(this.$state.paused)}set paused(e){(0,i.A)(Mc,this,_c).call(this,e)}get muted(){return(0,f.se)(this.$state.muted)}set muted(e){(0,i.A)(Mc,this,jc).call(this,e)}get currentTime(){return(0,f.se)(this.$state.currentTime)}set currentTime(e){(0,i.A)(Mc,this,Hc).call(this,e)}get volume(){return(0,f.se)(this.$state.volume)}set volume(e){(0,i.A)(Mc,this,Qc).call(this,e)}get playbackRate(){return(0,f.se)(this.$state.playbackRate)}set playbackRate(e){(0,i.A)(Mc,this,Kc).call(this,e)}async play(e){return(0,d.A)(Pc,this).play(e)}async pause(e){return(0,d.A)(Pc,this).pause(e)}async enterFullscreen(e,t){return(0,d.A)(Pc,this).enterFullscreen(e,t)}async exitFullscreen(e,t){return(0,d.A)(Pc,this).exitFullscreen(e,t)}enterPictureInPicture(e){return(0,d.A)(Pc,this).enterPictureInPicture(e)}exitPictureInPicture(e){return(0,d.A)(Pc,this).exitPictureInPicture(e)}seekToLiveEdge(e){(0,d.A)(Pc,this).seekToLiveEdge(e)}startLoading(e){(0,d.A)(xc,this).notify("can-load",void 0,e)}startLoadingPoster(e){(0,d.A)(xc,this).notify("can-load-poster",void 0,e)}requestAirPlay(e){return(0,d.A)(Pc,this).requestAirPlay(e)}requestGoogleCast(e){return(0,d.A)(Pc,this).requestGoogleCast(e)}setAudioGain(e,t){return(0,d.A)(Pc,this).setAudioGain(e,t)}destroy(){super.destroy(),(0,d.A)(xc,this).remote.setPlayer(null),this.dispatch("destroy")}}function Nc(e){return(0,d.A)(xc,e).$provider()}function Dc(e){return e.$props}function Fc(){const e=this.$el,{title:t,live:n,viewType:i,providedTitle:s}=this.$state,r=n(),a=(0,f.Fb)(i()),o="Unknown"!==a?"".concat(r?"Live ":"").concat(a):r?"Live":"Media",l=t();(0,f.Bq)(this.el,"aria-label","".concat(o," Player")+(l?" - ".concat(l):"")),!ut&&null!==e&&void 0!==e&&e.hasAttribute("title")&&((0,c.A)($c,this,!0),null===e||void 0===e||e.removeAttribute("title"))}function Vc(){const e=this.orientation.landscape?"landscape":"portrait";this.$state.orientation.set(e),(0,f.Bq)(this.el,"data-orientation",e),(0,i.A)(Mc,this,Ic).call(this)}function Rc(){this.$state.canPlay()&&s(Mc,this,Nc)?this.canPlayQueue.start():this.canPlayQueue.stop()}function Oc(){if(at[ll])return void this.setAttributes(at[ll]);const e={"data-load":function(){return this.$props.load()},"data-captions":function(){const e=this.$state.textTrack();return!!e&&fn(e)},"data-ios-controls":function(){return this.$state.iOSControls()},"data-controls":function(){return this.controls.showing},"data-buffering":function(){const{canLoad:e,canPlay:t,waiting:n}=this.$state;return e()&&(!t()||n())},"data-error":function(){const{error:e}=this.$state;return!!e()},"data-autoplay-error":function(){const{autoPlayError:e}=this.$state;return!!e()}},t={autoPlay:"autoplay",canAirPlay:"can-airplay",canPictureInPicture:"can-pip",pictureInPicture:"pip",playsInline:"playsinline",remotePlaybackState:"remote-state",remotePlaybackType:"remote-type",isAirPlayConnected:"airplay",isGoogleCastConnected:"google-cast"};for(const i of ul){var n;e["data-"+(null!==(n=t[i])&&void 0!==n?n:(0,f.BW)(i))]=function(){return this.$state[i]()}}delete e.title,at[ll]=e,this.setAttributes(e)}function Wc(e){e.detail(this)}function Ic(){if(ut||!this.el)return;const e=this.el.clientWidth,t=this.el.clientHeight;this.$state.width.set(e),this.$state.height.set(t),(0,f.eC)(this.el,"--player-width",e+"px"),(0,f.eC)(this.el,"--player-height",t+"px")}function zc(e){if(ut)return;const t=e.matches?"coarse":"fine";(0,f.Bq)(this.el,"data-pointer",t),this.$state.pointer.set(t),(0,i.A)(Mc,this,Ic).call(this)}function Bc(){(0,i.A)(Mc,this,_c).call(this,this.$props.paused())}function _c(e){e?this.canPlayQueue.enqueue("paused",()=>(0,d.A)(Pc,this).pause()):this.canPlayQueue.enqueue("paused",()=>(0,d.A)(Pc,this).play())}function qc(){(0,i.A)(Mc,this,jc).call(this,this.$props.muted())}function jc(e){this.canPlayQueue.enqueue("muted",()=>{s(Mc,this,Nc)&&s(Mc,this,Nc).setMuted(e)})}function Uc(){(0,i.A)(Mc,this,Hc).call(this,this.$props.currentTime())}function Hc(e){this.canPlayQueue.enqueue("currentTime",()=>{const{currentTime:t}=this.$state;e!==(0,f.se)(t)&&(0,f.se)(()=>{if(!s(Mc,this,Nc))return;const t=yn(e,this.$state);Number.isFinite(t)&&s(Mc,this,Nc).setCurrentTime(t)})})}function Zc(){(0,i.A)(Mc,this,Qc).call(this,this.$props.volume())}function Qc(e){const t=On(0,e,1);this.canPlayQueue.enqueue("volume",()=>{s(Mc,this,Nc)&&s(Mc,this,Nc).setVolume(t)})}function Gc(){(0,i.A)(Mc,this,Kc).call(this,this.$props.playbackRate())}function Kc(e){this.canPlayQueue.enqueue("rate",()=>{var t,n;s(Mc,this,Nc)&&(null===(t=(n=s(Mc,this,Nc)).setPlaybackRate)||void 0===t||t.call(n,e))})}function Xc(){(0,i.A)(Mc,this,Yc).call(this,this.$props.playsInline())}function Yc(e){this.canPlayQueue.enqueue("playsinline",()=>{var t,n;s(Mc,this,Nc)&&(null===(t=(n=s(Mc,this,Nc)).setPlaysInline)||void 0===t||t.call(n,e))})}function Jc(){let e=this.$props.storage(),t=(0,f.Kg)(e)?new Mn:e;if(null!==t&&void 0!==t&&t.onChange){var n;const{source:s}=this.$state,r=(0,f.Kg)(e)?e:null===(n=this.el)||void 0===n?void 0:n.id,a=(0,f.EW)((0,i.A)(Mc,this,ed).bind(this));(0,f.QZ)(()=>t.onChange(s(),a(),r||void 0))}(0,d.A)(xc,this).storage=t,(0,d.A)(xc,this).textTracks.setStorage(t),(0,f.zp)(()=>{var e;null===t||void 0===t||null===(e=t.onDestroy)||void 0===e||e.call(t),(0,d.A)(xc,this).storage=null,(0,d.A)(xc,this).textTracks.setStorage(null)})}function ed(){const{clipStartTime:e,clipEndTime:t}=this.$props,{source:n}=this.$state,i=n();return i.src?"".concat(i.src,":").concat(e(),":").concat(t()):null}at=Lc,(0,l.A)(Lc,"props",cl),(0,l.A)(Lc,"state",pn);const td=Lc.prototype;function nd(e,t){return fetch(e,t).then(e=>e.text()).then(n=>{const i=function(e){const t=e.match(/#EXT-X-STREAM-INF:[^\n]+(\n[^\n]+)*/g);return t?t[0].split("\n")[1].trim():null}(n);if(i)return nd(/^https?:/.test(i)?i:new URL(i,e).href,t);const s=/EXT-X-PLAYLIST-TYPE:\s*VOD/.test(n)?"on-demand":"live";return"live"===s&&function(e){const t=e.split("\n");for(const n of t)if(n.startsWith("#EXT-X-TARGETDURATION")){const e=parseFloat(n.split(":")[1]);if(!isNaN(e))return e}return-1}(n)>=10&&(/#EXT-X-DVR-ENABLED:\s*true/.test(n)||n.includes("#EXT-X-DISCONTINUITY"))?"live:dvr":s})}(0,f._w)(td,"canPlayQueue"),(0,f._w)(td,"remoteControl"),(0,f._w)(td,"provider"),(0,f._w)(td,"controls"),(0,f._w)(td,"orientation"),(0,f._w)(td,"title"),(0,f._w)(td,"qualities"),(0,f._w)(td,"audioTracks"),(0,f._w)(td,"textTracks"),(0,f._w)(td,"textRenderers"),(0,f._w)(td,"duration"),(0,f._w)(td,"paused"),(0,f._w)(td,"muted"),(0,f._w)(td,"currentTime"),(0,f._w)(td,"volume"),(0,f._w)(td,"playbackRate"),(0,f.EJ)(td,"play"),(0,f.EJ)(td,"pause"),(0,f.EJ)(td,"enterFullscreen"),(0,f.EJ)(td,"exitFullscreen"),(0,f.EJ)(td,"enterPictureInPicture"),(0,f.EJ)(td,"exitPictureInPicture"),(0,f.EJ)(td,"seekToLiveEdge"),(0,f.EJ)(td,"startLoading"),(0,f.EJ)(td,"startLoadingPoster"),(0,f.EJ)(td,"requestAirPlay"),(0,f.EJ)(td,"requestGoogleCast"),(0,f.EJ)(td,"setAudioGain");const id=new Map;var sd=new WeakMap,rd=new WeakMap,ad=new WeakMap,od=new WeakMap,ld=new WeakMap,ud=new WeakSet;class cd{constructor(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:[];(0,o.A)(this,ud),(0,u.A)(this,sd,!1),(0,u.A)(this,rd,void 0),(0,u.A)(this,ad,void 0),(0,u.A)(this,od,void 0),(0,u.A)(this,ld,void 0),(0,c.A)(ad,this,e),(0,c.A)(od,this,t),(0,c.A)(ld,this,n);const s=new tl,r=new Zs,a=new Hs,l=new Us,h=[new il,new nl];(0,c.A)(rd,this,(0,f.EW)(()=>{const e=t.$state.remotePlaybackLoader(),n=t.$props.preferNativeHLS()?[a,l,s,r,...h,...i]:[r,a,l,s,...h,...i];return e?[e,...n]:n}));const{$state:p}=t;p.sources.set(Ad(t.$props.src()));for(const o of p.sources()){const e=(0,d.A)(rd,this).call(this).find(e=>e.canPlay(o));if(!e)continue;const n=e.mediaType(o);t.$state.source.set(o),t.$state.mediaType.set(n),t.$state.inferredViewType.set(n),(0,d.A)(ld,this).set(e),(0,c.A)(sd,this,!0);break}}connect(){const e=(0,d.A)(ld,this).call(this);(0,d.A)(sd,this)&&((0,i.A)(ud,this,pd).call(this,(0,d.A)(od,this).$state.source(),e),(0,i.A)(ud,this,md).call(this,e),(0,c.A)(sd,this,!1)),(0,f.QZ)((0,i.A)(ud,this,dd).bind(this)),(0,f.QZ)((0,i.A)(ud,this,hd).bind(this)),(0,f.QZ)((0,i.A)(ud,this,vd).bind(this)),(0,f.QZ)((0,i.A)(ud,this,gd).bind(this)),(0,f.QZ)((0,i.A)(ud,this,yd).bind(this))}}function dd(){(0,d.A)(od,this).notify("sources-change",[...Ad((0,d.A)(od,this).$props.src()),...(0,d.A)(ad,this).call(this)])}function hd(){var e;const{$state:t}=(0,d.A)(od,this),n=t.sources(),s=(0,f.se)(t.source),r=(0,i.A)(ud,this,fd).call(this,s,n);if((null===(e=n[0])||void 0===e?void 0:e.src)&&!r.src&&!r.type){const{crossOrigin:e}=t,s=Ut(e()),r=new AbortController;return Promise.all(n.map(e=>(0,f.Kg)(e.src)&&"?"===e.type?fetch(e.src,{method:"HEAD",credentials:s,signal:r.signal}).then(t=>(e.type=t.headers.get("content-type")||"??",id.set(e.src,e.type),e)).catch(()=>e):e)).then(e=>{if(r.signal.aborted)return;const n=(0,i.A)(ud,this,fd).call(this,(0,f.se)(t.source),e);(0,f.io)(),n.src||(0,d.A)(od,this).notify("error",{message:"Failed to load resource.",code:4})}),()=>r.abort()}(0,f.io)()}function fd(e,t){let n={src:"",type:""},s=null,r=new f.vP("sources-change",{detail:{sources:t}}),a=(0,d.A)(rd,this).call(this),{started:o,paused:l,currentTime:u,quality:c,savedState:h}=(0,d.A)(od,this).$state;for(const i of t){const e=a.find(e=>e.canPlay(i));if(e){n=i,s=e;break}}if(lt(n)){const e=c(),i=t.find(t=>t.src===(null===e||void 0===e?void 0:e.src));(0,f.se)(o)?h.set({paused:(0,f.se)(l),currentTime:(0,f.se)(u)}):h.set(null),i&&(n=i,r=new f.vP("quality-change",{detail:{quality:e}}))}return wd(e,n)||(0,i.A)(ud,this,pd).call(this,n,s,r),s!==(0,f.se)((0,d.A)(ld,this))&&(0,i.A)(ud,this,md).call(this,s,r),n}function pd(e,t,n){(0,d.A)(od,this).notify("source-change",e,n),(0,d.A)(od,this).notify("media-type-change",(null===t||void 0===t?void 0:t.mediaType(e))||"unknown",n)}function md(e,t){(0,d.A)(od,this).$providerSetup.set(!1),(0,d.A)(od,this).notify("provider-change",null,t),e&&(0,f.se)(()=>{var t;return null===(t=e.preconnect)||void 0===t?void 0:t.call(e,(0,d.A)(od,this))}),(0,d.A)(ld,this).set(e),(0,d.A)(od,this).notify("provider-loader-change",e,t)}function vd(){const e=(0,d.A)(od,this).$provider();if(e&&!(0,f.se)((0,d.A)(od,this).$providerSetup))return(0,d.A)(od,this).$state.canLoad()?((0,f.P1)(()=>e.setup(),e.scope),void(0,d.A)(od,this).$providerSetup.set(!0)):void(0,f.se)(()=>{var t;return null===(t=e.preconnect)||void 0===t?void 0:t.call(e)})}function gd(){if(!(0,d.A)(od,this).$providerSetup())return;const e=(0,d.A)(od,this).$provider(),t=(0,d.A)(od,this).$state.source(),n=(0,f.se)((0,d.A)(od,this).$state.crossOrigin),i=(0,f.se)((0,d.A)(od,this).$props.preferNativeHLS);if(!wd(null===e||void 0===e?void 0:e.currentSrc,t)){if((0,d.A)(od,this).$state.canLoad()){const a=new AbortController;return Wt(t)?!i&&wt()||nd(t.src,{credentials:Ut(n),signal:a.signal}).then(e=>{(0,d.A)(od,this).notify("stream-type-change",e)}).catch(f.lQ):It(t)?(s=t.src,r={credentials:Ut(n),signal:a.signal},fetch(s,r).then(e=>e.text()).then(e=>/type="static"/.test(e)?"on-demand":"live")).then(e=>{(0,d.A)(od,this).notify("stream-type-change",e)}).catch(f.lQ):(0,d.A)(od,this).notify("stream-type-change","on-demand"),(0,f.se)(()=>{const n=(0,f.se)((0,d.A)(od,this).$state.preload);return null===e||void 0===e?void 0:e.loadSource(t,n).catch(e=>{})}),()=>a.abort()}var s,r;try{(0,f.Kg)(t.src)&&_t(new URL(t.src).origin)}catch(a){}}}function yd(){const e=(0,d.A)(ld,this).call(this),{providedPoster:t,source:n,canLoadPoster:i}=(0,d.A)(od,this).$state;if(!e||!e.loadPoster||!n()||!i()||t())return;const s=new AbortController,r=new f.vP("source-change",{detail:n});return e.loadPoster(n(),(0,d.A)(od,this),s).then(e=>{(0,d.A)(od,this).notify("poster-change",e||"",r)}).catch(()=>{(0,d.A)(od,this).notify("poster-change","",r)}),()=>{s.abort()}}function Ad(e){return((0,f.cy)(e)?e:[e]).map(e=>(0,f.Kg)(e)?{src:e,type:bd(e)}:(0,a.A)((0,a.A)({},e),{},{type:bd(e.src,e.type)}))}function bd(e,t){return(0,f.Kg)(t)&&t.length?t:(0,f.Kg)(e)&&id.has(e)?id.get(e):!t&&Wt({src:e,type:""})?"application/x-mpegurl":!t&&It({src:e,type:""})?"application/dash+xml":!(0,f.Kg)(e)||e.startsWith("blob:")?"video/object":e.includes("youtube")||e.includes("youtu.be")?"video/youtube":!e.includes("vimeo")||e.includes("progressive_redirect")||e.includes(".m3u8")?"?":"video/vimeo"}function wd(e,t){return(null===e||void 0===e?void 0:e.src)===(null===t||void 0===t?void 0:t.src)&&(null===e||void 0===e?void 0:e.type)===(null===t||void 0===t?void 0:t.type)}var kd=new WeakMap,Sd=new WeakMap,Ed=new WeakMap,Cd=new WeakSet;class xd{constructor(e,t){(0,o.A)(this,Cd),(0,u.A)(this,kd,void 0),(0,u.A)(this,Sd,void 0),(0,u.A)(this,Ed,[]),(0,c.A)(kd,this,e),(0,c.A)(Sd,this,t),(0,f.QZ)((0,i.A)(Cd,this,Td).bind(this))}}function Td(){const e=(0,d.A)(kd,this).call(this);for(const t of(0,d.A)(Ed,this))if(!e.some(e=>e.id===t.id)){const e=t.id&&(0,d.A)(Sd,this).textTracks.getById(t.id);e&&(0,d.A)(Sd,this).textTracks.remove(e)}for(const t of e){const e=t.id||rn.createId(t);(0,d.A)(Sd,this).textTracks.getById(e)||(t.id=e,(0,d.A)(Sd,this).textTracks.add(t))}(0,c.A)(Ed,this,e)}var Pd=new WeakMap,Md=new WeakMap,$d=new WeakMap,Ld=new WeakMap,Nd=new WeakMap,Dd=new WeakMap,Fd=new WeakSet;class Vd extends f.uA{constructor(){super(...arguments),(0,o.A)(this,Fd),(0,u.A)(this,Pd,void 0),(0,u.A)(this,Md,void 0),(0,u.A)(this,$d,(0,f.O)([])),(0,u.A)(this,Ld,(0,f.O)([])),(0,u.A)(this,Nd,null),(0,u.A)(this,Dd,-1)}onSetup(){(0,c.A)(Pd,this,bn()),(0,c.A)(Md,this,new cd((0,d.A)($d,this),(0,d.A)(Pd,this),this.$state.loader,this.$props.loaders()))}onAttach(e){e.setAttribute("data-media-provider","")}onConnect(e){(0,d.A)(Md,this).connect(),new xd((0,d.A)(Ld,this),(0,d.A)(Pd,this));const t=new ResizeObserver((0,f.s_)((0,i.A)(Fd,this,Wd).bind(this)));t.observe(e);const n=new MutationObserver((0,i.A)(Fd,this,Id).bind(this));n.observe(e,{attributes:!0,childList:!0}),(0,i.A)(Fd,this,Wd).call(this),(0,i.A)(Fd,this,Id).call(this),(0,f.zp)(()=>{t.disconnect(),n.disconnect()})}load(e){null===e||void 0===e||e.setAttribute("aria-hidden","true"),window.cancelAnimationFrame((0,d.A)(Dd,this)),(0,c.A)(Dd,this,requestAnimationFrame(()=>(0,i.A)(Fd,this,Rd).call(this,e))),(0,f.zp)(()=>{window.cancelAnimationFrame((0,d.A)(Dd,this))})}onDestroy(){(0,c.A)(Nd,this,null),(0,i.A)(Fd,this,Od).call(this)}}function Rd(e){if(!this.scope)return;const t=this.$state.loader(),{$provider:n}=(0,d.A)(Pd,this);(0,d.A)(Nd,this)===t&&(null===t||void 0===t?void 0:t.target)===e&&(0,f.se)(n)||((0,i.A)(Fd,this,Od).call(this),(0,c.A)(Nd,this,t),t&&(t.target=e||null),t&&e&&t.load((0,d.A)(Pd,this)).then(e=>{this.scope&&(0,f.se)(this.$state.loader)===t&&(0,d.A)(Pd,this).notify("provider-change",e)}))}function Od(){var e;null===(e=(0,d.A)(Pd,this))||void 0===e||e.notify("provider-change",null)}function Wd(){if(!this.el)return;const{player:e,$state:t}=(0,d.A)(Pd,this),n=this.el.offsetWidth,i=this.el.offsetHeight;e&&(t.mediaWidth.set(n),t.mediaHeight.set(i),e.el&&((0,f.eC)(e.el,"--media-width",n+"px"),(0,f.eC)(e.el,"--media-height",i+"px")))}function Id(){const e=[],t=[],n=this.el.children;for(const i of n)if(!i.hasAttribute("data-vds"))if(i instanceof HTMLSourceElement){const t={id:i.id,src:i.src,type:i.type};for(const e of["id","src","width","height","bitrate","codec"]){const n=i.getAttribute("data-".concat(e));(0,f.Kg)(n)&&(t[e]=/id|src|codec/.test(e)?n:Number(n))}e.push(t)}else if(i instanceof HTMLTrackElement){const e={src:i.src,kind:i.track.kind,language:i.srclang,label:i.label,default:i.default,type:i.getAttribute("data-type")};t.push((0,a.A)({id:i.id||rn.createId(e)},e))}(0,d.A)($d,this).set(e),(0,d.A)(Ld,this).set(t),(0,f.io)()}(0,l.A)(Vd,"props",{loaders:[]}),(0,l.A)(Vd,"state",new f.Uw({loader:null}));const zd=Vd.prototype;(0,f.EJ)(zd,"load");var Bd=new WeakMap,_d=new WeakMap,qd=new WeakSet,jd=new WeakMap,Ud=new WeakMap;class Hd extends f.uA{constructor(){super(...arguments),(0,o.A)(this,qd),(0,u.A)(this,Bd,void 0),(0,u.A)(this,_d,!1),(0,u.A)(this,jd,-1),(0,u.A)(this,Ud,-1)}onSetup(){(0,c.A)(Bd,this,bn())}onAttach(e){e.style.display="contents"}onConnect(e){e.setAttribute("data-media-announcer",""),zn(e,"role","status"),zn(e,"aria-live","polite");const{busy:t}=this.$state;this.setAttributes({"aria-busy":()=>t()?"true":null}),(0,c.A)(_d,this,!0),(0,f.QZ)((0,i.A)(qd,this,Zd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,Xd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,Kd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,Qd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,Gd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,Yd).bind(this)),(0,f.QZ)((0,i.A)(qd,this,eh).bind(this)),(0,f.io)(),(0,c.A)(_d,this,!1)}}function Zd(){const{paused:e}=(0,d.A)(Bd,this).$state;(0,i.A)(qd,this,th).call(this,e()?"Pause":"Play")}function Qd(){const{fullscreen:e}=(0,d.A)(Bd,this).$state;(0,i.A)(qd,this,th).call(this,e()?"Enter Fullscreen":"Exit Fullscreen")}function Gd(){const{pictureInPicture:e}=(0,d.A)(Bd,this).$state;(0,i.A)(qd,this,th).call(this,e()?"Enter PiP":"Exit PiP")}function Kd(){const{textTrack:e}=(0,d.A)(Bd,this).$state;(0,i.A)(qd,this,th).call(this,e()?"Closed-Captions On":"Closed-Captions Off")}function Xd(){var e;const{muted:t,volume:n,audioGain:s}=(0,d.A)(Bd,this).$state;(0,i.A)(qd,this,th).call(this,t()||0===n()?"Mute":"".concat(Math.round(n()*(null!==(e=s())&&void 0!==e?e:1)*100),"% ").concat((0,i.A)(qd,this,Jd).call(this,"Volume")))}function Yd(){const{seeking:e,currentTime:t}=(0,d.A)(Bd,this).$state,n=e();(0,d.A)(jd,this)>0?(window.clearTimeout((0,d.A)(Ud,this)),(0,c.A)(Ud,this,window.setTimeout(()=>{if(!this.scope)return;const e=(0,f.se)(t),n=Math.abs(e-(0,d.A)(jd,this));if(n>=1){const t=e>=(0,d.A)(jd,this),s=ol(n);(0,i.A)(qd,this,th).call(this,"".concat((0,i.A)(qd,this,Jd).call(this,t?"Seek Forward":"Seek Backward")," ").concat(s))}(0,c.A)(jd,this,-1),(0,c.A)(Ud,this,-1)},300))):n&&(0,c.A)(jd,this,(0,f.se)(t))}function Jd(e){var t,n;const{translations:i}=this.$props;return null!==(t=null===i||void 0===i||null===(n=i())||void 0===n?void 0:n[e||""])&&void 0!==t?t:e}function eh(){const{label:e,busy:t}=this.$state,n=(0,i.A)(qd,this,Jd).call(this,e());if((0,d.A)(_d,this))return;t.set(!0);const s=window.setTimeout(()=>{t.set(!1)},150);return this.el&&(0,f.Bq)(this.el,"aria-label",n),(0,f.Kg)(n)&&this.dispatch("change",{detail:n}),()=>window.clearTimeout(s)}function th(e){const{label:t}=this.$state;t.set(e)}(0,l.A)(Hd,"props",{translations:null}),(0,l.A)(Hd,"state",new f.Uw({label:null,busy:!1}));var nh=new WeakMap,ih=new WeakSet;class sh extends f.uA{constructor(){super(...arguments),(0,o.A)(this,ih),(0,u.A)(this,nh,void 0)}onSetup(){(0,c.A)(nh,this,bn()),(0,f.QZ)((0,i.A)(ih,this,ah).bind(this))}onAttach(e){const{pictureInPicture:t,fullscreen:n}=(0,d.A)(nh,this).$state;(0,f.eC)(e,"pointer-events","none"),zn(e,"role","group"),this.setAttributes({"data-visible":(0,i.A)(ih,this,oh).bind(this),"data-fullscreen":n,"data-pip":t}),(0,f.QZ)(()=>{this.dispatch("change",{detail:(0,i.A)(ih,this,oh).call(this)})}),(0,f.QZ)((0,i.A)(ih,this,rh).bind(this)),(0,f.QZ)(()=>{const t=n();for(const n of["top","right","bottom","left"])(0,f.eC)(e,"padding-".concat(n),t&&"env(safe-area-inset-".concat(n,")"))})}}function rh(){if(!this.el)return;const{nativeControls:e}=(0,d.A)(nh,this).$state,t=e();(0,f.Bq)(this.el,"aria-hidden",t?"true":null),(0,f.eC)(this.el,"display",t?"none":null)}function ah(){const{controls:e}=(0,d.A)(nh,this).player,{hideDelay:t,hideOnMouseLeave:n}=this.$props;e.defaultDelay=2e3===t()?(0,d.A)(nh,this).$props.controlsDelay():t(),e.hideOnMouseLeave=n()}function oh(){const{controlsVisible:e}=(0,d.A)(nh,this).$state;return e()}(0,l.A)(sh,"props",{hideDelay:2e3,hideOnMouseLeave:!1});class lh extends f.uA{onAttach(e){e.style.pointerEvents||(0,f.eC)(e,"pointer-events","auto")}}var uh=new WeakMap,ch=new WeakSet,dh=new WeakMap,hh=new WeakMap,fh=new WeakMap;class ph extends f.WO{constructor(e){super(),(0,o.A)(this,ch),(0,u.A)(this,uh,void 0),(0,u.A)(this,dh,-1),(0,u.A)(this,hh,-1),(0,u.A)(this,fh,null),(0,c.A)(uh,this,e),(0,f.QZ)((0,i.A)(ch,this,mh).bind(this))}onDestroy(){var e;null===(e=(0,d.A)(fh,this))||void 0===e||e.call(this),(0,c.A)(fh,this,null)}show(e){var t,n,s,r;(0,i.A)(ch,this,vh).call(this),window.cancelAnimationFrame((0,d.A)(hh,this)),(0,c.A)(hh,this,-1),null===(t=(0,d.A)(fh,this))||void 0===t||t.call(this),(0,c.A)(fh,this,null),(0,c.A)(dh,this,window.setTimeout(()=>{(0,c.A)(dh,this,-1);const t=(0,d.A)(uh,this).content();t&&t.style.removeProperty("display"),(0,f.se)(()=>(0,d.A)(uh,this).onChange(!0,e))},null!==(n=null===(s=(r=(0,d.A)(uh,this)).showDelay)||void 0===s?void 0:s.call(r))&&void 0!==n?n:0))}hide(e){(0,i.A)(ch,this,vh).call(this),(0,f.se)(()=>(0,d.A)(uh,this).onChange(!1,e)),(0,c.A)(hh,this,requestAnimationFrame(()=>{(0,i.A)(ch,this,vh).call(this),(0,c.A)(hh,this,-1);const e=(0,d.A)(uh,this).content();if(e){const n=()=>{e.style.display="none",(0,c.A)(fh,this,null)};if("none"!==getComputedStyle(e).animationName){var t;null===(t=(0,d.A)(fh,this))||void 0===t||t.call(this);const i=(0,f.k6)(e,"animationend",n,{once:!0});(0,c.A)(fh,this,i)}else n()}}))}}function mh(){const e=(0,d.A)(uh,this).trigger();if(!e)return void this.hide();const t=this.show.bind(this),n=this.hide.bind(this);(0,d.A)(uh,this).listen(e,t,n)}function vh(){window.clearTimeout((0,d.A)(dh,this)),(0,c.A)(dh,this,-1)}const gh=(0,f.q6)();let yh=0;var Ah=new WeakMap,bh=new WeakMap,wh=new WeakMap,kh=new WeakMap,Sh=new WeakSet;class Eh extends f.uA{constructor(){super(),(0,o.A)(this,Sh),(0,u.A)(this,Ah,"media-tooltip-".concat(++yh)),(0,u.A)(this,bh,(0,f.O)(null)),(0,u.A)(this,wh,(0,f.O)(null)),(0,u.A)(this,kh,(0,f.O)(!1)),new Ac;const{showDelay:e}=this.$props;new ph({trigger:(0,d.A)(bh,this),content:(0,d.A)(wh,this),showDelay:e,listen(e,t,n){(0,f.QZ)(()=>{vc()&&(0,f.k6)(e,"focus",t),(0,f.k6)(e,"blur",n)}),new f.En(e).add("touchstart",e=>e.preventDefault(),{passive:!1}).add("mouseenter",t).add("mouseleave",n)},onChange:(0,i.A)(Sh,this,Mh).bind(this)})}onAttach(e){e.style.setProperty("display","contents")}onSetup(){(0,f.Pp)(gh,{trigger:(0,d.A)(bh,this),content:(0,d.A)(wh,this),showing:(0,d.A)(kh,this),attachTrigger:(0,i.A)(Sh,this,Ch).bind(this),detachTrigger:(0,i.A)(Sh,this,xh).bind(this),attachContent:(0,i.A)(Sh,this,Th).bind(this),detachContent:(0,i.A)(Sh,this,Ph).bind(this)})}}function Ch(e){(0,d.A)(bh,this).set(e);let t=e.getAttribute("data-media-tooltip");var n;t&&(null===(n=this.el)||void 0===n||n.setAttribute("data-media-".concat(t,"-tooltip"),""));(0,f.Bq)(e,"data-describedby",(0,d.A)(Ah,this))}function xh(e){e.removeAttribute("data-describedby"),e.removeAttribute("aria-describedby"),(0,d.A)(bh,this).set(null)}function Th(e){e.setAttribute("id",(0,d.A)(Ah,this)),e.style.display="none",zn(e,"role","tooltip"),(0,d.A)(wh,this).set(e)}function Ph(e){e.removeAttribute("id"),e.removeAttribute("role"),(0,d.A)(wh,this).set(null)}function Mh(e){const t=(0,d.A)(bh,this).call(this),n=(0,d.A)(wh,this).call(this);t&&(0,f.Bq)(t,"aria-describedby",e?(0,d.A)(Ah,this):null);for(const i of[this.el,t,n])i&&(0,f.Bq)(i,"data-visible",e);(0,d.A)(kh,this).set(e)}(0,l.A)(Eh,"props",{showDelay:700});var $h=new WeakSet;class Lh extends f.uA{constructor(){super(),(0,o.A)(this,$h),new Ac}onConnect(e){(0,f.zp)(Zn(()=>{if(!this.connectScope)return;(0,i.A)($h,this,Nh).call(this);const e=(0,f.NT)(gh);(0,f.zp)(()=>{const t=(0,i.A)($h,this,Dh).call(this);t&&e.detachTrigger(t)})}))}}function Nh(){const e=(0,i.A)($h,this,Dh).call(this),t=(0,f.NT)(gh);e&&t.attachTrigger(e)}function Dh(){const e=this.el.firstElementChild;return"button"===(null===e||void 0===e?void 0:e.localName)||"button"===(null===e||void 0===e?void 0:e.getAttribute("role"))?e:this.el}var Fh=new WeakSet;class Vh extends f.uA{constructor(){super(),(0,o.A)(this,Fh),new Ac;const{placement:e}=this.$props;this.setAttributes({"data-placement":e})}onAttach(e){(0,i.A)(Fh,this,Rh).call(this,e),Object.assign(e.style,{position:"absolute",top:0,left:0,width:"max-content"})}onConnect(e){(0,i.A)(Fh,this,Rh).call(this,e);const t=(0,f.NT)(gh);(0,f.zp)(()=>t.detachContent(e)),(0,f.zp)(Zn(()=>{this.connectScope&&(0,f.QZ)((0,i.A)(Fh,this,Oh).bind(this))}))}}function Rh(e){(0,f.NT)(gh).attachContent(e)}function Oh(){const{showing:e}=(0,f.NT)(gh);if(!e())return;const{placement:t,offset:n,alignOffset:s}=this.$props;return Qn(this.el,(0,i.A)(Fh,this,Wh).call(this),t(),{offsetVarName:"media-tooltip",xOffset:s(),yOffset:n()})}function Wh(){return(0,f.NT)(gh).trigger()}(0,l.A)(Vh,"props",{placement:"top center",offset:0,alignOffset:0});var Ih=new WeakMap,zh=new WeakSet;class Bh extends f.WO{constructor(e){super(),(0,o.A)(this,zh),(0,u.A)(this,Ih,void 0),(0,c.A)(Ih,this,e),new Ac,e.keyShortcut&&new rs(e.keyShortcut)}onSetup(){const{disabled:e}=this.$props;this.setAttributes({"data-pressed":(0,d.A)(Ih,this).isPresssed,"aria-pressed":(0,i.A)(zh,this,_h).bind(this),"aria-disabled":()=>e()?"true":null})}onAttach(e){zn(e,"tabindex","0"),zn(e,"role","button"),zn(e,"type","button")}onConnect(e){const t=Un(e,(0,i.A)(zh,this,jh).bind(this));for(const n of["click","touchstart"])t.add(n,(0,i.A)(zh,this,Uh).bind(this),{passive:!0})}}function _h(){return(0,f.ox)((0,d.A)(Ih,this).isPresssed())}function qh(e){(0,f.wd)((0,d.A)(Ih,this).isPresssed)&&(0,d.A)(Ih,this).isPresssed.set(e=>!e)}function jh(e){var t;if(this.$props.disabled()||this.el.hasAttribute("data-disabled"))return e.preventDefault(),void e.stopImmediatePropagation();e.preventDefault(),(null!==(t=(0,d.A)(Ih,this).onPress)&&void 0!==t?t:(0,i.A)(zh,this,qh)).call(this,e)}function Uh(e){this.$props.disabled()&&(e.preventDefault(),e.stopImmediatePropagation())}(0,l.A)(Bh,"props",{disabled:!1});var Hh=new WeakMap;class Zh extends f.uA{get pressed(){return(0,d.A)(Hh,this).call(this)}constructor(){super(),(0,u.A)(this,Hh,(0,f.O)(!1)),new Bh({isPresssed:(0,d.A)(Hh,this)})}}(0,l.A)(Zh,"props",{disabled:!1,defaultPressed:!1});const Qh=Zh.prototype;(0,f._w)(Qh,"pressed");var Gh=new WeakMap,Kh=new WeakSet;class Xh extends f.uA{constructor(){super(),(0,o.A)(this,Kh),(0,u.A)(this,Gh,void 0),new Bh({isPresssed:(0,i.A)(Kh,this,Jh).bind(this),onPress:(0,i.A)(Kh,this,Yh).bind(this)})}onSetup(){(0,c.A)(Gh,this,bn());const{canAirPlay:e,isAirPlayConnected:t}=(0,d.A)(Gh,this).$state;this.setAttributes({"data-active":t,"data-supported":e,"data-state":(0,i.A)(Kh,this,ef).bind(this),"aria-hidden":Pl(()=>!e())})}onAttach(e){e.setAttribute("data-media-tooltip","airplay"),Bn(e,(0,i.A)(Kh,this,tf).bind(this))}}function Yh(e){(0,d.A)(Gh,this).remote.requestAirPlay(e)}function Jh(){const{remotePlaybackType:e,remotePlaybackState:t}=(0,d.A)(Gh,this).$state;return"airplay"===e()&&"disconnected"!==t()}function ef(){const{remotePlaybackType:e,remotePlaybackState:t}=(0,d.A)(Gh,this).$state;return"airplay"===e()&&t()}function tf(){const{remotePlaybackState:e}=(0,d.A)(Gh,this).$state;return"AirPlay ".concat(e())}(0,l.A)(Xh,"props",Bh.props);var nf=new WeakMap,sf=new WeakSet;class rf extends f.uA{constructor(){super(),(0,o.A)(this,sf),(0,u.A)(this,nf,void 0),new Bh({isPresssed:(0,i.A)(sf,this,of).bind(this),onPress:(0,i.A)(sf,this,af).bind(this)})}onSetup(){(0,c.A)(nf,this,bn());const{canGoogleCast:e,isGoogleCastConnected:t}=(0,d.A)(nf,this).$state;this.setAttributes({"data-active":t,"data-supported":e,"data-state":(0,i.A)(sf,this,lf).bind(this),"aria-hidden":Pl(()=>!e())})}onAttach(e){e.setAttribute("data-media-tooltip","google-cast"),Bn(e,(0,i.A)(sf,this,uf).bind(this))}}function af(e){(0,d.A)(nf,this).remote.requestGoogleCast(e)}function of(){const{remotePlaybackType:e,remotePlaybackState:t}=(0,d.A)(nf,this).$state;return"google-cast"===e()&&"disconnected"!==t()}function lf(){const{remotePlaybackType:e,remotePlaybackState:t}=(0,d.A)(nf,this).$state;return"google-cast"===e()&&t()}function uf(){const{remotePlaybackState:e}=(0,d.A)(nf,this).$state;return"Google Cast ".concat(e())}(0,l.A)(rf,"props",Bh.props);var cf=new WeakMap,df=new WeakSet;class hf extends f.uA{constructor(){super(),(0,o.A)(this,df),(0,u.A)(this,cf,void 0),new Bh({isPresssed:(0,i.A)(df,this,pf).bind(this),keyShortcut:"togglePaused",onPress:(0,i.A)(df,this,ff).bind(this)})}onSetup(){(0,c.A)(cf,this,bn());const{paused:e,ended:t}=(0,d.A)(cf,this).$state;this.setAttributes({"data-paused":e,"data-ended":t})}onAttach(e){e.setAttribute("data-media-tooltip","play"),Bn(e,"Play")}}function ff(e){const t=(0,d.A)(cf,this).remote;(0,i.A)(df,this,pf).call(this)?t.pause(e):t.play(e)}function pf(){const{paused:e}=(0,d.A)(cf,this).$state;return!e()}(0,l.A)(hf,"props",Bh.props);var mf=new WeakMap,vf=new WeakSet;class gf extends f.uA{constructor(){super(),(0,o.A)(this,vf),(0,u.A)(this,mf,void 0),new Bh({isPresssed:(0,i.A)(vf,this,Af).bind(this),keyShortcut:"toggleCaptions",onPress:(0,i.A)(vf,this,yf).bind(this)})}onSetup(){(0,c.A)(mf,this,bn()),this.setAttributes({"data-active":(0,i.A)(vf,this,Af).bind(this),"data-supported":()=>!(0,i.A)(vf,this,bf).call(this),"aria-hidden":Pl((0,i.A)(vf,this,bf).bind(this))})}onAttach(e){e.setAttribute("data-media-tooltip","caption"),Bn(e,"Captions")}}function yf(e){(0,d.A)(mf,this).remote.toggleCaptions(e)}function Af(){const{textTrack:e}=(0,d.A)(mf,this).$state,t=e();return!!t&&fn(t)}function bf(){const{hasCaptions:e}=(0,d.A)(mf,this).$state;return!e()}(0,l.A)(gf,"props",Bh.props);var wf=new WeakMap,kf=new WeakSet;class Sf extends f.uA{constructor(){super(),(0,o.A)(this,kf),(0,u.A)(this,wf,void 0),new Bh({isPresssed:(0,i.A)(kf,this,Cf).bind(this),keyShortcut:"toggleFullscreen",onPress:(0,i.A)(kf,this,Ef).bind(this)})}onSetup(){(0,c.A)(wf,this,bn());const{fullscreen:e}=(0,d.A)(wf,this).$state,t=(0,i.A)(kf,this,xf).bind(this);this.setAttributes({"data-active":e,"data-supported":t,"aria-hidden":Pl(()=>!t())})}onAttach(e){e.setAttribute("data-media-tooltip","fullscreen"),Bn(e,"Fullscreen")}}function Ef(e){const t=(0,d.A)(wf,this).remote,n=this.$props.target();(0,i.A)(kf,this,Cf).call(this)?t.exitFullscreen(n,e):t.enterFullscreen(n,e)}function Cf(){const{fullscreen:e}=(0,d.A)(wf,this).$state;return e()}function xf(){const{canFullscreen:e}=(0,d.A)(wf,this).$state;return e()}(0,l.A)(Sf,"props",(0,a.A)((0,a.A)({},Bh.props),{},{target:"prefer-media"}));var Tf=new WeakMap,Pf=new WeakSet;class Mf extends f.uA{constructor(){super(),(0,o.A)(this,Pf),(0,u.A)(this,Tf,void 0),new Bh({isPresssed:(0,i.A)(Pf,this,Lf).bind(this),keyShortcut:"toggleMuted",onPress:(0,i.A)(Pf,this,$f).bind(this)})}onSetup(){(0,c.A)(Tf,this,bn()),this.setAttributes({"data-muted":(0,i.A)(Pf,this,Lf).bind(this),"data-state":(0,i.A)(Pf,this,Nf).bind(this)})}onAttach(e){e.setAttribute("data-media-mute-button",""),e.setAttribute("data-media-tooltip","mute"),Bn(e,"Mute")}}function $f(e){const t=(0,d.A)(Tf,this).remote;(0,i.A)(Pf,this,Lf).call(this)?t.unmute(e):t.mute(e)}function Lf(){const{muted:e,volume:t}=(0,d.A)(Tf,this).$state;return e()||0===t()}function Nf(){const{muted:e,volume:t}=(0,d.A)(Tf,this).$state,n=t();return e()||0===n?"muted":n>=.5?"high":n<.5?"low":void 0}(0,l.A)(Mf,"props",Bh.props);var Df=new WeakMap,Ff=new WeakSet;class Vf extends f.uA{constructor(){super(),(0,o.A)(this,Ff),(0,u.A)(this,Df,void 0),new Bh({isPresssed:(0,i.A)(Ff,this,Of).bind(this),keyShortcut:"togglePictureInPicture",onPress:(0,i.A)(Ff,this,Rf).bind(this)})}onSetup(){(0,c.A)(Df,this,bn());const{pictureInPicture:e}=(0,d.A)(Df,this).$state,t=(0,i.A)(Ff,this,Wf).bind(this);this.setAttributes({"data-active":e,"data-supported":t,"aria-hidden":Pl(()=>!t())})}onAttach(e){e.setAttribute("data-media-tooltip","pip"),Bn(e,"PiP")}}function Rf(e){const t=(0,d.A)(Df,this).remote;(0,i.A)(Ff,this,Of).call(this)?t.exitPictureInPicture(e):t.enterPictureInPicture(e)}function Of(){const{pictureInPicture:e}=(0,d.A)(Df,this).$state;return e()}function Wf(){const{canPictureInPicture:e}=(0,d.A)(Df,this).$state;return e()}(0,l.A)(Vf,"props",Bh.props);var If=new WeakMap,zf=new WeakSet;class Bf extends f.uA{constructor(){super(),(0,o.A)(this,zf),(0,u.A)(this,If,void 0),new Ac}onSetup(){(0,c.A)(If,this,bn());const{seeking:e}=(0,d.A)(If,this).$state,{seconds:t}=this.$props,n=(0,i.A)(zf,this,_f).bind(this);this.setAttributes({seconds:t,"data-seeking":e,"data-supported":n,"aria-hidden":Pl(()=>!n())})}onAttach(e){zn(e,"tabindex","0"),zn(e,"role","button"),zn(e,"type","button"),e.setAttribute("data-media-tooltip","seek"),Bn(e,(0,i.A)(zf,this,qf).bind(this))}onConnect(e){Un(e,(0,i.A)(zf,this,jf).bind(this))}}function _f(){const{canSeek:e}=(0,d.A)(If,this).$state;return e()}function qf(){const{seconds:e}=this.$props;return"Seek ".concat(e()>0?"forward":"backward"," ").concat(e()," seconds")}function jf(e){const{seconds:t,disabled:n}=this.$props;if(n())return;const{currentTime:i}=(0,d.A)(If,this).$state,s=i()+t();(0,d.A)(If,this).remote.seek(s,e)}(0,l.A)(Bf,"props",{disabled:!1,seconds:30});var Uf=new WeakMap,Hf=new WeakSet;class Zf extends f.uA{constructor(){super(),(0,o.A)(this,Hf),(0,u.A)(this,Uf,void 0),new Ac}onSetup(){(0,c.A)(Uf,this,bn());const{disabled:e}=this.$props,{live:t,liveEdge:n}=(0,d.A)(Uf,this).$state,i=()=>!t();this.setAttributes({"data-edge":n,"data-hidden":i,"aria-disabled":Pl(()=>e()||n()),"aria-hidden":Pl(i)})}onAttach(e){zn(e,"tabindex","0"),zn(e,"role","button"),zn(e,"type","button"),e.setAttribute("data-media-tooltip","live")}onConnect(e){Un(e,(0,i.A)(Hf,this,Qf).bind(this))}}function Qf(e){const{disabled:t}=this.$props,{liveEdge:n}=(0,d.A)(Uf,this).$state;t()||n()||(0,d.A)(Uf,this).remote.seekToLiveEdge(e)}(0,l.A)(Zf,"props",{disabled:!1});const Gf=new f.Uw({min:0,max:100,value:0,step:1,pointerValue:0,focused:!1,dragging:!1,pointing:!1,hidden:!1,get active(){return this.dragging||this.focused||this.pointing},get fillRate(){return Kf(this.min,this.max,this.value)},get fillPercent(){return 100*this.fillRate},get pointerRate(){return Kf(this.min,this.max,this.pointerValue)},get pointerPercent(){return 100*this.pointerRate}});function Kf(e,t,n){const i=t-e;return i>0?(n-e)/i:0}var Xf=new WeakMap,Yf=new WeakMap,Jf=new WeakSet;class ep extends f.WO{constructor(e){super(),(0,o.A)(this,Jf),(0,u.A)(this,Xf,void 0),(0,u.A)(this,Yf,void 0),(0,c.A)(Xf,this,e)}onConnect(e){(0,c.A)(Yf,this,new IntersectionObserver(e=>{var t,n;null===(t=(n=(0,d.A)(Xf,this)).callback)||void 0===t||t.call(n,e,(0,d.A)(Yf,this))},(0,d.A)(Xf,this))),(0,d.A)(Yf,this).observe(e),(0,f.zp)((0,i.A)(Jf,this,tp).bind(this))}}function tp(){var e;null===(e=(0,d.A)(Yf,this))||void 0===e||e.disconnect(),(0,c.A)(Yf,this,void 0)}const np=(0,f.q6)(),ip=(0,f.q6)();const sp={Left:-1,ArrowLeft:-1,Up:1,ArrowUp:1,Right:1,ArrowRight:1,Down:-1,ArrowDown:-1};var rp=new WeakMap,ap=new WeakMap,op=new WeakMap,lp=new WeakSet,up=new WeakMap,cp=new WeakMap,dp=new WeakMap,hp=new WeakMap,fp=new WeakMap,pp=new WeakMap;class mp extends f.WO{constructor(e,t){super(),(0,o.A)(this,lp),(0,u.A)(this,rp,void 0),(0,u.A)(this,ap,void 0),(0,u.A)(this,op,void 0),(0,u.A)(this,up,null),(0,u.A)(this,cp,null),(0,u.A)(this,dp,null),(0,u.A)(this,hp,void 0),(0,u.A)(this,fp,!1),(0,u.A)(this,pp,(0,f.z3)(e=>{(0,i.A)(lp,this,Sp).call(this,(0,i.A)(lp,this,Ep).call(this,e),e)},20,{leading:!0})),(0,c.A)(rp,this,e),(0,c.A)(ap,this,t)}onSetup(){(0,f.TQ)(ip)&&(0,c.A)(op,this,(0,f.NT)(ip))}onConnect(e){(0,f.QZ)((0,i.A)(lp,this,Ap).bind(this,e)),(0,f.QZ)((0,i.A)(lp,this,bp).bind(this,e)),(0,d.A)(rp,this).swipeGesture&&(0,f.QZ)((0,i.A)(lp,this,vp).bind(this))}}function vp(){var e;const{pointer:t}=(0,d.A)(ap,this).$state;"coarse"===t()&&(0,d.A)(rp,this).swipeGesture()?((0,c.A)(up,this,null===(e=(0,d.A)(ap,this).player.el)||void 0===e?void 0:e.querySelector("media-provider,[data-media-provider]")),(0,d.A)(up,this)&&new f.En((0,d.A)(up,this)).add("touchstart",(0,i.A)(lp,this,gp).bind(this),{passive:!0}).add("touchmove",(0,i.A)(lp,this,yp).bind(this),{passive:!1})):(0,c.A)(up,this,null)}function gp(e){(0,c.A)(cp,this,e.touches[0])}function yp(e){if((0,f.kZ)((0,d.A)(cp,this))||Hn(e))return;const t=e.touches[0],n=t.clientX-(0,d.A)(cp,this).clientX,s=t.clientY-(0,d.A)(cp,this).clientY,r=this.$state.dragging();!r&&Math.abs(s)>5||r||(e.preventDefault(),Math.abs(n)>20&&((0,c.A)(cp,this,t),(0,c.A)(dp,this,this.$state.value()),(0,i.A)(lp,this,Mp).call(this,(0,d.A)(dp,this),e)))}function Ap(e){const{hidden:t}=this.$props;(0,f.k6)(e,"focus",(0,i.A)(lp,this,wp).bind(this)),t()||(0,d.A)(rp,this).isDisabled()||new f.En(e).add("keyup",(0,i.A)(lp,this,Np).bind(this)).add("keydown",(0,i.A)(lp,this,Lp).bind(this)).add("pointerenter",(0,i.A)(lp,this,Cp).bind(this)).add("pointermove",(0,i.A)(lp,this,xp).bind(this)).add("pointerleave",(0,i.A)(lp,this,Tp).bind(this)).add("pointerdown",(0,i.A)(lp,this,Pp).bind(this))}function bp(e){!(0,d.A)(rp,this).isDisabled()&&this.$state.dragging()&&new f.En(document).add("pointerup",(0,i.A)(lp,this,Vp).bind(this),{capture:!0}).add("pointermove",(0,d.A)(pp,this).bind(this)).add("touchmove",(0,i.A)(lp,this,Rp).bind(this),{passive:!1})}function wp(){(0,i.A)(lp,this,Sp).call(this,this.$state.value())}function kp(e,t){var n,i;const{value:s,min:r,max:a,dragging:o}=this.$state,l=Math.max(r(),Math.min(e,a()));s.set(l);const u=this.createEvent("value-change",{detail:l,trigger:t});if(this.dispatch(u),null===(n=(i=(0,d.A)(rp,this)).onValueChange)||void 0===n||n.call(i,u),o()){var c,h;const e=this.createEvent("drag-value-change",{detail:l,trigger:t});this.dispatch(e),null===(c=(h=(0,d.A)(rp,this)).onDragValueChange)||void 0===c||c.call(h,e)}}function Sp(e,t){const{pointerValue:n,dragging:s}=this.$state;n.set(e),this.dispatch("pointer-value-change",{detail:e,trigger:t}),s()&&(0,i.A)(lp,this,kp).call(this,e,t)}function Ep(e){let t,n=this.el.getBoundingClientRect(),{min:i,max:s}=this.$state;if("vertical"===this.$props.orientation()){const{bottom:i,height:s}=n;t=(i-e.clientY)/s}else if((0,d.A)(cp,this)&&(0,f.Et)((0,d.A)(dp,this))){const{width:n}=(0,d.A)(up,this).getBoundingClientRect(),r=(e.clientX-(0,d.A)(cp,this).clientX)/n,a=s()-i(),o=a*Math.abs(r);t=(r<0?(0,d.A)(dp,this)-o:(0,d.A)(dp,this)+o)/a}else{const{left:i,width:s}=n;t=(e.clientX-i)/s}return Math.max(i(),Math.min(s(),(0,d.A)(rp,this).roundValue(function(e,t,n,i){const s=(t-e)*On(0,n,1)/i;return e+i*Math.round(s)}(i(),s(),t,(0,d.A)(rp,this).getStep()))))}function Cp(e){this.$state.pointing.set(!0)}function xp(e){const{dragging:t}=this.$state;t()||(0,i.A)(lp,this,Sp).call(this,(0,i.A)(lp,this,Ep).call(this,e),e)}function Tp(e){this.$state.pointing.set(!1)}function Pp(e){if(0!==e.button)return;const t=(0,i.A)(lp,this,Ep).call(this,e);(0,i.A)(lp,this,Mp).call(this,t,e),(0,i.A)(lp,this,Sp).call(this,t,e)}function Mp(e,t){var n,i,s,r;const{dragging:a}=this.$state;if(a())return;a.set(!0),(0,d.A)(ap,this).remote.pauseControls(t);const o=this.createEvent("drag-start",{detail:e,trigger:t});this.dispatch(o),null===(n=(i=(0,d.A)(rp,this)).onDragStart)||void 0===n||n.call(i,o),null===(s=(0,d.A)(op,this))||void 0===s||null===(r=s.onDragStart)||void 0===r||r.call(s)}function $p(e,t){var n,i,s,r;const{dragging:a}=this.$state;if(!a())return;a.set(!1),(0,d.A)(ap,this).remote.resumeControls(t);const o=this.createEvent("drag-end",{detail:e,trigger:t});this.dispatch(o),null===(n=(i=(0,d.A)(rp,this)).onDragEnd)||void 0===n||n.call(i,o),(0,c.A)(cp,this,null),(0,c.A)(dp,this,null),null===(s=(0,d.A)(op,this))||void 0===s||null===(r=s.onDragEnd)||void 0===r||r.call(s)}function Lp(e){if(!Object.keys(sp).includes(e.key))return;const{key:t}=e,n=(0,i.A)(lp,this,Dp).call(this,e);if(!(0,f.kZ)(n))return(0,i.A)(lp,this,Sp).call(this,n,e),void(0,i.A)(lp,this,kp).call(this,n,e);const s=(0,i.A)(lp,this,Fp).call(this,e);(0,d.A)(fp,this)||((0,c.A)(fp,this,t===(0,d.A)(hp,this)),!this.$state.dragging()&&(0,d.A)(fp,this)&&(0,i.A)(lp,this,Mp).call(this,s,e)),(0,i.A)(lp,this,Sp).call(this,s,e),(0,c.A)(hp,this,t)}function Np(e){if(!Object.keys(sp).includes(e.key)||!(0,f.kZ)((0,i.A)(lp,this,Dp).call(this,e)))return;const t=(0,d.A)(fp,this)?this.$state.pointerValue():(0,i.A)(lp,this,Fp).call(this,e);(0,i.A)(lp,this,kp).call(this,t,e),(0,i.A)(lp,this,$p).call(this,t,e),(0,c.A)(hp,this,""),(0,c.A)(fp,this,!1)}function Dp(e){let t=e.key,{min:n,max:i}=this.$state;return"Home"===t||"PageUp"===t?n():"End"===t||"PageDown"===t?i():!e.metaKey&&/^[0-9]$/.test(t)?(i()-n())/10*Number(t):null}function Fp(e){var t,n,i;const{key:s,shiftKey:r}=e;e.preventDefault(),e.stopPropagation();const{shiftKeyMultiplier:a}=this.$props,{min:o,max:l,value:u,pointerValue:c}=this.$state,h=(0,d.A)(rp,this).getStep(),f=(0,d.A)(rp,this).getKeyStep(),p=(r?f*a():f)*Number(sp[s]),m=(((0,d.A)(fp,this)?c():null!==(t=null===(n=(i=(0,d.A)(rp,this)).getValue)||void 0===n?void 0:n.call(i))&&void 0!==t?t:u())+p)/h;return Math.max(o(),Math.min(l(),Number((h*m).toFixed(3))))}function Vp(e){if(0!==e.button)return;e.preventDefault(),e.stopImmediatePropagation();const t=(0,i.A)(lp,this,Ep).call(this,e);(0,i.A)(lp,this,Sp).call(this,t,e),(0,i.A)(lp,this,$p).call(this,t,e)}function Rp(e){e.preventDefault()}const Op=(0,f.q6)(()=>({}));var Wp=new WeakMap,Ip=new WeakMap,zp=new WeakMap,Bp=new WeakMap,_p=new WeakSet,qp=new WeakMap;class jp extends f.WO{constructor(e){super(),(0,o.A)(this,_p),(0,u.A)(this,Wp,void 0),(0,u.A)(this,Ip,void 0),(0,u.A)(this,zp,(0,f.O)(!0)),(0,u.A)(this,Bp,(0,f.O)(!0)),(0,u.A)(this,qp,(0,f.s_)((e,t)=>{var n,i;null===(n=this.el)||void 0===n||n.style.setProperty("--slider-fill",e+"%"),null===(i=this.el)||void 0===i||i.style.setProperty("--slider-pointer",t+"%")})),(0,c.A)(Ip,this,e)}onSetup(){(0,c.A)(Wp,this,bn());const e=new Ac;e.attach(this),this.$state.focused=e.focused.bind(e),(0,f.TQ)(Op)||(0,f.Pp)(Op,{default:"value"}),(0,f.Pp)(np,{orientation:this.$props.orientation,disabled:(0,d.A)(Ip,this).isDisabled,preview:(0,f.O)(null)}),(0,f.QZ)((0,i.A)(_p,this,Zp).bind(this)),(0,f.QZ)((0,i.A)(_p,this,Qp).bind(this)),(0,f.QZ)((0,i.A)(_p,this,Gp).bind(this)),(0,i.A)(_p,this,Xp).call(this),new mp((0,d.A)(Ip,this),(0,d.A)(Wp,this)).attach(this),new ep({callback:(0,i.A)(_p,this,Up).bind(this)}).attach(this)}onAttach(e){zn(e,"role","slider"),zn(e,"tabindex","0"),zn(e,"autocomplete","off"),ut?(0,i.A)(_p,this,Yp).call(this):(0,f.QZ)((0,i.A)(_p,this,Yp).bind(this))}onConnect(e){(0,f.zp)(qn(e,(0,d.A)(zp,this).set)),(0,f.QZ)((0,i.A)(_p,this,Hp).bind(this))}}function Up(e){(0,d.A)(Bp,this).set(e[0].isIntersecting)}function Hp(){const{hidden:e}=this.$props;this.$state.hidden.set(e()||!(0,d.A)(zp,this).call(this)||!(0,d.A)(Bp,this).bind(this))}function Zp(){const{dragging:e,value:t,min:n,max:i}=this.$state;(0,f.se)(e)||t.set(function(e,t,n,i){return On(e,Vn(n,Rn(i)),t)}(n(),i(),t(),(0,d.A)(Ip,this).getStep()))}function Qp(){this.$state.step.set((0,d.A)(Ip,this).getStep())}function Gp(){if(!(0,d.A)(Ip,this).isDisabled())return;const{dragging:e,pointing:t}=this.$state;e.set(!1),t.set(!1)}function Kp(){return(0,f.ox)((0,d.A)(Ip,this).isDisabled())}function Xp(){var e,t;const{orientation:n}=this.$props,{dragging:s,active:r,pointing:a}=this.$state;this.setAttributes({"data-dragging":s,"data-pointing":a,"data-active":r,"aria-disabled":(0,i.A)(_p,this,Kp).bind(this),"aria-valuemin":null!==(e=(0,d.A)(Ip,this).aria.valueMin)&&void 0!==e?e:this.$state.min,"aria-valuemax":null!==(t=(0,d.A)(Ip,this).aria.valueMax)&&void 0!==t?t:this.$state.max,"aria-valuenow":(0,d.A)(Ip,this).aria.valueNow,"aria-valuetext":(0,d.A)(Ip,this).aria.valueText,"aria-orientation":n})}function Yp(){const{fillPercent:e,pointerPercent:t}=this.$state;(0,d.A)(qp,this).call(this,Vn(e(),3),Vn(t(),3))}(0,l.A)(jp,"props",{hidden:!1,disabled:!1,step:1,keyStep:1,orientation:"horizontal",shiftKeyMultiplier:5});var Jp=new WeakSet;class em extends f.uA{constructor(){super(),(0,o.A)(this,Jp),new jp({getStep:this.$props.step,getKeyStep:this.$props.keyStep,roundValue:Math.round,isDisabled:this.$props.disabled,aria:{valueNow:(0,i.A)(Jp,this,tm).bind(this),valueText:(0,i.A)(Jp,this,nm).bind(this)}})}onSetup(){(0,f.QZ)((0,i.A)(Jp,this,im).bind(this)),(0,f.QZ)((0,i.A)(Jp,this,sm).bind(this))}}function tm(){const{value:e}=this.$state;return Math.round(e())}function nm(){const{value:e,max:t}=this.$state;return Vn(e()/t()*100,2)+"%"}function im(){const{value:e}=this.$props;this.$state.value.set(e())}function sm(){const{min:e,max:t}=this.$props;this.$state.min.set(e()),this.$state.max.set(t())}(0,l.A)(em,"props",(0,a.A)((0,a.A)({},jp.props),{},{min:0,max:100,value:0})),(0,l.A)(em,"state",Gf);const rm=new Map,am=new Map;var om=new WeakMap,lm=new WeakMap,um=new WeakMap,cm=new WeakSet;class dm{static create(e,t){const n=bn();return new dm(e,t,n)}constructor(e,t,n){(0,o.A)(this,cm),(0,u.A)(this,om,void 0),(0,u.A)(this,lm,void 0),(0,u.A)(this,um,void 0),(0,l.A)(this,"$images",(0,f.O)([])),(0,c.A)(lm,this,e),(0,c.A)(um,this,t),(0,c.A)(om,this,n),(0,f.QZ)((0,i.A)(cm,this,hm).bind(this))}}function hm(){const{canLoad:e}=(0,d.A)(om,this).$state;if(!e())return;const t=(0,d.A)(lm,this).call(this);if(t){if((0,f.Kg)(t)&&rm.has(t)){const e=rm.get(t);if(rm.delete(t),rm.set(t,e),rm.size>99){const e=rm.keys().next().value;rm.delete(e)}this.$images.set(rm.get(t))}else if((0,f.Kg)(t)){var s;const e=(0,d.A)(um,this).call(this),r=t+"::"+e;if(!am.has(r)){const s=new Promise(async(s,r)=>{try{const a=await fetch(t,{credentials:Ut(e)});if("application/json"===a.headers.get("content-type")){const e=await a.json();if((0,f.cy)(e))if(e[0]&&"text"in e[0])s((0,i.A)(cm,this,mm).call(this,e));else{for(let t=0;t<e.length;t++){const n=e[t];Io((0,f.Gv)(n)),Io("url"in n&&(0,f.Kg)(n.url)),Io("startTime"in n&&(0,f.Et)(n.startTime))}s(e)}else s((0,i.A)(cm,this,pm).call(this,e));return}n.e(813).then(n.bind(n,813)).then(async e=>{let{parseResponse:t}=e;try{const{cues:e}=await t(a);s((0,i.A)(cm,this,mm).call(this,e))}catch(n){r(n)}})}catch(a){r(a)}}).then(e=>(rm.set(r,e),e)).catch(e=>{(0,i.A)(cm,this,Am).call(this,t,e)}).finally(()=>{(0,f.Kg)(r)&&am.delete(r)});am.set(r,s)}null===(s=am.get(r))||void 0===s||s.then(e=>{this.$images.set(e||[])})}else if((0,f.cy)(t))try{this.$images.set((0,i.A)(cm,this,fm).call(this,t))}catch(r){(0,i.A)(cm,this,Am).call(this,t,r)}else try{this.$images.set((0,i.A)(cm,this,pm).call(this,t))}catch(r){(0,i.A)(cm,this,Am).call(this,t,r)}return()=>{this.$images.set([])}}}function fm(e){const t=(0,i.A)(cm,this,vm).call(this);return e.map((e,n)=>(Io(e.url&&(0,f.Kg)(e.url)),Io("startTime"in e&&(0,f.Et)(e.startTime)),(0,a.A)((0,a.A)({},e),{},{url:(0,f.Kg)(e.url)?(0,i.A)(cm,this,gm).call(this,e.url,t):e.url})))}function pm(e){var t;Io((0,f.Kg)(e.url)),Io((0,f.cy)(e.tiles)&&(null===(t=e.tiles)||void 0===t?void 0:t.length));const n=new URL(e.url),i=[],s="tile_width"in e?e.tile_width:e.tileWidth,r="tile_height"in e?e.tile_height:e.tileHeight;for(const a of e.tiles)i.push({url:n,startTime:"start"in a?a.start:a.startTime,width:s,height:r,coords:{x:a.x,y:a.y}});return i}function mm(e){for(let i=0;i<e.length;i++){const t=e[i];Io("startTime"in t&&(0,f.Et)(t.startTime)),Io("text"in t&&(0,f.Kg)(t.text))}const t=[],n=(0,i.A)(cm,this,vm).call(this);for(const s of e){const[e,r]=s.text.split("#"),a=(0,i.A)(cm,this,ym).call(this,r);t.push({url:(0,i.A)(cm,this,gm).call(this,e,n),startTime:s.startTime,endTime:s.endTime,width:null===a||void 0===a?void 0:a.w,height:null===a||void 0===a?void 0:a.h,coords:a&&(0,f.Et)(a.x)&&(0,f.Et)(a.y)?{x:a.x,y:a.y}:void 0})}return t}function vm(){let e=(0,f.se)((0,d.A)(lm,this));return(0,f.Kg)(e)&&/^https?:/.test(e)?e:location.href}function gm(e,t){return/^https?:/.test(e)?new URL(e):new URL(e,t)}function ym(e){if(!e)return{};const[t,n]=e.split("="),i=null===n||void 0===n?void 0:n.split(","),s={};if(!t||!i)return null;for(let r=0;r<t.length;r++){const e=+i[r];isNaN(e)||(s[t[r]]=e)}return s}function Am(e,t){}var bm=new WeakMap,wm=new WeakMap,km=new WeakSet;class Sm extends f.uA{constructor(){super(...arguments),(0,o.A)(this,km),(0,l.A)(this,"media",void 0),(0,u.A)(this,bm,void 0),(0,u.A)(this,wm,[])}onSetup(){this.media=bn(),(0,c.A)(bm,this,dm.create(this.$props.src,this.$state.crossOrigin)),(0,i.A)(km,this,Cm).call(this),this.setAttributes({"data-loading":(0,i.A)(km,this,Mm).bind(this),"data-error":(0,i.A)(km,this,$m).bind(this),"data-hidden":this.$state.hidden,"aria-hidden":Pl(this.$state.hidden)})}onConnect(e){(0,f.QZ)((0,i.A)(km,this,Em).bind(this)),(0,f.QZ)((0,i.A)(km,this,Lm).bind(this)),(0,f.QZ)((0,i.A)(km,this,Cm).bind(this)),(0,f.QZ)((0,i.A)(km,this,xm).bind(this)),(0,f.QZ)((0,i.A)(km,this,Nm).bind(this)),(0,f.QZ)((0,i.A)(km,this,Dm).bind(this))}getTime(){return this.$props.time()}}function Em(){const e=this.$state.img();e&&new f.En(e).add("load",(0,i.A)(km,this,Tm).bind(this)).add("error",(0,i.A)(km,this,Pm).bind(this))}function Cm(){const{crossOrigin:e}=this.$props,{crossOrigin:t}=this.$state,{crossOrigin:n}=this.media.$state,i=null!==e()?e():n();t.set(!0===i?"anonymous":i)}function xm(){const{src:e,loading:t,error:n}=this.$state;return e()&&(t.set(!0),n.set(null)),()=>{(0,i.A)(km,this,Vm).call(this),t.set(!1),n.set(null)}}function Tm(){const{loading:e,error:t}=this.$state;(0,i.A)(km,this,Dm).call(this),e.set(!1),t.set(null)}function Pm(e){const{loading:t,error:n}=this.$state;t.set(!1),n.set(e)}function Mm(){const{loading:e,hidden:t}=this.$state;return!t()&&e()}function $m(){const{error:e}=this.$state;return!(0,f.kZ)(e())}function Lm(){const{hidden:e}=this.$state,{duration:t}=this.media.$state,n=(0,d.A)(bm,this).$images();e.set((0,i.A)(km,this,$m).call(this)||!Number.isFinite(t())||0===n.length)}function Nm(){var e;let t=(0,d.A)(bm,this).$images();if(!t.length)return;let n=this.getTime(),{src:i,activeThumbnail:s}=this.$state,r=-1,a=null;for(let o=t.length-1;o>=0;o--){const e=t[o];if(n>=e.startTime&&(!e.endTime||n<e.endTime)){r=o;break}}t[r]&&(a=t[r]),s.set(a),i.set((null===(e=a)||void 0===e?void 0:e.url.href)||"")}function Dm(){var e,t;if(!this.scope||this.$state.hidden())return;const n=this.el,s=this.$state.img(),r=this.$state.activeThumbnail();if(!s||!r||!n)return;let a=null!==(e=r.width)&&void 0!==e?e:s.naturalWidth,o=null!==(t=null===r||void 0===r?void 0:r.height)&&void 0!==t?t:s.naturalHeight,{maxWidth:l,maxHeight:u,minWidth:c,minHeight:d,width:h,height:f}=getComputedStyle(this.el);"100%"===c&&(c=parseFloat(h)+""),"100%"===d&&(d=parseFloat(f)+"");let p=Math.max(parseInt(c)/a,parseInt(d)/o),m=Math.min(Math.max(parseInt(c),parseInt(l))/a,Math.max(parseInt(d),parseInt(u))/o),v=!isNaN(m)&&m<1?m:p>1?p:1;(0,i.A)(km,this,Fm).call(this,n,"--thumbnail-width","".concat(a*v,"px")),(0,i.A)(km,this,Fm).call(this,n,"--thumbnail-height","".concat(o*v,"px")),(0,i.A)(km,this,Fm).call(this,n,"--thumbnail-aspect-ratio",String(Vn(a/o,5))),(0,i.A)(km,this,Fm).call(this,s,"width","".concat(s.naturalWidth*v,"px")),(0,i.A)(km,this,Fm).call(this,s,"height","".concat(s.naturalHeight*v,"px")),(0,i.A)(km,this,Fm).call(this,s,"transform",r.coords?"translate(-".concat(r.coords.x*v,"px, -").concat(r.coords.y*v,"px)"):""),(0,i.A)(km,this,Fm).call(this,s,"max-width","none")}function Fm(e,t,n){e.style.setProperty(t,n),(0,d.A)(wm,this).push(()=>e.style.removeProperty(t))}function Vm(){for(const e of(0,d.A)(wm,this))e();(0,c.A)(wm,this,[])}(0,l.A)(Sm,"props",{src:null,time:0,crossOrigin:null}),(0,l.A)(Sm,"state",new f.Uw({src:"",img:null,thumbnails:[],activeThumbnail:null,crossOrigin:null,loading:!1,error:null,hidden:!1}));var Rm=new WeakMap;class Om extends Sm{constructor(){super(...arguments),(0,u.A)(this,Rm,void 0)}onAttach(e){(0,c.A)(Rm,this,(0,f.J0)(em.state))}getTime(){const{duration:e,clipStartTime:t}=this.media.$state;return t()+(0,d.A)(Rm,this).pointerRate()*e()}}var Wm=new WeakMap,Im=new WeakMap,zm=new WeakSet;class Bm extends f.uA{constructor(){super(...arguments),(0,o.A)(this,zm),(0,u.A)(this,Wm,void 0),(0,u.A)(this,Im,void 0)}get video(){return this.$state.video()}onSetup(){(0,c.A)(Wm,this,bn()),(0,c.A)(Im,this,(0,f.J0)(em.state)),(0,i.A)(zm,this,jm).call(this),this.setAttributes({"data-loading":(0,i.A)(zm,this,Um).bind(this),"data-hidden":this.$state.hidden,"data-error":(0,i.A)(zm,this,Hm).bind(this),"aria-hidden":Pl(this.$state.hidden)})}onAttach(e){(0,f.QZ)((0,i.A)(zm,this,_m).bind(this)),(0,f.QZ)((0,i.A)(zm,this,qm).bind(this)),(0,f.QZ)((0,i.A)(zm,this,jm).bind(this)),(0,f.QZ)((0,i.A)(zm,this,Zm).bind(this)),(0,f.QZ)((0,i.A)(zm,this,Qm).bind(this)),(0,f.QZ)((0,i.A)(zm,this,Xm).bind(this))}}function _m(){const e=this.$state.video();e&&(e.readyState>=2&&(0,i.A)(zm,this,Gm).call(this),new f.En(e).add("canplay",(0,i.A)(zm,this,Gm).bind(this)).add("error",(0,i.A)(zm,this,Km).bind(this)))}function qm(){const{src:e}=this.$state,{canLoad:t}=(0,d.A)(Wm,this).$state;e.set(t()?this.$props.src():null)}function jm(){const{crossOrigin:e}=this.$props,{crossOrigin:t}=this.$state,{crossOrigin:n}=(0,d.A)(Wm,this).$state,i=null!==e()?e():n();t.set(!0===i?"anonymous":i)}function Um(){const{canPlay:e,hidden:t}=this.$state;return!e()&&!t()}function Hm(){const{error:e}=this.$state;return!(0,f.kZ)(e)}function Zm(){const{src:e,hidden:t}=this.$state,{canLoad:n,duration:s}=(0,d.A)(Wm,this).$state;t.set(n()&&(!e()||(0,i.A)(zm,this,Hm).call(this)||!Number.isFinite(s())))}function Qm(){const{src:e,canPlay:t,error:n}=this.$state;e(),t.set(!1),n.set(null)}function Gm(e){const{canPlay:t,error:n}=this.$state;t.set(!0),n.set(null),this.dispatch("can-play",{trigger:e})}function Km(e){const{canPlay:t,error:n}=this.$state;t.set(!1),n.set(e),this.dispatch("error",{trigger:e})}function Xm(){const{video:e,canPlay:t}=this.$state,{duration:n}=(0,d.A)(Wm,this).$state,{pointerRate:i}=(0,d.A)(Im,this),s=e();t()&&s&&Number.isFinite(n())&&Number.isFinite(i())&&(s.currentTime=i()*n())}(0,l.A)(Bm,"props",{src:null,crossOrigin:null}),(0,l.A)(Bm,"state",new f.Uw({video:null,src:null,crossOrigin:null,canPlay:!1,error:null,hidden:!1}));const Ym=Bm.prototype;(0,f._w)(Ym,"video");var Jm=new WeakMap,ev=new WeakMap,tv=new WeakMap;class nv extends f.uA{constructor(){super(...arguments),(0,u.A)(this,Jm,void 0),(0,u.A)(this,ev,void 0),(0,u.A)(this,tv,void 0)}onSetup(){(0,c.A)(tv,this,(0,f.J0)(em.state)),(0,c.A)(Jm,this,(0,f.NT)(Op)),(0,c.A)(ev,this,(0,f.EW)(this.getValueText.bind(this)))}getValueText(){var e;const{type:t,format:n,decimalPlaces:i,padHours:s,padMinutes:r,showHours:a,showMs:o}=this.$props,{value:l,pointerValue:u,min:c,max:h}=(0,d.A)(tv,this),f=null!==(e=null===n||void 0===n?void 0:n())&&void 0!==e?e:(0,d.A)(Jm,this).default,p="current"===t()?l():u();if("percent"===f){var m;const e=p/(h()-c())*100;return(null!==(m=(0,d.A)(Jm,this).percent)&&void 0!==m?m:Vn)(e,i())+"%"}var v,g,y,A;return"time"===f?(null!==(v=(0,d.A)(Jm,this).time)&&void 0!==v?v:al)(p,{padHrs:s(),padMins:r(),showHrs:a(),showMs:o()}):(null!==(g=null===(y=(A=(0,d.A)(Jm,this)).value)||void 0===y?void 0:y.call(A,p))&&void 0!==g?g:p.toFixed(2))+""}}(0,l.A)(nv,"props",{type:"pointer",format:null,showHours:!1,showMs:!1,padHours:null,padMinutes:null,decimalPlaces:2});const iv=nv.prototype;(0,f.EJ)(iv,"getValueText");var sv=new WeakMap,rv=new WeakMap;class av extends f.uA{constructor(){super(...arguments),(0,u.A)(this,sv,void 0),(0,u.A)(this,rv,(0,f.s_)(()=>{const{disabled:e,orientation:t}=(0,d.A)(sv,this);if(e())return;const n=this.el,{offset:i,noClamp:s}=this.$props;n&&function(e,t){let{clamp:n,offset:i,orientation:s}=t;const r=getComputedStyle(e),a=parseFloat(r.width),o=parseFloat(r.height),l={top:null,right:null,bottom:null,left:null};if(l["horizontal"===s?"bottom":"left"]="calc(100% + var(--media-slider-preview-offset, ".concat(i,"px))"),"horizontal"===s){const e=a/2;if(n){const t="max(0px, calc(var(--slider-pointer) - ".concat(e,"px))"),n="calc(100% - ".concat(a,"px)");l.left="min(".concat(t,", ").concat(n,")")}else l.left="calc(var(--slider-pointer) - ".concat(e,"px)")}else{const e=o/2;if(n){const t="max(".concat(e,"px, calc(var(--slider-pointer) - ").concat(e,"px))"),n="calc(100% - ".concat(o,"px)");l.bottom="min(".concat(t,", ").concat(n,")")}else l.bottom="calc(var(--slider-pointer) - ".concat(e,"px)")}Object.assign(e.style,l)}(n,{clamp:!s(),offset:i(),orientation:t()})}))}onSetup(){(0,c.A)(sv,this,(0,f.NT)(np));const{active:e}=(0,f.J0)(em.state);this.setAttributes({"data-visible":e})}onAttach(e){Object.assign(e.style,{position:"absolute",top:0,left:0,width:"max-content"})}onConnect(e){const{preview:t}=(0,d.A)(sv,this);t.set(e),(0,f.zp)(()=>t.set(null)),(0,f.QZ)((0,d.A)(rv,this).bind(this));const n=new ResizeObserver((0,d.A)(rv,this).bind(this));n.observe(e),(0,f.zp)(()=>n.disconnect())}}(0,l.A)(av,"props",{offset:0,noClamp:!1});var ov=new WeakMap,lv=new WeakSet,uv=new WeakMap;class cv extends f.uA{constructor(){super(...arguments),(0,o.A)(this,lv),(0,u.A)(this,ov,void 0),(0,u.A)(this,uv,(0,f.z3)((0,i.A)(lv,this,vv).bind(this),25))}onSetup(){(0,c.A)(ov,this,bn());const{audioGain:e}=(0,d.A)(ov,this).$state;(0,f.Pp)(Op,{default:"percent",value(t){var n;return(t*(null!==(n=e())&&void 0!==n?n:1)).toFixed(2)},percent(t){var n;return Math.round(t*(null!==(n=e())&&void 0!==n?n:1))}}),new jp({getStep:this.$props.step,getKeyStep:this.$props.keyStep,roundValue:Math.round,isDisabled:(0,i.A)(lv,this,pv).bind(this),aria:{valueMax:(0,i.A)(lv,this,fv).bind(this),valueNow:(0,i.A)(lv,this,dv).bind(this),valueText:(0,i.A)(lv,this,hv).bind(this)},onDragValueChange:(0,i.A)(lv,this,yv).bind(this),onValueChange:(0,i.A)(lv,this,gv).bind(this)}).attach(this),(0,f.QZ)((0,i.A)(lv,this,mv).bind(this))}onAttach(e){e.setAttribute("data-media-volume-slider",""),zn(e,"aria-label","Volume");const{canSetVolume:t}=(0,d.A)(ov,this).$state;this.setAttributes({"data-supported":t,"aria-hidden":Pl(()=>!t())})}}function dv(){var e;const{value:t}=this.$state,{audioGain:n}=(0,d.A)(ov,this).$state;return Math.round(t()*(null!==(e=n())&&void 0!==e?e:1))}function hv(){var e;const{value:t,max:n}=this.$state,{audioGain:i}=(0,d.A)(ov,this).$state;return Vn(t()/n()*(null!==(e=i())&&void 0!==e?e:1)*100,2)+"%"}function fv(){var e;const{audioGain:t}=(0,d.A)(ov,this).$state;return this.$state.max()*(null!==(e=t())&&void 0!==e?e:1)}function pv(){const{disabled:e}=this.$props,{canSetVolume:t}=(0,d.A)(ov,this).$state;return e()||!t()}function mv(){const{muted:e,volume:t}=(0,d.A)(ov,this).$state,n=e()?0:100*t();this.$state.value.set(n),this.dispatch("value-change",{detail:n})}function vv(e){if(!e.trigger)return;const t=Vn(e.detail/100,3);(0,d.A)(ov,this).remote.changeVolume(t,e)}function gv(e){(0,d.A)(uv,this).call(this,e)}function yv(e){(0,d.A)(uv,this).call(this,e)}(0,l.A)(cv,"props",(0,a.A)((0,a.A)({},jp.props),{},{keyStep:5,shiftKeyMultiplier:2})),(0,l.A)(cv,"state",Gf);var Av=new WeakMap,bv=new WeakSet;class wv extends f.uA{constructor(){super(...arguments),(0,o.A)(this,bv),(0,u.A)(this,Av,void 0)}onSetup(){(0,c.A)(Av,this,bn()),(0,f.Pp)(Op,{default:"percent",percent:(e,t)=>Vn(this.$state.value(),t)+"%"}),new jp({getStep:this.$props.step,getKeyStep:this.$props.keyStep,roundValue:Math.round,isDisabled:(0,i.A)(bv,this,xv).bind(this),aria:{valueNow:(0,i.A)(bv,this,kv).bind(this),valueText:(0,i.A)(bv,this,Sv).bind(this)},onDragValueChange:(0,i.A)(bv,this,Mv).bind(this),onValueChange:(0,i.A)(bv,this,Pv).bind(this)}).attach(this),(0,f.QZ)((0,i.A)(bv,this,Ev).bind(this)),(0,f.QZ)((0,i.A)(bv,this,Cv).bind(this))}onAttach(e){e.setAttribute("data-media-audio-gain-slider",""),zn(e,"aria-label","Audio Boost");const{canSetAudioGain:t}=(0,d.A)(Av,this).$state;this.setAttributes({"data-supported":t,"aria-hidden":Pl(()=>!t())})}}function kv(){const{value:e}=this.$state;return Math.round(e())}function Sv(){const{value:e}=this.$state;return e()+"%"}function Ev(){const{min:e,max:t}=this.$props;this.$state.min.set(e()),this.$state.max.set(t())}function Cv(){var e;const{audioGain:t}=(0,d.A)(Av,this).$state,n=100*((null!==(e=t())&&void 0!==e?e:1)-1);this.$state.value.set(n),this.dispatch("value-change",{detail:n})}function xv(){const{disabled:e}=this.$props,{canSetAudioGain:t}=(0,d.A)(Av,this).$state;return e()||!t()}function Tv(e){if(!e.trigger)return;const t=Vn(1+e.detail/100,2);(0,d.A)(Av,this).remote.changeAudioGain(t,e)}function Pv(e){(0,i.A)(bv,this,Tv).call(this,e)}function Mv(e){(0,i.A)(bv,this,Tv).call(this,e)}(0,l.A)(wv,"props",(0,a.A)((0,a.A)({},jp.props),{},{step:25,keyStep:25,shiftKeyMultiplier:2,min:0,max:300})),(0,l.A)(wv,"state",Gf);var $v=new WeakMap,Lv=new WeakSet,Nv=new WeakMap;class Dv extends f.uA{constructor(){super(...arguments),(0,o.A)(this,Lv),(0,u.A)(this,$v,void 0),(0,u.A)(this,Nv,(0,f.z3)((0,i.A)(Lv,this,zv).bind(this),25))}onSetup(){(0,c.A)($v,this,bn()),new jp({getStep:this.$props.step,getKeyStep:this.$props.keyStep,roundValue:(0,i.A)(Lv,this,Wv),isDisabled:(0,i.A)(Lv,this,Iv).bind(this),aria:{valueNow:(0,i.A)(Lv,this,Fv).bind(this),valueText:(0,i.A)(Lv,this,Vv).bind(this)},onDragValueChange:(0,i.A)(Lv,this,_v).bind(this),onValueChange:(0,i.A)(Lv,this,Bv).bind(this)}).attach(this),(0,f.QZ)((0,i.A)(Lv,this,Rv).bind(this)),(0,f.QZ)((0,i.A)(Lv,this,Ov).bind(this))}onAttach(e){e.setAttribute("data-media-speed-slider",""),zn(e,"aria-label","Speed");const{canSetPlaybackRate:t}=(0,d.A)($v,this).$state;this.setAttributes({"data-supported":t,"aria-hidden":Pl(()=>!t())})}}function Fv(){const{value:e}=this.$state;return e()}function Vv(){const{value:e}=this.$state;return e()+"x"}function Rv(){const{min:e,max:t}=this.$props;this.$state.min.set(e()),this.$state.max.set(t())}function Ov(){const{playbackRate:e}=(0,d.A)($v,this).$state,t=e();this.$state.value.set(t),this.dispatch("value-change",{detail:t})}function Wv(e){return Vn(e,2)}function Iv(){const{disabled:e}=this.$props,{canSetPlaybackRate:t}=(0,d.A)($v,this).$state;return e()||!t()}function zv(e){if(!e.trigger)return;const t=e.detail;(0,d.A)($v,this).remote.changePlaybackRate(t,e)}function Bv(e){(0,d.A)(Nv,this).call(this,e)}function _v(e){(0,d.A)(Nv,this).call(this,e)}(0,l.A)(Dv,"props",(0,a.A)((0,a.A)({},jp.props),{},{step:.25,keyStep:.25,shiftKeyMultiplier:2,min:0,max:2})),(0,l.A)(Dv,"state",Gf);var qv=new WeakMap,jv=new WeakMap,Uv=new WeakSet,Hv=new WeakMap;class Zv extends f.uA{constructor(){super(...arguments),(0,o.A)(this,Uv),(0,u.A)(this,qv,void 0),(0,u.A)(this,jv,(0,f.EW)(()=>{const{qualities:e}=(0,d.A)(qv,this).$state;return Oi(e())})),(0,u.A)(this,Hv,(0,f.z3)((0,i.A)(Uv,this,Jv).bind(this),25))}onSetup(){(0,c.A)(qv,this,bn()),new jp({getStep:this.$props.step,getKeyStep:this.$props.keyStep,roundValue:Math.round,isDisabled:(0,i.A)(Uv,this,Yv).bind(this),aria:{valueNow:(0,i.A)(Uv,this,Qv).bind(this),valueText:(0,i.A)(Uv,this,Gv).bind(this)},onDragValueChange:(0,i.A)(Uv,this,tg).bind(this),onValueChange:(0,i.A)(Uv,this,eg).bind(this)}).attach(this),(0,f.QZ)((0,i.A)(Uv,this,Kv).bind(this)),(0,f.QZ)((0,i.A)(Uv,this,Xv).bind(this))}onAttach(e){e.setAttribute("data-media-quality-slider",""),zn(e,"aria-label","Video Quality");const{qualities:t,canSetQuality:n}=(0,d.A)(qv,this).$state,i=(0,f.EW)(()=>n()&&t().length>0);this.setAttributes({"data-supported":i,"aria-hidden":Pl(()=>!i())})}}function Qv(){const{value:e}=this.$state;return e()}function Gv(){const{quality:e}=(0,d.A)(qv,this).$state;if(!e())return"";const{height:t,bitrate:n}=e(),i=n&&n>0?"".concat((n/1e6).toFixed(2)," Mbps"):null;return t?"".concat(t,"p").concat(i?" (".concat(i,")"):""):"Auto"}function Kv(){const e=(0,d.A)(jv,this).call(this);this.$state.max.set(Math.max(0,e.length-1))}function Xv(){let{quality:e}=(0,d.A)(qv,this).$state,t=(0,d.A)(jv,this).call(this),n=Math.max(0,t.indexOf(e()));this.$state.value.set(n),this.dispatch("value-change",{detail:n})}function Yv(){const{disabled:e}=this.$props,{canSetQuality:t,qualities:n}=(0,d.A)(qv,this).$state;return e()||n().length<=1||!t()}function Jv(e){if(!e.trigger)return;const{qualities:t}=(0,d.A)(qv,this),n=(0,f.se)((0,d.A)(jv,this))[e.detail];(0,d.A)(qv,this).remote.changeQuality(t.indexOf(n),e)}function eg(e){(0,d.A)(Hv,this).call(this,e)}function tg(e){(0,d.A)(Hv,this).call(this,e)}(0,l.A)(Zv,"props",(0,a.A)((0,a.A)({},jp.props),{},{step:1,keyStep:1,shiftKeyMultiplier:1})),(0,l.A)(Zv,"state",Gf);var ng=new WeakMap,ig=new WeakMap,sg=new WeakMap,rg=new WeakSet,ag=new WeakMap;class og extends f.uA{constructor(){super(),(0,o.A)(this,rg),(0,u.A)(this,ng,void 0),(0,u.A)(this,ig,void 0),(0,u.A)(this,sg,(0,f.O)(null)),(0,u.A)(this,ag,!1);const{noSwipeGesture:e}=this.$props;new jp({swipeGesture:()=>!e(),getValue:(0,i.A)(rg,this,Ag).bind(this),getStep:(0,i.A)(rg,this,bg).bind(this),getKeyStep:(0,i.A)(rg,this,wg).bind(this),roundValue:(0,i.A)(rg,this,kg),isDisabled:(0,i.A)(rg,this,Sg).bind(this),aria:{valueNow:(0,i.A)(rg,this,Eg).bind(this),valueText:(0,i.A)(rg,this,Cg).bind(this)},onDragStart:(0,i.A)(rg,this,mg).bind(this),onDragValueChange:(0,i.A)(rg,this,vg).bind(this),onDragEnd:(0,i.A)(rg,this,gg).bind(this),onValueChange:(0,i.A)(rg,this,yg).bind(this)})}onSetup(){(0,c.A)(ng,this,bn()),(0,f.Pp)(Op,{default:"time",value:(0,i.A)(rg,this,Pg).bind(this),time:(0,i.A)(rg,this,Mg).bind(this)}),this.setAttributes({"data-chapters":(0,i.A)(rg,this,ug).bind(this)}),this.setStyles({"--slider-progress":(0,i.A)(rg,this,lg).bind(this)}),(0,f.QZ)((0,i.A)(rg,this,dg).bind(this)),(0,f.QZ)((0,i.A)(rg,this,cg).bind(this))}onAttach(e){e.setAttribute("data-media-time-slider",""),zn(e,"aria-label","Seek")}onConnect(e){(0,f.QZ)((0,i.A)(rg,this,hg).bind(this)),Gt((0,d.A)(ng,this).textTracks,"chapters",(0,d.A)(sg,this).set)}}function lg(){const{bufferedEnd:e,duration:t}=(0,d.A)(ng,this).$state;return Vn(100*Math.min(e()/Math.max(t(),1),1),3)+"%"}function ug(){var e;const{duration:t}=(0,d.A)(ng,this).$state;return(null===(e=(0,d.A)(sg,this).call(this))||void 0===e?void 0:e.cues.length)&&Number.isFinite(t())&&t()>0}function cg(){(0,c.A)(ig,this,(0,f.z3)((0,i.A)(rg,this,fg).bind(this),this.$props.seekingRequestThrottle()))}function dg(){if(this.$state.hidden())return;const{value:e,dragging:t}=this.$state,n=(0,i.A)(rg,this,Ag).call(this);(0,f.se)(t)||(e.set(n),this.dispatch("value-change",{detail:n}))}function hg(){const e=(0,d.A)(ng,this).player.el,{preview:t}=(0,f.NT)(np);e&&t()&&(0,f.Bq)(e,"data-preview",this.$state.active())}function fg(e,t){(0,d.A)(ng,this).remote.seeking(e,t)}function pg(e,t,n){(0,d.A)(ig,this).cancel();const{live:i}=(0,d.A)(ng,this).$state;i()&&t>=99?(0,d.A)(ng,this).remote.seekToLiveEdge(n):(0,d.A)(ng,this).remote.seek(e,n)}function mg(e){const{pauseWhileDragging:t}=this.$props;if(t()){const{paused:t}=(0,d.A)(ng,this).$state;(0,c.A)(ag,this,!t()),(0,d.A)(ng,this).remote.pause(e)}}function vg(e){(0,d.A)(ig,this).call(this,(0,i.A)(rg,this,xg).call(this,e.detail),e)}function gg(e){const{seeking:t}=(0,d.A)(ng,this).$state;(0,f.se)(t)||(0,i.A)(rg,this,fg).call(this,(0,i.A)(rg,this,xg).call(this,e.detail),e);const n=e.detail;(0,i.A)(rg,this,pg).call(this,(0,i.A)(rg,this,xg).call(this,n),n,e);const{pauseWhileDragging:s}=this.$props;s()&&(0,d.A)(ag,this)&&((0,d.A)(ng,this).remote.play(e),(0,c.A)(ag,this,!1))}function yg(e){const{dragging:t}=this.$state;!t()&&e.trigger&&(0,i.A)(rg,this,gg).call(this,e)}function Ag(){const{currentTime:e}=(0,d.A)(ng,this).$state;return(0,i.A)(rg,this,Tg).call(this,e())}function bg(){const e=this.$props.step()/(0,d.A)(ng,this).$state.duration()*100;return Number.isFinite(e)?e:1}function wg(){const e=this.$props.keyStep()/(0,d.A)(ng,this).$state.duration()*100;return Number.isFinite(e)?e:1}function kg(e){return Vn(e,3)}function Sg(){const{disabled:e}=this.$props,{canSeek:t}=(0,d.A)(ng,this).$state;return e()||!t()}function Eg(){const{value:e}=this.$state;return Math.round(e())}function Cg(){const e=(0,i.A)(rg,this,xg).call(this,this.$state.value()),{duration:t}=(0,d.A)(ng,this).$state;return Number.isFinite(e)?"".concat(ol(e)," out of ").concat(ol(t())):"live"}function xg(e){const{duration:t}=(0,d.A)(ng,this).$state;return Vn(e/100*t(),5)}function Tg(e){const{liveEdge:t,duration:n}=(0,d.A)(ng,this).$state,i=Math.max(0,Math.min(1,t()?1:Math.min(e,n())/n()));return Number.isNaN(i)?0:Number.isFinite(i)?100*i:100}function Pg(e){const t=(0,i.A)(rg,this,xg).call(this,e),{live:n,duration:s}=(0,d.A)(ng,this).$state;return Number.isFinite(t)?(n()?t-s():t).toFixed(0):"LIVE"}function Mg(e,t){const n=(0,i.A)(rg,this,xg).call(this,e),{live:s,duration:r}=(0,d.A)(ng,this).$state,a=s()?n-r():n;return Number.isFinite(n)?"".concat(a<0?"-":"").concat(al(Math.abs(a),t)):"LIVE"}(0,l.A)(og,"props",(0,a.A)((0,a.A)({},jp.props),{},{step:.1,keyStep:5,shiftKeyMultiplier:2,pauseWhileDragging:!1,noSwipeGesture:!1,seekingRequestThrottle:100})),(0,l.A)(og,"state",Gf);var $g=new WeakMap,Lg=new WeakMap,Ng=new WeakMap,Dg=new WeakMap,Fg=new WeakMap,Vg=new WeakMap,Rg=new WeakMap,Og=new WeakMap,Wg=new WeakMap,Ig=new WeakMap,zg=new WeakSet,Bg=new WeakMap,_g=new WeakMap,qg=new WeakMap;class jg extends f.uA{constructor(){super(...arguments),(0,o.A)(this,zg),(0,u.A)(this,$g,void 0),(0,u.A)(this,Lg,void 0),(0,u.A)(this,Ng,void 0),(0,u.A)(this,Dg,null),(0,u.A)(this,Fg,[]),(0,u.A)(this,Vg,(0,f.O)(null)),(0,u.A)(this,Rg,(0,f.O)([])),(0,u.A)(this,Og,(0,f.O)(-1)),(0,u.A)(this,Wg,(0,f.O)(-1)),(0,u.A)(this,Ig,0),(0,u.A)(this,Bg,(0,f.s_)(e=>{let t,n=(0,d.A)(Rg,this).call(this),{seekableStart:s}=(0,d.A)($g,this).$state,r=s(),a=(0,i.A)(zg,this,iy).call(this,n);for(let l=(0,d.A)(Ig,this);l<(0,d.A)(Fg,this).length;l++){var o;if(t=(0,i.A)(zg,this,sy).call(this,n[l],e,r,a),null===(o=(0,d.A)(Fg,this)[l])||void 0===o||o.style.setProperty("--chapter-progress",t+"%"),t<100){(0,c.A)(Ig,this,l);break}}})),(0,u.A)(this,_g,(0,f.EW)((0,i.A)(zg,this,ny).bind(this))),(0,u.A)(this,qg,(0,f.IO)(()=>{const e=(0,f.se)((0,d.A)(Vg,this));this.scope&&e&&e.cues.length&&((0,d.A)(Rg,this).set((0,i.A)(zg,this,ry).call(this,e.cues)),(0,d.A)(Og,this).set(0),(0,c.A)(Ig,this,0))},150,!0))}get cues(){return(0,d.A)(Rg,this).call(this)}get activeCue(){return(0,d.A)(Rg,this).call(this)[(0,d.A)(Og,this).call(this)]||null}get activePointerCue(){return(0,d.A)(Rg,this).call(this)[(0,d.A)(Wg,this).call(this)]||null}onSetup(){(0,c.A)($g,this,bn()),(0,c.A)(Lg,this,(0,f.J0)(og.state))}onAttach(e){Gt((0,d.A)($g,this).textTracks,"chapters",(0,i.A)(zg,this,Ug).bind(this)),(0,f.QZ)((0,i.A)(zg,this,ay).bind(this))}onConnect(){(0,f.zp)(()=>(0,i.A)(zg,this,Hg).bind(this))}onDestroy(){(0,i.A)(zg,this,Ug).call(this,null)}setRefs(e){var t;if((0,c.A)(Fg,this,e),null===(t=(0,d.A)(Ng,this))||void 0===t||t.dispose(),1===(0,d.A)(Fg,this).length){const e=(0,d.A)(Fg,this)[0];e.style.width="100%",e.style.setProperty("--chapter-fill","var(--slider-fill)"),e.style.setProperty("--chapter-progress","var(--slider-progress)")}else(0,d.A)(Fg,this).length>0&&(0,f.P1)(()=>(0,i.A)(zg,this,Zg).call(this),(0,c.A)(Ng,this,(0,f.Ds)()))}}function Ug(e){(0,f.se)((0,d.A)(Vg,this))!==e&&((0,i.A)(zg,this,Hg).call(this),(0,d.A)(Vg,this).set(e))}function Hg(){var e;(0,c.A)(Fg,this,[]),(0,d.A)(Rg,this).set([]),(0,d.A)(Og,this).set(-1),(0,d.A)(Wg,this).set(-1),(0,c.A)(Ig,this,0),null===(e=(0,d.A)(Ng,this))||void 0===e||e.dispose()}function Zg(){(0,d.A)(Fg,this).length&&(0,f.QZ)((0,i.A)(zg,this,Qg).bind(this))}function Qg(){const{hidden:e}=(0,d.A)(Lg,this);e()||((0,f.QZ)((0,i.A)(zg,this,Gg).bind(this)),(0,f.QZ)((0,i.A)(zg,this,Kg).bind(this)),(0,f.QZ)((0,i.A)(zg,this,Xg).bind(this)),(0,f.QZ)((0,i.A)(zg,this,ty).bind(this)))}function Gg(){const e=(0,d.A)(Rg,this).call(this);if(!e.length)return;let t,{seekableStart:n,seekableEnd:i}=(0,d.A)($g,this).$state,s=n(),r=(i()||e[e.length-1].endTime)-s,a=100;for(let o=0;o<e.length;o++)if(t=e[o],(0,d.A)(Fg,this)[o]){const n=o===e.length-1?a:Vn((t.endTime-Math.max(s,t.startTime))/r*100,3);(0,d.A)(Fg,this)[o].style.width=n+"%",a-=n}}function Kg(){let{liveEdge:e,seekableStart:t,seekableEnd:n}=(0,d.A)($g,this).$state,{fillPercent:s,value:r}=(0,d.A)(Lg,this),a=(0,d.A)(Rg,this).call(this),o=e(),l=(0,f.se)((0,d.A)(Og,this)),u=a[l],c=o?(0,d.A)(Rg,this).length-1:(0,i.A)(zg,this,ey).call(this,u&&u.startTime/n()*100<=(0,f.se)(r)?l:0,s());o||!u?(0,i.A)(zg,this,Yg).call(this,0,a.length,100):c>l?(0,i.A)(zg,this,Yg).call(this,l,c,100):c<l&&(0,i.A)(zg,this,Yg).call(this,c+1,l+1,0);const h=o?100:(0,i.A)(zg,this,sy).call(this,a[c],s(),t(),(0,i.A)(zg,this,iy).call(this,a));(0,i.A)(zg,this,Jg).call(this,(0,d.A)(Fg,this)[c],h),(0,d.A)(Og,this).set(c)}function Xg(){let{hidden:e,pointerPercent:t}=(0,d.A)(Lg,this);if(e())return void(0,d.A)(Wg,this).set(-1);const n=(0,i.A)(zg,this,ey).call(this,0,t());(0,d.A)(Wg,this).set(n)}function Yg(e,t,n){for(let s=e;s<t;s++)(0,i.A)(zg,this,Jg).call(this,(0,d.A)(Fg,this)[s],n)}function Jg(e,t){e&&(e.style.setProperty("--chapter-fill",t+"%"),(0,f.Bq)(e,"data-active",t>0&&t<100),(0,f.Bq)(e,"data-ended",100===t))}function ey(e,t){let n=0,s=(0,d.A)(Rg,this).call(this);if(0===t)return 0;if(100===t)return s.length-1;let{seekableStart:r}=(0,d.A)($g,this).$state,a=r(),o=(0,i.A)(zg,this,iy).call(this,s);for(let l=e;l<s.length;l++)if(n=(0,i.A)(zg,this,sy).call(this,s[l],t,a,o),n>=0&&n<100)return l;return 0}function ty(){(0,d.A)(Bg,this).call(this,(0,d.A)(_g,this).call(this))}function ny(){const{bufferedEnd:e,duration:t}=(0,d.A)($g,this).$state;return 100*Vn(Math.min(e()/Math.max(t(),1),1),3)}function iy(e){var t;const{seekableEnd:n}=(0,d.A)($g,this).$state,i=n();return Number.isFinite(i)?i:(null===(t=e[e.length-1])||void 0===t?void 0:t.endTime)||0}function sy(e,t,n,i){if(!e)return 0;if(0===(0,d.A)(Rg,this).call(this).length)return 0;const s=i-n,r=Math.max(0,e.startTime-n),a=Math.min(i,e.endTime)-n,o=r/s,l=100*o,u=100*Math.min(1,o+(a-r)/s);return Math.max(0,Vn(t>=u?100:(t-l)/(u-l)*100,3))}function ry(e){let t=[],{seekableStart:n,seekableEnd:i,duration:s}=(0,d.A)($g,this).$state,r=n(),a=i();const o=(e=e.filter(e=>e.startTime<=a&&e.endTime>=r))[0];o&&o.startTime>r&&t.push(new window.VTTCue(r,o.startTime,""));for(let u=0;u<e.length-1;u++){const n=e[u],i=e[u+1];if(t.push(n),i){const e=i.startTime-n.endTime;e>0&&t.push(new window.VTTCue(n.endTime,n.endTime+e,""))}}const l=e[e.length-1];if(l){t.push(l);const e=s();e>=0&&e-l.endTime>1&&t.push(new window.VTTCue(l.endTime,s(),""))}return t}function ay(){const{source:e}=(0,d.A)($g,this).$state;e(),(0,i.A)(zg,this,oy).call(this)}function oy(){if(!this.scope)return;const{disabled:e}=this.$props;if(e())return(0,d.A)(Rg,this).set([]),(0,d.A)(Og,this).set(0),void(0,c.A)(Ig,this,0);const t=(0,d.A)(Vg,this).call(this);if(t){const e=(0,d.A)(qg,this).bind(this);e(),new f.En(t).add("add-cue",e).add("remove-cue",e),(0,f.QZ)((0,i.A)(zg,this,ly).bind(this))}return(0,c.A)(Dg,this,(0,i.A)(zg,this,dy).call(this)),(0,d.A)(Dg,this)&&(0,f.QZ)((0,i.A)(zg,this,uy).bind(this)),()=>{(0,d.A)(Dg,this)&&((0,d.A)(Dg,this).textContent="",(0,c.A)(Dg,this,null))}}function ly(){(0,d.A)($g,this).$state.duration(),(0,d.A)(qg,this).call(this)}function uy(){const e=this.activePointerCue||this.activeCue;(0,d.A)(Dg,this)&&((0,d.A)(Dg,this).textContent=(null===e||void 0===e?void 0:e.text)||"")}function cy(){let e=this.el;for(;e&&"slider"!==e.getAttribute("role");)e=e.parentElement;return e}function dy(){const e=(0,i.A)(zg,this,cy).call(this);return e?e.querySelector('[data-part="chapter-title"]'):null}(0,l.A)(jg,"props",{disabled:!1});const hy=jg.prototype;(0,f._w)(hy,"cues"),(0,f._w)(hy,"activeCue"),(0,f._w)(hy,"activePointerCue"),(0,f.EJ)(hy,"setRefs");const fy=(0,f.q6)();function py(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};!function(e,t){const n=(0,f.r)(e,t);for(const{el:i,top:s,left:r}of n)i.scroll({top:s,left:r,behavior:t.behavior})}(e,(0,a.A)({scrollMode:"if-needed",block:"center",inline:"center"},t))}const my=["a[href]","[tabindex]","input","select","button"].map(e=>"".concat(e,":not([aria-hidden='true'])")).join(","),vy=new Set(["Escape","Tab","ArrowUp","ArrowDown","Home","PageUp","End","PageDown","Enter"," "]);var gy=new WeakMap,yy=new WeakMap,Ay=new WeakMap,by=new WeakMap,wy=new WeakSet;class ky{get items(){return(0,d.A)(Ay,this)}constructor(e){(0,o.A)(this,wy),(0,u.A)(this,gy,-1),(0,u.A)(this,yy,null),(0,u.A)(this,Ay,[]),(0,u.A)(this,by,void 0),(0,c.A)(by,this,e)}attachMenu(e){(0,f.k6)(e,"focus",(0,i.A)(wy,this,Cy).bind(this)),(0,c.A)(yy,this,e),(0,f.zp)(()=>{(0,c.A)(yy,this,null)})}listen(){(0,d.A)(yy,this)&&(this.update(),new f.En((0,d.A)(yy,this)).add("keyup",(0,i.A)(wy,this,Ty).bind(this)).add("keydown",(0,i.A)(wy,this,Py).bind(this)),(0,f.zp)(()=>{(0,c.A)(gy,this,-1),(0,c.A)(Ay,this,[])}))}update(){(0,c.A)(gy,this,0),(0,c.A)(Ay,this,(0,i.A)(wy,this,$y).call(this))}scroll(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:(0,i.A)(wy,this,Ey).call(this);const t=(0,d.A)(Ay,this)[e];t&&requestAnimationFrame(()=>{requestAnimationFrame(()=>{py(t,{behavior:"smooth",boundary:e=>!e.hasAttribute("data-root")})})})}focusActive(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];const t=(0,i.A)(wy,this,Ey).call(this);(0,i.A)(wy,this,Sy).call(this,t>=0?t:0,e)}}function Sy(e){let t=!(arguments.length>1&&void 0!==arguments[1])||arguments[1];var n;((0,c.A)(gy,this,e),(0,d.A)(Ay,this)[e])?((0,d.A)(Ay,this)[e].focus({preventScroll:!0}),t&&this.scroll(e)):null===(n=(0,d.A)(yy,this))||void 0===n||n.focus({preventScroll:!0})}function Ey(){return(0,d.A)(Ay,this).findIndex(e=>document.activeElement===e||"menuitemradio"===e.getAttribute("role")&&"true"===e.getAttribute("aria-checked"))}function Cy(){(0,d.A)(gy,this)>=0||(this.update(),this.focusActive())}function xy(e){const t=e.target;if((0,f.hN)(e)&&t instanceof Element){const e=t.getAttribute("role");return!/a|input|select|button/.test(t.localName)&&!e}return vy.has(e.key)}function Ty(e){(0,i.A)(wy,this,xy).call(this,e)&&(e.stopPropagation(),e.preventDefault())}function Py(e){if((0,i.A)(wy,this,xy).call(this,e))switch(e.stopPropagation(),e.preventDefault(),e.key){case"Escape":(0,d.A)(by,this).closeMenu(e);break;case"Tab":(0,i.A)(wy,this,Sy).call(this,(0,i.A)(wy,this,My).call(this,e.shiftKey?-1:1));break;case"ArrowUp":(0,i.A)(wy,this,Sy).call(this,(0,i.A)(wy,this,My).call(this,-1));break;case"ArrowDown":(0,i.A)(wy,this,Sy).call(this,(0,i.A)(wy,this,My).call(this,1));break;case"Home":case"PageUp":(0,i.A)(wy,this,Sy).call(this,0);break;case"End":case"PageDown":(0,i.A)(wy,this,Sy).call(this,(0,d.A)(Ay,this).length-1)}}function My(e){let t=(0,d.A)(gy,this);do{var n;t=(t+e+(0,d.A)(Ay,this).length)%(0,d.A)(Ay,this).length}while(null===(null===(n=(0,d.A)(Ay,this)[t])||void 0===n?void 0:n.offsetParent));return t}function $y(){if(!(0,d.A)(yy,this))return[];const e=(0,d.A)(yy,this).querySelectorAll(my),t=[],n=e=>"menu"===e.getAttribute("role");for(const i of e)Gn(i)&&null!==i.offsetParent&&jn((0,d.A)(yy,this),i,n)&&t.push(i);return t}var Ly=Object.defineProperty,Ny=Object.getOwnPropertyDescriptor,Dy=(e,t,n,i)=>{for(var s,r=Ny(t,n),a=e.length-1;a>=0;a--)(s=e[a])&&(r=s(t,n,r)||r);return r&&Ly(t,n,r),r};let Fy=0;var Vy=new WeakMap,Ry=new WeakMap,Oy=new WeakMap,Wy=new WeakMap,Iy=new WeakMap,zy=new WeakMap,By=new WeakMap,_y=new WeakMap,qy=new WeakMap,jy=new WeakMap,Uy=new WeakMap,Hy=new WeakMap,Zy=new WeakMap,Qy=new WeakMap,Gy=new WeakMap,Ky=new WeakSet,Xy=new WeakMap,Yy=new WeakMap,Jy=new WeakMap,eA=new WeakMap,tA=new WeakMap,nA=new WeakMap,iA=new WeakMap;class sA extends f.uA{get triggerElement(){return(0,d.A)(zy,this).call(this)}get contentElement(){return(0,d.A)(By,this).call(this)}get isSubmenu(){return!!(0,d.A)(_y,this)}constructor(){super(),(0,o.A)(this,Ky),(0,u.A)(this,Vy,void 0),(0,u.A)(this,Ry,void 0),(0,u.A)(this,Oy,void 0),(0,u.A)(this,Wy,(0,f.O)(!1)),(0,u.A)(this,Iy,(0,f.O)(!1)),(0,u.A)(this,zy,(0,f.O)(null)),(0,u.A)(this,By,(0,f.O)(null)),(0,u.A)(this,_y,void 0),(0,u.A)(this,qy,new Set),(0,u.A)(this,jy,null),(0,u.A)(this,Uy,void 0),(0,u.A)(this,Hy,void 0),(0,u.A)(this,Zy,!1),(0,u.A)(this,Qy,(0,f.O)(!1)),(0,u.A)(this,Gy,new Set),(0,u.A)(this,Xy,!1),(0,u.A)(this,Yy,(0,i.A)(Ky,this,kA).bind(this)),(0,u.A)(this,Jy,!1),(0,u.A)(this,eA,(0,i.A)(Ky,this,SA).bind(this)),(0,u.A)(this,tA,(0,i.A)(Ky,this,EA).bind(this)),(0,u.A)(this,nA,(0,f.s_)(()=>{const e=(0,f.se)((0,d.A)(By,this));if(!e||ut)return;let t=0,n=getComputedStyle(e),i=[...e.children];for(const s of["paddingTop","paddingBottom","borderTopWidth","borderBottomWidth"])t+=parseFloat(n[s])||0;for(const s of i)if(Gn(s)&&"contents"===s.style.display)i.push(...s.children);else if(3===s.nodeType)t+=parseFloat(getComputedStyle(s).fontSize);else if(Gn(s)){if(!_n(s))continue;const e=getComputedStyle(s);t+=s.offsetHeight+(parseFloat(e.marginTop)||0)+(parseFloat(e.marginBottom)||0)}(0,f.eC)(e,"--menu-height",t+"px")})),(0,u.A)(this,iA,!1);const{showDelay:e}=this.$props;(0,c.A)(Uy,this,new ph({trigger:(0,d.A)(zy,this),content:(0,d.A)(By,this),showDelay:e,listen:(e,t,n)=>{Un(e,e=>{(0,d.A)(Wy,this).call(this)?n(e):t(e)});const s=(0,i.A)(Ky,this,AA).call(this);s&&Un(s,e=>{e.stopPropagation(),n(e)})},onChange:(0,i.A)(Ky,this,hA).bind(this)}))}onSetup(){(0,c.A)(Vy,this,bn());const e=++Fy;(0,c.A)(Ry,this,"media-menu-".concat(e)),(0,c.A)(Oy,this,"media-menu-button-".concat(e)),(0,c.A)(Hy,this,new ky({closeMenu:this.close.bind(this)})),(0,f.TQ)(fy)&&(0,c.A)(_y,this,(0,f.NT)(fy)),(0,i.A)(Ky,this,rA).call(this),this.setAttributes({"data-open":(0,d.A)(Wy,this),"data-root":!this.isSubmenu,"data-submenu":this.isSubmenu,"data-disabled":(0,i.A)(Ky,this,mA).bind(this)}),(0,f.Pp)(fy,{button:(0,d.A)(zy,this),content:(0,d.A)(By,this),expanded:(0,d.A)(Wy,this),hint:(0,f.O)(""),submenu:!!(0,d.A)(_y,this),disable:(0,i.A)(Ky,this,vA).bind(this),attachMenuButton:(0,i.A)(Ky,this,oA).bind(this),attachMenuItems:(0,i.A)(Ky,this,lA).bind(this),attachObserver:(0,i.A)(Ky,this,uA).bind(this),disableMenuButton:(0,i.A)(Ky,this,dA).bind(this),addSubmenu:(0,i.A)(Ky,this,wA).bind(this),onTransitionEvent:e=>{(0,d.A)(Gy,this).add(e),(0,f.zp)(()=>{(0,d.A)(Gy,this).delete(e)})}})}onAttach(e){e.style.setProperty("display","contents")}onConnect(e){var t;((0,f.QZ)((0,i.A)(Ky,this,aA).bind(this)),this.isSubmenu)&&(null===(t=(0,d.A)(_y,this))||void 0===t||t.addSubmenu(this))}onDestroy(){(0,d.A)(zy,this).set(null),(0,d.A)(By,this).set(null),(0,c.A)(jy,this,null),(0,d.A)(Gy,this).clear()}open(e){(0,f.se)((0,d.A)(Wy,this))||((0,d.A)(Uy,this).show(e),(0,f.io)())}close(e){(0,f.se)((0,d.A)(Wy,this))&&((0,d.A)(Uy,this).hide(e),(0,f.io)())}}function rA(){let e=-1,t=(0,f.TQ)(ip)?(0,f.NT)(ip):null;(0,f.Pp)(ip,{onDragStart:()=>{var n;null===t||void 0===t||null===(n=t.onDragStart)||void 0===n||n.call(t),window.clearTimeout(e),e=-1,(0,c.A)(Zy,this,!0)},onDragEnd:()=>{var n;null===t||void 0===t||null===(n=t.onDragEnd)||void 0===n||n.call(t),e=window.setTimeout(()=>{(0,c.A)(Zy,this,!1),e=-1},300)}})}function aA(){const e=(0,i.A)(Ky,this,pA).call(this);this.isSubmenu||(0,d.A)(nA,this).call(this),(0,i.A)(Ky,this,cA).call(this,e),e&&((0,f.QZ)(()=>{const{height:e}=(0,d.A)(Vy,this).$state,t=(0,d.A)(By,this).call(this);t&&(0,f.eC)(t,"--player-height",e()+"px")}),(0,d.A)(Hy,this).listen(),this.listen("pointerup",(0,i.A)(Ky,this,gA).bind(this)),(0,f.k6)(window,"pointerup",(0,i.A)(Ky,this,yA).bind(this)))}function oA(e){const t=e.el,n=this.isSubmenu,s=Pl((0,i.A)(Ky,this,mA).bind(this));zn(t,"tabindex",n?"-1":"0"),zn(t,"role",n?"menuitem":"button"),(0,f.Bq)(t,"id",(0,d.A)(Oy,this)),(0,f.Bq)(t,"aria-haspopup","menu"),(0,f.Bq)(t,"aria-expanded","false"),(0,f.Bq)(t,"data-root",!this.isSubmenu),(0,f.Bq)(t,"data-submenu",this.isSubmenu);const r=()=>{(0,f.Bq)(t,"data-open",(0,d.A)(Wy,this).call(this)),(0,f.Bq)(t,"aria-disabled",s())};ut?r():(0,f.QZ)(r),(0,d.A)(zy,this).set(t),(0,f.zp)(()=>{(0,d.A)(zy,this).set(null)})}function lA(e){const t=e.el;t.style.setProperty("display","none"),(0,f.Bq)(t,"id",(0,d.A)(Ry,this)),zn(t,"role","menu"),zn(t,"tabindex","-1"),(0,f.Bq)(t,"data-root",!this.isSubmenu),(0,f.Bq)(t,"data-submenu",this.isSubmenu),(0,d.A)(By,this).set(t),(0,f.zp)(()=>(0,d.A)(By,this).set(null));const n=()=>(0,f.Bq)(t,"data-open",(0,d.A)(Wy,this).call(this));ut?n():(0,f.QZ)(n),(0,d.A)(Hy,this).attachMenu(t),(0,i.A)(Ky,this,cA).call(this,!1);const s=(0,i.A)(Ky,this,CA).bind(this);var r;this.isSubmenu?null===(r=(0,d.A)(_y,this))||void 0===r||r.onTransitionEvent(s):(e.listen("transitionstart",s),e.listen("transitionend",s),e.listen("animationend",(0,d.A)(nA,this)),e.listen("vds-menu-resize",(0,d.A)(nA,this)))}function uA(e){(0,c.A)(jy,this,e)}function cA(e){const t=(0,f.se)((0,d.A)(By,this));t&&(0,f.Bq)(t,"aria-hidden",(0,f.ox)(!e))}function dA(e){(0,d.A)(Qy,this).set(e)}function hA(e,t){var n;if((0,c.A)(Xy,this,(0,f.kx)(t)),null===t||void 0===t||t.stopPropagation(),(0,d.A)(Wy,this).call(this)===e)return;if((0,i.A)(Ky,this,mA).call(this))return void(e&&(0,d.A)(Uy,this).hide(t));null===(n=this.el)||void 0===n||n.dispatchEvent(new Event("vds-menu-resize",{bubbles:!0,composed:!0}));const s=(0,d.A)(zy,this).call(this),r=(0,d.A)(By,this).call(this);if(s&&((0,f.Bq)(s,"aria-controls",e&&(0,d.A)(Ry,this)),(0,f.Bq)(s,"aria-expanded",(0,f.ox)(e))),r&&(0,f.Bq)(r,"aria-labelledby",e&&(0,d.A)(Oy,this)),(0,d.A)(Wy,this).set(e),(0,i.A)(Ky,this,bA).call(this,t),(0,f.io)(),(0,d.A)(Xy,this)){e?null===r||void 0===r||r.focus():null===s||void 0===s||s.focus();for(const e of[this.el,r])e&&e.setAttribute("data-keyboard","")}else for(const i of[this.el,r])i&&i.removeAttribute("data-keyboard");if(this.dispatch(e?"open":"close",{trigger:t}),e){var a,o,l;if(!this.isSubmenu&&(0,d.A)(Vy,this).activeMenu!==this)null===(l=(0,d.A)(Vy,this).activeMenu)||void 0===l||l.close(t),(0,d.A)(Vy,this).activeMenu=this;null===(a=(0,d.A)(jy,this))||void 0===a||null===(o=a.onOpen)||void 0===o||o.call(a,t)}else{var u,h;if(this.isSubmenu)for(const e of(0,d.A)(qy,this))e.close(t);else(0,d.A)(Vy,this).activeMenu=null;null===(u=(0,d.A)(jy,this))||void 0===u||null===(h=u.onClose)||void 0===h||h.call(u,t)}e&&requestAnimationFrame((0,i.A)(Ky,this,fA).bind(this))}function fA(){(0,d.A)(iA,this)||(0,d.A)(Jy,this)||((0,d.A)(Hy,this).update(),requestAnimationFrame(()=>{(0,d.A)(Xy,this)?(0,d.A)(Hy,this).focusActive():(0,d.A)(Hy,this).scroll()}))}function pA(){return!(0,i.A)(Ky,this,mA).call(this)&&(0,d.A)(Wy,this).call(this)}function mA(){return(0,d.A)(Iy,this).call(this)||(0,d.A)(Qy,this).call(this)}function vA(e){(0,d.A)(Iy,this).set(e)}function gA(e){const t=(0,d.A)(By,this).call(this);(0,d.A)(Zy,this)||t&&Wn(t,e)||e.stopPropagation()}function yA(e){const t=(0,d.A)(By,this).call(this);(0,d.A)(Zy,this)||t&&Wn(t,e)||this.close(e)}function AA(){var e;const t=null===(e=this.el)||void 0===e?void 0:e.querySelector('[data-part="close-target"]');return this.el&&t&&jn(this.el,t,e=>"menu"===e.getAttribute("role"))?t:null}function bA(e){this.isSubmenu||((0,d.A)(Wy,this).call(this)?(0,d.A)(Vy,this).remote.pauseControls(e):(0,d.A)(Vy,this).remote.resumeControls(e))}function wA(e){(0,d.A)(qy,this).add(e),new f.En(e).add("open",(0,d.A)(eA,this)).add("close",(0,d.A)(tA,this)),(0,f.zp)((0,d.A)(Yy,this))}function kA(e){(0,d.A)(qy,this).delete(e)}function SA(e){(0,c.A)(Jy,this,!0);const t=(0,d.A)(By,this).call(this);var n;this.isSubmenu&&(null===(n=this.triggerElement)||void 0===n||n.setAttribute("aria-hidden","true"));for(const i of(0,d.A)(qy,this))if(i!==e.target)for(const e of[i.el,i.triggerElement])null===e||void 0===e||e.setAttribute("aria-hidden","true");if(t){const n=e.target.el;for(const e of t.children)e.contains(n)?e.setAttribute("data-open",""):e!==n&&e.setAttribute("data-hidden","")}}function EA(e){(0,c.A)(Jy,this,!1);const t=(0,d.A)(By,this).call(this);var n;this.isSubmenu&&(null===(n=this.triggerElement)||void 0===n||n.setAttribute("aria-hidden","false"));for(const i of(0,d.A)(qy,this))for(const e of[i.el,i.triggerElement])null===e||void 0===e||e.setAttribute("aria-hidden","false");if(t)for(const i of t.children)i.removeAttribute("data-open"),i.removeAttribute("data-hidden")}function CA(e){const t=(0,d.A)(By,this).call(this);t&&"height"===e.propertyName&&((0,c.A)(iA,this,"transitionstart"===e.type),(0,f.Bq)(t,"data-transition",(0,d.A)(iA,this)?"height":null),(0,d.A)(Wy,this).call(this)&&(0,i.A)(Ky,this,fA).call(this));for(const n of(0,d.A)(Gy,this))n(e)}(0,l.A)(sA,"props",{showDelay:0}),Dy([f._w],sA.prototype,"triggerElement"),Dy([f._w],sA.prototype,"contentElement"),Dy([f._w],sA.prototype,"isSubmenu"),Dy([f.EJ],sA.prototype,"open"),Dy([f.EJ],sA.prototype,"close");var xA=new WeakMap,TA=new WeakMap,PA=new WeakSet;class MA extends f.uA{get expanded(){var e,t;return null!==(e=null===(t=(0,d.A)(xA,this))||void 0===t?void 0:t.expanded())&&void 0!==e&&e}constructor(){super(),(0,o.A)(this,PA),(0,u.A)(this,xA,void 0),(0,u.A)(this,TA,(0,f.O)(null)),new Ac}onSetup(){(0,c.A)(xA,this,(0,f.NT)(fy))}onAttach(e){(0,d.A)(xA,this).attachMenuButton(this),(0,f.QZ)((0,i.A)(PA,this,$A).bind(this)),zn(e,"type","button")}onConnect(e){(0,f.QZ)((0,i.A)(PA,this,LA).bind(this)),(0,i.A)(PA,this,NA).call(this);const t=new MutationObserver((0,i.A)(PA,this,NA).bind(this));t.observe(e,{attributeFilter:["data-part"],childList:!0,subtree:!0}),(0,f.zp)(()=>t.disconnect()),Un(e,e=>{this.dispatch("select",{trigger:e})})}}function $A(){(0,d.A)(xA,this).disableMenuButton(this.$props.disabled())}function LA(){const e=(0,d.A)(TA,this).call(this);e&&(0,f.QZ)(()=>{const t=(0,d.A)(xA,this).hint();t&&(e.textContent=t)})}function NA(){var e;const t=null===(e=this.el)||void 0===e?void 0:e.querySelector('[data-part="hint"]');(0,d.A)(TA,this).set(null!==t&&void 0!==t?t:null)}(0,l.A)(MA,"props",{disabled:!1});const DA=MA.prototype;(0,f._w)(DA,"expanded");class FA extends MA{}var VA=new WeakMap,RA=new WeakMap,OA=new WeakSet;class WA extends f.uA{constructor(){super(...arguments),(0,o.A)(this,OA),(0,u.A)(this,VA,null),(0,u.A)(this,RA,void 0)}onSetup(){(0,c.A)(RA,this,bn()),(0,f.Pp)(qA,{attach:(0,i.A)(OA,this,IA).bind(this)})}onAttach(e){e.style.setProperty("display","contents")}onConnect(e){}onDestroy(){var e;null===(e=(0,d.A)(VA,this))||void 0===e||e.remove(),(0,c.A)(VA,this,null)}}function IA(e){(0,i.A)(OA,this,BA).call(this,!1),(0,c.A)(VA,this,e),Zn(()=>{Zn(()=>{this.connectScope&&(0,f.QZ)((0,i.A)(OA,this,zA).bind(this))})})}function zA(){const{fullscreen:e}=(0,d.A)(RA,this).$state,{disabled:t}=this.$props;(0,i.A)(OA,this,BA).call(this,"fullscreen"===t()?!e():!t())}function BA(e){if(!(0,d.A)(VA,this))return;let t=(0,i.A)(OA,this,_A).call(this,this.$props.container());if(!t)return;const n=(0,d.A)(VA,this).parentElement===t;if((0,f.Bq)((0,d.A)(VA,this),"data-portal",e),e)n||((0,d.A)(VA,this).remove(),t.append((0,d.A)(VA,this)));else if(n&&(0,d.A)(VA,this).parentElement===t){var s;(0,d.A)(VA,this).remove(),null===(s=this.el)||void 0===s||s.append((0,d.A)(VA,this))}}function _A(e){return Gn(e)?e:e?document.querySelector(e):document.body}(0,l.A)(WA,"props",{container:null,disabled:!1});const qA=(0,f.q6)();var jA=new WeakMap,UA=new WeakSet;class HA extends f.uA{constructor(){super(),(0,o.A)(this,UA),(0,u.A)(this,jA,void 0),new Ac;const{placement:e}=this.$props;this.setAttributes({"data-placement":e})}onAttach(e){if((0,c.A)(jA,this,(0,f.NT)(fy)),(0,d.A)(jA,this).attachMenuItems(this),(0,f.TQ)(qA)){const t=(0,f.NT)(qA);t&&((0,f.Pp)(qA,null),t.attach(e),(0,f.zp)(()=>t.attach(null)))}}onConnect(e){(0,f.QZ)((0,i.A)(UA,this,ZA).bind(this))}}function ZA(){const{expanded:e}=(0,d.A)(jA,this);if(!this.el||!e())return;const t=this.$props.placement();if(!t)return;Object.assign(this.el.style,{position:"absolute",top:0,left:0,width:"max-content"});const{offset:n,alignOffset:s}=this.$props;(0,f.zp)(Qn(this.el,(0,i.A)(UA,this,GA).call(this),t,{offsetVarName:"media-menu",xOffset:s(),yOffset:n()})),(0,f.zp)((0,i.A)(UA,this,QA).bind(this))}function QA(){this.el&&(this.el.removeAttribute("style"),this.el.style.display="none")}function GA(){return(0,d.A)(jA,this).button()}(0,l.A)(HA,"props",{placement:null,offset:0,alignOffset:0});const KA=(0,f.q6)();var XA=new WeakMap,YA=new WeakMap,JA=new WeakMap,eb=new WeakSet,tb=new WeakMap;class nb extends f.WO{constructor(){super(...arguments),(0,o.A)(this,eb),(0,u.A)(this,XA,new Set),(0,u.A)(this,YA,(0,f.O)("")),(0,u.A)(this,JA,null),(0,l.A)(this,"onValueChange",void 0),(0,u.A)(this,tb,(0,i.A)(eb,this,rb).bind(this))}get values(){return Array.from((0,d.A)(XA,this)).map(e=>e.value())}get value(){return(0,d.A)(YA,this).call(this)}set value(e){(0,i.A)(eb,this,rb).call(this,e)}onSetup(){(0,f.Pp)(KA,{add:(0,i.A)(eb,this,ib).bind(this),remove:(0,i.A)(eb,this,sb).bind(this)})}onAttach(e){(0,f.TQ)(fy)||zn(e,"role","radiogroup"),this.setAttributes({value:(0,d.A)(YA,this)})}onDestroy(){(0,d.A)(XA,this).clear()}}function ib(e){(0,d.A)(XA,this).has(e)||((0,d.A)(XA,this).add(e),e.onCheck=(0,d.A)(tb,this),e.check(e.value()===(0,d.A)(YA,this).call(this)))}function sb(e){e.onCheck=null,(0,d.A)(XA,this).delete(e)}function rb(e,t){var n;const s=(0,f.se)((0,d.A)(YA,this));if(!e||e===s)return;const r=(0,i.A)(eb,this,ab).call(this,s),a=(0,i.A)(eb,this,ab).call(this,e);null===r||void 0===r||r.check(!1,t),null===a||void 0===a||a.check(!0,t),(0,d.A)(YA,this).set(e),null===(n=this.onValueChange)||void 0===n||n.call(this,e,t)}function ab(e){for(const t of(0,d.A)(XA,this))if(e===(0,f.se)(t.value))return t;return null}var ob=new WeakMap,lb=new WeakSet;class ub extends f.uA{get values(){return(0,d.A)(ob,this).values}get value(){return(0,d.A)(ob,this).value}set value(e){(0,d.A)(ob,this).value=e}constructor(){super(),(0,o.A)(this,lb),(0,u.A)(this,ob,void 0),(0,c.A)(ob,this,new nb),(0,d.A)(ob,this).onValueChange=(0,i.A)(lb,this,db).bind(this)}onSetup(){ut?(0,i.A)(lb,this,cb).call(this):(0,f.QZ)((0,i.A)(lb,this,cb).bind(this))}}function cb(){(0,d.A)(ob,this).value=this.$props.value()}function db(e,t){const n=this.createEvent("change",{detail:e,trigger:t});this.dispatch(n)}(0,l.A)(ub,"props",{value:""});const hb=ub.prototype;(0,f._w)(hb,"values"),(0,f._w)(hb,"value");var fb=new WeakMap,pb=new WeakMap,mb=new WeakSet;class vb extends f.uA{get checked(){return(0,d.A)(fb,this).call(this)}constructor(){super(),(0,o.A)(this,mb),(0,u.A)(this,fb,(0,f.O)(!1)),(0,u.A)(this,pb,{value:this.$props.value,check:(0,i.A)(mb,this,wb).bind(this),onCheck:null}),new Ac}onSetup(){this.setAttributes({value:this.$props.value,"data-checked":(0,d.A)(fb,this),"aria-checked":Pl((0,d.A)(fb,this))})}onAttach(e){const t=(0,f.TQ)(fy);zn(e,"tabindex",t?"-1":"0"),zn(e,"role",t?"menuitemradio":"radio"),(0,f.QZ)((0,i.A)(mb,this,Ab).bind(this))}onConnect(e){(0,i.A)(mb,this,yb).call(this),Un(e,(0,i.A)(mb,this,bb).bind(this)),(0,f.zp)((0,i.A)(mb,this,gb).bind(this))}}function gb(){(0,f.P1)(()=>{(0,f.NT)(KA).remove((0,d.A)(pb,this))},this.connectScope)}function yb(){(0,f.NT)(KA).add((0,d.A)(pb,this))}function Ab(){const{value:e}=this.$props,t=e();var n,i;(0,f.se)((0,d.A)(fb,this))&&(null===(n=(i=(0,d.A)(pb,this)).onCheck)||void 0===n||n.call(i,t))}function bb(e){var t,n;(0,f.se)((0,d.A)(fb,this))||((0,i.A)(mb,this,kb).call(this,!0,e),(0,i.A)(mb,this,Sb).call(this,e),null===(t=(n=(0,d.A)(pb,this)).onCheck)||void 0===t||t.call(n,(0,f.se)(this.$props.value),e))}function wb(e,t){(0,f.se)((0,d.A)(fb,this))!==e&&(0,i.A)(mb,this,kb).call(this,e,t)}function kb(e,t){(0,d.A)(fb,this).set(e),this.dispatch("change",{detail:e,trigger:t})}function Sb(e){this.dispatch("select",{trigger:e})}(0,l.A)(vb,"props",{value:""});const Eb=vb.prototype;(0,f._w)(Eb,"checked");var Cb=new WeakMap,xb=new WeakMap,Tb=new WeakSet,Pb=new WeakMap,Mb=new WeakMap;class $b extends f.uA{constructor(){super(...arguments),(0,o.A)(this,Tb),(0,u.A)(this,Cb,void 0),(0,u.A)(this,xb,null),(0,u.A)(this,Pb,0),(0,u.A)(this,Mb,-1)}onSetup(){(0,c.A)(Cb,this,bn());const{event:e,action:t}=this.$props;this.setAttributes({event:e,action:t})}onAttach(e){e.setAttribute("data-media-gesture",""),e.style.setProperty("pointer-events","none")}onConnect(e){var t;(0,c.A)(xb,this,null===(t=(0,d.A)(Cb,this).player.el)||void 0===t?void 0:t.querySelector("[data-media-provider]")),(0,f.QZ)((0,i.A)(Tb,this,Lb).bind(this))}}function Lb(){let e=this.$props.event(),t=this.$props.disabled();if((0,d.A)(xb,this)&&e&&!t){if(/^dbl/.test(e)&&(e=e.split(/^dbl/)[1]),"pointerup"===e||"pointerdown"===e){"coarse"===(0,d.A)(Cb,this).$state.pointer()&&(e="pointerup"===e?"touchend":"touchstart")}(0,f.k6)((0,d.A)(xb,this),e,(0,i.A)(Tb,this,Nb).bind(this),{passive:!1})}}function Nb(e){var t;if(this.$props.disabled()||(0,f.EE)(e)&&(0!==e.button||(0,d.A)(Cb,this).activeMenu)||(0,f.kH)(e)&&(0,d.A)(Cb,this).activeMenu||Hn(e)||!(0,i.A)(Tb,this,Fb).call(this,e))return;e.MEDIA_GESTURE=!0,e.preventDefault();const n=(0,f.se)(this.$props.event);if(null===n||void 0===n?void 0:n.startsWith("dbl")){if(1===(0,d.A)(Pb,this))return queueMicrotask(()=>(0,i.A)(Tb,this,Db).call(this,e)),clearTimeout((0,d.A)(Mb,this)),void(0,c.A)(Pb,this,0)}else 0===(0,d.A)(Pb,this)&&setTimeout(()=>{1===(0,d.A)(Pb,this)&&(0,i.A)(Tb,this,Db).call(this,e)},250);0===(0,d.A)(Pb,this)&&(0,c.A)(Mb,this,window.setTimeout(()=>{(0,c.A)(Pb,this,0)},275)),(0,c.A)(Pb,this,(t=(0,d.A)(Pb,this),t++,t))}function Db(e){this.el.setAttribute("data-triggered",""),requestAnimationFrame(()=>{(0,i.A)(Tb,this,Vb).call(this)&&(0,i.A)(Tb,this,Rb).call(this,(0,f.se)(this.$props.action),e),requestAnimationFrame(()=>{this.el.removeAttribute("data-triggered")})})}function Fb(e){if(!this.el)return!1;if((0,f.EE)(e)||(0,f.Er)(e)||(0,f.kH)(e)){var t,n,i;const s=(0,f.kH)(e)?null!==(t=e.changedTouches[0])&&void 0!==t?t:e.touches[0]:void 0,r=null!==(n=null===s||void 0===s?void 0:s.clientX)&&void 0!==n?n:e.clientX,a=null!==(i=null===s||void 0===s?void 0:s.clientY)&&void 0!==i?i:e.clientY,o=this.el.getBoundingClientRect(),l=a>=o.top&&a<=o.bottom&&r>=o.left&&r<=o.right;return e.type.includes("leave")?!l:l}return!0}function Vb(){const e=(0,d.A)(Cb,this).player.el.querySelectorAll("[data-media-gesture][data-triggered]");return Array.from(e).sort((e,t)=>+getComputedStyle(t).zIndex-+getComputedStyle(e).zIndex)[0]===this.el}function Rb(e,t){if(!e)return;const n=new f.vP("will-trigger",{detail:e,cancelable:!0,trigger:t});if(this.dispatchEvent(n),n.defaultPrevented)return;const[i,s]=e.replace(/:([a-z])/,"-$1").split(":");e.includes(":fullscreen")?(0,d.A)(Cb,this).remote.toggleFullscreen("prefer-media",t):e.includes("seek:")?(0,d.A)(Cb,this).remote.seek((0,f.se)((0,d.A)(Cb,this).$state.currentTime)+(+s||0),t):(0,d.A)(Cb,this).remote[(0,f.zS)(i)](t),this.dispatch("trigger",{detail:e,trigger:t})}(0,l.A)($b,"props",{disabled:!1,event:void 0,action:void 0});var Ob=new WeakMap,Wb=new WeakMap,Ib=new WeakMap,zb=new WeakSet;class Bb{constructor(e){(0,o.A)(this,zb),(0,l.A)(this,"priority",10),(0,u.A)(this,Ob,null),(0,u.A)(this,Wb,void 0),(0,u.A)(this,Ib,void 0),(0,c.A)(Wb,this,e)}attach(){}canRender(){return!0}detach(){var e;null===(e=(0,d.A)(Ib,this))||void 0===e||e.abort(),(0,c.A)(Ib,this,void 0),(0,d.A)(Wb,this).reset(),(0,c.A)(Ob,this,null)}changeTrack(e){var t;e&&(0,d.A)(Ob,this)!==e&&(null===(t=(0,d.A)(Ib,this))||void 0===t||t.abort(),(0,c.A)(Ib,this,new f.En(e)),e.readyState<2?((0,d.A)(Wb,this).reset(),(0,d.A)(Ib,this).add("load",()=>(0,i.A)(zb,this,_b).call(this,e),{once:!0})):(0,i.A)(zb,this,_b).call(this,e),(0,d.A)(Ib,this).add("add-cue",e=>{(0,d.A)(Wb,this).addCue(e.detail)}).add("remove-cue",e=>{(0,d.A)(Wb,this).removeCue(e.detail)}),(0,c.A)(Ob,this,e))}}function _b(e){(0,d.A)(Wb,this).changeTrack({cues:[...e.cues],regions:[...e.regions]})}var qb=new WeakMap,jb=new WeakSet,Ub=new WeakMap;class Hb extends f.uA{constructor(){super(...arguments),(0,o.A)(this,jb),(0,u.A)(this,qb,void 0),(0,u.A)(this,Ub,-1)}onSetup(){(0,c.A)(qb,this,bn()),this.setAttributes({"aria-hidden":Pl((0,i.A)(jb,this,Zb).bind(this))})}onAttach(e){e.style.setProperty("pointer-events","none")}onConnect(e){Hb.lib()||n.e(813).then(n.bind(n,813)).then(e=>Hb.lib.set(e)),(0,f.QZ)((0,i.A)(jb,this,Qb).bind(this))}}function Zb(){const{textTrack:e,remotePlaybackState:t,iOSControls:n}=(0,d.A)(qb,this).$state,i=e();return n()||"connected"===t()||!i||!fn(i)}function Qb(){if(!ot.lib())return;const{viewType:e}=(0,d.A)(qb,this).$state;return"audio"===e()?(0,i.A)(jb,this,Gb).call(this):(0,i.A)(jb,this,Jb).call(this)}function Gb(){return(0,f.QZ)((0,i.A)(jb,this,Kb).bind(this)),(0,i.A)(jb,this,nw).call(this,null),()=>{this.el.textContent=""}}function Kb(){if((0,i.A)(jb,this,Zb).call(this))return;(0,i.A)(jb,this,Xb).call(this);const{textTrack:e}=(0,d.A)(qb,this).$state;(0,f.k6)(e(),"cue-change",(0,i.A)(jb,this,Xb).bind(this)),(0,f.QZ)((0,i.A)(jb,this,Yb).bind(this))}function Xb(){this.el.textContent="",(0,d.A)(Ub,this)>=0&&(0,i.A)(jb,this,aw).call(this);const{realCurrentTime:e,textTrack:t}=(0,d.A)(qb,this).$state,{renderVTTCueString:n}=ot.lib(),s=(0,f.se)(e),r=(0,f.se)(t).activeCues;for(const a of r){const e=(0,i.A)(jb,this,ow).call(this),t=(0,i.A)(jb,this,lw).call(this);t.innerHTML=n(a,s),e.append(t),this.el.append(t)}}function Yb(){const{realCurrentTime:e}=(0,d.A)(qb,this).$state,{updateTimedVTTCueNodes:t}=ot.lib();t(this.el,e())}function Jb(){const{CaptionsRenderer:e}=ot.lib(),t=new e(this.el),n=new Bb(t);return(0,d.A)(qb,this).textRenderers.add(n),(0,f.QZ)((0,i.A)(jb,this,ew).bind(this,t)),(0,f.QZ)((0,i.A)(jb,this,tw).bind(this,t)),(0,i.A)(jb,this,nw).call(this,t),()=>{this.el.textContent="",(0,d.A)(qb,this).textRenderers.remove(n),t.destroy()}}function ew(e){e.dir=this.$props.textDir()}function tw(e){var t;if((0,i.A)(jb,this,Zb).call(this))return;const{realCurrentTime:n,textTrack:s}=(0,d.A)(qb,this).$state;e.currentTime=n(),(0,d.A)(Ub,this)>=0&&null!==(t=s())&&void 0!==t&&t.activeCues[0]&&(0,i.A)(jb,this,aw).call(this)}function nw(e){const t=(0,d.A)(qb,this).player;if(!t)return;const n=(0,i.A)(jb,this,iw).bind(this,e);(0,f.k6)(t,"vds-font-change",n)}function iw(e){var t;if((0,d.A)(Ub,this)>=0)return void(0,i.A)(jb,this,rw).call(this);const{textTrack:n}=(0,d.A)(qb,this).$state;null!==(t=n())&&void 0!==t&&t.activeCues[0]?null===e||void 0===e||e.update(!0):(0,i.A)(jb,this,sw).call(this)}function sw(){var e,t;const n=(0,i.A)(jb,this,ow).call(this);(0,f.Bq)(n,"data-example","");const s=(0,i.A)(jb,this,lw).call(this);(0,f.Bq)(s,"data-example",""),s.textContent=this.$props.exampleText(),null===n||void 0===n||n.append(s),null===(e=this.el)||void 0===e||e.append(n),null===(t=this.el)||void 0===t||t.setAttribute("data-example",""),(0,i.A)(jb,this,rw).call(this)}function rw(){window.clearTimeout((0,d.A)(Ub,this)),(0,c.A)(Ub,this,window.setTimeout((0,i.A)(jb,this,aw).bind(this),2500))}function aw(){var e,t;null===(e=this.el)||void 0===e||e.removeAttribute("data-example"),null!==(t=this.el)&&void 0!==t&&t.querySelector("[data-example]")&&(this.el.textContent=""),(0,c.A)(Ub,this,-1)}function ow(){const e=document.createElement("div");return(0,f.Bq)(e,"data-part","cue-display"),e}function lw(){const e=document.createElement("div");return(0,f.Bq)(e,"data-part","cue"),e}ot=Hb,(0,l.A)(Hb,"props",{textDir:"ltr",exampleText:"Captions look like this."}),(0,l.A)(Hb,"lib",(0,f.O)(null));var uw=new WeakMap,cw=new WeakSet,dw=new WeakMap;class hw extends f.uA{constructor(){super(...arguments),(0,o.A)(this,cw),(0,u.A)(this,uw,void 0),(0,u.A)(this,dw,"")}onSetup(){(0,c.A)(uw,this,bn()),(0,i.A)(cw,this,yw).call(this),(0,i.A)(cw,this,Aw).call(this),(0,i.A)(cw,this,bw).call(this),(0,i.A)(cw,this,mw).call(this)}onAttach(e){e.style.setProperty("pointer-events","none"),(0,f.QZ)((0,i.A)(cw,this,gw).bind(this)),(0,f.QZ)((0,i.A)(cw,this,yw).bind(this)),(0,f.QZ)((0,i.A)(cw,this,Aw).bind(this)),(0,f.QZ)((0,i.A)(cw,this,bw).bind(this)),(0,f.QZ)((0,i.A)(cw,this,mw).bind(this));const{started:t}=(0,d.A)(uw,this).$state;this.setAttributes({"data-visible":()=>!t()&&!this.$state.hidden(),"data-loading":(0,i.A)(cw,this,vw).bind(this),"data-error":(0,i.A)(cw,this,fw).bind(this),"data-hidden":this.$state.hidden})}onConnect(e){(0,f.QZ)((0,i.A)(cw,this,pw).bind(this)),(0,f.QZ)((0,i.A)(cw,this,ww).bind(this))}}function fw(){const{error:e}=this.$state;return!(0,f.kZ)(e())}function pw(){const{canLoadPoster:e,poster:t}=(0,d.A)(uw,this).$state;!e()&&t()&&_t(t(),"preconnect")}function mw(){const{src:e}=this.$props,{poster:t,nativeControls:n}=(0,d.A)(uw,this).$state;this.el&&(0,f.Bq)(this.el,"display",n()?"none":null),this.$state.hidden.set((0,i.A)(cw,this,fw).call(this)||!(e()||t())||n())}function vw(){const{loading:e,hidden:t}=this.$state;return!t()&&e()}function gw(){const e=this.$state.img();e&&(new f.En(e).add("load",(0,i.A)(cw,this,kw).bind(this)).add("error",(0,i.A)(cw,this,Sw).bind(this)),e.complete&&(0,i.A)(cw,this,kw).call(this))}function yw(){const{poster:e}=(0,d.A)(uw,this).$props,{canLoadPoster:t,providedPoster:n,inferredPoster:i}=(0,d.A)(uw,this).$state,s=this.$props.src()||"",r=s||e()||i();(0,d.A)(dw,this)===n()&&n.set(s),this.$state.src.set(t()&&r.length?r:null),(0,c.A)(dw,this,s)}function Aw(){const{src:e}=this.$props,{alt:t}=this.$state,{poster:n}=(0,d.A)(uw,this).$state;t.set(e()||n()?this.$props.alt():null)}function bw(){const{crossOrigin:e}=this.$props,{crossOrigin:t}=this.$state,{crossOrigin:n,poster:i}=(0,d.A)(uw,this).$state,s=null!==e()?e():n();t.set(/ytimg\.com|vimeo/.test(i()||"")?null:!0===s?"anonymous":s)}function ww(){const{loading:e,error:t}=this.$state,{canLoadPoster:n,poster:i}=(0,d.A)(uw,this).$state;e.set(n()&&!!i()),t.set(null)}function kw(){const{loading:e,error:t}=this.$state;e.set(!1),t.set(null)}function Sw(e){const{loading:t,error:n}=this.$state;t.set(!1),n.set(e)}(0,l.A)(hw,"props",{src:null,alt:null,crossOrigin:null}),(0,l.A)(hw,"state",new f.Uw({img:null,src:null,alt:null,crossOrigin:null,loading:!0,error:null,hidden:!1}));var Ew=new WeakMap,Cw=new WeakMap,xw=new WeakMap,Tw=new WeakMap,Pw=new WeakSet;class Mw extends f.uA{constructor(){super(...arguments),(0,o.A)(this,Pw),(0,u.A)(this,Ew,void 0),(0,u.A)(this,Cw,(0,f.O)(null)),(0,u.A)(this,xw,(0,f.O)(!0)),(0,u.A)(this,Tw,(0,f.O)(!0))}onSetup(){(0,c.A)(Ew,this,bn()),(0,i.A)(Pw,this,Dw).call(this);const{type:e}=this.$props;this.setAttributes({"data-type":e,"data-remainder":(0,i.A)(Pw,this,Rw).bind(this)}),new ep({callback:(0,i.A)(Pw,this,$w).bind(this)}).attach(this)}onAttach(e){e.hasAttribute("role")||(0,f.QZ)((0,i.A)(Pw,this,Fw).bind(this)),(0,f.QZ)((0,i.A)(Pw,this,Dw).bind(this))}onConnect(e){(0,f.zp)(qn(e,(0,d.A)(xw,this).set)),(0,f.QZ)((0,i.A)(Pw,this,Lw).bind(this)),(0,f.QZ)((0,i.A)(Pw,this,Nw).bind(this))}}function $w(e){(0,d.A)(Tw,this).set(e[0].isIntersecting)}function Lw(){const{hidden:e}=this.$props;this.$state.hidden.set(e()||!(0,d.A)(xw,this).call(this)||!(0,d.A)(Tw,this).call(this))}function Nw(){this.$props.toggle()?this.el&&Un(this.el,(0,i.A)(Pw,this,Ow).bind(this)):(0,d.A)(Cw,this).set(null)}function Dw(){const{hidden:e,timeText:t}=this.$state,{duration:n}=(0,d.A)(Ew,this).$state;if(e())return;const{type:s,padHours:r,padMinutes:a,showHours:o}=this.$props,l=(0,i.A)(Pw,this,Vw).call(this,s()),u=n(),c=(0,i.A)(Pw,this,Rw).call(this);if(!Number.isFinite(l+u))return void t.set("LIVE");const h=al(c?Math.max(0,u-l):l,{padHrs:r(),padMins:a(),showHrs:o()});t.set((c?"-":"")+h)}function Fw(){if(!this.el)return;const{toggle:e}=this.$props;(0,f.Bq)(this.el,"role",e()?"timer":null),(0,f.Bq)(this.el,"tabindex",e()?0:null)}function Vw(e){const{bufferedEnd:t,duration:n,currentTime:i}=(0,d.A)(Ew,this).$state;switch(e){case"buffered":return t();case"duration":return n();default:return i()}}function Rw(){return this.$props.remainder()&&!1!==(0,d.A)(Cw,this).call(this)}function Ow(e){e.preventDefault(),null!==(0,d.A)(Cw,this).call(this)?(0,d.A)(Cw,this).set(e=>!e):(0,d.A)(Cw,this).set(!this.$props.remainder())}(0,l.A)(Mw,"props",{type:"current",showHours:!1,padHours:null,padMinutes:null,remainder:!1,toggle:!1,hidden:!1}),(0,l.A)(Mw,"state",new f.Uw({timeText:"",hidden:!1}));class Ww extends Lc{}class Iw extends Vd{}class zw extends Hd{}class Bw extends sh{}class _w extends lh{}class qw extends Zh{}class jw extends gf{}class Uw extends Sf{}class Hw extends Zf{}class Zw extends Mf{}class Qw extends Vf{}class Gw extends hf{}class Kw extends Xh{}class Xw extends rf{}class Yw extends Bf{}class Jw extends Eh{}class ek extends Lh{}class tk extends Vh{}class nk extends em{}class ik extends og{}class sk extends cv{}class rk extends wv{}class ak extends Dv{}class ok extends Zv{}class lk extends Om{}class uk extends nv{}class ck extends Bm{}class dk extends av{}class hk extends jg{}class fk extends sA{}class pk extends MA{}class mk extends HA{}class vk extends FA{}class gk extends ub{}class yk extends vb{}class Ak extends Hb{}class bk extends $b{}class wk extends hw{}class kk extends Sm{}class Sk extends Mw{}const Ek=h.forwardRef((e,t)=>{const{children:n}=e,i=(0,r.A)(e,We),s=h.Children.toArray(n),o=s.find(Tk);if(o){const e=o.props.children,n=s.map(t=>t===o?h.Children.count(e)>1?h.Children.only(null):h.isValidElement(e)?e.props.children:null:t);return h.createElement(Ck,(0,a.A)((0,a.A)({},i),{},{ref:t}),h.isValidElement(e)?h.cloneElement(e,void 0,n):null)}return h.createElement(Ck,(0,a.A)((0,a.A)({},i),{},{ref:t}),n)});Ek.displayName="Slot";const Ck=h.forwardRef((e,t)=>{const{children:n}=e,i=(0,r.A)(e,Ie);return h.isValidElement(n)?h.cloneElement(n,(0,a.A)((0,a.A)({},function(e,t){const n=(0,a.A)({},t);for(const i in t){const s=e[i],r=t[i];/^on[A-Z]/.test(i)?s&&r?n[i]=function(){r(...arguments),s(...arguments)}:s&&(n[i]=s):"style"===i?n[i]=(0,a.A)((0,a.A)({},s),r):"className"===i&&(n[i]=[s,r].filter(Boolean).join(" "))}return(0,a.A)((0,a.A)({},e),n)}(i,n.props)),{},{ref:t?(0,f.tE)(t,n.ref):n.ref})):h.Children.count(n)>1?h.Children.only(null):null});Ck.displayName="SlotClone";const xk=e=>{let{children:t}=e;return h.createElement(h.Fragment,null,t)};function Tk(e){return h.isValidElement(e)&&e.type===xk}const Pk=["button","div","span","img","video","audio"].reduce((e,t)=>{const n=h.forwardRef((e,n)=>{const{asChild:i}=e,s=(0,r.A)(e,ze),o=i?Ek:t;return h.createElement(o,(0,a.A)((0,a.A)({},s),{},{ref:n}))});return n.displayName="Primitive.".concat(t),(0,a.A)((0,a.A)({},e),{},{[t]:n})},{});function Mk(e){return"REMOTION"===(null===e||void 0===e?void 0:e.$$PROVIDER_TYPE)}function $k(e){return"video/remotion"===(null===e||void 0===e?void 0:e.type)}const Lk=nk.state.record,Nk=Object.keys(Lk).reduce((e,t)=>(0,a.A)((0,a.A)({},e),{},{[t]:()=>Lk[t]}),{});function Dk(e,t){var n;const i=(0,f.w$)(Gf);return(0,f.Ul)(((null===t||void 0===t||null===(n=t.current)||void 0===n?void 0:n.$state)||i||Nk)[e])}const Fk=Ww.state.record,Vk=Object.keys(Fk).reduce((e,t)=>(0,a.A)((0,a.A)({},e),{},{[t]:()=>Fk[t]}),{});function Rk(e,t){var n;const i=(0,f.w$)(pn);return(0,f.Ul)(((null===t||void 0===t||null===(n=t.current)||void 0===n?void 0:n.$state)||i||Vk)[e])}},458:(e,t,n)=>{n.d(t,{A:()=>s});var i=n(562);function s(e,t){return e.get((0,i.A)(e,t))}},558:(e,t,n)=>{n.d(t,{A:()=>s});var i=n(562);function s(e,t,n){return e.set((0,i.A)(e,t),n),n}},562:(e,t,n)=>{function i(e,t,n){if("function"==typeof e?e===t:e.has(t))return arguments.length<3?t:n;throw new TypeError("Private element is not present on this object")}n.d(t,{A:()=>i})},579:(e,t,n)=>{e.exports=n(799)},672:(e,t,n)=>{var i=n(43);function s(e){var t="https://react.dev/errors/"+e;if(1<arguments.length){t+="?args[]="+encodeURIComponent(arguments[1]);for(var n=2;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n])}return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function r(){}var a={d:{f:r,r:function(){throw Error(s(522))},D:r,C:r,L:r,m:r,X:r,S:r,M:r},p:0,findDOMNode:null},o=Symbol.for("react.portal");var l=i.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE;function u(e,t){return"font"===e?"":"string"===typeof t?"use-credentials"===t?t:"":void 0}t.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE=a,t.createPortal=function(e,t){var n=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!t||1!==t.nodeType&&9!==t.nodeType&&11!==t.nodeType)throw Error(s(299));return function(e,t,n){var i=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:o,key:null==i?null:""+i,children:e,containerInfo:t,implementation:n}}(e,t,null,n)},t.flushSync=function(e){var t=l.T,n=a.p;try{if(l.T=null,a.p=2,e)return e()}finally{l.T=t,a.p=n,a.d.f()}},t.preconnect=function(e,t){"string"===typeof e&&(t?t="string"===typeof(t=t.crossOrigin)?"use-credentials"===t?t:"":void 0:t=null,a.d.C(e,t))},t.prefetchDNS=function(e){"string"===typeof e&&a.d.D(e)},t.preinit=function(e,t){if("string"===typeof e&&t&&"string"===typeof t.as){var n=t.as,i=u(n,t.crossOrigin),s="string"===typeof t.integrity?t.integrity:void 0,r="string"===typeof t.fetchPriority?t.fetchPriority:void 0;"style"===n?a.d.S(e,"string"===typeof t.precedence?t.precedence:void 0,{crossOrigin:i,integrity:s,fetchPriority:r}):"script"===n&&a.d.X(e,{crossOrigin:i,integrity:s,fetchPriority:r,nonce:"string"===typeof t.nonce?t.nonce:void 0})}},t.preinitModule=function(e,t){if("string"===typeof e)if("object"===typeof t&&null!==t){if(null==t.as||"script"===t.as){var n=u(t.as,t.crossOrigin);a.d.M(e,{crossOrigin:n,integrity:"string"===typeof t.integrity?t.integrity:void 0,nonce:"string"===typeof t.nonce?t.nonce:void 0})}}else null==t&&a.d.M(e)},t.preload=function(e,t){if("string"===typeof e&&"object"===typeof t&&null!==t&&"string"===typeof t.as){var n=t.as,i=u(n,t.crossOrigin);a.d.L(e,n,{crossOrigin:i,integrity:"string"===typeof t.integrity?t.integrity:void 0,nonce:"string"===typeof t.nonce?t.nonce:void 0,type:"string"===typeof t.type?t.type:void 0,fetchPriority:"string"===typeof t.fetchPriority?t.fetchPriority:void 0,referrerPolicy:"string"===typeof t.referrerPolicy?t.referrerPolicy:void 0,imageSrcSet:"string"===typeof t.imageSrcSet?t.imageSrcSet:void 0,imageSizes:"string"===typeof t.imageSizes?t.imageSizes:void 0,media:"string"===typeof t.media?t.media:void 0})}},t.preloadModule=function(e,t){if("string"===typeof e)if(t){var n=u(t.as,t.crossOrigin);a.d.m(e,{as:"string"===typeof t.as&&"script"!==t.as?t.as:void 0,crossOrigin:n,integrity:"string"===typeof t.integrity?t.integrity:void 0})}else a.d.m(e)},t.requestFormReset=function(e){a.d.r(e)},t.unstable_batchedUpdates=function(e,t){return e(t)},t.useFormState=function(e,t,n){return l.H.useFormState(e,t,n)},t.useFormStatus=function(){return l.H.useHostTransitionStatus()},t.version="19.2.0"},705:(e,t,n)=>{function i(e){return i="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},i(e)}function s(e){var t=function(e,t){if("object"!=i(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var s=n.call(e,t||"default");if("object"!=i(s))return s;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==i(t)?t:t+""}function r(e,t,n){return(t=s(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}n.d(t,{A:()=>r})},790:(e,t,n)=>{n.d(t,{A:()=>s});var i=n(195);function s(e,t){(0,i.A)(e,t),t.add(e)}},799:(e,t)=>{var n=Symbol.for("react.transitional.element");function i(e,t,i){var s=null;if(void 0!==i&&(s=""+i),void 0!==t.key&&(s=""+t.key),"key"in t)for(var r in i={},t)"key"!==r&&(i[r]=t[r]);else i=t;return t=i.ref,{$$typeof:n,type:e,key:s,ref:void 0!==t?t:null,props:i}}Symbol.for("react.fragment"),t.jsx=i,t.jsxs=i},853:(e,t,n)=>{e.exports=n(896)},896:(e,t)=>{function n(e,t){var n=e.length;e.push(t);e:for(;0<n;){var i=n-1>>>1,s=e[i];if(!(0<r(s,t)))break e;e[i]=t,e[n]=s,n=i}}function i(e){return 0===e.length?null:e[0]}function s(e){if(0===e.length)return null;var t=e[0],n=e.pop();if(n!==t){e[0]=n;e:for(var i=0,s=e.length,a=s>>>1;i<a;){var o=2*(i+1)-1,l=e[o],u=o+1,c=e[u];if(0>r(l,n))u<s&&0>r(c,l)?(e[i]=c,e[u]=n,i=u):(e[i]=l,e[o]=n,i=o);else{if(!(u<s&&0>r(c,n)))break e;e[i]=c,e[u]=n,i=u}}}return t}function r(e,t){var n=e.sortIndex-t.sortIndex;return 0!==n?n:e.id-t.id}if(t.unstable_now=void 0,"object"===typeof performance&&"function"===typeof performance.now){var a=performance;t.unstable_now=function(){return a.now()}}else{var o=Date,l=o.now();t.unstable_now=function(){return o.now()-l}}var u=[],c=[],d=1,h=null,f=3,p=!1,m=!1,v=!1,g=!1,y="function"===typeof setTimeout?setTimeout:null,A="function"===typeof clearTimeout?clearTimeout:null,b="undefined"!==typeof setImmediate?setImmediate:null;function w(e){for(var t=i(c);null!==t;){if(null===t.callback)s(c);else{if(!(t.startTime<=e))break;s(c),t.sortIndex=t.expirationTime,n(u,t)}t=i(c)}}function k(e){if(v=!1,w(e),!m)if(null!==i(u))m=!0,E||(E=!0,S());else{var t=i(c);null!==t&&N(k,t.startTime-e)}}var S,E=!1,C=-1,x=5,T=-1;function P(){return!!g||!(t.unstable_now()-T<x)}function M(){if(g=!1,E){var e=t.unstable_now();T=e;var n=!0;try{e:{m=!1,v&&(v=!1,A(C),C=-1),p=!0;var r=f;try{t:{for(w(e),h=i(u);null!==h&&!(h.expirationTime>e&&P());){var a=h.callback;if("function"===typeof a){h.callback=null,f=h.priorityLevel;var o=a(h.expirationTime<=e);if(e=t.unstable_now(),"function"===typeof o){h.callback=o,w(e),n=!0;break t}h===i(u)&&s(u),w(e)}else s(u);h=i(u)}if(null!==h)n=!0;else{var l=i(c);null!==l&&N(k,l.startTime-e),n=!1}}break e}finally{h=null,f=r,p=!1}n=void 0}}finally{n?S():E=!1}}}if("function"===typeof b)S=function(){b(M)};else if("undefined"!==typeof MessageChannel){var $=new MessageChannel,L=$.port2;$.port1.onmessage=M,S=function(){L.postMessage(null)}}else S=function(){y(M,0)};function N(e,n){C=y(function(){e(t.unstable_now())},n)}t.unstable_IdlePriority=5,t.unstable_ImmediatePriority=1,t.unstable_LowPriority=4,t.unstable_NormalPriority=3,t.unstable_Profiling=null,t.unstable_UserBlockingPriority=2,t.unstable_cancelCallback=function(e){e.callback=null},t.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):x=0<e?Math.floor(1e3/e):5},t.unstable_getCurrentPriorityLevel=function(){return f},t.unstable_next=function(e){switch(f){case 1:case 2:case 3:var t=3;break;default:t=f}var n=f;f=t;try{return e()}finally{f=n}},t.unstable_requestPaint=function(){g=!0},t.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var n=f;f=e;try{return t()}finally{f=n}},t.unstable_scheduleCallback=function(e,s,r){var a=t.unstable_now();switch("object"===typeof r&&null!==r?r="number"===typeof(r=r.delay)&&0<r?a+r:a:r=a,e){case 1:var o=-1;break;case 2:o=250;break;case 5:o=1073741823;break;case 4:o=1e4;break;default:o=5e3}return e={id:d++,callback:s,priorityLevel:e,startTime:r,expirationTime:o=r+o,sortIndex:-1},r>a?(e.sortIndex=r,n(c,e),null===i(u)&&e===i(c)&&(v?(A(C),C=-1):v=!0,N(k,r-a))):(e.sortIndex=o,n(u,e),m||p||(m=!0,E||(E=!0,S()))),e},t.unstable_shouldYield=P,t.unstable_wrapCallback=function(e){var t=f;return function(){var n=f;f=t;try{return e.apply(this,arguments)}finally{f=n}}}},950:(e,t,n)=>{!function e(){if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(t){console.error(t)}}(),e.exports=n(672)},986:(e,t,n)=>{function i(e,t){if(null==e)return{};var n,i,s=function(e,t){if(null==e)return{};var n={};for(var i in e)if({}.hasOwnProperty.call(e,i)){if(-1!==t.indexOf(i))continue;n[i]=e[i]}return n}(e,t);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);for(i=0;i<r.length;i++)n=r[i],-1===t.indexOf(n)&&{}.propertyIsEnumerable.call(e,n)&&(s[n]=e[n])}return s}n.d(t,{A:()=>i})}},t={};function n(i){var s=t[i];if(void 0!==s)return s.exports;var r=t[i]={exports:{}};return e[i](r,r.exports,n),r.exports}n.m=e,n.d=(e,t)=>{for(var i in t)n.o(t,i)&&!n.o(e,i)&&Object.defineProperty(e,i,{enumerable:!0,get:t[i]})},n.f={},n.e=e=>Promise.all(Object.keys(n.f).reduce((t,i)=>(n.f[i](e,t),t),[])),n.u=e=>"static/js/"+e+"."+{63:"a0171c5c",99:"95765ab2",146:"9e4169a2",175:"47d82a8f",204:"b5853e64",349:"1fb34823",453:"087204e5",479:"7d2c7343",655:"273ff2c9",674:"f5f087ea",768:"b70962a5",813:"22912089",963:"223790e8"}[e]+".chunk.js",n.miniCssF=e=>{},n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),(()=>{var e={},t="reels-app:";n.l=(i,s,r,a)=>{if(e[i])e[i].push(s);else{var o,l;if(void 0!==r)for(var u=document.getElementsByTagName("script"),c=0;c<u.length;c++){var d=u[c];if(d.getAttribute("src")==i||d.getAttribute("data-webpack")==t+r){o=d;break}}o||(l=!0,(o=document.createElement("script")).charset="utf-8",n.nc&&o.setAttribute("nonce",n.nc),o.setAttribute("data-webpack",t+r),o.src=i),e[i]=[s];var h=(t,n)=>{o.onerror=o.onload=null,clearTimeout(f);var s=e[i];if(delete e[i],o.parentNode&&o.parentNode.removeChild(o),s&&s.forEach(e=>e(n)),t)return t(n)},f=setTimeout(h.bind(null,void 0,{type:"timeout",target:o}),12e4);o.onerror=h.bind(null,o.onerror),o.onload=h.bind(null,o.onload),l&&document.head.appendChild(o)}}})(),n.r=e=>{"undefined"!==typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},n.p="/",(()=>{var e={792:0};n.f.j=(t,i)=>{var s=n.o(e,t)?e[t]:void 0;if(0!==s)if(s)i.push(s[2]);else{var r=new Promise((n,i)=>s=e[t]=[n,i]);i.push(s[2]=r);var a=n.p+n.u(t),o=new Error;n.l(a,i=>{if(n.o(e,t)&&(0!==(s=e[t])&&(e[t]=void 0),s)){var r=i&&("load"===i.type?"missing":i.type),a=i&&i.target&&i.target.src;o.message="Loading chunk "+t+" failed.\n("+r+": "+a+")",o.name="ChunkLoadError",o.type=r,o.request=a,s[1](o)}},"chunk-"+t,t)}};var t=(t,i)=>{var s,r,[a,o,l]=i,u=0;if(a.some(t=>0!==e[t])){for(s in o)n.o(o,s)&&(n.m[s]=o[s]);if(l)l(n)}for(t&&t(i);u<a.length;u++)r=a[u],n.o(e,r)&&e[r]&&e[r][0](),e[r]=0},i=self.webpackChunkreels_app=self.webpackChunkreels_app||[];i.forEach(t.bind(null,0)),i.push=t.bind(null,i.push.bind(i))})();var i=n(43),s=n(391),r=n(379);function a(e,t){-1===e.indexOf(t)&&e.push(t)}function o(e,t){const n=e.indexOf(t);n>-1&&e.splice(n,1)}class l{constructor(){this.subscriptions=[]}add(e){return a(this.subscriptions,e),()=>o(this.subscriptions,e)}notify(e,t,n){const i=this.subscriptions.length;if(i)if(1===i)this.subscriptions[0](e,t,n);else for(let s=0;s<i;s++){const i=this.subscriptions[s];i&&i(e,t,n)}}getSize(){return this.subscriptions.length}clear(){this.subscriptions.length=0}}function u(e,t){return t?e*(1e3/t):0}const c={},d=e=>e,h=["setup","read","resolveKeyframes","preUpdate","update","preRender","render","postRender"],f={value:null,addProjectionMetrics:null};function p(e,t){let n=!1,i=!0;const s={delta:0,timestamp:0,isProcessing:!1},r=()=>n=!0,a=h.reduce((e,n)=>(e[n]=function(e,t){let n=new Set,i=new Set,s=!1,r=!1;const a=new WeakSet;let o={delta:0,timestamp:0,isProcessing:!1},l=0;function u(t){a.has(t)&&(c.schedule(t),e()),l++,t(o)}const c={schedule:function(e){const t=arguments.length>2&&void 0!==arguments[2]&&arguments[2]&&s?n:i;return arguments.length>1&&void 0!==arguments[1]&&arguments[1]&&a.add(e),t.has(e)||t.add(e),e},cancel:e=>{i.delete(e),a.delete(e)},process:e=>{o=e,s?r=!0:(s=!0,[n,i]=[i,n],n.forEach(u),t&&f.value&&f.value.frameloop[t].push(l),l=0,n.clear(),s=!1,r&&(r=!1,c.process(e)))}};return c}(r,t?n:void 0),e),{}),{setup:o,read:l,resolveKeyframes:u,preUpdate:d,update:p,preRender:m,render:v,postRender:g}=a,y=()=>{const r=c.useManualTiming?s.timestamp:performance.now();n=!1,c.useManualTiming||(s.delta=i?1e3/60:Math.max(Math.min(r-s.timestamp,40),1)),s.timestamp=r,s.isProcessing=!0,o.process(s),l.process(s),u.process(s),d.process(s),p.process(s),m.process(s),v.process(s),g.process(s),s.isProcessing=!1,n&&t&&(i=!1,e(y))},A=h.reduce((t,r)=>{const o=a[r];return t[r]=function(t){let r=arguments.length>1&&void 0!==arguments[1]&&arguments[1],a=arguments.length>2&&void 0!==arguments[2]&&arguments[2];return n||(n=!0,i=!0,s.isProcessing||e(y)),o.schedule(t,r,a)},t},{});return{schedule:A,cancel:e=>{for(let t=0;t<h.length;t++)a[h[t]].cancel(e)},state:s,steps:a}}const{schedule:m,cancel:v,state:g,steps:y}=p("undefined"!==typeof requestAnimationFrame?requestAnimationFrame:d,!0);let A;function b(){A=void 0}const w={now:()=>(void 0===A&&w.set(g.isProcessing||c.useManualTiming?g.timestamp:performance.now()),A),set:e=>{A=e,queueMicrotask(b)}},k={current:void 0};class S{constructor(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};this.canTrackVelocity=null,this.events={},this.updateAndNotify=e=>{const t=w.now();var n;if((this.updatedAt!==t&&this.setPrevFrameValue(),this.prev=this.current,this.setCurrent(e),this.current!==this.prev)&&(null===(n=this.events.change)||void 0===n||n.notify(this.current),this.dependents))for(const i of this.dependents)i.dirty()},this.hasAnimated=!1,this.setCurrent(e),this.owner=t.owner}setCurrent(e){var t;this.current=e,this.updatedAt=w.now(),null===this.canTrackVelocity&&void 0!==e&&(this.canTrackVelocity=(t=this.current,!isNaN(parseFloat(t))))}setPrevFrameValue(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:this.current;this.prevFrameValue=e,this.prevUpdatedAt=this.updatedAt}onChange(e){return this.on("change",e)}on(e,t){this.events[e]||(this.events[e]=new l);const n=this.events[e].add(t);return"change"===e?()=>{n(),m.read(()=>{this.events.change.getSize()||this.stop()})}:n}clearListeners(){for(const e in this.events)this.events[e].clear()}attach(e,t){this.passiveEffect=e,this.stopPassiveEffect=t}set(e){this.passiveEffect?this.passiveEffect(e,this.updateAndNotify):this.updateAndNotify(e)}setWithVelocity(e,t,n){this.set(t),this.prev=void 0,this.prevFrameValue=e,this.prevUpdatedAt=this.updatedAt-n}jump(e){let t=!(arguments.length>1&&void 0!==arguments[1])||arguments[1];this.updateAndNotify(e),this.prev=e,this.prevUpdatedAt=this.prevFrameValue=void 0,t&&this.stop(),this.stopPassiveEffect&&this.stopPassiveEffect()}dirty(){var e;null===(e=this.events.change)||void 0===e||e.notify(this.current)}addDependent(e){this.dependents||(this.dependents=new Set),this.dependents.add(e)}removeDependent(e){this.dependents&&this.dependents.delete(e)}get(){return k.current&&k.current.push(this),this.current}getPrevious(){return this.prev}getVelocity(){const e=w.now();if(!this.canTrackVelocity||void 0===this.prevFrameValue||e-this.updatedAt>30)return 0;const t=Math.min(this.updatedAt-this.prevUpdatedAt,30);return u(parseFloat(this.current)-parseFloat(this.prevFrameValue),t)}start(e){return this.stop(),new Promise(t=>{this.hasAnimated=!0,this.animation=e(t),this.events.animationStart&&this.events.animationStart.notify()}).then(()=>{this.events.animationComplete&&this.events.animationComplete.notify(),this.clearAnimation()})}stop(){this.animation&&(this.animation.stop(),this.events.animationCancel&&this.events.animationCancel.notify()),this.clearAnimation()}isAnimating(){return!!this.animation}clearAnimation(){delete this.animation}destroy(){var e,t;null===(e=this.dependents)||void 0===e||e.clear(),null===(t=this.events.destroy)||void 0===t||t.notify(),this.clearListeners(),this.stop(),this.stopPassiveEffect&&this.stopPassiveEffect()}}function E(e,t){return new S(e,t)}const C=(0,i.createContext)({transformPagePoint:e=>e,isStatic:!1,reducedMotion:"never"});function x(e){const t=(0,i.useRef)(null);return null===t.current&&(t.current=e()),t.current}var T=n(986);class P{constructor(e){this.stop=()=>this.runAll("stop"),this.animations=e.filter(Boolean)}get finished(){return Promise.all(this.animations.map(e=>e.finished))}getAll(e){return this.animations[0][e]}setAll(e,t){for(let n=0;n<this.animations.length;n++)this.animations[n][e]=t}attachTimeline(e){const t=this.animations.map(t=>t.attachTimeline(e));return()=>{t.forEach((e,t)=>{e&&e(),this.animations[t].stop()})}}get time(){return this.getAll("time")}set time(e){this.setAll("time",e)}get speed(){return this.getAll("speed")}set speed(e){this.setAll("speed",e)}get state(){return this.getAll("state")}get startTime(){return this.getAll("startTime")}get duration(){return M(this.animations,"duration")}get iterationDuration(){return M(this.animations,"iterationDuration")}runAll(e){this.animations.forEach(t=>t[e]())}play(){this.runAll("play")}pause(){this.runAll("pause")}cancel(){this.runAll("cancel")}complete(){this.runAll("complete")}}function M(e,t){let n=0;for(let i=0;i<e.length;i++){const s=e[i][t];null!==s&&s>n&&(n=s)}return n}class $ extends P{then(e,t){return this.finished.finally(e).then(()=>{})}}const L=(e,t,n)=>n>t?t:n<e?e:n,N=e=>1e3*e,D=e=>e/1e3,F=function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:10,i="";const s=Math.max(Math.round(t/n),2);for(let r=0;r<s;r++)i+=Math.round(1e4*e(r/(s-1)))/1e4+", ";return"linear(".concat(i.substring(0,i.length-2),")")},V=2e4;function R(e){let t=0;let n=e.next(t);for(;!n.done&&t<V;)t+=50,n=e.next(t);return t>=V?1/0:t}function O(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:100;const n=(arguments.length>2?arguments[2]:void 0)((0,r.A)((0,r.A)({},e),{},{keyframes:[0,t]})),i=Math.min(R(n),V);return{type:"keyframes",ease:e=>n.next(i*e).value/t,duration:D(i)}}function W(e,t,n){const i=Math.max(t-5,0);return u(n-e(i),t-i)}const I={stiffness:100,damping:10,mass:1,velocity:0,duration:800,bounce:.3,visualDuration:.3,restSpeed:{granular:.01,default:2},restDelta:{granular:.005,default:.5},minDuration:.01,maxDuration:10,minDamping:.05,maxDamping:1};let z=()=>{};const B=.001;function _(e){let t,n,{duration:i=I.duration,bounce:s=I.bounce,velocity:r=I.velocity,mass:a=I.mass}=e;N(I.maxDuration);let o=1-s;o=L(I.minDamping,I.maxDamping,o),i=L(I.minDuration,I.maxDuration,D(i)),o<1?(t=e=>{const t=e*o,n=t*i,s=t-r,a=j(e,o),l=Math.exp(-n);return B-s/a*l},n=e=>{const n=e*o*i,s=n*r+r,a=Math.pow(o,2)*Math.pow(e,2)*i,l=Math.exp(-n),u=j(Math.pow(e,2),o);return(-t(e)+B>0?-1:1)*((s-a)*l)/u}):(t=e=>Math.exp(-e*i)*((e-r)*i+1)-.001,n=e=>Math.exp(-e*i)*(i*i*(r-e)));const l=function(e,t,n){let i=n;for(let s=1;s<q;s++)i-=e(i)/t(i);return i}(t,n,5/i);if(i=N(i),isNaN(l))return{stiffness:I.stiffness,damping:I.damping,duration:i};{const e=Math.pow(l,2)*a;return{stiffness:e,damping:2*o*Math.sqrt(a*e),duration:i}}}const q=12;function j(e,t){return e*Math.sqrt(1-t*t)}const U=["duration","bounce"],H=["stiffness","damping","mass"];function Z(e,t){return t.some(t=>void 0!==e[t])}function Q(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:I.visualDuration,t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:I.bounce;const n="object"!==typeof e?{visualDuration:e,keyframes:[0,1],bounce:t}:e;let{restSpeed:i,restDelta:s}=n;const a=n.keyframes[0],o=n.keyframes[n.keyframes.length-1],l={done:!1,value:a},{stiffness:u,damping:c,mass:d,duration:h,velocity:f,isResolvedFromDuration:p}=function(e){let t=(0,r.A)({velocity:I.velocity,stiffness:I.stiffness,damping:I.damping,mass:I.mass,isResolvedFromDuration:!1},e);if(!Z(e,H)&&Z(e,U))if(e.visualDuration){const n=e.visualDuration,i=2*Math.PI/(1.2*n),s=i*i,a=2*L(.05,1,1-(e.bounce||0))*Math.sqrt(s);t=(0,r.A)((0,r.A)({},t),{},{mass:I.mass,stiffness:s,damping:a})}else{const n=_(e);t=(0,r.A)((0,r.A)((0,r.A)({},t),n),{},{mass:I.mass}),t.isResolvedFromDuration=!0}return t}((0,r.A)((0,r.A)({},n),{},{velocity:-D(n.velocity||0)})),m=f||0,v=c/(2*Math.sqrt(u*d)),g=o-a,y=D(Math.sqrt(u/d)),A=Math.abs(g)<5;let b;if(i||(i=A?I.restSpeed.granular:I.restSpeed.default),s||(s=A?I.restDelta.granular:I.restDelta.default),v<1){const e=j(y,v);b=t=>{const n=Math.exp(-v*y*t);return o-n*((m+v*y*g)/e*Math.sin(e*t)+g*Math.cos(e*t))}}else if(1===v)b=e=>o-Math.exp(-y*e)*(g+(m+y*g)*e);else{const e=y*Math.sqrt(v*v-1);b=t=>{const n=Math.exp(-v*y*t),i=Math.min(e*t,300);return o-n*((m+v*y*g)*Math.sinh(i)+e*g*Math.cosh(i))/e}}const w={calculatedDuration:p&&h||null,next:e=>{const t=b(e);if(p)l.done=e>=h;else{let n=0===e?m:0;v<1&&(n=0===e?N(m):W(b,e,t));const r=Math.abs(n)<=i,a=Math.abs(o-t)<=s;l.done=r&&a}return l.value=l.done?o:t,l},toString:()=>{const e=Math.min(R(w),V),t=F(t=>w.next(e*t).value,e,30);return e+"ms "+t},toTransition:()=>{}};return w}Q.applyToOptions=e=>{const t=O(e,100,Q);return e.ease=t.ease,e.duration=N(t.duration),e.type="keyframes",e};const G=(e,t,n)=>{const i=t-e;return 0===i?1:(n-e)/i},K=(e,t,n)=>e+(t-e)*n;function X(e,t){const n=e[e.length-1];for(let i=1;i<=t;i++){const s=G(0,t,i);e.push(K(n,1,s))}}function Y(e){const t=[0];return X(t,e.length-1),t}function J(e){return"function"===typeof e&&"applyToOptions"in e}const ee=e=>Boolean(e&&e.getVelocity),te=e=>Array.isArray(e)&&"number"!==typeof e[0];function ne(e,t){return te(e)?e[((e,t,n)=>{const i=t-e;return((n-e)%i+i)%i+e})(0,e.length,t)]:e}function ie(e,t,n){if(e instanceof EventTarget)return[e];if("string"===typeof e){var i;let s=document;t&&(s=t.current);const r=null!==(i=null===n||void 0===n?void 0:n[e])&&void 0!==i?i:s.querySelectorAll(e);return r?Array.from(r):[]}return Array.from(e)}function se(e){return"object"===typeof e&&!Array.isArray(e)}function re(e,t,n,i){return"string"===typeof e&&se(t)?ie(e,n,i):e instanceof NodeList?Array.from(e):Array.isArray(e)?e:[e]}function ae(e,t,n){return e*(t+1)}function oe(e,t,n,i){return"number"===typeof t?t:t.startsWith("-")||t.startsWith("+")?Math.max(0,e+parseFloat(t)):"<"===t?n:t.startsWith("<")?Math.max(0,n+parseFloat(t.slice(1))):null!==(s=i.get(t))&&void 0!==s?s:e;var s}function le(e,t,n,i,s,r){!function(e,t,n){for(let i=0;i<e.length;i++){const s=e[i];s.at>t&&s.at<n&&(o(e,s),i--)}}(e,s,r);for(let a=0;a<t.length;a++)e.push({value:t[a],at:K(s,r,i[a]),easing:ne(n,a)})}function ue(e,t){for(let n=0;n<e.length;n++)e[n]=e[n]/(t+1)}function ce(e,t){return e.at===t.at?null===e.value?1:null===t.value?-1:0:e.at-t.at}const de=["defaultTransition"],he=["delay","times","type","repeat","repeatType","repeatDelay"];function fe(e,t){return!t.has(e)&&t.set(e,{}),t.get(e)}function pe(e,t){return t[e]||(t[e]=[]),t[e]}function me(e){return Array.isArray(e)?e:[e]}function ve(e,t){return e&&e[t]?(0,r.A)((0,r.A)({},e),e[t]):(0,r.A)({},e)}const ge=e=>"number"===typeof e,ye=e=>e.every(ge),Ae=new WeakMap;function be(e,t){var n,i;return null!==(n=null!==(i=null===e||void 0===e?void 0:e[t])&&void 0!==i?i:null===e||void 0===e?void 0:e.default)&&void 0!==n?n:e}const we=["transformPerspective","x","y","z","translateX","translateY","translateZ","scale","scaleX","scaleY","rotate","rotateX","rotateY","rotateZ","skew","skewX","skewY"],ke=(()=>new Set(we))(),Se=new Set(["width","height","top","left","right","bottom",...we]),Ee=e=>Array.isArray(e);function Ce(e){const t=[{},{}];return null===e||void 0===e||e.values.forEach((e,n)=>{t[0][n]=e.get(),t[1][n]=e.getVelocity()}),t}function xe(e,t,n,i){if("function"===typeof t){const[s,r]=Ce(i);t=t(void 0!==n?n:e.custom,s,r)}if("string"===typeof t&&(t=e.variants&&e.variants[t]),"function"===typeof t){const[s,r]=Ce(i);t=t(void 0!==n?n:e.custom,s,r)}return t}function Te(e,t,n){const i=e.getProps();return xe(i,t,void 0!==n?n:i.custom,e)}const Pe=["transitionEnd","transition"];function Me(e,t,n){e.hasValue(t)?e.getValue(t).set(n):e.addValue(t,E(n))}function $e(e){return Ee(e)?e[e.length-1]||0:e}function Le(e,t){const n=e.getValue("willChange");if(i=n,Boolean(ee(i)&&i.add))return n.add(t);if(!n&&c.WillChange){const n=new c.WillChange("auto");e.addValue("willChange",n),n.add(t)}var i}const Ne=e=>e.replace(/([a-z])([A-Z])/g,"$1-$2").toLowerCase(),De="data-"+Ne("framerAppearId");function Fe(e){return e.props[De]}function Ve(e){e.duration=0,e.type="keyframes"}const Re=(e,t)=>n=>t(e(n)),Oe=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];return t.reduce(Re)},We={layout:0,mainThread:0,waapi:0},Ie=e=>t=>"string"===typeof t&&t.startsWith(e),ze=Ie("--"),Be=Ie("var(--"),_e=e=>!!Be(e)&&qe.test(e.split("/*")[0].trim()),qe=/var\(--(?:[\x2D0-9A-Z_a-z\u017F\u212A]+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*|[\x2D0-9A-Z_a-z\u017F\u212A]+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*,(?:[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*(?:(?![\t-\r \(\)\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uD800-\uDFFF\uFEFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])|[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*\((?:(?:(?![\(\)\uD800-\uDFFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])|\((?:(?![\(\)\uD800-\uDFFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])*\))*\))+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*)\)$/i,je={test:e=>"number"===typeof e,parse:parseFloat,transform:e=>e},Ue=(0,r.A)((0,r.A)({},je),{},{transform:e=>L(0,1,e)}),He=(0,r.A)((0,r.A)({},je),{},{default:1}),Ze=e=>Math.round(1e5*e)/1e5,Qe=/-?(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)/g;const Ge=/^(?:#[0-9a-f]{3,8}|(?:rgb|h[s\u017F]l)a?\((?:-?[\.0-9]+%?[\t-\r ,\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]+){2}-?[\.0-9]+%?[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*(?:[,\/][\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*)?(?:\b[0-9]+(?:\.[0-9]+)?|\.[0-9]+)?%?\))$/i,Ke=(e,t)=>n=>Boolean("string"===typeof n&&Ge.test(n)&&n.startsWith(e)||t&&!function(e){return null==e}(n)&&Object.prototype.hasOwnProperty.call(n,t)),Xe=(e,t,n)=>i=>{if("string"!==typeof i)return i;const[s,r,a,o]=i.match(Qe);return{[e]:parseFloat(s),[t]:parseFloat(r),[n]:parseFloat(a),alpha:void 0!==o?parseFloat(o):1}},Ye=(0,r.A)((0,r.A)({},je),{},{transform:e=>Math.round((e=>L(0,255,e))(e))}),Je={test:Ke("rgb","red"),parse:Xe("red","green","blue"),transform:e=>{let{red:t,green:n,blue:i,alpha:s=1}=e;return"rgba("+Ye.transform(t)+", "+Ye.transform(n)+", "+Ye.transform(i)+", "+Ze(Ue.transform(s))+")"}};const et={test:Ke("#"),parse:function(e){let t="",n="",i="",s="";return e.length>5?(t=e.substring(1,3),n=e.substring(3,5),i=e.substring(5,7),s=e.substring(7,9)):(t=e.substring(1,2),n=e.substring(2,3),i=e.substring(3,4),s=e.substring(4,5),t+=t,n+=n,i+=i,s+=s),{red:parseInt(t,16),green:parseInt(n,16),blue:parseInt(i,16),alpha:s?parseInt(s,16)/255:1}},transform:Je.transform},tt=e=>({test:t=>"string"===typeof t&&t.endsWith(e)&&1===t.split(" ").length,parse:parseFloat,transform:t=>"".concat(t).concat(e)}),nt=tt("deg"),it=tt("%"),st=tt("px"),rt=tt("vh"),at=tt("vw"),ot=(()=>(0,r.A)((0,r.A)({},it),{},{parse:e=>it.parse(e)/100,transform:e=>it.transform(100*e)}))(),lt={test:Ke("hsl","hue"),parse:Xe("hue","saturation","lightness"),transform:e=>{let{hue:t,saturation:n,lightness:i,alpha:s=1}=e;return"hsla("+Math.round(t)+", "+it.transform(Ze(n))+", "+it.transform(Ze(i))+", "+Ze(Ue.transform(s))+")"}},ut={test:e=>Je.test(e)||et.test(e)||lt.test(e),parse:e=>Je.test(e)?Je.parse(e):lt.test(e)?lt.parse(e):et.parse(e),transform:e=>"string"===typeof e?e:e.hasOwnProperty("red")?Je.transform(e):lt.transform(e),getAnimatableNone:e=>{const t=ut.parse(e);return t.alpha=0,ut.transform(t)}},ct=/(?:#[0-9a-f]{3,8}|(?:rgb|h[s\u017F]l)a?\((?:-?[\.0-9]+%?[\t-\r ,\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]+){2}-?[\.0-9]+%?[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*(?:[,\/][\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*)?(?:\b[0-9]+(?:\.[0-9]+)?|\.[0-9]+)?%?\))/gi;const dt="number",ht="color",ft=/var[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*\([\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*--(?:[\x2D0-9A-Z_a-z\u017F\u212A]+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*|[\x2D0-9A-Z_a-z\u017F\u212A]+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*,(?:[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*(?:(?![\t-\r \(\)\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uD800-\uDFFF\uFEFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])|[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*\((?:(?:(?![\(\)\uD800-\uDFFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])|\((?:(?![\(\)\uD800-\uDFFF])[^]|[\uD800-\uDBFF][\uDC00-\uDFFF])*\))*\))+[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*)\)|#[0-9a-f]{3,8}|(?:rgb|h[s\u017F]l)a?\((?:-?[\.0-9]+%?[\t-\r ,\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]+){2}-?[\.0-9]+%?[\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*(?:[,\/][\t-\r \xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]*)?(?:\b[0-9]+(?:\.[0-9]+)?|\.[0-9]+)?%?\)|-?(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)/gi;function pt(e){const t=e.toString(),n=[],i={color:[],number:[],var:[]},s=[];let r=0;const a=t.replace(ft,e=>(ut.test(e)?(i.color.push(r),s.push(ht),n.push(ut.parse(e))):e.startsWith("var(")?(i.var.push(r),s.push("var"),n.push(e)):(i.number.push(r),s.push(dt),n.push(parseFloat(e))),++r,"${}")).split("${}");return{values:n,split:a,indexes:i,types:s}}function mt(e){return pt(e).values}function vt(e){const{split:t,types:n}=pt(e),i=t.length;return e=>{let s="";for(let r=0;r<i;r++)if(s+=t[r],void 0!==e[r]){const t=n[r];s+=t===dt?Ze(e[r]):t===ht?ut.transform(e[r]):e[r]}return s}}const gt=e=>"number"===typeof e?0:ut.test(e)?ut.getAnimatableNone(e):e;const yt={test:function(e){var t,n;return isNaN(e)&&"string"===typeof e&&((null===(t=e.match(Qe))||void 0===t?void 0:t.length)||0)+((null===(n=e.match(ct))||void 0===n?void 0:n.length)||0)>0},parse:mt,createTransformer:vt,getAnimatableNone:function(e){const t=mt(e);return vt(e)(t.map(gt))}};function At(e,t,n){return n<0&&(n+=1),n>1&&(n-=1),n<1/6?e+6*(t-e)*n:n<.5?t:n<2/3?e+(t-e)*(2/3-n)*6:e}function bt(e,t){return n=>n>0?t:e}const wt=(e,t,n)=>{const i=e*e,s=n*(t*t-i)+i;return s<0?0:Math.sqrt(s)},kt=[et,Je,lt];function St(e){const t=(n=e,kt.find(e=>e.test(n)));var n;if(Boolean(t),"'".concat(e,"' is not an animatable color. Use the equivalent color code instead."),!Boolean(t))return!1;let i=t.parse(e);return t===lt&&(i=function(e){let{hue:t,saturation:n,lightness:i,alpha:s}=e;t/=360,n/=100,i/=100;let r=0,a=0,o=0;if(n){const e=i<.5?i*(1+n):i+n-i*n,s=2*i-e;r=At(s,e,t+1/3),a=At(s,e,t),o=At(s,e,t-1/3)}else r=a=o=i;return{red:Math.round(255*r),green:Math.round(255*a),blue:Math.round(255*o),alpha:s}}(i)),i}const Et=(e,t)=>{const n=St(e),i=St(t);if(!n||!i)return bt(e,t);const s=(0,r.A)({},n);return e=>(s.red=wt(n.red,i.red,e),s.green=wt(n.green,i.green,e),s.blue=wt(n.blue,i.blue,e),s.alpha=K(n.alpha,i.alpha,e),Je.transform(s))},Ct=new Set(["none","hidden"]);function xt(e,t){return n=>K(e,t,n)}function Tt(e){return"number"===typeof e?xt:"string"===typeof e?_e(e)?bt:ut.test(e)?Et:$t:Array.isArray(e)?Pt:"object"===typeof e?ut.test(e)?Et:Mt:bt}function Pt(e,t){const n=[...e],i=n.length,s=e.map((e,n)=>Tt(e)(e,t[n]));return e=>{for(let t=0;t<i;t++)n[t]=s[t](e);return n}}function Mt(e,t){const n=(0,r.A)((0,r.A)({},e),t),i={};for(const s in n)void 0!==e[s]&&void 0!==t[s]&&(i[s]=Tt(e[s])(e[s],t[s]));return e=>{for(const t in i)n[t]=i[t](e);return n}}const $t=(e,t)=>{const n=yt.createTransformer(t),i=pt(e),s=pt(t);return i.indexes.var.length===s.indexes.var.length&&i.indexes.color.length===s.indexes.color.length&&i.indexes.number.length>=s.indexes.number.length?Ct.has(e)&&!s.values.length||Ct.has(t)&&!i.values.length?function(e,t){return Ct.has(e)?n=>n<=0?e:t:n=>n>=1?t:e}(e,t):Oe(Pt(function(e,t){const n=[],i={color:0,var:0,number:0};for(let r=0;r<t.values.length;r++){var s;const a=t.types[r],o=e.indexes[a][i[a]],l=null!==(s=e.values[o])&&void 0!==s?s:0;n[r]=l,i[a]++}return n}(i,s),s.values),n):("Complex values '".concat(e,"' and '").concat(t,"' too different to mix. Ensure all colors are of the same type, and that each contains the same quantity of number and color values. Falling back to instant transition."),bt(e,t))};function Lt(e,t,n){if("number"===typeof e&&"number"===typeof t&&"number"===typeof n)return K(e,t,n);return Tt(e)(e,t)}const Nt=e=>{const t=t=>{let{timestamp:n}=t;return e(n)};return{start:function(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];return m.update(t,e)},stop:()=>v(t),now:()=>g.isProcessing?g.timestamp:w.now()}};function Dt(e){let{keyframes:t,velocity:n=0,power:i=.8,timeConstant:s=325,bounceDamping:r=10,bounceStiffness:a=500,modifyTarget:o,min:l,max:u,restDelta:c=.5,restSpeed:d}=e;const h=t[0],f={done:!1,value:h},p=e=>void 0===l?u:void 0===u||Math.abs(l-e)<Math.abs(u-e)?l:u;let m=i*n;const v=h+m,g=void 0===o?v:o(v);g!==v&&(m=g-h);const y=e=>-m*Math.exp(-e/s),A=e=>g+y(e),b=e=>{const t=y(e),n=A(e);f.done=Math.abs(t)<=c,f.value=f.done?g:n};let w,k;const S=e=>{var t;(t=f.value,void 0!==l&&t<l||void 0!==u&&t>u)&&(w=e,k=Q({keyframes:[f.value,p(f.value)],velocity:W(A,e,f.value),damping:r,stiffness:a,restDelta:c,restSpeed:d}))};return S(0),{calculatedDuration:null,next:e=>{let t=!1;return k||void 0!==w||(t=!0,b(e),S(e)),void 0!==w&&e>=w?k.next(e-w):(!t&&b(e),f)}}}const Ft=(e,t,n)=>(((1-3*n+3*t)*e+(3*n-6*t))*e+3*t)*e;function Vt(e,t,n,i){if(e===t&&n===i)return d;const s=t=>function(e,t,n,i,s){let r,a,o=0;do{a=t+(n-t)/2,r=Ft(a,i,s)-e,r>0?n=a:t=a}while(Math.abs(r)>1e-7&&++o<12);return a}(t,0,1,e,n);return e=>0===e||1===e?e:Ft(s(e),t,i)}const Rt=Vt(.42,0,1,1),Ot=Vt(0,0,.58,1),Wt=Vt(.42,0,.58,1),It=e=>t=>t<=.5?e(2*t)/2:(2-e(2*(1-t)))/2,zt=e=>t=>1-e(1-t),Bt=Vt(.33,1.53,.69,.99),_t=zt(Bt),qt=It(_t),jt=e=>(e*=2)<1?.5*_t(e):.5*(2-Math.pow(2,-10*(e-1))),Ut=e=>1-Math.sin(Math.acos(e)),Ht=zt(Ut),Zt=It(Ut),Qt=e=>Array.isArray(e)&&"number"===typeof e[0],Gt={linear:d,easeIn:Rt,easeInOut:Wt,easeOut:Ot,circIn:Ut,circInOut:Zt,circOut:Ht,backIn:_t,backInOut:qt,backOut:Bt,anticipate:jt},Kt=e=>{if(Qt(e)){e.length;const[t,n,i,s]=e;return Vt(t,n,i,s)}return"string"===typeof e?("Invalid easing type '".concat(e,"'"),Gt[e]):e};function Xt(e,t){let{clamp:n=!0,ease:i,mixer:s}=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const r=e.length;if(t.length,1===r)return()=>t[0];if(2===r&&t[0]===t[1])return()=>t[1];const a=e[0]===e[1];e[0]>e[r-1]&&(e=[...e].reverse(),t=[...t].reverse());const o=function(e,t,n){const i=[],s=n||c.mix||Lt,r=e.length-1;for(let a=0;a<r;a++){let n=s(e[a],e[a+1]);if(t){const e=Array.isArray(t)?t[a]||d:t;n=Oe(e,n)}i.push(n)}return i}(t,i,s),l=o.length,u=n=>{if(a&&n<e[0])return t[0];let i=0;if(l>1)for(;i<e.length-2&&!(n<e[i+1]);i++);const s=G(e[i],e[i+1],n);return o[i](s)};return n?t=>u(L(e[0],e[r-1],t)):u}function Yt(e){let{duration:t=300,keyframes:n,times:i,ease:s="easeInOut"}=e;const r=te(s)?s.map(Kt):Kt(s),a={done:!1,value:n[0]},o=function(e,t){return e.map(e=>e*t)}(i&&i.length===n.length?i:Y(n),t),l=Xt(o,n,{ease:Array.isArray(r)?r:(u=n,c=r,u.map(()=>c||Wt).splice(0,u.length-1))});var u,c;return{calculatedDuration:t,next:e=>(a.value=l(e),a.done=e>=t,a)}}const Jt=e=>null!==e;function en(e,t,n){let{repeat:i,repeatType:s="loop"}=t,r=arguments.length>3&&void 0!==arguments[3]?arguments[3]:1;const a=e.filter(Jt),o=r<0||i&&"loop"!==s&&i%2===1?0:a.length-1;return o&&void 0!==n?n:a[o]}const tn={decay:Dt,inertia:Dt,tween:Yt,keyframes:Yt,spring:Q};function nn(e){"string"===typeof e.type&&(e.type=tn[e.type])}class sn{constructor(){this.updateFinished()}get finished(){return this._finished}updateFinished(){this._finished=new Promise(e=>{this.resolve=e})}notifyFinished(){this.resolve()}then(e,t){return this.finished.then(e,t)}}const rn=e=>e/100;class an extends sn{constructor(e){super(),this.state="idle",this.startTime=null,this.isStopped=!1,this.currentTime=0,this.holdTime=null,this.playbackSpeed=1,this.stop=()=>{var e,t;const{motionValue:n}=this.options;n&&n.updatedAt!==w.now()&&this.tick(w.now()),this.isStopped=!0,"idle"!==this.state&&(this.teardown(),null===(e=(t=this.options).onStop)||void 0===e||e.call(t))},We.mainThread++,this.options=e,this.initAnimation(),this.play(),!1===e.autoplay&&this.pause()}initAnimation(){const{options:e}=this;nn(e);const{type:t=Yt,repeat:n=0,repeatDelay:i=0,repeatType:s,velocity:a=0}=e;let{keyframes:o}=e;const l=t||Yt;l!==Yt&&"number"!==typeof o[0]&&(this.mixKeyframes=Oe(rn,Lt(o[0],o[1])),o=[0,100]);const u=l((0,r.A)((0,r.A)({},e),{},{keyframes:o}));"mirror"===s&&(this.mirroredGenerator=l((0,r.A)((0,r.A)({},e),{},{keyframes:[...o].reverse(),velocity:-a}))),null===u.calculatedDuration&&(u.calculatedDuration=R(u));const{calculatedDuration:c}=u;this.calculatedDuration=c,this.resolvedDuration=c+i,this.totalDuration=this.resolvedDuration*(n+1)-i,this.generator=u}updateTime(e){const t=Math.round(e-this.startTime)*this.playbackSpeed;null!==this.holdTime?this.currentTime=this.holdTime:this.currentTime=t}tick(e){let t=arguments.length>1&&void 0!==arguments[1]&&arguments[1];const{generator:n,totalDuration:i,mixKeyframes:s,mirroredGenerator:r,resolvedDuration:a,calculatedDuration:o}=this;if(null===this.startTime)return n.next(0);const{delay:l=0,keyframes:u,repeat:c,repeatType:d,repeatDelay:h,type:f,onUpdate:p,finalKeyframe:m}=this.options;this.speed>0?this.startTime=Math.min(this.startTime,e):this.speed<0&&(this.startTime=Math.min(e-i/this.speed,this.startTime)),t?this.currentTime=e:this.updateTime(e);const v=this.currentTime-l*(this.playbackSpeed>=0?1:-1),g=this.playbackSpeed>=0?v<0:v>i;this.currentTime=Math.max(v,0),"finished"===this.state&&null===this.holdTime&&(this.currentTime=i);let y=this.currentTime,A=n;if(c){const e=Math.min(this.currentTime,i)/a;let t=Math.floor(e),n=e%1;!n&&e>=1&&(n=1),1===n&&t--,t=Math.min(t,c+1);Boolean(t%2)&&("reverse"===d?(n=1-n,h&&(n-=h/a)):"mirror"===d&&(A=r)),y=L(0,1,n)*a}const b=g?{done:!1,value:u[0]}:A.next(y);s&&(b.value=s(b.value));let{done:w}=b;g||null===o||(w=this.playbackSpeed>=0?this.currentTime>=i:this.currentTime<=0);const k=null===this.holdTime&&("finished"===this.state||"running"===this.state&&w);return k&&f!==Dt&&(b.value=en(u,this.options,m,this.speed)),p&&p(b.value),k&&this.finish(),b}then(e,t){return this.finished.then(e,t)}get duration(){return D(this.calculatedDuration)}get iterationDuration(){const{delay:e=0}=this.options||{};return this.duration+D(e)}get time(){return D(this.currentTime)}set time(e){var t;e=N(e),this.currentTime=e,null===this.startTime||null!==this.holdTime||0===this.playbackSpeed?this.holdTime=e:this.driver&&(this.startTime=this.driver.now()-e/this.playbackSpeed),null===(t=this.driver)||void 0===t||t.start(!1)}get speed(){return this.playbackSpeed}set speed(e){this.updateTime(w.now());const t=this.playbackSpeed!==e;this.playbackSpeed=e,t&&(this.time=D(this.currentTime))}play(){var e,t;if(this.isStopped)return;const{driver:n=Nt,startTime:i}=this.options;this.driver||(this.driver=n(e=>this.tick(e))),null===(e=(t=this.options).onPlay)||void 0===e||e.call(t);const s=this.driver.now();"finished"===this.state?(this.updateFinished(),this.startTime=s):null!==this.holdTime?this.startTime=s-this.holdTime:this.startTime||(this.startTime=null!==i&&void 0!==i?i:s),"finished"===this.state&&this.speed<0&&(this.startTime+=this.calculatedDuration),this.holdTime=null,this.state="running",this.driver.start()}pause(){this.state="paused",this.updateTime(w.now()),this.holdTime=this.currentTime}complete(){"running"!==this.state&&this.play(),this.state="finished",this.holdTime=null}finish(){var e,t;this.notifyFinished(),this.teardown(),this.state="finished",null===(e=(t=this.options).onComplete)||void 0===e||e.call(t)}cancel(){var e,t;this.holdTime=null,this.startTime=0,this.tick(0),this.teardown(),null===(e=(t=this.options).onCancel)||void 0===e||e.call(t)}teardown(){this.state="idle",this.stopDriver(),this.startTime=this.holdTime=null,We.mainThread--}stopDriver(){this.driver&&(this.driver.stop(),this.driver=void 0)}sample(e){return this.startTime=0,this.tick(e,!0)}attachTimeline(e){var t;return this.options.allowFlatten&&(this.options.type="keyframes",this.options.ease="linear",this.initAnimation()),null===(t=this.driver)||void 0===t||t.stop(),e.observe(this)}}const on=e=>180*e/Math.PI,ln=e=>{const t=on(Math.atan2(e[1],e[0]));return cn(t)},un={x:4,y:5,translateX:4,translateY:5,scaleX:0,scaleY:3,scale:e=>(Math.abs(e[0])+Math.abs(e[3]))/2,rotate:ln,rotateZ:ln,skewX:e=>on(Math.atan(e[1])),skewY:e=>on(Math.atan(e[2])),skew:e=>(Math.abs(e[1])+Math.abs(e[2]))/2},cn=e=>((e%=360)<0&&(e+=360),e),dn=e=>Math.sqrt(e[0]*e[0]+e[1]*e[1]),hn=e=>Math.sqrt(e[4]*e[4]+e[5]*e[5]),fn={x:12,y:13,z:14,translateX:12,translateY:13,translateZ:14,scaleX:dn,scaleY:hn,scale:e=>(dn(e)+hn(e))/2,rotateX:e=>cn(on(Math.atan2(e[6],e[5]))),rotateY:e=>cn(on(Math.atan2(-e[2],e[0]))),rotateZ:ln,rotate:ln,skewX:e=>on(Math.atan(e[4])),skewY:e=>on(Math.atan(e[1])),skew:e=>(Math.abs(e[1])+Math.abs(e[4]))/2};function pn(e){return e.includes("scale")?1:0}function mn(e,t){if(!e||"none"===e)return pn(t);const n=e.match(/^matrix3d\(([\t-\r ,-\.0-9e\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]+)\)$/);let i,s;if(n)i=fn,s=n;else{const t=e.match(/^matrix\(([\t-\r ,-\.0-9e\xA0\u1680\u2000-\u200A\u2028\u2029\u202F\u205F\u3000\uFEFF]+)\)$/);i=un,s=t}if(!s)return pn(t);const r=i[t],a=s[1].split(",").map(vn);return"function"===typeof r?r(a):a[r]}function vn(e){return parseFloat(e.trim())}const gn=e=>e===je||e===st,yn=new Set(["x","y","z"]),An=we.filter(e=>!yn.has(e));const bn={width:(e,t)=>{let{x:n}=e,{paddingLeft:i="0",paddingRight:s="0"}=t;return n.max-n.min-parseFloat(i)-parseFloat(s)},height:(e,t)=>{let{y:n}=e,{paddingTop:i="0",paddingBottom:s="0"}=t;return n.max-n.min-parseFloat(i)-parseFloat(s)},top:(e,t)=>{let{top:n}=t;return parseFloat(n)},left:(e,t)=>{let{left:n}=t;return parseFloat(n)},bottom:(e,t)=>{let{y:n}=e,{top:i}=t;return parseFloat(i)+(n.max-n.min)},right:(e,t)=>{let{x:n}=e,{left:i}=t;return parseFloat(i)+(n.max-n.min)},x:(e,t)=>{let{transform:n}=t;return mn(n,"x")},y:(e,t)=>{let{transform:n}=t;return mn(n,"y")}};bn.translateX=bn.x,bn.translateY=bn.y;const wn=new Set;let kn=!1,Sn=!1,En=!1;function Cn(){if(Sn){const e=Array.from(wn).filter(e=>e.needsMeasurement),t=new Set(e.map(e=>e.element)),n=new Map;t.forEach(e=>{const t=function(e){const t=[];return An.forEach(n=>{const i=e.getValue(n);void 0!==i&&(t.push([n,i.get()]),i.set(n.startsWith("scale")?1:0))}),t}(e);t.length&&(n.set(e,t),e.render())}),e.forEach(e=>e.measureInitialState()),t.forEach(e=>{e.render();const t=n.get(e);t&&t.forEach(t=>{var n;let[i,s]=t;null===(n=e.getValue(i))||void 0===n||n.set(s)})}),e.forEach(e=>e.measureEndState()),e.forEach(e=>{void 0!==e.suspendedScrollY&&window.scrollTo(0,e.suspendedScrollY)})}Sn=!1,kn=!1,wn.forEach(e=>e.complete(En)),wn.clear()}function xn(){wn.forEach(e=>{e.readKeyframes(),e.needsMeasurement&&(Sn=!0)})}class Tn{constructor(e,t,n,i,s){let r=arguments.length>5&&void 0!==arguments[5]&&arguments[5];this.state="pending",this.isAsync=!1,this.needsMeasurement=!1,this.unresolvedKeyframes=[...e],this.onComplete=t,this.name=n,this.motionValue=i,this.element=s,this.isAsync=r}scheduleResolve(){this.state="scheduled",this.isAsync?(wn.add(this),kn||(kn=!0,m.read(xn),m.resolveKeyframes(Cn))):(this.readKeyframes(),this.complete())}readKeyframes(){const{unresolvedKeyframes:e,name:t,element:n,motionValue:i}=this;if(null===e[0]){const s=null===i||void 0===i?void 0:i.get(),r=e[e.length-1];if(void 0!==s)e[0]=s;else if(n&&t){const i=n.readValue(t,r);void 0!==i&&null!==i&&(e[0]=i)}void 0===e[0]&&(e[0]=r),i&&void 0===s&&i.set(e[0])}!function(e){for(let n=1;n<e.length;n++){var t;null!==(t=e[n])&&void 0!==t||(e[n]=e[n-1])}}(e)}setFinalKeyframe(){}measureInitialState(){}renderEndStyles(){}measureEndState(){}complete(){let e=arguments.length>0&&void 0!==arguments[0]&&arguments[0];this.state="complete",this.onComplete(this.unresolvedKeyframes,this.finalKeyframe,e),wn.delete(this)}cancel(){"scheduled"===this.state&&(wn.delete(this),this.state="pending")}resume(){"pending"===this.state&&this.scheduleResolve()}}function Pn(e){let t;return()=>(void 0===t&&(t=e()),t)}const Mn=Pn(()=>void 0!==window.ScrollTimeline),$n={};function Ln(e,t){const n=Pn(e);return()=>{var e;return null!==(e=$n[t])&&void 0!==e?e:n()}}const Nn=Ln(()=>{try{document.createElement("div").animate({opacity:0},{easing:"linear(0, 1)"})}catch(e){return!1}return!0},"linearEasing"),Dn=e=>{let[t,n,i,s]=e;return"cubic-bezier(".concat(t,", ").concat(n,", ").concat(i,", ").concat(s,")")},Fn={linear:"linear",ease:"ease",easeIn:"ease-in",easeOut:"ease-out",easeInOut:"ease-in-out",circIn:Dn([0,.65,.55,1]),circOut:Dn([.55,0,1,.45]),backIn:Dn([.31,.01,.66,-.59]),backOut:Dn([.33,1.53,.69,.99])};function Vn(e,t){return e?"function"===typeof e?Nn()?F(e,t):"ease-out":Qt(e)?Dn(e):Array.isArray(e)?e.map(e=>Vn(e,t)||Fn.easeOut):Fn[e]:void 0}function Rn(e,t,n){let{delay:i=0,duration:s=300,repeat:r=0,repeatType:a="loop",ease:o="easeOut",times:l}=arguments.length>3&&void 0!==arguments[3]?arguments[3]:{},u=arguments.length>4&&void 0!==arguments[4]?arguments[4]:void 0;const c={[t]:n};l&&(c.offset=l);const d=Vn(o,s);Array.isArray(d)&&(c.easing=d),f.value&&We.waapi++;const h={delay:i,duration:s,easing:Array.isArray(d)?"linear":d,fill:"both",iterations:r+1,direction:"reverse"===a?"alternate":"normal"};u&&(h.pseudoElement=u);const p=e.animate(c,h);return f.value&&p.finished.finally(()=>{We.waapi--}),p}const On=["type"];class Wn extends sn{constructor(e){if(super(),this.finishedTime=null,this.isStopped=!1,!e)return;const{element:t,name:n,keyframes:i,pseudoElement:s,allowFlatten:r=!1,finalKeyframe:a,onComplete:o}=e;this.isPseudoElement=Boolean(s),this.allowFlatten=r,this.options=e,e.type;const l=function(e){let{type:t}=e,n=(0,T.A)(e,On);return J(t)&&Nn()?t.applyToOptions(n):(null!==(i=n.duration)&&void 0!==i||(n.duration=300),null!==(s=n.ease)&&void 0!==s||(n.ease="easeOut"),n);var i,s}(e);this.animation=Rn(t,n,i,l,s),!1===l.autoplay&&this.animation.pause(),this.animation.onfinish=()=>{if(this.finishedTime=this.time,!s){const e=en(i,this.options,a,this.speed);this.updateMotionValue?this.updateMotionValue(e):function(e,t,n){(e=>e.startsWith("--"))(t)?e.style.setProperty(t,n):e.style[t]=n}(t,n,e),this.animation.cancel()}null===o||void 0===o||o(),this.notifyFinished()}}play(){this.isStopped||(this.animation.play(),"finished"===this.state&&this.updateFinished())}pause(){this.animation.pause()}complete(){var e,t;null===(e=(t=this.animation).finish)||void 0===e||e.call(t)}cancel(){try{this.animation.cancel()}catch(e){}}stop(){if(this.isStopped)return;this.isStopped=!0;const{state:e}=this;"idle"!==e&&"finished"!==e&&(this.updateMotionValue?this.updateMotionValue():this.commitStyles(),this.isPseudoElement||this.cancel())}commitStyles(){var e,t;this.isPseudoElement||(null===(e=(t=this.animation).commitStyles)||void 0===e||e.call(t))}get duration(){var e,t;const n=(null===(e=this.animation.effect)||void 0===e||null===(t=e.getComputedTiming)||void 0===t?void 0:t.call(e).duration)||0;return D(Number(n))}get iterationDuration(){const{delay:e=0}=this.options||{};return this.duration+D(e)}get time(){return D(Number(this.animation.currentTime)||0)}set time(e){this.finishedTime=null,this.animation.currentTime=N(e)}get speed(){return this.animation.playbackRate}set speed(e){e<0&&(this.finishedTime=null),this.animation.playbackRate=e}get state(){return null!==this.finishedTime?"finished":this.animation.playState}get startTime(){return Number(this.animation.startTime)}set startTime(e){this.animation.startTime=e}attachTimeline(e){let{timeline:t,observe:n}=e;var i;this.allowFlatten&&(null===(i=this.animation.effect)||void 0===i||i.updateTiming({easing:"linear"}));return this.animation.onfinish=null,t&&Mn()?(this.animation.timeline=t,d):n(this)}}const In={anticipate:jt,backInOut:qt,circInOut:Zt};function zn(e){"string"===typeof e.ease&&e.ease in In&&(e.ease=In[e.ease])}const Bn=["motionValue","onUpdate","onComplete","element"];class _n extends Wn{constructor(e){zn(e),nn(e),super(e),e.startTime&&(this.startTime=e.startTime),this.options=e}updateMotionValue(e){var t;const n=this.options,{motionValue:i,onUpdate:s,onComplete:a,element:o}=n,l=(0,T.A)(n,Bn);if(!i)return;if(void 0!==e)return void i.set(e);const u=new an((0,r.A)((0,r.A)({},l),{},{autoplay:!1})),c=N(null!==(t=this.finishedTime)&&void 0!==t?t:this.time);i.setWithVelocity(u.sample(c-10).value,u.sample(c).value,10),u.stop()}}const qn=(e,t)=>"zIndex"!==t&&(!("number"!==typeof e&&!Array.isArray(e))||!("string"!==typeof e||!yt.test(e)&&"0"!==e||e.startsWith("url(")));const jn=new Set(["opacity","clipPath","filter","transform"]),Un=Pn(()=>Object.hasOwnProperty.call(Element.prototype,"animate"));const Hn=["autoplay","delay","type","repeat","repeatDelay","repeatType","keyframes","name","motionValue","element"];class Zn extends sn{constructor(e){var t;let{autoplay:n=!0,delay:i=0,type:s="keyframes",repeat:a=0,repeatDelay:o=0,repeatType:l="loop",keyframes:u,name:c,motionValue:d,element:h}=e,f=(0,T.A)(e,Hn);super(),this.stop=()=>{var e,t;this._animation&&(this._animation.stop(),null===(t=this.stopTimeline)||void 0===t||t.call(this));null===(e=this.keyframeResolver)||void 0===e||e.cancel()},this.createdAt=w.now();const p=(0,r.A)({autoplay:n,delay:i,type:s,repeat:a,repeatDelay:o,repeatType:l,name:c,motionValue:d,element:h},f),m=(null===h||void 0===h?void 0:h.KeyframeResolver)||Tn;this.keyframeResolver=new m(u,(e,t,n)=>this.onKeyframesResolved(e,t,p,!n),c,d,h),null===(t=this.keyframeResolver)||void 0===t||t.scheduleResolve()}onKeyframesResolved(e,t,n,i){this.keyframeResolver=void 0;const{name:s,type:a,velocity:o,delay:l,isHandoff:u,onUpdate:h}=n;this.resolvedAt=w.now(),function(e,t,n,i){const s=e[0];if(null===s)return!1;if("display"===t||"visibility"===t)return!0;const r=e[e.length-1],a=qn(s,t),o=qn(r,t);return"You are trying to animate ".concat(t,' from "').concat(s,'" to "').concat(r,'". "').concat(a?r:s,'" is not an animatable value.'),!(!a||!o)&&(function(e){const t=e[0];if(1===e.length)return!0;for(let n=0;n<e.length;n++)if(e[n]!==t)return!0}(e)||("spring"===n||J(n))&&i)}(e,s,a,o)||(!c.instantAnimations&&l||null===h||void 0===h||h(en(e,n,t)),e[0]=e[e.length-1],Ve(n),n.repeat=0);const f=i?this.resolvedAt&&this.resolvedAt-this.createdAt>40?this.resolvedAt:this.createdAt:void 0,p=(0,r.A)((0,r.A)({startTime:f,finalKeyframe:t},n),{},{keyframes:e}),m=!u&&function(e){var t;const{motionValue:n,name:i,repeatDelay:s,repeatType:r,damping:a,type:o}=e;if(!((null===n||void 0===n||null===(t=n.owner)||void 0===t?void 0:t.current)instanceof HTMLElement))return!1;const{onUpdate:l,transformTemplate:u}=n.owner.getProps();return Un()&&i&&jn.has(i)&&("transform"!==i||!u)&&!l&&!s&&"mirror"!==r&&0!==a&&"inertia"!==o}(p)?new _n((0,r.A)((0,r.A)({},p),{},{element:p.motionValue.owner.current})):new an(p);m.finished.then(()=>this.notifyFinished()).catch(d),this.pendingTimeline&&(this.stopTimeline=m.attachTimeline(this.pendingTimeline),this.pendingTimeline=void 0),this._animation=m}get finished(){return this._animation?this.animation.finished:this._finished}then(e,t){return this.finished.finally(e).then(()=>{})}get animation(){var e;this._animation||(null===(e=this.keyframeResolver)||void 0===e||e.resume(),En=!0,xn(),Cn(),En=!1);return this._animation}get duration(){return this.animation.duration}get iterationDuration(){return this.animation.iterationDuration}get time(){return this.animation.time}set time(e){this.animation.time=e}get speed(){return this.animation.speed}get state(){return this.animation.state}set speed(e){this.animation.speed=e}get startTime(){return this.animation.startTime}attachTimeline(e){return this._animation?this.stopTimeline=this.animation.attachTimeline(e):this.pendingTimeline=e,()=>this.stop()}play(){this.animation.play()}pause(){this.animation.pause()}complete(){this.animation.complete()}cancel(){var e;this._animation&&this.animation.cancel(),null===(e=this.keyframeResolver)||void 0===e||e.cancel()}}const Qn=e=>null!==e;const Gn={type:"spring",stiffness:500,damping:25,restSpeed:10},Kn={type:"keyframes",duration:.8},Xn={type:"keyframes",ease:[.25,.1,.35,1],duration:.3},Yn=(e,t)=>{let{keyframes:n}=t;return n.length>2?Kn:ke.has(e)?e.startsWith("scale")?{type:"spring",stiffness:550,damping:0===n[1]?2*Math.sqrt(550):30,restSpeed:10}:Gn:Xn},Jn=["when","delay","delayChildren","staggerChildren","staggerDirection","repeat","repeatType","repeatDelay","from","elapsed"];const ei=function(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:{},s=arguments.length>4?arguments[4]:void 0,a=arguments.length>5?arguments[5]:void 0;return o=>{const l=be(i,e)||{},u=l.delay||i.delay||0;let{elapsed:d=0}=i;d-=N(u);const h=(0,r.A)((0,r.A)({keyframes:Array.isArray(n)?n:[null,n],ease:"easeOut",velocity:t.getVelocity()},l),{},{delay:-d,onUpdate:e=>{t.set(e),l.onUpdate&&l.onUpdate(e)},onComplete:()=>{o(),l.onComplete&&l.onComplete()},name:e,motionValue:t,element:a?void 0:s});(function(e){let{when:t,delay:n,delayChildren:i,staggerChildren:s,staggerDirection:r,repeat:a,repeatType:o,repeatDelay:l,from:u,elapsed:c}=e,d=(0,T.A)(e,Jn);return!!Object.keys(d).length})(l)||Object.assign(h,Yn(e,h)),h.duration&&(h.duration=N(h.duration)),h.repeatDelay&&(h.repeatDelay=N(h.repeatDelay)),void 0!==h.from&&(h.keyframes[0]=h.from);let f=!1;if((!1===h.type||0===h.duration&&!h.repeatDelay)&&(Ve(h),0===h.delay&&(f=!0)),(c.instantAnimations||c.skipAnimations)&&(f=!0,Ve(h),h.delay=0),h.allowFlatten=!l.type&&!l.ease,f&&!a&&void 0!==t.get()){const e=function(e,t,n){let{repeat:i,repeatType:s="loop"}=t;const r=e.filter(Qn),a=i&&"loop"!==s&&i%2===1?0:r.length-1;return a&&void 0!==n?n:r[a]}(h.keyframes,l);if(void 0!==e)return void m.update(()=>{h.onUpdate(e),h.onComplete()})}return l.isSync?new an(h):new Zn(h)}},ti=["transition","transitionEnd"];function ni(e,t){let{protectedKeys:n,needsAnimating:i}=e;const s=n.hasOwnProperty(t)&&!0!==i[t];return i[t]=!1,s}function ii(e,t){let{delay:n=0,transitionOverride:i,type:s}=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{},{transition:a=e.getDefaultTransition(),transitionEnd:o}=t,l=(0,T.A)(t,ti);i&&(a=i);const u=[],c=s&&e.animationState&&e.animationState.getState()[s];for(const h in l){var d;const t=e.getValue(h,null!==(d=e.latestValues[h])&&void 0!==d?d:null),i=l[h];if(void 0===i||c&&ni(c,h))continue;const s=(0,r.A)({delay:n},be(a||{},h)),o=t.get();if(void 0!==o&&!t.isAnimating&&!Array.isArray(i)&&i===o&&!s.velocity)continue;let f=!1;if(window.MotionHandoffAnimation){const t=Fe(e);if(t){const e=window.MotionHandoffAnimation(t,h,m);null!==e&&(s.startTime=e,f=!0)}}Le(e,h),t.start(ei(h,t,i,e.shouldReduceMotion&&Se.has(h)?{type:!1}:s,e,f));const p=t.animation;p&&u.push(p)}return o&&Promise.all(u).then(()=>{m.update(()=>{o&&function(e,t){let n=Te(e,t)||{},{transitionEnd:i={},transition:s={}}=n,a=(0,T.A)(n,Pe);a=(0,r.A)((0,r.A)({},a),i);for(const r in a)Me(e,r,$e(a[r]))}(e,o)})}),u}function si(e){return"object"===typeof e&&null!==e}function ri(e){return si(e)&&"ownerSVGElement"in e}function ai(e){return ri(e)&&"svg"===e.tagName}function oi(e){let{top:t,left:n,right:i,bottom:s}=e;return{x:{min:n,max:i},y:{min:t,max:s}}}function li(e){return void 0===e||1===e}function ui(e){let{scale:t,scaleX:n,scaleY:i}=e;return!li(t)||!li(n)||!li(i)}function ci(e){return ui(e)||di(e)||e.z||e.rotate||e.rotateX||e.rotateY||e.skewX||e.skewY}function di(e){return hi(e.x)||hi(e.y)}function hi(e){return e&&"0%"!==e}function fi(e,t,n){return n+t*(e-n)}function pi(e,t,n,i,s){return void 0!==s&&(e=fi(e,s,i)),fi(e,n,i)+t}function mi(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1,i=arguments.length>3?arguments[3]:void 0,s=arguments.length>4?arguments[4]:void 0;e.min=pi(e.min,t,n,i,s),e.max=pi(e.max,t,n,i,s)}function vi(e,t){let{x:n,y:i}=t;mi(e.x,n.translate,n.scale,n.originPoint),mi(e.y,i.translate,i.scale,i.originPoint)}const gi=.999999999999,yi=1.0000000000001;function Ai(e,t){e.min=e.min+t,e.max=e.max+t}function bi(e,t,n,i){let s=arguments.length>4&&void 0!==arguments[4]?arguments[4]:.5;mi(e,t,n,K(e.min,e.max,s),i)}function wi(e,t){bi(e.x,t.x,t.scaleX,t.scale,t.originX),bi(e.y,t.y,t.scaleY,t.scale,t.originY)}function ki(e,t){return oi(function(e,t){if(!t)return e;const n=t({x:e.left,y:e.top}),i=t({x:e.right,y:e.bottom});return{top:n.y,left:n.x,bottom:i.y,right:i.x}}(e.getBoundingClientRect(),t))}const Si=e=>t=>t.test(e),Ei=[je,st,it,nt,at,rt,{test:e=>"auto"===e,parse:e=>e}],Ci=e=>Ei.find(Si(e)),xi=e=>/^-?(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)$/.test(e),Ti=/^var\(--(?:([\x2D0-9A-Z_a-z]+)|([\x2D0-9A-Z_a-z]+), ?([ #%\(\),-\.0-9A-Za-z]+))\)/;function Pi(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1;'Max CSS variable fallback depth detected in property "'.concat(e,'". This may indicate a circular fallback dependency.');const[i,s]=function(e){const t=Ti.exec(e);if(!t)return[,];const[,n,i,s]=t;return["--".concat(null!==n&&void 0!==n?n:i),s]}(e);if(!i)return;const r=window.getComputedStyle(t).getPropertyValue(i);if(r){const e=r.trim();return xi(e)?parseFloat(e):e}return _e(s)?Pi(s,t,n+1):s}const Mi=e=>/^0(?:[\0-\x08\x0E-\x1F!-\x2D\/-\x9F\xA1-\u167F\u1681-\u1FFF\u200B-\u2027\u202A-\u202E\u2030-\u205E\u2060-\u2FFF\u3001-\uD7FF\uE000-\uFEFE\uFF00-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])+$/.test(e);function $i(e){return"number"===typeof e?0===e:null===e||("none"===e||"0"===e||Mi(e))}const Li=new Set(["brightness","contrast","saturate","opacity"]);function Ni(e){const[t,n]=e.slice(0,-1).split("(");if("drop-shadow"===t)return e;const[i]=n.match(Qe)||[];if(!i)return e;const s=n.replace(i,"");let r=Li.has(t)?1:0;return i!==n&&(r*=100),t+"("+r+s+")"}const Di=/\b([\x2Da-z]*)\((?:[\0-\t\x0B\f\x0E-\u2027\u202A-\uD7FF\uE000-\uFFFF]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF])*?\)/g,Fi=(0,r.A)((0,r.A)({},yt),{},{getAnimatableNone:e=>{const t=e.match(Di);return t?t.map(Ni).join(" "):e}}),Vi=(0,r.A)((0,r.A)({},je),{},{transform:Math.round}),Ri={rotate:nt,rotateX:nt,rotateY:nt,rotateZ:nt,scale:He,scaleX:He,scaleY:He,scaleZ:He,skew:nt,skewX:nt,skewY:nt,distance:st,translateX:st,translateY:st,translateZ:st,x:st,y:st,z:st,perspective:st,transformPerspective:st,opacity:Ue,originX:ot,originY:ot,originZ:st},Oi=(0,r.A)((0,r.A)({borderWidth:st,borderTopWidth:st,borderRightWidth:st,borderBottomWidth:st,borderLeftWidth:st,borderRadius:st,radius:st,borderTopLeftRadius:st,borderTopRightRadius:st,borderBottomRightRadius:st,borderBottomLeftRadius:st,width:st,maxWidth:st,height:st,maxHeight:st,top:st,right:st,bottom:st,left:st,padding:st,paddingTop:st,paddingRight:st,paddingBottom:st,paddingLeft:st,margin:st,marginTop:st,marginRight:st,marginBottom:st,marginLeft:st,backgroundPositionX:st,backgroundPositionY:st},Ri),{},{zIndex:Vi,fillOpacity:Ue,strokeOpacity:Ue,numOctaves:Vi}),Wi=(0,r.A)((0,r.A)({},Oi),{},{color:ut,backgroundColor:ut,outlineColor:ut,fill:ut,stroke:ut,borderColor:ut,borderTopColor:ut,borderRightColor:ut,borderBottomColor:ut,borderLeftColor:ut,filter:Fi,WebkitFilter:Fi}),Ii=e=>Wi[e];function zi(e,t){let n=Ii(e);return n!==Fi&&(n=yt),n.getAnimatableNone?n.getAnimatableNone(t):void 0}const Bi=new Set(["auto","none","0"]);class _i extends Tn{constructor(e,t,n,i,s){super(e,t,n,i,s,!0)}readKeyframes(){const{unresolvedKeyframes:e,element:t,name:n}=this;if(!t||!t.current)return;super.readKeyframes();for(let o=0;o<e.length;o++){let n=e[o];if("string"===typeof n&&(n=n.trim(),_e(n))){const i=Pi(n,t.current);void 0!==i&&(e[o]=i),o===e.length-1&&(this.finalKeyframe=n)}}if(this.resolveNoneKeyframes(),!Se.has(n)||2!==e.length)return;const[i,s]=e,r=Ci(i),a=Ci(s);if(r!==a)if(gn(r)&&gn(a))for(let o=0;o<e.length;o++){const t=e[o];"string"===typeof t&&(e[o]=parseFloat(t))}else bn[n]&&(this.needsMeasurement=!0)}resolveNoneKeyframes(){const{unresolvedKeyframes:e,name:t}=this,n=[];for(let i=0;i<e.length;i++)(null===e[i]||$i(e[i]))&&n.push(i);n.length&&function(e,t,n){let i,s=0;for(;s<e.length&&!i;){const t=e[s];"string"===typeof t&&!Bi.has(t)&&pt(t).values.length&&(i=e[s]),s++}if(i&&n)for(const r of t)e[r]=zi(n,i)}(e,n,t)}measureInitialState(){const{element:e,unresolvedKeyframes:t,name:n}=this;if(!e||!e.current)return;"height"===n&&(this.suspendedScrollY=window.pageYOffset),this.measuredOrigin=bn[n](e.measureViewportBox(),window.getComputedStyle(e.current)),t[0]=this.measuredOrigin;const i=t[t.length-1];void 0!==i&&e.getValue(n,i).jump(i,!1)}measureEndState(){var e;const{element:t,name:n,unresolvedKeyframes:i}=this;if(!t||!t.current)return;const s=t.getValue(n);s&&s.jump(this.measuredOrigin,!1);const r=i.length-1,a=i[r];i[r]=bn[n](t.measureViewportBox(),window.getComputedStyle(t.current)),null!==a&&void 0===this.finalKeyframe&&(this.finalKeyframe=a),null!==(e=this.removedTransforms)&&void 0!==e&&e.length&&this.removedTransforms.forEach(e=>{let[n,i]=e;t.getValue(n).set(i)}),this.resolveNoneKeyframes()}}const qi=[...Ei,ut,yt],{schedule:ji,cancel:Ui}=p(queueMicrotask,!1),Hi={animation:["animate","variants","whileHover","whileTap","exit","whileInView","whileFocus","whileDrag"],exit:["exit"],drag:["drag","dragControls"],focus:["whileFocus"],hover:["whileHover","onHoverStart","onHoverEnd"],tap:["whileTap","onTap","onTapStart","onTapCancel"],pan:["onPan","onPanStart","onPanSessionStart","onPanEnd"],inView:["whileInView","onViewportEnter","onViewportLeave"],layout:["layout","layoutId"]},Zi={};for(const Gf in Hi)Zi[Gf]={isEnabled:e=>Hi[Gf].some(t=>!!e[t])};const Qi=()=>({x:{min:0,max:0},y:{min:0,max:0}}),Gi="undefined"!==typeof window,Ki={current:null},Xi={current:!1};function Yi(e){return null!==e&&"object"===typeof e&&"function"===typeof e.start}function Ji(e){return"string"===typeof e||Array.isArray(e)}const es=["animate","whileInView","whileFocus","whileHover","whileTap","whileDrag","exit"],ts=["initial",...es];function ns(e){return Yi(e.animate)||ts.some(t=>Ji(e[t]))}function is(e){return Boolean(ns(e)||e.variants)}const ss=["willChange"],rs=["AnimationStart","AnimationComplete","Update","BeforeLayoutMeasure","LayoutMeasure","LayoutAnimationStart","LayoutAnimationComplete"];class as{scrapeMotionValuesFromProps(e,t,n){return{}}constructor(e){let{parent:t,props:n,presenceContext:i,reducedMotionConfig:s,blockInitialAnimation:a,visualState:o}=e,l=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};this.current=null,this.children=new Set,this.isVariantNode=!1,this.isControllingVariants=!1,this.shouldReduceMotion=null,this.values=new Map,this.KeyframeResolver=Tn,this.features={},this.valueSubscriptions=new Map,this.prevMotionValues={},this.events={},this.propEventSubscriptions={},this.notifyUpdate=()=>this.notify("Update",this.latestValues),this.render=()=>{this.current&&(this.triggerBuild(),this.renderInstance(this.current,this.renderState,this.props.style,this.projection))},this.renderScheduledAt=0,this.scheduleRender=()=>{const e=w.now();this.renderScheduledAt<e&&(this.renderScheduledAt=e,m.render(this.render,!1,!0))};const{latestValues:u,renderState:c}=o;this.latestValues=u,this.baseTarget=(0,r.A)({},u),this.initialValues=n.initial?(0,r.A)({},u):{},this.renderState=c,this.parent=t,this.props=n,this.presenceContext=i,this.depth=t?t.depth+1:0,this.reducedMotionConfig=s,this.options=l,this.blockInitialAnimation=Boolean(a),this.isControllingVariants=ns(n),this.isVariantNode=is(n),this.isVariantNode&&(this.variantChildren=new Set),this.manuallyAnimateOnMount=Boolean(t&&t.current);const d=this.scrapeMotionValuesFromProps(n,{},this),{willChange:h}=d,f=(0,T.A)(d,ss);for(const r in f){const e=f[r];void 0!==u[r]&&ee(e)&&e.set(u[r])}}mount(e){var t;this.current=e,Ae.set(e,this),this.projection&&!this.projection.instance&&this.projection.mount(e),this.parent&&this.isVariantNode&&!this.isControllingVariants&&(this.removeFromVariantTree=this.parent.addVariantChild(this)),this.values.forEach((e,t)=>this.bindToMotionValue(t,e)),Xi.current||function(){if(Xi.current=!0,Gi)if(window.matchMedia){const e=window.matchMedia("(prefers-reduced-motion)"),t=()=>Ki.current=e.matches;e.addEventListener("change",t),t()}else Ki.current=!1}(),this.shouldReduceMotion="never"!==this.reducedMotionConfig&&("always"===this.reducedMotionConfig||Ki.current),null===(t=this.parent)||void 0===t||t.addChild(this),this.update(this.props,this.presenceContext)}unmount(){var e;this.projection&&this.projection.unmount(),v(this.notifyUpdate),v(this.render),this.valueSubscriptions.forEach(e=>e()),this.valueSubscriptions.clear(),this.removeFromVariantTree&&this.removeFromVariantTree(),null===(e=this.parent)||void 0===e||e.removeChild(this);for(const t in this.events)this.events[t].clear();for(const t in this.features){const e=this.features[t];e&&(e.unmount(),e.isMounted=!1)}this.current=null}addChild(e){var t;this.children.add(e),null!==(t=this.enteringChildren)&&void 0!==t||(this.enteringChildren=new Set),this.enteringChildren.add(e)}removeChild(e){this.children.delete(e),this.enteringChildren&&this.enteringChildren.delete(e)}bindToMotionValue(e,t){this.valueSubscriptions.has(e)&&this.valueSubscriptions.get(e)();const n=ke.has(e);n&&this.onBindTransform&&this.onBindTransform();const i=t.on("change",t=>{this.latestValues[e]=t,this.props.onUpdate&&m.preRender(this.notifyUpdate),n&&this.projection&&(this.projection.isTransformDirty=!0),this.scheduleRender()});let s;window.MotionCheckAppearSync&&(s=window.MotionCheckAppearSync(this,e,t)),this.valueSubscriptions.set(e,()=>{i(),s&&s(),t.owner&&t.stop()})}sortNodePosition(e){return this.current&&this.sortInstanceNodePosition&&this.type===e.type?this.sortInstanceNodePosition(this.current,e.current):0}updateFeatures(){let e="animation";for(e in Zi){const t=Zi[e];if(!t)continue;const{isEnabled:n,Feature:i}=t;if(!this.features[e]&&i&&n(this.props)&&(this.features[e]=new i(this)),this.features[e]){const t=this.features[e];t.isMounted?t.update():(t.mount(),t.isMounted=!0)}}}triggerBuild(){this.build(this.renderState,this.latestValues,this.props)}measureViewportBox(){return this.current?this.measureInstanceViewportBox(this.current,this.props):{x:{min:0,max:0},y:{min:0,max:0}}}getStaticValue(e){return this.latestValues[e]}setStaticValue(e,t){this.latestValues[e]=t}update(e,t){(e.transformTemplate||this.props.transformTemplate)&&this.scheduleRender(),this.prevProps=this.props,this.props=e,this.prevPresenceContext=this.presenceContext,this.presenceContext=t;for(let n=0;n<rs.length;n++){const t=rs[n];this.propEventSubscriptions[t]&&(this.propEventSubscriptions[t](),delete this.propEventSubscriptions[t]);const i=e["on"+t];i&&(this.propEventSubscriptions[t]=this.on(t,i))}this.prevMotionValues=function(e,t,n){for(const i in t){const s=t[i],r=n[i];if(ee(s))e.addValue(i,s);else if(ee(r))e.addValue(i,E(s,{owner:e}));else if(r!==s)if(e.hasValue(i)){const t=e.getValue(i);!0===t.liveStyle?t.jump(s):t.hasAnimated||t.set(s)}else{const t=e.getStaticValue(i);e.addValue(i,E(void 0!==t?t:s,{owner:e}))}}for(const i in n)void 0===t[i]&&e.removeValue(i);return t}(this,this.scrapeMotionValuesFromProps(e,this.prevProps,this),this.prevMotionValues),this.handleChildMotionValue&&this.handleChildMotionValue()}getProps(){return this.props}getVariant(e){return this.props.variants?this.props.variants[e]:void 0}getDefaultTransition(){return this.props.transition}getTransformPagePoint(){return this.props.transformPagePoint}getClosestVariantNode(){return this.isVariantNode?this:this.parent?this.parent.getClosestVariantNode():void 0}addVariantChild(e){const t=this.getClosestVariantNode();if(t)return t.variantChildren&&t.variantChildren.add(e),()=>t.variantChildren.delete(e)}addValue(e,t){const n=this.values.get(e);t!==n&&(n&&this.removeValue(e),this.bindToMotionValue(e,t),this.values.set(e,t),this.latestValues[e]=t.get())}removeValue(e){this.values.delete(e);const t=this.valueSubscriptions.get(e);t&&(t(),this.valueSubscriptions.delete(e)),delete this.latestValues[e],this.removeValueFromRenderState(e,this.renderState)}hasValue(e){return this.values.has(e)}getValue(e,t){if(this.props.values&&this.props.values[e])return this.props.values[e];let n=this.values.get(e);return void 0===n&&void 0!==t&&(n=E(null===t?void 0:t,{owner:this}),this.addValue(e,n)),n}readValue(e,t){var n;let i=void 0===this.latestValues[e]&&this.current?null!==(n=this.getBaseTargetFromProps(this.props,e))&&void 0!==n?n:this.readValueFromInstance(this.current,e,this.options):this.latestValues[e];var s;return void 0!==i&&null!==i&&("string"===typeof i&&(xi(i)||Mi(i))?i=parseFloat(i):(s=i,!qi.find(Si(s))&&yt.test(t)&&(i=zi(e,t))),this.setBaseTarget(e,ee(i)?i.get():i)),ee(i)?i.get():i}setBaseTarget(e,t){this.baseTarget[e]=t}getBaseTarget(e){const{initial:t}=this.props;let n;if("string"===typeof t||"object"===typeof t){var i;const s=xe(this.props,t,null===(i=this.presenceContext)||void 0===i?void 0:i.custom);s&&(n=s[e])}if(t&&void 0!==n)return n;const s=this.getBaseTargetFromProps(this.props,e);return void 0===s||ee(s)?void 0!==this.initialValues[e]&&void 0===n?void 0:this.baseTarget[e]:s}on(e,t){return this.events[e]||(this.events[e]=new l),this.events[e].add(t)}notify(e){if(this.events[e]){for(var t=arguments.length,n=new Array(t>1?t-1:0),i=1;i<t;i++)n[i-1]=arguments[i];this.events[e].notify(...n)}}scheduleRenderMicrotask(){ji.render(this.render)}}class os extends as{constructor(){super(...arguments),this.KeyframeResolver=_i}sortInstanceNodePosition(e,t){return 2&e.compareDocumentPosition(t)?1:-1}getBaseTargetFromProps(e,t){return e.style?e.style[t]:void 0}removeValueFromRenderState(e,t){let{vars:n,style:i}=t;delete n[e],delete i[e]}handleChildMotionValue(){this.childSubscription&&(this.childSubscription(),delete this.childSubscription);const{children:e}=this.props;ee(e)&&(this.childSubscription=e.on("change",e=>{this.current&&(this.current.textContent="".concat(e))}))}}const ls=(e,t)=>t&&"number"===typeof e?t.transform(e):e,us={x:"translateX",y:"translateY",z:"translateZ",transformPerspective:"perspective"},cs=we.length;function ds(e,t,n){const{style:i,vars:s,transformOrigin:r}=e;let a=!1,o=!1;for(const l in t){const e=t[l];if(ke.has(l))a=!0;else if(ze(l))s[l]=e;else{const t=ls(e,Oi[l]);l.startsWith("origin")?(o=!0,r[l]=t):i[l]=t}}if(t.transform||(a||n?i.transform=function(e,t,n){let i="",s=!0;for(let r=0;r<cs;r++){const a=we[r],o=e[a];if(void 0===o)continue;let l=!0;if(l="number"===typeof o?o===(a.startsWith("scale")?1:0):0===parseFloat(o),!l||n){const e=ls(o,Oi[a]);l||(s=!1,i+="".concat(us[a]||a,"(").concat(e,") ")),n&&(t[a]=e)}}return i=i.trim(),n?i=n(t,s?"":i):s&&(i="none"),i}(t,e.transform,n):i.transform&&(i.transform="none")),o){const{originX:e="50%",originY:t="50%",originZ:n=0}=r;i.transformOrigin="".concat(e," ").concat(t," ").concat(n)}}function hs(e,t,n,i){let{style:s,vars:r}=t;const a=e.style;let o;for(o in s)a[o]=s[o];for(o in null===i||void 0===i||i.applyProjectionStyles(a,n),r)a.setProperty(o,r[o])}const fs={};function ps(e,t){let{layout:n,layoutId:i}=t;return ke.has(e)||e.startsWith("origin")||(n||void 0!==i)&&(!!fs[e]||"opacity"===e)}function ms(e,t,n){const{style:i}=e,s={};for(const a in i){var r;(ee(i[a])||t.style&&ee(t.style[a])||ps(a,e)||void 0!==(null===n||void 0===n||null===(r=n.getValue(a))||void 0===r?void 0:r.liveStyle))&&(s[a]=i[a])}return s}class vs extends os{constructor(){super(...arguments),this.type="html",this.renderInstance=hs}readValueFromInstance(e,t){var n,i;if(ke.has(t))return null!==(n=this.projection)&&void 0!==n&&n.isProjecting?pn(t):((e,t)=>{const{transform:n="none"}=getComputedStyle(e);return mn(n,t)})(e,t);{const n=(i=e,window.getComputedStyle(i)),s=(ze(t)?n.getPropertyValue(t):n[t])||0;return"string"===typeof s?s.trim():s}}measureInstanceViewportBox(e,t){let{transformPagePoint:n}=t;return ki(e,n)}build(e,t,n){ds(e,t,n.transformTemplate)}scrapeMotionValuesFromProps(e,t,n){return ms(e,t,n)}}class gs extends as{constructor(){super(...arguments),this.type="object"}readValueFromInstance(e,t){if(function(e,t){return e in t}(t,e)){const n=e[t];if("string"===typeof n||"number"===typeof n)return n}}getBaseTargetFromProps(){}removeValueFromRenderState(e,t){delete t.output[e]}measureInstanceViewportBox(){return{x:{min:0,max:0},y:{min:0,max:0}}}build(e,t){Object.assign(e.output,t)}renderInstance(e,t){let{output:n}=t;Object.assign(e,n)}sortInstanceNodePosition(){return 0}}const ys={offset:"stroke-dashoffset",array:"stroke-dasharray"},As={offset:"strokeDashoffset",array:"strokeDasharray"};const bs=["attrX","attrY","attrScale","pathLength","pathSpacing","pathOffset"];function ws(e,t,n,i,s){let{attrX:r,attrY:a,attrScale:o,pathLength:l,pathSpacing:u=1,pathOffset:c=0}=t;if(ds(e,(0,T.A)(t,bs),i),n)return void(e.style.viewBox&&(e.attrs.viewBox=e.style.viewBox));e.attrs=e.style,e.style={};const{attrs:d,style:h}=e;var f,p;(d.transform&&(h.transform=d.transform,delete d.transform),h.transform||d.transformOrigin)&&(h.transformOrigin=null!==(f=d.transformOrigin)&&void 0!==f?f:"50% 50%",delete d.transformOrigin);h.transform&&(h.transformBox=null!==(p=null===s||void 0===s?void 0:s.transformBox)&&void 0!==p?p:"fill-box",delete d.transformBox);void 0!==r&&(d.x=r),void 0!==a&&(d.y=a),void 0!==o&&(d.scale=o),void 0!==l&&function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:0,s=!(arguments.length>4&&void 0!==arguments[4])||arguments[4];e.pathLength=1;const r=s?ys:As;e[r.offset]=st.transform(-i);const a=st.transform(t),o=st.transform(n);e[r.array]="".concat(a," ").concat(o)}(d,l,u,c,!1)}const ks=new Set(["baseFrequency","diffuseConstant","kernelMatrix","kernelUnitLength","keySplines","keyTimes","limitingConeAngle","markerHeight","markerWidth","numOctaves","targetX","targetY","surfaceScale","specularConstant","specularExponent","stdDeviation","tableValues","viewBox","gradientTransform","pathLength","startOffset","textLength","lengthAdjust"]),Ss=e=>"string"===typeof e&&"svg"===e.toLowerCase();function Es(e,t,n){const i=ms(e,t,n);for(const s in e)if(ee(e[s])||ee(t[s])){i[-1!==we.indexOf(s)?"attr"+s.charAt(0).toUpperCase()+s.substring(1):s]=e[s]}return i}class Cs extends os{constructor(){super(...arguments),this.type="svg",this.isSVGTag=!1,this.measureInstanceViewportBox=Qi}getBaseTargetFromProps(e,t){return e[t]}readValueFromInstance(e,t){if(ke.has(t)){const e=Ii(t);return e&&e.default||0}return t=ks.has(t)?t:Ne(t),e.getAttribute(t)}scrapeMotionValuesFromProps(e,t,n){return Es(e,t,n)}build(e,t,n){ws(e,t,this.isSVGTag,n.transformTemplate,n.style)}renderInstance(e,t,n,i){!function(e,t,n,i){hs(e,t,void 0,i);for(const s in t.attrs)e.setAttribute(ks.has(s)?s:Ne(s),t.attrs[s])}(e,t,0,i)}mount(e){this.isSVGTag=Ss(e.tagName),super.mount(e)}}function xs(e){const t={presenceContext:null,props:{},visualState:{renderState:{transform:{},transformOrigin:{},style:{},vars:{},attrs:{}},latestValues:{}}},n=ri(e)&&!ai(e)?new Cs(t):new vs(t);n.mount(e),Ae.set(e,n)}function Ts(e){const t=new gs({presenceContext:null,props:{},visualState:{renderState:{output:{}},latestValues:{}}});t.mount(e),Ae.set(e,t)}function Ps(e,t,n){const i=ee(e)?e:E(e);return i.start(ei("",i,t,n)),i.animation}function Ms(e,t,n,i){const s=[];if(function(e,t){return ee(e)||"number"===typeof e||"string"===typeof e&&!se(t)}(e,t))s.push(Ps(e,se(t)&&t.default||t,n&&n.default||n));else{const a=re(e,t,i),o=a.length;Boolean(o);for(let e=0;e<o;e++){const i=a[e];z();const l=i instanceof Element?xs:Ts;Ae.has(i)||l(i);const u=Ae.get(i),c=(0,r.A)({},n);"delay"in c&&"function"===typeof c.delay&&(c.delay=c.delay(e,o)),s.push(...ii(u,(0,r.A)((0,r.A)({},t),{},{transition:c}),{}))}}return s}function $s(e,t,n){const i=[],s=function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},{defaultTransition:n={}}=t,i=(0,T.A)(t,de),s=arguments.length>2?arguments[2]:void 0,a=arguments.length>3?arguments[3]:void 0;const o=n.duration||.3,l=new Map,u=new Map,c={},d=new Map;let h=0,f=0,p=0;for(let m=0;m<e.length;m++){const t=e[m];if("string"===typeof t){d.set(t,f);continue}if(!Array.isArray(t)){d.set(t.name,oe(f,t.at,h,d));continue}let[i,l,v={}]=t;void 0!==v.at&&(f=oe(f,v.at,h,d));let g=0;const y=function(e,t,i){let s=arguments.length>3&&void 0!==arguments[3]?arguments[3]:0,l=arguments.length>4&&void 0!==arguments[4]?arguments[4]:0;const u=me(e),{delay:c=0,times:d=Y(u),type:h="keyframes",repeat:m,repeatType:v,repeatDelay:y=0}=t,A=(0,T.A)(t,he);let{ease:b=n.ease||"easeOut",duration:w}=t;const k="function"===typeof c?c(s,l):c,S=u.length,E=J(h)?h:null===a||void 0===a?void 0:a[h||"keyframes"];if(S<=2&&E){let e=100;if(2===S&&ye(u)){const t=u[1]-u[0];e=Math.abs(t)}const t=(0,r.A)({},A);void 0!==w&&(t.duration=N(w));const n=O(t,e,E);b=n.ease,w=n.duration}null!==w&&void 0!==w||(w=o);const C=f+k;1===d.length&&0===d[0]&&(d[1]=1);const x=d.length-u.length;if(x>0&&X(d,x),1===u.length&&u.unshift(null),m){w=ae(w,m);const e=[...u],t=[...d];b=Array.isArray(b)?[...b]:[b];const n=[...b];for(let i=0;i<m;i++){u.push(...e);for(let s=0;s<e.length;s++)d.push(t[s]+(i+1)),b.push(0===s?"linear":ne(n,s-1))}ue(d,m)}const P=C+w;le(i,u,b,d,C,P),g=Math.max(k+w,g),p=Math.max(P,p)};if(ee(i))y(l,v,pe("default",fe(i,u)));else{const e=re(i,l,s,c),t=e.length;for(let n=0;n<t;n++){const i=fe(e[n],u);for(const e in l)y(l[e],ve(v,e),pe(e,i),n,t)}}h=f,f+=g}return u.forEach((e,t)=>{for(const s in e){const a=e[s];a.sort(ce);const o=[],u=[],c=[];for(let e=0;e<a.length;e++){const{at:t,value:n,easing:i}=a[e];o.push(n),u.push(G(0,p,t)),c.push(i||"easeOut")}0!==u[0]&&(u.unshift(0),o.unshift(o[0]),c.unshift("easeInOut")),1!==u[u.length-1]&&(u.push(1),o.push(null)),l.has(t)||l.set(t,{keyframes:{},transition:{}});const d=l.get(t);d.keyframes[s]=o,d.transition[s]=(0,r.A)((0,r.A)({},n),{},{duration:p,ease:c,times:u},i)}}),l}(e,t,n,{spring:Q});return s.forEach((e,t)=>{let{keyframes:n,transition:s}=e;i.push(...Ms(t,n,s))}),i}const Ls=["onComplete"];const Ns=function(e,t,n){let i,s=[];if(r=e,Array.isArray(r)&&r.some(Array.isArray))s=$s(e,t,Ds);else{const r=n||{},{onComplete:a}=r;"function"===typeof a&&(i=a),s=Ms(e,t,(0,T.A)(r,Ls),Ds)}var r;const a=new $(s);return i&&a.finished.then(i),Ds&&(Ds.animations.push(a),a.finished.then(()=>{o(Ds.animations,a)})),a};var Ds;const Fs=["animate","circle","defs","desc","ellipse","g","image","line","filter","marker","mask","metadata","path","pattern","polygon","polyline","rect","stop","switch","symbol","svg","text","tspan","use","view"];function Vs(e){return"string"===typeof e&&!e.includes("-")&&!!(Fs.indexOf(e)>-1||/[A-Z]/.test(e))}const Rs=(e,t)=>Vs(e)?new Cs(t):new vs(t,{allowProjection:e!==i.Fragment});var Os=n(579);const Ws=(0,i.createContext)({}),Is=(0,i.createContext)({strict:!1}),zs=(0,i.createContext)({});function Bs(e){const{initial:t,animate:n}=function(e,t){if(ns(e)){const{initial:t,animate:n}=e;return{initial:!1===t||Ji(t)?t:void 0,animate:Ji(n)?n:void 0}}return!1!==e.inherit?t:{}}(e,(0,i.useContext)(zs));return(0,i.useMemo)(()=>({initial:t,animate:n}),[_s(t),_s(n)])}function _s(e){return Array.isArray(e)?e.join(" "):e}const qs=()=>({style:{},transform:{},transformOrigin:{},vars:{}});function js(e,t,n){for(const i in t)ee(t[i])||ps(i,n)||(e[i]=t[i])}function Us(e,t){const n={};return js(n,e.style||{},e),Object.assign(n,function(e,t){let{transformTemplate:n}=e;return(0,i.useMemo)(()=>{const e={style:{},transform:{},transformOrigin:{},vars:{}};return ds(e,t,n),Object.assign({},e.vars,e.style)},[t])}(e,t)),n}function Hs(e,t){const n={},i=Us(e,t);return e.drag&&!1!==e.dragListener&&(n.draggable=!1,i.userSelect=i.WebkitUserSelect=i.WebkitTouchCallout="none",i.touchAction=!0===e.drag?"none":"pan-".concat("x"===e.drag?"y":"x")),void 0===e.tabIndex&&(e.onTap||e.onTapStart||e.whileTap)&&(n.tabIndex=0),n.style=i,n}const Zs=()=>(0,r.A)((0,r.A)({},{style:{},transform:{},transformOrigin:{},vars:{}}),{},{attrs:{}});function Qs(e,t,n,s){const a=(0,i.useMemo)(()=>{const n=Zs();return ws(n,t,Ss(s),e.transformTemplate,e.style),(0,r.A)((0,r.A)({},n.attrs),{},{style:(0,r.A)({},n.style)})},[t]);if(e.style){const t={};js(t,e.style,e),a.style=(0,r.A)((0,r.A)({},t),a.style)}return a}const Gs=new Set(["animate","exit","variants","initial","style","values","variants","transition","transformTemplate","custom","inherit","onBeforeLayoutMeasure","onAnimationStart","onAnimationComplete","onUpdate","onDragStart","onDrag","onDragEnd","onMeasureDragConstraints","onDirectionLock","onDragTransitionEnd","_dragX","_dragY","onHoverStart","onHoverEnd","onViewportEnter","onViewportLeave","globalTapTarget","ignoreStrict","viewport"]);function Ks(e){return e.startsWith("while")||e.startsWith("drag")&&"draggable"!==e||e.startsWith("layout")||e.startsWith("onTap")||e.startsWith("onPan")||e.startsWith("onLayout")||Gs.has(e)}let Xs=e=>!Ks(e);try{"function"===typeof(Ys=require("@emotion/is-prop-valid").default)&&(Xs=e=>e.startsWith("on")?!Ks(e):Ys(e))}catch(Qf){}var Ys;function Js(e,t,n,s,a){let{latestValues:o}=s,l=arguments.length>5&&void 0!==arguments[5]&&arguments[5];const u=(Vs(e)?Qs:Hs)(t,o,a,e),c=function(e,t,n){const i={};for(const s in e)"values"===s&&"object"===typeof e.values||(Xs(s)||!0===n&&Ks(s)||!t&&!Ks(s)||e.draggable&&s.startsWith("onDrag"))&&(i[s]=e[s]);return i}(t,"string"===typeof e,l),d=e!==i.Fragment?(0,r.A)((0,r.A)((0,r.A)({},c),u),{},{ref:n}):{},{children:h}=t,f=(0,i.useMemo)(()=>ee(h)?h.get():h,[h]);return(0,i.createElement)(e,(0,r.A)((0,r.A)({},d),{},{children:f}))}const er=(0,i.createContext)(null);function tr(e){return ee(e)?e.get():e}const nr=["transitionEnd","transition"];function ir(e,t,n,i){const s={},r=i(e,{});for(const h in r)s[h]=tr(r[h]);let{initial:a,animate:o}=e;const l=ns(e),u=is(e);t&&u&&!l&&!1!==e.inherit&&(void 0===a&&(a=t.initial),void 0===o&&(o=t.animate));let c=!!n&&!1===n.initial;c=c||!1===a;const d=c?o:a;if(d&&"boolean"!==typeof d&&!Yi(d)){const t=Array.isArray(d)?d:[d];for(let n=0;n<t.length;n++){const i=xe(e,t[n]);if(i){const{transitionEnd:e,transition:t}=i,n=(0,T.A)(i,nr);for(const i in n){let e=n[i];if(Array.isArray(e)){e=e[c?e.length-1:0]}null!==e&&(s[i]=e)}for(const i in e)s[i]=e[i]}}}return s}const sr=e=>(t,n)=>{const s=(0,i.useContext)(zs),r=(0,i.useContext)(er),a=()=>function(e,t,n,i){let{scrapeMotionValuesFromProps:s,createRenderState:r}=e;return{latestValues:ir(t,n,i,s),renderState:r()}}(e,t,s,r);return n?a():x(a)},rr=sr({scrapeMotionValuesFromProps:ms,createRenderState:qs}),ar=sr({scrapeMotionValuesFromProps:Es,createRenderState:Zs});const or=Symbol.for("motionComponentSymbol");function lr(e){return e&&"object"===typeof e&&Object.prototype.hasOwnProperty.call(e,"current")}function ur(e,t,n){return(0,i.useCallback)(i=>{i&&e.onMount&&e.onMount(i),t&&(i?t.mount(i):t.unmount()),n&&("function"===typeof n?n(i):lr(n)&&(n.current=i))},[t])}const cr=(0,i.createContext)({}),dr=Gi?i.useLayoutEffect:i.useEffect;function hr(e,t,n,s,r){var a,o,l,u;const{visualElement:c}=(0,i.useContext)(zs),d=(0,i.useContext)(Is),h=(0,i.useContext)(er),f=(0,i.useContext)(C).reducedMotion,p=(0,i.useRef)(null);s=s||d.renderer,!p.current&&s&&(p.current=s(e,{visualState:t,parent:c,props:n,presenceContext:h,blockInitialAnimation:!!h&&!1===h.initial,reducedMotionConfig:f}));const m=p.current,v=(0,i.useContext)(cr);!m||m.projection||!r||"html"!==m.type&&"svg"!==m.type||function(e,t,n,i){const{layoutId:s,layout:r,drag:a,dragConstraints:o,layoutScroll:l,layoutRoot:u,layoutCrossfade:c}=t;e.projection=new n(e.latestValues,t["data-framer-portal-id"]?void 0:fr(e.parent)),e.projection.setOptions({layoutId:s,layout:r,alwaysMeasureLayout:Boolean(a)||o&&lr(o),visualElement:e,animationType:"string"===typeof r?r:"both",initialPromotionConfig:i,crossfade:c,layoutScroll:l,layoutRoot:u})}(p.current,n,r,v);const g=(0,i.useRef)(!1);(0,i.useInsertionEffect)(()=>{m&&g.current&&m.update(n,h)});const y=n[De],A=(0,i.useRef)(Boolean(y)&&!(null!==(a=(o=window).MotionHandoffIsComplete)&&void 0!==a&&a.call(o,y))&&(null===(l=(u=window).MotionHasOptimisedAnimation)||void 0===l?void 0:l.call(u,y)));return dr(()=>{m&&(g.current=!0,window.MotionIsMounted=!0,m.updateFeatures(),m.scheduleRenderMicrotask(),A.current&&m.animationState&&m.animationState.animateChanges())}),(0,i.useEffect)(()=>{m&&(!A.current&&m.animationState&&m.animationState.animateChanges(),A.current&&(queueMicrotask(()=>{var e,t;null===(e=(t=window).MotionHandoffMarkAsComplete)||void 0===e||e.call(t,y)}),A.current=!1),m.enteringChildren=void 0)}),m}function fr(e){if(e)return!1!==e.options.allowProjection?e.projection:fr(e.parent)}function pr(e){var t,n;let{forwardMotionProps:s=!1}=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},a=arguments.length>2?arguments[2]:void 0,o=arguments.length>3?arguments[3]:void 0;a&&function(e){for(const t in e)Zi[t]=(0,r.A)((0,r.A)({},Zi[t]),e[t])}(a);const l=Vs(e)?ar:rr;function u(t,n){let a;const u=(0,r.A)((0,r.A)((0,r.A)({},(0,i.useContext)(C)),t),{},{layoutId:mr(t)}),{isStatic:c}=u,d=Bs(t),h=l(t,c);if(!c&&Gi){!function(){(0,i.useContext)(Is).strict;0}();const t=function(e){const{drag:t,layout:n}=Zi;if(!t&&!n)return{};const i=(0,r.A)((0,r.A)({},t),n);return{MeasureLayout:null!==t&&void 0!==t&&t.isEnabled(e)||null!==n&&void 0!==n&&n.isEnabled(e)?i.MeasureLayout:void 0,ProjectionNode:i.ProjectionNode}}(u);a=t.MeasureLayout,d.visualElement=hr(e,h,u,o,t.ProjectionNode)}return(0,Os.jsxs)(zs.Provider,{value:d,children:[a&&d.visualElement?(0,Os.jsx)(a,(0,r.A)({visualElement:d.visualElement},u)):null,Js(e,t,ur(h,d.visualElement,n),h,c,s)]})}u.displayName="motion.".concat("string"===typeof e?e:"create(".concat(null!==(t=null!==(n=e.displayName)&&void 0!==n?n:e.name)&&void 0!==t?t:"",")"));const c=(0,i.forwardRef)(u);return c[or]=e,c}function mr(e){let{layoutId:t}=e;const n=(0,i.useContext)(Ws).id;return n&&void 0!==t?n+"-"+t:t}function vr(e,t){if("undefined"===typeof Proxy)return pr;const n=new Map,i=(n,i)=>pr(n,i,e,t);return new Proxy((e,t)=>i(e,t),{get:(s,r)=>"create"===r?i:(n.has(r)||n.set(r,pr(r,void 0,e,t)),n.get(r))})}function gr(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:0,s=arguments.length>4&&void 0!==arguments[4]?arguments[4]:1;const r=Array.from(e).sort((e,t)=>e.sortNodePosition(t)).indexOf(t),a=e.size,o=(a-1)*i;return"function"===typeof n?n(r,a):1===s?r*i:o-r*i}function yr(e,t){var n;let i=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const s=Te(e,t,"exit"===i.type?null===(n=e.presenceContext)||void 0===n?void 0:n.custom:void 0);let{transition:a=e.getDefaultTransition()||{}}=s||{};i.transitionOverride&&(a=i.transitionOverride);const o=s?()=>Promise.all(ii(e,s,i)):()=>Promise.resolve(),l=e.variantChildren&&e.variantChildren.size?function(){let n=arguments.length>0&&void 0!==arguments[0]?arguments[0]:0;const{delayChildren:s=0,staggerChildren:o,staggerDirection:l}=a;return function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:0,s=arguments.length>4&&void 0!==arguments[4]?arguments[4]:0,a=arguments.length>5&&void 0!==arguments[5]?arguments[5]:1,o=arguments.length>6?arguments[6]:void 0;const l=[];for(const u of e.variantChildren)u.notify("AnimationStart",t),l.push(yr(u,t,(0,r.A)((0,r.A)({},o),{},{delay:n+("function"===typeof i?0:i)+gr(e.variantChildren,u,i,s,a)})).then(()=>u.notify("AnimationComplete",t)));return Promise.all(l)}(e,t,n,s,o,l,i)}:()=>Promise.resolve(),{when:u}=a;if(u){const[e,t]="beforeChildren"===u?[o,l]:[l,o];return e().then(()=>t())}return Promise.all([o(),l(i.delay)])}function Ar(e,t){if(!Array.isArray(t))return!1;const n=t.length;if(n!==e.length)return!1;for(let i=0;i<n;i++)if(t[i]!==e[i])return!1;return!0}const br=ts.length;function wr(e){if(!e)return;if(!e.isControllingVariants){const t=e.parent&&wr(e.parent)||{};return void 0!==e.props.initial&&(t.initial=e.props.initial),t}const t={};for(let n=0;n<br;n++){const i=ts[n],s=e.props[i];(Ji(s)||!1===s)&&(t[i]=s)}return t}const kr=["transition","transitionEnd"],Sr=[...es].reverse(),Er=es.length;function Cr(e){return t=>Promise.all(t.map(t=>{let{animation:n,options:i}=t;return function(e,t){let n,i=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};if(e.notify("AnimationStart",t),Array.isArray(t)){const s=t.map(t=>yr(e,t,i));n=Promise.all(s)}else if("string"===typeof t)n=yr(e,t,i);else{const s="function"===typeof t?Te(e,t,i.custom):t;n=Promise.all(ii(e,s,i))}return n.then(()=>{e.notify("AnimationComplete",t)})}(e,n,i)}))}function xr(e){let t=Cr(e),n=Mr(),i=!0;const s=t=>(n,i)=>{var s;const a=Te(e,i,"exit"===t?null===(s=e.presenceContext)||void 0===s?void 0:s.custom:void 0);if(a){const{transition:e,transitionEnd:t}=a,i=(0,T.A)(a,kr);n=(0,r.A)((0,r.A)((0,r.A)({},n),i),t)}return n};function a(a){const{props:o}=e,l=wr(e.parent)||{},u=[],c=new Set;let d={},h=1/0;for(let t=0;t<Er;t++){const f=Sr[t],p=n[f],m=void 0!==o[f]?o[f]:l[f],v=Ji(m),g=f===a?p.isActive:null;!1===g&&(h=t);let y=m===l[f]&&m!==o[f]&&v;if(y&&i&&e.manuallyAnimateOnMount&&(y=!1),p.protectedKeys=(0,r.A)({},d),!p.isActive&&null===g||!m&&!p.prevProp||Yi(m)||"boolean"===typeof m)continue;const A=Tr(p.prevProp,m);let b=A||f===a&&p.isActive&&!y&&v||t>h&&v,w=!1;const k=Array.isArray(m)?m:[m];let S=k.reduce(s(f),{});!1===g&&(S={});const{prevResolvedValues:E={}}=p,C=(0,r.A)((0,r.A)({},E),S),x=t=>{b=!0,c.has(t)&&(w=!0,c.delete(t)),p.needsAnimating[t]=!0;const n=e.getValue(t);n&&(n.liveStyle=!1)};for(const e in C){const t=S[e],n=E[e];if(d.hasOwnProperty(e))continue;let i=!1;i=Ee(t)&&Ee(n)?!Ar(t,n):t!==n,i?void 0!==t&&null!==t?x(e):c.add(e):void 0!==t&&c.has(e)?x(e):p.protectedKeys[e]=!0}p.prevProp=m,p.prevResolvedValues=S,p.isActive&&(d=(0,r.A)((0,r.A)({},d),S)),i&&e.blockInitialAnimation&&(b=!1);const T=y&&A;b&&(!T||w)&&u.push(...k.map(t=>{const n={type:f};if("string"===typeof t&&i&&!T&&e.manuallyAnimateOnMount&&e.parent){const{parent:i}=e,s=Te(i,t);if(i.enteringChildren&&s){const{delayChildren:t}=s.transition||{};n.delay=gr(i.enteringChildren,e,t)}}return{animation:t,options:n}}))}if(c.size){const t={};if("boolean"!==typeof o.initial){const n=Te(e,Array.isArray(o.initial)?o.initial[0]:o.initial);n&&n.transition&&(t.transition=n.transition)}c.forEach(n=>{const i=e.getBaseTarget(n),s=e.getValue(n);s&&(s.liveStyle=!0),t[n]=null!==i&&void 0!==i?i:null}),u.push({animation:t})}let f=Boolean(u.length);return!i||!1!==o.initial&&o.initial!==o.animate||e.manuallyAnimateOnMount||(f=!1),i=!1,f?t(u):Promise.resolve()}return{animateChanges:a,setActive:function(t,i){var s;if(n[t].isActive===i)return Promise.resolve();null===(s=e.variantChildren)||void 0===s||s.forEach(e=>{var n;return null===(n=e.animationState)||void 0===n?void 0:n.setActive(t,i)}),n[t].isActive=i;const r=a(t);for(const e in n)n[e].protectedKeys={};return r},setAnimateFunction:function(n){t=n(e)},getState:()=>n,reset:()=>{n=Mr()}}}function Tr(e,t){return"string"===typeof t?t!==e:!!Array.isArray(t)&&!Ar(t,e)}function Pr(){return{isActive:arguments.length>0&&void 0!==arguments[0]&&arguments[0],protectedKeys:{},needsAnimating:{},prevResolvedValues:{}}}function Mr(){return{animate:Pr(!0),whileInView:Pr(),whileHover:Pr(),whileTap:Pr(),whileDrag:Pr(),whileFocus:Pr(),exit:Pr()}}class $r{constructor(e){this.isMounted=!1,this.node=e}update(){}}let Lr=0;const Nr={animation:{Feature:class extends $r{constructor(e){super(e),e.animationState||(e.animationState=xr(e))}updateAnimationControlsSubscription(){const{animate:e}=this.node.getProps();Yi(e)&&(this.unmountControls=e.subscribe(this.node))}mount(){this.updateAnimationControlsSubscription()}update(){const{animate:e}=this.node.getProps(),{animate:t}=this.node.prevProps||{};e!==t&&this.updateAnimationControlsSubscription()}unmount(){var e;this.node.animationState.reset(),null===(e=this.unmountControls)||void 0===e||e.call(this)}}},exit:{Feature:class extends $r{constructor(){super(...arguments),this.id=Lr++}update(){if(!this.node.presenceContext)return;const{isPresent:e,onExitComplete:t}=this.node.presenceContext,{isPresent:n}=this.node.prevPresenceContext||{};if(!this.node.animationState||e===n)return;const i=this.node.animationState.setActive("exit",!e);t&&!e&&i.then(()=>{t(this.id)})}mount(){const{register:e,onExitComplete:t}=this.node.presenceContext||{};t&&t(this.id),e&&(this.unmount=e(this.id))}unmount(){}}}},Dr={x:!1,y:!1};function Fr(){return Dr.x||Dr.y}function Vr(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:{passive:!0};return e.addEventListener(t,n,i),()=>e.removeEventListener(t,n)}const Rr=e=>"mouse"===e.pointerType?"number"!==typeof e.button||e.button<=0:!1!==e.isPrimary;function Or(e){return{point:{x:e.pageX,y:e.pageY}}}function Wr(e,t,n,i){return Vr(e,t,(e=>t=>Rr(t)&&e(t,Or(t)))(n),i)}function Ir(e){return e.max-e.min}function zr(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:.5;e.origin=i,e.originPoint=K(t.min,t.max,e.origin),e.scale=Ir(n)/Ir(t),e.translate=K(n.min,n.max,e.origin)-e.originPoint,(e.scale>=.9999&&e.scale<=1.0001||isNaN(e.scale))&&(e.scale=1),(e.translate>=-.01&&e.translate<=.01||isNaN(e.translate))&&(e.translate=0)}function Br(e,t,n,i){zr(e.x,t.x,n.x,i?i.originX:void 0),zr(e.y,t.y,n.y,i?i.originY:void 0)}function _r(e,t,n){e.min=n.min+t.min,e.max=e.min+Ir(t)}function qr(e,t,n){e.min=t.min-n.min,e.max=e.min+Ir(t)}function jr(e,t,n){qr(e.x,t.x,n.x),qr(e.y,t.y,n.y)}function Ur(e){return[e("x"),e("y")]}const Hr=e=>{let{current:t}=e;return t?t.ownerDocument.defaultView:null},Zr=(e,t)=>Math.abs(e-t);class Qr{constructor(e,t){let{transformPagePoint:n,contextWindow:i=window,dragSnapToOrigin:s=!1,distanceThreshold:a=3}=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};if(this.startEvent=null,this.lastMoveEvent=null,this.lastMoveEventInfo=null,this.handlers={},this.contextWindow=window,this.updatePoint=()=>{if(!this.lastMoveEvent||!this.lastMoveEventInfo)return;const e=Xr(this.lastMoveEventInfo,this.history),t=null!==this.startEvent,n=function(e,t){const n=Zr(e.x,t.x),i=Zr(e.y,t.y);return Math.sqrt(n**2+i**2)}(e.offset,{x:0,y:0})>=this.distanceThreshold;if(!t&&!n)return;const{point:i}=e,{timestamp:s}=g;this.history.push((0,r.A)((0,r.A)({},i),{},{timestamp:s}));const{onStart:a,onMove:o}=this.handlers;t||(a&&a(this.lastMoveEvent,e),this.startEvent=this.lastMoveEvent),o&&o(this.lastMoveEvent,e)},this.handlePointerMove=(e,t)=>{this.lastMoveEvent=e,this.lastMoveEventInfo=Gr(t,this.transformPagePoint),m.update(this.updatePoint,!0)},this.handlePointerUp=(e,t)=>{this.end();const{onEnd:n,onSessionEnd:i,resumeAnimation:s}=this.handlers;if(this.dragSnapToOrigin&&s&&s(),!this.lastMoveEvent||!this.lastMoveEventInfo)return;const r=Xr("pointercancel"===e.type?this.lastMoveEventInfo:Gr(t,this.transformPagePoint),this.history);this.startEvent&&n&&n(e,r),i&&i(e,r)},!Rr(e))return;this.dragSnapToOrigin=s,this.handlers=t,this.transformPagePoint=n,this.distanceThreshold=a,this.contextWindow=i||window;const o=Gr(Or(e),this.transformPagePoint),{point:l}=o,{timestamp:u}=g;this.history=[(0,r.A)((0,r.A)({},l),{},{timestamp:u})];const{onSessionStart:c}=t;c&&c(e,Xr(o,this.history)),this.removeListeners=Oe(Wr(this.contextWindow,"pointermove",this.handlePointerMove),Wr(this.contextWindow,"pointerup",this.handlePointerUp),Wr(this.contextWindow,"pointercancel",this.handlePointerUp))}updateHandlers(e){this.handlers=e}end(){this.removeListeners&&this.removeListeners(),v(this.updatePoint)}}function Gr(e,t){return t?{point:t(e.point)}:e}function Kr(e,t){return{x:e.x-t.x,y:e.y-t.y}}function Xr(e,t){let{point:n}=e;return{point:n,delta:Kr(n,Jr(t)),offset:Kr(n,Yr(t)),velocity:ea(t,.1)}}function Yr(e){return e[0]}function Jr(e){return e[e.length-1]}function ea(e,t){if(e.length<2)return{x:0,y:0};let n=e.length-1,i=null;const s=Jr(e);for(;n>=0&&(i=e[n],!(s.timestamp-i.timestamp>N(t)));)n--;if(!i)return{x:0,y:0};const r=D(s.timestamp-i.timestamp);if(0===r)return{x:0,y:0};const a={x:(s.x-i.x)/r,y:(s.y-i.y)/r};return a.x===1/0&&(a.x=0),a.y===1/0&&(a.y=0),a}function ta(e,t,n){return{min:void 0!==t?e.min+t:void 0,max:void 0!==n?e.max+n-(e.max-e.min):void 0}}function na(e,t){let n=t.min-e.min,i=t.max-e.max;return t.max-t.min<e.max-e.min&&([n,i]=[i,n]),{min:n,max:i}}const ia=.35;function sa(e,t,n){return{min:ra(e,t),max:ra(e,n)}}function ra(e,t){return"number"===typeof e?e:e[t]||0}const aa=new WeakMap;class oa{constructor(e){this.openDragLock=null,this.isDragging=!1,this.currentDirection=null,this.originPoint={x:0,y:0},this.constraints=!1,this.hasMutatedConstraints=!1,this.elastic={x:{min:0,max:0},y:{min:0,max:0}},this.latestPointerEvent=null,this.latestPanInfo=null,this.visualElement=e}start(e){let{snapToCursor:t=!1,distanceThreshold:n}=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};const{presenceContext:i}=this.visualElement;if(i&&!1===i.isPresent)return;const{dragSnapToOrigin:s}=this.getProps();this.panSession=new Qr(e,{onSessionStart:e=>{const{dragSnapToOrigin:n}=this.getProps();n?this.pauseAnimation():this.stopAnimation(),t&&this.snapToCursor(Or(e).point)},onStart:(e,t)=>{const{drag:n,dragPropagation:i,onDragStart:s}=this.getProps();if(n&&!i&&(this.openDragLock&&this.openDragLock(),this.openDragLock="x"===(r=n)||"y"===r?Dr[r]?null:(Dr[r]=!0,()=>{Dr[r]=!1}):Dr.x||Dr.y?null:(Dr.x=Dr.y=!0,()=>{Dr.x=Dr.y=!1}),!this.openDragLock))return;var r;this.latestPointerEvent=e,this.latestPanInfo=t,this.isDragging=!0,this.currentDirection=null,this.resolveConstraints(),this.visualElement.projection&&(this.visualElement.projection.isAnimationBlocked=!0,this.visualElement.projection.target=void 0),Ur(e=>{let t=this.getAxisMotionValue(e).get()||0;if(it.test(t)){const{projection:n}=this.visualElement;if(n&&n.layout){const i=n.layout.layoutBox[e];if(i){t=Ir(i)*(parseFloat(t)/100)}}}this.originPoint[e]=t}),s&&m.postRender(()=>s(e,t)),Le(this.visualElement,"transform");const{animationState:a}=this.visualElement;a&&a.setActive("whileDrag",!0)},onMove:(e,t)=>{this.latestPointerEvent=e,this.latestPanInfo=t;const{dragPropagation:n,dragDirectionLock:i,onDirectionLock:s,onDrag:r}=this.getProps();if(!n&&!this.openDragLock)return;const{offset:a}=t;if(i&&null===this.currentDirection)return this.currentDirection=function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:10,n=null;Math.abs(e.y)>t?n="y":Math.abs(e.x)>t&&(n="x");return n}(a),void(null!==this.currentDirection&&s&&s(this.currentDirection));this.updateAxis("x",t.point,a),this.updateAxis("y",t.point,a),this.visualElement.render(),r&&r(e,t)},onSessionEnd:(e,t)=>{this.latestPointerEvent=e,this.latestPanInfo=t,this.stop(e,t),this.latestPointerEvent=null,this.latestPanInfo=null},resumeAnimation:()=>Ur(e=>{var t;return"paused"===this.getAnimationState(e)&&(null===(t=this.getAxisMotionValue(e).animation)||void 0===t?void 0:t.play())})},{transformPagePoint:this.visualElement.getTransformPagePoint(),dragSnapToOrigin:s,distanceThreshold:n,contextWindow:Hr(this.visualElement)})}stop(e,t){const n=e||this.latestPointerEvent,i=t||this.latestPanInfo,s=this.isDragging;if(this.cancel(),!s||!i||!n)return;const{velocity:r}=i;this.startAnimation(r);const{onDragEnd:a}=this.getProps();a&&m.postRender(()=>a(n,i))}cancel(){this.isDragging=!1;const{projection:e,animationState:t}=this.visualElement;e&&(e.isAnimationBlocked=!1),this.panSession&&this.panSession.end(),this.panSession=void 0;const{dragPropagation:n}=this.getProps();!n&&this.openDragLock&&(this.openDragLock(),this.openDragLock=null),t&&t.setActive("whileDrag",!1)}updateAxis(e,t,n){const{drag:i}=this.getProps();if(!n||!la(e,i,this.currentDirection))return;const s=this.getAxisMotionValue(e);let r=this.originPoint[e]+n[e];this.constraints&&this.constraints[e]&&(r=function(e,t,n){let{min:i,max:s}=t;return void 0!==i&&e<i?e=n?K(i,e,n.min):Math.max(e,i):void 0!==s&&e>s&&(e=n?K(s,e,n.max):Math.min(e,s)),e}(r,this.constraints[e],this.elastic[e])),s.set(r)}resolveConstraints(){var e;const{dragConstraints:t,dragElastic:n}=this.getProps(),i=this.visualElement.projection&&!this.visualElement.projection.layout?this.visualElement.projection.measure(!1):null===(e=this.visualElement.projection)||void 0===e?void 0:e.layout,s=this.constraints;t&&lr(t)?this.constraints||(this.constraints=this.resolveRefConstraints()):this.constraints=!(!t||!i)&&function(e,t){let{top:n,left:i,bottom:s,right:r}=t;return{x:ta(e.x,i,r),y:ta(e.y,n,s)}}(i.layoutBox,t),this.elastic=function(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:ia;return!1===e?e=0:!0===e&&(e=ia),{x:sa(e,"left","right"),y:sa(e,"top","bottom")}}(n),s!==this.constraints&&i&&this.constraints&&!this.hasMutatedConstraints&&Ur(e=>{!1!==this.constraints&&this.getAxisMotionValue(e)&&(this.constraints[e]=function(e,t){const n={};return void 0!==t.min&&(n.min=t.min-e.min),void 0!==t.max&&(n.max=t.max-e.min),n}(i.layoutBox[e],this.constraints[e]))})}resolveRefConstraints(){const{dragConstraints:e,onMeasureDragConstraints:t}=this.getProps();if(!e||!lr(e))return!1;const n=e.current,{projection:i}=this.visualElement;if(!i||!i.layout)return!1;const s=function(e,t,n){const i=ki(e,n),{scroll:s}=t;return s&&(Ai(i.x,s.offset.x),Ai(i.y,s.offset.y)),i}(n,i.root,this.visualElement.getTransformPagePoint());let r=function(e,t){return{x:na(e.x,t.x),y:na(e.y,t.y)}}(i.layout.layoutBox,s);if(t){const e=t(function(e){let{x:t,y:n}=e;return{top:n.min,right:t.max,bottom:n.max,left:t.min}}(r));this.hasMutatedConstraints=!!e,e&&(r=oi(e))}return r}startAnimation(e){const{drag:t,dragMomentum:n,dragElastic:i,dragTransition:s,dragSnapToOrigin:a,onDragTransitionEnd:o}=this.getProps(),l=this.constraints||{},u=Ur(o=>{if(!la(o,t,this.currentDirection))return;let u=l&&l[o]||{};a&&(u={min:0,max:0});const c=i?200:1e6,d=i?40:1e7,h=(0,r.A)((0,r.A)({type:"inertia",velocity:n?e[o]:0,bounceStiffness:c,bounceDamping:d,timeConstant:750,restDelta:1,restSpeed:10},s),u);return this.startAxisValueAnimation(o,h)});return Promise.all(u).then(o)}startAxisValueAnimation(e,t){const n=this.getAxisMotionValue(e);return Le(this.visualElement,e),n.start(ei(e,n,0,t,this.visualElement,!1))}stopAnimation(){Ur(e=>this.getAxisMotionValue(e).stop())}pauseAnimation(){Ur(e=>{var t;return null===(t=this.getAxisMotionValue(e).animation)||void 0===t?void 0:t.pause()})}getAnimationState(e){var t;return null===(t=this.getAxisMotionValue(e).animation)||void 0===t?void 0:t.state}getAxisMotionValue(e){const t="_drag".concat(e.toUpperCase()),n=this.visualElement.getProps(),i=n[t];return i||this.visualElement.getValue(e,(n.initial?n.initial[e]:void 0)||0)}snapToCursor(e){Ur(t=>{const{drag:n}=this.getProps();if(!la(t,n,this.currentDirection))return;const{projection:i}=this.visualElement,s=this.getAxisMotionValue(t);if(i&&i.layout){const{min:n,max:r}=i.layout.layoutBox[t];s.set(e[t]-K(n,r,.5))}})}scalePositionWithinConstraints(){if(!this.visualElement.current)return;const{drag:e,dragConstraints:t}=this.getProps(),{projection:n}=this.visualElement;if(!lr(t)||!n||!this.constraints)return;this.stopAnimation();const i={x:0,y:0};Ur(e=>{const t=this.getAxisMotionValue(e);if(t&&!1!==this.constraints){const n=t.get();i[e]=function(e,t){let n=.5;const i=Ir(e),s=Ir(t);return s>i?n=G(t.min,t.max-i,e.min):i>s&&(n=G(e.min,e.max-s,t.min)),L(0,1,n)}({min:n,max:n},this.constraints[e])}});const{transformTemplate:s}=this.visualElement.getProps();this.visualElement.current.style.transform=s?s({},""):"none",n.root&&n.root.updateScroll(),n.updateLayout(),this.resolveConstraints(),Ur(t=>{if(!la(t,e,null))return;const n=this.getAxisMotionValue(t),{min:s,max:r}=this.constraints[t];n.set(K(s,r,i[t]))})}addListeners(){if(!this.visualElement.current)return;aa.set(this.visualElement,this);const e=Wr(this.visualElement.current,"pointerdown",e=>{const{drag:t,dragListener:n=!0}=this.getProps();t&&n&&this.start(e)}),t=()=>{const{dragConstraints:e}=this.getProps();lr(e)&&e.current&&(this.constraints=this.resolveRefConstraints())},{projection:n}=this.visualElement,i=n.addEventListener("measure",t);n&&!n.layout&&(n.root&&n.root.updateScroll(),n.updateLayout()),m.read(t);const s=Vr(window,"resize",()=>this.scalePositionWithinConstraints()),r=n.addEventListener("didUpdate",e=>{let{delta:t,hasLayoutChanged:n}=e;this.isDragging&&n&&(Ur(e=>{const n=this.getAxisMotionValue(e);n&&(this.originPoint[e]+=t[e].translate,n.set(n.get()+t[e].translate))}),this.visualElement.render())});return()=>{s(),e(),i(),r&&r()}}getProps(){const e=this.visualElement.getProps(),{drag:t=!1,dragDirectionLock:n=!1,dragPropagation:i=!1,dragConstraints:s=!1,dragElastic:a=ia,dragMomentum:o=!0}=e;return(0,r.A)((0,r.A)({},e),{},{drag:t,dragDirectionLock:n,dragPropagation:i,dragConstraints:s,dragElastic:a,dragMomentum:o})}}function la(e,t,n){return(!0===t||t===e)&&(null===n||n===e)}const ua=e=>(t,n)=>{e&&m.postRender(()=>e(t,n))};const ca={hasAnimatedSinceResize:!0,hasEverUpdated:!1};function da(e,t){return t.max===t.min?0:e/(t.max-t.min)*100}const ha={correct:(e,t)=>{if(!t.target)return e;if("string"===typeof e){if(!st.test(e))return e;e=parseFloat(e)}const n=da(e,t.target.x),i=da(e,t.target.y);return"".concat(n,"% ").concat(i,"%")}},fa={correct:(e,t)=>{let{treeScale:n,projectionDelta:i}=t;const s=e,r=yt.parse(e);if(r.length>5)return s;const a=yt.createTransformer(e),o="number"!==typeof r[0]?1:0,l=i.x.scale*n.x,u=i.y.scale*n.y;r[0+o]/=l,r[1+o]/=u;const c=K(l,u,.5);return"number"===typeof r[2+o]&&(r[2+o]/=c),"number"===typeof r[3+o]&&(r[3+o]/=c),a(r)}};let pa=!1;class ma extends i.Component{componentDidMount(){const{visualElement:e,layoutGroup:t,switchLayoutGroup:n,layoutId:i}=this.props,{projection:s}=e;!function(e){for(const t in e)fs[t]=e[t],ze(t)&&(fs[t].isCSSVariable=!0)}(ga),s&&(t.group&&t.group.add(s),n&&n.register&&i&&n.register(s),pa&&s.root.didUpdate(),s.addEventListener("animationComplete",()=>{this.safeToRemove()}),s.setOptions((0,r.A)((0,r.A)({},s.options),{},{onExitComplete:()=>this.safeToRemove()}))),ca.hasEverUpdated=!0}getSnapshotBeforeUpdate(e){const{layoutDependency:t,visualElement:n,drag:i,isPresent:s}=this.props,{projection:r}=n;return r?(r.isPresent=s,pa=!0,i||e.layoutDependency!==t||void 0===t||e.isPresent!==s?r.willUpdate():this.safeToRemove(),e.isPresent!==s&&(s?r.promote():r.relegate()||m.postRender(()=>{const e=r.getStack();e&&e.members.length||this.safeToRemove()})),null):null}componentDidUpdate(){const{projection:e}=this.props.visualElement;e&&(e.root.didUpdate(),ji.postRender(()=>{!e.currentAnimation&&e.isLead()&&this.safeToRemove()}))}componentWillUnmount(){const{visualElement:e,layoutGroup:t,switchLayoutGroup:n}=this.props,{projection:i}=e;pa=!0,i&&(i.scheduleCheckAfterUnmount(),t&&t.group&&t.group.remove(i),n&&n.deregister&&n.deregister(i))}safeToRemove(){const{safeToRemove:e}=this.props;e&&e()}render(){return null}}function va(e){const[t,n]=function(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];const t=(0,i.useContext)(er);if(null===t)return[!0,null];const{isPresent:n,onExitComplete:s,register:r}=t,a=(0,i.useId)();(0,i.useEffect)(()=>{if(e)return r(a)},[e]);const o=(0,i.useCallback)(()=>e&&s&&s(a),[a,s,e]);return!n&&s?[!1,o]:[!0]}(),s=(0,i.useContext)(Ws);return(0,Os.jsx)(ma,(0,r.A)((0,r.A)({},e),{},{layoutGroup:s,switchLayoutGroup:(0,i.useContext)(cr),isPresent:t,safeToRemove:n}))}const ga={borderRadius:(0,r.A)((0,r.A)({},ha),{},{applyTo:["borderTopLeftRadius","borderTopRightRadius","borderBottomLeftRadius","borderBottomRightRadius"]}),borderTopLeftRadius:ha,borderTopRightRadius:ha,borderBottomLeftRadius:ha,borderBottomRightRadius:ha,boxShadow:fa},ya=(e,t)=>e.depth-t.depth;class Aa{constructor(){this.children=[],this.isDirty=!1}add(e){a(this.children,e),this.isDirty=!0}remove(e){o(this.children,e),this.isDirty=!0}forEach(e){this.isDirty&&this.children.sort(ya),this.isDirty=!1,this.children.forEach(e)}}function ba(e,t){const n=w.now(),i=s=>{let{timestamp:r}=s;const a=r-n;a>=t&&(v(i),e(a-t))};return m.setup(i,!0),()=>v(i)}const wa=["TopLeft","TopRight","BottomLeft","BottomRight"],ka=wa.length,Sa=e=>"string"===typeof e?parseFloat(e):e,Ea=e=>"number"===typeof e||st.test(e);function Ca(e,t){return void 0!==e[t]?e[t]:e.borderRadius}const xa=Pa(0,.5,Ht),Ta=Pa(.5,.95,d);function Pa(e,t,n){return i=>i<e?0:i>t?1:n(G(e,t,i))}function Ma(e,t){e.min=t.min,e.max=t.max}function $a(e,t){Ma(e.x,t.x),Ma(e.y,t.y)}function La(e,t){e.translate=t.translate,e.scale=t.scale,e.originPoint=t.originPoint,e.origin=t.origin}function Na(e,t,n,i,s){return e=fi(e-=t,1/n,i),void 0!==s&&(e=fi(e,1/s,i)),e}function Da(e,t,n,i,s){let[r,a,o]=n;!function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:.5,s=arguments.length>4?arguments[4]:void 0,r=arguments.length>5&&void 0!==arguments[5]?arguments[5]:e,a=arguments.length>6&&void 0!==arguments[6]?arguments[6]:e;it.test(t)&&(t=parseFloat(t),t=K(a.min,a.max,t/100)-a.min);if("number"!==typeof t)return;let o=K(r.min,r.max,i);e===r&&(o-=t),e.min=Na(e.min,t,n,o,s),e.max=Na(e.max,t,n,o,s)}(e,t[r],t[a],t[o],t.scale,i,s)}const Fa=["x","scaleX","originX"],Va=["y","scaleY","originY"];function Ra(e,t,n,i){Da(e.x,t,Fa,n?n.x:void 0,i?i.x:void 0),Da(e.y,t,Va,n?n.y:void 0,i?i.y:void 0)}function Oa(e){return 0===e.translate&&1===e.scale}function Wa(e){return Oa(e.x)&&Oa(e.y)}function Ia(e,t){return e.min===t.min&&e.max===t.max}function za(e,t){return Math.round(e.min)===Math.round(t.min)&&Math.round(e.max)===Math.round(t.max)}function Ba(e,t){return za(e.x,t.x)&&za(e.y,t.y)}function _a(e){return Ir(e.x)/Ir(e.y)}function qa(e,t){return e.translate===t.translate&&e.scale===t.scale&&e.originPoint===t.originPoint}class ja{constructor(){this.members=[]}add(e){a(this.members,e),e.scheduleRender()}remove(e){if(o(this.members,e),e===this.prevLead&&(this.prevLead=void 0),e===this.lead){const e=this.members[this.members.length-1];e&&this.promote(e)}}relegate(e){const t=this.members.findIndex(t=>e===t);if(0===t)return!1;let n;for(let i=t;i>=0;i--){const e=this.members[i];if(!1!==e.isPresent){n=e;break}}return!!n&&(this.promote(n),!0)}promote(e,t){const n=this.lead;if(e!==n&&(this.prevLead=n,this.lead=e,e.show(),n)){n.instance&&n.scheduleRender(),e.scheduleRender(),e.resumeFrom=n,t&&(e.resumeFrom.preserveOpacity=!0),n.snapshot&&(e.snapshot=n.snapshot,e.snapshot.latestValues=n.animationValues||n.latestValues),e.root&&e.root.isUpdating&&(e.isLayoutDirty=!0);const{crossfade:i}=e.options;!1===i&&n.hide()}}exitAnimationComplete(){this.members.forEach(e=>{const{options:t,resumingFrom:n}=e;t.onExitComplete&&t.onExitComplete(),n&&n.options.onExitComplete&&n.options.onExitComplete()})}scheduleRender(){this.members.forEach(e=>{e.instance&&e.scheduleRender(!1)})}removeLeadSnapshot(){this.lead&&this.lead.snapshot&&(this.lead.snapshot=void 0)}}const Ua={nodes:0,calculatedTargetDeltas:0,calculatedProjections:0},Ha=["","X","Y","Z"];let Za=0;function Qa(e,t,n,i){const{latestValues:s}=t;s[e]&&(n[e]=s[e],t.setStaticValue(e,0),i&&(i[e]=0))}function Ga(e){if(e.hasCheckedOptimisedAppear=!0,e.root===e)return;const{visualElement:t}=e.options;if(!t)return;const n=Fe(t);if(window.MotionHasOptimisedAnimation(n,"transform")){const{layout:t,layoutId:i}=e.options;window.MotionCancelOptimisedAnimation(n,"transform",m,!(t||i))}const{parent:i}=e;i&&!i.hasCheckedOptimisedAppear&&Ga(i)}function Ka(e){let{attachResizeListener:t,defaultParent:n,measureScroll:i,checkIsScrollRoot:s,resetTransform:a}=e;return class{constructor(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{},t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null===n||void 0===n?void 0:n();this.id=Za++,this.animationId=0,this.animationCommitId=0,this.children=new Set,this.options={},this.isTreeAnimating=!1,this.isAnimationBlocked=!1,this.isLayoutDirty=!1,this.isProjectionDirty=!1,this.isSharedProjectionDirty=!1,this.isTransformDirty=!1,this.updateManuallyBlocked=!1,this.updateBlockedByResize=!1,this.isUpdating=!1,this.isSVG=!1,this.needsReset=!1,this.shouldResetTransform=!1,this.hasCheckedOptimisedAppear=!1,this.treeScale={x:1,y:1},this.eventHandlers=new Map,this.hasTreeAnimated=!1,this.layoutVersion=0,this.updateScheduled=!1,this.scheduleUpdate=()=>this.update(),this.projectionUpdateScheduled=!1,this.checkUpdateFailed=()=>{this.isUpdating&&(this.isUpdating=!1,this.clearAllSnapshots())},this.updateProjection=()=>{this.projectionUpdateScheduled=!1,f.value&&(Ua.nodes=Ua.calculatedTargetDeltas=Ua.calculatedProjections=0),this.nodes.forEach(Ja),this.nodes.forEach(ao),this.nodes.forEach(oo),this.nodes.forEach(eo),f.addProjectionMetrics&&f.addProjectionMetrics(Ua)},this.resolvedRelativeTargetAt=0,this.linkedParentVersion=0,this.hasProjected=!1,this.isVisible=!0,this.animationProgress=0,this.sharedNodes=new Map,this.latestValues=e,this.root=t?t.root||t:this,this.path=t?[...t.path,t]:[],this.parent=t,this.depth=t?t.depth+1:0;for(let n=0;n<this.path.length;n++)this.path[n].shouldResetTransform=!0;this.root===this&&(this.nodes=new Aa)}addEventListener(e,t){return this.eventHandlers.has(e)||this.eventHandlers.set(e,new l),this.eventHandlers.get(e).add(t)}notifyListeners(e){const t=this.eventHandlers.get(e);for(var n=arguments.length,i=new Array(n>1?n-1:0),s=1;s<n;s++)i[s-1]=arguments[s];t&&t.notify(...i)}hasListeners(e){return this.eventHandlers.has(e)}mount(e){if(this.instance)return;this.isSVG=ri(e)&&!ai(e),this.instance=e;const{layoutId:n,layout:i,visualElement:s}=this.options;if(s&&!s.current&&s.mount(e),this.root.nodes.add(this),this.parent&&this.parent.children.add(this),this.root.hasTreeAnimated&&(i||n)&&(this.isLayoutDirty=!0),t){let n,i=0;const s=()=>this.root.updateBlockedByResize=!1;m.read(()=>{i=window.innerWidth}),t(e,()=>{const e=window.innerWidth;e!==i&&(i=e,this.root.updateBlockedByResize=!0,n&&n(),n=ba(s,250),ca.hasAnimatedSinceResize&&(ca.hasAnimatedSinceResize=!1,this.nodes.forEach(ro)))})}n&&this.root.registerSharedNode(n,this),!1!==this.options.animate&&s&&(n||i)&&this.addEventListener("didUpdate",e=>{let{delta:t,hasLayoutChanged:n,hasRelativeLayoutChanged:i,layout:a}=e;if(this.isTreeAnimationBlocked())return this.target=void 0,void(this.relativeTarget=void 0);const o=this.options.transition||s.getDefaultTransition()||po,{onLayoutAnimationStart:l,onLayoutAnimationComplete:u}=s.getProps(),c=!this.targetLayout||!Ba(this.targetLayout,a),d=!n&&i;if(this.options.layoutRoot||this.resumeFrom||d||n&&(c||!this.currentAnimation)){this.resumeFrom&&(this.resumingFrom=this.resumeFrom,this.resumingFrom.resumingFrom=void 0);const e=(0,r.A)((0,r.A)({},be(o,"layout")),{},{onPlay:l,onComplete:u});(s.shouldReduceMotion||this.options.layoutRoot)&&(e.delay=0,e.type=!1),this.startAnimation(e),this.setAnimationOrigin(t,d)}else n||ro(this),this.isLead()&&this.options.onExitComplete&&this.options.onExitComplete();this.targetLayout=a})}unmount(){this.options.layoutId&&this.willUpdate(),this.root.nodes.remove(this);const e=this.getStack();e&&e.remove(this),this.parent&&this.parent.children.delete(this),this.instance=void 0,this.eventHandlers.clear(),v(this.updateProjection)}blockUpdate(){this.updateManuallyBlocked=!0}unblockUpdate(){this.updateManuallyBlocked=!1}isUpdateBlocked(){return this.updateManuallyBlocked||this.updateBlockedByResize}isTreeAnimationBlocked(){return this.isAnimationBlocked||this.parent&&this.parent.isTreeAnimationBlocked()||!1}startUpdate(){this.isUpdateBlocked()||(this.isUpdating=!0,this.nodes&&this.nodes.forEach(lo),this.animationId++)}getTransformTemplate(){const{visualElement:e}=this.options;return e&&e.getProps().transformTemplate}willUpdate(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];if(this.root.hasTreeAnimated=!0,this.root.isUpdateBlocked())return void(this.options.onExitComplete&&this.options.onExitComplete());if(window.MotionCancelOptimisedAnimation&&!this.hasCheckedOptimisedAppear&&Ga(this),!this.root.isUpdating&&this.root.startUpdate(),this.isLayoutDirty)return;this.isLayoutDirty=!0;for(let s=0;s<this.path.length;s++){const e=this.path[s];e.shouldResetTransform=!0,e.updateScroll("snapshot"),e.options.layoutRoot&&e.willUpdate(!1)}const{layoutId:t,layout:n}=this.options;if(void 0===t&&!n)return;const i=this.getTransformTemplate();this.prevTransformTemplateValue=i?i(this.latestValues,""):void 0,this.updateSnapshot(),e&&this.notifyListeners("willUpdate")}update(){this.updateScheduled=!1;if(this.isUpdateBlocked())return this.unblockUpdate(),this.clearAllSnapshots(),void this.nodes.forEach(no);if(this.animationId<=this.animationCommitId)return void this.nodes.forEach(io);this.animationCommitId=this.animationId,this.isUpdating?(this.isUpdating=!1,this.nodes.forEach(so),this.nodes.forEach(Xa),this.nodes.forEach(Ya)):this.nodes.forEach(io),this.clearAllSnapshots();const e=w.now();g.delta=L(0,1e3/60,e-g.timestamp),g.timestamp=e,g.isProcessing=!0,y.update.process(g),y.preRender.process(g),y.render.process(g),g.isProcessing=!1}didUpdate(){this.updateScheduled||(this.updateScheduled=!0,ji.read(this.scheduleUpdate))}clearAllSnapshots(){this.nodes.forEach(to),this.sharedNodes.forEach(uo)}scheduleUpdateProjection(){this.projectionUpdateScheduled||(this.projectionUpdateScheduled=!0,m.preRender(this.updateProjection,!1,!0))}scheduleCheckAfterUnmount(){m.postRender(()=>{this.isLayoutDirty?this.root.didUpdate():this.root.checkUpdateFailed()})}updateSnapshot(){!this.snapshot&&this.instance&&(this.snapshot=this.measure(),!this.snapshot||Ir(this.snapshot.measuredBox.x)||Ir(this.snapshot.measuredBox.y)||(this.snapshot=void 0))}updateLayout(){if(!this.instance)return;if(this.updateScroll(),(!this.options.alwaysMeasureLayout||!this.isLead())&&!this.isLayoutDirty)return;if(this.resumeFrom&&!this.resumeFrom.instance)for(let n=0;n<this.path.length;n++){this.path[n].updateScroll()}const e=this.layout;this.layout=this.measure(!1),this.layoutVersion++,this.layoutCorrected={x:{min:0,max:0},y:{min:0,max:0}},this.isLayoutDirty=!1,this.projectionDelta=void 0,this.notifyListeners("measure",this.layout.layoutBox);const{visualElement:t}=this.options;t&&t.notify("LayoutMeasure",this.layout.layoutBox,e?e.layoutBox:void 0)}updateScroll(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:"measure",t=Boolean(this.options.layoutScroll&&this.instance);if(this.scroll&&this.scroll.animationId===this.root.animationId&&this.scroll.phase===e&&(t=!1),t&&this.instance){const t=s(this.instance);this.scroll={animationId:this.root.animationId,phase:e,isRoot:t,offset:i(this.instance),wasRoot:this.scroll?this.scroll.isRoot:t}}}resetTransform(){if(!a)return;const e=this.isLayoutDirty||this.shouldResetTransform||this.options.alwaysMeasureLayout,t=this.projectionDelta&&!Wa(this.projectionDelta),n=this.getTransformTemplate(),i=n?n(this.latestValues,""):void 0,s=i!==this.prevTransformTemplateValue;e&&this.instance&&(t||ci(this.latestValues)||s)&&(a(this.instance,i),this.shouldResetTransform=!1,this.scheduleRender())}measure(){let e=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];const t=this.measurePageBox();let n=this.removeElementScroll(t);var i;return e&&(n=this.removeTransform(n)),go((i=n).x),go(i.y),{animationId:this.root.animationId,measuredBox:t,layoutBox:n,latestValues:{},source:this.id}}measurePageBox(){var e;const{visualElement:t}=this.options;if(!t)return{x:{min:0,max:0},y:{min:0,max:0}};const n=t.measureViewportBox();if(!((null===(e=this.scroll)||void 0===e?void 0:e.wasRoot)||this.path.some(Ao))){const{scroll:e}=this.root;e&&(Ai(n.x,e.offset.x),Ai(n.y,e.offset.y))}return n}removeElementScroll(e){var t;const n={x:{min:0,max:0},y:{min:0,max:0}};if($a(n,e),null!==(t=this.scroll)&&void 0!==t&&t.wasRoot)return n;for(let i=0;i<this.path.length;i++){const t=this.path[i],{scroll:s,options:r}=t;t!==this.root&&s&&r.layoutScroll&&(s.wasRoot&&$a(n,e),Ai(n.x,s.offset.x),Ai(n.y,s.offset.y))}return n}applyTransform(e){let t=arguments.length>1&&void 0!==arguments[1]&&arguments[1];const n={x:{min:0,max:0},y:{min:0,max:0}};$a(n,e);for(let i=0;i<this.path.length;i++){const e=this.path[i];!t&&e.options.layoutScroll&&e.scroll&&e!==e.root&&wi(n,{x:-e.scroll.offset.x,y:-e.scroll.offset.y}),ci(e.latestValues)&&wi(n,e.latestValues)}return ci(this.latestValues)&&wi(n,this.latestValues),n}removeTransform(e){const t={x:{min:0,max:0},y:{min:0,max:0}};$a(t,e);for(let n=0;n<this.path.length;n++){const e=this.path[n];if(!e.instance)continue;if(!ci(e.latestValues))continue;ui(e.latestValues)&&e.updateSnapshot();const i=Qi();$a(i,e.measurePageBox()),Ra(t,e.latestValues,e.snapshot?e.snapshot.layoutBox:void 0,i)}return ci(this.latestValues)&&Ra(t,this.latestValues),t}setTargetDelta(e){this.targetDelta=e,this.root.scheduleUpdateProjection(),this.isProjectionDirty=!0}setOptions(e){this.options=(0,r.A)((0,r.A)((0,r.A)({},this.options),e),{},{crossfade:void 0===e.crossfade||e.crossfade})}clearMeasurements(){this.scroll=void 0,this.layout=void 0,this.snapshot=void 0,this.prevTransformTemplateValue=void 0,this.targetDelta=void 0,this.target=void 0,this.isLayoutDirty=!1}forceRelativeParentToResolveTarget(){this.relativeParent&&this.relativeParent.resolvedRelativeTargetAt!==g.timestamp&&this.relativeParent.resolveTargetDelta(!0)}resolveTargetDelta(){var e;let t=arguments.length>0&&void 0!==arguments[0]&&arguments[0];const n=this.getLead();this.isProjectionDirty||(this.isProjectionDirty=n.isProjectionDirty),this.isTransformDirty||(this.isTransformDirty=n.isTransformDirty),this.isSharedProjectionDirty||(this.isSharedProjectionDirty=n.isSharedProjectionDirty);const i=Boolean(this.resumingFrom)||this!==n;if(!(t||i&&this.isSharedProjectionDirty||this.isProjectionDirty||null!==(e=this.parent)&&void 0!==e&&e.isProjectionDirty||this.attemptToResolveRelativeTarget||this.root.updateBlockedByResize))return;const{layout:s,layoutId:r}=this.options;if(!this.layout||!s&&!r)return;this.resolvedRelativeTargetAt=g.timestamp;const a=this.getClosestProjectingParent();var o,l,u;(a&&this.linkedParentVersion!==a.layoutVersion&&!a.options.layoutRoot&&this.removeRelativeTarget(),this.targetDelta||this.relativeTarget||(a&&a.layout?this.createRelativeTarget(a,this.layout.layoutBox,a.layout.layoutBox):this.removeRelativeTarget()),this.relativeTarget||this.targetDelta)&&(this.target||(this.target={x:{min:0,max:0},y:{min:0,max:0}},this.targetWithTransforms={x:{min:0,max:0},y:{min:0,max:0}}),this.relativeTarget&&this.relativeTargetOrigin&&this.relativeParent&&this.relativeParent.target?(this.forceRelativeParentToResolveTarget(),o=this.target,l=this.relativeTarget,u=this.relativeParent.target,_r(o.x,l.x,u.x),_r(o.y,l.y,u.y)):this.targetDelta?(Boolean(this.resumingFrom)?this.target=this.applyTransform(this.layout.layoutBox):$a(this.target,this.layout.layoutBox),vi(this.target,this.targetDelta)):$a(this.target,this.layout.layoutBox),this.attemptToResolveRelativeTarget&&(this.attemptToResolveRelativeTarget=!1,a&&Boolean(a.resumingFrom)===Boolean(this.resumingFrom)&&!a.options.layoutScroll&&a.target&&1!==this.animationProgress?this.createRelativeTarget(a,this.target,a.target):this.relativeParent=this.relativeTarget=void 0),f.value&&Ua.calculatedTargetDeltas++)}getClosestProjectingParent(){if(this.parent&&!ui(this.parent.latestValues)&&!di(this.parent.latestValues))return this.parent.isProjecting()?this.parent:this.parent.getClosestProjectingParent()}isProjecting(){return Boolean((this.relativeTarget||this.targetDelta||this.options.layoutRoot)&&this.layout)}createRelativeTarget(e,t,n){this.relativeParent=e,this.linkedParentVersion=e.layoutVersion,this.forceRelativeParentToResolveTarget(),this.relativeTarget={x:{min:0,max:0},y:{min:0,max:0}},this.relativeTargetOrigin={x:{min:0,max:0},y:{min:0,max:0}},jr(this.relativeTargetOrigin,t,n),$a(this.relativeTarget,this.relativeTargetOrigin)}removeRelativeTarget(){this.relativeParent=this.relativeTarget=void 0}calcProjection(){var e;const t=this.getLead(),n=Boolean(this.resumingFrom)||this!==t;let i=!0;if((this.isProjectionDirty||null!==(e=this.parent)&&void 0!==e&&e.isProjectionDirty)&&(i=!1),n&&(this.isSharedProjectionDirty||this.isTransformDirty)&&(i=!1),this.resolvedRelativeTargetAt===g.timestamp&&(i=!1),i)return;const{layout:s,layoutId:r}=this.options;if(this.isTreeAnimating=Boolean(this.parent&&this.parent.isTreeAnimating||this.currentAnimation||this.pendingAnimation),this.isTreeAnimating||(this.targetDelta=this.relativeTarget=void 0),!this.layout||!s&&!r)return;$a(this.layoutCorrected,this.layout.layoutBox);const a=this.treeScale.x,o=this.treeScale.y;!function(e,t,n){let i=arguments.length>3&&void 0!==arguments[3]&&arguments[3];const s=n.length;if(!s)return;let r,a;t.x=t.y=1;for(let o=0;o<s;o++){r=n[o],a=r.projectionDelta;const{visualElement:s}=r.options;s&&s.props.style&&"contents"===s.props.style.display||(i&&r.options.layoutScroll&&r.scroll&&r!==r.root&&wi(e,{x:-r.scroll.offset.x,y:-r.scroll.offset.y}),a&&(t.x*=a.x.scale,t.y*=a.y.scale,vi(e,a)),i&&ci(r.latestValues)&&wi(e,r.latestValues))}t.x<yi&&t.x>gi&&(t.x=1),t.y<yi&&t.y>gi&&(t.y=1)}(this.layoutCorrected,this.treeScale,this.path,n),!t.layout||t.target||1===this.treeScale.x&&1===this.treeScale.y||(t.target=t.layout.layoutBox,t.targetWithTransforms={x:{min:0,max:0},y:{min:0,max:0}});const{target:l}=t;l?(this.projectionDelta&&this.prevProjectionDelta?(La(this.prevProjectionDelta.x,this.projectionDelta.x),La(this.prevProjectionDelta.y,this.projectionDelta.y)):this.createProjectionDeltas(),Br(this.projectionDelta,this.layoutCorrected,l,this.latestValues),this.treeScale.x===a&&this.treeScale.y===o&&qa(this.projectionDelta.x,this.prevProjectionDelta.x)&&qa(this.projectionDelta.y,this.prevProjectionDelta.y)||(this.hasProjected=!0,this.scheduleRender(),this.notifyListeners("projectionUpdate",l)),f.value&&Ua.calculatedProjections++):this.prevProjectionDelta&&(this.createProjectionDeltas(),this.scheduleRender())}hide(){this.isVisible=!1}show(){this.isVisible=!0}scheduleRender(){var e;let t=!(arguments.length>0&&void 0!==arguments[0])||arguments[0];if(null===(e=this.options.visualElement)||void 0===e||e.scheduleRender(),t){const e=this.getStack();e&&e.scheduleRender()}this.resumingFrom&&!this.resumingFrom.instance&&(this.resumingFrom=void 0)}createProjectionDeltas(){this.prevProjectionDelta={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}},this.projectionDelta={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}},this.projectionDeltaWithTransform={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}}}setAnimationOrigin(e){let t=arguments.length>1&&void 0!==arguments[1]&&arguments[1];const n=this.snapshot,i=n?n.latestValues:{},s=(0,r.A)({},this.latestValues),a={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}};this.relativeParent&&this.relativeParent.options.layoutRoot||(this.relativeTarget=this.relativeTargetOrigin=void 0),this.attemptToResolveRelativeTarget=!t;const o={x:{min:0,max:0},y:{min:0,max:0}},l=(n?n.source:void 0)!==(this.layout?this.layout.source:void 0),u=this.getStack(),c=!u||u.members.length<=1,d=Boolean(l&&!c&&!0===this.options.crossfade&&!this.path.some(fo));let h;this.animationProgress=0,this.mixTargetDelta=t=>{const n=t/1e3;var r,u,f,p,m,v;co(a.x,e.x,n),co(a.y,e.y,n),this.setTargetDelta(a),this.relativeTarget&&this.relativeTargetOrigin&&this.layout&&this.relativeParent&&this.relativeParent.layout&&(jr(o,this.layout.layoutBox,this.relativeParent.layout.layoutBox),f=this.relativeTarget,p=this.relativeTargetOrigin,m=o,v=n,ho(f.x,p.x,m.x,v),ho(f.y,p.y,m.y,v),h&&(r=this.relativeTarget,u=h,Ia(r.x,u.x)&&Ia(r.y,u.y))&&(this.isProjectionDirty=!1),h||(h={x:{min:0,max:0},y:{min:0,max:0}}),$a(h,this.relativeTarget)),l&&(this.animationValues=s,function(e,t,n,i,s,r){var a,o;if(s)e.opacity=K(0,null!==(a=n.opacity)&&void 0!==a?a:1,xa(i)),e.opacityExit=K(null!==(o=t.opacity)&&void 0!==o?o:1,0,Ta(i));else if(r){var l,u;e.opacity=K(null!==(l=t.opacity)&&void 0!==l?l:1,null!==(u=n.opacity)&&void 0!==u?u:1,i)}for(let c=0;c<ka;c++){const s="border".concat(wa[c],"Radius");let r=Ca(t,s),a=Ca(n,s);void 0===r&&void 0===a||(r||(r=0),a||(a=0),0===r||0===a||Ea(r)===Ea(a)?(e[s]=Math.max(K(Sa(r),Sa(a),i),0),(it.test(a)||it.test(r))&&(e[s]+="%")):e[s]=a)}(t.rotate||n.rotate)&&(e.rotate=K(t.rotate||0,n.rotate||0,i))}(s,i,this.latestValues,n,d,c)),this.root.scheduleUpdateProjection(),this.scheduleRender(),this.animationProgress=n},this.mixTargetDelta(this.options.layoutRoot?1e3:0)}startAnimation(e){var t,n;this.notifyListeners("animationStart"),null===(t=this.currentAnimation)||void 0===t||t.stop(),null===(n=this.resumingFrom)||void 0===n||null===(n=n.currentAnimation)||void 0===n||n.stop(),this.pendingAnimation&&(v(this.pendingAnimation),this.pendingAnimation=void 0),this.pendingAnimation=m.update(()=>{ca.hasAnimatedSinceResize=!0,We.layout++,this.motionValue||(this.motionValue=E(0)),this.currentAnimation=Ps(this.motionValue,[0,1e3],(0,r.A)((0,r.A)({},e),{},{velocity:0,isSync:!0,onUpdate:t=>{this.mixTargetDelta(t),e.onUpdate&&e.onUpdate(t)},onStop:()=>{We.layout--},onComplete:()=>{We.layout--,e.onComplete&&e.onComplete(),this.completeAnimation()}})),this.resumingFrom&&(this.resumingFrom.currentAnimation=this.currentAnimation),this.pendingAnimation=void 0})}completeAnimation(){this.resumingFrom&&(this.resumingFrom.currentAnimation=void 0,this.resumingFrom.preserveOpacity=void 0);const e=this.getStack();e&&e.exitAnimationComplete(),this.resumingFrom=this.currentAnimation=this.animationValues=void 0,this.notifyListeners("animationComplete")}finishAnimation(){this.currentAnimation&&(this.mixTargetDelta&&this.mixTargetDelta(1e3),this.currentAnimation.stop()),this.completeAnimation()}applyTransformsToTarget(){const e=this.getLead();let{targetWithTransforms:t,target:n,layout:i,latestValues:s}=e;if(t&&n&&i){if(this!==e&&this.layout&&i&&yo(this.options.animationType,this.layout.layoutBox,i.layoutBox)){n=this.target||{x:{min:0,max:0},y:{min:0,max:0}};const t=Ir(this.layout.layoutBox.x);n.x.min=e.target.x.min,n.x.max=n.x.min+t;const i=Ir(this.layout.layoutBox.y);n.y.min=e.target.y.min,n.y.max=n.y.min+i}$a(t,n),wi(t,s),Br(this.projectionDeltaWithTransform,this.layoutCorrected,t,s)}}registerSharedNode(e,t){this.sharedNodes.has(e)||this.sharedNodes.set(e,new ja);this.sharedNodes.get(e).add(t);const n=t.options.initialPromotionConfig;t.promote({transition:n?n.transition:void 0,preserveFollowOpacity:n&&n.shouldPreserveFollowOpacity?n.shouldPreserveFollowOpacity(t):void 0})}isLead(){const e=this.getStack();return!e||e.lead===this}getLead(){var e;const{layoutId:t}=this.options;return t&&(null===(e=this.getStack())||void 0===e?void 0:e.lead)||this}getPrevLead(){var e;const{layoutId:t}=this.options;return t?null===(e=this.getStack())||void 0===e?void 0:e.prevLead:void 0}getStack(){const{layoutId:e}=this.options;if(e)return this.root.sharedNodes.get(e)}promote(){let{needsReset:e,transition:t,preserveFollowOpacity:n}=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};const i=this.getStack();i&&i.promote(this,n),e&&(this.projectionDelta=void 0,this.needsReset=!0),t&&this.setOptions({transition:t})}relegate(){const e=this.getStack();return!!e&&e.relegate(this)}resetSkewAndRotation(){const{visualElement:e}=this.options;if(!e)return;let t=!1;const{latestValues:n}=e;if((n.z||n.rotate||n.rotateX||n.rotateY||n.rotateZ||n.skewX||n.skewY)&&(t=!0),!t)return;const i={};n.z&&Qa("z",e,i,this.animationValues);for(let s=0;s<Ha.length;s++)Qa("rotate".concat(Ha[s]),e,i,this.animationValues),Qa("skew".concat(Ha[s]),e,i,this.animationValues);e.render();for(const s in i)e.setStaticValue(s,i[s]),this.animationValues&&(this.animationValues[s]=i[s]);e.scheduleRender()}applyProjectionStyles(e,t){if(!this.instance||this.isSVG)return;if(!this.isVisible)return void(e.visibility="hidden");const n=this.getTransformTemplate();if(this.needsReset)return this.needsReset=!1,e.visibility="",e.opacity="",e.pointerEvents=tr(null===t||void 0===t?void 0:t.pointerEvents)||"",void(e.transform=n?n(this.latestValues,""):"none");const i=this.getLead();if(!this.projectionDelta||!this.layout||!i.target)return this.options.layoutId&&(e.opacity=void 0!==this.latestValues.opacity?this.latestValues.opacity:1,e.pointerEvents=tr(null===t||void 0===t?void 0:t.pointerEvents)||""),void(this.hasProjected&&!ci(this.latestValues)&&(e.transform=n?n({},""):"none",this.hasProjected=!1));e.visibility="";const s=i.animationValues||i.latestValues;this.applyTransformsToTarget();let r=function(e,t,n){let i="";const s=e.x.translate/t.x,r=e.y.translate/t.y,a=(null===n||void 0===n?void 0:n.z)||0;if((s||r||a)&&(i="translate3d(".concat(s,"px, ").concat(r,"px, ").concat(a,"px) ")),1===t.x&&1===t.y||(i+="scale(".concat(1/t.x,", ").concat(1/t.y,") ")),n){const{transformPerspective:e,rotate:t,rotateX:s,rotateY:r,skewX:a,skewY:o}=n;e&&(i="perspective(".concat(e,"px) ").concat(i)),t&&(i+="rotate(".concat(t,"deg) ")),s&&(i+="rotateX(".concat(s,"deg) ")),r&&(i+="rotateY(".concat(r,"deg) ")),a&&(i+="skewX(".concat(a,"deg) ")),o&&(i+="skewY(".concat(o,"deg) "))}const o=e.x.scale*t.x,l=e.y.scale*t.y;return 1===o&&1===l||(i+="scale(".concat(o,", ").concat(l,")")),i||"none"}(this.projectionDeltaWithTransform,this.treeScale,s);n&&(r=n(s,r)),e.transform=r;const{x:a,y:o}=this.projectionDelta;var l,u;(e.transformOrigin="".concat(100*a.origin,"% ").concat(100*o.origin,"% 0"),i.animationValues)?e.opacity=i===this?null!==(l=null!==(u=s.opacity)&&void 0!==u?u:this.latestValues.opacity)&&void 0!==l?l:1:this.preserveOpacity?this.latestValues.opacity:s.opacityExit:e.opacity=i===this?void 0!==s.opacity?s.opacity:"":void 0!==s.opacityExit?s.opacityExit:0;for(const c in fs){if(void 0===s[c])continue;const{correct:t,applyTo:n,isCSSVariable:a}=fs[c],o="none"===r?s[c]:t(s[c],i);if(n){const t=n.length;for(let i=0;i<t;i++)e[n[i]]=o}else a?this.options.visualElement.renderState.vars[c]=o:e[c]=o}this.options.layoutId&&(e.pointerEvents=i===this?tr(null===t||void 0===t?void 0:t.pointerEvents)||"":"none")}clearSnapshot(){this.resumeFrom=this.snapshot=void 0}resetTree(){this.root.nodes.forEach(e=>{var t;return null===(t=e.currentAnimation)||void 0===t?void 0:t.stop()}),this.root.nodes.forEach(no),this.root.sharedNodes.clear()}}}function Xa(e){e.updateLayout()}function Ya(e){var t;const n=(null===(t=e.resumeFrom)||void 0===t?void 0:t.snapshot)||e.snapshot;if(e.isLead()&&e.layout&&n&&e.hasListeners("didUpdate")){const{layoutBox:t,measuredBox:i}=e.layout,{animationType:s}=e.options,r=n.source!==e.layout.source;"size"===s?Ur(e=>{const i=r?n.measuredBox[e]:n.layoutBox[e],s=Ir(i);i.min=t[e].min,i.max=i.min+s}):yo(s,n.layoutBox,t)&&Ur(i=>{const s=r?n.measuredBox[i]:n.layoutBox[i],a=Ir(t[i]);s.max=s.min+a,e.relativeTarget&&!e.currentAnimation&&(e.isProjectionDirty=!0,e.relativeTarget[i].max=e.relativeTarget[i].min+a)});const a={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}};Br(a,t,n.layoutBox);const o={x:{translate:0,scale:1,origin:0,originPoint:0},y:{translate:0,scale:1,origin:0,originPoint:0}};r?Br(o,e.applyTransform(i,!0),n.measuredBox):Br(o,t,n.layoutBox);const l=!Wa(a);let u=!1;if(!e.resumeFrom){const i=e.getClosestProjectingParent();if(i&&!i.resumeFrom){const{snapshot:s,layout:r}=i;if(s&&r){const a={x:{min:0,max:0},y:{min:0,max:0}};jr(a,n.layoutBox,s.layoutBox);const o={x:{min:0,max:0},y:{min:0,max:0}};jr(o,t,r.layoutBox),Ba(a,o)||(u=!0),i.options.layoutRoot&&(e.relativeTarget=o,e.relativeTargetOrigin=a,e.relativeParent=i)}}}e.notifyListeners("didUpdate",{layout:t,snapshot:n,delta:o,layoutDelta:a,hasLayoutChanged:l,hasRelativeLayoutChanged:u})}else if(e.isLead()){const{onExitComplete:t}=e.options;t&&t()}e.options.transition=void 0}function Ja(e){f.value&&Ua.nodes++,e.parent&&(e.isProjecting()||(e.isProjectionDirty=e.parent.isProjectionDirty),e.isSharedProjectionDirty||(e.isSharedProjectionDirty=Boolean(e.isProjectionDirty||e.parent.isProjectionDirty||e.parent.isSharedProjectionDirty)),e.isTransformDirty||(e.isTransformDirty=e.parent.isTransformDirty))}function eo(e){e.isProjectionDirty=e.isSharedProjectionDirty=e.isTransformDirty=!1}function to(e){e.clearSnapshot()}function no(e){e.clearMeasurements()}function io(e){e.isLayoutDirty=!1}function so(e){const{visualElement:t}=e.options;t&&t.getProps().onBeforeLayoutMeasure&&t.notify("BeforeLayoutMeasure"),e.resetTransform()}function ro(e){e.finishAnimation(),e.targetDelta=e.relativeTarget=e.target=void 0,e.isProjectionDirty=!0}function ao(e){e.resolveTargetDelta()}function oo(e){e.calcProjection()}function lo(e){e.resetSkewAndRotation()}function uo(e){e.removeLeadSnapshot()}function co(e,t,n){e.translate=K(t.translate,0,n),e.scale=K(t.scale,1,n),e.origin=t.origin,e.originPoint=t.originPoint}function ho(e,t,n,i){e.min=K(t.min,n.min,i),e.max=K(t.max,n.max,i)}function fo(e){return e.animationValues&&void 0!==e.animationValues.opacityExit}const po={duration:.45,ease:[.4,0,.1,1]},mo=e=>"undefined"!==typeof navigator&&navigator.userAgent&&navigator.userAgent.toLowerCase().includes(e),vo=mo("applewebkit/")&&!mo("chrome/")?Math.round:d;function go(e){e.min=vo(e.min),e.max=vo(e.max)}function yo(e,t,n){return"position"===e||"preserve-aspect"===e&&(i=_a(t),s=_a(n),r=.2,!(Math.abs(i-s)<=r));var i,s,r}function Ao(e){var t;return e!==e.root&&(null===(t=e.scroll)||void 0===t?void 0:t.wasRoot)}const bo=Ka({attachResizeListener:(e,t)=>Vr(e,"resize",t),measureScroll:()=>({x:document.documentElement.scrollLeft||document.body.scrollLeft,y:document.documentElement.scrollTop||document.body.scrollTop}),checkIsScrollRoot:()=>!0}),wo={current:void 0},ko=Ka({measureScroll:e=>({x:e.scrollLeft,y:e.scrollTop}),defaultParent:()=>{if(!wo.current){const e=new bo({});e.mount(window),e.setOptions({layoutScroll:!0}),wo.current=e}return wo.current},resetTransform:(e,t)=>{e.style.transform=void 0!==t?t:"none"},checkIsScrollRoot:e=>Boolean("fixed"===window.getComputedStyle(e).position)}),So={pan:{Feature:class extends $r{constructor(){super(...arguments),this.removePointerDownListener=d}onPointerDown(e){this.session=new Qr(e,this.createPanHandlers(),{transformPagePoint:this.node.getTransformPagePoint(),contextWindow:Hr(this.node)})}createPanHandlers(){const{onPanSessionStart:e,onPanStart:t,onPan:n,onPanEnd:i}=this.node.getProps();return{onSessionStart:ua(e),onStart:ua(t),onMove:n,onEnd:(e,t)=>{delete this.session,i&&m.postRender(()=>i(e,t))}}}mount(){this.removePointerDownListener=Wr(this.node.current,"pointerdown",e=>this.onPointerDown(e))}update(){this.session&&this.session.updateHandlers(this.createPanHandlers())}unmount(){this.removePointerDownListener(),this.session&&this.session.end()}}},drag:{Feature:class extends $r{constructor(e){super(e),this.removeGroupControls=d,this.removeListeners=d,this.controls=new oa(e)}mount(){const{dragControls:e}=this.node.getProps();e&&(this.removeGroupControls=e.subscribe(this.controls)),this.removeListeners=this.controls.addListeners()||d}unmount(){this.removeGroupControls(),this.removeListeners()}},ProjectionNode:ko,MeasureLayout:va}};function Eo(e,t){const n=ie(e),i=new AbortController;return[n,(0,r.A)((0,r.A)({passive:!0},t),{},{signal:i.signal}),()=>i.abort()]}function Co(e){return!("touch"===e.pointerType||Fr())}function xo(e,t,n){const{props:i}=e;e.animationState&&i.whileHover&&e.animationState.setActive("whileHover","Start"===n);const s=i["onHover"+n];s&&m.postRender(()=>s(t,Or(t)))}const To=(e,t)=>!!t&&(e===t||To(e,t.parentElement)),Po=new Set(["BUTTON","INPUT","SELECT","TEXTAREA","A"]);const Mo=new WeakSet;function $o(e){return t=>{"Enter"===t.key&&e(t)}}function Lo(e,t){e.dispatchEvent(new PointerEvent("pointer"+t,{isPrimary:!0,bubbles:!0}))}function No(e){return Rr(e)&&!Fr()}function Do(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const[i,s,r]=Eo(e,n),a=e=>{const i=e.currentTarget;if(!No(e))return;Mo.add(i);const r=t(i,e),a=(e,t)=>{window.removeEventListener("pointerup",o),window.removeEventListener("pointercancel",l),Mo.has(i)&&Mo.delete(i),No(e)&&"function"===typeof r&&r(e,{success:t})},o=e=>{a(e,i===window||i===document||n.useGlobalTarget||To(i,e.target))},l=e=>{a(e,!1)};window.addEventListener("pointerup",o,s),window.addEventListener("pointercancel",l,s)};return i.forEach(e=>{var t;(n.useGlobalTarget?window:e).addEventListener("pointerdown",a,s),si(t=e)&&"offsetHeight"in t&&(e.addEventListener("focus",e=>((e,t)=>{const n=e.currentTarget;if(!n)return;const i=$o(()=>{if(Mo.has(n))return;Lo(n,"down");const e=$o(()=>{Lo(n,"up")});n.addEventListener("keyup",e,t),n.addEventListener("blur",()=>Lo(n,"cancel"),t)});n.addEventListener("keydown",i,t),n.addEventListener("blur",()=>n.removeEventListener("keydown",i),t)})(e,s)),function(e){return Po.has(e.tagName)||-1!==e.tabIndex}(e)||e.hasAttribute("tabindex")||(e.tabIndex=0))}),r}function Fo(e,t,n){const{props:i}=e;if(e.current instanceof HTMLButtonElement&&e.current.disabled)return;e.animationState&&i.whileTap&&e.animationState.setActive("whileTap","Start"===n);const s=i["onTap"+("End"===n?"":n)];s&&m.postRender(()=>s(t,Or(t)))}const Vo=["root"],Ro=new WeakMap,Oo=new WeakMap,Wo=e=>{const t=Ro.get(e.target);t&&t(e)},Io=e=>{e.forEach(Wo)};function zo(e,t,n){const i=function(e){let{root:t}=e,n=(0,T.A)(e,Vo);const i=t||document;Oo.has(i)||Oo.set(i,{});const s=Oo.get(i),a=JSON.stringify(n);return s[a]||(s[a]=new IntersectionObserver(Io,(0,r.A)({root:t},n))),s[a]}(t);return Ro.set(e,n),i.observe(e),()=>{Ro.delete(e),i.unobserve(e)}}const Bo={some:0,all:1};const _o={inView:{Feature:class extends $r{constructor(){super(...arguments),this.hasEnteredView=!1,this.isInView=!1}startObserver(){this.unmount();const{viewport:e={}}=this.node.getProps(),{root:t,margin:n,amount:i="some",once:s}=e,r={root:t?t.current:void 0,rootMargin:n,threshold:"number"===typeof i?i:Bo[i]};return zo(this.node.current,r,e=>{const{isIntersecting:t}=e;if(this.isInView===t)return;if(this.isInView=t,s&&!t&&this.hasEnteredView)return;t&&(this.hasEnteredView=!0),this.node.animationState&&this.node.animationState.setActive("whileInView",t);const{onViewportEnter:n,onViewportLeave:i}=this.node.getProps(),r=t?n:i;r&&r(e)})}mount(){this.startObserver()}update(){if("undefined"===typeof IntersectionObserver)return;const{props:e,prevProps:t}=this.node,n=["amount","margin","root"].some(function(e){let{viewport:t={}}=e,{viewport:n={}}=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};return e=>t[e]!==n[e]}(e,t));n&&this.startObserver()}unmount(){}}},tap:{Feature:class extends $r{mount(){const{current:e}=this.node;e&&(this.unmount=Do(e,(e,t)=>(Fo(this.node,t,"Start"),(e,t)=>{let{success:n}=t;return Fo(this.node,e,n?"End":"Cancel")}),{useGlobalTarget:this.node.props.globalTapTarget}))}unmount(){}}},focus:{Feature:class extends $r{constructor(){super(...arguments),this.isActive=!1}onFocus(){let e=!1;try{e=this.node.current.matches(":focus-visible")}catch(t){e=!0}e&&this.node.animationState&&(this.node.animationState.setActive("whileFocus",!0),this.isActive=!0)}onBlur(){this.isActive&&this.node.animationState&&(this.node.animationState.setActive("whileFocus",!1),this.isActive=!1)}mount(){this.unmount=Oe(Vr(this.node.current,"focus",()=>this.onFocus()),Vr(this.node.current,"blur",()=>this.onBlur()))}unmount(){}}},hover:{Feature:class extends $r{mount(){const{current:e}=this.node;e&&(this.unmount=function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const[i,s,r]=Eo(e,n),a=e=>{if(!Co(e))return;const{target:n}=e,i=t(n,e);if("function"!==typeof i||!n)return;const r=e=>{Co(e)&&(i(e),n.removeEventListener("pointerleave",r))};n.addEventListener("pointerleave",r,s)};return i.forEach(e=>{e.addEventListener("pointerenter",a,s)}),r}(e,(e,t)=>(xo(this.node,t,"Start"),e=>xo(this.node,e,"End"))))}unmount(){}}}},qo={layout:{ProjectionNode:ko,MeasureLayout:va}},jo=vr((0,r.A)((0,r.A)((0,r.A)((0,r.A)({},Nr),_o),So),qo),Rs);var Uo=n(790),Ho=n(562),Zo=n(149),Qo=n(458),Go=n(558),Ko=n(705),Xo=n(408),Yo=n(180),Jo=n(950);const el=["children"],tl=["children"],nl=["children"],il=["children"],sl=["children"],rl=["children"],al=["children"],ol=["children"],ll=["children"],ul=["children"],cl=["children"],dl=["children"],hl=["children"],fl=["children"],pl=["children"],ml=["children"],vl=["children"],gl=["children"],yl=["children"],Al=["children"],bl=["instance","children"],wl=["children"],kl=["children"],Sl=["children"],El=["children"],Cl=["container","disabled","children"],xl=["children"],Tl=["children"],Pl=["children"],Ml=["children"],$l=["instance","children"];function Ll(){return(0,Yo.A6)(Xo.Q2)}const Nl=(0,Yo.hZ)(Xo.wg,{domEventsRegex:/^onMedia/}),Dl=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,el);return i.createElement(Nl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Dl.displayName="AirPlayButton";const Fl=(0,Yo.hZ)(Xo.SY,{domEventsRegex:/^onMedia/}),Vl=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,tl);return i.createElement(Fl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Vl.displayName="PlayButton";const Rl=(0,Yo.hZ)(Xo.a3,{domEventsRegex:/^onMedia/}),Ol=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,nl);return i.createElement(Rl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Ol.displayName="CaptionButton";const Wl=(0,Yo.hZ)(Xo.f,{domEventsRegex:/^onMedia/}),Il=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,il);return i.createElement(Wl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Il.displayName="FullscreenButton";const zl=(0,Yo.hZ)(Xo.ri,{domEventsRegex:/^onMedia/}),Bl=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,sl);return i.createElement(zl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Bl.displayName="MuteButton";const _l=(0,Yo.hZ)(Xo.V_,{domEventsRegex:/^onMedia/}),ql=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,rl);return i.createElement(_l,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});ql.displayName="PIPButton";const jl=(0,Yo.hZ)(Xo.kk,{domEventsRegex:/^onMedia/}),Ul=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,al);return i.createElement(jl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Ul.displayName="SeekButton";const Hl=(0,Yo.hZ)(Xo.W_,{domEventsRegex:/^onMedia/}),Zl=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,ol);return i.createElement(Hl,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Zl.displayName="LiveButton";const Ql=["onDragStart","onDragEnd","onDragValueChange","onValueChange","onPointerValueChange"],Gl=(0,Yo.hZ)(Xo.CN),Kl=(0,Yo.hZ)(Xo.jc,{events:Ql}),Xl=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,ll);return i.createElement(Kl,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});Xl.displayName="Slider";const Yl=i.forwardRef((e,t)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:t})));Yl.displayName="SliderThumb";const Jl=i.forwardRef((e,t)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:t})));Jl.displayName="SliderTrack";const eu=i.forwardRef((e,t)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:t})));eu.displayName="SliderTrackFill";const tu=(0,Yo.hZ)(Xo.tH),nu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,ul);return i.createElement(tu,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});nu.displayName="SliderPreview";const iu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,cl);return i.createElement(Gl,(0,r.A)({},s),(e,s)=>{const a=(0,Yo.Ul)(()=>s.getValueText(),s);return i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:t}),a,n)})});iu.displayName="SliderValue";const su=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,dl);const a=(0,Xo.Sp)("min"),o=((0,Xo.Sp)("max")-a)/(0,Xo.Sp)("step");return i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},s),{},{ref:t}),Array.from({length:Math.floor(o)+1}).map((e,t)=>n(t)))});su.displayName="SliderSteps";const ru=(0,Yo.hZ)(Xo.NQ,{events:Ql,domEventsRegex:/^onMedia/}),au=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,hl);return i.createElement(ru,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});au.displayName="VolumeSlider";function ou(e,t){const n=new URL(e);for(const i of Object.keys(t))n.searchParams.set(i,t[i]+"");return n.toString()}const lu=(0,Yo.hZ)(Xo.OM),uu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,fl);return i.createElement(lu,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});uu.displayName="Thumbnail";const cu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,pl);const{src:a,img:o,crossOrigin:l}=(0,Yo.w$)(Xo.OM.state),u=(0,Yo.Ul)(a),c=(0,Yo.Ul)(l);return i.createElement(Xo.sG.img,(0,r.A)((0,r.A)({crossOrigin:c},s),{},{src:u||void 0,ref:(0,Yo.tE)(o.set,t)}),n)});cu.displayName="ThumbnailImg";const du=i.createContext({$chapters:(0,Yo.O)(null)});du.displayName="TimeSliderContext";const hu=(0,Yo.hZ)(Xo.Ty,{events:Ql,domEventsRegex:/^onMedia/}),fu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,ml);const a=i.useMemo(()=>(0,Yo.O)(null),[]);return i.createElement(du.Provider,{value:{$chapters:a}},i.createElement(hu,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n)))});fu.displayName="TimeSlider";const pu=(0,Yo.hZ)(Xo.PZ),mu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,vl);return i.createElement(pu,(0,r.A)({},s),(e,s)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),i.createElement(vu,{instance:s},n)))});function vu(e){let{instance:t,children:n}=e;const s=(0,Yo.Ul)(()=>t.cues,t),r=i.useRef([]),a=i.useRef(null),{$chapters:o}=i.useContext(du);return a.current||(a.current=function(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:0,t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";return Xo.X3?{startTime:e,endTime:t,text:n,addEventListener:Yo.lQ,removeEventListener:Yo.lQ,dispatchEvent:Yo.lQ}:new window.VTTCue(e,t,n)}()),i.useEffect(()=>(o.set(t),()=>{o.set(null)}),[t]),i.useEffect(()=>{t.setRefs(r.current)},[s]),n(s.length?s:[a.current],e=>{e?r.current.push(e):r.current.length=0})}mu.displayName="SliderChapters",vu.displayName="SliderChapterTracks";const gu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,gl);const{$chapters:a}=i.useContext(du),[o,l]=i.useState();return i.useEffect(()=>(0,Yo.QZ)(()=>{const e=a(),t=(null===e||void 0===e?void 0:e.activePointerCue)||(null===e||void 0===e?void 0:e.activeCue);l((null===t||void 0===t?void 0:t.text)||"")}),[]),i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},s),{},{ref:t}),o,n)});gu.displayName="SliderChapterTitle";const yu=i.forwardRef((e,t)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:t})));yu.displayName="SliderProgress";const Au=(0,Yo.hZ)(Xo.P4),bu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,yl);return i.createElement(Au,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});bu.displayName="SliderThumbnail";const wu={Root:bu,Img:cu},ku=(0,Yo.hZ)(Xo.as,{events:["onCanPlay","onError"]}),Su=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Al);return i.createElement(ku,(0,r.A)({},s),(e,s)=>i.createElement(Eu,(0,r.A)((0,r.A)({},e),{},{instance:s,ref:(0,Yo.tE)(e.ref,t)}),n))});Su.displayName="SliderVideo";const Eu=i.forwardRef((e,t)=>{let{instance:n,children:s}=e,a=(0,T.A)(e,bl);const{canLoad:o}=(0,Yo.w$)(Xo.kZ),{src:l,video:u,crossOrigin:c}=n.$state,d=(0,Yo.Ul)(l),h=(0,Yo.Ul)(o),f=(0,Yo.Ul)(c);return i.createElement(Xo.sG.video,(0,r.A)((0,r.A)({style:{maxWidth:"unset"}},a),{},{src:d||void 0,muted:!0,playsInline:!0,preload:h?"auto":"none",crossOrigin:f||void 0,ref:(0,Yo.tE)(u.set,t)}),s)});Eu.displayName="SliderVideoProvider";const Cu=(0,Yo.hZ)(Xo.Ip,{events:["onChange"]}),xu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,wl);return i.createElement(Cu,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});xu.displayName="RadioGroup";const Tu=(0,Yo.hZ)(Xo.N5,{events:["onChange","onSelect"]}),Pu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,kl);return i.createElement(Tu,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Pu.displayName="RadioItem";const Mu=(0,Yo.hZ)(Xo.BU,{events:["onOpen","onClose"],domEventsRegex:/^onMedia/}),$u=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Sl);return i.createElement(Mu,(0,r.A)((0,r.A)({},s),{},{ref:t}),(e,t)=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{style:(0,r.A)({display:t.isSubmenu?void 0:"contents"},e.style)}),n))});$u.displayName="Menu";const Lu=(0,Yo.hZ)(Xo.Zg,{events:["onSelect"]}),Nu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,El);return i.createElement(Lu,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Nu.displayName="MenuButton";const Du=i.forwardRef((e,t)=>{let{container:n=null,disabled:s=!1,children:a}=e,o=(0,T.A)(e,Cl),l=(0,Xo.nV)("fullscreen"),u="fullscreen"===s?!l:!s;const c=i.useMemo(()=>{if(Xo.X3)return null;const e=(0,Yo.Kg)(n)?document.querySelector(n):n;return null!==e&&void 0!==e?e:document.body},[n]);return c&&u?(0,Jo.createPortal)(i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},o),{},{style:(0,r.A)({display:"contents"},o.style),ref:t}),a),c):a});Du.displayName="MenuPortal";const Fu=(0,Yo.hZ)(Xo.Dz),Vu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,xl);return i.createElement(Fu,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Vu.displayName="MenuItems";const Ru=(0,Yo.hZ)(Xo.mf),Ou=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Tl);return i.createElement(Ru,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Ou.displayName="MenuItem";const Wu=(0,Yo.hZ)(Xo.tN,{events:["onWillTrigger","onTrigger"]}),Iu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Pl);return i.createElement(Wu,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});Iu.displayName="Gesture";const zu=(0,Yo.hZ)(Xo.Lu),Bu=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Ml);return i.createElement(zu,(0,r.A)({},s),(e,s)=>i.createElement(_u,(0,r.A)((0,r.A)({},e),{},{instance:s,ref:(0,Yo.tE)(e.ref,t)}),n))});Bu.displayName="Time";const _u=i.forwardRef((e,t)=>{let{instance:n,children:s}=e,a=(0,T.A)(e,$l);const{timeText:o}=n.$state,l=(0,Yo.Ul)(o);return i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},a),{},{ref:t}),l,s)});function qu(){const e=Ll();return(null===e||void 0===e?void 0:e.player)||null}function ju(e){return e.label.toLowerCase()}function Uu(e){return e.id+":"+e.kind+"-"+e.label.toLowerCase()}_u.displayName="TimeText";const Hu=["width","height","size","paths"],Zu=i.forwardRef((e,t)=>{const{width:n,height:s,size:a=null,paths:o}=e,l=(0,T.A)(e,Hu);return i.createElement("svg",(0,r.A)((0,r.A)({viewBox:"0 0 32 32"},l),{},{width:null!==n&&void 0!==n?n:a,height:null!==s&&void 0!==s?s:a,fill:"none","aria-hidden":"true",focusable:"false",xmlns:"http://www.w3.org/2000/svg",ref:t,dangerouslySetInnerHTML:{__html:o}}))});Zu.displayName="VidstackIcon";const Qu=["aspectRatio","children"],Gu=["loaders","children","iframeProps","mediaProps"],Ku=["children"],Xu=["children"],Yu=["instance","children"],Ju=["children"];Symbol(0);const ec=[1,1.25,1.5,1.75,2,2.5,3,4];var tc=new WeakMap,nc=new WeakMap,ic=new WeakMap,sc=new WeakSet;class rc extends Yo.uA{get value(){return(0,Qo.A)(ic,this).value}get disabled(){const{gains:e}=this.$props,{canSetAudioGain:t}=(0,Qo.A)(tc,this).$state;return!t()||0===e().length}constructor(){super(),(0,Uo.A)(this,sc),(0,Zo.A)(this,tc,void 0),(0,Zo.A)(this,nc,void 0),(0,Zo.A)(this,ic,void 0),(0,Go.A)(ic,this,new Xo.rW),(0,Qo.A)(ic,this).onValueChange=(0,Ho.A)(sc,this,cc).bind(this)}onSetup(){(0,Go.A)(tc,this,(0,Xo.$c)()),(0,Yo.TQ)(Xo.HL)&&(0,Go.A)(nc,this,(0,Yo.NT)(Xo.HL))}onConnect(e){(0,Yo.QZ)((0,Ho.A)(sc,this,ac).bind(this)),(0,Yo.QZ)((0,Ho.A)(sc,this,oc).bind(this)),(0,Yo.QZ)((0,Ho.A)(sc,this,lc).bind(this))}getOptions(){const{gains:e,normalLabel:t}=this.$props;return e().map(e=>({label:1===e||null===e?t:String(100*e)+"%",value:e.toString()}))}}function ac(){(0,Qo.A)(ic,this).value=(0,Ho.A)(sc,this,uc).call(this)}function oc(){var e;const{normalLabel:t}=this.$props,{audioGain:n}=(0,Qo.A)(tc,this).$state,i=n();null===(e=(0,Qo.A)(nc,this))||void 0===e||e.hint.set(1===i||null==i?t():String(100*i)+"%")}function lc(){var e;null===(e=(0,Qo.A)(nc,this))||void 0===e||e.disable(this.disabled)}function uc(){var e,t;const{audioGain:n}=(0,Qo.A)(tc,this).$state;return null!==(e=null===(t=n())||void 0===t?void 0:t.toString())&&void 0!==e?e:"1"}function cc(e,t){if(this.disabled)return;const n=+e;(0,Qo.A)(tc,this).remote.changeAudioGain(n,t),this.dispatch("change",{detail:n,trigger:t})}(0,Ko.A)(rc,"props",{normalLabel:"Disabled",gains:ec});const dc=rc.prototype;(0,Yo._w)(dc,"value"),(0,Yo._w)(dc,"disabled"),(0,Yo.EJ)(dc,"getOptions");const hc=(0,Yo.hZ)(Xo.Th,{events:["onAbort","onAudioTrackChange","onAudioTracksChange","onAutoPlay","onAutoPlayChange","onAutoPlayFail","onCanLoad","onCanPlay","onCanPlayThrough","onControlsChange","onDestroy","onDurationChange","onEmptied","onEnd","onEnded","onError","onFindMediaPlayer","onFullscreenChange","onFullscreenError","onLiveChange","onLiveEdgeChange","onLoadedData","onLoadedMetadata","onLoadStart","onLoopChange","onOrientationChange","onPause","onPictureInPictureChange","onPictureInPictureError","onPlay","onPlayFail","onPlaying","onPlaysInlineChange","onPosterChange","onProgress","onProviderChange","onProviderLoaderChange","onProviderSetup","onQualitiesChange","onQualityChange","onRateChange","onReplay","onSeeked","onSeeking","onSourceChange","onSourceChange","onStalled","onStarted","onStreamTypeChange","onSuspend","onTextTrackChange","onTextTracksChange","onTimeUpdate","onTitleChange","onVdsLog","onVideoPresentationChange","onVolumeChange","onWaiting"],eventsRegex:/^onHls/,domEventsRegex:/^onMedia/}),fc=i.forwardRef((e,t)=>{let{aspectRatio:n,children:s}=e,a=(0,T.A)(e,Qu);return i.createElement(hc,(0,r.A)((0,r.A)({},a),{},{src:a.src,ref:t,style:(0,r.A)({aspectRatio:n},a.style)}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),s))});fc.displayName="MediaPlayer";const pc=(0,Yo.hZ)(Xo.hW),mc=i.forwardRef((e,t)=>{let{loaders:n=[],children:s,iframeProps:a,mediaProps:o}=e,l=(0,T.A)(e,Gu);const u=i.useMemo(()=>n.map(e=>new e),n);return i.createElement(pc,(0,r.A)((0,r.A)({},l),{},{loaders:u,ref:t}),(e,t)=>i.createElement("div",(0,r.A)({},e),i.createElement(vc,{provider:t,mediaProps:o,iframeProps:a}),s))});function vc(e){let{provider:t,mediaProps:s,iframeProps:a}=e;const{sources:o,crossOrigin:l,poster:u,remotePlaybackInfo:c,nativeControls:d,viewType:h}=(0,Yo.w$)(Xo.kZ),{loader:f}=t.$state,{$provider:p,$providerSetup:m}=Ll(),v=(0,Yo.Ul)(o),g=(0,Yo.Ul)(d),y=(0,Yo.Ul)(l),A=(0,Yo.Ul)(u),b=(0,Yo.Ul)(f),w=(0,Yo.Ul)(p),k=(0,Yo.Ul)(m),S=(0,Yo.Ul)(c),E=null===b||void 0===b?void 0:b.mediaType(),C="audio"===(0,Yo.Ul)(h),x="youtube"===(null===b||void 0===b?void 0:b.name),T="vimeo"===(null===b||void 0===b?void 0:b.name),P=x||T,M="remotion"===(null===b||void 0===b?void 0:b.name),$="google-cast"===(null===b||void 0===b?void 0:b.name),[L,N]=i.useState(""),[D,F]=i.useState(!1);return i.useEffect(()=>{$&&!L&&Promise.resolve().then(n.bind(n,180)).then(function(e){return e.chromecast}).then(e=>{N(e.default)})},[$]),i.useEffect(()=>{F(!0)},[]),$?i.createElement("div",{className:"vds-google-cast",ref:e=>{t.load(e)}},i.createElement(Zu,{paths:L}),null!==S&&void 0!==S&&S.deviceName?i.createElement("span",{className:"vds-google-cast-info"},"Google Cast on"," ",i.createElement("span",{className:"vds-google-cast-device-name"},S.deviceName)):null):M?i.createElement("div",{"data-remotion-canvas":!0},i.createElement("div",{"data-remotion-container":!0,ref:e=>{t.load(e)}},(0,Xo.Dq)(w)&&k?i.createElement(w.render):null)):P?i.createElement(i.Fragment,null,i.createElement("iframe",(0,r.A)((0,r.A)({},a),{},{className:(null!==a&&void 0!==a&&a.className?"".concat(a.className," "):"")+x?"vds-youtube":"vds-vimeo",suppressHydrationWarning:!0,tabIndex:g?void 0:-1,"aria-hidden":"true","data-no-controls":g?void 0:"",ref(e){t.load(e)}})),g||C?null:i.createElement("div",{className:"vds-blocker"})):E?i.createElement("audio"===E?"audio":"video",(0,r.A)((0,r.A)({},s),{},{controls:!!g||null,crossOrigin:"boolean"===typeof y?"":y,poster:"video"===E&&g&&A?A:null,suppressHydrationWarning:!0,children:D?null:v.map(e=>{let{src:t,type:n}=e;return(0,Yo.Kg)(t)?i.createElement("source",{src:t,type:"?"!==n?n:void 0,key:t}):null}),ref(e){t.load(e)}})):null}mc.displayName="MediaProvider",vc.displayName="MediaOutlet";const gc=(0,Yo.hZ)(Xo.OR);i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Ku);return i.createElement(gc,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))}).displayName="ToggleButton";const yc=(0,Yo.hZ)(Xo.VP);i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Xu);return i.createElement(yc,(0,r.A)({src:s.asChild&&i.isValidElement(n)?n.props.src:void 0},s),(e,s)=>i.createElement(Ac,(0,r.A)((0,r.A)({},e),{},{instance:s,ref:(0,Yo.tE)(e.ref,t)}),n))}).displayName="Poster";const Ac=i.forwardRef((e,t)=>{let{instance:n,children:s}=e,a=(0,T.A)(e,Yu);const{src:o,img:l,alt:u,crossOrigin:c,hidden:d}=n.$state,h=(0,Yo.Ul)(o),f=(0,Yo.Ul)(u),p=(0,Yo.Ul)(c),m=(0,Yo.Ul)(d);return i.createElement(Xo.sG.img,(0,r.A)((0,r.A)({},a),{},{src:h||void 0,alt:f||void 0,crossOrigin:p||void 0,ref:(0,Yo.tE)(l.set,t),style:{display:m?"none":void 0}}),s)});Ac.displayName="PosterImg";const bc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Ju);return i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({translate:"yes","aria-live":"off","aria-atomic":"true"},s),{},{ref:t}),n)});bc.displayName="Caption";const wc=i.forwardRef((e,t)=>{const n=(0,Xo.nV)("textTrack"),[s,a]=i.useState();return i.useEffect(()=>{if(n)return n.addEventListener("cue-change",e),()=>{n.removeEventListener("cue-change",e),a(void 0)};function e(){a(null===n||void 0===n?void 0:n.activeCues[0])}},[n]),i.createElement(Xo.sG.span,(0,r.A)((0,r.A)({},e),{},{"data-part":"cue",dangerouslySetInnerHTML:{__html:(null===s||void 0===s?void 0:s.text)||""},ref:t}))});wc.displayName="CaptionText";const kc=["style","children"],Sc=["children"],Ec=["children"],Cc=["children"],xc=["children"],Tc=["children"],Pc=["children"],Mc=["children"],$c=["children"],Lc=["children"],Nc=["children"],Dc=["defaultText","children"],Fc=["children"],Vc=["size","children"],Rc=["width","children"],Oc=["width","fillPercent","children"],Wc=(0,Yo.hZ)(Xo.Lp,{events:["onChange"]}),Ic=i.forwardRef((e,t)=>{let{style:n,children:s}=e,a=(0,T.A)(e,kc);return i.createElement(Wc,(0,r.A)({},a),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{style:(0,r.A)({display:"contents"},n),ref:(0,Yo.tE)(e.ref,t)}),s))});Ic.displayName="MediaAnnouncer";const zc=(0,Yo.hZ)(Xo.k7),Bc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Sc);return i.createElement(zc,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Bc.displayName="Controls";const _c=(0,Yo.hZ)(Xo.d0),qc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Ec);return i.createElement(_c,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});qc.displayName="ControlsGroup";const jc=(0,Yo.hZ)(Xo.j0);function Uc(e){let{children:t}=e,n=(0,T.A)(e,Cc);return i.createElement(jc,(0,r.A)({},n),t)}Uc.displayName="Tooltip";const Hc=(0,Yo.hZ)(Xo.x1),Zc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,xc);return i.createElement(Hc,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Zc.displayName="TooltipTrigger";const Qc=(0,Yo.hZ)(Xo.ks),Gc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Tc);return i.createElement(Qc,(0,r.A)({},s),e=>i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Gc.displayName="TooltipContent";const Kc=(0,Yo.hZ)(Xo.wc,{domEventsRegex:/^onMedia/}),Xc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Pc);return i.createElement(Kc,(0,r.A)({},s),e=>i.createElement(Xo.sG.button,(0,r.A)((0,r.A)({},e),{},{ref:(0,Yo.tE)(e.ref,t)}),n))});Xc.displayName="GoogleCastButton";const Yc=(0,Yo.hZ)(Xo.sz,{events:Ql,domEventsRegex:/^onMedia/}),Jc=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Mc);return i.createElement(Yc,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});Jc.displayName="QualitySlider";const ed=(0,Yo.hZ)(Xo.s7,{events:Ql,domEventsRegex:/^onMedia/}),td=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,$c);return i.createElement(ed,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});td.displayName="AudioGainSlider";const nd=(0,Yo.hZ)(Xo.YU,{events:Ql,domEventsRegex:/^onMedia/}),id=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Lc);return i.createElement(nd,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});id.displayName="SpeedSlider";const sd=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Nc);const a=(0,Xo.nV)("title");return i.createElement(Xo.sG.span,(0,r.A)((0,r.A)({},s),{},{ref:t}),a,n)});function rd(e){const[t,n]=i.useState([]);return i.useEffect(()=>{if(e)return t(),(0,Yo.k6)(e,"cue-change",t);function t(){e&&n(e.activeCues)}n([])},[e]),t}function ad(e){const t=Ll(),[n,s]=i.useState(null);return i.useEffect(()=>(0,Xo.q)(t.textTracks,e,s),[e]),n}function od(){var e;return(null===(e=rd(ad("chapters"))[0])||void 0===e?void 0:e.text)||""}sd.displayName="Title";const ld=i.forwardRef((e,t)=>{let{defaultText:n="",children:s}=e,a=(0,T.A)(e,Dc);const o=od();return i.createElement(Xo.sG.span,(0,r.A)((0,r.A)({},a),{},{ref:t}),o||n,s)});ld.displayName="ChapterTitle";const ud=(0,Yo.hZ)(Xo.Ni),cd=i.forwardRef((e,t)=>{let{children:n}=e,s=(0,T.A)(e,Fc);return i.createElement(ud,(0,r.A)((0,r.A)({},s),{},{ref:t}),e=>i.createElement(Xo.sG.div,(0,r.A)({},e),n))});cd.displayName="Captions";const dd=i.forwardRef((e,t)=>{let{size:n=96,children:s}=e,a=(0,T.A)(e,Vc);return i.createElement("svg",(0,r.A)((0,r.A)({width:n,height:n,fill:"none",viewBox:"0 0 120 120","aria-hidden":"true","data-part":"root"},a),{},{ref:t}),s)}),hd=i.forwardRef((e,t)=>{let{width:n=8,children:s}=e,a=(0,T.A)(e,Rc);return i.createElement("circle",(0,r.A)((0,r.A)({cx:"60",cy:"60",r:"54",stroke:"currentColor",strokeWidth:n,"data-part":"track"},a),{},{ref:t}),s)}),fd=i.forwardRef((e,t)=>{let{width:n=8,fillPercent:s=50,children:a}=e,o=(0,T.A)(e,Oc);return i.createElement("circle",(0,r.A)((0,r.A)({cx:"60",cy:"60",r:"54",stroke:"currentColor",pathLength:"100",strokeWidth:n,strokeDasharray:100,strokeDashoffset:100-s,"data-part":"track-fill"},o),{},{ref:t}),a)});function pd(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[];const n=(0,Yo.vT)();return i.useMemo(()=>(0,Yo.P1)(()=>(0,Yo.O)(e),n),[n,...t])}function md(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[];const n=(0,Yo.vT)();return i.useMemo(()=>(0,Yo.P1)(()=>(0,Yo.EW)(e),n),[n,...t])}function vd(){const e=Ll(),t=ad("chapters"),n=function(e){const[t,n]=i.useState([]);return i.useEffect(()=>{if(!e)return;function t(){e&&n([...e.cues])}const i=new Yo.En(e).add("add-cue",t).add("remove-cue",t);return t(),()=>{n([]),i.abort()}},[e]),t}(t),s=(0,Yo.Ul)(e.$state.seekableStart),r=(0,Yo.Ul)(e.$state.seekableEnd);return rd(t),i.useMemo(()=>{const i=t?n.filter(e=>e.startTime<=r&&e.endTime>=s).map((n,i)=>{let a,o=null;return{cue:n,label:n.text,value:i.toString(),startTimeText:(0,Xo.fU)(Math.max(0,n.startTime-s)),durationText:(0,Xo.lA)(Math.min(r,n.endTime)-Math.max(s,n.startTime)),get selected(){return n===t.activeCues[0]},setProgressVar(i){var l,u;if(!i||n!==t.activeCues[0])return null===(u=a)||void 0===u||u(),a=void 0,null===i||void 0===i||i.style.setProperty("--progress","0%"),void(o=null);o!==i&&(o=i,null===(l=a)||void 0===l||l(),a=(0,Yo.QZ)(()=>{const{realCurrentTime:t}=e.$state,a=t(),o=Math.max(s,n.startTime),l=Math.min(r,n.endTime)-o,u=Math.max(0,a-o)/l*100;i.style.setProperty("--progress",u.toFixed(3)+"%")}))},select(t){e.remote.seek(n.startTime-s,t)}}}):[];return Object.defineProperty(i,"selectedValue",{get(){const e=i.findIndex(e=>e.selected);return(e>=0?e:0).toString()}}),i},[n,s,r])}function gd(e,t){i.useEffect(()=>{if(!e)return;t();const n=new ResizeObserver((0,Yo.s_)(t));return n.observe(e),()=>n.disconnect()},[e,t])}function yd(e){const t=function(e){const[t,n]=i.useState(!1);return i.useEffect(()=>{if(!e)return;const t=new Yo.En(e).add("mouseenter",()=>n(!0)).add("mouseleave",()=>n(!1));return()=>t.abort()},[e]),t}(e),n=function(e){const[t,n]=i.useState(!1);return i.useEffect(()=>{if(!e)return;const t=new Yo.En(e).add("focusin",()=>n(!0)).add("focusout",()=>n(!1));return()=>t.abort()},[e]),t}(e),s=i.useRef(!1);return!(s.current&&!t)&&(s.current=t,t||n)}function Ad(e){const t=qu();i.useEffect(()=>{if(t)return(0,Yo.QZ)(()=>{const n=t.$el;return null===n||void 0===n||n.setAttribute("data-layout",e),()=>null===n||void 0===n?void 0:n.removeAttribute("data-layout")})},[t])}const bd=(0,Yo.O)(null),wd=(0,Yo.O)(null),kd=["children","className","disableTimeSlider","hideQualityBitrate","icons","colorScheme","download","menuContainer","menuGroup","noAudioGain","audioGains","noGestures","noKeyboardAnimations","noModal","noScrubGesture","playbackRates","seekStep","showMenuDelay","showTooltipDelay","sliderChaptersMinWidth","slots","smallLayoutWhen","thumbnails","translations"],Sd=["icons"],Ed=i.createContext({});function Cd(){return i.useContext(Ed)}function xd(e){const{translations:t}=Cd();return Td(t,e)}function Td(e,t){var n;return null!==(n=null===e||void 0===e?void 0:e[t])&&void 0!==n?n:t}function Pd(e){const t=function(){const[e,t]=i.useState("dark");return i.useEffect(()=>{const e=window.matchMedia("(prefers-color-scheme: light)");function n(){t(e.matches?"light":"dark")}return n(),(0,Yo.k6)(e,"change",n)},[]),e}();return"default"===e?null:"system"===e?t:e}function Md(e){let{type:t,smLayoutWhen:n,renderLayout:s}=e;const a=i.forwardRef((e,a)=>{let{children:o,className:l,disableTimeSlider:u=!1,hideQualityBitrate:c=!1,icons:d,colorScheme:h="system",download:f=null,menuContainer:p=null,menuGroup:m="bottom",noAudioGain:v=!1,audioGains:g={min:0,max:300,step:25},noGestures:y=!1,noKeyboardAnimations:A=!1,noModal:b=!1,noScrubGesture:w,playbackRates:k={min:0,max:2,step:.25},seekStep:S=10,showMenuDelay:E,showTooltipDelay:C=700,sliderChaptersMinWidth:x=325,slots:P,smallLayoutWhen:M=n,thumbnails:$=null,translations:L}=e,N=(0,T.A)(e,kd);const D=Ll(),F=(0,Yo.Ul)(D.$props.load),V=(0,Xo.nV)("canLoad"),R=(0,Xo.nV)("viewType"),O=(0,Xo.nV)("streamType"),W=md(()=>(0,Yo.Lm)(M)?M:M(D.player.state),[M]),I=pd(!0),z=pd(!0),B=R===t,_=W(),q=(0,Yo.Lm)(M),j="play"===F&&!V,U=V||q||j,H=Pd(h),Z=pd(null);return(0,Yo.Ul)(W),i.createElement("div",(0,r.A)((0,r.A)({},N),{},{className:"vds-".concat(t,"-layout")+(H?" ".concat(H):"")+(l?" ".concat(l):""),"data-match":B?"":null,"data-sm":_?"":null,"data-lg":_?null:"","data-size":_?"sm":"lg","data-no-scrub-gesture":w?"":null,ref:(0,Yo.tE)(Z.set,a)}),U&&B?i.createElement(Ed.Provider,{value:{disableTimeSlider:u,hideQualityBitrate:c,icons:d,colorScheme:h,download:f,isSmallLayout:_,menuContainer:p,menuGroup:m,noAudioGain:v,audioGains:g,layoutEl:Z,noGestures:y,noKeyboardAnimations:A,noModal:b,noScrubGesture:w,showMenuDelay:E,showTooltipDelay:C,sliderChaptersMinWidth:x,slots:P,seekStep:S,playbackRates:k,thumbnails:$,translations:L,userPrefersAnnouncements:I,userPrefersKeyboardAnimations:z}},s({streamType:O,isSmallLayout:_,isLoadLayout:j}),o):null)});return a.displayName="DefaultMediaLayout",a}function $d(){return i.useContext(Ed).slots}function Ld(){return i.useContext(Ed).slots}function Nd(e,t,n){const s=null===e||void 0===e?void 0:e[t],r=(0,Yo.Fb)(t);return i.createElement(i.Fragment,null,null===e||void 0===e?void 0:e["before".concat(r)],(0,Yo.b0)(s)?n:s,null===e||void 0===e?void 0:e["after".concat(r)])}function Dd(){const{userPrefersAnnouncements:e,translations:t}=Cd();return(0,Yo.Ul)(e)?i.createElement(Ic,{translations:t}):null}function Fd(e){let{content:t,placement:n,children:s}=e;const{showTooltipDelay:r}=Cd();return i.createElement(Uc,{showDelay:r},i.createElement(Zc,{asChild:!0},s),i.createElement(Gc,{className:"vds-tooltip-content",placement:n},t))}function Vd(e){let{tooltip:t}=e;const{icons:n}=Cd(),s=xd("Play"),r=xd("Pause"),a=(0,Xo.nV)("paused"),o=(0,Xo.nV)("ended");return i.createElement(Fd,{content:a?s:r,placement:t},i.createElement(Vl,{className:"vds-play-button vds-button","aria-label":s},o?i.createElement(n.PlayButton.Replay,{className:"vds-icon"}):a?i.createElement(n.PlayButton.Play,{className:"vds-icon"}):i.createElement(n.PlayButton.Pause,{className:"vds-icon"})))}Ed.displayName="DefaultLayoutContext",Dd.displayName="DefaultAnnouncer",Fd.displayName="DefaultTooltip",Vd.displayName="DefaultPlayButton";const Rd=i.forwardRef((e,t)=>{let{tooltip:n}=e;const{icons:s}=Cd(),r=xd("Mute"),a=xd("Unmute"),o=(0,Xo.nV)("muted"),l=(0,Xo.nV)("volume");return i.createElement(Fd,{content:o?a:r,placement:n},i.createElement(Bl,{className:"vds-mute-button vds-button","aria-label":r,ref:t},o||0==l?i.createElement(s.MuteButton.Mute,{className:"vds-icon"}):l<.5?i.createElement(s.MuteButton.VolumeLow,{className:"vds-icon"}):i.createElement(s.MuteButton.VolumeHigh,{className:"vds-icon"})))});function Od(e){let{tooltip:t}=e;const{icons:n}=Cd(),s=xd("Captions"),r=xd("Closed-Captions On"),a=xd("Closed-Captions Off"),o=(0,Xo.nV)("textTrack"),l=o&&(0,Xo._k)(o);return i.createElement(Fd,{content:l?r:a,placement:t},i.createElement(Ol,{className:"vds-caption-button vds-button","aria-label":s},l?i.createElement(n.CaptionButton.On,{className:"vds-icon"}):i.createElement(n.CaptionButton.Off,{className:"vds-icon"})))}function Wd(e){let{tooltip:t}=e;const{icons:n}=Cd(),s=xd("PiP"),r=xd("Enter PiP"),a=xd("Exit PiP"),o=(0,Xo.nV)("pictureInPicture");return i.createElement(Fd,{content:o?a:r,placement:t},i.createElement(ql,{className:"vds-pip-button vds-button","aria-label":s},o?i.createElement(n.PIPButton.Exit,{className:"vds-icon"}):i.createElement(n.PIPButton.Enter,{className:"vds-icon"})))}function Id(e){let{tooltip:t}=e;const{icons:n}=Cd(),s=xd("Fullscreen"),r=xd("Enter Fullscreen"),a=xd("Exit Fullscreen"),o=(0,Xo.nV)("fullscreen");return i.createElement(Fd,{content:o?a:r,placement:t},i.createElement(Il,{className:"vds-fullscreen-button vds-button","aria-label":s},o?i.createElement(n.FullscreenButton.Exit,{className:"vds-icon"}):i.createElement(n.FullscreenButton.Enter,{className:"vds-icon"})))}function zd(e){let{backward:t,tooltip:n}=e;const{icons:s,seekStep:r}=Cd(),a=xd("Seek Forward"),o=xd("Seek Backward"),l=(t?-1:1)*r,u=l>=0?a:o;return i.createElement(Fd,{content:u,placement:n},i.createElement(Ul,{className:"vds-seek-button vds-button",seconds:l,"aria-label":u},l>=0?i.createElement(s.SeekButton.Forward,{className:"vds-icon"}):i.createElement(s.SeekButton.Backward,{className:"vds-icon"})))}function Bd(e){var t;let{tooltip:n}=e;const{icons:s}=Cd(),r=xd("AirPlay"),a=(0,Xo.nV)("remotePlaybackState"),o=xd((0,Yo.Fb)(a)),l="".concat(r," ").concat(o),u=null!==(t="connecting"===a?s.AirPlayButton.Connecting:"connected"===a?s.AirPlayButton.Connected:null)&&void 0!==t?t:s.AirPlayButton.Default;return i.createElement(Fd,{content:r,placement:n},i.createElement(Dl,{className:"vds-airplay-button vds-button","aria-label":l},i.createElement(u,{className:"vds-icon"})))}function _d(e){var t;let{tooltip:n}=e;const{icons:s}=Cd(),r=xd("Google Cast"),a=(0,Xo.nV)("remotePlaybackState"),o=xd((0,Yo.Fb)(a)),l="".concat(r," ").concat(o),u=null!==(t="connecting"===a?s.GoogleCastButton.Connecting:"connected"===a?s.GoogleCastButton.Connected:null)&&void 0!==t?t:s.GoogleCastButton.Default;return i.createElement(Fd,{content:r,placement:n},i.createElement(Xc,{className:"vds-google-cast-button vds-button","aria-label":l},i.createElement(u,{className:"vds-icon"})))}function qd(){const e=(0,Xo.nV)("live"),t=xd("Skip To Live"),n=xd("LIVE");return e?i.createElement(Zl,{className:"vds-live-button","aria-label":t},i.createElement("span",{className:"vds-live-button-text"},n)):null}function jd(){const{download:e,icons:t}=Cd(),n=(0,Xo.nV)("source"),s=(0,Xo.nV)("title"),r=(0,Xo.d_)({title:s,src:n,download:e}),a=xd("Download");return(0,Yo.Kg)(null===r||void 0===r?void 0:r.url)?i.createElement(Fd,{content:a,placement:"top"},i.createElement("a",{role:"button",className:"vds-download-button vds-button","aria-label":a,href:ou(r.url,{download:r.name}),download:r.name,target:"_blank"},t.DownloadButton?i.createElement(t.DownloadButton.Default,{className:"vds-icon"}):null)):null}function Ud(){const e=xd("Captions look like this");return i.createElement(cd,{className:"vds-captions",exampleText:e})}function Hd(){return i.createElement("div",{className:"vds-controls-spacer"})}function Zd(){const{layoutEl:e}=Cd(),t=(0,Yo.Ul)(e);return i.useMemo(()=>null===t||void 0===t?void 0:t.closest("dialog"),[t])}function Qd(e){let{tooltip:t,placement:n,portalClass:s=""}=e;const{showMenuDelay:r,noModal:a,isSmallLayout:o,icons:l,menuGroup:u,menuContainer:c,colorScheme:d}=Cd(),h=xd("Chapters"),f=vd(),p=!f.length,{thumbnails:m}=Cd(),v=(0,Xo.nV)("currentSrc"),g=(0,Xo.nV)("viewType"),y=o||"bottom"!==u||"video"!==g?0:26,A=(0,Yo.Ul)(bd),b=Pd(d),[w,k]=i.useState(!1),S=Zd();if(p)return null;const E=i.createElement(Vu,{className:"vds-chapters-menu-items vds-menu-items",placement:n,offset:y},w?i.createElement(xu,{className:"vds-chapters-radio-group vds-radio-group",value:f.selectedValue,"data-thumbnails":m?"":null},f.map(e=>{let{cue:t,label:n,value:s,startTimeText:r,durationText:a,select:o,setProgressVar:l}=e;return i.createElement(Pu,{className:"vds-chapter-radio vds-radio",value:s,key:s,onSelect:o,ref:l},m?i.createElement(uu,{src:m,className:"vds-thumbnail",time:t.startTime},i.createElement(cu,null)):A&&(0,Xo.cf)(v)?i.createElement(A,{className:"vds-thumbnail",frame:t.startTime*v.fps}):null,i.createElement("div",{className:"vds-chapter-radio-content"},i.createElement("span",{className:"vds-chapter-radio-label"},n),i.createElement("span",{className:"vds-chapter-radio-start-time"},r),i.createElement("span",{className:"vds-chapter-radio-duration"},a)))})):null);return i.createElement($u,{className:"vds-chapters-menu vds-menu",showDelay:r,onOpen:function(){(0,Jo.flushSync)(()=>{k(!0)})},onClose:function(){k(!1)}},i.createElement(Fd,{content:h,placement:t},i.createElement(Nu,{className:"vds-menu-button vds-button",disabled:p,"aria-label":h},i.createElement(l.Menu.Chapters,{className:"vds-icon"}))),a||!o?E:i.createElement(Du,{container:null!==c&&void 0!==c?c:S,className:s+(b?" ".concat(b):""),disabled:"fullscreen","data-sm":o?"":null,"data-lg":o?null:"","data-size":o?"sm":"lg"},E))}Rd.displayName="DefaultMuteButton",Od.displayName="DefaultCaptionButton",Wd.displayName="DefaultPIPButton",Id.displayName="DefaultFullscreenButton",zd.displayName="DefaultSeekButton",Bd.displayName="DefaultAirPlayButton",_d.displayName="DefaultGoogleCastButton",qd.displayName="DefaultLiveButton",jd.displayName="DefaultDownloadButton",Ud.displayName="DefaultCaptions",Hd.displayName="DefaultControlsSpacer",Qd.displayName="DefaultChaptersMenu";const Gd={type:"color"},Kd={type:"radio",values:{"Monospaced Serif":"mono-serif","Proportional Serif":"pro-serif","Monospaced Sans-Serif":"mono-sans","Proportional Sans-Serif":"pro-sans",Casual:"casual",Cursive:"cursive","Small Capitals":"capitals"}},Xd={type:"slider",min:0,max:400,step:25,upIcon:null,downIcon:null},Yd={type:"slider",min:0,max:100,step:5,upIcon:null,downIcon:null},Jd={type:"radio",values:["None","Drop Shadow","Raised","Depressed","Outline"]},eh={fontFamily:"pro-sans",fontSize:"100%",textColor:"#ffffff",textOpacity:"100%",textShadow:"none",textBg:"#000000",textBgOpacity:"100%",displayBg:"#000000",displayBgOpacity:"0%"},th=Object.keys(eh).reduce((e,t)=>(0,r.A)((0,r.A)({},e),{},{[t]:(0,Yo.O)(eh[t])}),{});if(!Xo.X3)for(const Gf of Object.keys(th)){const e=localStorage.getItem("vds-player:".concat((0,Yo.BW)(Gf)));(0,Yo.Kg)(e)&&th[Gf].set(e)}function nh(){for(const e of Object.keys(th)){const t=eh[e];th[e].set(t)}}function ih(e){const{style:t}=new Option;return t.color=e,t.color.match(/\((.*?)\)/)[1].replace(/,/g," ")}let sh=!1,rh=new Set;function ah(){if(Xo.X3)return;const{player:e}=(0,Xo.$c)();rh.add(e),(0,Yo.zp)(()=>rh.delete(e)),sh||((0,Yo.P1)(()=>{for(const t of(0,Yo.YD)(th)){const n=th[t],i=eh[t],s="--media-user-".concat((0,Yo.BW)(t)),r="vds-player:".concat((0,Yo.BW)(t));(0,Yo.QZ)(()=>{const a=n(),o=a===i,l=o?null:oh(e,t,a);for(const e of rh){var u;null===(u=e.el)||void 0===u||u.style.setProperty(s,l)}o?localStorage.removeItem(r):localStorage.setItem(r,a)})}},null),sh=!0)}function oh(e,t,n){var i;switch(t){case"fontFamily":const t="capitals"===n?"small-caps":"";return null===(i=e.el)||void 0===i||i.style.setProperty("--media-user-font-variant",t),function(e){switch(e){case"mono-serif":return'"Courier New", Courier, "Nimbus Mono L", "Cutive Mono", monospace';case"mono-sans":return'"Deja Vu Sans Mono", "Lucida Console", Monaco, Consolas, "PT Mono", monospace';case"pro-sans":return'Roboto, "Arial Unicode Ms", Arial, Helvetica, Verdana, "PT Sans Caption", sans-serif';case"casual":return'"Comic Sans MS", Impact, Handlee, fantasy';case"cursive":return'"Monotype Corsiva", "URW Chancery L", "Apple Chancery", "Dancing Script", cursive';case"capitals":return'"Arial Unicode Ms", Arial, Helvetica, Verdana, "Marcellus SC", sans-serif + font-variant=small-caps';default:return'"Times New Roman", Times, Georgia, Cambria, "PT Serif Caption", serif'}}(n);case"fontSize":case"textOpacity":case"textBgOpacity":case"displayBgOpacity":return function(e){return(parseInt(e)/100).toString()}(n);case"textColor":return"rgb(".concat(ih(n)," / var(--media-user-text-opacity, 1))");case"textShadow":return function(e){switch(e){case"drop shadow":return"rgb(34, 34, 34) 1.86389px 1.86389px 2.79583px, rgb(34, 34, 34) 1.86389px 1.86389px 3.72778px, rgb(34, 34, 34) 1.86389px 1.86389px 4.65972px";case"raised":return"rgb(34, 34, 34) 1px 1px, rgb(34, 34, 34) 2px 2px";case"depressed":return"rgb(204, 204, 204) 1px 1px, rgb(34, 34, 34) -1px -1px";case"outline":return"rgb(34, 34, 34) 0px 0px 1.86389px, rgb(34, 34, 34) 0px 0px 1.86389px, rgb(34, 34, 34) 0px 0px 1.86389px, rgb(34, 34, 34) 0px 0px 1.86389px, rgb(34, 34, 34) 0px 0px 1.86389px";default:return""}}(n);case"textBg":return"rgb(".concat(ih(n)," / var(--media-user-text-bg-opacity, 1))");case"displayBg":return"rgb(".concat(ih(n)," / var(--media-user-display-bg-opacity, 1))")}}function lh(e){let{label:t,value:n,children:s}=e;const r=i.useId();return t?i.createElement("section",{className:"vds-menu-section",role:"group","aria-labelledby":r},i.createElement("div",{className:"vds-menu-section-title"},i.createElement("header",{id:r},t),n?i.createElement("div",{className:"vds-menu-section-value"},n):null),i.createElement("div",{className:"vds-menu-section-body"},s)):i.createElement("div",{className:"vds-menu-section"},i.createElement("div",{className:"vds-menu-section-body"},s))}function uh(e){let{label:t,hint:n="",Icon:s,disabled:r=!1}=e;const{icons:a}=i.useContext(Ed);return i.createElement(Nu,{className:"vds-menu-item",disabled:r},i.createElement(a.Menu.ArrowLeft,{className:"vds-menu-close-icon vds-icon"}),s?i.createElement(s,{className:"vds-menu-item-icon vds-icon"}):null,i.createElement("span",{className:"vds-menu-item-label"},t),i.createElement("span",{className:"vds-menu-item-hint"},n),i.createElement(a.Menu.ArrowRight,{className:"vds-menu-open-icon vds-icon"}))}function ch(e){let{label:t,children:n}=e;return i.createElement("div",{className:"vds-menu-item"},i.createElement("div",{className:"vds-menu-item-label"},t),n)}function dh(e){let{value:t,options:n,onChange:s}=e;const{icons:r}=Cd();return i.createElement(xu,{className:"vds-radio-group",value:t,onChange:s},n.map(e=>i.createElement(Pu,{className:"vds-radio",value:e.value,key:e.value},i.createElement(r.Menu.RadioCheck,{className:"vds-icon"}),i.createElement("span",{className:"vds-radio-label","data-part":"label"},e.label))))}function hh(e){let{label:t,value:n,UpIcon:s,DownIcon:r,children:a,isMin:o,isMax:l}=e;const u=t||n,c=i.createElement(i.Fragment,null,r?i.createElement(r,{className:"vds-icon down"}):null,a,s?i.createElement(s,{className:"vds-icon up"}):null);return i.createElement("div",{className:"vds-menu-item vds-menu-slider-item".concat(u?" group":""),"data-min":o?"":null,"data-max":l?"":null},u?i.createElement(i.Fragment,null,i.createElement("div",{className:"vds-menu-slider-title"},t?i.createElement("div",null,t):null,n?i.createElement("div",null,n):null),i.createElement("div",{className:"vds-menu-slider-body"},c)):c)}function fh(){return i.createElement(i.Fragment,null,i.createElement(Jl,{className:"vds-slider-track"}),i.createElement(eu,{className:"vds-slider-track-fill vds-slider-track"}),i.createElement(Yl,{className:"vds-slider-thumb"}))}function ph(){return i.createElement(su,{className:"vds-slider-steps"},e=>i.createElement("div",{className:"vds-slider-step",key:String(e)}))}function mh(){const e=xd("Caption Styles"),t=(0,Xo.nV)("hasCaptions"),n=xd("Font"),s=xd("Text"),r=xd("Text Background"),a=xd("Display Background");return t?i.createElement($u,{className:"vds-font-menu vds-menu"},i.createElement(uh,{label:e}),i.createElement(Vu,{className:"vds-font-style-items vds-menu-items"},i.createElement(lh,{label:n},i.createElement(vh,null),i.createElement(gh,null)),i.createElement(lh,{label:s},i.createElement(yh,null),i.createElement(bh,null),i.createElement(Ah,null)),i.createElement(lh,{label:r},i.createElement(wh,null),i.createElement(kh,null)),i.createElement(lh,{label:a},i.createElement(Sh,null),i.createElement(Eh,null)),i.createElement(lh,null,i.createElement(Th,null)))):null}function vh(){return i.createElement(Ch,{label:"Family",type:"fontFamily",option:Kd})}function gh(){const{icons:e}=Cd(),t=(0,r.A)((0,r.A)({},Xd),{},{upIcon:e.Menu.FontSizeUp,downIcon:e.Menu.FontSizeDown});return i.createElement(Ch,{label:"Size",type:"fontSize",option:t})}function yh(){return i.createElement(Ch,{label:"Color",type:"textColor",option:Gd})}function Ah(){const{icons:e}=Cd(),t=(0,r.A)((0,r.A)({},Yd),{},{upIcon:e.Menu.OpacityUp,downIcon:e.Menu.OpacityDown});return i.createElement(Ch,{label:"Opacity",type:"textOpacity",option:t})}function bh(){return i.createElement(Ch,{label:"Shadow",type:"textShadow",option:Jd})}function wh(){return i.createElement(Ch,{label:"Color",type:"textBg",option:Gd})}function kh(){const{icons:e}=Cd(),t=(0,r.A)((0,r.A)({},Yd),{},{upIcon:e.Menu.OpacityUp,downIcon:e.Menu.OpacityDown});return i.createElement(Ch,{label:"Opacity",type:"textBgOpacity",option:t})}function Sh(){return i.createElement(Ch,{label:"Color",type:"displayBg",option:Gd})}function Eh(){const{icons:e}=Cd(),t=(0,r.A)((0,r.A)({},Yd),{},{upIcon:e.Menu.OpacityUp,downIcon:e.Menu.OpacityDown});return i.createElement(Ch,{label:"Opacity",type:"displayBgOpacity",option:t})}function Ch(e){let{label:t,option:n,type:s}=e;const r=qu(),a=th[s],o=(0,Yo.Ul)(a),l=xd(t),u=i.useCallback(()=>{null===r||void 0===r||r.dispatchEvent(new Event("vds-font-change"))},[r]),c=i.useCallback(e=>{a.set(e),u()},[a,u]);if("color"===n.type){let e=function(e){c(e.target.value)};return i.createElement(ch,{label:l},i.createElement("input",{className:"vds-color-picker",type:"color",value:o,onChange:e}))}if("slider"===n.type){let e=function(e){c(e+"%")};const{min:t,max:s,step:r,upIcon:a,downIcon:u}=n;return i.createElement(hh,{label:l,value:o,UpIcon:a,DownIcon:u,isMin:o===t+"%",isMax:o===s+"%"},i.createElement(Xl,{className:"vds-slider",min:t,max:s,step:r,keyStep:r,value:parseInt(o),"aria-label":l,onValueChange:e,onDragValueChange:e},i.createElement(fh,null),i.createElement(ph,null)))}return"radio"===n.type?i.createElement(xh,{id:(0,Yo.BW)(s),label:l,value:o,values:n.values,onChange:c}):null}function xh(e){let{id:t,label:n,value:s,values:r,onChange:a}=e;const o=(c=r,i.useMemo(()=>(0,Yo.cy)(c)?c.map(e=>({label:e,value:e.toLowerCase()})):Object.keys(c).map(e=>({label:e,value:c[e]})),[c])),{translations:l}=Cd(),u=i.useMemo(()=>{var e;const t=(null===(e=o.find(e=>e.value===s))||void 0===e?void 0:e.label)||"";return Td(l,t)},[s,o]);var c;return i.createElement($u,{className:"vds-".concat(t,"-menu vds-menu")},i.createElement(uh,{label:n,hint:u}),i.createElement(Vu,{className:"vds-menu-items"},i.createElement(dh,{value:s,options:o,onChange:a})))}function Th(){const e=xd("Reset");return i.createElement("button",{className:"vds-menu-item",role:"menuitem",onClick:nh},i.createElement("span",{className:"vds-menu-item-label"},e))}function Ph(e){let{label:t,checked:n,storageKey:s,defaultChecked:r=!1,onChange:a}=e;const[o,l]=i.useState(r),[u,c]=i.useState(!1);function d(e){if(e&&"button"in e&&1===(null===e||void 0===e?void 0:e.button))return;const t=!o;l(t),s&&localStorage.setItem(s,t?"1":""),null===a||void 0===a||a(t,null===e||void 0===e?void 0:e.nativeEvent),c(!1)}return i.useEffect(()=>{const e=s?localStorage.getItem(s):null,t=!!(null!==e&&void 0!==e?e:r);l(t),null===a||void 0===a||a(t)},[]),i.useEffect(()=>{(0,Yo.Lm)(n)&&l(n)},[n]),i.createElement("div",{className:"vds-menu-checkbox",role:"menuitemcheckbox",tabIndex:0,"aria-label":t,"aria-checked":o?"true":"false","data-active":u?"":null,onPointerUp:d,onPointerDown:function(e){0===e.button&&c(!0)},onKeyDown:function(e){(0,Yo.SK)(e.nativeEvent)&&d()}})}function Mh(e){let{slots:t}=e;const n=xd("Accessibility"),{icons:s}=Cd();return i.createElement($u,{className:"vds-accessibility-menu vds-menu"},i.createElement(uh,{label:n,Icon:s.Menu.Accessibility}),i.createElement(Vu,{className:"vds-menu-items"},Nd(t,"accessibilityMenuItemsStart",null),i.createElement(lh,null,i.createElement($h,null),i.createElement(Lh,null)),i.createElement(lh,null,i.createElement(mh,null)),Nd(t,"accessibilityMenuItemsEnd",null)))}function $h(){const{userPrefersAnnouncements:e}=Cd(),t=xd("Announcements");return i.createElement(ch,{label:t},i.createElement(Ph,{label:t,defaultChecked:!0,storageKey:"vds-player::announcements",onChange:function(t){e.set(t)}}))}function Lh(){const e=(0,Xo.nV)("viewType"),{userPrefersKeyboardAnimations:t,noKeyboardAnimations:n}=Cd(),s=xd("Keyboard Animations");if("video"!==e||n)return null;return i.createElement(ch,{label:s},i.createElement(Ph,{label:s,defaultChecked:!0,storageKey:"vds-player::keyboard-animations",onChange:function(e){t.set(e)}}))}function Nh(e){let{slots:t}=e;const n=xd("Audio"),s=(0,Xo.nV)("canSetAudioGain"),r=(0,Xo.nV)("audioTracks"),{noAudioGain:a,icons:o}=Cd(),l=s&&!a;return!l&&r.length<=1?null:i.createElement($u,{className:"vds-audio-menu vds-menu"},i.createElement(uh,{label:n,Icon:o.Menu.Audio}),i.createElement(Vu,{className:"vds-menu-items"},Nd(t,"audioMenuItemsStart",null),i.createElement(Oh,null),l?i.createElement(Dh,null):null,Nd(t,"audioMenuItemsEnd",null)))}function Dh(){const e=(0,Xo.nV)("audioGain"),t=xd("Boost"),n=Math.round(100*((null!==e&&void 0!==e?e:1)-1))+"%",s=(0,Xo.nV)("canSetAudioGain"),{noAudioGain:r,icons:a}=Cd(),o=!s||r,l=Fh(),u=Vh();return o?null:i.createElement(lh,{label:t,value:n},i.createElement(hh,{UpIcon:a.Menu.AudioBoostUp,DownIcon:a.Menu.AudioBoostDown,isMin:100*((null!==e&&void 0!==e?e:1)-1)<=l,isMax:100*((null!==e&&void 0!==e?e:1)-1)===u},i.createElement(Rh,null)))}function Fh(){const{audioGains:e}=Cd(),t=(0,Yo.cy)(e)?e[0]:null===e||void 0===e?void 0:e.min;return null!==t&&void 0!==t?t:0}function Vh(){const{audioGains:e}=Cd(),t=(0,Yo.cy)(e)?e[e.length-1]:null===e||void 0===e?void 0:e.max;return null!==t&&void 0!==t?t:300}function Rh(){const e=xd("Audio Boost"),t=Fh(),n=Vh(),s=function(){const{audioGains:e}=Cd();return((0,Yo.cy)(e)?e[1]-e[0]:null===e||void 0===e?void 0:e.step)||25}();return i.createElement(td,{className:"vds-audio-gain-slider vds-slider","aria-label":e,min:t,max:n,step:s,keyStep:s},i.createElement(fh,null),i.createElement(ph,null))}function Oh(){var e;const{icons:t}=Cd(),n=xd("Track"),s=xd("Default"),r=(0,Xo.nV)("audioTrack"),a=function(){const e=Ll(),{audioTracks:t,audioTrack:n}=e.$state,s=(0,Yo.Ul)(t);return(0,Yo.Ul)(n),i.useMemo(()=>{const i=s.map(i=>({track:i,label:i.label,value:ju(i),get selected(){return n()===i},select(n){const s=t().indexOf(i);s>=0&&e.remote.changeAudioTrack(s,n)}}));return Object.defineProperty(i,"disabled",{get:()=>i.length<=1}),Object.defineProperty(i,"selectedTrack",{get:()=>n()}),Object.defineProperty(i,"selectedValue",{get(){const e=n();return e?ju(e):void 0}}),i},[s])}();return a.disabled?null:i.createElement($u,{className:"vds-audio-track-menu vds-menu"},i.createElement(uh,{label:n,hint:null!==(e=null===r||void 0===r?void 0:r.label)&&void 0!==e?e:s,disabled:a.disabled,Icon:t.Menu.Audio}),i.createElement(Vu,{className:"vds-menu-items"},i.createElement(xu,{className:"vds-audio-radio-group vds-radio-group",value:a.selectedValue},a.map(e=>{let{label:n,value:s,select:r}=e;return i.createElement(Pu,{className:"vds-audio-radio vds-radio",value:s,onSelect:r,key:s},i.createElement(t.Menu.RadioCheck,{className:"vds-icon"}),i.createElement("span",{className:"vds-radio-label"},n))}))))}function Wh(e){var t,n;let{slots:s}=e;const{icons:r}=Cd(),a=xd("Captions"),o=xd("Off"),l=function(){let{off:e=!0}=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};const t=Ll(),{textTracks:n,textTrack:s}=t.$state,r=(0,Yo.Ul)(n);return(0,Yo.Ul)(s),i.useMemo(()=>{const i=r.filter(Xo._k),a=i.map(e=>({track:e,label:e.label,value:Uu(e),get selected(){return s()===e},select(i){const s=n().indexOf(e);s>=0&&t.remote.changeTextTrackMode(s,"showing",i)}}));return e&&a.unshift({track:null,label:(0,Yo.Kg)(e)?e:"Off",value:"off",get selected(){return!s()},select(e){t.remote.toggleCaptions(e)}}),Object.defineProperty(a,"disabled",{get:()=>!i.length}),Object.defineProperty(a,"selectedTrack",{get:()=>s()}),Object.defineProperty(a,"selectedValue",{get(){const e=s();return e?Uu(e):"off"}}),a},[r])}({off:o}),u=null!==(t=null===(n=l.selectedTrack)||void 0===n?void 0:n.label)&&void 0!==t?t:o;return l.disabled?null:i.createElement($u,{className:"vds-captions-menu vds-menu"},i.createElement(uh,{label:a,hint:u,disabled:l.disabled,Icon:r.Menu.Captions}),i.createElement(Vu,{className:"vds-menu-items"},Nd(s,"captionsMenuItemsStart",null),i.createElement(xu,{className:"vds-captions-radio-group vds-radio-group",value:l.selectedValue},l.map(e=>{let{label:t,value:n,select:s}=e;return i.createElement(Pu,{className:"vds-caption-radio vds-radio",value:n,onSelect:s,key:n},i.createElement(r.Menu.RadioCheck,{className:"vds-icon"}),i.createElement("span",{className:"vds-radio-label"},t))})),Nd(s,"captionsMenuItemsEnd",null)))}function Ih(e){let{slots:t}=e;const n=xd("Playback"),{icons:s}=Cd();return i.createElement($u,{className:"vds-playback-menu vds-menu"},i.createElement(uh,{label:n,Icon:s.Menu.Playback}),i.createElement(Vu,{className:"vds-menu-items"},Nd(t,"playbackMenuItemsStart",null),i.createElement(lh,null,Nd(t,"playbackMenuLoop",i.createElement(zh,null))),i.createElement(jh,null),i.createElement(_h,null),Nd(t,"playbackMenuItemsEnd",null)))}function zh(){const{remote:e}=Ll(),t=xd("Loop");return i.createElement(ch,{label:t},i.createElement(Ph,{label:t,storageKey:"vds-player::user-loop",onChange:function(t,n){e.userPrefersLoopChange(t,n)}}))}function Bh(){const{remote:e,qualities:t}=Ll(),n=(0,Xo.nV)("autoQuality"),s=xd("Auto");return i.createElement(ch,{label:s},i.createElement(Ph,{label:s,checked:n,onChange:function(n,i){n?e.requestAutoQuality(i):e.changeQuality(t.selectedIndex,i)},defaultChecked:n}))}function _h(){const{hideQualityBitrate:e,icons:t}=Cd(),n=(0,Xo.nV)("canSetQuality"),s=(0,Xo.nV)("qualities"),r=(0,Xo.nV)("quality"),a=xd("Quality"),o=xd("Auto"),l=i.useMemo(()=>(0,Xo.FK)(s),[s]);if(!n||s.length<=1)return null;const u=null===r||void 0===r?void 0:r.height,c=e?null:null===r||void 0===r?void 0:r.bitrate,d=c&&c>0?"".concat((c/1e6).toFixed(2)," Mbps"):null,h=u?"".concat(u,"p").concat(d?" (".concat(d,")"):""):o,f=l[0]===r,p=l.at(-1)===r;return i.createElement(lh,{label:a,value:h},i.createElement(hh,{UpIcon:t.Menu.QualityUp,DownIcon:t.Menu.QualityDown,isMin:f,isMax:p},i.createElement(qh,null)),i.createElement(Bh,null))}function qh(){const e=xd("Quality");return i.createElement(Jc,{className:"vds-quality-slider vds-slider","aria-label":e},i.createElement(fh,null),i.createElement(ph,null))}function jh(){const{icons:e}=Cd(),t=(0,Xo.nV)("playbackRate"),n=(0,Xo.nV)("canSetPlaybackRate"),s=xd("Speed"),r=xd("Normal"),a=Uh(),o=Hh(),l=1===t?r:t+"x";return n?i.createElement(lh,{label:s,value:l},i.createElement(hh,{UpIcon:e.Menu.SpeedUp,DownIcon:e.Menu.SpeedDown,isMin:t===a,isMax:t===o},i.createElement(Zh,null))):null}function Uh(){var e;const{playbackRates:t}=Cd(),n=t;return null!==(e=(0,Yo.cy)(n)?n[0]:null===n||void 0===n?void 0:n.min)&&void 0!==e?e:0}function Hh(){var e;const{playbackRates:t}=Cd(),n=t;return null!==(e=(0,Yo.cy)(n)?n[n.length-1]:null===n||void 0===n?void 0:n.max)&&void 0!==e?e:2}function Zh(){const e=xd("Speed"),t=Uh(),n=Hh(),s=function(){const{playbackRates:e}=Cd(),t=e;return((0,Yo.cy)(t)?t[1]-t[0]:null===t||void 0===t?void 0:t.step)||.25}();return i.createElement(id,{className:"vds-speed-slider vds-slider","aria-label":e,min:t,max:n,step:s,keyStep:s},i.createElement(fh,null),i.createElement(ph,null))}function Qh(e){let{tooltip:t,placement:n,portalClass:s="",slots:r}=e;const{showMenuDelay:a,icons:o,isSmallLayout:l,menuContainer:u,menuGroup:c,noModal:d,colorScheme:h}=Cd(),f=xd("Settings"),p=(0,Xo.nV)("viewType"),m=l||"bottom"!==c||"video"!==p?0:26,v=Pd(h),[g,y]=i.useState(!1),A=Zd();!function(e){const t=(0,Yo.vT)();i.useMemo(()=>(0,Yo.P1)(e,t),[t])}(ah);const b=i.createElement(Vu,{className:"vds-settings-menu-items vds-menu-items",placement:n,offset:m},g?i.createElement(i.Fragment,null,Nd(r,"settingsMenuItemsStart",null),Nd(r,"settingsMenuStartItems",null),i.createElement(Ih,{slots:r}),i.createElement(Mh,{slots:r}),i.createElement(Nh,{slots:r}),i.createElement(Wh,{slots:r}),Nd(r,"settingsMenuEndItems",null),Nd(r,"settingsMenuItemsEnd",null)):null);return i.createElement($u,{className:"vds-settings-menu vds-menu",showDelay:a,onOpen:function(){(0,Jo.flushSync)(()=>{y(!0)})},onClose:function(){y(!1)}},i.createElement(Fd,{content:f,placement:t},i.createElement(Nu,{className:"vds-menu-button vds-button","aria-label":f},i.createElement(o.Menu.Settings,{className:"vds-icon vds-rotate-icon"}))),d||!l?b:i.createElement(Du,{className:s+(v?" ".concat(v):""),container:null!==u&&void 0!==u?u:A,disabled:"fullscreen","data-sm":l?"":null,"data-lg":l?null:"","data-size":l?"sm":"lg","data-view-type":p},b))}function Gh(e){let{tooltip:t,orientation:n,slots:s}=e;const r=(0,Xo.nV)("pointer"),a=(0,Xo.nV)("muted"),o=(0,Xo.nV)("canSetVolume"),[l,u]=i.useState(null),c=yd(l),d=Nd(s,"muteButton",i.createElement(Rd,{tooltip:t}));return o?"coarse"!==r||a?i.createElement("div",{className:"vds-volume","data-active":c?"":null,ref:u},d,i.createElement("div",{className:"vds-volume-popup"},Nd(s,"volumeSlider",i.createElement(Kh,{orientation:n})))):null:d}function Kh(e){const t=xd("Volume");return i.createElement(au,(0,r.A)({className:"vds-volume-slider vds-slider","aria-label":t},e),i.createElement(Jl,{className:"vds-slider-track"}),i.createElement(eu,{className:"vds-slider-track-fill vds-slider-track"}),i.createElement(Yl,{className:"vds-slider-thumb"}),i.createElement(nu,{className:"vds-slider-preview",noClamp:!0},i.createElement(iu,{className:"vds-slider-value"})))}function Xh(){const[e,t]=i.useState(null),[n,s]=i.useState(0),r=(0,Xo.nV)("currentSrc"),{thumbnails:a,sliderChaptersMinWidth:o,disableTimeSlider:l,seekStep:u,noScrubGesture:c}=Cd(),d=xd("Seek"),h=(0,Yo.Ul)(wd),f=i.useCallback(()=>{const t=null===e||void 0===e?void 0:e.el;t&&s(t.clientWidth)},[e]);return gd(null===e||void 0===e?void 0:e.el,f),i.createElement(fu,{className:"vds-time-slider vds-slider","aria-label":d,disabled:l,noSwipeGesture:c,keyStep:u,ref:t},i.createElement(mu,{className:"vds-slider-chapters",disabled:n<o},(e,t)=>e.map(e=>i.createElement("div",{className:"vds-slider-chapter",key:e.startTime,ref:t},i.createElement(Jl,{className:"vds-slider-track"}),i.createElement(eu,{className:"vds-slider-track-fill vds-slider-track"}),i.createElement(yu,{className:"vds-slider-progress vds-slider-track"})))),i.createElement(Yl,{className:"vds-slider-thumb"}),i.createElement(nu,{className:"vds-slider-preview"},a?i.createElement(wu.Root,{src:a,className:"vds-slider-thumbnail vds-thumbnail"},i.createElement(wu.Img,null)):h&&(0,Xo.cf)(r)?i.createElement(h,{className:"vds-slider-thumbnail vds-thumbnail"}):null,i.createElement(gu,{className:"vds-slider-chapter-title"}),i.createElement(iu,{className:"vds-slider-value"})))}function Yh(e){let{slots:t}=e;return(0,Xo.nV)("duration")?i.createElement("div",{className:"vds-time-group"},Nd(t,"currentTime",i.createElement(Bu,{className:"vds-time",type:"current"})),Nd(t,"timeDivider",i.createElement("div",{className:"vds-time-divider"},"/")),Nd(t,"endTime",i.createElement(Bu,{className:"vds-time",type:"duration"}))):null}function Jh(e){let{slots:t}=e;return(0,Xo.nV)("live")?Nd(t,"liveButton",i.createElement(qd,null)):i.createElement(Yh,{slots:t})}function ef(e){let{slots:t}=e;const n=(0,Xo.nV)("live"),s=(0,Xo.nV)("duration");return n?Nd(t,"liveButton",i.createElement(qd,null)):Nd(t,"endTime",s?i.createElement(Bu,{className:"vds-time",type:"current",toggle:!0,remainder:!0}):null)}lh.displayName="DefaultMenuSection",uh.displayName="DefaultMenuButton",ch.displayName="DefaultMenuItem",dh.displayName="DefaultMenuRadioGroup",hh.displayName="DefaultMenuSliderItem",fh.displayName="DefaultSliderParts",ph.displayName="DefaultSliderSteps",mh.displayName="DefaultFontMenu",vh.displayName="DefaultFontFamilyMenu",gh.displayName="DefaultFontSizeSlider",yh.displayName="DefaultTextColorInput",Ah.displayName="DefaultTextOpacitySlider",bh.displayName="DefaultTextShadowMenu",wh.displayName="DefaultTextBgInput",kh.displayName="DefaultTextBgOpacitySlider",Sh.displayName="DefaultDisplayBgInput",Eh.displayName="DefaultDisplayBgOpacitySlider",Ch.displayName="DefaultFontSetting",xh.displayName="DefaultFontRadioGroup",Th.displayName="DefaultResetMenuItem",Ph.displayName="DefaultMenuCheckbox",Mh.displayName="DefaultAccessibilityMenu",$h.displayName="DefaultAnnouncementsMenuCheckbox",Lh.displayName="DefaultKeyboardAnimationsMenuCheckbox",Nh.displayName="DefaultAudioMenu",Dh.displayName="DefaultAudioBoostMenuSection",Rh.displayName="DefaultAudioGainSlider",Oh.displayName="DefaultAudioTracksMenu",Wh.displayName="DefaultCaptionMenu",Ih.displayName="DefaultPlaybackMenu",zh.displayName="DefaultLoopMenuCheckbox",Bh.displayName="DefaultAutoQualityMenuCheckbox",_h.displayName="DefaultQualityMenuSection",qh.displayName="DefaultQualitySlider",Zh.displayName="DefaultSpeedSlider",Qh.displayName="DefaultSettingsMenu",Gh.displayName="DefaultVolumePopup",Kh.displayName="DefaultVolumeSlider",Xh.displayName="DefaultTimeSlider",Yh.displayName="DefaultTimeGroup",Jh.displayName="DefaultTimeInfo",ef.displayName="DefaultTimeInvert";Md({type:"audio",smLayoutWhen(e){let{width:t}=e;return t<576},renderLayout:()=>i.createElement(tf,null)});function tf(){const e=$d();return Ad("audio"),i.createElement(i.Fragment,null,i.createElement(Dd,null),i.createElement(Ud,null),i.createElement(Bc,{className:"vds-controls"},i.createElement(qc,{className:"vds-controls-group"},Nd(e,"seekBackwardButton",i.createElement(zd,{backward:!0,tooltip:"top start"})),Nd(e,"playButton",i.createElement(Vd,{tooltip:"top center"})),Nd(e,"seekForwardButton",i.createElement(zd,{tooltip:"top center"})),i.createElement(sf,null),Nd(e,"timeSlider",i.createElement(Xh,null)),i.createElement(ef,{slots:e}),i.createElement(Gh,{orientation:"vertical",tooltip:"top",slots:e}),Nd(e,"captionButton",i.createElement(Od,{tooltip:"top center"})),Nd(e,"downloadButton",i.createElement(jd,null)),i.createElement(nf,{slots:e}))))}function nf(e){let{slots:t}=e;const{isSmallLayout:n,noModal:s}=Cd(),r=s?"top end":n?null:"top end";return i.createElement(i.Fragment,null,Nd(t,"chaptersMenu",i.createElement(Qd,{tooltip:"top",placement:r,portalClass:"vds-audio-layout"})),Nd(t,"settingsMenu",i.createElement(Qh,{tooltip:"top end",placement:r,portalClass:"vds-audio-layout",slots:t})))}function sf(){const[e,t]=i.useState(null),n=Ll(),{translations:s}=Cd(),[r,a]=i.useState(!1),o=md(()=>{const{started:e,currentTime:t}=n.$state;return e()||t()>0}),l=(0,Yo.Ul)(md(()=>{const{title:e,ended:t}=n.$state;if(!e())return"";const i=t()?"Replay":o()?"Continue":"Play";return"".concat(Td(s,i),": ").concat(e())})),u=od(),c=(0,Yo.Ul)(o)?u:"",d=function(e){const[t,n]=i.useState(!1);return i.useEffect(()=>{if(!e)return;const t=new Yo.En(e).add("transitionstart",()=>n(!0)).add("transitionend",()=>n(!1));return()=>t.abort()},[e]),t}(e);i.useEffect(()=>{var e;d&&document.activeElement===document.body&&(null===(e=n.player.el)||void 0===e||e.focus({preventScroll:!0}))},[]);const h=i.useCallback(()=>{const t=e,n=!!t&&!d&&t.clientWidth<t.children[0].clientWidth;t&&(0,Yo.p1)(t,"vds-marquee",n),a(n)},[e,d]);return gd(e,h),l?i.createElement("span",{className:"vds-title",title:l,ref:t},i.createElement(rf,{title:l,chapterTitle:c}),r&&!d?i.createElement(rf,{title:l,chapterTitle:c}):null):i.createElement(Hd,null)}function rf(e){let{title:t,chapterTitle:n}=e;const s=$d();return i.createElement("span",{className:"vds-title-text"},Nd(s,"title",t),Nd(s,"chapterTitle",i.createElement("span",{className:"vds-chapter-title"},n)))}tf.displayName="AudioLayout",nf.displayName="DefaultAudioMenus",sf.displayName="DefaultAudioTitle",rf.displayName="AudioTitle";const af=i.forwardRef((e,t)=>{let{icons:n}=e,s=(0,T.A)(e,Sd);const[a,o]=i.useState(!1),[l,u]=i.useState(null),[c,d]=i.useState(0),h=(0,Xo.nV)("lastKeyboardAction");i.useEffect(()=>{d(e=>e+1)},[h]);const f=i.useMemo(()=>{const e=null===h||void 0===h?void 0:h.action;return e&&a?(0,Yo.BW)(e):null},[a,h]),p=i.useMemo(()=>"vds-kb-action".concat(a?"":" hidden").concat(s.className?" ".concat(s.className):""),[a]),m=md(of),v=(0,Yo.Ul)(m);return function(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[];const n=(0,Yo.vT)();i.useEffect(()=>(0,Yo.P1)(()=>(0,Yo.QZ)(e),n),[n,...t])}(()=>{const e=function(e){var t;const{$state:n}=(0,Yo.NT)(Xo.Q2);switch(null===(t=n.lastKeyboardAction())||void 0===t?void 0:t.action){case"togglePaused":return n.paused()?e.Pause:e.Play;case"toggleMuted":return n.muted()||0===n.volume()?e.Mute:n.volume()>=.5?e.VolumeUp:e.VolumeDown;case"toggleFullscreen":return n.fullscreen()?e.EnterFullscreen:e.ExitFullscreen;case"togglePictureInPicture":return n.pictureInPicture()?e.EnterPiP:e.ExitPiP;case"toggleCaptions":return n.hasCaptions()?n.textTrack()?e.CaptionsOn:e.CaptionsOff:null;case"volumeUp":return e.VolumeUp;case"volumeDown":return e.VolumeDown;case"seekForward":return e.SeekForward;case"seekBackward":return e.SeekBackward;default:return null}}(n);u(()=>e)},[n]),i.useEffect(()=>{o(!!h);const e=setTimeout(()=>o(!1),500);return()=>{o(!1),window.clearTimeout(e)}},[h]),l?i.createElement(Xo.sG.div,(0,r.A)((0,r.A)({},s),{},{className:p,"data-action":f,ref:t}),i.createElement("div",{className:"vds-kb-text-wrapper"},i.createElement("div",{className:"vds-kb-text"},v)),i.createElement("div",{className:"vds-kb-bezel",key:c},i.createElement("div",{className:"vds-kb-icon"},i.createElement(l,null)))):null});function of(){var e,t;const{$state:n}=(0,Yo.NT)(Xo.Q2),i=null===(e=n.lastKeyboardAction())||void 0===e?void 0:e.action,s=null!==(t=n.audioGain())&&void 0!==t?t:1;switch(i){case"toggleMuted":return n.muted()?"0%":lf(n.volume(),s);case"volumeUp":case"volumeDown":return lf(n.volume(),s);default:return""}}function lf(e,t){return"".concat(Math.round(e*t*100),"%")}function uf(){const e=(0,Xo.nV)("started"),t=(0,Xo.nV)("title");return!ad("chapters")||!e&&t?i.createElement(sd,{className:"vds-chapter-title"}):i.createElement(ld,{className:"vds-chapter-title"})}af.displayName="DefaultKeyboardDisplay",uf.displayName="DefaultTitle";const cf=Md({type:"video",smLayoutWhen(e){let{width:t,height:n}=e;return t<576||n<380},renderLayout:e=>i.createElement(hf,(0,r.A)({},e))});function df(e){return i.createElement(cf,(0,r.A)({},e))}function hf(e){let{streamType:t,isLoadLayout:n,isSmallLayout:s}=e;return Ad("video"),n?i.createElement(Af,null):"unknown"===t?i.createElement(gf,null):s?i.createElement(pf,null):i.createElement(ff,null)}function ff(){const{menuGroup:e}=Cd(),t=Ld(),n=(0,r.A)((0,r.A)({},t),null===t||void 0===t?void 0:t.largeLayout);return i.createElement(i.Fragment,null,i.createElement(Dd,null),i.createElement(vf,null),i.createElement(bf,null),Nd(n,"bufferingIndicator",i.createElement(gf,null)),Nd(n,"captions",i.createElement(Ud,null)),i.createElement(Bc,{className:"vds-controls"},i.createElement(qc,{className:"vds-controls-group"},Nd(n,"topControlsGroupStart",null),i.createElement(Hd,null),Nd(n,"topControlsGroupCenter",null),i.createElement(Hd,null),Nd(n,"topControlsGroupEnd",null),"top"===e&&i.createElement(yf,{slots:n})),i.createElement(Hd,null),i.createElement(qc,{className:"vds-controls-group"},Nd(n,"centerControlsGroupStart",null),i.createElement(Hd,null),Nd(n,"centerControlsGroupCenter",null),i.createElement(Hd,null),Nd(n,"centerControlsGroupEnd",null)),i.createElement(Hd,null),i.createElement(qc,{className:"vds-controls-group"},Nd(n,"timeSlider",i.createElement(Xh,null))),i.createElement(qc,{className:"vds-controls-group"},Nd(n,"playButton",i.createElement(Vd,{tooltip:"top start"})),i.createElement(Gh,{orientation:"horizontal",tooltip:"top",slots:n}),i.createElement(Jh,{slots:n}),Nd(n,"chapterTitle",i.createElement(uf,null)),Nd(n,"captionButton",i.createElement(Od,{tooltip:"top"})),"bottom"===e&&i.createElement(yf,{slots:n}),Nd(n,"airPlayButton",i.createElement(Bd,{tooltip:"top"})),Nd(n,"googleCastButton",i.createElement(_d,{tooltip:"top"})),Nd(n,"downloadButton",i.createElement(jd,null)),Nd(n,"pipButton",i.createElement(Wd,{tooltip:"top"})),Nd(n,"fullscreenButton",i.createElement(Id,{tooltip:"top end"})))))}function pf(){const e=Ld(),t=(0,r.A)((0,r.A)({},e),null===e||void 0===e?void 0:e.smallLayout);return i.createElement(i.Fragment,null,i.createElement(Dd,null),i.createElement(vf,null),i.createElement(bf,null),Nd(t,"bufferingIndicator",i.createElement(gf,null)),Nd(t,"captions",i.createElement(Ud,null)),i.createElement(Bc,{className:"vds-controls"},i.createElement(qc,{className:"vds-controls-group"},Nd(t,"topControlsGroupStart",null),Nd(t,"airPlayButton",i.createElement(Bd,{tooltip:"top start"})),Nd(t,"googleCastButton",i.createElement(_d,{tooltip:"top start"})),i.createElement(Hd,null),Nd(t,"topControlsGroupCenter",null),i.createElement(Hd,null),Nd(t,"captionButton",i.createElement(Od,{tooltip:"bottom"})),Nd(t,"downloadButton",i.createElement(jd,null)),i.createElement(yf,{slots:t}),i.createElement(Gh,{orientation:"vertical",tooltip:"bottom end",slots:t}),Nd(t,"topControlsGroupEnd",null)),i.createElement(Hd,null),i.createElement(qc,{className:"vds-controls-group",style:{pointerEvents:"none"}},Nd(t,"centerControlsGroupStart",null),i.createElement(Hd,null),Nd(t,"centerControlsGroupCenter",null),Nd(t,"playButton",i.createElement(Vd,{tooltip:"top"})),i.createElement(Hd,null),Nd(t,"centerControlsGroupEnd",null)),i.createElement(Hd,null),i.createElement(qc,{className:"vds-controls-group"},i.createElement(Jh,{slots:t}),Nd(t,"chapterTitle",i.createElement(uf,null)),Nd(t,"fullscreenButton",i.createElement(Id,{tooltip:"top end"}))),i.createElement(qc,{className:"vds-controls-group"},Nd(t,"timeSlider",i.createElement(Xh,null)))),Nd(t,"startDuration",i.createElement(mf,null)))}function mf(){return 0===(0,Xo.nV)("duration")?null:i.createElement("div",{className:"vds-start-duration"},i.createElement(Bu,{className:"vds-time",type:"duration"}))}function vf(){const{noGestures:e}=Cd();return e?null:i.createElement("div",{className:"vds-gestures"},i.createElement(Iu,{className:"vds-gesture",event:"pointerup",action:"toggle:paused"}),i.createElement(Iu,{className:"vds-gesture",event:"pointerup",action:"toggle:controls"}),i.createElement(Iu,{className:"vds-gesture",event:"dblpointerup",action:"toggle:fullscreen"}),i.createElement(Iu,{className:"vds-gesture",event:"dblpointerup",action:"seek:-10"}),i.createElement(Iu,{className:"vds-gesture",event:"dblpointerup",action:"seek:10"}))}function gf(){return i.createElement("div",{className:"vds-buffering-indicator"},i.createElement(dd,{className:"vds-buffering-spinner"},i.createElement(hd,{className:"vds-buffering-track"}),i.createElement(fd,{className:"vds-buffering-track-fill"})))}function yf(e){let{slots:t}=e;const{isSmallLayout:n,noModal:s,menuGroup:r}=Cd(),a="top"===r||n?"bottom":"top",o="".concat(a," end"),l=s?"".concat(a," end"):n?null:"".concat(a," end");return i.createElement(i.Fragment,null,Nd(t,"chaptersMenu",i.createElement(Qd,{tooltip:o,placement:l,portalClass:"vds-video-layout"})),Nd(t,"settingsMenu",i.createElement(Qh,{tooltip:o,placement:l,portalClass:"vds-video-layout",slots:t})))}function Af(){const{isSmallLayout:e}=Cd(),t=Ld(),n=(0,r.A)((0,r.A)({},t),null===t||void 0===t?void 0:t[e?"smallLayout":"largeLayout"]);return i.createElement("div",{className:"vds-load-container"},Nd(n,"bufferingIndicator",i.createElement(gf,null)),Nd(n,"loadButton",i.createElement(Vd,{tooltip:"top"})))}function bf(){const{noKeyboardAnimations:e,icons:t,userPrefersKeyboardAnimations:n}=Cd(),s=(0,Yo.Ul)(n);return e||!s||!t.KeyboardDisplay?null:i.createElement(af,{icons:t.KeyboardDisplay})}function wf(e){function t(t){return i.createElement(Zu,(0,r.A)({paths:e},t))}return t.displayName="DefaultLayoutIcon",t}df.displayName="DefaultVideoLayout",hf.displayName="VideoLayout",ff.displayName="DefaultVideoLargeLayout",pf.displayName="DefaultVideoSmallLayout",mf.displayName="DefaultVideoStartDuration",vf.displayName="DefaultVideoGestures",gf.displayName="DefaultBufferingIndicator",yf.displayName="DefaultVideoMenus",Af.displayName="DefaultVideoLoadLayout",bf.displayName="DefaultVideoKeyboardDisplay";const kf={AirPlayButton:{Default:wf(Yo.Ft)},GoogleCastButton:{Default:wf(Yo.kU)},PlayButton:{Play:wf(Yo.oL),Pause:wf(Yo.S5),Replay:wf(Yo.rc)},MuteButton:{Mute:wf(Yo.LZ),VolumeLow:wf(Yo.ID),VolumeHigh:wf(Yo.PW)},CaptionButton:{On:wf(Yo.y_),Off:wf(Yo.rw)},PIPButton:{Enter:wf(Yo.VS),Exit:wf(Yo.av)},FullscreenButton:{Enter:wf(Yo.iO),Exit:wf(Yo.IR)},SeekButton:{Backward:wf(Yo.yf),Forward:wf(Yo.TS)},DownloadButton:{Default:wf(Yo.I3)},Menu:{Accessibility:wf(Yo.Mb),ArrowLeft:wf(Yo.ou),ArrowRight:wf(Yo.y4),Audio:wf(Yo.SQ),Chapters:wf(Yo.h7),Captions:wf(Yo.rw),Playback:wf(Yo.h9),Settings:wf(Yo.Mn),AudioBoostUp:wf(Yo.PW),AudioBoostDown:wf(Yo.ID),SpeedUp:wf(Yo.IX),SpeedDown:wf(Yo.Bj),QualityUp:wf(Yo.a_),QualityDown:wf(Yo.y6),FontSizeUp:wf(Yo.a_),FontSizeDown:wf(Yo.y6),OpacityUp:wf(Yo.II),OpacityDown:wf(Yo.Zd),RadioCheck:wf(Yo.a1)},KeyboardDisplay:{Play:wf(Yo.oL),Pause:wf(Yo.S5),Mute:wf(Yo.LZ),VolumeUp:wf(Yo.PW),VolumeDown:wf(Yo.ID),EnterFullscreen:wf(Yo.iO),ExitFullscreen:wf(Yo.IR),EnterPiP:wf(Yo.VS),ExitPiP:wf(Yo.av),CaptionsOn:wf(Yo.y_),CaptionsOff:wf(Yo.rw),SeekForward:wf(Yo.IX),SeekBackward:wf(Yo.Bj)}},Sf={type:"tween",duration:.35,ease:"easeOut"};const Ef=new class{constructor(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:5;this.cache=new Map,this.maxCacheSize=e,this.loadingPromises=new Map}preload(e){if(this.cache.has(e)||this.loadingPromises.has(e))return this.loadingPromises.get(e)||Promise.resolve();const t=document.createElement("video");t.preload="auto",t.muted=!0,t.playsInline=!0;const n=new Promise(n=>{t.addEventListener("canplaythrough",()=>{this.cache.set(e,{video:t,timestamp:Date.now()}),this.loadingPromises.delete(e),this.cleanup(),n()},{once:!0}),t.addEventListener("error",()=>{this.loadingPromises.delete(e),n()},{once:!0}),setTimeout(()=>{this.loadingPromises.has(e)&&(this.loadingPromises.delete(e),n())},5e3)});return this.loadingPromises.set(e,n),t.src=e,t.load(),n}isLoaded(e){return this.cache.has(e)}cleanup(){if(this.cache.size>this.maxCacheSize){const e=Array.from(this.cache.entries());for(e.sort((e,t)=>e[1].timestamp-t[1].timestamp);this.cache.size>this.maxCacheSize;){const[t,{video:n}]=e.shift();n.src="",n.load(),this.cache.delete(t)}}}clear(){this.cache.forEach(e=>{let{video:t}=e;t.src="",t.load()}),this.cache.clear(),this.loadingPromises.clear()}}(8),Cf=e=>{let{height:t}=e;return(0,Os.jsxs)("div",{className:"video-skeleton",style:{height:t},children:[(0,Os.jsx)("div",{className:"skeleton-shimmer"}),(0,Os.jsx)("div",{className:"skeleton-content",children:(0,Os.jsx)("div",{className:"skeleton-icon",children:(0,Os.jsx)("svg",{viewBox:"0 0 24 24",fill:"currentColor",width:"48",height:"48",children:(0,Os.jsx)("path",{d:"M8 5v14l11-7z"})})})})]})},xf=e=>{let{url:t,isActive:n,isVisible:s,height:r,onReady:a,onError:o,playerRef:l}=e;const[u,c]=(0,i.useState)(!1),[d,h]=(0,i.useState)(!1),f=(0,i.useRef)(null),p=l||f,m=(0,i.useCallback)((e,t)=>{c(!0),null===a||void 0===a||a();const n=t.target,i=null===n||void 0===n?void 0:n.qualities;if(!i||0===i.length)return;let s=0;s=1===i.length?0:2===i.length?1:Math.floor(i.length/2);try{i.selectedIndex=s}catch(r){console.warn("Could not set quality:",r)}},[a]),v=(0,i.useCallback)(()=>{h(!0),null===o||void 0===o||o()},[o]),g=(0,i.useCallback)((e,t)=>{var n,i;e.isFullscreen&&(null===(n=(i=t.target).exitFullscreen)||void 0===n||n.call(i))},[]);return s?d?(0,Os.jsx)("div",{className:"video-error",style:{height:r},children:(0,Os.jsx)("span",{children:"Failed to load video"})}):(0,Os.jsxs)("div",{className:"video-wrapper",style:{height:r},children:[!u&&(0,Os.jsx)(Cf,{height:r}),(0,Os.jsx)("div",{className:"video-player-container ".concat(u?"ready":"loading"),style:{height:r},children:(0,Os.jsxs)(fc,{ref:p,src:t,paused:!n,autoPlay:n,muted:!n,loop:!0,playsInline:!0,preload:n?"auto":"metadata",aspectRatio:"9/16",style:{width:"100%",height:"100%",backgroundColor:"transparent"},onCanPlay:m,onError:v,onFullscreenChange:g,fullscreenOrientation:"portrait",children:[(0,Os.jsx)(mc,{}),(0,Os.jsx)(df,{icons:kf,slots:{timeSlider:null},noGestures:!0,noKeyboardAnimations:!0,noFullscreenButton:!0})]})})]}):(0,Os.jsx)(Cf,{height:r})};function Tf(e){let{items:t=[],baseWidth:n=300}=e;const[s,r]=(0,i.useState)(0),[a,o]=(0,i.useState)(new Set([0])),l=function(e){const t=x(()=>E(e)),{isStatic:n}=(0,i.useContext)(C);if(n){const[,n]=(0,i.useState)(e);(0,i.useEffect)(()=>t.on("change",n),[])}return t}(0),u=(0,i.useRef)(null),c=(0,i.useRef)(!1),d=(0,i.useRef)({}),h=t.length,f=n,p=f,m=(0,i.useMemo)(()=>{const e=new Set;for(let t=-2;t<=2;t++){const n=s+t;n>=0&&n<h&&e.add(n)}return e},[s,h]);(0,i.useEffect)(()=>{(async()=>{const e=[];for(let i=1;i<=3;i++){const n=s+i;n<h&&t[n]&&e.push(n)}const n=s-1;n>=0&&t[n]&&e.push(n),t[s]&&await Ef.preload(t[s]),await Promise.all(e.map(e=>Ef.preload(t[e]))),o(t=>{const n=new Set(t);return e.forEach(e=>n.add(e)),n.add(s),n})})()},[s,t,h]),(0,i.useEffect)(()=>{if(!c.current){Ns(l,-s*p,Sf)}},[s,p,l]),(0,i.useEffect)(()=>()=>{Ef.clear()},[]);const v=(0,i.useCallback)(()=>{c.current=!0},[]),g=(0,i.useCallback)((e,t)=>{c.current=!1;const n=t.offset.y,i=t.velocity.y,a=function(e,t,n,i){if(!i)return e;let s=e;return t<-100||n<-200?s=Math.min(e+1,i-1):(t>100||n>200)&&(s=Math.max(e-1,0)),s}(s,n,i,h);Ns(l,-a*p,Sf).then(()=>{a!==s&&r(a)})},[s,h,p,l]),y=(0,i.useCallback)(e=>{o(t=>{const n=new Set(t);return n.add(e),n})},[]),A=(0,i.useMemo)(()=>({top:-p*(h-1),bottom:0}),[h,p]);return(0,Os.jsxs)("div",{ref:u,className:"optimized-carousel-container",children:[(0,Os.jsx)(jo.div,{className:"optimized-carousel-track",drag:"y",dragElastic:.15,dragMomentum:!1,dragConstraints:A,style:{height:f,y:l},onDragStart:v,onDragEnd:g,children:t.map((e,t)=>{const n=m.has(t),i=t===s,r=a.has(t);return(0,Os.jsx)("div",{className:"optimized-carousel-item",style:{height:f},children:(0,Os.jsx)(xf,{url:e,isActive:i,isVisible:n||r,height:f,onReady:()=>y(t),playerRef:e=>{e&&(d.current[t]=e)}})},"video-".concat(t))})}),(0,Os.jsxs)("div",{className:"progress-indicator",children:[(0,Os.jsxs)("div",{className:"progress-text",children:[s+1," / ",h]}),(0,Os.jsx)("div",{className:"progress-bar",children:(0,Os.jsx)("div",{className:"progress-fill",style:{width:"".concat((s+1)/h*100,"%")}})})]}),0===s&&(0,Os.jsxs)("div",{className:"swipe-hint",children:[(0,Os.jsx)("div",{className:"swipe-arrow",children:"\u2191"}),(0,Os.jsx)("span",{children:"Swipe up for more"})]})]})}const Pf=n.p+"static/media/stories.05c3a44851e99c359604.png",Mf=n.p+"static/media/pravachan.11e435b739f29a2ca596.png",$f=n.p+"static/media/bhajan.647d5e615364dfb6c865.png",Lf=n.p+"static/media/darshan.0fcb6ea8922f96504fd6.png",Nf=new Map([["Stories",Pf],["Pravachan",Mf],["Bhajan",$f],["Darshan",Lf]]),Df=Object.freeze(["Stories","Pravachan","Bhajan","Darshan"]),Ff=(0,i.memo)(function(e){let{category:t,isActive:n,icon:s,onClick:r}=e;const a=(0,i.useMemo)(()=>"category-tab ".concat(n?"active":""),[n]),o=(0,i.useCallback)(()=>{r(t)},[t,r]);return(0,Os.jsx)("button",{type:"button",onClick:o,className:a,children:(0,Os.jsxs)("div",{children:[(0,Os.jsx)("span",{className:"category-tab-icon",children:(0,Os.jsx)("img",{src:s,alt:t,className:"category-tab-icon-img",loading:"lazy"})}),(0,Os.jsx)("span",{className:"category-tab-label",children:t})]})},t)}),Vf=(0,i.memo)(function(e){let{category:t,onChange:n}=e;const s=(0,i.useMemo)(()=>new Set([t]),[t]),r=(0,i.useMemo)(()=>Df.map(e=>({name:e,icon:Nf.get(e),isActive:s.has(e)})),[s]),a=(0,i.useCallback)(e=>{n(e)},[n]);return(0,Os.jsx)("div",{className:"category-tabs",children:r.map(e=>{let{name:t,icon:n,isActive:i}=e;return(0,Os.jsx)(Ff,{category:t,isActive:i,icon:n,onClick:a},t)})})},(e,t)=>e.category===t.category&&e.onChange===t.onChange);Vf.displayName="CategoryTabs";const Rf=Vf,Of={width:"100vw",height:"100vh",display:"flex",justifyContent:"center",alignItems:"center",backgroundColor:"#0d0716"},Wf=(0,r.A)((0,r.A)({},Of),{},{color:"#fff",fontSize:"24px",zIndex:1,flexDirection:"column",gap:"16px"}),If=(0,r.A)((0,r.A)({},Of),{},{color:"#ff4444",fontSize:"18px",padding:"20px",textAlign:"center",zIndex:1}),zf=(0,r.A)((0,r.A)({},Of),{},{color:"#fff",fontSize:"18px",zIndex:1}),Bf={width:"100vw",height:"100vh",overflow:"hidden",margin:0,padding:0,top:0,left:0,position:"fixed",zIndex:1},_f={width:"40px",height:"40px",border:"3px solid rgba(255, 255, 255, 0.1)",borderTopColor:"#ff9f1c",borderRadius:"50%",animation:"spin 0.8s linear infinite"},qf="eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9.eyJleHAiOjE3NjUwODk4MzcsInVzZXJfbmFtZSI6IjI2NyIsImF1dGhvcml0aWVzIjpbIlJPTEVfRERBUFBfVVNFUiIsIlJPTEVfRERfUFVKQV9DQVNISUVSIiwiUk9MRV9ERF9QVUpBX01BTkFHRVIiLCJST0xFX0RJVklORV9GUkFOQ0hJU0VFX0NBU0hJRVIiLCJST0xFX1JPT1QiLCJST0xFX0REX1BVSkFfQURNSU4iLCJST0xFX0REQVBQX0FETUlOIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9PUEVSQVRPUiIsIlJPTEVfRElWSU5FX0FETUlOIiwiUk9MRV9EREFQUF9TVVBQT1JUIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9BQ0NPVU5UQU5UIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9NQU5BR0VSIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRSIsIlJPTEVfRERBUFBfQ09OVEVOVF9NQU5BR0VSIiwiUk9MRV9BRE1JTiIsIlJPTEVfRERfUFVKQV9NT0RFUkFUT1IiXSwianRpIjoid0p0bVRhcXY4XzgtclZJdGxmSFRFN0ZBaENJIiwiY2xpZW50X2lkIjoidGVjaHhyIiwic2NvcGUiOlsiYWxsIl19.FgSj0W-kVNfDw8we6LE3Z8i-8wG9EUBQcg1kjXyvY1QIzbfkx3QJJ3_lRMH_bpD2gQ6zEBzWhc1N0S73DGLxLJLXLPq2wiXEJPLkAYNaQkHtxjZSc8JoYlweYO0zYqjeYkAjYt--PtI744eiSQBr-_iQXtIZMG-ZYJJQXJz4sl2okovQYFRzJWAueVVXPByJxguV6SQ1Saz72E56_Rb7TAx81QSA1A36yrOAmT3gwsGgfBo-FFOfZfwVffR_4oKlJXpJZD5mnE_J9buzk7qvMcKnA3YhbaIuB_vDZH3sERHGhAqAHlDH3wEuTB2-3cYaZF_r7G7TjzRmrlDPZzeyxg",jf=new Map,Uf=()=>(0,Os.jsxs)("div",{style:Wf,children:[(0,Os.jsx)("style",{children:"@keyframes spin { to { transform: rotate(360deg); } }"}),(0,Os.jsx)("div",{style:_f}),(0,Os.jsx)("span",{children:"Loading reels..."})]});const Hf=function(){const[e,t]=(0,i.useState)(null),[n,s]=(0,i.useState)(!0),[r,a]=(0,i.useState)(null),[o,l]=(0,i.useState)("Stories"),[u,c]=(0,i.useState)(()=>"undefined"!==typeof window?window.innerHeight:300),[d,h]=(0,i.useState)(!1),f=(0,i.useRef)(null);(0,i.useEffect)(()=>{const e=()=>{c(window.innerHeight)};return window.addEventListener("resize",e),()=>window.removeEventListener("resize",e)},[]),(0,i.useEffect)(()=>{const e=["Stories","Pravachan","Bhajan","Darshan"],t=setTimeout(()=>{e.forEach((e,t)=>{setTimeout(()=>(async e=>{if(!jf.has(e))try{const t=await fetch("https://devgateway.techxrdev.in/api/content/content/reels/feed?category=".concat(e,"&page=1&limit=50&userId=12"),{headers:{Authorization:"Bearer ".concat(qf)}});if(t.ok){const n=await t.json();jf.set(e,n)}}catch(t){}})(e),1e3*t)})},2e3);return()=>clearTimeout(t)},[]),(0,i.useEffect)(()=>((async()=>{if(jf.has(o))return t(jf.get(o)),s(!1),void a(null);f.current&&f.current.abort(),f.current=new AbortController;try{s(!0),h(!0);const e=await fetch("https://devgateway.techxrdev.in/api/content/content/reels/feed?category=".concat(o,"&page=1&limit=50&userId=12"),{headers:{Authorization:"Bearer ".concat(qf)},signal:f.current.signal});if(!e.ok)throw new Error("HTTP error! status: ".concat(e.status));const n=await e.json();jf.set(o,n),t(n),a(null)}catch(e){if("AbortError"===e.name)return;a(e.message),t(null),console.error("Error fetching reels:",e)}finally{s(!1),h(!1)}})(),()=>{f.current&&f.current.abort()}),[o]);const p=(0,i.useMemo)(()=>{var t;return(null===e||void 0===e||null===(t=e.reels)||void 0===t?void 0:t.map(e=>e.videoUrl))||[]},[e]),m=(0,i.useCallback)(e=>{l(e)},[]);return n?(0,Os.jsx)(Uf,{}):r?(0,Os.jsxs)("div",{style:If,children:["Error loading reels: ",r]}):p.length?(0,Os.jsxs)("div",{style:Bf,children:[(0,Os.jsx)(Rf,{category:o,onChange:m}),(0,Os.jsx)(Tf,{baseWidth:u,items:p},o)]}):(0,Os.jsxs)("div",{style:zf,children:["No reels found for ",o]})},Zf=e=>{e&&e instanceof Function&&n.e(453).then(n.bind(n,453)).then(t=>{let{getCLS:n,getFID:i,getFCP:s,getLCP:r,getTTFB:a}=t;n(e),i(e),s(e),r(e),a(e)})};s.createRoot(document.getElementById("root")).render((0,Os.jsx)(i.StrictMode,{children:(0,Os.jsx)(Hf,{})})),Zf()})();
-//# sourceMappingURL=main.2a18488b.js.map
\ No newline at end of file
@@ -0,0 +1,139 @@
+/* eslint-disable no-restricted-globals */
+// Reels service worker
+//
+// - App shell: navigations are network-first with the cached index.html as
+//   the offline fallback; built /static/ assets are cache-first.
+// - Feed responses: network-first, falling back to the last cached page.
+// - Videos: only reels the user saved for offline (written to VIDEO_CACHE by
+//   the page) are served from cache, with Range request support so the
+//   <video> element can seek.
+//
+// Cache names must stay in sync with src/services/offlineStore.js.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `reels-shell-${VERSION}`;
+const FEED_CACHE = `reels-feed-${VERSION}`;
+const VIDEO_CACHE = 'reels-videos';
+
+const CURRENT_CACHES = [SHELL_CACHE, FEED_CACHE, VIDEO_CACHE];
+const SCOPE_PATH = new URL(self.registration.scope).pathname;
+const SHELL_URLS = [SCOPE_PATH, `${SCOPE_PATH}index.html`, `${SCOPE_PATH}manifest.json`];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('reels-') && !CURRENT_CACHES.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serve a byte range out of a fully cached response
+async function toRangeResponse(request, cached) {
+  const range = request.headers.get('range');
+  if (!range) return cached;
+
+  const blob = await cached.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start = match && match[1] ? Number(match[1]) : null;
+  let end = match && match[2] ? Number(match[2]) : null;
+
+  if (start === null && end !== null) {
+    // Suffix range: last N bytes
+    start = Math.max(blob.size - end, 0);
+    end = blob.size - 1;
+  } else if (start !== null) {
+    end = end === null ? blob.size - 1 : Math.min(end, blob.size - 1);
+  }
+
+  if (!match || start === null || start > end || start >= blob.size) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` },
+    });
+  }
+
+  const slice = blob.slice(start, end + 1);
+  return new Response(slice, {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'video/mp4',
+      'Content-Length': String(slice.size),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes',
+    },
+  });
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function offlineVideo(request) {
+  const cache = await caches.open(VIDEO_CACHE);
+  // Match on the URL alone so Range headers don't prevent a hit
+  const cached = await cache.match(request.url);
+  return cached ? toRangeResponse(request, cached) : fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, `${SCOPE_PATH}index.html`));
+    return;
+  }
+
+  if (url.origin === self.location.origin && url.pathname.startsWith(`${SCOPE_PATH}static/`)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (url.pathname.endsWith('/reels/feed')) {
+    event.respondWith(networkFirst(request, FEED_CACHE));
+    return;
+  }
+
+  if (request.destination === 'video' || request.headers.has('range')) {
+    event.respondWith(offlineVideo(request));
+  }
+});
@@ -1,7 +1,23 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { AnimatePresence, MotionConfig, motion } from 'motion/react';
 import './App.css';
 import OptimizedCarousel from './components/OptimizedCarousel';
-import CategoryTabs from './components/categoriesTab';
+import CategoryTabs, { CATEGORY_PANEL_ID, getCategoryTabId } from './components/categoriesTab';
+import DownloadsView from './components/DownloadsView';
+import OfflineBanner from './components/OfflineBanner';
+import CommentsDrawer from './components/CommentsDrawer';
+import { createReelsClient } from './services/reelsApi';
+import { createAnalytics, createDefaultSink } from './services/analytics';
+import { createDefaultProvider, resolveSponsoredPolicy } from './services/sponsored';
+import { getReelKey, getReelId, getReelStats } from './utils/reel';
+import { parseReelRoute, buildReelPath } from './utils/route';
+import { mergeReels, reviseFeed, isPlayable } from './utils/feed';
+import { getSavedPosition, savePosition, markSeen, deprioritizeSeen } from './services/watchHistory';
+import { isOfflineSupported } from './services/offlineStore';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useCategories from './hooks/useCategories';
+import { getCategories, matchCategory } from './services/categories';
+import { getFeed, hasFeed, setFeed, updateFeeds, isFeedStale } from './services/feedCache';
 
 // Style constants to avoid recreating on every render
 const FULL_SCREEN_STYLES = {
@@ -29,6 +45,37 @@ const ERROR_STYLES = {
   padding: '20px',
   textAlign: 'center',
   zIndex: 1,
+  flexDirection: 'column',
+  gap: '16px',
+};
+
+const RETRY_BUTTON_STYLES = {
+  padding: '10px 24px',
+  border: 'none',
+  borderRadius: '20px',
+  backgroundColor: '#ff9f1c',
+  color: '#1a0f25',
+  fontSize: '15px',
+  fontWeight: 600,
+  cursor: 'pointer',
+};
+
+// Dims the current feed while another category loads or fails to, leaving
+// the tabs above it usable
+const FEED_SWITCH_STYLES = {
+  position: 'absolute',
+  inset: 0,
+  zIndex: 5,
+  display: 'flex',
+  flexDirection: 'column',
+  justifyContent: 'center',
+  alignItems: 'center',
+  gap: '16px',
+  padding: '20px',
+  backgroundColor: 'rgba(13, 7, 22, 0.72)',
+  color: '#fff',
+  fontSize: '16px',
+  textAlign: 'center',
 };
 
 const NO_REELS_STYLES = {
@@ -50,6 +97,20 @@ const CONTAINER_STYLES = {
   zIndex: 1,
 };
 
+const CATEGORY_SLIDE_STYLES = {
+  width: '100%',
+  height: '100%',
+};
+
+// Side-slide between category feeds - the old feed leaves before the new one
+// enters so only one set of players exists at a time
+const CATEGORY_SLIDE_VARIANTS = {
+  enter: (direction) => ({ x: `${direction * 100}%` }),
+  center: { x: 0 },
+  exit: (direction) => ({ x: `${direction * -100}%` }),
+};
+const CATEGORY_SLIDE_TRANSITION = { type: 'tween', duration: 0.2, ease: 'easeOut' };
+
 const SPINNER_STYLES = {
   width: '40px',
   height: '40px',
@@ -59,10 +120,59 @@ const SPINNER_STYLES = {
   animation: 'spin 0.8s linear infinite',
 };
 
-const authToken = `eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9.eyJleHAiOjE3NjUwODk4MzcsInVzZXJfbmFtZSI6IjI2NyIsImF1dGhvcml0aWVzIjpbIlJPTEVfRERBUFBfVVNFUiIsIlJPTEVfRERfUFVKQV9DQVNISUVSIiwiUk9MRV9ERF9QVUpBX01BTkFHRVIiLCJST0xFX0RJVklORV9GUkFOQ0hJU0VFX0NBU0hJRVIiLCJST0xFX1JPT1QiLCJST0xFX0REX1BVSkFfQURNSU4iLCJST0xFX0REQVBQX0FETUlOIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9PUEVSQVRPUiIsIlJPTEVfRElWSU5FX0FETUlOIiwiUk9MRV9EREFQUF9TVVBQT1JUIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9BQ0NPVU5UQU5UIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRV9NQU5BR0VSIiwiUk9MRV9ESVZJTkVfRlJBTkNISVNFRSIsIlJPTEVfRERBUFBfQ09OVEVOVF9NQU5BR0VSIiwiUk9MRV9BRE1JTiIsIlJPTEVfRERfUFVKQV9NT0RFUkFUT1IiXSwianRpIjoid0p0bVRhcXY4XzgtclZJdGxmSFRFN0ZBaENJIiwiY2xpZW50X2lkIjoidGVjaHhyIiwic2NvcGUiOlsiYWxsIl19.FgSj0W-kVNfDw8we6LE3Z8i-8wG9EUBQcg1kjXyvY1QIzbfkx3QJJ3_lRMH_bpD2gQ6zEBzWhc1N0S73DGLxLJLXLPq2wiXEJPLkAYNaQkHtxjZSc8JoYlweYO0zYqjeYkAjYt--PtI744eiSQBr-_iQXtIZMG-ZYJJQXJz4sl2okovQYFRzJWAueVVXPByJxguV6SQ1Saz72E56_Rb7TAx81QSA1A36yrOAmT3gwsGgfBo-FFOfZfwVffR_4oKlJXpJZD5mnE_J9buzk7qvMcKnA3YhbaIuB_vDZH3sERHGhAqAHlDH3wEuTB2-3cYaZF_r7G7TjzRmrlDPZzeyxg`;
+const DEFAULT_CATEGORY = 'Stories';
+// Categories prefetched in the background, in tab order
+const PREFETCH_LIMIT = 6;
+// Share of a reel that has to be watched before it counts as seen
+const SEEN_RATIO = 0.5;
+
+// Which way the feed slides when moving between two categories' tabs
+const getSlideDirection = (categories, from, to) => {
+  const names = categories.map(cat => cat.name);
+  return Math.sign(names.indexOf(to) - names.indexOf(from));
+};
+
+// Stories when the list has it, otherwise whatever comes first
+const getDefaultCategory = (categories) => {
+  return matchCategory(DEFAULT_CATEGORY, categories) || categories[0]?.name || DEFAULT_CATEGORY;
+};
 
-// Data cache for category switching
-const dataCache = new Map();
+// Point a feed entry at a deep-linked reel, fetching the reel and putting it
+// first when it isn't part of the loaded pages
+const resolveLinkedReel = async (entry, reelId, client, signal) => {
+  const index = entry.reels.findIndex(reel => String(getReelId(reel)) === String(reelId));
+  if (index !== -1) return { ...entry, index };
+
+  try {
+    const reel = await client.fetchReel(reelId, { signal });
+    if (isPlayable(reel)) {
+      return { ...entry, reels: mergeReels([reel], entry.reels), index: 0 };
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.warn('Could not open linked reel:', err);
+  }
+  return entry;
+};
+
+// Patch a reel in every cached feed so remounted slides show the latest state
+const updateCachedReel = (reel, patch) => {
+  const key = getReelKey(reel);
+  updateFeeds(entry => {
+    entry.reels.forEach(cached => {
+      if (getReelKey(cached) === key) Object.assign(cached, patch);
+    });
+  });
+};
+
+// Opens the downloads screen
+const DownloadsButton = ({ onClick }) => (
+  <button type="button" className="downloads-button" onClick={onClick} aria-label="Downloads">
+    <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M12 4v11M7 10l5 5 5-5M5 20h14" />
+    </svg>
+  </button>
+);
 
 // Loading spinner component
 const LoadingSpinner = () => (
@@ -75,14 +185,106 @@ const LoadingSpinner = () => (
   </div>
 );
 
-function App() {
+// Inline loading/error state for a category switch, shown over the old feed
+const FeedSwitchStatus = ({ label, error, isOnline, onRetry }) => (
+  <div style={FEED_SWITCH_STYLES} role="status">
+    {error ? (
+      <>
+        {isOnline ? `Couldn't load ${label}` : `${label} can't be loaded while offline`}
+        <button type="button" style={RETRY_BUTTON_STYLES} onClick={onRetry}>
+          Try again
+        </button>
+      </>
+    ) : (
+      <>
+        <div style={SPINNER_STYLES} />
+        <span>Loading {label}...</span>
+      </>
+    )}
+  </div>
+);
+
+function App({
+  client: clientProp,
+  apiConfig,
+  analytics: analyticsProp,
+  sponsoredProvider: sponsoredProviderProp,
+  sponsoredPolicy: sponsoredPolicyProp,
+}) {
   const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [category, setCategory] = useState('Stories');
+  const [initialRoute] = useState(() => parseReelRoute());
+  const [category, setCategory] = useState(
+    () => matchCategory(initialRoute.category) || getDefaultCategory(getCategories())
+  );
   const [windowHeight, setWindowHeight] = useState(() => typeof window !== 'undefined' ? window.innerHeight : 300);
+  // A category without a usable cached feed is being fetched
   const [isTransitioning, setIsTransitioning] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // The last next-page request failed - no more requests until a retry
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+  const [showDownloads, setShowDownloads] = useState(false);
+  // Reel whose comments sheet is open
+  const [commentsReel, setCommentsReel] = useState(null);
+  // 1 when moving to a category further along the tabs, -1 when going back
+  const [slideDirection, setSlideDirection] = useState(0);
+  // Bumped to fetch the current category again after a failure
+  const [retryToken, setRetryToken] = useState(0);
+  const isOnline = useOnlineStatus();
   const abortControllerRef = useRef(null);
+  const loadMoreControllerRef = useRef(null);
+  const wasOfflineRef = useRef(!isOnline);
+  const carouselRef = useRef(null);
+  // Reel id from the URL waiting for its category feed to load
+  const pendingReelIdRef = useRef(
+    matchCategory(initialRoute.category) || !initialRoute.category ? initialRoute.reelId : null
+  );
+  // URL category not in the cached list yet (e.g. a new seasonal category),
+  // opened once the categories endpoint confirms it
+  const pendingRouteRef = useRef(
+    initialRoute.category && !matchCategory(initialRoute.category) ? initialRoute : null
+  );
+
+  // Feed client - injected by the host or built from apiConfig/env
+  const client = useMemo(
+    () => clientProp || createReelsClient(apiConfig),
+    [clientProp, apiConfig]
+  );
+
+  // Watch analytics - injected by the host (or tests) or sent to the configured endpoint
+  const analytics = useMemo(
+    () => analyticsProp || createAnalytics({ sink: createDefaultSink() }),
+    [analyticsProp]
+  );
+
+  // Flush queued events when the page is hidden
+  useEffect(() => analytics.attach(), [analytics]);
+
+  // Sponsored/announcement slots - provider injected by the host (or a
+  // fixture in tests) or read from the configured endpoint
+  const sponsoredProvider = useMemo(
+    () => sponsoredProviderProp || createDefaultProvider(),
+    [sponsoredProviderProp]
+  );
+  const sponsoredPolicy = useMemo(
+    () => resolveSponsoredPolicy(sponsoredPolicyProp),
+    [sponsoredPolicyProp]
+  );
+
+  const categories = useCategories(client);
+  const getCategoryLabel = useCallback(
+    (name) => categories.find(cat => cat.name === name)?.label || name,
+    [categories]
+  );
+
+  useEffect(() => {
+    const route = pendingRouteRef.current;
+    const linked = route && matchCategory(route.category, categories);
+    if (!linked) return;
+    pendingRouteRef.current = null;
+    pendingReelIdRef.current = route.reelId;
+    setCategory(linked);
+  }, [categories]);
 
   // Handle window resize for baseWidth calculation
   useEffect(() => {
@@ -96,24 +298,21 @@ function App() {
 
   // Prefetch other categories in background
   useEffect(() => {
-    const prefetchCategories = ['Stories', 'Pravachan', 'Bhajan', 'Darshan'];
+    const prefetchCategories = categories.slice(0, PREFETCH_LIMIT).map(cat => cat.name);
     
     const prefetch = async (cat) => {
-      if (dataCache.has(cat)) return;
+      if (hasFeed(cat)) return;
       
       try {
-        const response = await fetch(
-          `https://devgateway.techxrdev.in/api/content/content/reels/feed?category=${cat}&page=1&limit=50&userId=12`,
-          {
-            headers: {
-              'Authorization': `Bearer ${authToken}`
-            }
-          }
-        );
-        
-        if (response.ok) {
-          const result = await response.json();
-          dataCache.set(cat, result);
+        const { reels, hasMore } = await client.fetchFeedPage(cat, 1);
+        if (!hasFeed(cat)) {
+          setFeed(cat, {
+            category: cat,
+            reels: mergeReels([], deprioritizeSeen(reels)),
+            page: 1,
+            hasMore,
+            index: 0,
+          });
         }
       } catch (err) {
         // Silent fail for prefetch
@@ -121,65 +320,99 @@ function App() {
     };
 
     // Prefetch after initial load with delay
-    const timer = setTimeout(() => {
+    const timers = [];
+    timers.push(setTimeout(() => {
       prefetchCategories.forEach((cat, index) => {
-        setTimeout(() => prefetch(cat), index * 1000);
+        timers.push(setTimeout(() => prefetch(cat), index * 1000));
       });
-    }, 2000);
+    }, 2000));
 
-    return () => clearTimeout(timer);
-  }, []);
+    // The list may be replaced by the endpoint's, start over with it
+    return () => timers.forEach(clearTimeout);
+  }, [client, categories]);
 
   useEffect(() => {
-    const fetchData = async () => {
-      // Check cache first
-      if (dataCache.has(category)) {
-        setData(dataCache.get(category));
-        setLoading(false);
-        setError(null);
-        return;
+    // Refresh a stale cached feed behind the one already on screen
+    const revalidate = async (signal) => {
+      try {
+        const { reels } = await client.fetchFeedPage(category, 1, { signal });
+        // Read the entry again, the viewer may have scrolled or loaded more
+        const latest = getFeed(category);
+        if (!latest) return;
+        const updated = setFeed(category, reviseFeed(latest, reels));
+        setData(current => (current?.category === category ? updated : current));
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.warn('Could not refresh reels:', err);
       }
+    };
 
+    const fetchData = async () => {
       // Abort previous request if any
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
       
-      abortControllerRef.current = new AbortController();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
       
       try {
-        setLoading(true);
-        setIsTransitioning(true);
-        
-        const response = await fetch(
-          `https://devgateway.techxrdev.in/api/content/content/reels/feed?category=${category}&page=1&limit=50&userId=12`,
-          {
-            headers: {
-              'Authorization': `Bearer ${authToken}`
-            },
-            signal: abortControllerRef.current.signal
+        // Cached feeds are shown straight away, even when due for a refresh
+        let entry = getFeed(category);
+        const isCached = Boolean(entry);
+
+        if (!entry) {
+          setError(null);
+          setIsTransitioning(true);
+          
+          const { reels, hasMore } = await client.fetchFeedPage(category, 1, {
+            signal: controller.signal
+          });
+          
+          entry = {
+            category,
+            reels: mergeReels([], deprioritizeSeen(reels)),
+            page: 1,
+            hasMore,
+            index: 0,
+          };
+        }
+
+        // Open the reel from the URL once its feed is available, otherwise
+        // resume where the user left off the first time the category is shown
+        const reelId = pendingReelIdRef.current;
+        if (reelId) {
+          pendingReelIdRef.current = null;
+          entry = await resolveLinkedReel(entry, reelId, client, controller.signal);
+          entry = { ...entry, time: 0, resumed: true };
+        } else if (!entry.resumed) {
+          const saved = getSavedPosition(category);
+          if (saved?.reelId !== null && saved?.reelId !== undefined) {
+            entry = await resolveLinkedReel(entry, saved.reelId, client, controller.signal);
+            const isSavedReel = String(getReelId(entry.reels[entry.index])) === String(saved.reelId);
+            entry = { ...entry, time: isSavedReel ? saved.time : 0 };
           }
-        );
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+          entry = { ...entry, resumed: true };
         }
-        
-        const result = await response.json();
-        
+
         // Cache the result
-        dataCache.set(category, result);
+        entry = setFeed(category, entry);
         
-        setData(result);
+        setData(entry);
         setError(null);
+
+        if (isCached && isFeedStale(entry)) {
+          revalidate(controller.signal);
+        }
       } catch (err) {
         if (err.name === 'AbortError') return;
+        // The previous feed, if any, stays on screen under the error
         setError(err.message);
-        setData(null);
         console.error('Error fetching reels:', err);
       } finally {
-        setLoading(false);
-        setIsTransitioning(false);
+        if (abortControllerRef.current === controller) {
+          setIsTransitioning(false);
+        }
       }
     };
 
@@ -189,54 +422,322 @@ function App() {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
+      if (loadMoreControllerRef.current) {
+        loadMoreControllerRef.current.abort();
+        loadMoreControllerRef.current = null;
+      }
+      setIsLoadingMore(false);
+      setLoadMoreFailed(false);
     };
+  }, [category, client, retryToken]);
+
+  // Category of the feed currently on screen - lags behind `category`
+  // while a newly selected category is loading
+  const feedCategory = data?.category;
+
+  // Fetch the next page for the current category and append it to the feed
+  const handleLoadMore = useCallback(async () => {
+    const entry = getFeed(feedCategory);
+    if (!entry || !entry.hasMore || loadMoreControllerRef.current) return;
+
+    const controller = new AbortController();
+    loadMoreControllerRef.current = controller;
+    setIsLoadingMore(true);
+
+    try {
+      const nextPage = entry.page + 1;
+      const { reels, hasMore } = await client.fetchFeedPage(feedCategory, nextPage, {
+        signal: controller.signal
+      });
+
+      // Read the entry again, the index may have moved while fetching
+      const latest = getFeed(feedCategory) || entry;
+      const updated = setFeed(feedCategory, {
+        ...latest,
+        reels: mergeReels(latest.reels, deprioritizeSeen(reels)),
+        page: nextPage,
+        hasMore,
+      });
+
+      setData(updated);
+      setLoadMoreFailed(false);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setLoadMoreFailed(true);
+      console.error('Error fetching more reels:', err);
+    } finally {
+      if (loadMoreControllerRef.current === controller) {
+        loadMoreControllerRef.current = null;
+        setIsLoadingMore(false);
+      }
+    }
+  }, [feedCategory, client]);
+
+  const retryFeed = useCallback(() => {
+    setRetryToken(token => token + 1);
+  }, []);
+
+  // Back online - retry whatever failed while the connection was down
+  useEffect(() => {
+    if (!isOnline) {
+      wasOfflineRef.current = true;
+      return;
+    }
+    if (!wasOfflineRef.current) return;
+    wasOfflineRef.current = false;
+
+    if (error) retryFeed();
+    if (loadMoreFailed) handleLoadMore();
+  }, [isOnline, error, retryFeed, loadMoreFailed, handleLoadMore]);
+
+  // Remember the viewed position so switching back resumes there, and
+  // reflect the current reel in the URL so it can be shared or restored
+  const handleIndexChange = useCallback((index) => {
+    const entry = getFeed(feedCategory);
+    if (!entry) return;
+
+    const reelId = getReelId(entry.reels[index]);
+    if (entry.index !== index) {
+      entry.index = index;
+      entry.time = 0;
+    }
+    savePosition(feedCategory, { reelId, index, time: entry.time || 0 });
+
+    const path = buildReelPath(feedCategory, reelId);
+    if (path === `${window.location.pathname}${window.location.search}`) return;
+
+    const state = { category: feedCategory, index };
+    const current = parseReelRoute();
+    // Landing URLs without a reel are replaced rather than kept in history
+    if (current.reelId) {
+      window.history.pushState(state, '', path);
+    } else {
+      window.history.replaceState(state, '', path);
+    }
+  }, [feedCategory]);
+
+  // Keep the playback position for continue-watching and mark watched reels
+  const handlePlaybackProgress = useCallback((index, currentTime, duration) => {
+    const entry = getFeed(feedCategory);
+    const reel = entry?.reels[index];
+    if (!reel || entry.index !== index) return;
+
+    entry.time = currentTime;
+    savePosition(feedCategory, { reelId: getReelId(reel), index, time: currentTime });
+
+    if (duration && currentTime / duration >= SEEN_RATIO) {
+      markSeen(reel);
+    }
+  }, [feedCategory]);
+
+  // Browser back/forward - move to the category and reel from the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseReelRoute();
+      const nextCategory = matchCategory(route.category) || getDefaultCategory(getCategories());
+
+      if (nextCategory !== category) {
+        setCommentsReel(null);
+        pendingReelIdRef.current = route.reelId;
+        setSlideDirection(getSlideDirection(getCategories(), category, nextCategory));
+        setCategory(nextCategory);
+        return;
+      }
+
+      const entry = getFeed(nextCategory);
+      if (!entry || !route.reelId) return;
+
+      const index = entry.reels.findIndex(reel => String(getReelId(reel)) === route.reelId);
+      if (index !== -1) {
+        carouselRef.current?.goTo(index);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, [category]);
 
-  // Extract videoUrl array from API response - memoized to avoid recalculation
-  const videoUrls = useMemo(() => {
-    return data?.reels?.map(reel => reel.videoUrl) || [];
+  // Persist reel actions - returned promises let the slide roll back on failure
+  const handleLike = useCallback(async (reel, liked) => {
+    const reelId = getReelId(reel);
+    if (reelId === null) return;
+
+    await client.likeReel(reelId, liked);
+    const likeCount = Number(reel.likeCount ?? reel.likes ?? 0);
+    updateCachedReel(reel, {
+      isLiked: liked,
+      likeCount: Math.max(likeCount + (liked ? 1 : -1), 0),
+    });
+  }, [client]);
+
+  const handleSave = useCallback(async (reel, saved) => {
+    const reelId = getReelId(reel);
+    if (reelId === null) return;
+
+    await client.saveReel(reelId, saved);
+    updateCachedReel(reel, { isSaved: saved });
+  }, [client]);
+
+  const handleShare = useCallback((reel) => {
+    const reelId = getReelId(reel);
+    if (reelId === null) return;
+
+    client.recordShare(reelId).catch(err => {
+      console.warn('Could not record share:', err);
+    });
+  }, [client]);
+
+  const openComments = useCallback((reel) => setCommentsReel(reel), []);
+  const closeComments = useCallback(() => setCommentsReel(null), []);
+
+  const handleCommentPosted = useCallback((reel) => {
+    updateCachedReel(reel, { commentCount: getReelStats(reel).commentCount + 1 });
+  }, []);
+
+  // Latest state of a live reel (status, viewers, stream URL) while it's on screen
+  const handleRefreshLive = useCallback(async (reel) => {
+    const reelId = getReelId(reel);
+    if (reelId === null) return null;
+
+    const latest = await client.fetchReel(reelId);
+    if (latest) updateCachedReel(reel, latest);
+    return latest;
+  }, [client]);
+
+  // Reels for the carousel - memoized to avoid recalculation
+  const reels = useMemo(() => {
+    return data?.reels || [];
   }, [data]);
 
+  const openDownloads = useCallback(() => setShowDownloads(true), []);
+  const closeDownloads = useCallback(() => setShowDownloads(false), []);
+
+  // Hold the current reel while the next category loads over it
+  useEffect(() => {
+    if (isTransitioning) carouselRef.current?.pause();
+  }, [isTransitioning]);
+
   // Handle category change - memoized with useCallback
   const handleCategoryChange = useCallback((newCategory) => {
+    setSlideDirection(getSlideDirection(categories, category, newCategory));
     setCategory(newCategory);
-  }, []);
+  }, [categories, category]);
 
-  // Show loading state
-  if (loading) {
-    return <LoadingSpinner />;
-  }
+  // Horizontal swipe in the feed - step to the adjacent tab, if any
+  const handleSwipeCategory = useCallback((step) => {
+    const index = categories.findIndex(cat => cat.name === category);
+    const next = categories[index + step];
+    if (index !== -1 && next) {
+      handleCategoryChange(next.name);
+    }
+  }, [categories, category, handleCategoryChange]);
+
+  const offlineBanner = !isOnline && (
+    <OfflineBanner onOpenDownloads={isOfflineSupported() && !showDownloads ? openDownloads : undefined} />
+  );
+
+  let content;
 
-  // Show error state
-  if (error) {
-    return (
+  if (showDownloads) {
+    // Downloads screen - also reachable when the feed failed to load offline
+    content = <DownloadsView onClose={closeDownloads} />;
+  } else if (!data) {
+    // First load - nothing to keep on screen yet
+    content = error ? (
       <div style={ERROR_STYLES}>
-        Error loading reels: {error}
+        {isOnline ? `Error loading reels: ${error}` : 'Reels could not be loaded while offline'}
+        <button type="button" style={RETRY_BUTTON_STYLES} onClick={retryFeed}>
+          Try again
+        </button>
+        {isOfflineSupported() && <DownloadsButton onClick={openDownloads} />}
       </div>
-    );
-  }
-
-  // Show message if no reels found
-  if (!videoUrls.length) {
-    return (
-      <div style={NO_REELS_STYLES}>
-        No reels found for {category}
+    ) : <LoadingSpinner />;
+  } else {
+    content = (
+      <div style={CONTAINER_STYLES}>
+        {isOfflineSupported() && <DownloadsButton onClick={openDownloads} />}
+        <CategoryTabs 
+          categories={categories}
+          category={category} 
+          onChange={handleCategoryChange}
+        />
+        <AnimatePresence mode="wait" initial={false} custom={slideDirection}>
+          <motion.div
+            key={feedCategory}
+            id={CATEGORY_PANEL_ID}
+            role="tabpanel"
+            aria-labelledby={getCategoryTabId(feedCategory)}
+            style={CATEGORY_SLIDE_STYLES}
+            custom={slideDirection}
+            variants={CATEGORY_SLIDE_VARIANTS}
+            initial="enter"
+            animate="center"
+            exit="exit"
+            transition={CATEGORY_SLIDE_TRANSITION}
+          >
+            {reels.length ? (
+              <OptimizedCarousel 
+                ref={carouselRef}
+                baseWidth={windowHeight}
+                items={reels}
+                initialIndex={data.index}
+                initialTime={data.time}
+                onPlaybackProgress={handlePlaybackProgress}
+                onIndexChange={handleIndexChange}
+                hasMore={data.hasMore}
+                isLoadingMore={isLoadingMore}
+                loadMoreFailed={loadMoreFailed}
+                onEndReached={handleLoadMore}
+                category={feedCategory}
+                label={`${getCategoryLabel(feedCategory)} reels`}
+                onLike={handleLike}
+                onSave={handleSave}
+                onShare={handleShare}
+                onComment={openComments}
+                isSheetOpen={Boolean(commentsReel)}
+                onRefreshLive={handleRefreshLive}
+                onSwipeCategory={handleSwipeCategory}
+                sponsoredProvider={sponsoredProvider}
+                sponsoredPolicy={sponsoredPolicy}
+                analytics={analytics}
+              />
+            ) : (
+              // Show message if no reels found
+              <div style={NO_REELS_STYLES}>
+                No reels found for {feedCategory}
+              </div>
+            )}
+          </motion.div>
+        </AnimatePresence>
+        {(isTransitioning || error) && (
+          <FeedSwitchStatus
+            label={getCategoryLabel(category)}
+            error={!isTransitioning && error}
+            isOnline={isOnline}
+            onRetry={retryFeed}
+          />
+        )}
+        <AnimatePresence>
+          {commentsReel && (
+            <CommentsDrawer
+              key={getReelKey(commentsReel)}
+              reel={commentsReel}
+              client={client}
+              onClose={closeComments}
+              onPosted={handleCommentPosted}
+            />
+          )}
+        </AnimatePresence>
       </div>
     );
   }
 
   return (
-    <div style={CONTAINER_STYLES}>
-      <CategoryTabs 
-        category={category} 
-        onChange={handleCategoryChange}
-      />
-      <OptimizedCarousel 
-        key={category}
-        baseWidth={windowHeight}
-        items={videoUrls}
-      />
-    </div>
+    // Honour the OS reduced-motion setting: transforms jump, fades still run
+    <MotionConfig reducedMotion="user">
+      {offlineBanner}
+      {content}
+    </MotionConfig>
   );
 }
 
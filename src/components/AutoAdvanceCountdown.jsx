@@ -0,0 +1,50 @@
+import { memo } from 'react';
+import './css/autoAdvance.css';
+
+const RING_RADIUS = 21;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+// "Up next" ring shown when the active reel ends in auto-advance mode.
+// The ring is a CSS animation, so pausing it (hover) also pauses the timer.
+const AutoAdvanceCountdown = memo(function AutoAdvanceCountdown({
+  duration,
+  isPaused = false,
+  onComplete,
+  onCancel,
+}) {
+  return (
+    <div className={`auto-advance-countdown ${isPaused ? 'paused' : ''}`}>
+      <button
+        type="button"
+        className="auto-advance-ring"
+        onClick={onComplete}
+        aria-label="Play next reel now"
+      >
+        <svg viewBox="0 0 48 48" width="48" height="48">
+          <circle className="auto-advance-ring-track" cx="24" cy="24" r={RING_RADIUS} />
+          <circle
+            className="auto-advance-ring-progress"
+            cx="24"
+            cy="24"
+            r={RING_RADIUS}
+            style={{
+              strokeDasharray: RING_CIRCUMFERENCE,
+              '--ring-circumference': `${RING_CIRCUMFERENCE}px`,
+              animationDuration: `${duration}ms`,
+            }}
+            onAnimationEnd={onComplete}
+          />
+        </svg>
+        <svg className="auto-advance-ring-icon" viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+          <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z" />
+        </svg>
+      </button>
+      <span className="auto-advance-label">Up next</span>
+      <button type="button" className="auto-advance-cancel" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+});
+
+export default AutoAdvanceCountdown;
@@ -0,0 +1,78 @@
+import { memo, useState, useCallback, useRef } from 'react';
+import useDismissOnOutsideClick from '../hooks/useDismissOnOutsideClick';
+import './css/playerToggle.css';
+import './css/captionsMenu.css';
+
+// Captions on/off and language picker for the active reel's tracks.
+// The choice is a player-wide preference, so it carries over to the next reel.
+const CaptionsMenu = memo(function CaptionsMenu({ tracks, selectedLanguage, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+  }, []);
+
+  useDismissOnOutsideClick(menuRef, isOpen, handleClose);
+
+  const handleToggle = useCallback(() => {
+    setIsOpen(prev => !prev);
+  }, []);
+
+  const handleSelect = useCallback((language) => {
+    onSelect(language);
+    setIsOpen(false);
+  }, [onSelect]);
+
+  const isOn = selectedLanguage !== null;
+
+  return (
+    <div ref={menuRef} className="captions-menu">
+      <button
+        type="button"
+        className={`player-toggle ${isOn ? 'active' : ''}`}
+        onClick={handleToggle}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label="Captions"
+      >
+        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+          <rect x="3" y="5" width="18" height="14" rx="2" />
+          <path d="M10 10.5a2 2 0 1 0 0 3M17 10.5a2 2 0 1 0 0 3" />
+        </svg>
+        <span>CC</span>
+      </button>
+
+      {isOpen && (
+        <ul className="captions-menu-list" role="menu">
+          <li role="none">
+            <button
+              type="button"
+              role="menuitemradio"
+              aria-checked={!isOn}
+              className={`captions-menu-item ${!isOn ? 'active' : ''}`}
+              onClick={() => handleSelect(null)}
+            >
+              Off
+            </button>
+          </li>
+          {tracks.map(track => (
+            <li key={track.src} role="none">
+              <button
+                type="button"
+                role="menuitemradio"
+                aria-checked={track.language === selectedLanguage}
+                className={`captions-menu-item ${track.language === selectedLanguage ? 'active' : ''}`}
+                onClick={() => handleSelect(track.language)}
+              >
+                {track.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default CaptionsMenu;
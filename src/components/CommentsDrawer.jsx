@@ -0,0 +1,225 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { motion, useDragControls } from 'motion/react';
+import useComments from '../hooks/useComments';
+import { formatCommentTime } from '../utils/comments';
+import './css/commentsDrawer.css';
+
+// Pull-down distance/velocity that closes the sheet
+const CLOSE_OFFSET = 120;
+const CLOSE_VELOCITY = 500;
+// Load the next page when the list is scrolled this close to its end
+const LOAD_MORE_DISTANCE = 200;
+const MAX_COMMENT_LENGTH = 500;
+
+const SHEET_TRANSITION = { type: 'tween', duration: 0.25, ease: 'easeOut' };
+
+const CommentAvatar = ({ comment }) => (
+  comment.authorAvatar ? (
+    <img className="comment-avatar" src={comment.authorAvatar} alt="" />
+  ) : (
+    <span className="comment-avatar" aria-hidden="true">
+      {comment.authorName.charAt(0).toUpperCase()}
+    </span>
+  )
+);
+
+const Comment = ({ comment, onReply }) => (
+  <div className={`comment ${comment.pending ? 'pending' : ''}`}>
+    <CommentAvatar comment={comment} />
+    <div className="comment-body">
+      <div className="comment-header">
+        <span className="comment-author">{comment.authorName}</span>
+        <span className="comment-time">
+          {comment.pending ? 'Posting…' : formatCommentTime(comment.createdAt)}
+        </span>
+      </div>
+      <p className="comment-text">{comment.text}</p>
+      {!comment.pending && (
+        <button type="button" className="comment-reply" onClick={() => onReply(comment)}>
+          Reply
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+// Bottom sheet with a reel's comments. Drag the handle down, tap the
+// backdrop or press Escape to close it.
+const CommentsDrawer = ({ reel, client, onClose, onPosted }) => {
+  const { threads, hasMore, status, loadMore, retry, loadReplies, post } = useComments(client, reel);
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [postError, setPostError] = useState(null);
+  const inputRef = useRef(null);
+  const sheetRef = useRef(null);
+  const dragControls = useDragControls();
+
+  // Focus moves into the sheet, and back to whatever had it (usually the
+  // reel's comments button) once the sheet is gone
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    sheetRef.current?.focus();
+    return () => {
+      if (previouslyFocused?.isConnected) previouslyFocused.focus?.({ preventScroll: true });
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleScroll = useCallback((event) => {
+    const list = event.currentTarget;
+    if (list.scrollHeight - list.scrollTop - list.clientHeight < LOAD_MORE_DISTANCE) {
+      loadMore();
+    }
+  }, [loadMore]);
+
+  const handleChange = useCallback((event) => {
+    setText(event.target.value);
+    setPostError(null);
+  }, []);
+
+  const handleReply = useCallback((comment) => {
+    setReplyTo(comment);
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    const body = text.trim();
+    if (!body) return;
+
+    setText('');
+    setReplyTo(null);
+    setPostError(null);
+    const ok = await post(body, replyTo);
+    if (ok) {
+      onPosted?.(reel);
+    } else {
+      // Give the text back so nothing typed is lost
+      setText(current => current || body);
+      setReplyTo(current => current || replyTo);
+      setPostError("Couldn't post your comment");
+    }
+  }, [text, replyTo, post, reel, onPosted]);
+
+  const handleDragEnd = useCallback((_, info) => {
+    if (info.offset.y > CLOSE_OFFSET || info.velocity.y > CLOSE_VELOCITY) onClose();
+  }, [onClose]);
+
+  return (
+    <>
+      <motion.div
+        className="comments-backdrop"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        transition={SHEET_TRANSITION}
+        onClick={onClose}
+      />
+      <motion.div
+        ref={sheetRef}
+        className="comments-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Comments"
+        tabIndex={-1}
+        initial={{ y: '100%' }}
+        animate={{ y: 0 }}
+        exit={{ y: '100%' }}
+        transition={SHEET_TRANSITION}
+        drag="y"
+        dragControls={dragControls}
+        dragListener={false}
+        dragConstraints={{ top: 0, bottom: 0 }}
+        dragElastic={{ top: 0, bottom: 0.6 }}
+        onDragEnd={handleDragEnd}
+      >
+        {/* Only the header drags the sheet, the list scrolls normally */}
+        <div
+          className="comments-drawer-header"
+          onPointerDown={(event) => dragControls.start(event)}
+        >
+          <span className="comments-drawer-handle" />
+          <span className="comments-drawer-title">Comments</span>
+          <button type="button" className="comments-drawer-close" onClick={onClose} aria-label="Close comments">
+            ×
+          </button>
+        </div>
+
+        <div className="comments-list" onScroll={handleScroll}>
+          {threads.map(thread => (
+            <div key={thread.id} className="comment-thread">
+              <Comment comment={thread} onReply={handleReply} />
+              {thread.replies.length > 0 && (
+                <div className="comment-replies">
+                  {thread.replies.map(reply => (
+                    <Comment key={reply.id} comment={reply} onReply={handleReply} />
+                  ))}
+                </div>
+              )}
+              {thread.repliesHasMore && (
+                <button
+                  type="button"
+                  className="comment-more-replies"
+                  onClick={() => loadReplies(thread)}
+                  disabled={thread.repliesLoading}
+                >
+                  {thread.repliesLoading
+                    ? 'Loading…'
+                    : thread.replies.length
+                      ? 'More replies'
+                      : `View ${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}`}
+                </button>
+              )}
+            </div>
+          ))}
+
+          {status === 'loading' && <div className="comments-status">Loading comments…</div>}
+          {status === 'error' && (
+            <div className="comments-status">
+              Couldn't load comments
+              <button type="button" className="comments-retry" onClick={retry}>Try again</button>
+            </div>
+          )}
+          {status === 'idle' && !threads.length && !hasMore && (
+            <div className="comments-status">No comments yet. Start the conversation.</div>
+          )}
+        </div>
+
+        <form className="comments-composer" onSubmit={handleSubmit}>
+          {(replyTo || postError) && (
+            <div className="comments-composer-note">
+              {postError || `Replying to ${replyTo.authorName}`}
+              {replyTo && !postError && (
+                <button type="button" onClick={() => setReplyTo(null)} aria-label="Cancel reply">×</button>
+              )}
+            </div>
+          )}
+          <div className="comments-composer-row">
+            <input
+              ref={inputRef}
+              className="comments-input"
+              type="text"
+              value={text}
+              onChange={handleChange}
+              maxLength={MAX_COMMENT_LENGTH}
+              placeholder={replyTo ? 'Add a reply…' : 'Add a comment…'}
+              aria-label={replyTo ? 'Reply' : 'Comment'}
+            />
+            <button type="submit" className="comments-post" disabled={!text.trim()}>
+              Post
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </>
+  );
+};
+
+export default CommentsDrawer;
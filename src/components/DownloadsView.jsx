@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useOfflineReels } from '../hooks/useOfflineReels';
+import { removeOfflineReel, getStorageEstimate } from '../services/offlineStore';
+import { getReelMeta, getPosterUrl } from '../utils/reel';
+import './css/downloadsView.css';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(value >= 10 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+// Full-screen list of reels saved for offline, with a storage quota meter
+export default function DownloadsView({ onClose }) {
+  const reels = useOfflineReels();
+  const [estimate, setEstimate] = useState(null);
+  const [playingUrl, setPlayingUrl] = useState(null);
+
+  // Refresh the quota meter whenever the list changes
+  useEffect(() => {
+    let cancelled = false;
+    getStorageEstimate().then(result => {
+      if (!cancelled) setEstimate(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [reels]);
+
+  const handleRemove = useCallback((url) => {
+    if (playingUrl === url) setPlayingUrl(null);
+    removeOfflineReel(url).catch(err => {
+      console.warn('Could not remove offline reel:', err);
+    });
+  }, [playingUrl]);
+
+  const totalSize = reels.reduce((sum, item) => sum + (item.size || 0), 0);
+  const usageRatio = estimate?.quota ? Math.min(estimate.usage / estimate.quota, 1) : 0;
+
+  return (
+    <div className="downloads-view" role="dialog" aria-modal="true" aria-label="Downloads">
+      <div className="downloads-header">
+        <button type="button" className="downloads-close" onClick={onClose} aria-label="Close downloads">
+          ←
+        </button>
+        <h2>Downloads</h2>
+      </div>
+
+      <div className="downloads-quota">
+        <div className="downloads-quota-text">
+          <span>{reels.length} reels · {formatBytes(totalSize)}</span>
+          {estimate && (
+            <span>{formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used</span>
+          )}
+        </div>
+        <div className="downloads-quota-bar">
+          <div className="downloads-quota-fill" style={{ width: `${usageRatio * 100}%` }} />
+        </div>
+      </div>
+
+      {playingUrl && (
+        <video
+          className="downloads-player"
+          src={playingUrl}
+          controls
+          autoPlay
+          playsInline
+        />
+      )}
+
+      {reels.length ? (
+        <ul className="downloads-list">
+          {reels.map(({ url, reel, size }) => {
+            const { title, creatorName } = getReelMeta(reel);
+            const poster = getPosterUrl(reel);
+
+            return (
+              <li key={url} className={`downloads-item ${playingUrl === url ? 'active' : ''}`}>
+                <button
+                  type="button"
+                  className="downloads-item-main"
+                  onClick={() => setPlayingUrl(url)}
+                >
+                  <span className="downloads-thumb">
+                    {poster && <img src={poster} alt="" loading="lazy" />}
+                  </span>
+                  <span className="downloads-item-text">
+                    <span className="downloads-item-title">{title || 'Untitled reel'}</span>
+                    <span className="downloads-item-meta">
+                      {creatorName ? `${creatorName} · ` : ''}{formatBytes(size)}
+                    </span>
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  className="downloads-remove"
+                  onClick={() => handleRemove(url)}
+                  aria-label={`Remove ${title || 'reel'} from downloads`}
+                >
+                  Remove
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <div className="downloads-empty">
+          Reels you save for offline will appear here.
+        </div>
+      )}
+    </div>
+  );
+}
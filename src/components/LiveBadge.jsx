@@ -0,0 +1,35 @@
+import { memo } from 'react';
+import { formatCount } from '../utils/reel';
+import './css/live.css';
+
+// LIVE badge with the viewer count. When playback has fallen behind the live
+// edge the badge turns into a "jump to live" button.
+const LiveBadge = memo(function LiveBadge({ viewerCount, isBehind, onJumpToLive }) {
+  const viewers = formatCount(viewerCount);
+
+  return (
+    <div className="live-badge-row">
+      {isBehind ? (
+        <button type="button" className="live-badge behind" onClick={onJumpToLive}>
+          <span className="live-badge-dot" />
+          Go live
+        </button>
+      ) : (
+        <span className="live-badge">
+          <span className="live-badge-dot" />
+          LIVE
+        </span>
+      )}
+      {viewers && (
+        <span className="live-viewers" aria-label={`${viewerCount} watching`}>
+          <svg viewBox="0 0 24 24" width="12" height="12" fill="currentColor" aria-hidden="true">
+            <path d="M12 5C6.5 5 2.7 9.6 1.5 12c1.2 2.4 5 7 10.5 7s9.3-4.6 10.5-7C21.3 9.6 17.5 5 12 5zm0 11a4 4 0 1 1 0-8 4 4 0 0 1 0 8z" />
+          </svg>
+          {viewers}
+        </span>
+      )}
+    </div>
+  );
+});
+
+export default LiveBadge;
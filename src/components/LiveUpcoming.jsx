@@ -0,0 +1,48 @@
+import { memo } from 'react';
+import './css/live.css';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 1:02:05 / 02:05 style countdown
+const formatCountdown = (ms) => {
+  const total = Math.ceil(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Placeholder for a scheduled live stream that hasn't started: the poster,
+// the start time and a countdown. Once the time has passed it waits for the
+// stream to actually come up.
+const LiveUpcoming = memo(function LiveUpcoming({ height, poster, startsAt, startsIn }) {
+  const isDue = !startsIn;
+
+  return (
+    <div className="live-upcoming" style={{ height }}>
+      {poster && <img className="live-upcoming-poster" src={poster} alt="" draggable={false} />}
+      <div className="live-upcoming-content">
+        <span className="live-badge upcoming">UPCOMING</span>
+        {isDue ? (
+          <span className="live-upcoming-countdown">Starting soon…</span>
+        ) : (
+          <>
+            <span className="live-upcoming-label">Live in</span>
+            <span className="live-upcoming-countdown">{formatCountdown(startsIn)}</span>
+          </>
+        )}
+        {startsAt && (
+          <span className="live-upcoming-time">
+            {new Date(startsAt).toLocaleString([], {
+              weekday: 'short',
+              hour: 'numeric',
+              minute: '2-digit',
+            })}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default LiveUpcoming;
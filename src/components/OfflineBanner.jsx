@@ -0,0 +1,18 @@
+import { memo } from 'react';
+import './css/offlineBanner.css';
+
+// Connectivity notice shown over every screen while the browser is offline
+const OfflineBanner = memo(function OfflineBanner({ onOpenDownloads }) {
+  return (
+    <div className="offline-banner" role="status">
+      <span>You're offline. Reels will resume when you reconnect.</span>
+      {onOpenDownloads && (
+        <button type="button" className="offline-banner-action" onClick={onOpenDownloads}>
+          Downloads
+        </button>
+      )}
+    </div>
+  );
+});
+
+export default OfflineBanner;
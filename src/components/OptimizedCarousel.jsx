@@ -1,60 +1,171 @@
-import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
-import { motion, useMotionValue, animate } from 'motion/react';
-import { MediaPlayer, MediaProvider } from '@vidstack/react';
+import { useEffect, useState, useRef, useMemo, useCallback, useImperativeHandle } from 'react';
+import { motion, useMotionValue, useReducedMotion, animate } from 'motion/react';
+import { MediaPlayer, MediaProvider, Track, isHLSProvider } from '@vidstack/react';
 import '@vidstack/react/player/styles/default/theme.css';
 import '@vidstack/react/player/styles/default/layouts/video.css';
 import { defaultLayoutIcons, DefaultVideoLayout } from '@vidstack/react/player/layouts/default';
+import ReelOverlay from './ReelOverlay';
+import ReelActions from './ReelActions';
+import useReelInteractions from '../hooks/useReelInteractions';
+import useFeedNavigation from '../hooks/useFeedNavigation';
+import useQualityPolicy from '../hooks/useQualityPolicy';
+import useReelAnalytics from '../hooks/useReelAnalytics';
+import useAutoAdvance from '../hooks/useAutoAdvance';
+import usePreference from '../hooks/usePreference';
+import useMediaSession from '../hooks/useMediaSession';
+import useVideoRecovery from '../hooks/useVideoRecovery';
+import useSponsoredSlots from '../hooks/useSponsoredSlots';
+import useMinViewTime from '../hooks/useMinViewTime';
+import useLiveStatus from '../hooks/useLiveStatus';
+import usePreloadScheduler from '../hooks/usePreloadScheduler';
+import { useOfflineReel } from '../hooks/useOfflineReels';
+import { canSaveOffline } from '../services/offlineStore';
+import QualityMenu from './QualityMenu';
+import PlayerToggle from './PlayerToggle';
+import CaptionsMenu from './CaptionsMenu';
+import AutoAdvanceCountdown from './AutoAdvanceCountdown';
+import LiveBadge from './LiveBadge';
+import LiveUpcoming from './LiveUpcoming';
+import SponsoredSlide from './SponsoredSlide';
+import { applyQualityPolicy, getHlsConfig, recordResourceTiming } from '../services/qualityPolicy';
+import { getReelKey, getVideoUrl, getPosterUrl, getAudioUrl, getFallbackUrls, getLiveStatus, getReelLabel } from '../utils/reel';
+import { isAdaptiveStream, getPlayerSource, getAudioSource } from '../utils/stream';
+import { getCaptionTracks, pickCaptionTrack } from '../utils/captions';
+import { preloadStream } from '../services/streamPreloader';
+import { isSponsoredSlot, getSlotLabel } from '../services/sponsored';
 import './css/optimizedCarousel.css';
 
 const DRAG_BUFFER = 100;
 const VELOCITY_THRESHOLD = 200;
+// Horizontal swipe distance/velocity that switches category
+const CATEGORY_SWIPE_BUFFER = 80;
+const CATEGORY_SWIPE_VELOCITY = 400;
+// Vertical paging stays tight, sideways gets more give so a category swipe is felt
+const DRAG_ELASTIC = { top: 0.15, bottom: 0.15, left: 0.4, right: 0.4 };
 const SPRING_OPTIONS = { type: 'tween', duration: 0.35, ease: 'easeOut' };
+// With reduced motion the feed cuts straight to the next reel
+const REDUCED_MOTION_OPTIONS = { duration: 0 };
 
-// Number of videos to render around current (for virtualization)
-const RENDER_WINDOW = 2; // Render current ± 2 = 5 videos max
-const PRELOAD_AHEAD = 3; // Preload 3 videos ahead
+// Max delay between two taps to count as a double-tap like
+const DOUBLE_TAP_DELAY = 300;
+const TOAST_DURATION = 2000;
 
-// Video preloader - creates hidden video elements to cache videos
+// Request the next page when this many reels remain after the current one
+const LOAD_MORE_THRESHOLD = 3;
+
+// Slides rendered as shells (poster, overlay) on each side of the mounted players
+const SHELL_MARGIN = 2;
+
+// Max number of captured first-frame posters kept in memory
+const MAX_POSTERS = 30;
+
+// Shared empty defaults so reels without captions/fallbacks keep stable props
+const NO_CAPTIONS = [];
+const NO_URLS = [];
+
+// Time the "couldn't play" tile stays up before moving to the next reel
+const AUTO_SKIP_DELAY = 3000;
+
+// A live stream buffering this long is reconnected
+const LIVE_STALL_TIMEOUT = 8000;
+
+// Capture the current frame of a video element as a JPEG data URL.
+// Fails silently for cross-origin sources without CORS headers (tainted canvas).
+function captureFrame(video) {
+  try {
+    if (!video.videoWidth || !video.videoHeight) return null;
+    const canvas = document.createElement('canvas');
+    // Posters only need to cover the blank flash, keep them small
+    const scale = Math.min(1, 360 / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Drop a video element's source so the browser frees its buffers
+function releaseVideo(video) {
+  video.removeAttribute('src');
+  video.load();
+}
+
+// Video preloader - warms reels the scheduler picked: hidden video elements
+// for progressive files, manifest + first segments for HLS/DASH. Anything
+// dropped from the plan is cancelled or released.
 class VideoPreloader {
-  constructor(maxCacheSize = 5) {
+  constructor() {
     this.cache = new Map();
-    this.maxCacheSize = maxCacheSize;
     this.loadingPromises = new Map();
+    this.posters = new Map();
+    this.controllers = new Map();
   }
 
-  preload(url) {
+  preload(url, { byteBudget } = {}) {
     if (this.cache.has(url) || this.loadingPromises.has(url)) {
       return this.loadingPromises.get(url) || Promise.resolve();
     }
 
+    // A <video src> on a manifest does nothing useful, warm segments instead
+    if (isAdaptiveStream(url)) {
+      return this.preloadStream(url, byteBudget);
+    }
+
     const video = document.createElement('video');
     video.preload = 'auto';
     video.muted = true;
     video.playsInline = true;
 
     const promise = new Promise((resolve) => {
-      const handleCanPlay = () => {
-        this.cache.set(url, { video, timestamp: Date.now() });
+      let timer = null;
+
+      const finish = () => {
+        clearTimeout(timer);
+        video.removeEventListener('loadeddata', handleLoadedData);
+        video.removeEventListener('canplaythrough', handleCanPlay);
+        video.removeEventListener('error', handleError);
         this.loadingPromises.delete(url);
-        this.cleanup();
-        resolve();
+        this.controllers.delete(url);
+        resolve(); // Resolve anyway to not block
+      };
+
+      const handleCanPlay = () => {
+        // Feed the transfer into the bandwidth estimate for quality selection
+        recordResourceTiming(url);
+        this.cache.set(url, { video });
+        finish();
       };
 
       const handleError = () => {
-        this.loadingPromises.delete(url);
-        resolve(); // Resolve anyway to not block
+        finish();
+        releaseVideo(video);
+      };
+
+      const handleLoadedData = () => {
+        const poster = captureFrame(video);
+        if (poster) this.setPoster(url, poster);
       };
 
+      video.addEventListener('loadeddata', handleLoadedData, { once: true });
       video.addEventListener('canplaythrough', handleCanPlay, { once: true });
       video.addEventListener('error', handleError, { once: true });
-      
-      // Timeout fallback
-      setTimeout(() => {
-        if (this.loadingPromises.has(url)) {
-          this.loadingPromises.delete(url);
-          resolve();
-        }
+
+      // Timeout fallback - the element may still be buffering, so it stays
+      // tracked and is freed once the reel drops out of the plan
+      timer = setTimeout(() => {
+        this.cache.set(url, { video });
+        finish();
       }, 5000);
+
+      // Swiped past before it finished - stop the download
+      this.controllers.set(url, {
+        abort: () => {
+          finish();
+          releaseVideo(video);
+        },
+      });
     });
 
     this.loadingPromises.set(url, promise);
@@ -64,98 +175,265 @@ class VideoPreloader {
     return promise;
   }
 
-  isLoaded(url) {
-    return this.cache.has(url);
+  // HLS/DASH - fetch the manifest and first segments within a byte budget
+  preloadStream(url, byteBudget) {
+    const controller = new AbortController();
+    this.controllers.set(url, controller);
+
+    const promise = preloadStream(url, { signal: controller.signal, byteBudget })
+      .then(() => {
+        this.cache.set(url, { video: null });
+      })
+      .catch(() => {
+        // Resolve anyway to not block, the player loads it on demand
+      })
+      .finally(() => {
+        this.loadingPromises.delete(url);
+        this.controllers.delete(url);
+      });
+
+    this.loadingPromises.set(url, promise);
+    return promise;
   }
 
-  cleanup() {
-    if (this.cache.size > this.maxCacheSize) {
-      const entries = Array.from(this.cache.entries());
-      entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      while (this.cache.size > this.maxCacheSize) {
-        const [oldestUrl, { video }] = entries.shift();
-        video.src = '';
-        video.load();
-        this.cache.delete(oldestUrl);
-      }
+  getPoster(url) {
+    return this.posters.get(url) || null;
+  }
+
+  setPoster(url, poster) {
+    this.posters.delete(url);
+    this.posters.set(url, poster);
+    // Map keeps insertion order, so the first key is the oldest poster
+    while (this.posters.size > MAX_POSTERS) {
+      this.posters.delete(this.posters.keys().next().value);
     }
   }
 
-  clear() {
-    this.cache.forEach(({ video }) => {
-      video.src = '';
-      video.load();
+  // Keep only what the current plan wants: abort other in-flight warm-ups
+  // and free the hidden elements of reels that dropped out of it
+  retain(urls) {
+    const keep = new Set(urls);
+    this.controllers.forEach((controller, url) => {
+      if (!keep.has(url)) controller.abort();
+    });
+    this.cache.forEach(({ video }, url) => {
+      if (keep.has(url)) return;
+      if (video) releaseVideo(video);
+      this.cache.delete(url);
     });
-    this.cache.clear();
-    this.loadingPromises.clear();
+  }
+
+  clear() {
+    this.retain([]);
   }
 }
 
 // Singleton preloader instance
-const preloader = new VideoPreloader(8);
-
-// Skeleton Loading Component
-const VideoSkeleton = ({ height }) => (
-  <div className="video-skeleton" style={{ height }}>
-    <div className="skeleton-shimmer" />
-    <div className="skeleton-content">
-      <div className="skeleton-icon">
-        <svg viewBox="0 0 24 24" fill="currentColor" width="48" height="48">
-          <path d="M8 5v14l11-7z" />
-        </svg>
-      </div>
-    </div>
+const preloader = new VideoPreloader();
+
+// Skeleton Loading Component - shows the reel poster when one is known
+const VideoSkeleton = ({ height, poster, isHidden = false }) => (
+  <div
+    className={`video-skeleton ${poster ? 'has-poster' : ''} ${isHidden ? 'hidden' : ''}`}
+    style={{ height }}
+  >
+    {poster ? (
+      <img src={poster} alt="" className="video-skeleton-poster" draggable={false} loading="lazy" decoding="async" />
+    ) : (
+      <>
+        <div className="skeleton-shimmer" />
+        <div className="skeleton-content">
+          <div className="skeleton-icon">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="48" height="48">
+              <path d="M8 5v14l11-7z" />
+            </svg>
+          </div>
+        </div>
+      </>
+    )}
   </div>
 );
 
+// Shown once every retry and fallback URL failed. The active reel moves on
+// by itself after a moment unless the user taps retry first.
+const VideoErrorTile = ({ height, onRetry, onSkip }) => {
+  useEffect(() => {
+    if (!onSkip) return;
+    const timer = setTimeout(onSkip, AUTO_SKIP_DELAY);
+    return () => clearTimeout(timer);
+  }, [onSkip]);
+
+  return (
+    <div className="video-error" style={{ height }}>
+      <span>Couldn't play this reel</span>
+      <button type="button" className="video-error-retry" onClick={onRetry}>
+        Tap to retry
+      </button>
+      {onSkip && <span className="video-error-skip">Skipping to the next reel…</span>}
+    </div>
+  );
+};
+
 // Optimized Video Item Component
 const VideoItem = ({
   url,
+  fallbackUrls = NO_URLS,
+  audioUrl,
+  audioOnly = false,
+  poster,
   isActive,
   isVisible,
   height,
   onReady,
   onError,
-  playerRef
+  onPlaying,
+  onTimeUpdate,
+  onEnd,
+  onSkip,
+  playerRef,
+  qualityMode,
+  qualityVersion,
+  startTime = 0,
+  loop = true,
+  captions = NO_CAPTIONS,
+  captionsLanguage = null,
+  isLive = false,
+  viewerCount = null
 }) => {
   const [isReady, setIsReady] = useState(false);
-  const [hasError, setHasError] = useState(false);
+  const [isBehindLive, setIsBehindLive] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const stallTimerRef = useRef(null);
   const localPlayerRef = useRef(null);
+  const hasResumedRef = useRef(false);
 
-  // Use provided ref or local ref
-  const effectiveRef = playerRef || localPlayerRef;
+  // Listen-only mode tries the audio rendition first so no video frames
+  // load; the video URLs stay behind it as fallbacks
+  const urls = useMemo(() => {
+    const videoUrls = [url, ...fallbackUrls];
+    return audioOnly && audioUrl ? [audioUrl, ...videoUrls] : videoUrls;
+  }, [url, fallbackUrls, audioUrl, audioOnly]);
+
+  const {
+    url: currentUrl,
+    attempt,
+    status: recoveryStatus,
+    handleError: recoverFromError,
+    retry,
+  } = useVideoRecovery(urls);
+  const isAudioSource = audioOnly && currentUrl === audioUrl;
+
+  // Typed source so manifests go through Vidstack's HLS/DASH providers
+  const source = useMemo(
+    () => (isAudioSource ? getAudioSource(currentUrl) : getPlayerSource(currentUrl)),
+    [currentUrl, isAudioSource]
+  );
+
+  // Keep a local handle on the player and forward it to the provided ref
+  const setPlayerRef = useCallback((instance) => {
+    localPlayerRef.current = instance;
+    if (typeof playerRef === 'function') {
+      playerRef(instance);
+    } else if (playerRef) {
+      playerRef.current = instance;
+    }
+  }, [playerRef]);
 
   const handleCanPlay = useCallback((detail, nativeEvent) => {
     setIsReady(true);
     onReady?.();
 
+    // Continue watching - seek once to the saved time unless it's at the very end
     const player = nativeEvent.target;
-    const qualities = player?.qualities;
-
-    if (!qualities || qualities.length === 0) return;
+    if (!hasResumedRef.current && startTime > 0 && player) {
+      hasResumedRef.current = true;
+      const duration = player.state?.duration || 0;
+      if (!duration || startTime < duration - 1) {
+        player.currentTime = startTime;
+      }
+    }
+  }, [onReady, startTime]);
 
-    // Select optimal quality based on device
-    let targetIndex = 0;
-    if (qualities.length === 1) {
-      targetIndex = 0;
-    } else if (qualities.length === 2) {
-      targetIndex = 1; // Lower quality for faster loading
-    } else {
-      targetIndex = Math.floor(qualities.length / 2);
+  // Seed hls.js with our bandwidth estimate so its first fragment fits
+  const handleProviderChange = useCallback((provider) => {
+    if (isHLSProvider(provider)) {
+      provider.config = { ...provider.config, ...getHlsConfig() };
     }
+  }, []);
+
+  // Pick the rendition as soon as the list is known, before playback starts
+  const handleQualitiesChange = useCallback((detail, nativeEvent) => {
+    applyQualityPolicy(nativeEvent.target?.qualities, { qualityMode, switchMode: 'load' });
+  }, [qualityMode]);
+
+  // Re-evaluate while playing when the preference or network changes
+  useEffect(() => {
+    const qualities = localPlayerRef.current?.qualities;
+    applyQualityPolicy(qualities, { qualityMode, switchMode: 'next' });
+  }, [qualityMode, qualityVersion]);
 
+  // Show only the chosen language; runs again once the tracks are attached
+  const syncCaptions = useCallback(() => {
+    const textTracks = localPlayerRef.current?.textTracks;
+    if (!textTracks) return;
+    textTracks.toArray().forEach(track => {
+      if (track.kind !== 'subtitles' && track.kind !== 'captions') return;
+      const mode = captionsLanguage && track.language === captionsLanguage ? 'showing' : 'disabled';
+      if (track.mode !== mode) track.mode = mode;
+    });
+  }, [captionsLanguage]);
+
+  useEffect(() => {
+    syncCaptions();
+  }, [syncCaptions]);
+
+  const handleError = useCallback((detail) => {
+    setIsReady(false);
+    recoverFromError(detail);
+    onError?.(detail);
+  }, [onError, recoverFromError]);
+
+  const handlePlaying = useCallback(() => {
+    clearTimeout(stallTimerRef.current);
+    setIsReconnecting(false);
+    onPlaying?.();
+  }, [onPlaying]);
+
+  // A live stream that keeps buffering is reloaded from the live edge
+  const handleWaiting = useCallback(() => {
+    clearTimeout(stallTimerRef.current);
+    stallTimerRef.current = setTimeout(() => {
+      setIsReconnecting(true);
+      retry();
+    }, LIVE_STALL_TIMEOUT);
+  }, [retry]);
+
+  useEffect(() => {
+    if (!isLive || !isActive) clearTimeout(stallTimerRef.current);
+  }, [isLive, isActive]);
+
+  useEffect(() => () => clearTimeout(stallTimerRef.current), []);
+
+  const handleLiveEdgeChange = useCallback((isAtEdge) => {
+    setIsBehindLive(!isAtEdge);
+  }, []);
+
+  const jumpToLive = useCallback(() => {
     try {
-      qualities.selectedIndex = targetIndex;
+      localPlayerRef.current?.seekToLiveEdge();
     } catch (e) {
-      console.warn('Could not set quality:', e);
+      // Not ready for playback yet - it starts at the edge anyway
     }
-  }, [onReady]);
+  }, []);
 
-  const handleError = useCallback(() => {
-    setHasError(true);
-    onError?.();
-  }, [onError]);
+  // Fires on every pass through the end, including each loop
+  const handleEnd = useCallback(() => {
+    onEnd?.();
+  }, [onEnd]);
+
+  const handleTimeUpdate = useCallback((detail, nativeEvent) => {
+    onTimeUpdate?.(detail.currentTime, nativeEvent.target?.state?.duration);
+  }, [onTimeUpdate]);
 
   const handleFullscreenChange = useCallback((detail, nativeEvent) => {
     if (detail.isFullscreen) {
@@ -165,32 +443,49 @@ const VideoItem = ({
 
   // Don't render if not visible (virtualization)
   if (!isVisible) {
-    return <VideoSkeleton height={height} />;
+    return <VideoSkeleton height={height} poster={poster} />;
   }
 
-  if (hasError) {
-    return (
-      <div className="video-error" style={{ height }}>
-        <span>Failed to load video</span>
-      </div>
-    );
+  if (recoveryStatus === 'failed') {
+    return <VideoErrorTile height={height} onRetry={retry} onSkip={isActive ? onSkip : undefined} />;
   }
 
   return (
     <div className="video-wrapper" style={{ height }}>
-      {!isReady && <VideoSkeleton height={height} />}
+      {/* Kept mounted after ready so the poster crossfades into the player.
+          In listen-only mode the poster stays up as the artwork. */}
+      <VideoSkeleton height={height} poster={poster} isHidden={isReady && !audioOnly} />
+      {audioOnly && (
+        <div className="listen-only-badge">
+          <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+            <path d="M12 3a9 9 0 0 0-9 9v7a2 2 0 0 0 2 2h2v-7H5v-2a7 7 0 0 1 14 0v2h-2v7h2a2 2 0 0 0 2-2v-7a9 9 0 0 0-9-9z" />
+          </svg>
+          <span>Listening</span>
+        </div>
+      )}
+      {isLive && (
+        <LiveBadge viewerCount={viewerCount} isBehind={isReady && isBehindLive} onJumpToLive={jumpToLive} />
+      )}
+      {(recoveryStatus !== 'ok' || isReconnecting) && (
+        <div className="video-recovery-status">
+          {recoveryStatus === 'offline' ? 'Waiting for connection…' : 'Reconnecting…'}
+        </div>
+      )}
       <div 
         className={`video-player-container ${isReady ? 'ready' : 'loading'}`}
         style={{ height }}
       >
+        {/* Remounted on every recovery attempt */}
         <MediaPlayer
-          ref={effectiveRef}
-          src={url}
+          key={attempt}
+          ref={setPlayerRef}
+          src={source}
           paused={!isActive}
           autoPlay={isActive}
           muted={!isActive}
-          loop
+          loop={loop}
           playsInline
+          keyDisabled
           preload={isActive ? 'auto' : 'metadata'}
           aspectRatio="9/16"
           style={{
@@ -199,15 +494,39 @@ const VideoItem = ({
             backgroundColor: 'transparent',
           }}
           onCanPlay={handleCanPlay}
+          onProviderChange={handleProviderChange}
+          onQualitiesChange={handleQualitiesChange}
           onError={handleError}
+          onPlaying={handlePlaying}
+          onWaiting={isLive && isActive ? handleWaiting : undefined}
+          onLiveEdgeChange={isLive ? handleLiveEdgeChange : undefined}
+          onTimeUpdate={isActive ? handleTimeUpdate : undefined}
+          onEnd={isActive ? handleEnd : undefined}
           onFullscreenChange={handleFullscreenChange}
+          onTextTracksChange={syncCaptions}
           fullscreenOrientation="portrait"
         >
-          <MediaProvider />
+          <MediaProvider>
+            {captions.map(track => (
+              <Track
+                key={track.src}
+                src={track.src}
+                kind={track.kind}
+                label={track.label}
+                language={track.language}
+                type={track.type}
+                default={track.language === captionsLanguage}
+              />
+            ))}
+          </MediaProvider>
           <DefaultVideoLayout 
             icons={defaultLayoutIcons}
             slots={{
               timeSlider: null,
+              // Live streams get our own badge/jump button
+              liveButton: null,
+              // Captions are picked from our own menu so the choice persists
+              captionButton: null,
             }}
             noGestures
             noKeyboardAnimations
@@ -219,6 +538,156 @@ const VideoItem = ({
   );
 };
 
+// Live reel: a countdown tile until a scheduled stream starts, then the
+// player with the LIVE badge and viewer count, never looping and always
+// starting at the live edge. Ended streams play as recorded reels.
+const LiveVideoItem = ({ reel, onRefreshLive, ...props }) => {
+  const { reel: latest, status, startsIn, startsAt, viewerCount } = useLiveStatus(reel, {
+    isActive: props.isActive,
+    onRefresh: onRefreshLive,
+  });
+
+  if (status === 'upcoming') {
+    return <LiveUpcoming height={props.height} poster={props.poster} startsAt={startsAt} startsIn={startsIn} />;
+  }
+
+  const isLive = status === 'live';
+  return (
+    <VideoItem
+      {...props}
+      url={getVideoUrl(latest) || props.url}
+      isLive={isLive}
+      viewerCount={viewerCount}
+      loop={isLive ? false : props.loop}
+      startTime={isLive ? 0 : props.startTime}
+    />
+  );
+};
+
+// Single reel slide - owns the like/save/share state so it survives
+// the video being virtualized away, and handles double-tap to like
+const ReelSlide = ({
+  item,
+  height,
+  position,
+  setSize,
+  category,
+  isActive,
+  isVisible,
+  onLike,
+  onSave,
+  onShare,
+  onComment,
+  children
+}) => {
+  const { isLiked, likeCount, isSaved, commentCount, toggleLike, like, toggleSave, share } =
+    useReelInteractions(item, { category, onLike, onSave, onShare });
+  const { status: offlineStatus, toggle: toggleOffline } = useOfflineReel(item);
+  const [hearts, setHearts] = useState([]);
+  const [toast, setToast] = useState(null);
+  const lastTapRef = useRef(0);
+  const toastTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(toastTimerRef.current), []);
+
+  const showToast = useCallback((message) => {
+    clearTimeout(toastTimerRef.current);
+    setToast(message);
+    toastTimerRef.current = setTimeout(() => setToast(null), TOAST_DURATION);
+  }, []);
+
+  const handleClick = useCallback((event) => {
+    // Taps on player controls or the rail are not double-tap candidates
+    if (event.target.closest('button')) return;
+
+    const now = Date.now();
+    if (now - lastTapRef.current > DOUBLE_TAP_DELAY) {
+      lastTapRef.current = now;
+      return;
+    }
+
+    lastTapRef.current = 0;
+    const rect = event.currentTarget.getBoundingClientRect();
+    setHearts(prev => [
+      ...prev,
+      { id: now, x: event.clientX - rect.left, y: event.clientY - rect.top }
+    ]);
+    like();
+  }, [like]);
+
+  const handleShare = useCallback(async () => {
+    const result = await share();
+    if (result === 'copied') showToast('Link copied');
+    else if (result === null) showToast('Could not share this reel');
+  }, [share, showToast]);
+
+  const handleSaveOffline = useCallback(async () => {
+    const wasSaved = offlineStatus === 'saved';
+    const ok = await toggleOffline();
+    if (!ok) showToast('Could not save for offline');
+    else showToast(wasSaved ? 'Removed from downloads' : 'Saved for offline');
+  }, [offlineStatus, toggleOffline, showToast]);
+
+  const handleComment = useCallback(() => {
+    onComment?.(item);
+  }, [item, onComment]);
+
+  const removeHeart = useCallback((id) => {
+    setHearts(prev => prev.filter(heart => heart.id !== id));
+  }, []);
+
+  return (
+    <div
+      className="optimized-carousel-item"
+      style={{ height }}
+      role="article"
+      aria-label={getReelLabel(item)}
+      aria-posinset={position + 1}
+      aria-setsize={setSize}
+      tabIndex={isActive ? 0 : -1}
+      onClick={handleClick}
+    >
+      {children}
+
+      {isVisible && (
+        <>
+          <ReelOverlay reel={item} />
+          <ReelActions
+            isLiked={isLiked}
+            likeCount={likeCount}
+            isSaved={isSaved}
+            commentCount={commentCount}
+            onLike={toggleLike}
+            onComment={handleComment}
+            onSave={toggleSave}
+            onShare={handleShare}
+            offlineStatus={offlineStatus}
+            onSaveOffline={canSaveOffline(item) ? handleSaveOffline : undefined}
+          />
+        </>
+      )}
+
+      {hearts.map(heart => (
+        <motion.div
+          key={heart.id}
+          className="reel-like-burst"
+          style={{ left: heart.x, top: heart.y }}
+          initial={{ scale: 0, opacity: 0 }}
+          animate={{ scale: [0, 1.25, 1, 1.1], opacity: [0, 1, 1, 0] }}
+          transition={{ duration: 0.8, ease: 'easeOut' }}
+          onAnimationComplete={() => removeHeart(heart.id)}
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 21s-7.5-4.6-9.5-9.1C1.2 8.9 3 5 6.6 5c2.1 0 3.5 1.2 4.4 2.6h2C13.9 6.2 15.3 5 17.4 5 21 5 22.8 8.9 21.5 11.9 19.5 16.4 12 21 12 21z" />
+          </svg>
+        </motion.div>
+      ))}
+
+      {toast && <div className="reel-toast">{toast}</div>}
+    </div>
+  );
+};
+
 // Helper to compute the next index based on drag offset/velocity
 function getNextIndex(currentIndex, offset, velocity, length) {
   if (!length) return currentIndex;
@@ -240,78 +709,143 @@ function getNextIndex(currentIndex, offset, velocity, length) {
 export default function OptimizedCarousel({
   items = [],
   baseWidth = 300,
+  initialIndex = 0,
+  initialTime = 0,
+  onIndexChange,
+  onReelStart,
+  onReelEnd,
+  onReelError,
+  onPlaybackProgress,
+  hasMore = false,
+  isLoadingMore = false,
+  loadMoreFailed = false,
+  onEndReached,
+  category,
+  onLike,
+  onSave,
+  onShare,
+  onComment,
+  analytics,
+  autoAdvance,
+  autoAdvanceLoops = 1,
+  autoAdvanceDelay = 3000,
+  pauseOnHover = true,
+  listenOnly,
+  onSwipeCategory,
+  sponsoredProvider,
+  sponsoredPolicy,
+  isSheetOpen = false,
+  onRefreshLive,
+  label = 'Reels',
+  ref,
 }) {
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [loadedVideos, setLoadedVideos] = useState(new Set([0]));
-  const y = useMotionValue(0);
+  const itemHeight = baseWidth;
+  const trackItemOffset = itemHeight;
+
+  // No slots are placed yet at mount, so reel and slide indices still match
+  const [currentIndex, setCurrentIndex] = useState(
+    () => Math.min(Math.max(initialIndex, 0), Math.max(items.length - 1, 0))
+  );
+  // Reels plus sponsored slots - indices below are slide indices, the
+  // callbacks to the parent translate them back to reel indices
+  const { slides, toReelIndex, toSlideIndex } = useSponsoredSlots(items, {
+    provider: sponsoredProvider,
+    policy: sponsoredPolicy,
+    category,
+    currentIndex,
+  });
+  const itemsLength = slides.length;
+  // Unknown feed length while more pages can load
+  const setSize = hasMore ? -1 : itemsLength;
+  const y = useMotionValue(-(currentIndex * trackItemOffset));
+  const x = useMotionValue(0);
+  const prefersReducedMotion = useReducedMotion();
+  const slideTransition = prefersReducedMotion ? REDUCED_MOTION_OPTIONS : SPRING_OPTIONS;
+  // Axis the current drag locked onto, so a diagonal gesture only does one thing
+  const dragAxis = useRef(null);
+  // Reel and time to resume, captured once at mount
+  const [startPosition] = useState(() => ({ index: currentIndex, time: initialTime || 0 }));
   const containerRef = useRef(null);
   const isDragging = useRef(false);
+  const isAnimating = useRef(false);
   const playerRefs = useRef({});
+  // Index whose start was already reported, so resuming after a pause doesn't repeat it
+  const startedIndexRef = useRef(null);
+  const { mode: qualityMode, version: qualityVersion, setMode: setQualityMode } = useQualityPolicy();
+  // An explicit autoAdvance prop wins over the user's toggle
+  const [autoAdvancePreference, setAutoAdvancePreference] = usePreference('autoAdvance', false);
+  const isAutoAdvanceOn = autoAdvance ?? autoAdvancePreference;
+  const [listenOnlyPreference, setListenOnlyPreference] = usePreference('listenOnly', false);
+  // Listen-only falls back to the lowest rendition when a reel has no audio one
+  const isListenOnly = listenOnly ?? listenOnlyPreference;
+  const [captionsEnabled, setCaptionsEnabled] = usePreference('captions', false);
+  const [captionsLanguage, setCaptionsLanguage] = usePreference('captionsLanguage', null);
 
-  const itemsLength = items.length;
-  const itemHeight = baseWidth;
-  const trackItemOffset = itemHeight;
-
-  // Calculate which items should be rendered (virtualization window)
-  const visibleIndices = useMemo(() => {
-    const indices = new Set();
-    for (let i = -RENDER_WINDOW; i <= RENDER_WINDOW; i++) {
-      const index = currentIndex + i;
-      if (index >= 0 && index < itemsLength) {
-        indices.add(index);
-      }
-    }
-    return indices;
-  }, [currentIndex, itemsLength]);
+  // What the player will actually load for a reel
+  const getSourceUrl = useCallback(
+    (item) => (isListenOnly && getAudioUrl(item)) || getVideoUrl(item),
+    [isListenOnly]
+  );
 
-  // Preload upcoming videos
-  useEffect(() => {
-    const preloadVideos = async () => {
-      const indicesToPreload = [];
-      
-      // Preload ahead
-      for (let i = 1; i <= PRELOAD_AHEAD; i++) {
-        const nextIndex = currentIndex + i;
-        if (nextIndex < itemsLength && items[nextIndex]) {
-          indicesToPreload.push(nextIndex);
-        }
-      }
-      
-      // Also preload one behind
-      const prevIndex = currentIndex - 1;
-      if (prevIndex >= 0 && items[prevIndex]) {
-        indicesToPreload.push(prevIndex);
-      }
+  const currentSlide = slides[currentIndex];
+  const announcement = currentSlide
+    ? `${isSponsoredSlot(currentSlide) ? getSlotLabel(currentSlide) : getReelLabel(currentSlide)}, ` +
+      `${currentIndex + 1} of ${itemsLength}${hasMore ? ' or more' : ''}`
+    : '';
 
-      // Preload current first
-      if (items[currentIndex]) {
-        await preloader.preload(items[currentIndex]);
-      }
+  // Players mounted around the current slide, from the device's budget
+  const visibleIndices = usePreloadScheduler(preloader, { slides, currentIndex, getSourceUrl });
 
-      // Then preload others in parallel
-      await Promise.all(
-        indicesToPreload.map(idx => preloader.preload(items[idx]))
-      );
-
-      // Update loaded state
-      setLoadedVideos(prev => {
-        const newSet = new Set(prev);
-        indicesToPreload.forEach(idx => newSet.add(idx));
-        newSet.add(currentIndex);
-        return newSet;
-      });
+  // Slides rendered at all - a little wider than the mounted players so a
+  // swipe lands on a poster; the rest of the feed is spacer height only
+  const shellRange = useMemo(() => {
+    const mounted = visibleIndices.size ? Array.from(visibleIndices) : [currentIndex];
+    return {
+      start: Math.max(Math.min(...mounted) - SHELL_MARGIN, 0),
+      end: Math.min(Math.max(...mounted) + SHELL_MARGIN + 1, itemsLength),
     };
-
-    preloadVideos();
-  }, [currentIndex, items, itemsLength]);
+  }, [visibleIndices, currentIndex, itemsLength]);
 
   // Sync y position when currentIndex changes
   useEffect(() => {
     if (!isDragging.current) {
       const targetY = -(currentIndex * trackItemOffset);
-      animate(y, targetY, SPRING_OPTIONS);
+      animate(y, targetY, slideTransition);
+    }
+  }, [currentIndex, trackItemOffset, y, slideTransition]);
+
+  const {
+    handlePlaying: trackPlaying,
+    handleTimeUpdate: trackTimeUpdate,
+    handleError: trackError,
+  } = useReelAnalytics(analytics, { items: slides, currentIndex, category });
+
+  // Report position changes to the parent - slots aren't positions in its feed
+  useEffect(() => {
+    const reelIndex = toReelIndex(currentIndex);
+    if (reelIndex !== null) onIndexChange?.(reelIndex);
+  }, [currentIndex, onIndexChange, toReelIndex]);
+
+  const { skipIn, release: releaseSlot } = useMinViewTime(
+    slides[currentIndex],
+    sponsoredPolicy?.minViewTime
+  );
+  // A sponsored slot can't be skipped before its minimum view time
+  const isSkipLocked = skipIn > 0;
+
+  // A newly active reel reports its start again
+  useEffect(() => {
+    startedIndexRef.current = null;
+  }, [currentIndex]);
+
+  // Ask for the next page as the user approaches the end of the loaded list.
+  // After a failure only the retry button or reconnecting asks again.
+  useEffect(() => {
+    if (!hasMore || isLoadingMore || loadMoreFailed || !itemsLength) return;
+    if (itemsLength - 1 - currentIndex <= LOAD_MORE_THRESHOLD) {
+      onEndReached?.();
     }
-  }, [currentIndex, trackItemOffset, y]);
+  }, [currentIndex, itemsLength, hasMore, isLoadingMore, loadMoreFailed, onEndReached]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -322,86 +856,405 @@ export default function OptimizedCarousel({
 
   const handleDragStart = useCallback(() => {
     isDragging.current = true;
+    dragAxis.current = null;
+    // A drag stops any running slide, whose completion then never fires
+    isAnimating.current = false;
+  }, []);
+
+  // Slide to an index with the same tween as a drag, then activate it.
+  // Drag, keyboard and wheel navigation all go through here; moving forward
+  // off a locked slot snaps back unless forced.
+  const navigateTo = useCallback((index, force = false) => {
+    const target = isSkipLocked && !force && index > currentIndex ? currentIndex : index;
+    const newIndex = Math.min(Math.max(target, 0), Math.max(itemsLength - 1, 0));
+    const targetY = -(newIndex * trackItemOffset);
+
+    // Animations don't run in a hidden tab (background listening), jump
+    // instead - and past a slot, there's nobody to see it
+    if (document.hidden) {
+      const step = Math.sign(newIndex - currentIndex);
+      const landing = step && isSponsoredSlot(slides[newIndex]) && slides[newIndex + step]
+        ? newIndex + step
+        : newIndex;
+      isAnimating.current = false;
+      y.set(-(landing * trackItemOffset));
+      setCurrentIndex(landing);
+      return;
+    }
+
+    isAnimating.current = true;
+    animate(y, targetY, slideTransition).then(() => {
+      isAnimating.current = false;
+      if (newIndex !== currentIndex) {
+        setCurrentIndex(newIndex);
+      }
+    });
+  }, [currentIndex, itemsLength, isSkipLocked, slides, trackItemOffset, y, slideTransition]);
+
+  // A slot that can't play doesn't hold the viewer for its view time
+  const skipFailedSlot = useCallback(() => {
+    releaseSlot();
+    navigateTo(currentIndex + 1, true);
+  }, [currentIndex, navigateTo, releaseSlot]);
+
+  const handleDirectionLock = useCallback((axis) => {
+    dragAxis.current = axis;
   }, []);
 
   const handleDragEnd = useCallback(
     (_, info) => {
       isDragging.current = false;
+
+      // Sideways - snap back and let the parent slide in the adjacent category
+      if (dragAxis.current === 'x') {
+        animate(x, 0, slideTransition);
+        const { x: offset } = info.offset;
+        const { x: velocity } = info.velocity;
+        if (offset < -CATEGORY_SWIPE_BUFFER || velocity < -CATEGORY_SWIPE_VELOCITY) {
+          onSwipeCategory?.(1);
+        } else if (offset > CATEGORY_SWIPE_BUFFER || velocity > CATEGORY_SWIPE_VELOCITY) {
+          onSwipeCategory?.(-1);
+        }
+        return;
+      }
+
       const offset = info.offset.y;
       const velocity = info.velocity.y;
 
-      const newIndex = getNextIndex(currentIndex, offset, velocity, itemsLength);
-      const targetY = -(newIndex * trackItemOffset);
-
-      animate(y, targetY, SPRING_OPTIONS).then(() => {
-        if (newIndex !== currentIndex) {
-          setCurrentIndex(newIndex);
-        }
-      });
+      navigateTo(getNextIndex(currentIndex, offset, velocity, itemsLength));
     },
-    [currentIndex, itemsLength, trackItemOffset, y]
+    [currentIndex, itemsLength, navigateTo, onSwipeCategory, x, slideTransition]
   );
 
-  const handleVideoReady = useCallback((index) => {
-    setLoadedVideos(prev => {
-      const newSet = new Set(prev);
-      newSet.add(index);
-      return newSet;
-    });
-  }, []);
+  // Keyboard/wheel steps are ignored while a slide is still in flight
+  const goNext = useCallback(() => {
+    if (isAnimating.current || isDragging.current) return;
+    navigateTo(currentIndex + 1);
+  }, [currentIndex, navigateTo]);
+
+  const goPrev = useCallback(() => {
+    if (isAnimating.current || isDragging.current) return;
+    navigateTo(currentIndex - 1);
+  }, [currentIndex, navigateTo]);
+
+  const togglePlay = useCallback(() => {
+    const player = playerRefs.current[currentIndex];
+    if (!player) return;
+    if (player.paused) {
+      player.play()?.catch?.(() => {});
+    } else {
+      player.pause()?.catch?.(() => {});
+    }
+  }, [currentIndex]);
+
+  const toggleMute = useCallback(() => {
+    const player = playerRefs.current[currentIndex];
+    if (player) {
+      player.muted = !player.muted;
+    }
+  }, [currentIndex]);
+
+  const getActivePlayer = useCallback(
+    () => playerRefs.current[currentIndex] || null,
+    [currentIndex]
+  );
+
+  // Imperative controls for the parent (e.g. browser back/forward, ads)
+  useImperativeHandle(ref, () => ({
+    next: goNext,
+    prev: goPrev,
+    goTo: (index) => {
+      if (!itemsLength) return;
+      setCurrentIndex(Math.min(Math.max(toSlideIndex(index), 0), itemsLength - 1));
+    },
+    play: () => {
+      getActivePlayer()?.play()?.catch?.(() => {});
+    },
+    pause: () => {
+      getActivePlayer()?.pause()?.catch?.(() => {});
+    },
+    mute: (muted = true) => {
+      const player = getActivePlayer();
+      if (player) player.muted = muted;
+    },
+  }), [itemsLength, goNext, goPrev, getActivePlayer, toSlideIndex]);
+
+  // The reel stopped on its last frame, start it over
+  const replayActive = useCallback(() => {
+    getActivePlayer()?.play()?.catch?.(() => {});
+  }, [getActivePlayer]);
+
+  const {
+    isCountingDown,
+    isPaused: isCountdownPaused,
+    shouldLoop,
+    handleEnd: handleAutoAdvanceEnd,
+    complete: completeAutoAdvance,
+    cancel: cancelAutoAdvance,
+  } = useAutoAdvance(containerRef, {
+    enabled: isAutoAdvanceOn,
+    loops: autoAdvanceLoops,
+    currentIndex,
+    canAdvance: currentIndex < itemsLength - 1,
+    pauseOnHover,
+    onAdvance: goNext,
+    onCancel: replayActive,
+  });
+
+  // Language actually shown for a reel, given its tracks and the preference
+  const getCaptionsLanguage = useCallback((tracks) => {
+    if (!captionsEnabled) return null;
+    return pickCaptionTrack(tracks, captionsLanguage)?.language ?? null;
+  }, [captionsEnabled, captionsLanguage]);
+
+  const activeCaptions = useMemo(() => getCaptionTracks(slides[currentIndex]), [slides, currentIndex]);
+
+  const handleCaptionsSelect = useCallback((language) => {
+    setCaptionsEnabled(language !== null);
+    if (language !== null) setCaptionsLanguage(language);
+  }, [setCaptionsEnabled, setCaptionsLanguage]);
+
+  // Lock screen presses bypass the in-flight guard, they should always count
+  const handleMediaNext = useCallback(() => navigateTo(currentIndex + 1), [currentIndex, navigateTo]);
+  const handleMediaPrev = useCallback(() => navigateTo(currentIndex - 1), [currentIndex, navigateTo]);
+
+  const activeItem = slides[currentIndex];
+  const refreshMediaSession = useMediaSession(activeItem, {
+    category,
+    artwork: getPosterUrl(activeItem) || preloader.getPoster(getVideoUrl(activeItem)),
+    onNext: handleMediaNext,
+    onPrev: handleMediaPrev,
+  });
+
+  // Lifecycle callbacks only ever report the active reel
+  const handleReelPlaying = useCallback((index) => {
+    trackPlaying(index);
+    if (index === currentIndex) refreshMediaSession();
+    if (index !== currentIndex || startedIndexRef.current === index) return;
+    startedIndexRef.current = index;
+    onReelStart?.(toReelIndex(index), slides[index]);
+  }, [currentIndex, slides, onReelStart, trackPlaying, refreshMediaSession, toReelIndex]);
+
+  const handleReelEnd = useCallback((index) => {
+    if (index !== currentIndex) return;
+    if (!isSponsoredSlot(slides[index])) onReelEnd?.(toReelIndex(index), slides[index]);
+    // Loops are counted by hand while auto-advance turns off native looping
+    if (handleAutoAdvanceEnd()) replayActive();
+  }, [currentIndex, slides, onReelEnd, handleAutoAdvanceEnd, replayActive, toReelIndex]);
+
+  const handleReelError = useCallback((index, error) => {
+    trackError(index, error);
+    onReelError?.(toReelIndex(index), slides[index], error);
+  }, [slides, onReelError, trackError, toReelIndex]);
+
+  // A bottom sheet (comments) covers the feed: hold the active reel while it's
+  // open and pick up again after, unless the reel was already paused
+  const resumeAfterSheetRef = useRef(false);
+  useEffect(() => {
+    const player = getActivePlayer();
+    if (isSheetOpen) {
+      resumeAfterSheetRef.current = Boolean(player && !player.paused);
+      player?.pause()?.catch?.(() => {});
+    } else if (resumeAfterSheetRef.current) {
+      resumeAfterSheetRef.current = false;
+      player?.play()?.catch?.(() => {});
+    }
+  }, [isSheetOpen, getActivePlayer]);
+
+  // Swipes and keys inside the sheet must not change reels
+  useFeedNavigation(containerRef, {
+    enabled: !isSheetOpen,
+    onNext: goNext,
+    onPrev: goPrev,
+    onTogglePlay: togglePlay,
+    onToggleMute: toggleMute,
+  });
 
   const dragConstraints = useMemo(() => ({
     top: -trackItemOffset * (itemsLength - 1),
-    bottom: 0
+    bottom: 0,
+    left: 0,
+    right: 0
   }), [itemsLength, trackItemOffset]);
 
   return (
-    <div ref={containerRef} className="optimized-carousel-container">
+    <div ref={containerRef} className={`optimized-carousel-container ${isSheetOpen ? 'sheet-open' : ''}`}>
       <motion.div
         className="optimized-carousel-track"
-        drag="y"
-        dragElastic={0.15}
+        role="feed"
+        aria-label={label}
+        aria-busy={isLoadingMore}
+        drag={isSheetOpen ? false : onSwipeCategory ? true : 'y'}
+        dragDirectionLock
+        dragElastic={DRAG_ELASTIC}
         dragMomentum={false}
         dragConstraints={dragConstraints}
         style={{
           height: itemHeight,
+          x,
           y
         }}
+        onDirectionLock={handleDirectionLock}
         onDragStart={handleDragStart}
         onDragEnd={handleDragEnd}
       >
-        {items.map((url, index) => {
+        {shellRange.start > 0 && (
+          <div className="optimized-carousel-spacer" style={{ height: shellRange.start * itemHeight }} />
+        )}
+        {slides.slice(shellRange.start, shellRange.end).map((item, offset) => {
+          const index = shellRange.start + offset;
           const isVisible = visibleIndices.has(index);
           const isActive = index === currentIndex;
-          const isPreloaded = loadedVideos.has(index);
 
+          if (isSponsoredSlot(item)) {
+            return (
+              <SponsoredSlide
+                key={`slot-${item.slotKey}`}
+                slide={item}
+                height={itemHeight}
+                position={index}
+                setSize={setSize}
+                category={category}
+                isActive={isActive}
+                isVisible={isVisible}
+                skipIn={isActive ? skipIn : 0}
+                analytics={analytics}
+                provider={sponsoredProvider}
+              >
+                {item.videoUrl && (
+                  <VideoItem
+                    url={item.videoUrl}
+                    poster={item.imageUrl || preloader.getPoster(item.videoUrl)}
+                    isActive={isActive}
+                    isVisible={isVisible}
+                    height={itemHeight}
+                    onEnd={() => handleReelEnd(index)}
+                    onSkip={skipFailedSlot}
+                    playerRef={(ref) => {
+                      if (ref) playerRefs.current[index] = ref;
+                      else delete playerRefs.current[index];
+                    }}
+                    qualityMode={qualityMode}
+                    qualityVersion={qualityVersion}
+                    loop={!isActive || shouldLoop}
+                  />
+                )}
+              </SponsoredSlide>
+            );
+          }
+          const captions = isVisible ? getCaptionTracks(item) : NO_CAPTIONS;
+          const liveProps = getLiveStatus(item) ? { reel: item, onRefreshLive } : null;
+          const Player = liveProps ? LiveVideoItem : VideoItem;
+
+          // Keyed by reel, not position - slots and revalidated reels get
+          // inserted mid-list and must not inherit a neighbour's state
           return (
-            <div
-              key={`video-${index}`}
-              className="optimized-carousel-item"
-              style={{
-                height: itemHeight,
-              }}
+            <ReelSlide
+              key={`reel-${getReelKey(item) ?? index}`}
+              item={item}
+              height={itemHeight}
+              position={index}
+              setSize={setSize}
+              category={category}
+              isActive={isActive}
+              isVisible={isVisible}
+              onLike={onLike}
+              onSave={onSave}
+              onShare={onShare}
+              onComment={onComment}
             >
-              <VideoItem
-                url={url}
+              <Player
+                {...liveProps}
+                url={getVideoUrl(item)}
+                fallbackUrls={getFallbackUrls(item)}
+                audioUrl={getAudioUrl(item)}
+                audioOnly={isListenOnly}
+                poster={getPosterUrl(item) || preloader.getPoster(getVideoUrl(item))}
                 isActive={isActive}
-                isVisible={isVisible || isPreloaded}
+                isVisible={isVisible}
                 height={itemHeight}
-                onReady={() => handleVideoReady(index)}
+                onPlaying={() => handleReelPlaying(index)}
+                onEnd={() => handleReelEnd(index)}
+                onSkip={index < itemsLength - 1 ? goNext : undefined}
+                onTimeUpdate={(time, duration) => {
+                  trackTimeUpdate(index, time, duration);
+                  onPlaybackProgress?.(toReelIndex(index), time, duration);
+                }}
+                startTime={index === startPosition.index ? startPosition.time : 0}
+                onError={(error) => handleReelError(index, error)}
                 playerRef={(ref) => {
+                  // Unmounted players are let go with their slide
                   if (ref) playerRefs.current[index] = ref;
+                  else delete playerRefs.current[index];
                 }}
+                qualityMode={isListenOnly ? 'low' : qualityMode}
+                qualityVersion={qualityVersion}
+                loop={!isActive || shouldLoop}
+                captions={captions}
+                captionsLanguage={getCaptionsLanguage(captions)}
               />
-            </div>
+            </ReelSlide>
           );
         })}
+        {shellRange.end < itemsLength && (
+          <div className="optimized-carousel-spacer" style={{ height: (itemsLength - shellRange.end) * itemHeight }} />
+        )}
       </motion.div>
 
-      {/* Progress indicator */}
-      <div className="progress-indicator">
+      <QualityMenu mode={qualityMode} onChange={setQualityMode} />
+      <div className="player-toggles">
+        {autoAdvance === undefined && (
+          <PlayerToggle
+            active={autoAdvancePreference}
+            onChange={setAutoAdvancePreference}
+            label="Autoplay"
+            ariaLabel="Auto-advance to the next reel"
+          >
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M4 12a8 8 0 0 1 13.7-5.6L20 8.7M20 4v4.7h-4.7M20 12a8 8 0 0 1-13.7 5.6L4 15.3M4 20v-4.7h4.7" />
+            </svg>
+          </PlayerToggle>
+        )}
+        {activeCaptions.length > 0 && (
+          <CaptionsMenu
+            tracks={activeCaptions}
+            selectedLanguage={getCaptionsLanguage(activeCaptions)}
+            onSelect={handleCaptionsSelect}
+          />
+        )}
+        {listenOnly === undefined && (
+          <PlayerToggle
+            active={listenOnlyPreference}
+            onChange={setListenOnlyPreference}
+            label="Audio"
+            ariaLabel="Listen-only mode"
+          >
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M4 18v-6a8 8 0 0 1 16 0v6M4 15h3v5H4zM17 15h3v5h-3z" />
+            </svg>
+          </PlayerToggle>
+        )}
+      </div>
+
+      {isCountingDown && (
+        <AutoAdvanceCountdown
+          key={currentIndex}
+          duration={autoAdvanceDelay}
+          isPaused={isCountdownPaused}
+          onComplete={completeAutoAdvance}
+          onCancel={cancelAutoAdvance}
+        />
+      )}
+
+      {/* Reel changes are read out by screen readers */}
+      <div className="visually-hidden" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+
+      {/* Progress indicator - announced through the live region above */}
+      <div className="progress-indicator" aria-hidden="true">
         <div className="progress-text">
-          {currentIndex + 1} / {itemsLength}
+          {currentIndex + 1} / {itemsLength}{hasMore ? '+' : ''}
         </div>
         <div className="progress-bar">
           <div 
@@ -413,8 +1266,29 @@ export default function OptimizedCarousel({
         </div>
       </div>
 
+      {/* Feed status at the end of the loaded list */}
+      {currentIndex === itemsLength - 1 && (isLoadingMore || loadMoreFailed || !hasMore) && (
+        <div className="feed-status">
+          {isLoadingMore ? (
+            <>
+              <div className="feed-status-spinner" />
+              <span>Loading more reels...</span>
+            </>
+          ) : loadMoreFailed ? (
+            <>
+              <span>Couldn't load more reels</span>
+              <button type="button" className="feed-status-retry" onClick={onEndReached}>
+                Try again
+              </button>
+            </>
+          ) : (
+            <span>You're all caught up</span>
+          )}
+        </div>
+      )}
+
       {/* Swipe hint for first video */}
-      {currentIndex === 0 && (
+      {currentIndex === 0 && !isCountingDown && (
         <div className="swipe-hint">
           <div className="swipe-arrow">↑</div>
           <span>Swipe up for more</span>
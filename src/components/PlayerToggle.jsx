@@ -0,0 +1,24 @@
+import { memo, useCallback } from 'react';
+import './css/playerToggle.css';
+
+// On/off pill for a player-wide preference (autoplay, listen-only, ...)
+const PlayerToggle = memo(function PlayerToggle({ active, onChange, label, ariaLabel, children }) {
+  const handleClick = useCallback(() => {
+    onChange(!active);
+  }, [active, onChange]);
+
+  return (
+    <button
+      type="button"
+      className={`player-toggle ${active ? 'active' : ''}`}
+      onClick={handleClick}
+      aria-pressed={active}
+      aria-label={ariaLabel || label}
+    >
+      {children}
+      <span>{label}</span>
+    </button>
+  );
+});
+
+export default PlayerToggle;
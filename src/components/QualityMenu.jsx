@@ -0,0 +1,68 @@
+import { memo, useState, useCallback, useRef } from 'react';
+import useDismissOnOutsideClick from '../hooks/useDismissOnOutsideClick';
+import { QUALITY_MODES } from '../services/qualityPolicy';
+import './css/qualityMenu.css';
+
+// Auto/Low/Medium/High picker shared by all reels
+const QualityMenu = memo(function QualityMenu({ mode, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+  }, []);
+
+  useDismissOnOutsideClick(menuRef, isOpen, handleClose);
+
+  const handleToggle = useCallback(() => {
+    setIsOpen(prev => !prev);
+  }, []);
+
+  const handleSelect = useCallback((value) => {
+    onChange(value);
+    setIsOpen(false);
+  }, [onChange]);
+
+  const current = QUALITY_MODES.find(option => option.value === mode) || QUALITY_MODES[0];
+
+  return (
+    <div ref={menuRef} className="quality-menu">
+      <button
+        type="button"
+        className="quality-menu-button"
+        onClick={handleToggle}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label={`Video quality: ${current.label}`}
+      >
+        <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M4 6h10M18 6h2M4 12h4M12 12h8M4 18h12M20 18h0" />
+          <circle cx="16" cy="6" r="2" />
+          <circle cx="10" cy="12" r="2" />
+          <circle cx="18" cy="18" r="2" />
+        </svg>
+        <span>{current.label}</span>
+      </button>
+
+      {isOpen && (
+        <ul className="quality-menu-list" role="menu">
+          {QUALITY_MODES.map(option => (
+            <li key={option.value} role="none">
+              <button
+                type="button"
+                role="menuitemradio"
+                aria-checked={option.value === mode}
+                className={`quality-menu-item ${option.value === mode ? 'active' : ''}`}
+                onClick={() => handleSelect(option.value)}
+              >
+                {option.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default QualityMenu;
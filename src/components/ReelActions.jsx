@@ -0,0 +1,105 @@
+import { memo } from 'react';
+import { formatCount } from '../utils/reel';
+import './css/reelActions.css';
+
+const HeartIcon = ({ filled }) => (
+  <svg viewBox="0 0 24 24" width="28" height="28" fill={filled ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+    <path d="M12 21s-7.5-4.6-9.5-9.1C1.2 8.9 3 5 6.6 5c2.1 0 3.5 1.2 4.4 2.6h2C13.9 6.2 15.3 5 17.4 5 21 5 22.8 8.9 21.5 11.9 19.5 16.4 12 21 12 21z" />
+  </svg>
+);
+
+const BookmarkIcon = ({ filled }) => (
+  <svg viewBox="0 0 24 24" width="26" height="26" fill={filled ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+    <path d="M6 3h12v18l-6-4.5L6 21z" />
+  </svg>
+);
+
+const ShareIcon = () => (
+  <svg viewBox="0 0 24 24" width="26" height="26" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M4 12v7h16v-7M12 3v12M7 8l5-5 5 5" />
+  </svg>
+);
+
+const CommentIcon = () => (
+  <svg viewBox="0 0 24 24" width="26" height="26" fill="none" stroke="currentColor" strokeWidth="2">
+    <path d="M4 5h16v11H9l-5 4z" />
+  </svg>
+);
+
+const DownloadIcon = ({ done }) => (
+  <svg viewBox="0 0 24 24" width="26" height="26" fill="none" stroke="currentColor" strokeWidth="2">
+    {done ? <path d="M5 12l5 5 9-10" /> : <path d="M12 4v11M7 10l5 5 5-5M5 20h14" />}
+  </svg>
+);
+
+// Vertical like/comment/save/share rail shown on each reel
+const ReelActions = memo(function ReelActions({
+  isLiked,
+  likeCount,
+  isSaved,
+  commentCount,
+  onLike,
+  onComment,
+  onSave,
+  onShare,
+  offlineStatus,
+  onSaveOffline,
+}) {
+  return (
+    <div className="reel-actions">
+      <button
+        type="button"
+        className={`reel-action ${isLiked ? 'active liked' : ''}`}
+        onClick={onLike}
+        aria-pressed={isLiked}
+        aria-label={isLiked ? 'Unlike' : 'Like'}
+      >
+        <HeartIcon filled={isLiked} />
+        <span className="reel-action-count">{formatCount(likeCount)}</span>
+      </button>
+
+      <button
+        type="button"
+        className="reel-action"
+        onClick={onComment}
+        aria-label="Comments"
+      >
+        <CommentIcon />
+        <span className="reel-action-count">{formatCount(commentCount)}</span>
+      </button>
+
+      <button
+        type="button"
+        className={`reel-action ${isSaved ? 'active saved' : ''}`}
+        onClick={onSave}
+        aria-pressed={isSaved}
+        aria-label={isSaved ? 'Remove from saved' : 'Save'}
+      >
+        <BookmarkIcon filled={isSaved} />
+      </button>
+
+      <button
+        type="button"
+        className="reel-action"
+        onClick={onShare}
+        aria-label="Share"
+      >
+        <ShareIcon />
+      </button>
+
+      {onSaveOffline && (
+        <button
+          type="button"
+          className={`reel-action ${offlineStatus === 'saved' ? 'active saved' : ''} ${offlineStatus === 'saving' ? 'busy' : ''}`}
+          onClick={onSaveOffline}
+          disabled={offlineStatus === 'saving'}
+          aria-label={offlineStatus === 'saved' ? 'Remove offline copy' : 'Save for offline'}
+        >
+          <DownloadIcon done={offlineStatus === 'saved'} />
+        </button>
+      )}
+    </div>
+  );
+});
+
+export default ReelActions;
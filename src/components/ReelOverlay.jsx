@@ -0,0 +1,62 @@
+import { memo, useState, useCallback } from 'react';
+import { getReelMeta } from '../utils/reel';
+import './css/reelOverlay.css';
+
+// Descriptions shorter than this never need the "more" toggle
+const DESCRIPTION_PREVIEW_LENGTH = 90;
+
+// Title, creator, description and category shown over a reel
+const ReelOverlay = memo(function ReelOverlay({ reel }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const { title, creatorName, creatorAvatar, description, category } = getReelMeta(reel);
+
+  const toggleExpanded = useCallback((event) => {
+    event.stopPropagation();
+    setIsExpanded(prev => !prev);
+  }, []);
+
+  if (!title && !creatorName && !description && !category) {
+    return null;
+  }
+
+  const isLong = description.length > DESCRIPTION_PREVIEW_LENGTH;
+
+  return (
+    <div className={`reel-overlay ${isExpanded ? 'expanded' : ''}`}>
+      {creatorName && (
+        <div className="reel-overlay-creator">
+          {creatorAvatar && (
+            <img
+              src={creatorAvatar}
+              alt=""
+              className="reel-overlay-avatar"
+              loading="lazy"
+            />
+          )}
+          <span className="reel-overlay-creator-name">{creatorName}</span>
+        </div>
+      )}
+
+      {title && <div className="reel-overlay-title">{title}</div>}
+
+      {description && (
+        <div className="reel-overlay-description">
+          <span className={isExpanded ? '' : 'clamped'}>{description}</span>
+          {isLong && (
+            <button
+              type="button"
+              className="reel-overlay-more"
+              onClick={toggleExpanded}
+            >
+              {isExpanded ? 'less' : 'more'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {category && <span className="reel-overlay-tag">#{category}</span>}
+    </div>
+  );
+});
+
+export default ReelOverlay;
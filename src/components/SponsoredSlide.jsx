@@ -0,0 +1,103 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { getSlotLabel } from '../services/sponsored';
+import './css/sponsoredSlide.css';
+
+// Sponsored reel or announcement card (temple events, donation appeals).
+// Carries its label and call to action, a "skip in" notice while its minimum
+// view time runs, and reports its own impression/viewable/click events -
+// kept apart from reel watch analytics.
+const SponsoredSlide = ({
+  slide,
+  height,
+  position,
+  setSize,
+  category,
+  isActive,
+  isVisible,
+  skipIn = 0,
+  analytics,
+  provider,
+  children
+}) => {
+  const viewableRef = useRef(false);
+
+  const track = useCallback((type, payload) => {
+    analytics?.track(type, {
+      slotId: slide.id,
+      kind: slide.kind,
+      category,
+      position,
+      ...payload,
+    });
+  }, [analytics, slide, category, position]);
+
+  // Every time the slot becomes the active slide is an impression
+  useEffect(() => {
+    if (!isActive) return;
+    viewableRef.current = false;
+    track('sponsored_impression');
+    provider?.reportImpression?.(slide);
+  }, [isActive, track, provider, slide]);
+
+  // ...and viewable once it stayed up for its minimum view time
+  useEffect(() => {
+    if (!isActive || skipIn > 0 || viewableRef.current) return;
+    viewableRef.current = true;
+    track('sponsored_viewable');
+  }, [isActive, skipIn, track]);
+
+  const handleCtaClick = useCallback(() => {
+    track('sponsored_click', { url: slide.ctaUrl });
+  }, [track, slide]);
+
+  return (
+    <div
+      className={`optimized-carousel-item sponsored-slide ${slide.kind}`}
+      style={{ height }}
+      role="article"
+      aria-label={getSlotLabel(slide)}
+      aria-posinset={position + 1}
+      aria-setsize={setSize}
+      tabIndex={isActive ? 0 : -1}
+    >
+      {children || (
+        <div className="sponsored-card" style={{ height }}>
+          {slide.imageUrl && (
+            <img className="sponsored-card-image" src={slide.imageUrl} alt="" draggable={false} />
+          )}
+        </div>
+      )}
+
+      {isVisible && (
+        <div className="sponsored-overlay">
+          <div className="sponsored-meta">
+            <span className="sponsored-label">{slide.label}</span>
+            {slide.sponsorName && <span className="sponsored-sponsor">{slide.sponsorName}</span>}
+          </div>
+          {slide.title && <div className="sponsored-title">{slide.title}</div>}
+          {slide.description && <div className="sponsored-description">{slide.description}</div>}
+          {slide.ctaUrl && (
+            <a
+              className="sponsored-cta"
+              href={slide.ctaUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={handleCtaClick}
+            >
+              {slide.ctaLabel}
+            </a>
+          )}
+        </div>
+      )}
+
+      {/* A timer isn't read out on every tick */}
+      {isActive && skipIn > 0 && (
+        <div className="sponsored-skip" role="timer">
+          Skip in {skipIn}s
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SponsoredSlide;
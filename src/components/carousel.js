@@ -7,6 +7,7 @@ import '@vidstack/react/player/styles/default/layouts/video.css';
 import { defaultLayoutIcons, DefaultVideoLayout } from '@vidstack/react/player/layouts/default';
 
 
+import { applyQualityPolicy } from '../services/qualityPolicy';
 import './css/carousel.css';
 
 
@@ -199,25 +200,9 @@ export default function Carousel({
                   }
                 }}
                 fullscreenOrientation="portrait"
-                onCanPlay={(detail, nativeEvent) => {
-                  const player = nativeEvent.target;
-                  const qualities = player?.qualities;
-
-                  if (!qualities || qualities.length === 0) return;
-
-                  let mediumIndex = 0;
-
-                  if (qualities.length === 1) {
-                    mediumIndex = 0;
-                  } else if (qualities.length === 2) {
-                    // For two qualities, choose the lower (non-highest) quality.
-                    mediumIndex = 1;
-                  } else {
-                    // For 3+ qualities, choose a middle quality (not the highest).
-                    mediumIndex = Math.floor(qualities.length / 2);
-                  }
-
-                  qualities.selectedIndex = mediumIndex;
+                onQualitiesChange={(detail, nativeEvent) => {
+                  // Pick the rendition before playback using the shared quality policy
+                  applyQualityPolicy(nativeEvent.target?.qualities);
                 }}
               >
                 <MediaProvider />
@@ -1,25 +1,30 @@
-import React, { memo, useMemo, useCallback } from 'react';
+import React, { memo, useMemo, useCallback, useEffect, useRef } from 'react';
+import { motion, useReducedMotion } from 'motion/react';
 import './css/categoriesTab.css';
 
-import StoriesIcon from '../assets/stories.png';
-import PravachanIcon from '../assets/pravachan.png';
-import BhajanIcon from '../assets/bhajan.png';
-import DarshanIcon from '../assets/darshan.png';
+// The vertical stack has to fit under the reel actions rail; with more
+// categories than this the tabs become a horizontally scrolling row
+const MAX_STACKED_TABS = 4;
 
-// Use Map for O(1) lookup instead of object property access
-const CATEGORY_ICONS = new Map([
-  ['Stories', StoriesIcon],
-  ['Pravachan', PravachanIcon],
-  ['Bhajan', BhajanIcon],
-  ['Darshan', DarshanIcon],
-]);
+// Same timing as the feed's side-slide so the highlight moves with it
+const INDICATOR_TRANSITION = { type: 'tween', duration: 0.2, ease: 'easeOut' };
 
-// Immutable array for categories
-const CATEGORIES = Object.freeze(['Stories', 'Pravachan', 'Bhajan', 'Darshan']);
+// The feed below the tabs is their tab panel
+export const CATEGORY_PANEL_ID = 'category-feed-panel';
+// Category names come from the API ("Festival Specials") - an id must not
+// contain spaces or aria-labelledby reads it as several ids
+export const getCategoryTabId = (category) => (
+  `category-tab-${encodeURIComponent(String(category)).replace(/%/g, '_')}`
+);
+
+// Arrow keys move focus between tabs, Enter/Space switches the feed
+const NEXT_TAB_KEYS = new Set(['ArrowDown', 'ArrowRight']);
+const PREV_TAB_KEYS = new Set(['ArrowUp', 'ArrowLeft']);
 
 // Memoized category button component to prevent unnecessary re-renders
 const CategoryButton = memo(function CategoryButton({ 
   category, 
+  label,
   isActive, 
   icon, 
   onClick 
@@ -38,25 +43,45 @@ const CategoryButton = memo(function CategoryButton({
     <button
       key={category}
       type="button"
+      role="tab"
+      id={getCategoryTabId(category)}
+      aria-selected={isActive}
+      aria-controls={isActive ? CATEGORY_PANEL_ID : undefined}
+      tabIndex={isActive ? 0 : -1}
       onClick={handleClick}
       className={className}
+      data-category={category}
     >
       <div>
         <span className="category-tab-icon">
-          <img
-            src={icon}
-            alt={category}
-            className="category-tab-icon-img"
-            loading="lazy"
-          />
+          {/* Shared layout id - the highlight slides from the old tab to the new one */}
+          {isActive && (
+            <motion.span
+              layoutId="category-tab-indicator"
+              className="category-tab-indicator"
+              transition={INDICATOR_TRANSITION}
+            />
+          )}
+          {icon && (
+            <img
+              src={icon}
+              alt=""
+              className="category-tab-icon-img"
+              loading="lazy"
+            />
+          )}
         </span>
-        <span className="category-tab-label">{category}</span>
+        <span className="category-tab-label">{label}</span>
       </div>
     </button>
   );
 });
 
-const CategoryTabs = memo(function CategoryTabs({ category, onChange }) {
+const CategoryTabs = memo(function CategoryTabs({ categories, category, onChange }) {
+  const containerRef = useRef(null);
+  const isScrollable = categories.length > MAX_STACKED_TABS;
+  const prefersReducedMotion = useReducedMotion();
+
   // Use Set for O(1) active category check
   const activeCategorySet = useMemo(() => {
     return new Set([category]);
@@ -64,12 +89,43 @@ const CategoryTabs = memo(function CategoryTabs({ category, onChange }) {
 
   // Memoize category data array to avoid recreation on each render
   const categoryData = useMemo(() => {
-    return CATEGORIES.map(cat => ({
-      name: cat,
-      icon: CATEGORY_ICONS.get(cat),
-      isActive: activeCategorySet.has(cat)
+    return categories.map(cat => ({
+      name: cat.name,
+      label: cat.label,
+      icon: cat.icon,
+      isActive: activeCategorySet.has(cat.name)
     }));
-  }, [activeCategorySet]);
+  }, [categories, activeCategorySet]);
+
+  // Keep the selected tab in view when the row scrolls
+  useEffect(() => {
+    if (!isScrollable) return;
+    const active = Array.from(containerRef.current?.children || [])
+      .find(tab => tab.dataset.category === category);
+    active?.scrollIntoView?.({
+      block: 'nearest',
+      inline: 'nearest',
+      behavior: prefersReducedMotion ? 'auto' : 'smooth',
+    });
+  }, [category, isScrollable, prefersReducedMotion]);
+
+  // Roving focus - only the selected tab is in the tab order. Handled keys
+  // are marked so the feed's arrow-key navigation leaves them alone.
+  const handleKeyDown = useCallback((event) => {
+    const tabs = Array.from(containerRef.current?.children || []);
+    const index = tabs.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    let next;
+    if (NEXT_TAB_KEYS.has(event.key)) next = (index + 1) % tabs.length;
+    else if (PREV_TAB_KEYS.has(event.key)) next = (index - 1 + tabs.length) % tabs.length;
+    else if (event.key === 'Home') next = 0;
+    else if (event.key === 'End') next = tabs.length - 1;
+    else return;
+
+    event.preventDefault();
+    tabs[next].focus();
+  }, []);
 
   // Memoize onChange callback to prevent child re-renders
   const handleCategoryChange = useCallback((selectedCategory) => {
@@ -77,11 +133,19 @@ const CategoryTabs = memo(function CategoryTabs({ category, onChange }) {
   }, [onChange]);
 
   return (
-    <div className="category-tabs">
-      {categoryData.map(({ name, icon, isActive }) => (
+    <div
+      ref={containerRef}
+      className={`category-tabs ${isScrollable ? 'scrollable' : ''}`}
+      role="tablist"
+      aria-label="Categories"
+      aria-orientation={isScrollable ? 'horizontal' : 'vertical'}
+      onKeyDown={handleKeyDown}
+    >
+      {categoryData.map(({ name, label, icon, isActive }) => (
         <CategoryButton
           key={name}
           category={name}
+          label={label}
           isActive={isActive}
           icon={icon}
           onClick={handleCategoryChange}
@@ -91,8 +155,9 @@ const CategoryTabs = memo(function CategoryTabs({ category, onChange }) {
   );
 }, (prevProps, nextProps) => {
   // Custom comparison function for better memoization
-  // Only re-render if category or onChange reference changes
-  return prevProps.category === nextProps.category && 
+  // Only re-render if the list, category or onChange reference changes
+  return prevProps.categories === nextProps.categories &&
+         prevProps.category === nextProps.category && 
          prevProps.onChange === nextProps.onChange;
 });
 
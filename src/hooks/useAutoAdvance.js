@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const MODIFIER_KEYS = new Set(['Tab', 'Shift', 'Control', 'Alt', 'Meta']);
+
+// Auto-advance for the active reel. Counts how often it reached its end and,
+// once it has played `loops` times, runs a countdown before moving on.
+// Hovering the feed with a mouse pauses the countdown; touching the feed or
+// pressing a key outside the countdown cancels it and the reel keeps playing.
+export default function useAutoAdvance(containerRef, {
+  enabled = false,
+  loops = 1,
+  currentIndex,
+  canAdvance = true,
+  pauseOnHover = true,
+  onAdvance,
+  onCancel,
+}) {
+  const [isCountingDown, setIsCountingDown] = useState(false);
+  const [isHovered, setIsHovered] = useState(false);
+  const endCountRef = useRef(0);
+  const isActive = enabled && canAdvance;
+
+  // Every reel starts its own count
+  useEffect(() => {
+    endCountRef.current = 0;
+    setIsCountingDown(false);
+  }, [currentIndex, isActive]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isActive || !pauseOnHover || !container) return;
+
+    // Touch and pen fire enter/leave around every tap, only a mouse hovers
+    const handlePointerEnter = (event) => {
+      if (event.pointerType === 'mouse') setIsHovered(true);
+    };
+    const handlePointerLeave = () => setIsHovered(false);
+
+    container.addEventListener('pointerenter', handlePointerEnter);
+    container.addEventListener('pointerleave', handlePointerLeave);
+    return () => {
+      container.removeEventListener('pointerenter', handlePointerEnter);
+      container.removeEventListener('pointerleave', handlePointerLeave);
+      setIsHovered(false);
+    };
+  }, [containerRef, isActive, pauseOnHover]);
+
+  const cancel = useCallback(() => {
+    endCountRef.current = 0;
+    setIsCountingDown(false);
+    onCancel?.();
+  }, [onCancel]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isCountingDown || !container) return;
+
+    // The countdown's own buttons decide for themselves
+    const isInsideCountdown = (target) => Boolean(target?.closest?.('.auto-advance-countdown'));
+
+    const handlePointerDown = (event) => {
+      if (isInsideCountdown(event.target)) return;
+      cancel();
+    };
+
+    // Tab and modifiers only move focus / start shortcuts, they don't cancel
+    const handleKeyDown = (event) => {
+      if (MODIFIER_KEYS.has(event.key) || isInsideCountdown(event.target)) return;
+      cancel();
+    };
+
+    container.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [containerRef, isCountingDown, cancel]);
+
+  // Returns true when the reel still has loops to play before the countdown
+  const handleEnd = useCallback(() => {
+    if (!isActive) return false;
+    endCountRef.current += 1;
+    if (endCountRef.current < loops) return true;
+    // A hidden page can't run the countdown (background listening), move on now
+    if (document.hidden) {
+      onAdvance?.();
+    } else {
+      setIsCountingDown(true);
+    }
+    return false;
+  }, [isActive, loops, onAdvance]);
+
+  const complete = useCallback(() => {
+    setIsCountingDown(false);
+    onAdvance?.();
+  }, [onAdvance]);
+
+  return {
+    isCountingDown,
+    isPaused: isHovered,
+    // The player stops on its last frame so the countdown owns what happens next
+    shouldLoop: !isActive,
+    handleEnd,
+    complete,
+    cancel,
+  };
+}
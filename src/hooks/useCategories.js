@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getCategories, subscribeCategories, loadCategories } from '../services/categories';
+
+// Category list for the tab bar - the cached/bundled list right away, then
+// whatever the categories endpoint returns
+export default function useCategories(client) {
+  const [categories, setCategories] = useState(getCategories);
+
+  useEffect(() => {
+    const unsubscribe = subscribeCategories(() => setCategories(getCategories()));
+    loadCategories(client);
+    return unsubscribe;
+  }, [client]);
+
+  return categories;
+}
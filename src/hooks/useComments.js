@@ -0,0 +1,151 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getReelId } from '../utils/reel';
+import { normalizeComment } from '../utils/comments';
+
+const toThread = (comment) => ({
+  ...comment,
+  replies: [],
+  repliesPage: 0,
+  repliesHasMore: comment.replyCount > 0,
+  repliesLoading: false,
+});
+
+// Append comments that aren't in the list yet (pages can overlap after a post)
+const appendNew = (existing, incoming) => {
+  const seen = new Set(existing.map(comment => comment.id));
+  return [...existing, ...incoming.filter(comment => !seen.has(comment.id))];
+};
+
+const updateThread = (threads, threadId, update) => (
+  threads.map(thread => (thread.id === threadId ? { ...thread, ...update(thread) } : thread))
+);
+
+// Comments for one reel: top-level comments page by page, replies (one level
+// deep) loaded per thread, and posting with an optimistic insert that is
+// swapped for the saved comment, or taken out again if the post fails.
+export default function useComments(client, reel) {
+  const reelId = getReelId(reel);
+  const [threads, setThreads] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(true);
+  // 'loading' | 'error' | 'idle'
+  const [status, setStatus] = useState('idle');
+  const controllerRef = useRef(null);
+  const loadingRef = useRef(false);
+
+  const loadPage = useCallback(async (nextPage) => {
+    if (reelId === null || loadingRef.current) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadingRef.current = true;
+    setStatus('loading');
+
+    try {
+      const result = await client.fetchComments(reelId, { page: nextPage, signal: controller.signal });
+      const comments = result.comments.map(normalizeComment).filter(Boolean).map(toThread);
+      setThreads(prev => (nextPage === 1 ? comments : appendNew(prev, comments)));
+      setPage(nextPage);
+      setHasMore(result.hasMore);
+      setStatus('idle');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.warn('Could not load comments:', err);
+      setStatus('error');
+    } finally {
+      if (controllerRef.current === controller) {
+        loadingRef.current = false;
+      }
+    }
+  }, [client, reelId]);
+
+  useEffect(() => {
+    loadPage(1);
+    return () => {
+      controllerRef.current?.abort();
+      loadingRef.current = false;
+    };
+  }, [loadPage]);
+
+  const loadMore = useCallback(() => {
+    if (hasMore) loadPage(page + 1);
+  }, [hasMore, page, loadPage]);
+
+  const retry = useCallback(() => loadPage(page + 1), [page, loadPage]);
+
+  const loadReplies = useCallback(async (thread) => {
+    if (thread.repliesLoading || !thread.repliesHasMore) return;
+
+    const nextPage = thread.repliesPage + 1;
+    setThreads(prev => updateThread(prev, thread.id, () => ({ repliesLoading: true })));
+
+    try {
+      const result = await client.fetchComments(reelId, { page: nextPage, parentId: thread.id });
+      const replies = result.comments.map(normalizeComment).filter(Boolean);
+      setThreads(prev => updateThread(prev, thread.id, current => ({
+        replies: appendNew(current.replies, replies),
+        repliesPage: nextPage,
+        repliesHasMore: result.hasMore,
+        repliesLoading: false,
+      })));
+    } catch (err) {
+      console.warn('Could not load replies:', err);
+      setThreads(prev => updateThread(prev, thread.id, () => ({ repliesLoading: false })));
+    }
+  }, [client, reelId]);
+
+  // Replies to a reply go to its thread - there is only one level.
+  // Resolves to true once saved, false if it failed.
+  const post = useCallback(async (text, replyTo = null) => {
+    const body = text.trim();
+    if (!body || reelId === null) return false;
+
+    const threadId = replyTo ? replyTo.parentId || replyTo.id : null;
+    const optimistic = {
+      id: `pending-${Date.now()}`,
+      parentId: threadId,
+      text: body,
+      authorName: 'You',
+      authorAvatar: null,
+      createdAt: Date.now(),
+      replyCount: 0,
+      pending: true,
+    };
+
+    const replace = (id, comment) => {
+      setThreads(prev => {
+        if (!threadId) {
+          return comment
+            ? prev.map(thread => (thread.id === id ? toThread(comment) : thread))
+            : prev.filter(thread => thread.id !== id);
+        }
+        return updateThread(prev, threadId, thread => ({
+          replies: comment
+            ? thread.replies.map(reply => (reply.id === id ? comment : reply))
+            : thread.replies.filter(reply => reply.id !== id),
+          replyCount: comment ? thread.replyCount : Math.max(thread.replyCount - 1, 0),
+        }));
+      });
+    };
+
+    setThreads(prev => (threadId
+      ? updateThread(prev, threadId, thread => ({
+        replies: [...thread.replies, optimistic],
+        replyCount: thread.replyCount + 1,
+      }))
+      : [toThread(optimistic), ...prev]
+    ));
+
+    try {
+      const saved = normalizeComment(await client.postComment(reelId, body, { parentId: threadId || undefined }));
+      replace(optimistic.id, saved || { ...optimistic, pending: false });
+      return true;
+    } catch (err) {
+      console.warn('Could not post comment:', err);
+      replace(optimistic.id, null);
+      return false;
+    }
+  }, [client, reelId]);
+
+  return { threads, hasMore, status, loadMore, retry, loadReplies, post };
+}
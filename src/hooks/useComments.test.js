@@ -0,0 +1,90 @@
+import { renderHook, waitFor, act } from '@testing-library/react';
+import useComments from './useComments';
+
+const reel = { id: 42 };
+const existing = [
+  { id: 1, text: 'First', author: { name: 'Asha' }, replyCount: 1 },
+  { id: 2, text: 'Second', author: { name: 'Ravi' } },
+];
+
+// postComment resolves or rejects only when the test says so
+const createClient = () => {
+  let settle;
+  const client = {
+    fetchComments: jest.fn(() => Promise.resolve({ comments: existing, hasMore: false })),
+    postComment: jest.fn(() => new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    })),
+  };
+  return { client, settle: () => settle };
+};
+
+const renderComments = async (client) => {
+  const { result } = renderHook(() => useComments(client, reel));
+  await waitFor(() => expect(result.current.threads).toHaveLength(2));
+  return { result };
+};
+
+const texts = (comments) => comments.map(comment => comment.text);
+
+describe('useComments', () => {
+  it('shows a posted comment straight away and swaps in the saved one', async () => {
+    const { client, settle } = createClient();
+    const { result } = await renderComments(client);
+
+    let posted;
+    act(() => {
+      posted = result.current.post('  Jai ho  ');
+    });
+    expect(texts(result.current.threads)).toEqual(['Jai ho', 'First', 'Second']);
+    expect(result.current.threads[0]).toMatchObject({ pending: true, authorName: 'You' });
+
+    await act(async () => {
+      settle().resolve({ id: 3, text: 'Jai ho', author: { name: 'Meera' } });
+      expect(await posted).toBe(true);
+    });
+    expect(result.current.threads[0]).toMatchObject({ id: '3', authorName: 'Meera' });
+    expect(result.current.threads[0].pending).toBeUndefined();
+    expect(client.postComment).toHaveBeenCalledWith(42, 'Jai ho', { parentId: undefined });
+  });
+
+  it('takes a failed comment out again', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { client, settle } = createClient();
+    const { result } = await renderComments(client);
+
+    let posted;
+    act(() => {
+      posted = result.current.post('Jai ho');
+    });
+    expect(result.current.threads).toHaveLength(3);
+
+    await act(async () => {
+      settle().reject(new Error('offline'));
+      expect(await posted).toBe(false);
+    });
+    expect(texts(result.current.threads)).toEqual(['First', 'Second']);
+    warn.mockRestore();
+  });
+
+  it('adds replies to their thread and rolls back its count on failure', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { client, settle } = createClient();
+    const { result } = await renderComments(client);
+
+    let posted;
+    act(() => {
+      posted = result.current.post('Agreed', result.current.threads[0]);
+    });
+    expect(result.current.threads[0]).toMatchObject({ replyCount: 2 });
+    expect(texts(result.current.threads[0].replies)).toEqual(['Agreed']);
+    expect(client.postComment).toHaveBeenCalledWith(42, 'Agreed', { parentId: '1' });
+
+    await act(async () => {
+      settle().reject(new Error('offline'));
+      await posted;
+    });
+    expect(result.current.threads[0]).toMatchObject({ replyCount: 1, replies: [] });
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+
+// Calls `onClose` when the user taps anywhere outside `ref` while `open`
+export default function useDismissOnOutsideClick(ref, open, onClose) {
+  useEffect(() => {
+    if (!open) return;
+
+    const handlePointerDown = (event) => {
+      if (!ref.current?.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [ref, open, onClose]);
+}
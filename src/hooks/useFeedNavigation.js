@@ -0,0 +1,103 @@
+import { useEffect, useRef } from 'react';
+
+// Accumulated wheel delta (px) that counts as one flick
+const WHEEL_THRESHOLD = 40;
+// Quiet time after the last wheel event before another flick is accepted.
+// Trackpads keep emitting inertia events long after the fingers lift.
+const WHEEL_IDLE_MS = 200;
+
+const NEXT_KEYS = new Set(['ArrowDown', 'PageDown', 'j']);
+const PREV_KEYS = new Set(['ArrowUp', 'PageUp', 'k']);
+
+// Keys typed into form fields must never drive the feed
+const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
+
+// Keyboard and mouse-wheel/trackpad navigation for a vertical feed.
+// Handlers are read from a ref so callers don't need to memoize them.
+export default function useFeedNavigation(containerRef, {
+  enabled = true,
+  onNext,
+  onPrev,
+  onTogglePlay,
+  onToggleMute,
+}) {
+  const handlersRef = useRef({ onNext, onPrev, onTogglePlay, onToggleMute });
+  handlersRef.current = { onNext, onPrev, onTogglePlay, onToggleMute };
+
+  // Keyboard: ArrowUp/ArrowDown, PageUp/PageDown, j/k, space, m
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      if (isEditableTarget(event.target)) return;
+
+      const handlers = handlersRef.current;
+      const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+      if (NEXT_KEYS.has(key)) {
+        event.preventDefault();
+        handlers.onNext?.();
+      } else if (PREV_KEYS.has(key)) {
+        event.preventDefault();
+        handlers.onPrev?.();
+      } else if (key === ' ') {
+        // Space on a focused button activates the button instead
+        if (event.target.closest?.('button')) return;
+        event.preventDefault();
+        handlers.onTogglePlay?.();
+      } else if (key === 'm') {
+        event.preventDefault();
+        handlers.onToggleMute?.();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+
+  // Wheel/trackpad: one gesture moves exactly one reel
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container) return;
+
+    let accumulated = 0;
+    let isLocked = false;
+    let idleTimer = null;
+
+    const handleWheel = (event) => {
+      // Horizontal-dominant gestures are not feed navigation
+      if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) return;
+      event.preventDefault();
+
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        isLocked = false;
+        accumulated = 0;
+      }, WHEEL_IDLE_MS);
+
+      if (isLocked) return;
+
+      // deltaMode 1 is lines (Firefox mouse wheels), normalize to pixels
+      accumulated += event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+
+      if (Math.abs(accumulated) >= WHEEL_THRESHOLD) {
+        const handlers = handlersRef.current;
+        if (accumulated > 0) handlers.onNext?.();
+        else handlers.onPrev?.();
+        isLocked = true;
+        accumulated = 0;
+      }
+    };
+
+    // Non-passive so the page itself never scrolls under the feed
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => {
+      clearTimeout(idleTimer);
+      container.removeEventListener('wheel', handleWheel);
+    };
+  }, [containerRef, enabled]);
+}
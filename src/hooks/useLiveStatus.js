@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { getReelKey, getLiveStatus, getLiveStartTime, getViewerCount } from '../utils/reel';
+
+// Viewer count/status refresh while a live reel is on screen
+const REFRESH_INTERVAL = 30000;
+// Faster checks once a scheduled stream is due but not live yet
+const STARTING_INTERVAL = 10000;
+
+// Live state of a reel: 'live', 'upcoming' with the time left until its
+// scheduled start, or 'ended'/null. The active reel is refreshed through
+// `onRefresh(reel)` (resolving to the latest reel) for its viewer count and
+// to notice a scheduled stream going live. Without a refresher a stream is
+// assumed live once its start time passes. `reel` is the latest copy, which
+// may carry a stream URL that the scheduled reel didn't have yet.
+export default function useLiveStatus(reel, { isActive = false, onRefresh } = {}) {
+  const key = getReelKey(reel);
+  const [refreshed, setRefreshed] = useState({ key: null, reel: null });
+  const [now, setNow] = useState(Date.now);
+  const current = refreshed.key === key ? refreshed.reel : reel;
+
+  const startsAt = getLiveStartTime(current);
+  const isDue = Boolean(startsAt) && startsAt <= now;
+  let status = getLiveStatus(current);
+  if (status === 'upcoming' && isDue && !onRefresh) status = 'live';
+  const isUpcoming = status === 'upcoming';
+
+  // Countdown to the scheduled start
+  useEffect(() => {
+    if (!isUpcoming) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isUpcoming]);
+
+  useEffect(() => {
+    if (!isActive || !onRefresh || !status || status === 'ended') return;
+    // Nothing changes for a scheduled stream until its start time
+    if (isUpcoming && !isDue) return;
+
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const latest = await onRefresh(reel);
+        if (!cancelled && latest) setRefreshed({ key, reel: { ...reel, ...latest } });
+      } catch (err) {
+        console.warn('Could not refresh live stream:', err);
+      }
+    };
+
+    if (isUpcoming) refresh();
+    const timer = setInterval(refresh, isUpcoming ? STARTING_INTERVAL : REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [isActive, onRefresh, reel, key, status, isUpcoming, isDue]);
+
+  return {
+    reel: current,
+    status,
+    startsIn: isUpcoming && startsAt ? Math.max(startsAt - now, 0) : 0,
+    startsAt,
+    viewerCount: getViewerCount(current),
+  };
+}
@@ -0,0 +1,46 @@
+import { useEffect, useCallback } from 'react';
+import { getReelMeta } from '../utils/reel';
+
+const hasMediaSession = () =>
+  typeof navigator !== 'undefined' && 'mediaSession' in navigator && typeof window.MediaMetadata === 'function';
+
+const setActionHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (e) {
+    // Action not supported by this browser
+  }
+};
+
+// Lock screen / notification controls for the active reel. Every mounted
+// Vidstack player writes its own (empty) metadata when it connects, so the
+// returned `refresh` is called again once the active reel starts playing.
+export default function useMediaSession(reel, { category, artwork, onNext, onPrev } = {}) {
+  const refresh = useCallback(() => {
+    if (!hasMediaSession() || !reel) return;
+    const meta = getReelMeta(reel);
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: meta.title || 'Untitled reel',
+      artist: meta.creatorName,
+      album: category || meta.category,
+      artwork: artwork ? [{ src: artwork }] : [],
+    });
+  }, [reel, category, artwork]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Next/previous track drive the feed; play/pause stay with the player
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    setActionHandler('nexttrack', onNext || null);
+    setActionHandler('previoustrack', onPrev || null);
+    return () => {
+      setActionHandler('nexttrack', null);
+      setActionHandler('previoustrack', null);
+    };
+  }, [onNext, onPrev]);
+
+  return refresh;
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isSponsoredSlot } from '../services/sponsored';
+
+// Seconds left before the active slide may be skipped. Only sponsored slots
+// have a minimum view time; a slot that already ran it out (or was released,
+// e.g. because it failed to play) can be skipped straight away next time.
+export default function useMinViewTime(slide, defaultMinViewTime = 0) {
+  const viewedRef = useRef(new Set());
+  const [countdown, setCountdown] = useState({ key: null, left: 0 });
+  const key = isSponsoredSlot(slide) ? slide.slotKey : null;
+  const minViewTime = slide?.minViewTime ?? defaultMinViewTime;
+  const seconds = key && !viewedRef.current.has(key) ? Math.ceil(minViewTime / 1000) : 0;
+
+  useEffect(() => {
+    if (!seconds) return;
+
+    let left = seconds;
+    setCountdown({ key, left });
+    const timer = setInterval(() => {
+      // Only time actually on screen counts
+      if (document.hidden) return;
+      left -= 1;
+      if (left <= 0) {
+        viewedRef.current.add(key);
+        clearInterval(timer);
+      }
+      setCountdown({ key, left: Math.max(left, 0) });
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [key, seconds]);
+
+  const release = useCallback(() => {
+    if (!key) return;
+    viewedRef.current.add(key);
+    setCountdown({ key, left: 0 });
+  }, [key]);
+
+  // Before the timer's first tick the full time is still left
+  const skipIn = countdown.key === key ? countdown.left : seconds;
+  return { skipIn, release };
+}
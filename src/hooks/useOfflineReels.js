@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getOfflineStatus,
+  listOfflineReels,
+  saveReelOffline,
+  removeOfflineReel,
+  subscribeOffline,
+} from '../services/offlineStore';
+
+// Re-render on every offline store change
+const useOfflineVersion = () => {
+  const [version, setVersion] = useState(0);
+  useEffect(() => subscribeOffline(() => setVersion(prev => prev + 1)), []);
+  return version;
+};
+
+// Save-for-offline state and toggle for one reel
+export function useOfflineReel(reel) {
+  useOfflineVersion();
+  const status = getOfflineStatus(reel);
+
+  const toggle = useCallback(async () => {
+    try {
+      if (getOfflineStatus(reel) === 'saved') {
+        await removeOfflineReel(reel);
+      } else {
+        await saveReelOffline(reel);
+      }
+      return true;
+    } catch (err) {
+      console.warn('Could not update offline copy:', err);
+      return false;
+    }
+  }, [reel]);
+
+  return { status, toggle };
+}
+
+// All saved reels, kept in sync with the store
+export function useOfflineReels() {
+  const version = useOfflineVersion();
+  const [reels, setReels] = useState(listOfflineReels);
+
+  useEffect(() => {
+    setReels(listOfflineReels());
+  }, [version]);
+
+  return reels;
+}
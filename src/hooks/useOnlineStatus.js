@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+const getIsOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Browser connectivity, updated from the window online/offline events
+export default function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(getIsOnline);
+
+  useEffect(() => {
+    const handleChange = () => setIsOnline(getIsOnline());
+
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+    return () => {
+      window.removeEventListener('online', handleChange);
+      window.removeEventListener('offline', handleChange);
+    };
+  }, []);
+
+  return isOnline;
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPreference, setPreference, subscribePreferences } from '../services/preferences';
+
+// A single persisted preference, kept in sync across every component using it
+export default function usePreference(key, fallback) {
+  const [value, setValue] = useState(() => getPreference(key, fallback));
+
+  useEffect(() => {
+    setValue(getPreference(key, fallback));
+    return subscribePreferences((changedKey) => {
+      if (changedKey === key) setValue(getPreference(key, fallback));
+    });
+  }, [key, fallback]);
+
+  const update = useCallback((next) => {
+    setPreference(key, typeof next === 'function' ? next(getPreference(key, fallback)) : next);
+  }, [key, fallback]);
+
+  return [value, update];
+}
@@ -0,0 +1,80 @@
+import { useEffect, useRef, useMemo, useCallback } from 'react';
+import { getPreloadBudget, planPreloads } from '../services/preloadBudget';
+import { isAdaptiveStream } from '../utils/stream';
+
+// Mount window and warm-ups around the current slide. Follows the direction
+// and pace of the last move, warms neighbours one at a time in priority
+// order, and drops warm-ups and hidden elements for slides that fell out of
+// the plan, including ones still in flight that the user swiped past.
+// Returns the set of slide indices whose players should be mounted.
+export default function usePreloadScheduler(preloader, { slides, currentIndex, getSourceUrl }) {
+  const length = slides.length;
+  // Last move, updated by the warm-up effect once a new index is committed
+  const moveRef = useRef({ index: currentIndex, direction: 1, interval: Infinity, changedAt: null });
+
+  // On the first render for a new index the ref still holds the previous one,
+  // so the mount window already faces the way the user is heading
+  const lastMove = moveRef.current;
+  const direction = lastMove.index === currentIndex
+    ? lastMove.direction
+    : (currentIndex > lastMove.index ? 1 : -1);
+
+  const getKind = useCallback((index) => {
+    const url = getSourceUrl(slides[index]);
+    if (!url) return null;
+    return isAdaptiveStream(url) ? 'stream' : 'progressive';
+  }, [slides, getSourceUrl]);
+
+  const { mounted } = useMemo(() => planPreloads({
+    currentIndex,
+    length,
+    direction,
+    budget: getPreloadBudget(),
+    getKind,
+  }), [currentIndex, length, direction, getKind]);
+
+  useEffect(() => {
+    const now = Date.now();
+    const move = moveRef.current;
+    if (move.changedAt === null) {
+      move.changedAt = now;
+    } else if (move.index !== currentIndex) {
+      moveRef.current = {
+        index: currentIndex,
+        direction: currentIndex > move.index ? 1 : -1,
+        interval: now - move.changedAt,
+        changedAt: now,
+      };
+    }
+
+    // Warm-ups also follow the pace, which is only known once the move is in
+    const { preloads } = planPreloads({
+      currentIndex,
+      length,
+      direction: moveRef.current.direction,
+      interval: moveRef.current.interval,
+      budget: getPreloadBudget(),
+      getKind,
+    });
+    const queue = preloads.map(({ index, byteBudget }) => ({
+      url: getSourceUrl(slides[index]),
+      byteBudget,
+    }));
+    preloader.retain(queue.map(({ url }) => url));
+
+    let cancelled = false;
+    const run = async () => {
+      for (const { url, byteBudget } of queue) {
+        if (cancelled) return;
+        await preloader.preload(url, { byteBudget });
+      }
+    };
+    run();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [preloader, currentIndex, length, slides, getSourceUrl, getKind]);
+
+  return mounted;
+}
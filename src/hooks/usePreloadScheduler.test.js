@@ -0,0 +1,52 @@
+import { renderHook } from '@testing-library/react';
+import usePreloadScheduler from './usePreloadScheduler';
+
+const slides = Array.from({ length: 20 }, (_, i) => ({ id: i, videoUrl: `/reel-${i}.m3u8` }));
+const getSourceUrl = (slide) => slide?.videoUrl;
+
+const createPreloader = () => ({
+  retain: jest.fn(),
+  preload: jest.fn(() => Promise.resolve()),
+});
+
+// Urls passed to the last retain call
+const retained = (preloader) => preloader.retain.mock.calls.at(-1)[0];
+
+const renderScheduler = (preloader, currentIndex) => renderHook(
+  (props) => usePreloadScheduler(preloader, { slides, getSourceUrl, ...props }),
+  { initialProps: { currentIndex } }
+);
+
+describe('usePreloadScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('faces the mount window the way the user moved on the first render', () => {
+    const { result, rerender } = renderScheduler(createPreloader(), 10);
+    expect([...result.current]).toEqual([9, 10, 11, 12, 13]);
+
+    jest.advanceTimersByTime(5000);
+    rerender({ currentIndex: 9 });
+    expect([...result.current]).toEqual([6, 7, 8, 9, 10]);
+  });
+
+  it('warms one more reel while the user is skimming', () => {
+    const preloader = createPreloader();
+    const { rerender } = renderScheduler(preloader, 10);
+
+    jest.advanceTimersByTime(5000);
+    rerender({ currentIndex: 11 });
+    expect(retained(preloader)).toEqual(['/reel-12.m3u8', '/reel-13.m3u8', '/reel-14.m3u8', '/reel-10.m3u8']);
+
+    jest.advanceTimersByTime(300);
+    rerender({ currentIndex: 12 });
+    expect(retained(preloader)).toEqual([
+      '/reel-13.m3u8', '/reel-14.m3u8', '/reel-15.m3u8', '/reel-16.m3u8', '/reel-11.m3u8',
+    ]);
+  });
+});
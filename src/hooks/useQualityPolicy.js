@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getQualityMode, setQualityMode, subscribeQualityPolicy } from '../services/qualityPolicy';
+
+// Current quality preference plus a version that bumps whenever the policy
+// inputs (mode, connection, measured throughput) change
+export default function useQualityPolicy() {
+  const [state, setState] = useState(() => ({ mode: getQualityMode(), version: 0 }));
+
+  useEffect(() => {
+    return subscribeQualityPolicy(() => {
+      setState(prev => ({ mode: getQualityMode(), version: prev.version + 1 }));
+    });
+  }, []);
+
+  return { mode: state.mode, version: state.version, setMode: setQualityMode };
+}
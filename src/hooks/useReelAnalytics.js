@@ -0,0 +1,119 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { getReelId, getVideoUrl } from '../utils/reel';
+import { isSponsoredSlot } from '../services/sponsored';
+
+const QUARTILES = [25, 50, 75];
+// Progress treated as having watched the whole reel
+const COMPLETION_RATIO = 0.98;
+// Larger time-update gaps are seeks or stalls, not watching
+const MAX_WATCH_DELTA = 1.5;
+
+const round = (seconds) => Math.round(seconds * 100) / 100;
+
+// Watch events for the active reel: impression, start, quartile progress,
+// loop, completion, skip (with watch time) and error. Sponsored slots report
+// their own events and are left out here.
+// Returns handlers for the active player's Vidstack events.
+export default function useReelAnalytics(analytics, { items, currentIndex, category }) {
+  const sessionRef = useRef(null);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  const trackFor = useCallback((session, type, payload) => {
+    analytics?.track(type, {
+      reelId: getReelId(session.reel) ?? getVideoUrl(session.reel),
+      category,
+      index: session.index,
+      ...payload,
+    });
+  }, [analytics, category]);
+
+  // A reel becoming active is an impression; leaving it early is a skip
+  useEffect(() => {
+    const reel = itemsRef.current[currentIndex];
+    if (!analytics || !reel || isSponsoredSlot(reel)) return;
+
+    const session = {
+      reel,
+      index: currentIndex,
+      started: false,
+      completed: false,
+      watchTime: 0,
+      lastTime: null,
+      duration: 0,
+      loops: 0,
+      quartiles: new Set(),
+    };
+    sessionRef.current = session;
+    trackFor(session, 'impression');
+
+    return () => {
+      if (!session.completed) {
+        trackFor(session, 'skip', {
+          watchTime: round(session.watchTime),
+          progress: session.duration ? round(session.lastTime / session.duration) : 0,
+        });
+      }
+      if (sessionRef.current === session) {
+        sessionRef.current = null;
+      }
+    };
+  }, [analytics, currentIndex, trackFor]);
+
+  const handlePlaying = useCallback((index) => {
+    const session = sessionRef.current;
+    if (!session || session.index !== index || session.started) return;
+    session.started = true;
+    trackFor(session, 'start');
+  }, [trackFor]);
+
+  const handleTimeUpdate = useCallback((index, currentTime, duration) => {
+    const session = sessionRef.current;
+    if (!session || session.index !== index || !duration) return;
+    session.duration = duration;
+
+    const { lastTime } = session;
+    if (lastTime !== null) {
+      const delta = currentTime - lastTime;
+      if (delta > 0 && delta < MAX_WATCH_DELTA) {
+        session.watchTime += delta;
+      }
+
+      // Jumping from the tail back to the start is a loop
+      if (lastTime >= duration - MAX_WATCH_DELTA && currentTime < MAX_WATCH_DELTA) {
+        session.loops += 1;
+        if (!session.completed) {
+          session.completed = true;
+          trackFor(session, 'complete', { watchTime: round(session.watchTime) });
+        }
+        trackFor(session, 'loop', { loopCount: session.loops });
+      }
+    }
+    session.lastTime = currentTime;
+
+    const progress = currentTime / duration;
+    QUARTILES.forEach(quartile => {
+      if (progress * 100 >= quartile && !session.quartiles.has(quartile)) {
+        session.quartiles.add(quartile);
+        trackFor(session, 'progress', { quartile });
+      }
+    });
+
+    if (progress >= COMPLETION_RATIO && !session.completed) {
+      session.completed = true;
+      trackFor(session, 'complete', { watchTime: round(session.watchTime) });
+    }
+  }, [trackFor]);
+
+  const handleError = useCallback((index, error) => {
+    const session = sessionRef.current;
+    const reel = itemsRef.current[index];
+    if (!reel) return;
+    trackFor(session?.index === index ? session : { reel, index }, 'error', {
+      message: error?.message || 'Playback error',
+      code: error?.code,
+    });
+  }, [trackFor]);
+
+  return { handlePlaying, handleTimeUpdate, handleError };
+}
@@ -0,0 +1,89 @@
+import { useState, useCallback, useRef } from 'react';
+import { getReelStats, getReelMeta, getReelShareUrl } from '../utils/reel';
+
+// Share through the Web Share API, falling back to copying the link.
+// Resolves to 'shared', 'copied' or null when neither worked or the user cancelled.
+export async function shareReel(reel, category) {
+  const url = getReelShareUrl(reel, category);
+  const { title } = getReelMeta(reel);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: title || 'Watch this reel', url });
+      return 'shared';
+    } catch (err) {
+      if (err.name === 'AbortError') return null;
+      // Fall through to clipboard when sharing is not allowed
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+  } catch (err) {
+    return null;
+  }
+}
+
+// Like/save/share state for a single reel with optimistic updates.
+// `onLike(reel, liked)` and `onSave(reel, saved)` may return a promise;
+// a rejection rolls the optimistic change back.
+export default function useReelInteractions(reel, { category, onLike, onSave, onShare } = {}) {
+  const [stats, setStats] = useState(() => getReelStats(reel));
+  const pendingRef = useRef({ like: false, save: false });
+
+  const setLiked = useCallback((liked) => {
+    if (pendingRef.current.like || stats.isLiked === liked) return;
+
+    const { isLiked, likeCount } = stats;
+    setStats(prev => ({
+      ...prev,
+      isLiked: liked,
+      likeCount: Math.max(prev.likeCount + (liked ? 1 : -1), 0),
+    }));
+
+    pendingRef.current.like = true;
+    Promise.resolve(onLike?.(reel, liked))
+      .catch((err) => {
+        console.warn('Could not update like:', err);
+        setStats(prev => ({ ...prev, isLiked, likeCount }));
+      })
+      .finally(() => {
+        pendingRef.current.like = false;
+      });
+  }, [reel, onLike, stats]);
+
+  const toggleLike = useCallback(() => {
+    setLiked(!stats.isLiked);
+  }, [setLiked, stats.isLiked]);
+
+  // Double-tap only ever likes, like other reels apps
+  const like = useCallback(() => {
+    if (!stats.isLiked) setLiked(true);
+  }, [setLiked, stats.isLiked]);
+
+  const toggleSave = useCallback(() => {
+    if (pendingRef.current.save) return;
+
+    const saved = !stats.isSaved;
+    setStats(prev => ({ ...prev, isSaved: saved }));
+
+    pendingRef.current.save = true;
+    Promise.resolve(onSave?.(reel, saved))
+      .catch((err) => {
+        console.warn('Could not update save:', err);
+        setStats(prev => ({ ...prev, isSaved: !saved }));
+      })
+      .finally(() => {
+        pendingRef.current.save = false;
+      });
+  }, [reel, onSave, stats.isSaved]);
+
+  const share = useCallback(async () => {
+    const result = await shareReel(reel, category);
+    if (result) onShare?.(reel, result);
+    return result;
+  }, [reel, category, onShare]);
+
+  return { ...stats, toggleLike, like, toggleSave, share };
+}
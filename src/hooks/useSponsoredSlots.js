@@ -0,0 +1,92 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { normalizeSlot, isSponsoredCategory } from '../services/sponsored';
+
+// Slots asked from the provider per request
+const BATCH_SIZE = 3;
+
+// Feed composition: the organic reels with sponsored/announcement slots
+// placed by the policy, after every `every` reels. Slots only ever go at least
+// two slides ahead of the current one, so one arriving late never swaps out
+// what the viewer is looking at or about to drag into view.
+// Returns the slides and maps between slide and reel indices.
+export default function useSponsoredSlots(items, { provider, policy, category, currentIndex }) {
+  // Reels before a gap -> the slot slide placed in it
+  const [placed, setPlaced] = useState(() => new Map());
+  const [queue, setQueue] = useState([]);
+  const fetchingRef = useRef(false);
+  // The provider had nothing (or failed) - don't ask again for this feed
+  const exhaustedRef = useRef(false);
+  const controllerRef = useRef(null);
+  const isEnabled = Boolean(provider && policy) && isSponsoredCategory(policy, category);
+
+  const { slides, reelIndices, slideIndices } = useMemo(() => {
+    const composed = { slides: [], reelIndices: [], slideIndices: [] };
+    items.forEach((item, index) => {
+      composed.slideIndices.push(composed.slides.length);
+      composed.reelIndices.push(index);
+      composed.slides.push(item);
+
+      const slot = placed.get(index + 1);
+      if (slot) {
+        composed.reelIndices.push(null);
+        composed.slides.push(slot);
+      }
+    });
+    return composed;
+  }, [items, placed]);
+
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    const gaps = [];
+    for (let count = policy.firstAfter; count <= items.length; count += policy.every) {
+      if (!placed.has(count) && slideIndices[count - 1] > currentIndex) gaps.push(count);
+    }
+    if (!gaps.length) return;
+
+    if (queue.length) {
+      const next = new Map(placed);
+      const rest = [...queue];
+      gaps.forEach(count => {
+        const slot = rest.shift();
+        if (slot) next.set(count, { ...slot, slotKey: `${slot.id}:${count}` });
+      });
+      setPlaced(next);
+      setQueue(rest);
+      return;
+    }
+
+    if (fetchingRef.current || exhaustedRef.current) return;
+    fetchingRef.current = true;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    // Inside then() so a provider that throws synchronously is caught too
+    Promise.resolve()
+      .then(() => provider.fetchSlots({
+        category,
+        count: Math.max(gaps.length, BATCH_SIZE),
+        signal: controller.signal,
+      }))
+      .then(raw => {
+        const slots = (raw || []).map(normalizeSlot).filter(Boolean);
+        if (!slots.length) exhaustedRef.current = true;
+        setQueue(prev => [...prev, ...slots]);
+      })
+      .catch(err => {
+        if (err?.name === 'AbortError') return;
+        exhaustedRef.current = true;
+        console.warn('Could not load sponsored slots:', err);
+      })
+      .finally(() => {
+        fetchingRef.current = false;
+      });
+  }, [isEnabled, provider, policy, category, items.length, slideIndices, currentIndex, placed, queue]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const toReelIndex = useCallback((slideIndex) => reelIndices[slideIndex] ?? null, [reelIndices]);
+  const toSlideIndex = useCallback((reelIndex) => slideIndices[reelIndex] ?? reelIndex, [slideIndices]);
+
+  return { slides, toReelIndex, toSlideIndex };
+}
@@ -0,0 +1,94 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useSponsoredSlots from './useSponsoredSlots';
+import { createFixtureProvider, isSponsoredSlot, resolveSponsoredPolicy } from '../services/sponsored';
+
+const reels = Array.from({ length: 12 }, (_, i) => ({ id: `reel-${i}`, videoUrl: `/reel-${i}.mp4` }));
+const policy = resolveSponsoredPolicy({ firstAfter: 2, every: 4 });
+const fixtureSlots = [
+  { id: 'temple-event', kind: 'announcement', title: 'Evening aarti' },
+  { id: 'donation', title: 'Support the kitchen' },
+];
+
+// Slide ids with slots written as `[slot id]`
+const describeSlides = (slides) => slides.map(slide => (
+  isSponsoredSlot(slide) ? `[${slide.id}]` : slide.id
+));
+
+const renderSlots = (options) => renderHook(
+  (props) => useSponsoredSlots(reels, props),
+  { initialProps: { policy, category: 'bhajan', currentIndex: 0, ...options } }
+);
+
+describe('useSponsoredSlots', () => {
+  it('places slots after `firstAfter` reels and then every `every` reels', async () => {
+    const { result } = renderSlots({ provider: createFixtureProvider(fixtureSlots) });
+
+    await waitFor(() => expect(result.current.slides).toHaveLength(15));
+    expect(describeSlides(result.current.slides)).toEqual([
+      'reel-0', 'reel-1', '[temple-event]',
+      'reel-2', 'reel-3', 'reel-4', 'reel-5', '[donation]',
+      'reel-6', 'reel-7', 'reel-8', 'reel-9', '[temple-event]',
+      'reel-10', 'reel-11',
+    ]);
+  });
+
+  it('maps between slide and reel indices around the slots', async () => {
+    const { result } = renderSlots({ provider: createFixtureProvider(fixtureSlots) });
+
+    await waitFor(() => expect(result.current.slides).toHaveLength(15));
+    expect(result.current.toReelIndex(2)).toBeNull();
+    expect(result.current.toReelIndex(3)).toBe(2);
+    expect(result.current.toSlideIndex(2)).toBe(3);
+    expect(result.current.toSlideIndex(6)).toBe(8);
+  });
+
+  it('never places a slot less than two slides ahead of the current one', async () => {
+    const { result } = renderSlots({ provider: createFixtureProvider(fixtureSlots), currentIndex: 1 });
+
+    await waitFor(() => expect(result.current.slides).toHaveLength(14));
+    // The gap right after the current slide stays empty
+    expect(describeSlides(result.current.slides).slice(0, 3)).toEqual(['reel-0', 'reel-1', 'reel-2']);
+    expect(isSponsoredSlot(result.current.slides[6])).toBe(true);
+  });
+
+  it('leaves categories outside the policy alone', async () => {
+    const provider = createFixtureProvider(fixtureSlots);
+    jest.spyOn(provider, 'fetchSlots');
+    const { result } = renderSlots({
+      provider,
+      policy: resolveSponsoredPolicy({ firstAfter: 2, every: 4, categories: ['katha'] }),
+    });
+
+    expect(result.current.slides).toHaveLength(12);
+    expect(provider.fetchSlots).not.toHaveBeenCalled();
+  });
+
+  it('stops asking a provider that has nothing', async () => {
+    const provider = createFixtureProvider([]);
+    jest.spyOn(provider, 'fetchSlots');
+    const { result, rerender } = renderSlots({ provider });
+
+    await waitFor(() => expect(provider.fetchSlots).toHaveBeenCalledTimes(1));
+    rerender({ provider, policy, category: 'bhajan', currentIndex: 1 });
+
+    expect(provider.fetchSlots).toHaveBeenCalledTimes(1);
+    expect(result.current.slides).toHaveLength(12);
+  });
+
+  it('shows the plain feed when the provider throws', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = {
+      fetchSlots: jest.fn(() => {
+        throw new Error('misconfigured');
+      }),
+    };
+    const { result, rerender } = renderSlots({ provider });
+
+    await waitFor(() => expect(warn).toHaveBeenCalled());
+    rerender({ provider, policy, category: 'bhajan', currentIndex: 1 });
+
+    expect(provider.fetchSlots).toHaveBeenCalledTimes(1);
+    expect(result.current.slides).toHaveLength(12);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getRetryDelay, isOffline } from '../utils/retry';
+import useOnlineStatus from './useOnlineStatus';
+
+// Retries of the same URL before moving on to the next fallback
+const MAX_RETRIES = 2;
+
+// MediaError codes where retrying the same URL can't help
+const MEDIA_ERR_DECODE = 3;
+const MEDIA_ERR_SRC_NOT_SUPPORTED = 4;
+
+const INITIAL_STATE = { sourceIndex: 0, retries: 0, attempt: 0, status: 'ok' };
+
+// Recovery for a reel's player. Transient errors are retried with backoff,
+// then the next URL in `urls` (alternate renditions) is tried, and only when
+// every URL failed does the status become 'failed'. Errors while offline
+// wait for the connection to come back instead of using up retries.
+//
+// `attempt` changes on every retry so the caller can remount the player.
+export default function useVideoRecovery(urls) {
+  const isOnline = useOnlineStatus();
+  const [state, setState] = useState(INITIAL_STATE);
+  const stateRef = useRef(state);
+  const timerRef = useRef(null);
+  const urlsKey = urls.join('\n');
+
+  const update = useCallback((patch) => {
+    stateRef.current = { ...stateRef.current, ...patch };
+    setState(stateRef.current);
+  }, []);
+
+  // Different sources start over
+  useEffect(() => {
+    clearTimeout(timerRef.current);
+    if (stateRef.current !== INITIAL_STATE) {
+      stateRef.current = INITIAL_STATE;
+      setState(INITIAL_STATE);
+    }
+  }, [urlsKey]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  // Back online - reload whatever was waiting for the connection
+  useEffect(() => {
+    if (isOnline && stateRef.current.status === 'offline') {
+      update({ status: 'ok', attempt: stateRef.current.attempt + 1 });
+    }
+  }, [isOnline, update]);
+
+  const handleError = useCallback((detail) => {
+    const { sourceIndex, retries, attempt, status } = stateRef.current;
+    // The errored player is about to be replaced, ignore its follow-up errors
+    if (status !== 'ok') return;
+
+    if (isOffline()) {
+      update({ status: 'offline' });
+      return;
+    }
+
+    const isPermanent = detail?.code === MEDIA_ERR_DECODE || detail?.code === MEDIA_ERR_SRC_NOT_SUPPORTED;
+    if (!isPermanent && retries < MAX_RETRIES) {
+      update({ status: 'retrying' });
+      timerRef.current = setTimeout(() => {
+        update({ status: 'ok', retries: retries + 1, attempt: attempt + 1 });
+      }, getRetryDelay(retries));
+      return;
+    }
+
+    if (sourceIndex < urls.length - 1) {
+      update({ sourceIndex: sourceIndex + 1, retries: 0, attempt: attempt + 1 });
+      return;
+    }
+
+    update({ status: 'failed' });
+  }, [urls.length, update]);
+
+  // Tap to retry - start again from the primary URL
+  const retry = useCallback(() => {
+    clearTimeout(timerRef.current);
+    update({ ...INITIAL_STATE, attempt: stateRef.current.attempt + 1 });
+  }, [update]);
+
+  return {
+    url: urls[state.sourceIndex] || urls[0],
+    attempt: state.attempt,
+    status: state.status,
+    handleError,
+    retry,
+  };
+}
@@ -0,0 +1,105 @@
+import { renderHook, act } from '@testing-library/react';
+import useVideoRecovery from './useVideoRecovery';
+
+const URLS = ['/reel-720.m3u8', '/reel-480.mp4'];
+const NETWORK_ERROR = { code: 2 };
+const DECODE_ERROR = { code: 3 };
+
+const renderRecovery = (urls = URLS) => renderHook((props) => useVideoRecovery(props), { initialProps: urls });
+
+const setOnline = (isOnline) => {
+  Object.defineProperty(navigator, 'onLine', { value: isOnline, configurable: true });
+  act(() => {
+    window.dispatchEvent(new Event(isOnline ? 'online' : 'offline'));
+  });
+};
+
+describe('useVideoRecovery', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete navigator.onLine;
+  });
+
+  it('retries the same URL with growing backoff before moving on', () => {
+    const { result } = renderRecovery();
+
+    act(() => result.current.handleError(NETWORK_ERROR));
+    expect(result.current.status).toBe('retrying');
+
+    // First retry after ~1s
+    act(() => jest.advanceTimersByTime(999));
+    expect(result.current.status).toBe('retrying');
+    act(() => jest.advanceTimersByTime(1));
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 1, url: URLS[0] });
+
+    // Second retry after ~2s
+    act(() => result.current.handleError(NETWORK_ERROR));
+    act(() => jest.advanceTimersByTime(1999));
+    expect(result.current.status).toBe('retrying');
+    act(() => jest.advanceTimersByTime(1));
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 2, url: URLS[0] });
+
+    // Out of retries - the fallback rendition is next
+    act(() => result.current.handleError(NETWORK_ERROR));
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 3, url: URLS[1] });
+  });
+
+  it('ignores follow-up errors while a retry is pending', () => {
+    const { result } = renderRecovery();
+
+    act(() => result.current.handleError(NETWORK_ERROR));
+    act(() => result.current.handleError(NETWORK_ERROR));
+    act(() => jest.runOnlyPendingTimers());
+
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 1 });
+  });
+
+  it('fails once every URL is used up so the reel can be skipped', () => {
+    const { result } = renderRecovery();
+
+    // Decode errors skip the retries of the same URL
+    act(() => result.current.handleError(DECODE_ERROR));
+    expect(result.current.url).toBe(URLS[1]);
+
+    act(() => result.current.handleError(DECODE_ERROR));
+    expect(result.current.status).toBe('failed');
+
+    act(() => result.current.retry());
+    expect(result.current).toMatchObject({ status: 'ok', url: URLS[0], attempt: 2 });
+  });
+
+  it('waits for the connection instead of using up retries while offline', () => {
+    const { result } = renderRecovery();
+
+    setOnline(false);
+    act(() => result.current.handleError(NETWORK_ERROR));
+    expect(result.current.status).toBe('offline');
+
+    act(() => jest.runOnlyPendingTimers());
+    expect(result.current.status).toBe('offline');
+
+    setOnline(true);
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 1, url: URLS[0] });
+
+    // The retry budget is untouched
+    act(() => result.current.handleError(NETWORK_ERROR));
+    expect(result.current.status).toBe('retrying');
+  });
+
+  it('starts over for different sources', () => {
+    const { result, rerender } = renderRecovery();
+
+    act(() => result.current.handleError(DECODE_ERROR));
+    act(() => result.current.handleError(DECODE_ERROR));
+    expect(result.current.status).toBe('failed');
+
+    rerender(['/other.m3u8']);
+    expect(result.current).toMatchObject({ status: 'ok', attempt: 0, url: '/other.m3u8' });
+  });
+});
@@ -0,0 +1,23 @@
+// Registers public/service-worker.js in production builds.
+// In development the worker would cache stale bundles, so it is skipped.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => {
+        console.error('Service worker registration failed:', err);
+      });
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(err => {
+      console.error(err.message);
+    });
+}
@@ -0,0 +1,123 @@
+// Watch analytics pipeline
+//
+// Events are queued, sent in batches through a pluggable sink and flushed
+// with navigator.sendBeacon when the page is hidden. Sinks implement
+// `send(events, { beacon })`; createMemorySink is a local stand-in that
+// just records what was sent.
+
+import { getRuntimeConfig } from '../utils/config';
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_FLUSH_INTERVAL = 10000;
+
+const createSessionId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// POSTs batches as JSON; uses sendBeacon when flushing on page hide
+export function createBeaconSink(url) {
+  return {
+    send(events, { beacon = false } = {}) {
+      const body = JSON.stringify({ events });
+
+      if (beacon && navigator.sendBeacon) {
+        const queued = navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+        if (queued) return Promise.resolve();
+      }
+
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+      });
+    },
+  };
+}
+
+// Keeps every sent event in memory - for tests and local debugging
+export function createMemorySink() {
+  const events = [];
+  return {
+    events,
+    send(batch) {
+      events.push(...batch);
+    },
+  };
+}
+
+// Drops everything - used when no analytics endpoint is configured
+export const noopSink = { send() {} };
+
+// Sink for the configured endpoint (runtime config, then env), or noop
+export function createDefaultSink() {
+  const url = getRuntimeConfig().analyticsUrl || process.env.REACT_APP_ANALYTICS_URL;
+  return url ? createBeaconSink(url) : noopSink;
+}
+
+export function createAnalytics({
+  sink = noopSink,
+  batchSize = DEFAULT_BATCH_SIZE,
+  flushInterval = DEFAULT_FLUSH_INTERVAL,
+  context = {},
+} = {}) {
+  const queue = [];
+  const sessionId = createSessionId();
+  let timer = null;
+
+  const flush = ({ beacon = false } = {}) => {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return;
+
+    const events = queue.splice(0, queue.length);
+    try {
+      Promise.resolve(sink.send(events, { beacon })).catch(err => {
+        console.warn('Analytics flush failed:', err);
+      });
+    } catch (err) {
+      console.warn('Analytics flush failed:', err);
+    }
+  };
+
+  const track = (type, payload = {}) => {
+    queue.push({
+      type,
+      timestamp: Date.now(),
+      sessionId,
+      ...context,
+      ...payload,
+    });
+
+    if (queue.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushInterval);
+    }
+  };
+
+  // Start flushing on page hide. Returns a detach function, so it can be
+  // used directly as an effect.
+  const attach = () => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flush({ beacon: true });
+      }
+    };
+    const handlePageHide = () => flush({ beacon: true });
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+      flush({ beacon: true });
+    };
+  };
+
+  return { track, flush, attach, sessionId };
+}
@@ -0,0 +1,104 @@
+import { createAnalytics, createBeaconSink, createMemorySink } from './analytics';
+
+describe('createAnalytics', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends a batch once it reaches the batch size', () => {
+    const sink = createMemorySink();
+    const analytics = createAnalytics({ sink, batchSize: 3, context: { app: 'reels' } });
+
+    analytics.track('reel_start', { reelId: 1 });
+    analytics.track('reel_start', { reelId: 2 });
+    expect(sink.events).toHaveLength(0);
+
+    analytics.track('reel_start', { reelId: 3 });
+    expect(sink.events.map(event => event.reelId)).toEqual([1, 2, 3]);
+    expect(sink.events[0]).toMatchObject({
+      type: 'reel_start',
+      app: 'reels',
+      sessionId: analytics.sessionId,
+    });
+  });
+
+  it('flushes a partial batch after the flush interval', () => {
+    const sink = createMemorySink();
+    const analytics = createAnalytics({ sink, batchSize: 10, flushInterval: 1000 });
+
+    analytics.track('reel_start');
+    jest.advanceTimersByTime(999);
+    expect(sink.events).toHaveLength(0);
+
+    jest.advanceTimersByTime(1);
+    expect(sink.events).toHaveLength(1);
+  });
+
+  it('flushes with a beacon when the page is hidden and on detach', () => {
+    const send = jest.fn();
+    const analytics = createAnalytics({ sink: { send } });
+    const detach = analytics.attach();
+
+    analytics.track('reel_progress');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(send).toHaveBeenCalledWith([expect.objectContaining({ type: 'reel_progress' })], { beacon: true });
+
+    analytics.track('reel_end');
+    detach();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send).toHaveBeenLastCalledWith([expect.objectContaining({ type: 'reel_end' })], { beacon: true });
+
+    // Detached - nothing is sent on later page hides
+    analytics.track('reel_start');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps working when the sink throws', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const analytics = createAnalytics({
+      sink: { send: () => { throw new Error('offline'); } },
+      batchSize: 1,
+    });
+
+    expect(() => analytics.track('reel_start')).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('createBeaconSink', () => {
+  const originalSendBeacon = navigator.sendBeacon;
+
+  afterEach(() => {
+    navigator.sendBeacon = originalSendBeacon;
+    delete global.fetch;
+  });
+
+  it('uses sendBeacon for beacon flushes', async () => {
+    navigator.sendBeacon = jest.fn(() => true);
+    global.fetch = jest.fn();
+
+    await createBeaconSink('/analytics').send([{ type: 'reel_start' }], { beacon: true });
+
+    expect(navigator.sendBeacon).toHaveBeenCalledWith('/analytics', expect.any(Blob));
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a keepalive POST when the beacon is refused', async () => {
+    navigator.sendBeacon = jest.fn(() => false);
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+
+    await createBeaconSink('/analytics').send([{ type: 'reel_start' }], { beacon: true });
+
+    expect(global.fetch).toHaveBeenCalledWith('/analytics', expect.objectContaining({
+      method: 'POST',
+      keepalive: true,
+      body: JSON.stringify({ events: [{ type: 'reel_start' }] }),
+    }));
+  });
+});
@@ -0,0 +1,118 @@
+// Feed categories
+//
+// Categories (name, label, icon, order, per-locale labels) come from the
+// categories endpoint so seasonal ones can be added without a release. The
+// bundled list is used until the endpoint answers and whenever it fails; the
+// last good response is kept in localStorage so the next visit starts with it.
+
+import StoriesIcon from '../assets/stories.png';
+import PravachanIcon from '../assets/pravachan.png';
+import BhajanIcon from '../assets/bhajan.png';
+import DarshanIcon from '../assets/darshan.png';
+
+const STORAGE_KEY = 'reels:categories';
+
+// Icons for the built-in categories, also used when the API sends no icon URL
+const BUNDLED_ICONS = new Map([
+  ['Stories', StoriesIcon],
+  ['Pravachan', PravachanIcon],
+  ['Bhajan', BhajanIcon],
+  ['Darshan', DarshanIcon],
+]);
+
+export const FALLBACK_CATEGORIES = Object.freeze(
+  ['Stories', 'Pravachan', 'Bhajan', 'Darshan'].map((name, order) => Object.freeze({
+    name,
+    label: name,
+    icon: BUNDLED_ICONS.get(name),
+    order,
+  }))
+);
+
+const getLocale = () => (typeof navigator !== 'undefined' ? navigator.language || '' : '');
+
+// Label for the user's locale, trying `hi-IN` then `hi` before the default
+const getLocalizedLabel = (labels, fallback) => {
+  if (!labels || typeof labels !== 'object') return fallback;
+  const locale = getLocale();
+  return labels[locale] || labels[locale.split('-')[0]] || fallback;
+};
+
+// Normalized, ordered categories from an API payload; null when unusable
+export const normalizeCategories = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.categories;
+  if (!Array.isArray(list)) return null;
+
+  const categories = list
+    .map((raw, index) => {
+      const item = typeof raw === 'string' ? { name: raw } : raw;
+      const name = item?.name || item?.slug || item?.id;
+      if (!name || item.enabled === false) return null;
+      return {
+        name: String(name),
+        label: getLocalizedLabel(item.labels, item.label || item.title || String(name)),
+        icon: item.iconUrl || item.icon || BUNDLED_ICONS.get(String(name)) || null,
+        order: Number.isFinite(Number(item.order)) ? Number(item.order) : index,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.order - b.order);
+
+  return categories.length ? categories : null;
+};
+
+const readStored = () => {
+  try {
+    return normalizeCategories(JSON.parse(window.localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return null;
+  }
+};
+
+let categories = readStored() || FALLBACK_CATEGORIES;
+let loadPromise = null;
+const listeners = new Set();
+
+export function getCategories() {
+  return categories;
+}
+
+export function subscribeCategories(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Case-insensitive lookup, returns the canonical name or null
+export function matchCategory(name, list = categories) {
+  if (!name) return null;
+  const wanted = String(name).toLowerCase();
+  return list.find(category => category.name.toLowerCase() === wanted)?.name || null;
+}
+
+// Fetch the list once per page load; failures keep the current list
+export function loadCategories(client) {
+  // Injected clients (tests, hosts) may not know about categories
+  if (!client?.fetchCategories) return Promise.resolve(categories);
+  if (!loadPromise) {
+    loadPromise = client.fetchCategories()
+      .then(payload => {
+        const next = normalizeCategories(payload);
+        if (!next) return categories;
+        categories = next;
+        try {
+          // Raw payload, so labels follow the locale of the next visit
+          window.localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+        } catch (e) {
+          // Storage full or unavailable, the list is only kept for this session
+        }
+        listeners.forEach(listener => listener());
+        return categories;
+      })
+      .catch(err => {
+        console.warn('Could not load categories, using the bundled list:', err);
+        loadPromise = null;
+        return categories;
+      });
+  }
+  return loadPromise;
+}
@@ -0,0 +1,92 @@
+// Category feed cache
+//
+// One entry per category: the accumulated reels, the last fetched page and the
+// last viewed index. Entries are served straight away; past FEED_TTL they
+// should be revalidated in the background, past FEED_MAX_AGE they are dropped.
+// The most recently used feeds are kept in localStorage so a reload can show
+// reels before the network answers.
+
+import { createDebouncedStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'reels:feeds';
+const SAVE_DELAY = 1000;
+// Cached feeds older than this are shown but refreshed
+export const FEED_TTL = 5 * 60 * 1000;
+// ...and older than this are not shown at all
+const FEED_MAX_AGE = 24 * 60 * 60 * 1000;
+// Least recently used feeds are dropped beyond this many categories
+const MAX_FEEDS = 8;
+// Reels kept per feed in storage, the rest are fetched again when scrolled to
+const MAX_STORED_REELS = 100;
+
+const isExpired = (entry) => !entry.fetchedAt || Date.now() - entry.fetchedAt > FEED_MAX_AGE;
+
+export function isFeedStale(entry) {
+  return !entry?.fetchedAt || Date.now() - entry.fetchedAt > FEED_TTL;
+}
+
+// Only what's needed to show the feed again - the position comes from the
+// watch history, so stored feeds resume like a first visit
+const toStored = (entry) => {
+  const isTruncated = entry.reels.length > MAX_STORED_REELS;
+  return {
+    category: entry.category,
+    reels: entry.reels.slice(0, MAX_STORED_REELS),
+    // A truncated feed pages again from the start; reels it already has are
+    // skipped when pages are merged
+    page: isTruncated ? 1 : entry.page,
+    hasMore: isTruncated || entry.hasMore,
+    fetchedAt: entry.fetchedAt,
+  };
+};
+
+const storage = createDebouncedStorage(STORAGE_KEY, {
+  delay: SAVE_DELAY,
+  parse: (stored) => {
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(entry => (
+      entry?.category && Array.isArray(entry.reels) && !isExpired(entry)
+    ));
+  },
+  serialize: () => Array.from(feeds.values()).filter(entry => !isExpired(entry)).map(toStored),
+});
+const { scheduleSave } = storage;
+
+// Map order is recency order - reads and writes move an entry to the end
+const feeds = new Map(storage.read().map(entry => [entry.category, { ...entry, index: 0 }]));
+
+// Cached feed for a category, or undefined when missing or expired
+export function getFeed(category) {
+  const entry = feeds.get(category);
+  if (!entry) return undefined;
+
+  feeds.delete(category);
+  if (isExpired(entry)) {
+    scheduleSave();
+    return undefined;
+  }
+  feeds.set(category, entry);
+  return entry;
+}
+
+export function hasFeed(category) {
+  const entry = feeds.get(category);
+  return Boolean(entry) && !isExpired(entry);
+}
+
+export function setFeed(category, entry) {
+  feeds.delete(category);
+  feeds.set(category, { ...entry, fetchedAt: entry.fetchedAt || Date.now() });
+
+  while (feeds.size > MAX_FEEDS) {
+    feeds.delete(feeds.keys().next().value);
+  }
+  scheduleSave();
+  return feeds.get(category);
+}
+
+// Change cached entries in place (e.g. patch a liked reel everywhere)
+export function updateFeeds(update) {
+  feeds.forEach(update);
+  scheduleSave();
+}
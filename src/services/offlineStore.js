@@ -0,0 +1,117 @@
+// Saved-for-offline reels
+//
+// Video bytes live in the Cache API under VIDEO_CACHE, where the service
+// worker (public/service-worker.js) serves them back with Range support.
+// Reel metadata and sizes are kept in localStorage for the downloads view.
+
+import { getVideoUrl } from '../utils/reel';
+import { isAdaptiveStream } from '../utils/stream';
+
+// Must match VIDEO_CACHE in public/service-worker.js
+const VIDEO_CACHE = 'reels-videos';
+const STORAGE_KEY = 'reels:offline';
+
+const listeners = new Set();
+const inFlight = new Set();
+
+export const isOfflineSupported = () => typeof window !== 'undefined' && 'caches' in window;
+
+// Only progressive files can be saved whole; HLS/DASH manifests alone won't play,
+// and scheduled live streams have no file yet
+export const canSaveOffline = (reel) => {
+  const url = getVideoUrl(reel);
+  return isOfflineSupported() && Boolean(url) && !isAdaptiveStream(url);
+};
+
+const readIndex = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+let index = readIndex();
+
+const writeIndex = () => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(index));
+  } catch (e) {
+    // Metadata is only for listing; the cached video still plays
+  }
+  listeners.forEach(listener => listener());
+};
+
+// Subscribe to saves/removals. Returns an unsubscribe.
+export function subscribeOffline(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 'saved', 'saving' or null
+export function getOfflineStatus(reel) {
+  const url = getVideoUrl(reel);
+  if (inFlight.has(url)) return 'saving';
+  return index[url] ? 'saved' : null;
+}
+
+// Saved reels, newest first: `[{ url, reel, size, savedAt }]`
+export function listOfflineReels() {
+  return Object.entries(index)
+    .map(([url, item]) => ({ url, ...item }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Download the whole video into the cache. Needs CORS on the video host,
+// since opaque responses can't be measured or sliced for Range requests.
+export async function saveReelOffline(reel) {
+  const url = getVideoUrl(reel);
+  if (!isOfflineSupported() || !url) {
+    throw new Error('This reel cannot be saved for offline viewing');
+  }
+  if (index[url] || inFlight.has(url)) return;
+
+  inFlight.add(url);
+  listeners.forEach(listener => listener());
+
+  try {
+    // Ask the browser not to evict downloads under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    const response = await fetch(url, { mode: 'cors' });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const cache = await caches.open(VIDEO_CACHE);
+    await cache.put(url, new Response(blob, {
+      headers: {
+        'Content-Type': blob.type || response.headers.get('Content-Type') || 'video/mp4',
+        'Content-Length': String(blob.size),
+      },
+    }));
+
+    index[url] = { reel, size: blob.size, savedAt: Date.now() };
+  } finally {
+    inFlight.delete(url);
+    writeIndex();
+  }
+}
+
+export async function removeOfflineReel(reelOrUrl) {
+  const url = typeof reelOrUrl === 'string' ? reelOrUrl : getVideoUrl(reelOrUrl);
+  if (isOfflineSupported()) {
+    const cache = await caches.open(VIDEO_CACHE);
+    await cache.delete(url);
+  }
+  delete index[url];
+  writeIndex();
+}
+
+// `{ usage, quota }` in bytes, or null when the browser can't tell
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
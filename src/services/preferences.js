@@ -0,0 +1,38 @@
+// Persisted player preferences (auto-advance, ...)
+//
+// Small settings that every reel shares live in one localStorage entry so
+// toggles survive reloads. Listeners are told when any value changes.
+
+const STORAGE_KEY = 'reels:prefs';
+
+let preferences = readStoredPreferences();
+const listeners = new Set();
+
+function readStoredPreferences() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function getPreference(key, fallback) {
+  return key in preferences ? preferences[key] : fallback;
+}
+
+export function setPreference(key, value) {
+  if (preferences[key] === value) return;
+  preferences = { ...preferences, [key]: value };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (e) {
+    // Storage full or unavailable, keep the in-memory value
+  }
+  listeners.forEach(listener => listener(key, value));
+}
+
+export function subscribePreferences(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
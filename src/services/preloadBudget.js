@@ -0,0 +1,92 @@
+// Device- and network-aware preload budget
+//
+// Decides how many players stay mounted around the current reel and which
+// neighbours get warmed ahead of time. The budget comes from
+// navigator.deviceMemory (mounted <video> elements and their decoders are
+// what runs low-end phones out of memory) and the connection's Save-Data
+// and effective type; the plan then follows the direction and pace the user
+// is moving through the feed.
+
+import { DEFAULT_PRELOAD_BYTES } from './streamPreloader';
+import { isConstrainedNetwork } from '../utils/network';
+
+const MB = 1024 * 1024;
+
+// Browsers that don't report deviceMemory get the mid-range budget
+const DEFAULT_DEVICE_MEMORY = 4;
+
+// `mounted` players (current one included), `ahead` reels warmed past the
+// current one, `bytes` shared by all warm-ups of one plan
+const MEMORY_TIERS = [
+  { maxMemory: 1, mounted: 3, ahead: 1, bytes: 3 * MB },
+  { maxMemory: 2, mounted: 3, ahead: 2, bytes: 6 * MB },
+  { maxMemory: 4, mounted: 5, ahead: 3, bytes: 9 * MB },
+  { maxMemory: Infinity, mounted: 5, ahead: 4, bytes: 12 * MB },
+];
+
+// Save-Data / 2g: warm the next reel's first seconds only
+const CONSTRAINED_BUDGET = { ahead: 1, bytes: 1 * MB };
+
+// A progressive MP4 can't be capped, count it as what browsers typically
+// buffer with preload="auto"
+const PROGRESSIVE_PRELOAD_BYTES = 3 * MB;
+
+// Moving on faster than this per reel counts as skimming - warm one more
+// reel ahead, but only its first seconds
+const SKIM_INTERVAL = 1200;
+
+export function getPreloadBudget() {
+  const memory = (typeof navigator !== 'undefined' && navigator.deviceMemory) || DEFAULT_DEVICE_MEMORY;
+  const { mounted, ahead, bytes } = MEMORY_TIERS.find(tier => memory <= tier.maxMemory);
+
+  if (isConstrainedNetwork()) {
+    return { mounted, ...CONSTRAINED_BUDGET, isConstrained: true };
+  }
+
+  return { mounted, ahead, bytes, isConstrained: false };
+}
+
+// Which slides to mount and which to warm, in priority order.
+// `direction` is +1/-1 for the last move, `interval` the ms it took.
+// `getKind(index)` is 'stream' (HLS/DASH, capped to a byte budget),
+// 'progressive' or null for slides with nothing to load.
+// Returns { mounted: Set, preloads: [{ index, byteBudget }] }.
+export function planPreloads({ currentIndex, length, direction = 1, interval = Infinity, budget, getKind }) {
+  const isSkimming = interval < SKIM_INTERVAL;
+
+  // Most of the mount window goes the way the user is heading, one behind
+  const behindCount = Math.min(1, budget.mounted - 1);
+  const aheadCount = budget.mounted - 1 - behindCount;
+  const [before, after] = direction < 0 ? [aheadCount, behindCount] : [behindCount, aheadCount];
+
+  const mounted = new Set();
+  for (let index = currentIndex - before; index <= currentIndex + after; index++) {
+    if (index >= 0 && index < length) mounted.add(index);
+  }
+
+  // Warm-ups in the travel direction, then the one behind when there's room.
+  // The current reel isn't warmed - its player is already loading it.
+  const step = direction < 0 ? -1 : 1;
+  const ahead = budget.ahead + (isSkimming && !budget.isConstrained ? 1 : 0);
+  const candidates = [];
+  for (let i = 1; i <= ahead; i++) candidates.push(currentIndex + i * step);
+  if (!budget.isConstrained) candidates.push(currentIndex - step);
+
+  const perReel = isSkimming || budget.isConstrained ? DEFAULT_PRELOAD_BYTES / 2 : DEFAULT_PRELOAD_BYTES;
+  let remaining = budget.bytes;
+  const preloads = [];
+
+  candidates.forEach(index => {
+    if (index < 0 || index >= length) return;
+    const kind = getKind(index);
+    if (!kind) return;
+
+    // Streams take a byte cap, progressive files either fit whole or not at all
+    const byteBudget = kind === 'progressive' ? PROGRESSIVE_PRELOAD_BYTES : Math.min(perReel, remaining);
+    if (byteBudget <= 0 || byteBudget > remaining) return;
+    remaining -= byteBudget;
+    preloads.push({ index, byteBudget });
+  });
+
+  return { mounted, preloads };
+}
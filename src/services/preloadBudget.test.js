@@ -0,0 +1,84 @@
+import { planPreloads, getPreloadBudget } from './preloadBudget';
+import { DEFAULT_PRELOAD_BYTES } from './streamPreloader';
+
+const MB = 1024 * 1024;
+const BUDGET = { mounted: 5, ahead: 3, bytes: 9 * MB, isConstrained: false };
+const stream = () => 'stream';
+const progressive = () => 'progressive';
+
+const plan = (options) => planPreloads({
+  currentIndex: 5,
+  length: 20,
+  budget: BUDGET,
+  getKind: stream,
+  ...options,
+});
+
+const indices = (preloads) => preloads.map(({ index }) => index);
+
+describe('planPreloads', () => {
+  it('mounts one slide behind and the rest ahead when moving forward', () => {
+    expect([...plan().mounted]).toEqual([4, 5, 6, 7, 8]);
+  });
+
+  it('turns the mount window around when moving back', () => {
+    expect([...plan({ direction: -1 }).mounted]).toEqual([2, 3, 4, 5, 6]);
+  });
+
+  it('keeps the mount window inside the feed', () => {
+    expect([...plan({ currentIndex: 0 }).mounted]).toEqual([0, 1, 2, 3]);
+    expect([...plan({ currentIndex: 19 }).mounted]).toEqual([18, 19]);
+  });
+
+  it('warms ahead in travel order, then the slide behind, never the current one', () => {
+    const { preloads } = plan();
+    expect(indices(preloads)).toEqual([6, 7, 8, 4]);
+    expect(preloads.every(({ byteBudget }) => byteBudget === DEFAULT_PRELOAD_BYTES)).toBe(true);
+  });
+
+  it('skips slides with nothing to load', () => {
+    const { preloads } = plan({ getKind: index => (index === 7 ? null : 'stream') });
+    expect(indices(preloads)).toEqual([6, 8, 4]);
+  });
+
+  it('only warms progressive files that fit whole in the remaining bytes', () => {
+    expect(indices(plan({ getKind: progressive }).preloads)).toEqual([6, 7, 8]);
+  });
+
+  it('warms one more reel with smaller caps while the user is skimming', () => {
+    const { preloads } = plan({ interval: 400 });
+    expect(indices(preloads)).toEqual([6, 7, 8, 9, 4]);
+    expect(preloads.every(({ byteBudget }) => byteBudget === DEFAULT_PRELOAD_BYTES / 2)).toBe(true);
+  });
+
+  it('warms only the next reel on a constrained connection', () => {
+    const budget = { mounted: 3, ahead: 1, bytes: 1 * MB, isConstrained: true };
+    expect(plan({ budget }).preloads).toEqual([{ index: 6, byteBudget: 1 * MB }]);
+    expect(plan({ budget, getKind: progressive }).preloads).toEqual([]);
+  });
+});
+
+describe('getPreloadBudget', () => {
+  const setNavigator = (key, value) => {
+    Object.defineProperty(navigator, key, { value, configurable: true });
+  };
+
+  afterEach(() => {
+    delete navigator.deviceMemory;
+    delete navigator.connection;
+  });
+
+  it('mounts fewer players on low-memory devices', () => {
+    setNavigator('deviceMemory', 1);
+    expect(getPreloadBudget()).toMatchObject({ mounted: 3, ahead: 1 });
+
+    setNavigator('deviceMemory', 8);
+    expect(getPreloadBudget()).toMatchObject({ mounted: 5, ahead: 4 });
+  });
+
+  it('falls back to the constrained budget with Save-Data', () => {
+    setNavigator('deviceMemory', 8);
+    setNavigator('connection', { saveData: true });
+    expect(getPreloadBudget()).toEqual({ mounted: 5, ahead: 1, bytes: 1 * MB, isConstrained: true });
+  });
+});
@@ -0,0 +1,166 @@
+// Network-aware video quality policy
+//
+// Picks a rendition from the player's quality list using the user's
+// Auto/Low/Medium/High preference, navigator.connection hints, throughput
+// measured from preloads and the viewport size. The preference is persisted
+// and shared by every reel; listeners are told when the inputs change so the
+// active player can re-evaluate.
+
+import { getConnection, isConstrainedNetwork } from '../utils/network';
+
+const STORAGE_KEY = 'reels:quality';
+
+export const QUALITY_MODES = Object.freeze([
+  { value: 'auto', label: 'Auto' },
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+]);
+
+// Only spend this share of the estimated bandwidth on video
+const BANDWIDTH_SAFETY = 0.75;
+// Weight of the newest sample in the throughput moving average
+const EWMA_WEIGHT = 0.3;
+// Samples from tiny transfers are dominated by latency, ignore them
+const MIN_SAMPLE_BYTES = 64 * 1024;
+// Height cap for 3g-class connections
+const SLOW_NETWORK_MAX_HEIGHT = 480;
+
+let mode = readStoredMode();
+let throughputEstimate = null; // bits per second
+const listeners = new Set();
+
+function readStoredMode() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return QUALITY_MODES.some(option => option.value === stored) ? stored : 'auto';
+  } catch (e) {
+    return 'auto';
+  }
+}
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+// Re-evaluate whenever the browser reports a network change
+getConnection()?.addEventListener?.('change', notify);
+
+export function getQualityMode() {
+  return mode;
+}
+
+export function setQualityMode(nextMode) {
+  if (nextMode === mode || !QUALITY_MODES.some(option => option.value === nextMode)) return;
+  mode = nextMode;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, nextMode);
+  } catch (e) {
+    // Private mode / storage full - keep the in-memory preference
+  }
+  notify();
+}
+
+// Subscribe to mode, connection and throughput changes. Returns an unsubscribe.
+export function subscribeQualityPolicy(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Feed a measured transfer into the throughput estimate
+export function recordThroughput(bytes, durationMs) {
+  if (bytes < MIN_SAMPLE_BYTES || durationMs <= 0) return;
+  const sample = (bytes * 8) / (durationMs / 1000);
+  throughputEstimate = throughputEstimate === null
+    ? sample
+    : throughputEstimate * (1 - EWMA_WEIGHT) + sample * EWMA_WEIGHT;
+  notify();
+}
+
+// Measure a finished preload from Resource Timing. Cross-origin media only
+// reports sizes when the CDN sends Timing-Allow-Origin, otherwise this is a no-op.
+export function recordResourceTiming(url) {
+  if (typeof performance === 'undefined' || !performance.getEntriesByName) return;
+  const entries = performance.getEntriesByName(url);
+  const entry = entries[entries.length - 1];
+  if (entry) {
+    recordThroughput(entry.transferSize || entry.encodedBodySize || 0, entry.responseEnd - entry.startTime);
+  }
+}
+
+// Best bandwidth estimate in bits per second, or null when nothing is known
+export function getBandwidthEstimate() {
+  if (throughputEstimate !== null) return throughputEstimate;
+  const downlink = getConnection()?.downlink;
+  return downlink ? downlink * 1000000 : null;
+}
+
+const toArray = (qualities) => {
+  if (!qualities) return [];
+  return typeof qualities.toArray === 'function' ? qualities.toArray() : Array.from(qualities);
+};
+
+// Index (into the player's list) of the rendition to use, or -1 if none
+export function pickQualityIndex(qualities, qualityMode = mode) {
+  const list = toArray(qualities);
+  if (!list.length) return -1;
+
+  // Lowest first, keeping the original index for selection
+  const sorted = list
+    .map((quality, index) => ({ quality, index }))
+    .sort((a, b) => (a.quality.height - b.quality.height) || ((a.quality.bitrate || 0) - (b.quality.bitrate || 0)));
+
+  const lowest = sorted[0].index;
+  const highest = sorted[sorted.length - 1].index;
+
+  if (qualityMode === 'low') return lowest;
+  if (qualityMode === 'high') return highest;
+  // Middle rendition, rounding down so two renditions pick the lighter one
+  if (qualityMode === 'medium') return sorted[Math.floor((sorted.length - 1) / 2)].index;
+
+  const connection = getConnection();
+  if (isConstrainedNetwork(connection)) return lowest;
+
+  const dpr = window.devicePixelRatio || 1;
+  let maxHeight = window.innerHeight * dpr;
+  if (connection?.effectiveType === '3g') {
+    maxHeight = Math.min(maxHeight, SLOW_NETWORK_MAX_HEIGHT);
+  }
+
+  const estimate = getBandwidthEstimate();
+  const budget = estimate ? estimate * BANDWIDTH_SAFETY : null;
+
+  const fitting = sorted.filter(({ quality }) => (
+    quality.height <= maxHeight &&
+    (!budget || !quality.bitrate || quality.bitrate <= budget)
+  ));
+
+  return fitting.length ? fitting[fitting.length - 1].index : lowest;
+}
+
+// Select the policy's rendition on a Vidstack quality list.
+// `switchMode` 'load' applies to the next loaded fragment (before playback),
+// 'next' to the next fragment of a playing stream.
+export function applyQualityPolicy(qualities, { qualityMode = mode, switchMode = 'load' } = {}) {
+  if (!qualities || qualities.readonly || !qualities.length) return;
+
+  const index = pickQualityIndex(qualities, qualityMode);
+  const target = qualities[index];
+  if (!target || target.selected) return;
+
+  try {
+    qualities.switch = switchMode;
+    target.selected = true;
+  } catch (e) {
+    console.warn('Could not set quality:', e);
+  }
+}
+
+// Extra hls.js config so its first fragment already matches the estimate
+export function getHlsConfig() {
+  const estimate = getBandwidthEstimate();
+  return {
+    capLevelToPlayerSize: true,
+    ...(estimate ? { abrEwmaDefaultEstimate: estimate } : {}),
+  };
+}
@@ -0,0 +1,82 @@
+import { pickQualityIndex } from './qualityPolicy';
+
+// Deliberately out of order - the index into this list is what's returned
+const QUALITIES = [
+  { height: 720, bitrate: 2500000 },
+  { height: 240, bitrate: 400000 },
+  { height: 1080, bitrate: 5000000 },
+  { height: 480, bitrate: 1200000 },
+];
+const heightOf = (index) => QUALITIES[index]?.height;
+
+const setNavigator = (key, value) => {
+  Object.defineProperty(navigator, key, { value, configurable: true });
+};
+const setViewportHeight = (value) => {
+  Object.defineProperty(window, 'innerHeight', { value, configurable: true });
+};
+
+describe('pickQualityIndex', () => {
+  const originalHeight = window.innerHeight;
+
+  beforeEach(() => {
+    setViewportHeight(2000);
+  });
+
+  afterEach(() => {
+    delete navigator.connection;
+    setViewportHeight(originalHeight);
+  });
+
+  it('returns -1 without renditions', () => {
+    expect(pickQualityIndex([], 'auto')).toBe(-1);
+    expect(pickQualityIndex(null, 'auto')).toBe(-1);
+  });
+
+  it.each([
+    ['low', 240],
+    ['medium', 480],
+    ['high', 1080],
+  ])('picks the %s rendition regardless of the network', (mode, height) => {
+    setNavigator('connection', { saveData: true });
+    expect(heightOf(pickQualityIndex(QUALITIES, mode))).toBe(height);
+  });
+
+  it.each([
+    ['nothing known', null, 1080],
+    ['10 Mbps', { downlink: 10 }, 1080],
+    ['4 Mbps', { downlink: 4 }, 720],
+    ['2 Mbps', { downlink: 2 }, 480],
+    ['1 Mbps', { downlink: 1 }, 240],
+    ['less than the lowest', { downlink: 0.1 }, 240],
+    ['Save-Data', { downlink: 10, saveData: true }, 240],
+    ['2g', { downlink: 10, effectiveType: '2g' }, 240],
+    ['slow-2g', { effectiveType: 'slow-2g' }, 240],
+    ['3g', { downlink: 10, effectiveType: '3g' }, 480],
+  ])('picks by bandwidth in auto mode: %s', (_, connection, height) => {
+    if (connection) setNavigator('connection', connection);
+    expect(heightOf(pickQualityIndex(QUALITIES, 'auto'))).toBe(height);
+  });
+
+  it('keeps auto within the viewport', () => {
+    setViewportHeight(700);
+    setNavigator('connection', { downlink: 10 });
+    expect(heightOf(pickQualityIndex(QUALITIES, 'auto'))).toBe(480);
+  });
+
+  it('reads Vidstack quality lists', () => {
+    const list = { toArray: () => QUALITIES };
+    expect(heightOf(pickQualityIndex(list, 'low'))).toBe(240);
+  });
+
+  it('prefers measured throughput over the reported downlink', () => {
+    jest.isolateModules(() => {
+      const policy = require('./qualityPolicy');
+      setNavigator('connection', { downlink: 10 });
+
+      // 1 MB in 4s = 2 Mbps, 1.5 Mbps after the safety margin
+      policy.recordThroughput(1000000, 4000);
+      expect(heightOf(policy.pickQualityIndex(QUALITIES, 'auto'))).toBe(480);
+    });
+  });
+});
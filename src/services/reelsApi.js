@@ -0,0 +1,191 @@
+// Reels feed API client
+//
+// Configuration is resolved in this order: explicit options passed to
+// createReelsClient, a runtime config object set by the host page on
+// `window.__REELS_CONFIG__`, then REACT_APP_* build-time environment values.
+// No credentials are bundled; the token always comes from a provider.
+
+import { getRuntimeConfig } from '../utils/config';
+import { getRetryDelay, isTransientError, isOffline, sleep } from '../utils/retry';
+
+const DEFAULT_BASE_URL = 'https://devgateway.techxrdev.in/api/content/content';
+export const DEFAULT_PAGE_SIZE = 20;
+const COMMENTS_PAGE_SIZE = 20;
+// Extra attempts for GET requests that fail transiently
+const GET_RETRIES = 2;
+
+// Default token provider - reads the token from runtime config. The env
+// token is for `npm start` only; production builds drop this branch, so it
+// never ends up in the bundle. Hosts that can refresh tokens should pass
+// their own `getToken`.
+const defaultTokenProvider = () => {
+  if (process.env.NODE_ENV === 'development' && process.env.REACT_APP_REELS_AUTH_TOKEN) {
+    return getRuntimeConfig().authToken || process.env.REACT_APP_REELS_AUTH_TOKEN;
+  }
+  return getRuntimeConfig().authToken || null;
+};
+
+// Resolve client options from explicit values, runtime config and env
+export function resolveReelsConfig(options = {}) {
+  const runtime = getRuntimeConfig();
+
+  return {
+    baseUrl: (
+      options.baseUrl ||
+      runtime.baseUrl ||
+      process.env.REACT_APP_REELS_API_BASE_URL ||
+      DEFAULT_BASE_URL
+    ).replace(/\/+$/, ''),
+    userId: options.userId ?? runtime.userId ?? process.env.REACT_APP_REELS_USER_ID ?? null,
+    getToken: options.getToken || runtime.getToken || defaultTokenProvider,
+    pageSize: options.pageSize || DEFAULT_PAGE_SIZE,
+  };
+}
+
+export function createReelsClient(options) {
+  const { baseUrl, userId, getToken, pageSize } = resolveReelsConfig(options);
+
+  const buildUrl = (path, params) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, value);
+      }
+    });
+    return `${baseUrl}/${path}?${query.toString()}`;
+  };
+
+  const send = async (url, { signal, method, body }, forceRefresh) => {
+    const token = await getToken({ forceRefresh });
+    const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return fetch(url, {
+      method,
+      headers,
+      signal,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  };
+
+  // Single attempt at a JSON endpoint, asking the provider for a fresh token once on 401
+  const requestOnce = async (path, params, { signal, method, body }) => {
+    const url = buildUrl(path, { ...params, userId });
+    const init = { signal, method, body };
+
+    let response = await send(url, init, false);
+    if (response.status === 401) {
+      response = await send(url, init, true);
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (response.status === 204) return null;
+    return response.json();
+  };
+
+  // Call a JSON endpoint. Reads are retried with backoff on transient
+  // failures; writes are not, since repeating a like could apply it twice.
+  const request = async (path, params = {}, {
+    signal,
+    method = 'GET',
+    body,
+    retries = method === 'GET' ? GET_RETRIES : 0,
+  } = {}) => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await requestOnce(path, params, { signal, method, body });
+      } catch (error) {
+        if (attempt >= retries || !isTransientError(error) || isOffline()) throw error;
+        await sleep(getRetryDelay(attempt), signal);
+      }
+    }
+  };
+
+  // Fetch a single page of the reels feed for a category
+  const fetchFeedPage = async (category, page, { signal } = {}) => {
+    const result = await request(
+      'reels/feed',
+      { category, page, limit: pageSize },
+      { signal }
+    );
+    const reels = result?.reels || [];
+
+    return {
+      reels,
+      hasMore: reels.length >= pageSize,
+    };
+  };
+
+  // Fetch a single reel by id (used to open deep links)
+  const fetchReel = async (reelId, { signal } = {}) => {
+    const result = await request(`reels/${encodeURIComponent(reelId)}`, {}, { signal });
+    return result?.reel || result;
+  };
+
+  // Fetch the category list shown in the tab bar
+  const fetchCategories = ({ signal } = {}) => request('reels/categories', {}, { signal });
+
+  // Fetch a page of a reel's comments, or of the replies to one comment
+  const fetchComments = async (reelId, { page = 1, parentId, signal } = {}) => {
+    const result = await request(
+      `reels/${encodeURIComponent(reelId)}/comments`,
+      { page, limit: COMMENTS_PAGE_SIZE, parentId },
+      { signal }
+    );
+    const comments = result?.comments || [];
+
+    return {
+      comments,
+      hasMore: comments.length >= COMMENTS_PAGE_SIZE,
+    };
+  };
+
+  // Post a comment, or a reply when parentId is set; resolves to the saved comment
+  const postComment = async (reelId, text, { parentId } = {}) => {
+    const result = await request(
+      `reels/${encodeURIComponent(reelId)}/comments`,
+      {},
+      { method: 'POST', body: { text, parentId } }
+    );
+    return result?.comment || result;
+  };
+
+  // Like or unlike a reel
+  const likeReel = (reelId, liked) => request(
+    `reels/${encodeURIComponent(reelId)}/like`,
+    {},
+    { method: liked ? 'POST' : 'DELETE' }
+  );
+
+  // Add or remove a reel from the user's saved list
+  const saveReel = (reelId, saved) => request(
+    `reels/${encodeURIComponent(reelId)}/save`,
+    {},
+    { method: saved ? 'POST' : 'DELETE' }
+  );
+
+  // Record that a reel was shared (for share counts)
+  const recordShare = (reelId) => request(
+    `reels/${encodeURIComponent(reelId)}/share`,
+    {},
+    { method: 'POST' }
+  );
+
+  return {
+    request,
+    fetchFeedPage,
+    fetchReel,
+    fetchCategories,
+    fetchComments,
+    postComment,
+    likeReel,
+    saveReel,
+    recordShare,
+  };
+}
@@ -0,0 +1,41 @@
+import { createReelsClient } from './reelsApi';
+
+const jsonResponse = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+describe('createReelsClient authentication', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('asks the provider for a fresh token once on 401 and retries the request', async () => {
+    const getToken = jest.fn(({ forceRefresh }) => Promise.resolve(forceRefresh ? 'fresh' : 'stale'));
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(200, { reel: { id: 7 } }));
+
+    const client = createReelsClient({ baseUrl: 'https://api.test', getToken });
+    await expect(client.fetchReel(7)).resolves.toEqual({ id: 7 });
+
+    expect(getToken.mock.calls.map(([options]) => options)).toEqual([
+      { forceRefresh: false },
+      { forceRefresh: true },
+    ]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh');
+  });
+
+  it('gives up after the refreshed token is rejected too', async () => {
+    const getToken = jest.fn(() => Promise.resolve('token'));
+    global.fetch = jest.fn(() => Promise.resolve(jsonResponse(401)));
+
+    const client = createReelsClient({ baseUrl: 'https://api.test', getToken });
+    await expect(client.fetchReel(7)).rejects.toMatchObject({ status: 401 });
+
+    expect(getToken).toHaveBeenCalledTimes(2);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,127 @@
+// Sponsored and announcement slots
+//
+// Non-content slides (sponsored reels, temple event announcements, donation
+// appeals) come from a pluggable provider implementing
+// `fetchSlots({ category, count, signal })` and, optionally,
+// `reportImpression(slot)` for the provider's own counting. Where they go in
+// the feed is decided by the insertion policy. createFixtureProvider serves a
+// fixed list - for tests and local debugging.
+
+import { getRuntimeConfig } from '../utils/config';
+
+const DEFAULT_POLICY = {
+  // Organic reels between two slots
+  every: 6,
+  // Organic reels before the first slot
+  firstAfter: 4,
+  // Time a slot stays on screen before it can be skipped
+  minViewTime: 5000,
+  // Categories that get slots, or null for all of them
+  categories: null,
+};
+
+const KINDS = new Set(['sponsored', 'announcement']);
+
+// Map an API/fixture slot to the shape the slides use, or null when it has
+// nothing to show
+export function normalizeSlot(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const id = raw.id ?? raw._id;
+  const videoUrl = raw.videoUrl || null;
+  const imageUrl = raw.imageUrl || raw.posterUrl || raw.thumbnailUrl || null;
+  const title = raw.title || '';
+  if (id === undefined || id === null || (!videoUrl && !imageUrl && !title)) return null;
+
+  const kind = KINDS.has(raw.kind) ? raw.kind : 'sponsored';
+  const cta = raw.cta || {};
+  const minViewTime = Number(raw.minViewTime);
+
+  return {
+    id: String(id),
+    kind,
+    label: raw.label || (kind === 'announcement' ? 'Announcement' : 'Sponsored'),
+    title,
+    description: raw.description || '',
+    sponsorName: raw.sponsorName || raw.advertiser || '',
+    videoUrl,
+    imageUrl,
+    ctaLabel: cta.label || raw.ctaLabel || 'Learn more',
+    ctaUrl: cta.url || raw.ctaUrl || null,
+    minViewTime: Number.isFinite(minViewTime) && minViewTime >= 0 ? minViewTime : null,
+    impressionUrl: raw.impressionUrl || null,
+  };
+}
+
+// Policy from explicit options, then runtime config, then defaults
+export function resolveSponsoredPolicy(options = {}) {
+  const runtime = getRuntimeConfig().sponsored || {};
+  const policy = { ...DEFAULT_POLICY, ...runtime, ...options };
+
+  return {
+    ...policy,
+    every: Math.max(Number(policy.every) || DEFAULT_POLICY.every, 1),
+    firstAfter: Math.max(Number(policy.firstAfter) || 0, 1),
+  };
+}
+
+export function isSponsoredCategory(policy, category) {
+  return !policy.categories || policy.categories.includes(category);
+}
+
+// Fetches slots from an endpoint returning `{ slots: [...] }`, and pings a
+// slot's impression URL when it is shown
+export function createSponsoredProvider(url) {
+  return {
+    async fetchSlots({ category, count, signal } = {}) {
+      const query = new URLSearchParams({ count: String(count) });
+      if (category) query.set('category', category);
+
+      const response = await fetch(`${url}?${query.toString()}`, { signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      const result = await response.json();
+      return Array.isArray(result) ? result : result?.slots || [];
+    },
+
+    reportImpression(slot) {
+      if (!slot.impressionUrl) return;
+      if (navigator.sendBeacon && navigator.sendBeacon(slot.impressionUrl)) return;
+      fetch(slot.impressionUrl, { method: 'POST', keepalive: true }).catch(() => {});
+    },
+  };
+}
+
+// Serves the given slots in order, round and round - for tests and local debugging
+export function createFixtureProvider(slots = []) {
+  let next = 0;
+  return {
+    impressions: [],
+    fetchSlots({ count } = {}) {
+      if (!slots.length) return Promise.resolve([]);
+      const batch = Array.from({ length: count }, () => slots[next++ % slots.length]);
+      return Promise.resolve(batch);
+    },
+    reportImpression(slot) {
+      this.impressions.push(slot.id);
+    },
+  };
+}
+
+// Never returns slots - used when no sponsored endpoint is configured
+export const noopProvider = { fetchSlots: () => Promise.resolve([]) };
+
+// Provider for the configured endpoint (runtime config, then env), or noop
+export function createDefaultProvider() {
+  const url = getRuntimeConfig().sponsoredUrl || process.env.REACT_APP_SPONSORED_URL;
+  return url ? createSponsoredProvider(url) : noopProvider;
+}
+
+// Composed feed items that are slots rather than reels
+export const isSponsoredSlot = (item) => Boolean(item && typeof item === 'object' && item.slotKey);
+
+// Accessible name of a slot, e.g. "Sponsored: Diwali offerings"
+export const getSlotLabel = (slot) => (slot.title ? `${slot.label}: ${slot.title}` : slot.label);
@@ -0,0 +1,259 @@
+// Segment-level preloading for HLS and DASH reels
+//
+// Fetches the manifest, picks the rendition the quality policy would start
+// with, then fetches its init segment and the first few seconds of media
+// segments into the HTTP cache, stopping at a byte budget. The player's
+// HLS/DASH provider then finds those requests already cached.
+
+import { getStreamType } from '../utils/stream';
+import { pickQualityIndex, recordThroughput } from './qualityPolicy';
+
+export const DEFAULT_PRELOAD_SECONDS = 4;
+export const DEFAULT_PRELOAD_BYTES = 2 * 1024 * 1024;
+
+const resolveUrl = (uri, base) => new URL(uri, base).href;
+
+const fetchText = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.text();
+};
+
+// ---- HLS ----
+
+const parseAttributes = (line) => {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+};
+
+const parseHlsMaster = (text, baseUrl) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+
+  lines.forEach((line, i) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+    const attributes = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    const uri = lines.slice(i + 1).find(next => next && !next.startsWith('#'));
+    if (!uri) return;
+
+    const [, height = 0] = (attributes.RESOLUTION || '').split('x').map(Number);
+    variants.push({
+      url: resolveUrl(uri, baseUrl),
+      bitrate: Number(attributes.BANDWIDTH) || null,
+      height,
+    });
+  });
+
+  return variants;
+};
+
+const parseHlsMedia = (text, baseUrl) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const segments = [];
+  let init = null;
+  let duration = 0;
+  let hasByteRanges = false;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-MAP:')) {
+      const { URI } = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      if (URI) init = resolveUrl(URI, baseUrl);
+    } else if (line.startsWith('#EXT-X-BYTERANGE')) {
+      hasByteRanges = true;
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    } else if (line && !line.startsWith('#')) {
+      segments.push({ url: resolveUrl(line, baseUrl), duration });
+    }
+  });
+
+  // Byte-range playlists point every segment at one big file; fetching
+  // whole URIs would blow the budget, so only the playlist is warmed
+  return hasByteRanges ? { init: null, segments: [] } : { init, segments };
+};
+
+const getHlsPlan = async (url, signal) => {
+  const text = await fetchText(url, signal);
+
+  if (!text.includes('#EXT-X-STREAM-INF')) {
+    return [parseHlsMedia(text, url)];
+  }
+
+  const variants = parseHlsMaster(text, url);
+  const variant = variants[pickQualityIndex(variants)];
+  if (!variant) return [];
+
+  const mediaText = await fetchText(variant.url, signal);
+  return [parseHlsMedia(mediaText, variant.url)];
+};
+
+// ---- DASH ----
+
+const childrenByName = (element, name) => (
+  Array.from(element?.children || []).filter(child => child.localName === name)
+);
+
+// BaseURL elements stack from MPD down to Representation
+const resolveBase = (element, base) => {
+  const [baseElement] = childrenByName(element, 'BaseURL');
+  return baseElement ? resolveUrl(baseElement.textContent.trim(), base) : base;
+};
+
+const fillTemplate = (template, values) => (
+  template.replace(/\$(RepresentationID|Bandwidth|Number|Time)(?:%0(\d+)d)?\$/g, (_, key, width) => {
+    const value = String(values[key] ?? '');
+    return width ? value.padStart(Number(width), '0') : value;
+  }).replace(/\$\$/g, '$')
+);
+
+const getDashSegments = (adaptation, representation, base, seconds) => {
+  const [template] = childrenByName(representation, 'SegmentTemplate').length
+    ? childrenByName(representation, 'SegmentTemplate')
+    : childrenByName(adaptation, 'SegmentTemplate');
+  if (!template) return { init: null, segments: [] };
+
+  const values = {
+    RepresentationID: representation.getAttribute('id'),
+    Bandwidth: representation.getAttribute('bandwidth'),
+  };
+  const timescale = Number(template.getAttribute('timescale')) || 1;
+  const startNumber = Number(template.getAttribute('startNumber') ?? 1);
+  const media = template.getAttribute('media');
+  const initialization = template.getAttribute('initialization');
+
+  const segments = [];
+  const [timeline] = childrenByName(template, 'SegmentTimeline');
+
+  if (timeline) {
+    let number = startNumber;
+    let time = 0;
+    let elapsed = 0;
+    for (const entry of childrenByName(timeline, 'S')) {
+      if (entry.hasAttribute('t')) time = Number(entry.getAttribute('t'));
+      const duration = Number(entry.getAttribute('d'));
+      const repeat = Number(entry.getAttribute('r') || 0);
+      for (let i = 0; i <= repeat && elapsed < seconds; i++) {
+        segments.push({
+          url: resolveUrl(fillTemplate(media, { ...values, Number: number, Time: time }), base),
+          duration: duration / timescale,
+        });
+        elapsed += duration / timescale;
+        time += duration;
+        number += 1;
+      }
+      if (elapsed >= seconds) break;
+    }
+  } else if (template.hasAttribute('duration') && media) {
+    const duration = Number(template.getAttribute('duration')) / timescale;
+    const count = Math.max(Math.ceil(seconds / duration), 1);
+    for (let i = 0; i < count; i++) {
+      segments.push({
+        url: resolveUrl(fillTemplate(media, { ...values, Number: startNumber + i }), base),
+        duration,
+      });
+    }
+  }
+
+  return {
+    init: initialization ? resolveUrl(fillTemplate(initialization, values), base) : null,
+    segments,
+  };
+};
+
+const getDashPlan = async (url, signal, seconds) => {
+  const text = await fetchText(url, signal);
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const mpd = doc.documentElement;
+  const [period] = childrenByName(mpd, 'Period');
+  if (!period) return [];
+
+  const periodBase = resolveBase(period, resolveBase(mpd, url));
+  const plans = [];
+
+  // One rendition per media type - video first so it gets the budget first
+  ['video', 'audio'].forEach(kind => {
+    const adaptation = childrenByName(period, 'AdaptationSet').find(set => {
+      const type = set.getAttribute('contentType') || set.getAttribute('mimeType') ||
+        childrenByName(set, 'Representation')[0]?.getAttribute('mimeType') || '';
+      return type.startsWith(kind);
+    });
+    if (!adaptation) return;
+
+    const representations = childrenByName(adaptation, 'Representation');
+    const index = kind === 'video'
+      ? pickQualityIndex(representations.map(rep => ({
+        height: Number(rep.getAttribute('height')) || 0,
+        bitrate: Number(rep.getAttribute('bandwidth')) || null,
+      })))
+      : 0;
+    const representation = representations[index];
+    if (!representation) return;
+
+    const base = resolveBase(representation, resolveBase(adaptation, periodBase));
+    plans.push(getDashSegments(adaptation, representation, base, seconds));
+  });
+
+  return plans;
+};
+
+// ---- Fetching ----
+
+// Fetch one resource within the remaining budget. Returns bytes used,
+// or -1 when the resource would not fit.
+const fetchWithinBudget = async (url, remaining, signal) => {
+  const started = performance.now();
+  const response = await fetch(url, { signal });
+  if (!response.ok) return 0;
+
+  const length = Number(response.headers.get('Content-Length'));
+  if (length && length > remaining) {
+    response.body?.cancel?.();
+    return -1;
+  }
+
+  const buffer = await response.arrayBuffer();
+  recordThroughput(buffer.byteLength, performance.now() - started);
+  return buffer.byteLength;
+};
+
+// Warm the manifest and first `seconds` of segments of an HLS/DASH source
+export async function preloadStream(url, {
+  signal,
+  seconds = DEFAULT_PRELOAD_SECONDS,
+  byteBudget = DEFAULT_PRELOAD_BYTES,
+} = {}) {
+  const type = getStreamType(url);
+  const plans = type === 'hls'
+    ? await getHlsPlan(url, signal)
+    : await getDashPlan(url, signal, seconds);
+
+  let remaining = byteBudget;
+
+  for (const { init, segments } of plans) {
+    const queue = [];
+    if (init) queue.push(init);
+
+    let buffered = 0;
+    for (const segment of segments) {
+      if (buffered >= seconds) break;
+      queue.push(segment.url);
+      buffered += segment.duration;
+    }
+
+    for (const resourceUrl of queue) {
+      const used = await fetchWithinBudget(resourceUrl, remaining, signal);
+      if (used < 0) return byteBudget - remaining;
+      remaining -= used;
+      if (remaining <= 0) return byteBudget;
+    }
+  }
+
+  return byteBudget - remaining;
+}
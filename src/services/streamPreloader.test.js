@@ -0,0 +1,160 @@
+import { preloadStream } from './streamPreloader';
+
+const HLS_MASTER = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360
+360/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"
+720/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080
+1080/index.m3u8
+`;
+
+const HLS_MEDIA = `#EXTM3U
+#EXT-X-TARGETDURATION:2
+#EXT-X-MAP:URI="init.mp4"
+#EXTINF:2.0,
+seg-0.m4s
+#EXTINF:2.0,
+seg-1.m4s
+#EXTINF:2.0,
+seg-2.m4s
+#EXT-X-ENDLIST
+`;
+
+const HLS_BYTE_RANGES = `#EXTM3U
+#EXTINF:2.0,
+#EXT-X-BYTERANGE:50000@0
+all.mp4
+#EXTINF:2.0,
+#EXT-X-BYTERANGE:50000@50000
+all.mp4
+#EXT-X-ENDLIST
+`;
+
+const DASH_MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <BaseURL>media/</BaseURL>
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate timescale="1000" duration="2000" startNumber="1"
+        initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%05d$.m4s"/>
+      <Representation id="v360" bandwidth="800000" height="360"/>
+      <Representation id="v720" bandwidth="2500000" height="720"/>
+      <Representation id="v1080" bandwidth="5000000" height="1080"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4">
+      <Representation id="a128" bandwidth="128000">
+        <BaseURL>audio/</BaseURL>
+        <SegmentTemplate timescale="48000" initialization="init-$Bandwidth$.mp4" media="t$Time$.m4s">
+          <SegmentTimeline>
+            <S t="0" d="96000" r="2"/>
+          </SegmentTimeline>
+        </SegmentTemplate>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>
+`;
+
+const SEGMENT_BYTES = 1000;
+
+const respond = (body, contentLength = null) => ({
+  ok: true,
+  status: 200,
+  headers: { get: (name) => (name === 'Content-Length' ? contentLength : null) },
+  text: () => Promise.resolve(body),
+  arrayBuffer: () => Promise.resolve(new ArrayBuffer(SEGMENT_BYTES)),
+});
+
+// Serves the given manifests by URL, anything else as a small segment
+const serve = (manifests, contentLength) => {
+  global.fetch = jest.fn((url) => Promise.resolve(
+    manifests[url] !== undefined ? respond(manifests[url]) : respond('', contentLength)
+  ));
+};
+
+const fetchedUrls = () => global.fetch.mock.calls.map(([url]) => url);
+
+describe('preloadStream', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('HLS', () => {
+    it('picks a variant from the master playlist and warms its first seconds', async () => {
+      serve({
+        'https://cdn.test/reel/master.m3u8': HLS_MASTER,
+        'https://cdn.test/reel/720/index.m3u8': HLS_MEDIA,
+      });
+
+      const used = await preloadStream('https://cdn.test/reel/master.m3u8', { seconds: 4 });
+
+      expect(fetchedUrls()).toEqual([
+        'https://cdn.test/reel/master.m3u8',
+        'https://cdn.test/reel/720/index.m3u8',
+        'https://cdn.test/reel/720/init.mp4',
+        'https://cdn.test/reel/720/seg-0.m4s',
+        'https://cdn.test/reel/720/seg-1.m4s',
+      ]);
+      expect(used).toBe(3 * SEGMENT_BYTES);
+    });
+
+    it('reads a media playlist directly', async () => {
+      serve({ 'https://cdn.test/reel/index.m3u8': HLS_MEDIA });
+
+      await preloadStream('https://cdn.test/reel/index.m3u8', { seconds: 2 });
+
+      expect(fetchedUrls()).toEqual([
+        'https://cdn.test/reel/index.m3u8',
+        'https://cdn.test/reel/init.mp4',
+        'https://cdn.test/reel/seg-0.m4s',
+      ]);
+    });
+
+    it('only warms the playlist of byte-range playlists', async () => {
+      serve({ 'https://cdn.test/reel/index.m3u8': HLS_BYTE_RANGES });
+
+      expect(await preloadStream('https://cdn.test/reel/index.m3u8')).toBe(0);
+      expect(fetchedUrls()).toEqual(['https://cdn.test/reel/index.m3u8']);
+    });
+
+    it('stops before a segment that would go over the byte budget', async () => {
+      serve({ 'https://cdn.test/reel/index.m3u8': HLS_MEDIA }, String(SEGMENT_BYTES));
+
+      const used = await preloadStream('https://cdn.test/reel/index.m3u8', {
+        seconds: 6,
+        byteBudget: 2.5 * SEGMENT_BYTES,
+      });
+
+      expect(fetchedUrls()).toHaveLength(4);
+      expect(used).toBe(2 * SEGMENT_BYTES);
+    });
+  });
+
+  describe('DASH', () => {
+    it('fills segment templates for one video and one audio representation', async () => {
+      serve({ 'https://cdn.test/reel/manifest.mpd': DASH_MPD });
+
+      await preloadStream('https://cdn.test/reel/manifest.mpd', { seconds: 4 });
+
+      expect(fetchedUrls()).toEqual([
+        'https://cdn.test/reel/manifest.mpd',
+        // Numbered template on the adaptation set, 720p picked
+        'https://cdn.test/reel/media/v720/init.mp4',
+        'https://cdn.test/reel/media/v720/seg-00001.m4s',
+        'https://cdn.test/reel/media/v720/seg-00002.m4s',
+        // Timeline template and BaseURL on the representation
+        'https://cdn.test/reel/media/audio/init-128000.mp4',
+        'https://cdn.test/reel/media/audio/t0.m4s',
+        'https://cdn.test/reel/media/audio/t96000.m4s',
+      ]);
+    });
+
+    it('warms nothing but the manifest without a period', async () => {
+      serve({ 'https://cdn.test/reel/manifest.mpd': '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011"/>' });
+
+      expect(await preloadStream('https://cdn.test/reel/manifest.mpd')).toBe(0);
+      expect(fetchedUrls()).toEqual(['https://cdn.test/reel/manifest.mpd']);
+    });
+  });
+});
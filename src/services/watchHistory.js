@@ -0,0 +1,70 @@
+// Continue-watching store
+//
+// Persists, per category, the last viewed reel and its playback time, plus a
+// "seen" marker per reel, in localStorage. Writes are debounced because
+// playback progress is reported several times a second.
+
+import { getReelKey } from '../utils/reel';
+import { createDebouncedStorage } from '../utils/storage';
+
+const STORAGE_KEY = 'reels:history';
+const SAVE_DELAY = 1000;
+// Oldest seen markers are dropped beyond this many reels
+const MAX_SEEN = 500;
+
+// Flushed on pagehide too, so the last few seconds of progress aren't lost
+const storage = createDebouncedStorage(STORAGE_KEY, {
+  delay: SAVE_DELAY,
+  parse: (stored) => ({
+    positions: stored?.positions || {},
+    seen: stored?.seen || {},
+  }),
+  serialize: () => store,
+});
+const { scheduleSave } = storage;
+
+const store = storage.read();
+
+// Last position in a category: `{ reelId, index, time }` or null
+export function getSavedPosition(category) {
+  return store.positions[category] || null;
+}
+
+export function savePosition(category, { reelId, index, time = 0 }) {
+  if (!category) return;
+  store.positions[category] = {
+    reelId,
+    index,
+    time: Math.round(time * 10) / 10,
+    updatedAt: Date.now(),
+  };
+  scheduleSave();
+}
+
+export function isSeen(reel) {
+  return Boolean(store.seen[getReelKey(reel)]);
+}
+
+export function markSeen(reel) {
+  const key = getReelKey(reel);
+  if (!key || store.seen[key]) return;
+
+  store.seen[key] = Date.now();
+
+  const keys = Object.keys(store.seen);
+  if (keys.length > MAX_SEEN) {
+    keys
+      .sort((a, b) => store.seen[a] - store.seen[b])
+      .slice(0, keys.length - MAX_SEEN)
+      .forEach(oldKey => delete store.seen[oldKey]);
+  }
+  scheduleSave();
+}
+
+// Stable partition putting unseen reels before already watched ones
+export function deprioritizeSeen(reels) {
+  const unseen = [];
+  const seen = [];
+  reels.forEach(reel => (isSeen(reel) ? seen : unseen).push(reel));
+  return seen.length ? [...unseen, ...seen] : reels;
+}
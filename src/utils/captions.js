@@ -0,0 +1,69 @@
+// Caption/subtitle track helpers
+
+const CAPTION_KINDS = new Set(['subtitles', 'captions']);
+
+// 'vtt' or 'srt' from an explicit format or the file extension
+const getCaptionType = (track, src) => {
+  const format = String(track.type || track.format || '').toLowerCase();
+  if (format === 'srt' || format === 'vtt') return format;
+  return src.split(/[?#]/)[0].toLowerCase().endsWith('.srt') ? 'srt' : 'vtt';
+};
+
+// Display name of a BCP 47 language code, in that language ("हिन्दी", "English")
+export const getLanguageName = (language) => {
+  if (!language) return 'Captions';
+  try {
+    return new Intl.DisplayNames([language], { type: 'language' }).of(language) || language;
+  } catch (e) {
+    return language;
+  }
+};
+
+// Normalized caption tracks from reel data ({ src, language, label, kind, type }).
+// Accepts `captions`/`subtitles` arrays or a `{ [language]: url }` map.
+export const getCaptionTracks = (reel) => {
+  if (!reel || typeof reel === 'string') return [];
+
+  const raw = reel.captions || reel.subtitles || [];
+  const list = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw).map(([language, src]) => ({ language, src }));
+
+  return list
+    .map(track => {
+      const src = track.src || track.url;
+      if (!src) return null;
+      const language = track.language || track.lang || track.srclang || '';
+      return {
+        src,
+        language,
+        label: track.label || getLanguageName(language),
+        kind: CAPTION_KINDS.has(track.kind) ? track.kind : 'subtitles',
+        type: getCaptionType(track, src),
+      };
+    })
+    .filter(Boolean);
+};
+
+const findByLanguage = (tracks, language) => {
+  if (!language) return null;
+  const wanted = language.toLowerCase();
+  const base = wanted.split('-')[0];
+  return (
+    tracks.find(track => track.language.toLowerCase() === wanted) ||
+    tracks.find(track => track.language.toLowerCase().split('-')[0] === base) ||
+    null
+  );
+};
+
+// Track to show for the preferred language, falling back to the browser's
+// language and then English. Null when none of them is available.
+export const pickCaptionTrack = (tracks, language) => {
+  if (!tracks.length) return null;
+  const browserLanguage = typeof navigator !== 'undefined' ? navigator.language : null;
+  return (
+    findByLanguage(tracks, language) ||
+    findByLanguage(tracks, browserLanguage) ||
+    findByLanguage(tracks, 'en')
+  );
+};
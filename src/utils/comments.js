@@ -0,0 +1,42 @@
+// Helpers for comment objects returned by the comments API.
+// As with reels, field names vary between backend versions.
+
+import { toTimestamp } from './time';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Normalized comment, or null when it has no id to key it by
+export const normalizeComment = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const id = raw.id ?? raw._id;
+  if (id === undefined || id === null) return null;
+
+  const author = raw.author || raw.user || {};
+
+  return {
+    id: String(id),
+    parentId: raw.parentId != null ? String(raw.parentId) : null,
+    text: raw.text || raw.body || raw.content || '',
+    authorName: typeof author === 'string'
+      ? author
+      : author.name || author.displayName || raw.authorName || raw.userName || 'User',
+    authorAvatar: typeof author === 'string' ? null : author.avatar || author.avatarUrl || null,
+    createdAt: toTimestamp(raw.createdAt || raw.created_at),
+    replyCount: Number(raw.replyCount ?? raw.repliesCount ?? 0),
+  };
+};
+
+// Short relative age: "now", "5m", "3h", "2d", then the date
+export const formatCommentTime = (timestamp, now = Date.now()) => {
+  if (!timestamp) return '';
+  const age = Math.max(now - timestamp, 0);
+
+  if (age < MINUTE) return 'now';
+  if (age < HOUR) return `${Math.floor(age / MINUTE)}m`;
+  if (age < DAY) return `${Math.floor(age / HOUR)}h`;
+  if (age < 7 * DAY) return `${Math.floor(age / DAY)}d`;
+  return new Date(timestamp).toLocaleDateString();
+};
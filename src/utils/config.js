@@ -0,0 +1,7 @@
+// Runtime configuration set by the host page before the bundle loads,
+// e.g. `window.__REELS_CONFIG__ = { baseUrl, userId, authToken }`.
+// Lets one build be pointed at staging, production or a mock server.
+export const getRuntimeConfig = () => {
+  if (typeof window === 'undefined') return {};
+  return window.__REELS_CONFIG__ || {};
+};
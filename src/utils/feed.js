@@ -0,0 +1,41 @@
+import { getReelKey, getLiveStatus } from './reel';
+import { deprioritizeSeen } from '../services/watchHistory';
+
+// Helpers for building the reel lists of a category feed.
+
+// Reels with something to play - scheduled live streams get their URL when
+// they start
+export const isPlayable = (reel) => Boolean(reel?.videoUrl) || getLiveStatus(reel) === 'upcoming';
+
+// Append a fetched page to already loaded reels, skipping reels seen before
+// and reels that have nothing to play
+export const mergeReels = (existing, incoming) => {
+  const seen = new Set(existing.map(getReelKey));
+  const merged = [...existing];
+  incoming.forEach(reel => {
+    const key = getReelKey(reel);
+    if (isPlayable(reel) && !seen.has(key)) {
+      seen.add(key);
+      merged.push(reel);
+    }
+  });
+  return merged;
+};
+
+// Fold a freshly fetched first page into a cached feed without moving the
+// viewer: known reels get the new counts, new ones are queued after the current reel
+export const reviseFeed = (entry, incoming) => {
+  const fresh = new Map(incoming.map(reel => [getReelKey(reel), reel]));
+  entry.reels.forEach(reel => {
+    const update = fresh.get(getReelKey(reel));
+    if (update) Object.assign(reel, update);
+  });
+
+  const added = mergeReels(entry.reels, deprioritizeSeen(incoming)).slice(entry.reels.length);
+  const insertAt = Math.min((entry.index || 0) + 1, entry.reels.length);
+  return {
+    ...entry,
+    reels: [...entry.reels.slice(0, insertAt), ...added, ...entry.reels.slice(insertAt)],
+    fetchedAt: Date.now(),
+  };
+};
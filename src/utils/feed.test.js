@@ -0,0 +1,81 @@
+import { mergeReels, reviseFeed, isPlayable } from './feed';
+import { markSeen } from '../services/watchHistory';
+
+const reel = (id, extra = {}) => ({ id, videoUrl: `/reels/${id}.m3u8`, ...extra });
+
+describe('mergeReels', () => {
+  it('appends new reels after the loaded ones', () => {
+    const merged = mergeReels([reel(1), reel(2)], [reel(3), reel(4)]);
+    expect(merged.map(item => item.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('skips reels that are already loaded or repeated within the page', () => {
+    const merged = mergeReels([reel(1)], [reel(1), reel(2), reel(2)]);
+    expect(merged.map(item => item.id)).toEqual([1, 2]);
+  });
+
+  it('matches reels by _id and, for legacy items, by URL', () => {
+    const merged = mergeReels(
+      [{ _id: 'a', videoUrl: '/a.mp4' }, { videoUrl: '/legacy.mp4' }],
+      [{ _id: 'a', videoUrl: '/a.mp4' }, { videoUrl: '/legacy.mp4' }, { videoUrl: '/other.mp4' }]
+    );
+    expect(merged.map(item => item.videoUrl)).toEqual(['/a.mp4', '/legacy.mp4', '/other.mp4']);
+  });
+
+  it('drops reels with nothing to play but keeps scheduled live streams', () => {
+    const scheduled = { id: 'live', isLive: true, scheduledAt: Date.now() + 60000 };
+    const merged = mergeReels([], [{ id: 'empty' }, null, scheduled, reel(1)]);
+    expect(merged.map(item => item.id)).toEqual(['live', 1]);
+  });
+
+  it('does not modify the loaded list', () => {
+    const existing = [reel(1)];
+    mergeReels(existing, [reel(2)]);
+    expect(existing).toHaveLength(1);
+  });
+});
+
+describe('isPlayable', () => {
+  it('needs a video URL unless the stream is still upcoming', () => {
+    expect(isPlayable(reel(1))).toBe(true);
+    expect(isPlayable({ id: 2, isLive: true })).toBe(false);
+    expect(isPlayable({ id: 3, liveStatus: 'upcoming' })).toBe(true);
+  });
+});
+
+describe('reviseFeed', () => {
+  const entry = (index = 1) => ({
+    reels: [reel(1, { likeCount: 1 }), reel(2), reel(3)],
+    index,
+    page: 2,
+    hasMore: true,
+    fetchedAt: 0,
+  });
+
+  it('updates known reels in place without moving the viewer', () => {
+    const cached = entry();
+    const revised = reviseFeed(cached, [reel(1, { likeCount: 5 })]);
+
+    expect(revised.reels.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(revised.reels[0]).toBe(cached.reels[0]);
+    expect(revised.reels[0].likeCount).toBe(5);
+    expect(revised).toMatchObject({ index: 1, page: 2, hasMore: true });
+    expect(revised.fetchedAt).toBeGreaterThan(0);
+  });
+
+  it('queues new reels right after the current one', () => {
+    const revised = reviseFeed(entry(1), [reel(4), reel(2), reel(5)]);
+    expect(revised.reels.map(item => item.id)).toEqual([1, 2, 4, 5, 3]);
+  });
+
+  it('puts new reels the viewer has already watched after the unseen ones', () => {
+    markSeen(reel(6));
+    const revised = reviseFeed(entry(0), [reel(6), reel(7)]);
+    expect(revised.reels.map(item => item.id)).toEqual([1, 7, 6, 2, 3]);
+  });
+
+  it('appends at the end when the viewer is on the last reel', () => {
+    const revised = reviseFeed(entry(2), [reel(8)]);
+    expect(revised.reels.map(item => item.id)).toEqual([1, 2, 3, 8]);
+  });
+});
@@ -0,0 +1,14 @@
+// Network Information API helpers shared by the preload budget and the
+// quality policy
+
+// navigator.connection, or null where the browser doesn't expose it
+export const getConnection = () => {
+  if (typeof navigator === 'undefined') return null;
+  return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+};
+
+// Save-Data is on or the connection is 2g-class - load as little as possible
+export const isConstrainedNetwork = (connection = getConnection()) => {
+  const effectiveType = connection?.effectiveType;
+  return Boolean(connection?.saveData) || effectiveType === 'slow-2g' || effectiveType === '2g';
+};
@@ -0,0 +1,126 @@
+import { buildReelPath } from './route';
+import { toTimestamp } from './time';
+
+// Helpers for reading reel objects returned by the feed API.
+// Field names vary between backend versions, so all lookups go through here.
+
+// Stable identity for a reel across pages, used to drop duplicates
+export const getReelKey = (reel) => {
+  if (typeof reel === 'string') return reel;
+  return reel?.id ?? reel?._id ?? reel?.videoUrl;
+};
+
+// Backend id of a reel, or null when the reel only has a URL
+export const getReelId = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+  return reel.id ?? reel._id ?? null;
+};
+
+// Items may be bare URL strings (legacy) or full reel objects
+export const getVideoUrl = (reel) => {
+  if (typeof reel === 'string') return reel;
+  return reel?.videoUrl;
+};
+
+// Alternate renditions/URLs to try, in order, when the main video fails
+export const getFallbackUrls = (reel) => {
+  if (!reel || typeof reel === 'string') return [];
+
+  const sources = Array.isArray(reel.fallbackUrls) ? reel.fallbackUrls : reel.sources || [];
+  const urls = [
+    ...sources.map(source => (typeof source === 'string' ? source : source?.src || source?.url)),
+    reel.mp4Url,
+  ];
+
+  return urls.filter((url, index) => url && url !== reel.videoUrl && urls.indexOf(url) === index);
+};
+
+// Audio-only rendition used by listen-only mode, if the backend provides one
+export const getAudioUrl = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+  return reel.audioUrl || reel.audio || null;
+};
+
+// Server-provided thumbnail/poster image, if any
+export const getPosterUrl = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+  return reel.thumbnailUrl || reel.thumbnail || reel.posterUrl || reel.poster || null;
+};
+
+// Normalized display metadata for the reel overlay
+export const getReelMeta = (reel) => {
+  if (!reel || typeof reel === 'string') return {};
+
+  const creator = reel.creator || reel.channel || reel.author || {};
+
+  return {
+    title: reel.title || '',
+    creatorName: typeof creator === 'string'
+      ? creator
+      : creator.name || creator.displayName || reel.creatorName || reel.channelName || '',
+    creatorAvatar: typeof creator === 'string' ? null : creator.avatar || creator.avatarUrl || null,
+    description: reel.description || reel.caption || '',
+    category: reel.category || '',
+  };
+};
+
+// Accessible name of a reel - its title, else who posted it
+export const getReelLabel = (reel) => {
+  const { title, creatorName } = getReelMeta(reel);
+  if (title && creatorName) return `${title}, by ${creatorName}`;
+  return title || (creatorName ? `Reel by ${creatorName}` : 'Reel');
+};
+
+// Interaction state and counters for the actions rail
+export const getReelStats = (reel) => {
+  if (!reel || typeof reel === 'string') {
+    return { isLiked: false, likeCount: 0, isSaved: false, commentCount: 0 };
+  }
+
+  return {
+    isLiked: Boolean(reel.isLiked ?? reel.liked),
+    likeCount: Number(reel.likeCount ?? reel.likes ?? 0),
+    isSaved: Boolean(reel.isSaved ?? reel.saved),
+    commentCount: Number(reel.commentCount ?? reel.commentsCount ?? 0),
+  };
+};
+
+// Compact counter formatting (1.2K, 3.4M)
+export const formatCount = (count) => {
+  if (!count) return '';
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}K`;
+  return String(count);
+};
+
+const LIVE_STATUSES = new Set(['live', 'upcoming', 'ended']);
+
+// Scheduled start of a live stream, as a timestamp
+export const getLiveStartTime = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+  return toTimestamp(reel.scheduledAt || reel.startsAt || reel.scheduledStartTime || reel.live?.startsAt);
+};
+
+// 'live', 'upcoming' (scheduled, not started), 'ended', or null for recorded reels
+export const getLiveStatus = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+
+  const status = reel.liveStatus || reel.live?.status;
+  if (LIVE_STATUSES.has(status)) return status;
+  if (!(reel.isLive ?? reel.live)) return null;
+
+  const startsAt = getLiveStartTime(reel);
+  return startsAt && startsAt > Date.now() ? 'upcoming' : 'live';
+};
+
+// Current viewers of a live stream, or null when not reported
+export const getViewerCount = (reel) => {
+  if (!reel || typeof reel === 'string') return null;
+  const count = Number(reel.viewerCount ?? reel.viewers ?? reel.live?.viewerCount);
+  return Number.isFinite(count) ? count : null;
+};
+
+// Deep link to a reel, in the same URL form the app writes to history
+export const getReelShareUrl = (reel, category) => {
+  return `${window.location.origin}${buildReelPath(category || reel?.category, getReelId(reel))}`;
+};
@@ -0,0 +1,41 @@
+// Backoff helpers shared by feed requests and video recovery
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 15000;
+
+// Exponential backoff with jitter: ~1s, ~2s, ~4s... capped at MAX_DELAY.
+// Half of the delay is random so clients that failed together don't retry together.
+export const getRetryDelay = (attempt, { baseDelay = BASE_DELAY, maxDelay = MAX_DELAY } = {}) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
+
+// Network failures, timeouts, rate limiting and server errors are worth retrying
+export const isTransientError = (error) => {
+  if (!error || error.name === 'AbortError') return false;
+  // fetch() rejects with a TypeError when the request never got a response
+  if (error.status === undefined) return error instanceof TypeError;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Resolves after `ms`, rejects with an AbortError if the signal fires first
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
@@ -0,0 +1,83 @@
+// URL routing for the reels feed: `/{category}/{reelId}` under PUBLIC_URL.
+// Query params (`?category=...&reel=...`) are also read so embeds on hosts
+// without SPA path rewrites can still deep link. Links keep the form the app
+// was entered through; `window.__REELS_CONFIG__.routeForm` ('path' or
+// 'query') picks one for every visit.
+
+import { getRuntimeConfig } from './config';
+
+const isQueryRoute = (params) => params.has('category') || params.has('reel');
+
+// Read once at load, before the app rewrites the URL
+const entryForm = typeof window !== 'undefined' && isQueryRoute(new URLSearchParams(window.location.search))
+  ? 'query'
+  : 'path';
+
+// 'path' or 'query' - the form new reel URLs are written in
+export function getRouteForm() {
+  const { routeForm } = getRuntimeConfig();
+  return routeForm === 'path' || routeForm === 'query' ? routeForm : entryForm;
+}
+
+const getBasePath = () => {
+  if (typeof window === 'undefined') return '';
+  const { pathname } = new URL(process.env.PUBLIC_URL || '/', window.location.href);
+  return pathname.replace(/\/+$/, '');
+};
+
+// A stray `%` (hand-edited link) is kept as typed instead of throwing
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+// Parse a location into `{ category, reelId }`, either may be null
+export function parseReelRoute(location = window.location) {
+  // The host page's own path means nothing to the feed in the query form
+  const params = new URLSearchParams(location.search);
+  if (isQueryRoute(params)) {
+    return { category: params.get('category'), reelId: params.get('reel') };
+  }
+
+  const basePath = getBasePath();
+  let path = location.pathname;
+  if (basePath && path.startsWith(basePath)) {
+    path = path.slice(basePath.length);
+  }
+
+  const [category = null, reelId = null] = path
+    .split('/')
+    .filter(Boolean)
+    .map(decodeSegment);
+
+  return { category, reelId };
+}
+
+// Query form: the host page's path and other params stay as they are
+const buildReelQuery = (category, reelId) => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('category');
+  params.delete('reel');
+  if (category) {
+    params.set('category', category);
+    if (reelId !== null && reelId !== undefined) params.set('reel', String(reelId));
+  }
+  const search = params.toString();
+  return `${window.location.pathname}${search ? `?${search}` : ''}`;
+};
+
+// Build the URL (path and query, no origin) for a category and optional
+// reel id, in `form` - the entry form or configured one by default
+export function buildReelPath(category, reelId, form = getRouteForm()) {
+  if (form === 'query') return buildReelQuery(category, reelId);
+
+  const basePath = getBasePath();
+  if (!category) return `${basePath}/`;
+  if (reelId === null || reelId === undefined) {
+    return `${basePath}/${encodeURIComponent(category)}`;
+  }
+  return `${basePath}/${encodeURIComponent(category)}/${encodeURIComponent(reelId)}`;
+}
@@ -0,0 +1,90 @@
+import { parseReelRoute, buildReelPath, getRouteForm } from './route';
+
+const location = (pathname, search = '') => ({ pathname, search });
+
+describe('parseReelRoute', () => {
+  it('reads the category and reel id from the path', () => {
+    expect(parseReelRoute(location('/bhajan/42'))).toEqual({ category: 'bhajan', reelId: '42' });
+  });
+
+  it('returns nulls for the root path', () => {
+    expect(parseReelRoute(location('/'))).toEqual({ category: null, reelId: null });
+  });
+
+  it('reads a category without a reel', () => {
+    expect(parseReelRoute(location('/katha/'))).toEqual({ category: 'katha', reelId: null });
+  });
+
+  it('decodes encoded segments', () => {
+    expect(parseReelRoute(location('/Festival%20Specials/a%2Fb'))).toEqual({
+      category: 'Festival Specials',
+      reelId: 'a/b',
+    });
+  });
+
+  it('keeps malformed segments as typed instead of throwing', () => {
+    expect(parseReelRoute(location('/Stories/50%off'))).toEqual({ category: 'Stories', reelId: '50%off' });
+  });
+
+  it('falls back to query params for hosts without path rewrites', () => {
+    expect(parseReelRoute(location('/', '?category=aarti&reel=7'))).toEqual({ category: 'aarti', reelId: '7' });
+  });
+
+  it('ignores the host page path in the query form', () => {
+    expect(parseReelRoute(location('/temple/reels.html', '?category=aarti'))).toEqual({
+      category: 'aarti',
+      reelId: null,
+    });
+  });
+});
+
+describe('buildReelPath', () => {
+  it('builds category and reel paths', () => {
+    expect(buildReelPath('bhajan', 42)).toBe('/bhajan/42');
+    expect(buildReelPath('bhajan')).toBe('/bhajan');
+    expect(buildReelPath(null)).toBe('/');
+  });
+
+  it('keeps reel id 0', () => {
+    expect(buildReelPath('bhajan', 0)).toBe('/bhajan/0');
+  });
+
+  it('round-trips names that need encoding', () => {
+    const path = buildReelPath('Festival Specials', 'a/b');
+    expect(path).toBe('/Festival%20Specials/a%2Fb');
+    expect(parseReelRoute(location(path))).toEqual({ category: 'Festival Specials', reelId: 'a/b' });
+  });
+});
+
+describe('buildReelPath in the query form', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    delete window.__REELS_CONFIG__;
+  });
+
+  it('keeps the host page path and its other params', () => {
+    window.history.replaceState(null, '', '/temple/reels.html?lang=hi&category=katha&reel=1');
+
+    const url = buildReelPath('Festival Specials', 0, 'query');
+    expect(url).toBe('/temple/reels.html?lang=hi&category=Festival+Specials&reel=0');
+
+    const [pathname, search] = url.split('?');
+    expect(parseReelRoute(location(pathname, `?${search}`))).toEqual({
+      category: 'Festival Specials',
+      reelId: '0',
+    });
+  });
+
+  it('drops the reel param for a category alone', () => {
+    window.history.replaceState(null, '', '/embed?category=katha&reel=1');
+    expect(buildReelPath('bhajan', null, 'query')).toBe('/embed?category=bhajan');
+  });
+
+  it('follows the configured form', () => {
+    expect(getRouteForm()).toBe('path');
+
+    window.__REELS_CONFIG__ = { routeForm: 'query' };
+    expect(getRouteForm()).toBe('query');
+    expect(buildReelPath('bhajan', 42)).toBe('/?category=bhajan&reel=42');
+  });
+});
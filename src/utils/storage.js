@@ -0,0 +1,46 @@
+// Debounced localStorage persistence for in-memory stores
+//
+// Stores that change often (playback progress, feed pages) keep their state
+// in memory and write it back at most once per `delay`. A pending write is
+// flushed when the page is hidden so the last changes survive the tab closing.
+
+const DEFAULT_SAVE_DELAY = 1000;
+
+// `parse(stored)` turns the stored JSON (null when missing or unreadable)
+// into the store's state, `serialize()` returns what to write back.
+// Returns `{ read, scheduleSave }`.
+export function createDebouncedStorage(key, { parse, serialize, delay = DEFAULT_SAVE_DELAY }) {
+  let saveTimer = null;
+
+  const read = () => {
+    try {
+      return parse(JSON.parse(window.localStorage.getItem(key)));
+    } catch (e) {
+      return parse(null);
+    }
+  };
+
+  const persist = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      window.localStorage.setItem(key, JSON.stringify(serialize()));
+    } catch (e) {
+      // Storage full or unavailable - the store stays in memory for this session
+    }
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(persist, delay);
+    }
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', () => {
+      if (saveTimer) persist();
+    });
+  }
+
+  return { read, scheduleSave };
+}
@@ -0,0 +1,56 @@
+import { createDebouncedStorage } from './storage';
+
+const KEY = 'test:store';
+
+describe('createDebouncedStorage', () => {
+  let state;
+  const createStorage = () => createDebouncedStorage(KEY, {
+    delay: 1000,
+    parse: (stored) => stored || { count: 0 },
+    serialize: () => state,
+  });
+  const stored = () => JSON.parse(window.localStorage.getItem(KEY));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reads stored JSON and falls back on missing or broken values', () => {
+    const storage = createStorage();
+    expect(storage.read()).toEqual({ count: 0 });
+
+    window.localStorage.setItem(KEY, '{broken');
+    expect(storage.read()).toEqual({ count: 0 });
+
+    window.localStorage.setItem(KEY, JSON.stringify({ count: 3 }));
+    expect(storage.read()).toEqual({ count: 3 });
+  });
+
+  it('writes once per delay with the latest state', () => {
+    const storage = createStorage();
+    state = { count: 1 };
+    storage.scheduleSave();
+    state = { count: 2 };
+    storage.scheduleSave();
+
+    jest.advanceTimersByTime(999);
+    expect(stored()).toBeNull();
+
+    jest.advanceTimersByTime(1);
+    expect(stored()).toEqual({ count: 2 });
+  });
+
+  it('flushes a pending write when the page is hidden', () => {
+    const storage = createStorage();
+    state = { count: 5 };
+    storage.scheduleSave();
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(stored()).toEqual({ count: 5 });
+  });
+});
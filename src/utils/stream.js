@@ -0,0 +1,46 @@
+// Adaptive streaming source detection
+
+export const HLS_MIME_TYPE = 'application/x-mpegurl';
+export const DASH_MIME_TYPE = 'application/dash+xml';
+
+// 'hls', 'dash' or 'progressive', from the URL path extension
+export const getStreamType = (url) => {
+  if (!url) return 'progressive';
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.m3u8')) return 'hls';
+  if (path.endsWith('.mpd')) return 'dash';
+  return 'progressive';
+};
+
+export const isAdaptiveStream = (url) => getStreamType(url) !== 'progressive';
+
+// Vidstack source - typed for manifests so the HLS/DASH provider is used
+// even when the URL carries signed query params
+export const getPlayerSource = (url) => {
+  const type = getStreamType(url);
+  if (type === 'hls') return { src: url, type: HLS_MIME_TYPE };
+  if (type === 'dash') return { src: url, type: DASH_MIME_TYPE };
+  return url;
+};
+
+const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/mp4',
+  mp4: 'audio/mp4',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  webm: 'audio/webm',
+  weba: 'audio/webm',
+  flac: 'audio/flac',
+};
+
+// Vidstack source for an audio-only rendition. Progressive files are always
+// typed as audio so the audio provider is used, never a <video> element
+export const getAudioSource = (url) => {
+  const type = getStreamType(url);
+  if (type !== 'progressive') return getPlayerSource(url);
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return { src: url, type: AUDIO_MIME_TYPES[extension] || 'audio/mpeg' };
+};
@@ -0,0 +1,8 @@
+// Date helpers shared by the reel and comment normalizers
+
+// Timestamp (ms) from epoch ms or a date string, or null when missing or invalid
+export const toTimestamp = (value) => {
+  if (!value) return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};